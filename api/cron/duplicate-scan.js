@@ -0,0 +1,24 @@
+// Vercel serverless cron: duplicate scan (runs daily at 3 AM).
+const { getPool } = require("../../config/getPool");
+const { runDuplicateScan } = require("../../jobs/duplicateScan");
+
+async function handler(req, res) {
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const pool = getPool();
+    const results = await runDuplicateScan(pool);
+    return res.status(200).json({ success: true, message: "Duplicate scan completed", results });
+  } catch (error) {
+    console.error("Error running duplicate scan job:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Duplicate scan failed",
+      message: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+}
+
+module.exports = handler;
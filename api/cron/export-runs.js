@@ -0,0 +1,24 @@
+// Vercel serverless cron: background list exports (runs every 5 minutes).
+const { getPool } = require("../../config/getPool");
+const { runExportRuns } = require("../../jobs/exportRuns");
+
+async function handler(req, res) {
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const pool = getPool();
+    const results = await runExportRuns(pool);
+    return res.status(200).json({ success: true, message: "Export runs processed", results });
+  } catch (error) {
+    console.error("Error running export runs job:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Export runs failed",
+      message: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+}
+
+module.exports = handler;
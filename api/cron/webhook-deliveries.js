@@ -0,0 +1,24 @@
+// Vercel serverless cron: webhook delivery retries (runs every 5 minutes).
+const { getPool } = require("../../config/getPool");
+const { runWebhookDeliveries } = require("../../jobs/webhookDeliveries");
+
+async function handler(req, res) {
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const pool = getPool();
+    const results = await runWebhookDeliveries(pool);
+    return res.status(200).json({ success: true, message: "Webhook deliveries processed", results });
+  } catch (error) {
+    console.error("Error running webhook deliveries job:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Webhook deliveries failed",
+      message: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,179 @@
+// controllers/auditController.js
+const AuditLog = require("../models/auditLog");
+const { EXPORT_FORMATS, resolveExportFormat, createExportWriter } = require("../utils/spreadsheetWriter");
+const {
+  AUDIT_ACTIONS,
+  AUDIT_EXPORT_COLUMNS,
+  recordAudit,
+  verifyAuditChain,
+  writeAuditExport,
+} = require("../services/auditService");
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+class AuditRequestError extends Error {}
+
+// Date filter; a date-only "to" covers the whole day
+function parseDateFilter(value, name, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const text = String(value).trim();
+  const date = new Date(DATE_ONLY.test(text) && endOfDay ? `${text}T23:59:59.999Z` : text);
+  if (Number.isNaN(date.getTime())) {
+    throw new AuditRequestError(`${name} must be a date (YYYY-MM-DD) or ISO timestamp`);
+  }
+  return date;
+}
+
+/**
+ * Search filters from the query string:
+ * entity_type, entity_id, user_id, action (comma separated), field, from, to
+ */
+function parseFilters(query) {
+  const filters = {};
+  if (query.entity_type) filters.entityType = String(query.entity_type).trim();
+  if (query.entity_id) filters.entityId = String(query.entity_id).trim();
+  if (query.user_id) {
+    const userId = parseInt(query.user_id, 10);
+    if (!Number.isInteger(userId)) throw new AuditRequestError("user_id must be a number");
+    filters.userId = userId;
+  }
+  if (query.action) {
+    const actions = String(query.action).split(",").map((a) => a.trim()).filter(Boolean);
+    const unknown = actions.filter((a) => !AUDIT_ACTIONS.includes(a));
+    if (unknown.length > 0) {
+      throw new AuditRequestError(`Unknown action: ${unknown.join(", ")}. Use one of: ${AUDIT_ACTIONS.join(", ")}`);
+    }
+    filters.actions = actions;
+  }
+  if (query.field) filters.field = String(query.field).trim();
+  filters.from = parseDateFilter(query.from, "from");
+  filters.to = parseDateFilter(query.to, "to", { endOfDay: true });
+  return filters;
+}
+
+class AuditController {
+  constructor(pool) {
+    this.pool = pool;
+    this.auditLogModel = new AuditLog(pool);
+
+    this.getActions = this.getActions.bind(this);
+    this.search = this.search.bind(this);
+    this.getById = this.getById.bind(this);
+    this.verify = this.verify.bind(this);
+    this.exportLog = this.exportLog.bind(this);
+  }
+
+  async initTables() {
+    await this.auditLogModel.initTable();
+  }
+
+  _serverError(res, message, error) {
+    return res.status(500).json({
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+
+  // GET /api/audit/actions
+  async getActions(req, res) {
+    return res.status(200).json({ success: true, actions: AUDIT_ACTIONS });
+  }
+
+  // GET /api/audit?entity_type=&entity_id=&user_id=&action=&field=&from=&to=&limit=&cursor= - newest first
+  async search(req, res) {
+    try {
+      const filters = parseFilters(req.query);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+      const beforeId = req.query.cursor ? parseInt(req.query.cursor, 10) : null;
+      if (req.query.cursor && !Number.isInteger(beforeId)) {
+        return res.status(400).json({ success: false, message: "Invalid cursor" });
+      }
+
+      const { entries, nextCursor } = await this.auditLogModel.search(filters, { limit, beforeId });
+      return res.status(200).json({ success: true, entries, nextCursor });
+    } catch (error) {
+      if (error instanceof AuditRequestError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      console.error("Error searching audit log:", error);
+      return this._serverError(res, "An error occurred while searching the audit log", error);
+    }
+  }
+
+  // GET /api/audit/:id
+  async getById(req, res) {
+    try {
+      const id = parseInt(req.params.id, 10);
+      const entry = Number.isInteger(id) ? await this.auditLogModel.getById(id) : null;
+      if (!entry) {
+        return res.status(404).json({ success: false, message: "Audit entry not found" });
+      }
+      return res.status(200).json({ success: true, entry });
+    } catch (error) {
+      console.error("Error getting audit entry:", error);
+      return this._serverError(res, "An error occurred while retrieving the audit entry", error);
+    }
+  }
+
+  // GET /api/audit/verify?from_id=&to_id= - recomputes the hash chain
+  async verify(req, res) {
+    try {
+      const result = await verifyAuditChain(this.pool, {
+        fromId: parseInt(req.query.from_id, 10) || null,
+        toId: parseInt(req.query.to_id, 10) || null,
+      });
+      return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      console.error("Error verifying audit log:", error);
+      return this._serverError(res, "An error occurred while verifying the audit log", error);
+    }
+  }
+
+  // GET /api/audit/export?format=csv|xlsx|json&<search filters> - oldest first, streamed
+  async exportLog(req, res) {
+    try {
+      const filters = parseFilters(req.query);
+      const format = resolveExportFormat(req.query.format);
+      if (!format) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported format. Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+        });
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.status(200);
+      res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+      res.setHeader("Content-Disposition", `attachment; filename="audit-log-${date}.${EXPORT_FORMATS[format].extension}"`);
+      res.setHeader("Cache-Control", "no-store");
+
+      let clientGone = false;
+      res.on("close", () => {
+        if (!res.writableFinished) clientGone = true;
+      });
+
+      const writer = createExportWriter(format, AUDIT_EXPORT_COLUMNS, res, { sheetName: "Audit Log" });
+      const { rowCount, aborted } = await writeAuditExport(this.pool, filters, writer, { isAborted: () => clientGone });
+      if (!aborted) res.end();
+
+      await recordAudit(this.pool, {
+        action: "export",
+        entityType: "audit_log",
+        metadata: { format, filters: req.query, row_count: rowCount, status: aborted ? "aborted" : "completed" },
+      });
+    } catch (error) {
+      if (error instanceof AuditRequestError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      console.error("Error exporting audit log:", error);
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      return this._serverError(res, "An error occurred while exporting the audit log", error);
+    }
+  }
+}
+
+module.exports = AuditController;
@@ -1,20 +1,74 @@
 const User = require("../models/user");
-const jwt = require("jsonwebtoken");
+const Role = require("../models/role");
+const UserSession = require("../models/userSession");
+const UserAuthToken = require("../models/userAuthToken");
+const UserTwoFactor = require("../models/userTwoFactor");
+const { BUILT_IN_ROLES, ADMIN_FLAG_ROLE_KEYS, OWNER_MANAGED_ROLE_KEYS } = require("../services/permissionService");
+const {
+  signAccessToken,
+  verifyAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  newSessionId,
+  hashToken,
+  generateRefreshToken,
+  sessionIdFromRefreshToken,
+} = require("../services/tokenService");
+const { sendUserTokenEmail } = require("../services/userAccountEmailService");
+const {
+  generateTotpSecret,
+  verifyTotp,
+  otpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} = require("../services/totpService");
 const bcrypt = require("bcrypt");
 
-const { sendMail } = require("../services/emailService");
-const baseUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+const { validatePassword } = require("../utils/passwordPolicy");
+const { clientIp } = require("../utils/clientIp");
+const { recordAudit } = require("../services/auditService");
+const { checkLogin, blockedLoginBody, recordLoginAttempt } = require("../services/loginProtectionService");
+const LoginAttempt = require("../models/loginAttempt");
 class AuthController {
   constructor(pool) {
+    this.pool = pool;
     this.userModel = new User(pool);
+    this.roleModel = new Role(pool);
+    this.sessionModel = new UserSession(pool);
+    this.authTokenModel = new UserAuthToken(pool);
+    this.twoFactorModel = new UserTwoFactor(pool);
+    this.loginAttemptModel = new LoginAttempt(pool);
     this.signup = this.signup.bind(this);
     this.login = this.login.bind(this);
+    this.refresh = this.refresh.bind(this);
     this.logout = this.logout.bind(this);
+    this.logoutAll = this.logoutAll.bind(this);
+    this.getSessions = this.getSessions.bind(this);
+    this.revokeSession = this.revokeSession.bind(this);
+    this.forgotPassword = this.forgotPassword.bind(this);
+    this.checkAccountToken = this.checkAccountToken.bind(this);
+    this.resetPassword = this.resetPassword.bind(this);
+    this.acceptInvite = this.acceptInvite.bind(this);
+    this.requestEmailVerification = this.requestEmailVerification.bind(this);
+    this.verifyEmail = this.verifyEmail.bind(this);
+    this.verifyEnrollmentChallenge = this.verifyEnrollmentChallenge.bind(this);
+    this.getTwoFactorStatus = this.getTwoFactorStatus.bind(this);
+    this.startTwoFactorEnrollment = this.startTwoFactorEnrollment.bind(this);
+    this.confirmTwoFactorEnrollment = this.confirmTwoFactorEnrollment.bind(this);
+    this.verifyTwoFactor = this.verifyTwoFactor.bind(this);
+    this.regenerateRecoveryCodes = this.regenerateRecoveryCodes.bind(this);
+    this.disableTwoFactor = this.disableTwoFactor.bind(this);
   }
 
   // Initialize database tables
   async initTables() {
     await this.userModel.initTable();
+    await this.sessionModel.initTable();
+    await this.authTokenModel.initTable();
+    await this.twoFactorModel.initTable();
+    await this.loginAttemptModel.initTable();
   }
 
   // Create initial developer account (only allowed if no users exist)
@@ -50,7 +104,7 @@ class AuthController {
       }
 
       // Enhanced password validation
-      const passwordValidation = this.validatePassword(password);
+      const passwordValidation = validatePassword(password, { email, name });
       if (!passwordValidation.isValid) {
         return res.status(400).json({
           success: false,
@@ -76,7 +130,6 @@ class AuthController {
           name: user.name,
           email: user.email,
           role: user.role,
-          token: user.token,
         },
       });
     } catch (error) {
@@ -139,7 +192,7 @@ class AuthController {
     }
 
     // Enhanced password validation
-    const passwordValidation = this.validatePassword(password);
+    const passwordValidation = validatePassword(password, { email, name });
     if (!passwordValidation.isValid) {
       return res.status(400).json({
         success: false,
@@ -147,30 +200,26 @@ class AuthController {
       });
     }
 
-    // Validate user type
-    const validUserTypes = [
-      "candidate",
-      "recruiter",
-      "developer",
-      "admin",
-      "owner",
-    ];
-    if (!validUserTypes.includes(userType)) {
+    // Validate user type (any role configured in the roles table)
+    let role = null;
+    try {
+      role = await this.roleModel.getByKey(userType);
+    } catch (roleError) {
+      console.error("Error loading role:", roleError);
+      role = BUILT_IN_ROLES.find((r) => r.key === userType) || null;
+    }
+    if (!role) {
       return res.status(400).json({
         success: false,
         message: "Invalid user type",
       });
     }
 
-    // Role-based creation restrictions (only if req.user exists)
-    if (
-      req.user &&
-      req.user.role === "admin" &&
-      (userType === "developer" || userType === "owner")
-    ) {
+    // Same rule as role assignment: only owners hand out owner or developer access
+    if (OWNER_MANAGED_ROLE_KEYS.includes(userType) && req.user.role !== "owner") {
       return res.status(403).json({
         success: false,
-        message: "Admins cannot create developer or owner accounts",
+        message: `Only owners can assign the ${userType} role`,
       });
     }
 
@@ -197,10 +246,7 @@ class AuthController {
         phone2,
         title,
         idNumber,
-        isAdmin:
-          userType === "admin" ||
-          userType === "developer" ||
-          userType === "owner",
+        isAdmin: ADMIN_FLAG_ROLE_KEYS.includes(userType),
       });
 
       // Send success response
@@ -214,7 +260,6 @@ class AuthController {
           role: user.role,
           officeId: user.officeId,
           teamId: user.teamId,
-          token: user.token,
         },
       });
     } catch (error) {
@@ -238,52 +283,77 @@ class AuthController {
     }
   }
 
-  // Password validation helper method
-  validatePassword(password) {
-    // Check length
-    if (password.length < 8) {
-      return {
-        isValid: false,
-        message: "Password must be at least 8 characters long",
-      };
-    }
+  // Audit entry for a login, failed login or logout (IP and user agent come from the request context)
+  async auditLogin(action, user, metadata = null) {
+    await recordAudit(this.pool, {
+      action,
+      entityType: "user",
+      entityId: user ? user.id : null,
+      entityLabel: user ? user.email : metadata?.email,
+      user: user ? { id: user.id, email: user.email } : null,
+      metadata,
+    });
+  }
 
-    // Check for lowercase letter
-    if (!/[a-z]/.test(password)) {
-      return {
-        isValid: false,
-        message: "Password must contain at least one lowercase letter",
-      };
-    }
+  /**
+   * Create a login session (one per device) and the response body with its tokens:
+   * a short-lived access token plus a refresh token stored (hashed) on the session.
+   */
+  async startSession(req, user, auditMetadata = {}) {
+    const sessionId = newSessionId();
+    const refreshToken = generateRefreshToken(sessionId);
+    await this.sessionModel.createAuthSession({
+      userId: user.id,
+      sessionId,
+      refreshTokenHash: refreshToken.hash,
+      refreshExpiresAt: refreshToken.expiresAt,
+      ipAddress: clientIp(req),
+      userAgent: req.headers["user-agent"],
+    });
+    const accessToken = signAccessToken(user, sessionId);
+    await this.auditLogin("login", user, { session_id: sessionId, ...auditMetadata });
 
-    // Check for uppercase letter
-    if (!/[A-Z]/.test(password)) {
-      return {
-        isValid: false,
-        message: "Password must contain at least one uppercase letter",
-      };
-    }
+    // userType for frontend compatibility
+    return {
+      success: true,
+      message: "Login successful",
+      token: accessToken.token,
+      expiresIn: accessToken.expiresIn,
+      refreshToken: refreshToken.token,
+      refreshExpiresAt: refreshToken.expiresAt,
+      sessionId,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        userType: user.role,
+        role: user.role, // Keep for backward compatibility
+        token: accessToken.token,
+      },
+    };
+  }
 
-    // Check for number
-    if (!/[0-9]/.test(password)) {
-      return {
-        isValid: false,
-        message: "Password must contain at least one number",
-      };
+  // Whether the user's role requires 2FA (built-in defaults when the roles table cannot be read)
+  async roleRequiresTwoFactor(user) {
+    try {
+      const role = await this.roleModel.getCachedByKey(user.role);
+      return !!(role && role.require_two_factor);
+    } catch (error) {
+      console.error("Error loading role:", user.role, error.message);
+      return false;
     }
+  }
 
-    // Check for special character
-    if (!/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)) {
-      return {
-        isValid: false,
-        message: "Password must contain at least one special character",
-      };
+  // Challenge token for the second login step, or null when the user has no 2FA and does not need it
+  async twoFactorChallengeFor(user) {
+    const twoFactor = await this.twoFactorModel.get(user.id);
+    if (twoFactor && twoFactor.enabled_at) {
+      return { purpose: "verify", ...signChallengeToken(user, "verify") };
     }
-
-    return {
-      isValid: true,
-      message: "Password is valid",
-    };
+    if (await this.roleRequiresTwoFactor(user)) {
+      return { purpose: "enroll", ...signChallengeToken(user, "enroll") };
+    }
+    return null;
   }
 
   // Handle user login
@@ -302,11 +372,23 @@ class AuthController {
     }
 
     try {
+      // Locked or throttled emails and IPs are refused before the password is checked
+      const attempt = { accountType: "staff", email, ip: clientIp(req), userAgent: req.headers["user-agent"] };
+      const gate = await checkLogin(this.pool, attempt);
+      if (!gate.allowed) {
+        await recordLoginAttempt(this.pool, { ...attempt, success: false, reason: gate.reason });
+        await this.auditLogin("login_failed", null, { email, reason: gate.reason });
+        res.set("Retry-After", String(gate.retryAfter));
+        return res.status(429).json(blockedLoginBody(gate));
+      }
+
       // Find user by email
       const user = await this.userModel.findByEmail(email);
 
       // Check if user exists
       if (!user) {
+        await recordLoginAttempt(this.pool, { ...attempt, success: false, reason: "unknown_email" });
+        await this.auditLogin("login_failed", null, { email, reason: "unknown_email" });
         return res.status(401).json({
           success: false,
           message: "Invalid email or password",
@@ -315,6 +397,8 @@ class AuthController {
 
       // Check if user is active
       if (!user.status) {
+        await recordLoginAttempt(this.pool, { ...attempt, accountId: user.id, success: false, reason: "deactivated" });
+        await this.auditLogin("login_failed", user, { reason: "deactivated" });
         return res.status(401).json({
           success: false,
           message: "Your account has been deactivated. Please contact support.",
@@ -333,39 +417,39 @@ class AuthController {
       // Compare passwords
       const isPasswordValid = await bcrypt.compare(password, user.password);
 
-      console.log("IS PASSWORD VALID:", isPasswordValid);
-
       if (!isPasswordValid) {
+        await recordLoginAttempt(this.pool, { ...attempt, accountId: user.id, success: false, reason: "invalid_password" });
+        await this.auditLogin("login_failed", user, { reason: "invalid_password" });
         return res.status(401).json({
           success: false,
           message: "Invalid email or password",
         });
       }
 
-      // Generate a new JWT token
-      const token = jwt.sign(
-        { userId: user.id, email: user.email, userType: user.role },
-        process.env.JWT_SECRET || "default_secret_key",
-        { expiresIn: "7d" }
-      );
-
-      // Update the token in the database
-      await this.userModel.updateToken(user.id, token);
-
-      // Send success response with userType for frontend compatibility
-      res.status(200).json({
+      // Users with 2FA (or whose role requires it) get a challenge token instead of a session
+      const challenge = await this.twoFactorChallengeFor(user);
+      await recordLoginAttempt(this.pool, {
+        ...attempt,
+        accountId: user.id,
         success: true,
-        message: "Login successful",
-        token: token,
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          userType: user.role,
-          role: user.role, // Keep for backward compatibility
-          token: token,
-        },
+        reason: challenge ? "two_factor_pending" : null,
       });
+      if (challenge) {
+        await this.auditLogin("two_factor_challenge", user, { purpose: challenge.purpose });
+        return res.status(200).json({
+          success: true,
+          message:
+            challenge.purpose === "enroll"
+              ? "Two-factor authentication is required for your role. Please set it up to continue."
+              : "Enter the code from your authenticator app",
+          twoFactorRequired: true,
+          enrollmentRequired: challenge.purpose === "enroll",
+          challengeToken: challenge.token,
+          challengeExpiresIn: challenge.expiresIn,
+        });
+      }
+
+      res.status(200).json(await this.startSession(req, user));
     } catch (error) {
       console.error("Error during login:", error);
       console.error("Error stack:", error.stack);
@@ -379,30 +463,118 @@ class AuthController {
     }
   }
 
-  // Handle user logout
-  async logout(req, res) {
+  // POST /api/auth/refresh { refreshToken } - new access token and refresh token for the same session
+  async refresh(req, res) {
+    const { refreshToken } = req.body;
+    const sessionId = sessionIdFromRefreshToken(refreshToken);
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: "A refresh token is required",
+      });
+    }
+
     try {
-      const token = req.headers.authorization?.split(" ")[1];
+      const presentedHash = hashToken(refreshToken);
+      const session = await this.sessionModel.getAuthSession(sessionId);
+      if (!session || session.revoked_at) {
+        return res.status(401).json({
+          success: false,
+          message: "Your session has ended. Please log in again.",
+        });
+      }
 
-      if (!token) {
-        return res.status(400).json({
+      // A token that was already rotated is being replayed: someone else holds a copy, so end the session
+      if (session.previous_refresh_token_hash === presentedHash) {
+        await this.sessionModel.revokeAuthSession(sessionId, "refresh_token_reuse");
+        const owner = await this.userModel.findById(session.user_id);
+        await this.auditLogin("logout", owner, { session_id: sessionId, reason: "refresh_token_reuse" });
+        return res.status(401).json({
           success: false,
-          message: "No token provided",
+          message: "Your session has ended. Please log in again.",
         });
       }
 
-      // Find user by token
-      const user = await this.userModel.findByToken(token);
+      const user = await this.userModel.findById(session.user_id);
+      if (!user || !user.status) {
+        await this.sessionModel.revokeAuthSession(sessionId, "deactivated");
+        return res.status(401).json({
+          success: false,
+          message: "Your account has been deactivated. Please contact support.",
+        });
+      }
 
-      if (!user) {
+      const nextRefreshToken = generateRefreshToken(sessionId);
+      const rotated = await this.sessionModel.rotateRefreshToken(sessionId, presentedHash, {
+        refreshTokenHash: nextRefreshToken.hash,
+        refreshExpiresAt: nextRefreshToken.expiresAt,
+        ipAddress: clientIp(req),
+      });
+      if (!rotated) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired refresh token",
+        });
+      }
+
+      const accessToken = signAccessToken(user, sessionId);
+      res.status(200).json({
+        success: true,
+        token: accessToken.token,
+        expiresIn: accessToken.expiresIn,
+        refreshToken: nextRefreshToken.token,
+        refreshExpiresAt: nextRefreshToken.expiresAt,
+        sessionId,
+      });
+    } catch (error) {
+      console.error("Error refreshing token:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while refreshing the session",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // Handle user logout: ends the session of the refresh token in the body, or of the (possibly expired) access token
+  async logout(req, res) {
+    try {
+      let sessionId = sessionIdFromRefreshToken(req.body?.refreshToken);
+      let session = null;
+
+      if (sessionId) {
+        session = await this.sessionModel.getAuthSession(sessionId);
+        if (session && session.refresh_token_hash !== hashToken(req.body.refreshToken)) {
+          session = null;
+        }
+      } else {
+        const token = req.headers.authorization?.split(" ")[1];
+        if (!token) {
+          return res.status(400).json({
+            success: false,
+            message: "No token provided",
+          });
+        }
+        try {
+          sessionId = verifyAccessToken(token, { ignoreExpiration: true }).sid;
+          session = await this.sessionModel.getAuthSession(sessionId);
+        } catch (tokenError) {
+          session = null;
+        }
+      }
+
+      if (!session) {
         return res.status(401).json({
           success: false,
           message: "Invalid token",
         });
       }
 
-      // Clear the token in the database
-      await this.userModel.updateToken(user.id, null);
+      if (await this.sessionModel.revokeAuthSession(session.session_id, "logout")) {
+        const user = await this.userModel.findById(session.user_id);
+        await this.auditLogin("logout", user, { session_id: session.session_id });
+      }
 
       res.status(200).json({
         success: true,
@@ -419,55 +591,586 @@ class AuthController {
     }
   }
 
-  // async sendResetPasswordEmail(req, res) {
-  //   const { email } = req.body;
-
-  //   if (!email) {
-  //     return res.status(400).json({
-  //       success: false,
-  //       message: "Email is required",
-  //     });
-  //   }
-    
-  //   try {
-  //     const user = await this.userModel.findByEmail(email);
-  //     if (!user) {
-  //       return res.status(404).json({
-  //         success: false,
-  //         message: "User not found",
-  //       });
-  //     }
-  //     const token = jwt.sign(
-  //       { userId: user.id, email: user.email, userType: user.role },
-  //       process.env.JWT_SECRET || "default_secret_key",
-  //       { expiresIn: "7d" }
-  //     );
-  //     await this.userModel.updateToken(user.id, token);
-  //     await sendMail({
-  //       to: user.email,
-  //       subject: "Reset Password",
-  //       html: `
-  //         <div>
-  //           <p>Hello,</p>
-  //           <p>Click the link below to reset your password:</p>
-  //           <a href="${baseUrl}/dashboard/auth/reset-password?token=${token}">Reset Password</a>
-  //           <p>If you did not request a password reset, please ignore this email.</p>
-  //         </div>
-  //       `,
-  //     });
-  //     return res.status(200).json({
-  //       success: true,
-  //       message: "Reset password email sent",
-  //     });
-  //   } catch (error) {
-  //     console.error("Error sending reset password email:", error);
-  //     return res.status(500).json({
-  //       success: false,
-  //       message: "An error occurred while sending the reset password email",
-  //     });
-  //   }
-    
-  // }
+  // POST /api/auth/logout-all - ends every session of the current user, this one included
+  async logoutAll(req, res) {
+    try {
+      const revoked = await this.sessionModel.revokeAllAuthSessions(req.user.id, "logout_all");
+      await this.auditLogin("logout", req.user, { scope: "all_sessions", revoked });
+
+      res.status(200).json({
+        success: true,
+        message: "Logged out of all sessions",
+        revoked,
+      });
+    } catch (error) {
+      console.error("Error logging out of all sessions:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred during logout",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // GET /api/auth/sessions - active sessions (devices) of the current user
+  async getSessions(req, res) {
+    try {
+      const sessions = await this.sessionModel.getAuthSessionsForUser(req.user.id);
+      res.status(200).json({
+        success: true,
+        sessions: sessions.map((session) => ({
+          ...session,
+          current: session.session_id === req.user.session_id,
+        })),
+      });
+    } catch (error) {
+      console.error("Error getting sessions:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while retrieving sessions",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // DELETE /api/auth/sessions/:sessionId - end one of the current user's sessions
+  async revokeSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const revoked = await this.sessionModel.revokeAuthSession(sessionId, "logout", { userId: req.user.id });
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: "Session not found",
+        });
+      }
+      await this.auditLogin("logout", req.user, { session_id: sessionId });
+
+      res.status(200).json({
+        success: true,
+        message: "Session ended",
+      });
+    } catch (error) {
+      console.error("Error revoking session:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while ending the session",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // POST /api/auth/forgot-password { email } - same answer whether or not the account exists
+  async forgotPassword(req, res) {
+    const email = String(req.body?.email || "").toLowerCase().trim();
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    try {
+      const user = await this.userModel.findByEmail(email);
+      if (user && user.status) {
+        await sendUserTokenEmail(this.pool, user, "password_reset", { requestedIp: clientIp(req) });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "If an account exists for this email, a password reset link has been sent",
+      });
+    } catch (error) {
+      console.error("Error sending reset password email:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while sending the reset password email",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // POST /api/auth/check-token { token } - lets the reset / invite / verification page check its link first
+  async checkAccountToken(req, res) {
+    try {
+      const token = req.body?.token;
+      const row = token ? await this.authTokenModel.findValid(hashToken(token)) : null;
+      if (!row) {
+        return res.status(400).json({
+          success: false,
+          message: "This link is invalid or has expired",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        purpose: row.purpose,
+        email: row.email,
+        name: row.name,
+        expiresAt: row.expires_at,
+      });
+    } catch (error) {
+      console.error("Error checking account token:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while checking the link",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  /**
+   * Set a new password with a reset or invite token; the token is used up and all sessions end.
+   * @returns {Promise<{ user?: Object, error?: string }>} error is a message for a 400 response
+   */
+  async setPasswordWithToken({ token, password, confirmPassword }, purpose) {
+    if (!token || !password) {
+      return { error: "Token and password are required" };
+    }
+    if (confirmPassword !== undefined && password !== confirmPassword) {
+      return { error: "Passwords do not match" };
+    }
+
+    const tokenHash = hashToken(token);
+    const row = await this.authTokenModel.findValid(tokenHash, [purpose]);
+    if (!row) {
+      return { error: "This link is invalid or has expired" };
+    }
+
+    // Check the password before using up the token, so a weak password can be corrected
+    const passwordValidation = validatePassword(password, { email: row.email, name: row.name });
+    if (!passwordValidation.isValid) {
+      return { error: passwordValidation.message };
+    }
+
+    if (!(await this.authTokenModel.consume(tokenHash, [purpose]))) {
+      return { error: "This link is invalid or has expired" };
+    }
+
+    const user = await this.userModel.updatePassword(row.user_id, password);
+    // Following an emailed link proves the address
+    await this.userModel.markEmailVerified(row.user_id);
+    await recordAudit(this.pool, {
+      action: purpose === "invite" ? "invite" : "password_reset",
+      entityType: "user",
+      entityId: user.id,
+      entityLabel: user.email,
+      user: { id: user.id, email: user.email },
+      metadata: purpose === "invite" ? { status: "accepted" } : null,
+    });
+    return { user };
+  }
+
+  // POST /api/auth/reset-password { token, password, confirmPassword }
+  async resetPassword(req, res) {
+    try {
+      const { error } = await this.setPasswordWithToken(req.body || {}, "password_reset");
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Your password has been reset. Please log in with your new password.",
+      });
+    } catch (error) {
+      console.error("Error resetting password:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while resetting the password",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // POST /api/auth/accept-invite { token, password, confirmPassword }
+  async acceptInvite(req, res) {
+    try {
+      const { error } = await this.setPasswordWithToken(req.body || {}, "invite");
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Your account is ready. Please log in with your new password.",
+      });
+    } catch (error) {
+      console.error("Error accepting invite:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while accepting the invite",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // POST /api/auth/verify-email/request - emails the current user a verification link
+  async requestEmailVerification(req, res) {
+    try {
+      const user = await this.userModel.findById(req.user.id);
+      if (user.email_verified_at) {
+        return res.status(200).json({
+          success: true,
+          message: "Your email address is already verified",
+        });
+      }
+
+      await sendUserTokenEmail(this.pool, user, "email_verification", { requestedIp: clientIp(req) });
+      res.status(200).json({
+        success: true,
+        message: "A verification link has been sent to your email address",
+      });
+    } catch (error) {
+      console.error("Error sending verification email:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while sending the verification email",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // POST /api/auth/verify-email { token }
+  async verifyEmail(req, res) {
+    try {
+      const token = req.body?.token;
+      const row = token ? await this.authTokenModel.consume(hashToken(token), ["email_verification"]) : null;
+      if (!row) {
+        return res.status(400).json({
+          success: false,
+          message: "This link is invalid or has expired",
+        });
+      }
+
+      const user = await this.userModel.markEmailVerified(row.user_id);
+      await recordAudit(this.pool, {
+        action: "email_verified",
+        entityType: "user",
+        entityId: user.id,
+        entityLabel: user.email,
+        user: { id: user.id, email: user.email },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Your email address has been verified",
+        emailVerifiedAt: user.email_verified_at,
+      });
+    } catch (error) {
+      console.error("Error verifying email:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while verifying the email address",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // Middleware for the enrollment routes during a login that requires 2FA setup: accepts { challengeToken }
+  verifyEnrollmentChallenge(req, res, next) {
+    try {
+      const challenge = verifyChallengeToken(req.body.challengeToken, "enroll");
+      req.twoFactorChallenge = { userId: challenge.userId };
+      next();
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: "Your login has expired. Please log in again.",
+      });
+    }
+  }
+
+  // Code check shared by verify, disable and recovery code regeneration
+  async checkTwoFactorCode(user, twoFactor, { code, recoveryCode }) {
+    if (recoveryCode) {
+      const valid = await this.twoFactorModel.useRecoveryCode(user.id, hashRecoveryCode(recoveryCode));
+      return { valid, method: "recovery_code" };
+    }
+    const step = verifyTotp(decryptSecret(twoFactor.secret_encrypted), code, {
+      lastUsedStep: twoFactor.last_used_step,
+    });
+    const valid = step !== null && (await this.twoFactorModel.markStepUsed(user.id, step));
+    return { valid, method: "totp" };
+  }
+
+  // Count a wrong code and answer 401, or 429 once verification is locked
+  async rejectTwoFactorCode(res, user, method) {
+    const failure = await this.twoFactorModel.recordFailure(user.id);
+    await this.auditLogin("two_factor_failed", user, { method, locked: failure.locked });
+    if (failure.locked) return this.lockedResponse(res);
+    return res.status(401).json({
+      success: false,
+      message: "Invalid authentication code",
+    });
+  }
+
+  lockedResponse(res) {
+    return res.status(429).json({
+      success: false,
+      message: `Too many invalid codes. Try again in ${UserTwoFactor.LOCK_MINUTES} minutes.`,
+    });
+  }
+
+  // GET /api/auth/2fa
+  async getTwoFactorStatus(req, res) {
+    try {
+      const user = await this.userModel.findById(req.user.id);
+      const twoFactor = await this.twoFactorModel.get(user.id);
+      res.status(200).json({
+        success: true,
+        enabled: !!(twoFactor && twoFactor.enabled_at),
+        enabledAt: twoFactor?.enabled_at || null,
+        required: await this.roleRequiresTwoFactor(user),
+        recoveryCodesRemaining: twoFactor?.enabled_at ? twoFactor.recovery_codes_remaining : 0,
+      });
+    } catch (error) {
+      console.error("Error getting two-factor status:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while retrieving two-factor status",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // POST /api/auth/2fa/enroll/start - new secret for the authenticator app (access token or enroll challenge)
+  async startTwoFactorEnrollment(req, res) {
+    try {
+      const user = await this.userModel.findById(req.twoFactorChallenge?.userId ?? req.user.id);
+      if (!user || !user.status) {
+        return res.status(401).json({
+          success: false,
+          message: "Your login has expired. Please log in again.",
+        });
+      }
+
+      const twoFactor = await this.twoFactorModel.get(user.id);
+      if (twoFactor && twoFactor.enabled_at) {
+        return res.status(409).json({
+          success: false,
+          message: "Two-factor authentication is already enabled",
+        });
+      }
+
+      const secret = generateTotpSecret();
+      await this.twoFactorModel.setPendingSecret(user.id, encryptSecret(secret));
+
+      // otpauthUrl is rendered as a QR code by the frontend; secret is for manual entry
+      res.status(200).json({
+        success: true,
+        secret,
+        otpauthUrl: otpauthUrl(secret, user.email),
+      });
+    } catch (error) {
+      console.error("Error starting two-factor enrollment:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while starting two-factor enrollment",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // POST /api/auth/2fa/enroll/confirm { code } - enables 2FA and returns the recovery codes (shown once);
+  // during a login (enroll challenge) the response also carries the session tokens
+  async confirmTwoFactorEnrollment(req, res) {
+    try {
+      const user = await this.userModel.findById(req.twoFactorChallenge?.userId ?? req.user.id);
+      if (!user || !user.status) {
+        return res.status(401).json({
+          success: false,
+          message: "Your login has expired. Please log in again.",
+        });
+      }
+
+      const twoFactor = await this.twoFactorModel.get(user.id);
+      if (!twoFactor || !twoFactor.pending_secret_encrypted) {
+        return res.status(400).json({
+          success: false,
+          message: "Start two-factor enrollment first",
+        });
+      }
+      if (twoFactor.is_locked) return this.lockedResponse(res);
+
+      const step = verifyTotp(decryptSecret(twoFactor.pending_secret_encrypted), req.body.code);
+      if (step === null) {
+        return this.rejectTwoFactorCode(res, user, "enrollment");
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await this.twoFactorModel.enable(user.id, step, hashes);
+      await this.auditLogin("two_factor_enrolled", user, { required: await this.roleRequiresTwoFactor(user) });
+
+      if (req.twoFactorChallenge) {
+        const session = await this.startSession(req, user, { two_factor: "enrollment" });
+        return res.status(200).json({ ...session, recoveryCodes: codes });
+      }
+      res.status(200).json({
+        success: true,
+        message: "Two-factor authentication enabled",
+        recoveryCodes: codes,
+      });
+    } catch (error) {
+      console.error("Error confirming two-factor enrollment:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while enabling two-factor authentication",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // POST /api/auth/2fa/verify { challengeToken, code } or { challengeToken, recoveryCode } - second login step
+  async verifyTwoFactor(req, res) {
+    try {
+      let challenge;
+      try {
+        challenge = verifyChallengeToken(req.body.challengeToken, "verify");
+      } catch (tokenError) {
+        return res.status(401).json({
+          success: false,
+          message: "Your login has expired. Please log in again.",
+        });
+      }
+
+      const user = await this.userModel.findById(challenge.userId);
+      const twoFactor = user && user.status ? await this.twoFactorModel.get(user.id) : null;
+      if (!twoFactor || !twoFactor.enabled_at) {
+        return res.status(401).json({
+          success: false,
+          message: "Your login has expired. Please log in again.",
+        });
+      }
+      if (twoFactor.is_locked) return this.lockedResponse(res);
+
+      const { valid, method } = await this.checkTwoFactorCode(user, twoFactor, req.body);
+      if (!valid) {
+        return this.rejectTwoFactorCode(res, user, method);
+      }
+
+      await this.auditLogin("two_factor_verified", user, { method });
+      const session = await this.startSession(req, user, { two_factor: method });
+      if (method === "recovery_code") {
+        session.recoveryCodesRemaining = Math.max(twoFactor.recovery_codes_remaining - 1, 0);
+      }
+      res.status(200).json(session);
+    } catch (error) {
+      console.error("Error verifying two-factor code:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while verifying the code",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // POST /api/auth/2fa/recovery-codes { code } - replaces all recovery codes
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const user = await this.userModel.findById(req.user.id);
+      const twoFactor = await this.twoFactorModel.get(user.id);
+      if (!twoFactor || !twoFactor.enabled_at) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+      if (twoFactor.is_locked) return this.lockedResponse(res);
+
+      const { valid, method } = await this.checkTwoFactorCode(user, twoFactor, { code: req.body.code });
+      if (!valid) {
+        return this.rejectTwoFactorCode(res, user, method);
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await this.twoFactorModel.replaceRecoveryCodes(user.id, hashes);
+      await this.auditLogin("two_factor_recovery_codes", user);
+
+      res.status(200).json({
+        success: true,
+        message: "New recovery codes generated. Earlier codes no longer work.",
+        recoveryCodes: codes,
+      });
+    } catch (error) {
+      console.error("Error regenerating recovery codes:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while generating recovery codes",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // POST /api/auth/2fa/disable { password, code | recoveryCode } - not allowed when the role requires 2FA
+  async disableTwoFactor(req, res) {
+    try {
+      const user = await this.userModel.findById(req.user.id);
+      if (await this.roleRequiresTwoFactor(user)) {
+        return res.status(403).json({
+          success: false,
+          message: "Two-factor authentication is required for your role",
+        });
+      }
+
+      const twoFactor = await this.twoFactorModel.get(user.id);
+      if (!twoFactor || !twoFactor.enabled_at) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+      if (twoFactor.is_locked) return this.lockedResponse(res);
+
+      if (!req.body.password || !(await bcrypt.compare(String(req.body.password), user.password))) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid password",
+        });
+      }
+
+      const { valid, method } = await this.checkTwoFactorCode(user, twoFactor, req.body);
+      if (!valid) {
+        return this.rejectTwoFactorCode(res, user, method);
+      }
+
+      await this.twoFactorModel.disable(user.id);
+      await this.auditLogin("two_factor_disabled", user, { method });
+
+      res.status(200).json({
+        success: true,
+        message: "Two-factor authentication disabled",
+      });
+    } catch (error) {
+      console.error("Error disabling two-factor authentication:", error);
+      res.status(500).json({
+        success: false,
+        message: "An error occurred while disabling two-factor authentication",
+        error:
+          process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
 }
 
 module.exports = AuthController;
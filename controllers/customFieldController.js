@@ -1,4 +1,5 @@
 const CustomFieldDefinition = require('../models/customFieldDefinition');
+const { validationRulesError } = require('../services/customFieldValidationService');
 
 class CustomFieldController {
     constructor(pool) {
@@ -71,6 +72,15 @@ class CustomFieldController {
                 });
             }
 
+            // Validate validation rules (the pattern is run against every saved value)
+            const rulesError = validationRulesError(validationRules);
+            if (rulesError) {
+                return res.status(400).json({
+                    success: false,
+                    message: rulesError
+                });
+            }
+
             // Read-only: when true, required is auto-disabled
             const effectiveRequired = isReadOnly ? false : Boolean(isRequired);
             const finalIsHidden = Boolean(isHidden);
@@ -282,6 +292,17 @@ class CustomFieldController {
                 }
             }
 
+            // 7a. Validate validation rules (the pattern is run against every saved value)
+            if (updateData.validationRules !== undefined) {
+                const rulesError = validationRulesError(updateData.validationRules);
+                if (rulesError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: rulesError
+                    });
+                }
+            }
+
             // 8. Sanitize and convert boolean values properly
             const sanitizedData = { ...updateData };
             
@@ -10,6 +10,7 @@ const Placement = require("../models/placement");
 const EmailTemplateModel = require("../models/emailTemplateModel");
 const { renderTemplate } = require("../utils/templateRenderer");
 const { sendMail } = require("../services/emailService");
+const { auditRecordChange, snapshotRecord } = require("../services/auditService");
 
 const PAYROLL_EMAIL = process.env.PAYROLL_EMAIL || "payroll@completestaffingsolutions.com";
 // const PAYROLL_EMAIL = "yasirrehman274@gmail.com";
@@ -500,7 +501,16 @@ class DeleteRequestController {
       // Execute the deletion (archive the record) FIRST, then mark as approved.
       // This way if executeDeletion fails (e.g. timeout), the request stays pending and can be retried.
       const requestWithReviewer = { ...deleteRequest, reviewed_by: userId };
+      const recordBefore = await snapshotRecord(this.pool, deleteRequest.record_type, deleteRequest.record_id);
       await this.executeDeletion(requestWithReviewer);
+      await auditRecordChange(this.pool, {
+        action: "archive",
+        entityType: deleteRequest.record_type,
+        entityId: deleteRequest.record_id,
+        before: recordBefore,
+        after: await snapshotRecord(this.pool, deleteRequest.record_type, deleteRequest.record_id),
+        metadata: { delete_request_id: deleteRequest.id, cascade: deleteRequest.action_type === "cascade" },
+      });
 
       // Now mark the delete request as approved
       const approvedRequest = await this.deleteRequestModel.approve(id, userId);
@@ -1350,7 +1360,16 @@ class DeleteRequestController {
       }
 
       const requestWithReviewer = { ...unarchiveRequest, reviewed_by: userId };
+      const recordBefore = await snapshotRecord(this.pool, unarchiveRequest.record_type, unarchiveRequest.record_id);
       await this.executeUnarchive(requestWithReviewer);
+      await auditRecordChange(this.pool, {
+        action: "unarchive",
+        entityType: unarchiveRequest.record_type,
+        entityId: unarchiveRequest.record_id,
+        before: recordBefore,
+        after: await snapshotRecord(this.pool, unarchiveRequest.record_type, unarchiveRequest.record_id),
+        metadata: { unarchive_request_id: unarchiveRequest.id },
+      });
 
       const approved = await this.unarchiveRequestModel.approve(id, userId);
 
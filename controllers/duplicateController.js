@@ -0,0 +1,267 @@
+// controllers/duplicateController.js
+const DuplicateCandidate = require("../models/duplicateCandidate");
+const {
+  ENTITY_CONFIGS,
+  resolveEntityType,
+  recordFromPayload,
+  loadSummaries,
+  findDuplicatesForRecord,
+  scanDuplicates,
+  buildMergePreview,
+  confidenceFor,
+} = require("../services/duplicateDetectionService");
+const { buildAccessScope, accessibleIds } = require("../services/recordAccessService");
+
+class DuplicateController {
+  constructor(pool) {
+    this.pool = pool;
+    this.candidateModel = new DuplicateCandidate(pool);
+
+    this.getReport = this.getReport.bind(this);
+    this.runScan = this.runScan.bind(this);
+    this.check = this.check.bind(this);
+    this.getRecordDuplicates = this.getRecordDuplicates.bind(this);
+    this.getMergePreview = this.getMergePreview.bind(this);
+    this.updateCandidate = this.updateCandidate.bind(this);
+  }
+
+  async initTables() {
+    await this.candidateModel.initTable();
+  }
+
+  _entityType(req, res) {
+    const entityType = resolveEntityType(req.params.entityType);
+    if (!entityType) {
+      res.status(400).json({
+        success: false,
+        message: "Entity type must be one of: job-seekers, hiring-managers, leads",
+      });
+    }
+    return entityType;
+  }
+
+  async _canReadBoth(user, entityType, recordId, duplicateId) {
+    const allowed = await accessibleIds(this.pool, user, entityType, "read", [recordId, duplicateId]);
+    return allowed.has(String(recordId)) && allowed.has(String(duplicateId));
+  }
+
+  _notMergeable(res) {
+    return res.status(400).json({
+      success: false,
+      message: "Leads cannot be merged; dismiss the pair or update the records instead",
+    });
+  }
+
+  _serverError(res, message, error) {
+    return res.status(500).json({
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+
+  // GET /api/duplicates/:entityType?status=open&minScore=50&page=1&pageSize=50
+  // live=true scores the current data instead of reading the last nightly scan
+  async getReport(req, res) {
+    try {
+      const entityType = this._entityType(req, res);
+      if (!entityType) return;
+
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 50, 1), 200);
+      const minScore = req.query.minScore !== undefined ? Number(req.query.minScore) || 0 : undefined;
+
+      // Only pairs of records the caller may read
+      const accessScope = await buildAccessScope(this.pool, req.user, entityType, "read");
+      let rows;
+      let total;
+      if (req.query.live === "true") {
+        const pairs = await scanDuplicates(this.pool, entityType, { minScore, accessScope });
+        total = pairs.length;
+        rows = pairs.slice((page - 1) * pageSize, page * pageSize).map((p) => ({
+          id: null,
+          record_id: p.recordId,
+          duplicate_id: p.duplicateId,
+          score: p.score,
+          reasons: p.reasons,
+          status: "open",
+        }));
+      } else {
+        const status = req.query.status || "open";
+        if (!DuplicateCandidate.CANDIDATE_STATUSES.includes(status)) {
+          return res.status(400).json({
+            success: false,
+            message: `status must be one of: ${DuplicateCandidate.CANDIDATE_STATUSES.join(", ")}`,
+          });
+        }
+        ({ rows, total } = await this.candidateModel.list(entityType, {
+          status,
+          minScore: minScore || 0,
+          limit: pageSize,
+          offset: (page - 1) * pageSize,
+          accessScope,
+        }));
+      }
+
+      const summaries = await loadSummaries(this.pool, entityType, [
+        ...new Set(rows.flatMap((r) => [r.record_id, r.duplicate_id])),
+      ]);
+
+      const duplicates = rows
+        .filter((r) => summaries.has(r.record_id) && summaries.has(r.duplicate_id))
+        .map((r) => ({
+          candidateId: r.id,
+          score: r.score,
+          confidence: confidenceFor(r.score),
+          reasons: r.reasons,
+          status: r.status,
+          detectedAt: r.detected_at || null,
+          record: summaries.get(r.record_id),
+          duplicate: summaries.get(r.duplicate_id),
+        }));
+
+      return res.status(200).json({
+        success: true,
+        entityType,
+        mergeable: ENTITY_CONFIGS[entityType].mergeable,
+        duplicates,
+        pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) },
+      });
+    } catch (error) {
+      console.error("Error getting duplicate report:", error);
+      return this._serverError(res, "An error occurred while retrieving duplicates", error);
+    }
+  }
+
+  // POST /api/duplicates/:entityType/scan - run the nightly scan now (admin)
+  async runScan(req, res) {
+    try {
+      const entityType = this._entityType(req, res);
+      if (!entityType) return;
+
+      const pairs = await scanDuplicates(this.pool, entityType);
+      const result = await this.candidateModel.replaceScanResults(entityType, pairs);
+
+      return res.status(200).json({ success: true, entityType, ...result });
+    } catch (error) {
+      console.error("Error running duplicate scan:", error);
+      return this._serverError(res, "An error occurred while scanning for duplicates", error);
+    }
+  }
+
+  // POST /api/duplicates/:entityType/check - likely duplicates of an unsaved record (same body as create)
+  async check(req, res) {
+    try {
+      const entityType = this._entityType(req, res);
+      if (!entityType) return;
+
+      const duplicates = await findDuplicatesForRecord(this.pool, entityType, recordFromPayload(req.body || {}), {
+        excludeId: req.body?.id ?? null,
+        accessScope: await buildAccessScope(this.pool, req.user, entityType, "read"),
+      });
+
+      return res.status(200).json({ success: true, duplicates });
+    } catch (error) {
+      console.error("Error checking for duplicates:", error);
+      return this._serverError(res, "An error occurred while checking for duplicates", error);
+    }
+  }
+
+  // GET /api/duplicates/:entityType/records/:id - likely duplicates of an existing record
+  // (the route checks read access to the record itself)
+  async getRecordDuplicates(req, res) {
+    try {
+      const entityType = this._entityType(req, res);
+      if (!entityType) return;
+
+      const { table } = ENTITY_CONFIGS[entityType];
+      const result = await this.pool.query(`SELECT * FROM ${table} WHERE id = $1`, [req.params.id]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, message: "Record not found" });
+      }
+
+      const duplicates = await findDuplicatesForRecord(this.pool, entityType, result.rows[0], {
+        excludeId: result.rows[0].id,
+        minScore: req.query.minScore !== undefined ? Number(req.query.minScore) || 0 : undefined,
+        accessScope: await buildAccessScope(this.pool, req.user, entityType, "read"),
+      });
+
+      return res.status(200).json({ success: true, duplicates });
+    } catch (error) {
+      console.error("Error getting record duplicates:", error);
+      return this._serverError(res, "An error occurred while retrieving duplicates", error);
+    }
+  }
+
+  // GET /api/duplicates/:entityType/merge-preview?sourceId=1&targetId=2
+  // Source is merged into target; nothing is changed (use the transfer endpoints to execute)
+  async getMergePreview(req, res) {
+    try {
+      const entityType = this._entityType(req, res);
+      if (!entityType) return;
+      if (!ENTITY_CONFIGS[entityType].mergeable) return this._notMergeable(res);
+
+      const sourceId = parseInt(req.query.sourceId, 10);
+      const targetId = parseInt(req.query.targetId, 10);
+      if (!sourceId || !targetId) {
+        return res.status(400).json({ success: false, message: "sourceId and targetId are required" });
+      }
+      if (sourceId === targetId) {
+        return res.status(400).json({ success: false, message: "Source and target must be different records" });
+      }
+
+      const preview = await buildMergePreview(this.pool, entityType, sourceId, targetId);
+      if (!preview) {
+        return res.status(404).json({ success: false, message: "Source or target record not found" });
+      }
+      if (!(await this._canReadBoth(req.user, entityType, sourceId, targetId))) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. You do not have permission to read both records.",
+        });
+      }
+
+      return res.status(200).json({ success: true, preview });
+    } catch (error) {
+      console.error("Error building merge preview:", error);
+      return this._serverError(res, "An error occurred while building the merge preview", error);
+    }
+  }
+
+  // PATCH /api/duplicates/:entityType/candidates/:candidateId - body { status: "dismissed" | "open" | "merged" }
+  async updateCandidate(req, res) {
+    try {
+      const entityType = this._entityType(req, res);
+      if (!entityType) return;
+
+      const { status } = req.body || {};
+      if (!DuplicateCandidate.CANDIDATE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${DuplicateCandidate.CANDIDATE_STATUSES.join(", ")}`,
+        });
+      }
+
+      if (status === "merged" && !ENTITY_CONFIGS[entityType].mergeable) return this._notMergeable(res);
+
+      const existing = await this.candidateModel.getById(req.params.candidateId);
+      if (!existing || existing.entity_type !== entityType) {
+        return res.status(404).json({ success: false, message: "Duplicate candidate not found" });
+      }
+      if (!(await this._canReadBoth(req.user, entityType, existing.record_id, existing.duplicate_id))) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. You do not have permission to read both records.",
+        });
+      }
+
+      const candidate = await this.candidateModel.setStatus(existing.id, status, req.user?.id || null);
+      return res.status(200).json({ success: true, candidate });
+    } catch (error) {
+      console.error("Error updating duplicate candidate:", error);
+      return this._serverError(res, "An error occurred while updating the duplicate candidate", error);
+    }
+  }
+}
+
+module.exports = DuplicateController;
@@ -0,0 +1,292 @@
+// controllers/exportController.js
+const ExportRun = require("../models/exportRun");
+const HeaderConfig = require("../models/headerConfig");
+const ActivityLog = require("../models/activityLog");
+const { hasPermission } = require("../services/permissionService");
+const { buildAccessScope } = require("../services/recordAccessService");
+const { ListQueryError } = require("../utils/listQuery");
+const { EXPORT_FORMATS, resolveExportFormat } = require("../utils/spreadsheetWriter");
+const {
+  EXPORT_ENTITIES,
+  ExportRequestError,
+  resolveExportEntityType,
+  getAvailableColumns,
+  resolveColumns,
+  parseExportQuery,
+  countExportRows,
+  writeExport,
+  exportFileName,
+  accessContextFor,
+  logExport,
+  processExportRuns,
+} = require("../services/exportService");
+
+const DEFAULT_SYNC_MAX_ROWS = 20000;
+
+// Exports above this many rows run in the background instead of streaming in the request
+function syncMaxRows() {
+  const value = parseInt(process.env.EXPORT_SYNC_MAX_ROWS, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_SYNC_MAX_ROWS;
+}
+
+function downloadUrl(run) {
+  return `/api/export/runs/${run.id}/download`;
+}
+
+class ExportController {
+  constructor(pool) {
+    this.pool = pool;
+    this.exportRunModel = new ExportRun(pool);
+
+    this.getEntities = this.getEntities.bind(this);
+    this.getColumns = this.getColumns.bind(this);
+    this.exportList = this.exportList.bind(this);
+    this.getRuns = this.getRuns.bind(this);
+    this.getRun = this.getRun.bind(this);
+    this.downloadRun = this.downloadRun.bind(this);
+  }
+
+  async initTables() {
+    await new HeaderConfig(this.pool).initTable();
+    await new ActivityLog(this.pool).initTable();
+    await this.exportRunModel.initTable();
+  }
+
+  _serverError(res, message, error) {
+    return res.status(500).json({
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+
+  _canExport(user, entityType) {
+    return hasPermission(user.permissions, `${EXPORT_ENTITIES[entityType].permission}.export`);
+  }
+
+  // Resolves :entityType and checks <entity>.export; sends 400/403 and returns null otherwise
+  _entityType(req, res) {
+    const entityType = resolveExportEntityType(req.params.entityType);
+    if (!entityType) {
+      res.status(400).json({
+        success: false,
+        message: `Unsupported entity type. Use one of: ${Object.keys(EXPORT_ENTITIES).join(", ")}`,
+      });
+      return null;
+    }
+    if (!this._canExport(req.user, entityType)) {
+      res.status(403).json({
+        success: false,
+        message: "Insufficient permissions",
+        required: [`${EXPORT_ENTITIES[entityType].permission}.export`],
+      });
+      return null;
+    }
+    return entityType;
+  }
+
+  // Loads an export run the user requested; sends 404 otherwise
+  async _loadRun(req, res, options = {}) {
+    const run = await this.exportRunModel.getById(req.params.id, options);
+    if (!run || run.created_by !== req.user.id) {
+      res.status(404).json({ success: false, message: "Export not found" });
+      return null;
+    }
+    return run;
+  }
+
+  // GET /api/export/entities - entities the user may export, with the available formats
+  async getEntities(req, res) {
+    const entities = Object.entries(EXPORT_ENTITIES)
+      .filter(([entityType]) => this._canExport(req.user, entityType))
+      .map(([entityType, config]) => ({ entityType, label: config.label }));
+    return res.status(200).json({ success: true, entities, formats: Object.keys(EXPORT_FORMATS) });
+  }
+
+  // GET /api/export/:entityType/columns - every exportable column plus the default selection
+  async getColumns(req, res) {
+    try {
+      const entityType = this._entityType(req, res);
+      if (!entityType) return;
+
+      const [available, selected] = await Promise.all([
+        getAvailableColumns(this.pool, entityType),
+        resolveColumns(this.pool, entityType, null),
+      ]);
+      return res.status(200).json({
+        success: true,
+        entityType,
+        columns: available,
+        defaultColumns: selected.columns.map((c) => c.key),
+        defaultSource: selected.source,
+      });
+    } catch (error) {
+      console.error("Error getting export columns:", error);
+      return this._serverError(res, "An error occurred while retrieving export columns", error);
+    }
+  }
+
+  /**
+   * GET /api/export/:entityType?format=csv|xlsx|json&columns=...&filter[...]=...&sort=...&q=...
+   * Streams the file, or queues a background run (202) when mode=background or the export is too large.
+   */
+  async exportList(req, res) {
+    let entityType;
+    let format;
+    let columns;
+    let query;
+    try {
+      entityType = this._entityType(req, res);
+      if (!entityType) return;
+
+      format = resolveExportFormat(req.query.format);
+      if (!format) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported format. Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+        });
+      }
+
+      const parsed = parseExportQuery(req.query, entityType);
+      query = parsed.query;
+      const { listOptions } = parsed;
+      ({ columns } = await resolveColumns(this.pool, entityType, req.query.columns));
+      if (columns.length === 0) {
+        return res.status(400).json({ success: false, message: "No columns to export" });
+      }
+
+      listOptions.accessScope = await buildAccessScope(
+        this.pool,
+        req.user,
+        EXPORT_ENTITIES[entityType].accessEntity,
+        "export"
+      );
+
+      let background = req.query.mode === "background";
+      if (!background) {
+        const total = await countExportRows(this.pool, entityType, listOptions);
+        background = total > syncMaxRows();
+      }
+
+      if (background) {
+        const run = await this.exportRunModel.create({
+          entityType,
+          format,
+          query,
+          columns,
+          accessContext: accessContextFor(req.user),
+          createdBy: req.user.id,
+        });
+        // Start right away on a long-running server; the export-runs cron picks up anything left queued
+        setImmediate(() => {
+          processExportRuns(this.pool, { id: run.id }).catch((error) =>
+            console.error(`Error processing export run ${run.id}:`, error)
+          );
+        });
+        return res.status(202).json({
+          success: true,
+          message: "Export queued. Download it once the run has completed.",
+          run,
+          statusUrl: `/api/export/runs/${run.id}`,
+          downloadUrl: downloadUrl(run),
+        });
+      }
+
+      res.status(200);
+      res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+      res.setHeader("Content-Disposition", `attachment; filename="${exportFileName(entityType, format)}"`);
+      res.setHeader("Cache-Control", "no-store");
+
+      let clientGone = false;
+      res.on("close", () => {
+        if (!res.writableFinished) clientGone = true;
+      });
+
+      const { rowCount, aborted } = await writeExport(this.pool, {
+        entityType,
+        format,
+        listOptions,
+        columns,
+        output: res,
+        isAborted: () => clientGone,
+      });
+      if (!aborted) res.end();
+
+      await logExport(this.pool, {
+        userId: req.user.id,
+        entityType,
+        format,
+        columns,
+        query,
+        rowCount,
+        status: aborted ? "aborted" : "completed",
+      });
+    } catch (error) {
+      if (error instanceof ListQueryError || error instanceof ExportRequestError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      console.error("Error exporting list:", error);
+      // Once streaming has started the status line is gone; cut the response so the file is visibly incomplete
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      return this._serverError(res, "An error occurred while exporting", error);
+    }
+  }
+
+  // GET /api/export/runs - the user's background exports
+  async getRuns(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const runs = await this.exportRunModel.getAll({ createdBy: req.user.id, limit });
+      return res.status(200).json({
+        success: true,
+        runs: runs.map((run) => ({ ...run, downloadUrl: run.status === "completed" ? downloadUrl(run) : null })),
+      });
+    } catch (error) {
+      console.error("Error getting export runs:", error);
+      return this._serverError(res, "An error occurred while retrieving exports", error);
+    }
+  }
+
+  // GET /api/export/runs/:id - status of a background export
+  async getRun(req, res) {
+    try {
+      const run = await this._loadRun(req, res);
+      if (!run) return;
+      return res.status(200).json({
+        success: true,
+        run,
+        downloadUrl: run.status === "completed" ? downloadUrl(run) : null,
+      });
+    } catch (error) {
+      console.error("Error getting export run:", error);
+      return this._serverError(res, "An error occurred while retrieving the export", error);
+    }
+  }
+
+  // GET /api/export/runs/:id/download - the finished file
+  async downloadRun(req, res) {
+    try {
+      const run = await this._loadRun(req, res, { includeFile: true });
+      if (!run) return;
+      if (run.status !== "completed") {
+        return res.status(409).json({ success: false, message: `Export is ${run.status}`, status: run.status });
+      }
+      if (!run.file_data) {
+        return res.status(410).json({ success: false, message: "Export file has expired. Run the export again." });
+      }
+
+      res.setHeader("Content-Type", run.content_type);
+      res.setHeader("Content-Disposition", `attachment; filename="${run.file_name}"`);
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).send(run.file_data);
+    } catch (error) {
+      console.error("Error downloading export:", error);
+      return this._serverError(res, "An error occurred while downloading the export", error);
+    }
+  }
+}
+
+module.exports = ExportController;
@@ -2,9 +2,15 @@ const HiringManager = require('../models/hiringManager');
 const Document = require('../models/document');
 const { put } = require('@vercel/blob');
 const { normalizeCustomFields, normalizeListCustomFields } = require('../utils/exportHelpers');
+const { isListQueryRequested, parseListQuery, buildPagination, ListQueryError } = require('../utils/listQuery');
+const { buildAccessScope, accessibleIds, filterAccessibleRows } = require('../services/recordAccessService');
+const { validateCustomFields, customFieldErrorResponse } = require('../services/customFieldValidationService');
+const { findDuplicateWarnings } = require('../services/duplicateDetectionService');
+const { setRequestContextValue } = require('../middleware/requestContext');
 
 class HiringManagerController {
     constructor(pool) {
+        this.pool = pool;
         this.hiringManagerModel = new HiringManager(pool);
         this.documentModel = new Document(pool);
         this.create = this.create.bind(this);
@@ -81,6 +87,16 @@ class HiringManagerController {
             // Add userId to the hiring manager data
             hiringManagerData.userId = userId;
 
+            // Enforce custom field definitions (required, types, options, lookups, read-only)
+            const fieldErrors = await validateCustomFields(this.pool, {
+                entityType: 'hiring-managers',
+                customFields: hiringManagerData.customFields ?? hiringManagerData.custom_fields ?? {},
+                mode: 'create',
+            });
+            if (fieldErrors.length > 0) {
+                return res.status(400).json(customFieldErrorResponse(fieldErrors));
+            }
+
             console.log("Attempting to create hiring manager with data:", hiringManagerData);
 
             // Create hiring manager in database
@@ -88,11 +104,15 @@ class HiringManagerController {
 
             console.log("Hiring manager created successfully:", hiringManager);
 
+            // Creation is never blocked; likely duplicates are returned as a warning
+            const duplicates = await findDuplicateWarnings(this.pool, 'hiring_manager', hiringManager, hiringManager.id);
+
             // Send success response
             res.status(201).json({
                 success: true,
                 message: 'Hiring manager created successfully',
-                hiringManager
+                hiringManager,
+                duplicates
             });
         } catch (error) {
             console.error('Detailed error creating hiring manager:', error);
@@ -132,7 +152,28 @@ class HiringManagerController {
 
             console.log(`User ID: ${userId}, User Role: ${userRole}`);
 
-            const hiringManagers = await this.hiringManagerModel.getAll(null);
+            // Paged/sorted/filtered list when any list params are present (?page, ?limit, ?cursor, ?sort, ?filter, ?q)
+            if (isListQueryRequested(req.query)) {
+                const options = parseListQuery(req.query, HiringManager.LIST_CONFIG);
+                options.accessScope = await buildAccessScope(this.pool, req.user, 'hiring_manager', 'read');
+                const result = await this.hiringManagerModel.list(options, null);
+                const rows = normalizeListCustomFields(result.rows);
+                return res.status(200).json({
+                    success: true,
+                    count: rows.length,
+                    total: result.total,
+                    pagination: buildPagination(result),
+                    hiringManagers: rows
+                });
+            }
+
+            const hiringManagers = await filterAccessibleRows(
+                this.pool,
+                req.user,
+                'hiring_manager',
+                'read',
+                await this.hiringManagerModel.getAll(null)
+            );
             const normalized = normalizeListCustomFields(hiringManagers);
 
             console.log(`Found ${normalized.length} hiring managers`);
@@ -144,6 +185,9 @@ class HiringManagerController {
             });
         } catch (error) {
             console.error('Error getting hiring managers:', error);
+            if (error instanceof ListQueryError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
             res.status(500).json({
                 success: false,
                 message: 'An error occurred while retrieving hiring managers',
@@ -244,6 +288,22 @@ class HiringManagerController {
 
             console.log(`User role: ${userRole}, User ID: ${userId}`);
 
+            const submittedCustomFields = updateData.customFields ?? updateData.custom_fields;
+            if (submittedCustomFields !== undefined) {
+                const existing = await this.hiringManagerModel.getById(id);
+                if (existing) {
+                    const fieldErrors = await validateCustomFields(this.pool, {
+                        entityType: 'hiring-managers',
+                        customFields: submittedCustomFields,
+                        existingCustomFields: existing.custom_fields,
+                        mode: 'update',
+                    });
+                    if (fieldErrors.length > 0) {
+                        return res.status(400).json(customFieldErrorResponse(fieldErrors));
+                    }
+                }
+            }
+
             const hiringManager = await this.hiringManagerModel.update(id, updateData, userId, userRole);
 
             if (!hiringManager) {
@@ -325,6 +385,8 @@ class HiringManagerController {
             const userId = req.user.id;
             const userRole = req.user.role;
             console.log('Processing bulk update for user:', userId, 'role:', userRole);
+            // Audit entries for these updates are recorded as bulk_update
+            setRequestContextValue('auditAction', 'bulk_update');
             console.log('Hiring Manager IDs to update:', ids);
             console.log('Updates to apply:', JSON.stringify(updates, null, 2));
 
@@ -334,12 +396,43 @@ class HiringManagerController {
                 errors: []
             };
 
+            // Custom field definitions are loaded once and reused for every record
+            const definitionCache = new Map();
+
+            // Records outside the caller's update scope are reported as failed
+            const updatableIds = await accessibleIds(this.pool, req.user, 'hiring_manager', 'update', ids);
+
             // Update each hiring manager
             for (const id of ids) {
+                if (!updatableIds.has(String(parseInt(id, 10)))) {
+                    results.failed.push(id);
+                    results.errors.push({ id, error: 'Access denied' });
+                    continue;
+                }
                 try {
                     console.log(`\n--- Processing hiring manager ${id} ---`);
                     // Clone updates to avoid mutations affecting other iterations
                     const updateData = JSON.parse(JSON.stringify(updates));
+
+                    const submittedCustomFields = updateData.customFields ?? updateData.custom_fields;
+                    if (submittedCustomFields !== undefined) {
+                        const existing = await this.hiringManagerModel.getById(id);
+                        if (existing) {
+                            const fieldErrors = await validateCustomFields(this.pool, {
+                                entityType: 'hiring-managers',
+                                customFields: submittedCustomFields,
+                                existingCustomFields: existing.custom_fields,
+                                mode: 'update',
+                                cache: definitionCache,
+                            });
+                            if (fieldErrors.length > 0) {
+                                results.failed.push(id);
+                                results.errors.push({ id, error: 'Custom field validation failed', fieldErrors });
+                                continue;
+                            }
+                        }
+                    }
+
                     console.log(`Calling hiringManagerModel.update(${id}, updates, ${userId}, ${userRole})`);
                     console.log(`Updates object:`, JSON.stringify(updates, null, 2));
                     
@@ -646,7 +739,13 @@ class HiringManagerController {
             const userId = req.user.id;
             const userRole = req.user.role;
 
-            const hiringManagers = await this.hiringManagerModel.getByOrganization(organizationId, null);
+            const hiringManagers = await filterAccessibleRows(
+                this.pool,
+                req.user,
+                'hiring_manager',
+                'read',
+                await this.hiringManagerModel.getByOrganization(organizationId, null)
+            );
 
             console.log(`Found ${hiringManagers.length} hiring managers for organization ${organizationId}`);
 
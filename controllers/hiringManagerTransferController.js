@@ -5,6 +5,8 @@ const Organization = require("../models/organization");
 const EmailTemplateModel = require("../models/emailTemplateModel");
 const { renderTemplate } = require("../utils/templateRenderer");
 const { sendMail } = require("../services/emailService");
+const { emitWebhookEvent } = require("../services/webhookService");
+const { auditRecordChange, snapshotRecord } = require("../services/auditService");
 
 const PAYROLL_EMAIL = process.env.PAYROLL_EMAIL || "payroll@completestaffingsolutions.com";
 // const PAYROLL_EMAIL = "yasirrehman274@gmail.com";
@@ -245,7 +247,17 @@ class HiringManagerTransferController {
       }
 
       const approvedTransfer = await this.transferModel.approve(id, userId);
+      const sourceBefore = await snapshotRecord(this.pool, "hiring_manager", approvedTransfer.source_hiring_manager_id);
       await this.executeHiringManagerTransfer(approvedTransfer);
+      await auditRecordChange(this.pool, {
+        action: "transfer",
+        entityType: "hiring_manager",
+        entityId: approvedTransfer.source_hiring_manager_id,
+        before: sourceBefore,
+        after: await snapshotRecord(this.pool, "hiring_manager", approvedTransfer.source_hiring_manager_id),
+        metadata: { transfer_id: approvedTransfer.id, target_id: approvedTransfer.target_hiring_manager_id },
+      });
+      await emitWebhookEvent(this.pool, "transfer.approved", { transfer_type: "hiring_manager", ...approvedTransfer });
 
       try {
         await this.sendApprovalEmail(approvedTransfer);
@@ -308,6 +320,7 @@ class HiringManagerTransferController {
         denial_reason.trim(),
         userId
       );
+      await emitWebhookEvent(this.pool, "transfer.denied", { transfer_type: "hiring_manager", ...deniedTransfer });
 
       try {
         await this.hiringManagerModel.addNote(
@@ -0,0 +1,414 @@
+// controllers/importController.js
+const ImportJob = require("../models/importJob");
+const { parseSpreadsheet, SpreadsheetParseError } = require("../utils/spreadsheetParser");
+const { hasPermission } = require("../services/permissionService");
+const {
+  IMPORT_ENTITIES,
+  resolveImportEntityType,
+  getImportFields,
+  suggestMapping,
+  normalizeMapping,
+  normalizeOptions,
+  prepareImport,
+  buildReport,
+  runImport,
+  rollbackBatch,
+} = require("../services/importService");
+
+const DEFAULT_MAX_ROWS = 10000;
+const SAMPLE_ROW_COUNT = 5;
+
+function maxImportRows() {
+  const value = parseInt(process.env.IMPORT_MAX_ROWS, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_ROWS;
+}
+
+class ImportController {
+  constructor(pool) {
+    this.pool = pool;
+    this.importJobModel = new ImportJob(pool);
+
+    this.getEntities = this.getEntities.bind(this);
+    this.getFields = this.getFields.bind(this);
+    this.getAll = this.getAll.bind(this);
+    this.getById = this.getById.bind(this);
+    this.upload = this.upload.bind(this);
+    this.validate = this.validate.bind(this);
+    this.run = this.run.bind(this);
+    this.rollbackBatch = this.rollbackBatch.bind(this);
+    this.rollback = this.rollback.bind(this);
+  }
+
+  async initTables() {
+    await this.importJobModel.initTable();
+  }
+
+  _serverError(res, message, error) {
+    return res.status(500).json({
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+
+  // Importing needs <entity>.create; updating matched records also needs <entity>.edit
+  _missingPermission(user, entityType, duplicateAction = "skip") {
+    const { permission } = IMPORT_ENTITIES[entityType];
+    const required = [`${permission}.create`];
+    if (duplicateAction === "update") required.push(`${permission}.edit`);
+    return required.find((p) => !hasPermission(user.permissions, p)) || null;
+  }
+
+  _canManageAll(user) {
+    return hasPermission(user.permissions, "imports.manage");
+  }
+
+  /**
+   * Rolling back deletes the records a batch created (<entity>.delete) and restores the ones it updated
+   * (<entity>.edit); force also deletes records other data links to and overwrites later edits, so it needs
+   * imports.manage. Sends 403 and returns true when the user may not roll back the batches.
+   */
+  _rollbackDenied(req, res, importJob, batches) {
+    const { permission } = IMPORT_ENTITIES[importJob.entity_type];
+    const required = [`${permission}.delete`];
+    if (batches.some((batch) => batch.updated_count > 0)) required.push(`${permission}.edit`);
+    if (req.body?.force === true) required.push("imports.manage");
+    const missing = required.filter((p) => !hasPermission(req.user.permissions, p));
+    if (missing.length === 0) return false;
+    res.status(403).json({ success: false, message: "Insufficient permissions", required: missing });
+    return true;
+  }
+
+  // Loads an import the user started (or any import with imports.manage); sends 404/403 otherwise
+  async _loadImport(req, res, options = {}) {
+    const importJob = await this.importJobModel.getById(req.params.id, options);
+    if (!importJob) {
+      res.status(404).json({ success: false, message: "Import not found" });
+      return null;
+    }
+    if (importJob.created_by !== req.user.id && !this._canManageAll(req.user)) {
+      res.status(403).json({ success: false, message: "Access denied" });
+      return null;
+    }
+    return importJob;
+  }
+
+  // Mapping and options from the body, falling back to the saved (or suggested) ones; sends 400/403 on error
+  async _prepare(req, res, importJob) {
+    const body = req.body || {};
+    const entityType = importJob.entity_type;
+    const fields = await getImportFields(this.pool, entityType);
+
+    const { mapping, errors: mappingErrors } = normalizeMapping(
+      body.mapping || importJob.mapping || suggestMapping(importJob.headers, fields, entityType),
+      importJob.headers,
+      fields
+    );
+    const { options, errors: optionErrors } = normalizeOptions(body.options || importJob.options || {}, entityType);
+    const errors = [...mappingErrors, ...optionErrors];
+    if (errors.length > 0) {
+      res.status(400).json({ success: false, message: "Invalid import mapping or options", errors });
+      return null;
+    }
+
+    const missing = this._missingPermission(req.user, entityType, options.duplicateAction);
+    if (missing) {
+      res.status(403).json({ success: false, message: "Insufficient permissions", required: [missing] });
+      return null;
+    }
+
+    const items = await prepareImport(this.pool, {
+      entityType,
+      headers: importJob.headers,
+      rows: importJob.rows,
+      mapping,
+      options,
+      user: req.user,
+    });
+    return { items, mapping, options };
+  }
+
+  // GET /api/imports/entities - importable entities the user may create
+  async getEntities(req, res) {
+    const entities = Object.entries(IMPORT_ENTITIES)
+      .filter(([entityType]) => !this._missingPermission(req.user, entityType))
+      .map(([entityType, config]) => ({ entityType, label: config.label }));
+    return res.status(200).json({ success: true, entities });
+  }
+
+  // GET /api/imports/fields/:entityType - mapping targets (standard fields and custom fields)
+  async getFields(req, res) {
+    try {
+      const entityType = resolveImportEntityType(req.params.entityType);
+      if (!entityType) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported entity type. Use one of: ${Object.keys(IMPORT_ENTITIES).join(", ")}`,
+        });
+      }
+      const fields = await getImportFields(this.pool, entityType);
+      return res.status(200).json({ success: true, entityType, fields });
+    } catch (error) {
+      console.error("Error getting import fields:", error);
+      return this._serverError(res, "An error occurred while retrieving import fields", error);
+    }
+  }
+
+  // GET /api/imports - the user's imports (everyone's with imports.manage, unless ?mine=true)
+  async getAll(req, res) {
+    try {
+      const createdBy = this._canManageAll(req.user) && req.query.mine !== "true" ? null : req.user.id;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const imports = await this.importJobModel.getAll({ createdBy, limit });
+      return res.status(200).json({ success: true, imports });
+    } catch (error) {
+      console.error("Error getting imports:", error);
+      return this._serverError(res, "An error occurred while retrieving imports", error);
+    }
+  }
+
+  // GET /api/imports/:id - import with its latest report and batches
+  async getById(req, res) {
+    try {
+      const importJob = await this._loadImport(req, res, { includeReport: true });
+      if (!importJob) return;
+      const batches = await this.importJobModel.getBatches(importJob.id);
+      return res.status(200).json({ success: true, import: importJob, batches });
+    } catch (error) {
+      console.error("Error getting import:", error);
+      return this._serverError(res, "An error occurred while retrieving the import", error);
+    }
+  }
+
+  // POST /api/imports - multipart upload: file (CSV or XLSX), entity_type, optional sheet (XLSX worksheet name)
+  async upload(req, res) {
+    try {
+      const body = req.body || {};
+      const entityType = resolveImportEntityType(body.entity_type || body.entityType);
+      if (!entityType) {
+        return res.status(400).json({
+          success: false,
+          message: `entity_type is required: ${Object.keys(IMPORT_ENTITIES).join(", ")}`,
+        });
+      }
+      const missing = this._missingPermission(req.user, entityType);
+      if (missing) {
+        return res.status(403).json({ success: false, message: "Insufficient permissions", required: [missing] });
+      }
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: "File is required" });
+      }
+
+      let parsed;
+      try {
+        parsed = await parseSpreadsheet(req.file.buffer, {
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
+          sheetName: body.sheet,
+        });
+      } catch (error) {
+        if (error instanceof SpreadsheetParseError) {
+          return res.status(422).json({ success: false, message: error.message });
+        }
+        throw error;
+      }
+      if (parsed.rows.length === 0) {
+        return res.status(422).json({ success: false, message: "File has no data rows" });
+      }
+      const maxRows = maxImportRows();
+      if (parsed.rows.length > maxRows) {
+        return res.status(422).json({
+          success: false,
+          message: `File has ${parsed.rows.length} rows; imports are limited to ${maxRows} rows. Split the file and import each part`,
+        });
+      }
+
+      const importJob = await this.importJobModel.create({
+        entityType,
+        fileName: req.file.originalname,
+        fileFormat: parsed.format,
+        headers: parsed.headers,
+        rows: parsed.rows,
+        createdBy: req.user.id,
+      });
+      const fields = await getImportFields(this.pool, entityType);
+
+      return res.status(201).json({
+        success: true,
+        import: importJob,
+        headers: parsed.headers,
+        sampleRows: parsed.rows.slice(0, SAMPLE_ROW_COUNT),
+        fields,
+        suggestedMapping: suggestMapping(parsed.headers, fields, entityType),
+      });
+    } catch (error) {
+      console.error("Error uploading import file:", error);
+      return this._serverError(res, "An error occurred while uploading the import file", error);
+    }
+  }
+
+  // POST /api/imports/:id/validate - dry run; body { mapping, options: { duplicateAction, matchOn, batchSize } }
+  async validate(req, res) {
+    try {
+      const importJob = await this._loadImport(req, res, { includeRows: true });
+      if (!importJob) return;
+      if (!["uploaded", "validated"].includes(importJob.status)) {
+        return res.status(409).json({ success: false, message: `Import is ${importJob.status}; it cannot be validated again` });
+      }
+
+      const prepared = await this._prepare(req, res, importJob);
+      if (!prepared) return;
+      const { items, mapping, options } = prepared;
+
+      const report = buildReport(items, { headers: importJob.headers, mapping, options });
+      await this.importJobModel.saveValidation(importJob.id, { mapping, options, report });
+      return res.status(200).json({ success: true, dryRun: true, mapping, report });
+    } catch (error) {
+      console.error("Error validating import:", error);
+      return this._serverError(res, "An error occurred while validating the import", error);
+    }
+  }
+
+  // POST /api/imports/:id/run - same body as validate (defaults to the validated mapping and options)
+  async run(req, res) {
+    let claimed = false;
+    let importJob;
+    try {
+      importJob = await this._loadImport(req, res, { includeRows: true });
+      if (!importJob) return;
+      if (!["uploaded", "validated"].includes(importJob.status)) {
+        return res.status(409).json({ success: false, message: `Import is ${importJob.status}; it can only run once` });
+      }
+
+      const prepared = await this._prepare(req, res, importJob);
+      if (!prepared) return;
+      const { items, mapping, options } = prepared;
+
+      claimed = await this.importJobModel.claimForRun(importJob.id, { mapping, options });
+      if (!claimed) {
+        return res.status(409).json({ success: false, message: "Import is already running or has run" });
+      }
+
+      const totals = await runImport(this.pool, this.importJobModel, {
+        importJob,
+        items,
+        options,
+        userId: req.user.id,
+      });
+
+      const written = totals.created + totals.updated;
+      let status = "completed";
+      if (totals.failed > 0) status = written > 0 ? "completed_with_errors" : "failed";
+      const report = {
+        ...buildReport(items, { headers: importJob.headers, mapping, options }),
+        result: totals,
+      };
+      const finished = await this.importJobModel.finishRun(importJob.id, {
+        status,
+        report,
+        createdCount: totals.created,
+        updatedCount: totals.updated,
+        skippedCount: totals.skipped,
+        failedCount: totals.failed,
+      });
+
+      return res.status(200).json({ success: true, import: finished, report });
+    } catch (error) {
+      console.error("Error running import:", error);
+      if (claimed && importJob) {
+        await this.importJobModel
+          .finishRun(importJob.id, {
+            status: "failed",
+            report: { error: error.message },
+            createdCount: 0,
+            updatedCount: 0,
+            skippedCount: 0,
+            failedCount: importJob.total_rows,
+          })
+          .catch((finishError) => console.error("Error marking import as failed:", finishError));
+      }
+      return this._serverError(res, "An error occurred while running the import", error);
+    }
+  }
+
+  async _rollbackOne(req, importJob, batch) {
+    return rollbackBatch(this.pool, this.importJobModel, {
+      importJob,
+      batch,
+      userId: req.user.id,
+      force: req.body?.force === true,
+    });
+  }
+
+  // POST /api/imports/:id/batches/:batchId/rollback - body { force } (force also deletes records other data now links to;
+  // needs imports.manage)
+  async rollbackBatch(req, res) {
+    try {
+      const importJob = await this._loadImport(req, res);
+      if (!importJob) return;
+      const batch = await this.importJobModel.getBatch(importJob.id, req.params.batchId);
+      if (!batch) {
+        return res.status(404).json({ success: false, message: "Import batch not found" });
+      }
+      if (batch.status !== "committed") {
+        return res.status(409).json({ success: false, message: `Batch is ${batch.status}; only committed batches can be rolled back` });
+      }
+      if (this._rollbackDenied(req, res, importJob, [batch])) return;
+
+      const result = await this._rollbackOne(req, importJob, batch);
+      if (!result.rolledBack) {
+        return res.status(409).json({
+          success: false,
+          message: "Some records changed after the import or are referenced by other records. Send force: true to roll back anyway",
+          conflicts: result.conflicts,
+        });
+      }
+
+      const updated = await this.importJobModel.refreshRollbackStatus(importJob.id);
+      return res.status(200).json({ success: true, import: updated, batchId: batch.id, result });
+    } catch (error) {
+      console.error("Error rolling back import batch:", error);
+      return this._serverError(res, "An error occurred while rolling back the import batch", error);
+    }
+  }
+
+  // POST /api/imports/:id/rollback - every committed batch, newest first; stops at the first batch with conflicts
+  async rollback(req, res) {
+    try {
+      const importJob = await this._loadImport(req, res);
+      if (!importJob) return;
+
+      const batches = (await this.importJobModel.getBatches(importJob.id))
+        .filter((batch) => batch.status === "committed")
+        .reverse();
+      if (batches.length === 0) {
+        return res.status(409).json({ success: false, message: "Import has no committed batches to roll back" });
+      }
+      if (this._rollbackDenied(req, res, importJob, batches)) return;
+
+      const results = [];
+      for (const batch of batches) {
+        const result = await this._rollbackOne(req, importJob, batch);
+        if (!result.rolledBack) {
+          const updated = results.length > 0 ? await this.importJobModel.refreshRollbackStatus(importJob.id) : importJob;
+          return res.status(409).json({
+            success: false,
+            message: `Batch ${batch.batch_number} has records that changed after the import or are referenced by other records. Send force: true to roll back anyway`,
+            import: updated,
+            rolledBackBatches: results,
+            conflicts: result.conflicts,
+          });
+        }
+        results.push({ batchId: batch.id, batchNumber: batch.batch_number, ...result });
+      }
+
+      const updated = await this.importJobModel.refreshRollbackStatus(importJob.id);
+      return res.status(200).json({ success: true, import: updated, rolledBackBatches: results });
+    } catch (error) {
+      console.error("Error rolling back import:", error);
+      return this._serverError(res, "An error occurred while rolling back the import", error);
+    }
+  }
+}
+
+module.exports = ImportController;
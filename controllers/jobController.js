@@ -5,10 +5,19 @@ const JobSeekerApplication = require("../models/jobSeekerApplication");
 const Document = require('../models/document');
 const EmailTemplateModel = require('../models/emailTemplateModel');
 const User = require('../models/user');
+const JobPosting = require('../models/jobPosting');
+const PipelineStage = require('../models/pipelineStage');
 const { sendMail } = require('../services/emailService');
 const { renderTemplate, escapeHtml } = require('../utils/templateRenderer');
 const { put } = require('@vercel/blob');
 const { normalizeCustomFields, normalizeListCustomFields } = require('../utils/exportHelpers');
+const { isListQueryRequested, parseListQuery, buildPagination, ListQueryError } = require('../utils/listQuery');
+const { buildAccessScope, accessibleIds, filterAccessibleRows } = require('../services/recordAccessService');
+const { validateCustomFields, customFieldErrorResponse } = require('../services/customFieldValidationService');
+const { publishJob, repostJob, unpostJob, listJobBoardTargets } = require('../services/jobDistributionService');
+const { matchCandidatesForJob } = require('../services/matchingService');
+const { buildJobPipeline } = require('../services/pipelineService');
+const { setRequestContextValue } = require('../middleware/requestContext');
 
 /** Find custom_fields key that matches "Distribution list" (case-insensitive, flexible) */
 function getDistributionListKey(customFields) {
@@ -41,6 +50,8 @@ class JobController {
         this.emailTemplateModel = new EmailTemplateModel(pool);
         this.userModel = new User(pool);
         this.applicationModel = new JobSeekerApplication(pool);
+        this.jobPostingModel = new JobPosting(pool);
+        this.pipelineStageModel = new PipelineStage(pool);
         this.create = this.create.bind(this);
         this.getAll = this.getAll.bind(this);
         this.getById = this.getById.bind(this);
@@ -51,6 +62,7 @@ class JobController {
         this.getNotes = this.getNotes.bind(this);
         this.getHistory = this.getHistory.bind(this);
         this.getApplications = this.getApplications.bind(this);
+        this.getPipeline = this.getPipeline.bind(this);
         this.exportToXML = this.exportToXML.bind(this);
 
         this.getAdditionalSkillSuggestions = this.getAdditionalSkillSuggestions.bind(this);
@@ -63,21 +75,14 @@ class JobController {
         this.updateDocument = this.updateDocument.bind(this);
         this.deleteDocument = this.deleteDocument.bind(this);
         this.publish = this.publish.bind(this);
+        this.unpost = this.unpost.bind(this);
+        this.repost = this.repost.bind(this);
+        this.getPostings = this.getPostings.bind(this);
+        this.getDistributionTargets = this.getDistributionTargets.bind(this);
         this.jobSeekerModel = new JobSeeker(pool);
         this.aiMatch = this.aiMatch.bind(this);
     }
 
-    /**
-     * Check if posting/distribution credentials are configured.
-     * When credentials are added (e.g. LINKEDIN_CLIENT_ID, JOB_BOARD_API_KEY), this will return true
-     * and the publish flow can perform actual posting.
-     */
-    _hasPostingCredentials() {
-        const hasLinkedIn = !!(process.env.LINKEDIN_CLIENT_ID && process.env.LINKEDIN_CLIENT_SECRET);
-        const hasJobBoard = !!process.env.JOB_BOARD_API_KEY;
-        return hasLinkedIn || hasJobBoard;
-    }
-
     /**
      * Send job distribution emails to users in the Distribution list custom field.
      * Uses template type JOB_DISTRIBUTION. Non-blocking; errors are logged only.
@@ -130,6 +135,8 @@ class JobController {
         if (this.applicationModel?.initTable) {
             await this.applicationModel.initTable();
         }
+        await this.jobPostingModel.initTable();
+        await this.pipelineStageModel.initTable();
     }
 
     // Create a new job
@@ -177,6 +184,17 @@ class JobController {
                     ? ownerFromCustom
                     : (owner !== undefined && owner !== null && owner !== '' ? owner : userId);
 
+            // Enforce custom field definitions (required, types, options, lookups, read-only)
+            const fieldErrors = await validateCustomFields(this.pool, {
+                entityType: 'jobs',
+                variant: jobType,
+                customFields: custom_fields || {},
+                mode: 'create',
+            });
+            if (fieldErrors.length > 0) {
+                return res.status(400).json(customFieldErrorResponse(fieldErrors));
+            }
+
             // Build model data with custom_fields (same pattern as Organizations)
             const modelData = {
                 jobTitle,
@@ -234,7 +252,28 @@ class JobController {
     // Get all jobs
     async getAll(req, res) {
         try {
-            const jobs = await this.jobModel.getAll(null);
+            // Paged/sorted/filtered list when any list params are present (?page, ?limit, ?cursor, ?sort, ?filter, ?q)
+            if (isListQueryRequested(req.query)) {
+                const options = parseListQuery(req.query, Job.LIST_CONFIG);
+                options.accessScope = await buildAccessScope(this.pool, req.user, 'job', 'read');
+                const result = await this.jobModel.list(options, null);
+                const rows = normalizeListCustomFields(result.rows);
+                return res.status(200).json({
+                    success: true,
+                    count: rows.length,
+                    total: result.total,
+                    pagination: buildPagination(result),
+                    jobs: rows
+                });
+            }
+
+            const jobs = await filterAccessibleRows(
+                this.pool,
+                req.user,
+                'job',
+                'read',
+                await this.jobModel.getAll(null)
+            );
             const normalized = normalizeListCustomFields(jobs);
 
             res.status(200).json({
@@ -244,6 +283,9 @@ class JobController {
             });
         } catch (error) {
             console.error('Error getting jobs:', error);
+            if (error instanceof ListQueryError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
             res.status(500).json({
                 success: false,
                 message: 'An error occurred while retrieving jobs',
@@ -281,6 +323,39 @@ class JobController {
         }
     }
 
+    /**
+     * Candidates of a job grouped by pipeline stage (Kanban board) with time-in-stage statistics.
+     * Uses the pipeline configured for the job's job_type, or the default pipeline. Only job seekers the user may
+     * read are listed.
+     */
+    async getPipeline(req, res) {
+        try {
+            const job = await this.jobModel.getById(req.params.id, null);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job not found'
+                });
+            }
+
+            const pipelineConfig = await this.pipelineStageModel.resolvePipeline(job.job_type);
+            const pipeline = await buildJobPipeline(this.pool, job.id, pipelineConfig, { user: req.user });
+
+            return res.status(200).json({
+                success: true,
+                jobId: job.id,
+                pipeline
+            });
+        } catch (error) {
+            console.error('Error getting job pipeline:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'An error occurred while retrieving the job pipeline',
+                error: process.env.NODE_ENV === 'production' ? undefined : error.message
+            });
+        }
+    }
+
     /**
      * Get all applications (submissions) for a job, across all job seekers.
      * Backed by the job_seeker_applications table.
@@ -344,6 +419,23 @@ class JobController {
                         : userId);
             updateData.owner = resolvedOwner;
 
+            const submittedCustomFields = updateData.custom_fields ?? updateData.customFields;
+            if (submittedCustomFields !== undefined) {
+                const existing = await this.jobModel.getById(id);
+                if (existing) {
+                    const fieldErrors = await validateCustomFields(this.pool, {
+                        entityType: 'jobs',
+                        variant: updateData.jobType || updateData.job_type || existing.job_type,
+                        customFields: submittedCustomFields,
+                        existingCustomFields: existing.custom_fields,
+                        mode: 'update',
+                    });
+                    if (fieldErrors.length > 0) {
+                        return res.status(400).json(customFieldErrorResponse(fieldErrors));
+                    }
+                }
+            }
+
             const job = await this.jobModel.update(id, updateData, null);
 
             if (!job) {
@@ -419,6 +511,8 @@ class JobController {
             const userId = req.user.id;
             const userRole = req.user.role;
             console.log('Processing bulk update for user:', userId, 'role:', userRole);
+            // Audit entries for these updates are recorded as bulk_update
+            setRequestContextValue('auditAction', 'bulk_update');
             console.log('Job IDs to update:', ids);
             console.log('Updates to apply:', JSON.stringify(updates, null, 2));
 
@@ -428,8 +522,20 @@ class JobController {
                 errors: []
             };
 
+            // Custom field definitions are loaded once and reused for every record
+            const submittedCustomFields = updates.custom_fields ?? updates.customFields;
+            const definitionCache = new Map();
+
+            // Records outside the caller's update scope are reported as failed
+            const updatableIds = await accessibleIds(this.pool, req.user, 'job', 'update', ids);
+
             // Update each job
             for (const id of ids) {
+                if (!updatableIds.has(String(parseInt(id, 10)))) {
+                    results.failed.push(id);
+                    results.errors.push({ id, error: 'Access denied' });
+                    continue;
+                }
                 try {
                     console.log(`\n--- Processing job ${id} ---`);
                     // Clone updates to avoid mutations affecting other iterations
@@ -444,6 +550,26 @@ class JobController {
                                 ? updateData.owner
                                 : userId);
                     updateData.owner = resolvedOwner;
+
+                    if (submittedCustomFields !== undefined) {
+                        const existing = await this.jobModel.getById(id);
+                        if (existing) {
+                            const fieldErrors = await validateCustomFields(this.pool, {
+                                entityType: 'jobs',
+                                variant: updateData.jobType || updateData.job_type || existing.job_type,
+                                customFields: submittedCustomFields,
+                                existingCustomFields: existing.custom_fields,
+                                mode: 'update',
+                                cache: definitionCache,
+                            });
+                            if (fieldErrors.length > 0) {
+                                results.failed.push(id);
+                                results.errors.push({ id, error: 'Custom field validation failed', fieldErrors });
+                                continue;
+                            }
+                        }
+                    }
+
                     console.log(`Calling jobModel.update(${id}, updates, null)`);
                     console.log(`Updates object:`, JSON.stringify(updates, null, 2));
                     
@@ -545,51 +671,118 @@ class JobController {
     }
 
     /**
-     * Publish / distribute job to selected targets (LinkedIn, Job Board).
-     * Works without credentials: returns success with a message that credentials can be added later.
-     * When credentials are configured, this endpoint can be extended to perform actual posting.
+     * Shared handler for publish / repost / unpost: runs the distribution action and returns
+     * per-target results, the job's postings and the derived job_board_status.
      */
-    async publish(req, res) {
+    async _runDistribution(req, res, action) {
         try {
             const { id } = req.params;
             const { targets } = req.body || {};
-            const targetList = Array.isArray(targets) ? targets : ['job_board'];
+            const userId = req.user?.id || null;
+
+            const run = action === 'unpost' ? unpostJob : (action === 'repost' ? repostJob : publishJob);
+            const { job, results, postings, jobBoardStatus } = await run(this.pool, id, targets, userId);
 
-            const job = await this.jobModel.getById(id, null);
             if (!job) {
                 return res.status(404).json({
                     success: false,
-                    message: 'Job not found or you do not have permission to publish it'
+                    message: `Job not found or you do not have permission to ${action} it`
                 });
             }
 
-            const configured = this._hasPostingCredentials();
-
-            if (!configured) {
+            if (results.length === 0 && action !== 'unpost') {
                 return res.status(200).json({
                     success: true,
                     configured: false,
-                    message: 'Distribution is not configured yet. Add your LinkedIn and/or Job Board credentials in Settings to enable posting. Once credentials are added, the same Publish action will post this job to the selected destinations.',
-                    targets: targetList,
+                    message: 'No distribution targets are configured. Set JOB_BOARD_API_URL and/or JOB_BOARD_EMAIL_TO, or publish to the xml_feed target.',
+                    targets: listJobBoardTargets({ pool: this.pool }),
+                    postings,
                     jobBoardStatus: job.job_board_status || 'Not Posted'
                 });
             }
 
-            // When credentials exist: wire LinkedIn/Job Board API calls here, then update job_board_status.
-            // For now we do not change the job; add actual API calls and then:
-            //   await this.jobModel.update(id, { jobBoardStatus: 'Posted', ... }, jobOwner);
+            const failed = results.filter((r) => !r.success);
+            const verb = action === 'unpost' ? 'unposted' : (action === 'repost' ? 'reposted' : 'published');
             return res.status(200).json({
-                success: true,
+                success: failed.length === 0,
                 configured: true,
-                message: 'Credentials are set. Posting to selected destinations can be completed by wiring the LinkedIn and Job Board API calls in this endpoint.',
-                targets: targetList,
-                jobBoardStatus: job.job_board_status || 'Not Posted'
+                message: failed.length === 0
+                    ? `Job ${verb} successfully`
+                    : `${failed.length} of ${results.length} target(s) failed`,
+                results,
+                postings,
+                jobBoardStatus
             });
         } catch (error) {
-            console.error('Error in publish:', error);
+            console.error(`Error in ${action}:`, error);
             res.status(500).json({
                 success: false,
-                message: 'An error occurred while publishing the job',
+                message: `An error occurred while trying to ${action} the job`,
+                error: process.env.NODE_ENV === 'production' ? undefined : error.message
+            });
+        }
+    }
+
+    /**
+     * Publish / distribute job to selected targets (job_board, xml_feed, email).
+     * Body: { targets?: string[] } — defaults to every configured target.
+     */
+    async publish(req, res) {
+        return this._runDistribution(req, res, 'post');
+    }
+
+    // Remove job from selected targets (defaults to every target it is currently posted to)
+    async unpost(req, res) {
+        return this._runDistribution(req, res, 'unpost');
+    }
+
+    // Refresh existing postings (or post again after unposting)
+    async repost(req, res) {
+        return this._runDistribution(req, res, 'repost');
+    }
+
+    // Get per-target posting rows for a job
+    async getPostings(req, res) {
+        try {
+            const { id } = req.params;
+            const job = await this.jobModel.getById(id, null);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job not found'
+                });
+            }
+
+            const postings = await this.jobPostingModel.getByJobId(id);
+            const jobBoardStatus = await this.jobPostingModel.syncJobBoardStatus(id);
+
+            res.status(200).json({
+                success: true,
+                postings,
+                jobBoardStatus
+            });
+        } catch (error) {
+            console.error('Error getting job postings:', error);
+            res.status(500).json({
+                success: false,
+                message: 'An error occurred while retrieving job postings',
+                error: process.env.NODE_ENV === 'production' ? undefined : error.message
+            });
+        }
+    }
+
+    // List available distribution targets and whether each is configured
+    async getDistributionTargets(req, res) {
+        try {
+            res.status(200).json({
+                success: true,
+                targets: listJobBoardTargets({ pool: this.pool })
+            });
+        } catch (error) {
+            console.error('Error listing distribution targets:', error);
+            res.status(500).json({
+                success: false,
+                message: 'An error occurred while listing distribution targets',
                 error: process.env.NODE_ENV === 'production' ? undefined : error.message
             });
         }
@@ -1021,7 +1214,8 @@ class JobController {
 
             console.log(`Exporting ${jobIds.length} jobs to XML for user ${userId} (${userRole})`);
 
-            const jobs = await this.jobModel.getByIds(jobIds, null);
+            const exportableIds = await accessibleIds(this.pool, req.user, 'job', 'export', jobIds);
+            const jobs = await this.jobModel.getByIds([...exportableIds], null);
 
             if (jobs.length === 0) {
                 return res.status(404).json({
@@ -1142,198 +1336,43 @@ class JobController {
         return xml;
     }
 
-    /** In-memory cache for AI match results: key = 'ai-match-${jobId}', value = { matchedIds, expires } */
-    static _aiMatchCache = {};
-    static _aiMatchCacheTtlMs = 10 * 60 * 1000; // 10 minutes
-
     /**
      * POST /jobs/:id/ai-match
-     * Returns { matchedIds: string[] } - job seeker IDs that best match the job (no DB writes, short-lived cache).
+     * Ranks the whole unarchived job seeker pool with the local matching engine (no external calls);
+     * only job seekers the caller may read are returned.
+     * Body/query: { limit?: number (default 15, max 100), minScore?: number 0..1 (default 0.2) }
+     * Returns { matchedIds: string[], matches: [{ id, name, title, score, factors }] }.
      */
     async aiMatch(req, res) {
         const { id: jobId } = req.params;
-        const cacheKey = `ai-match-${jobId}`;
+        const params = { ...(req.query || {}), ...(req.body || {}) };
 
         try {
-            // Check cache first
-            const cached = JobController._aiMatchCache[cacheKey];
-            if (cached && cached.expires > Date.now()) {
-                return res.status(200).json({ matchedIds: cached.matchedIds || [] });
-            }
-
             const job = await this.jobModel.getById(jobId, null);
             if (!job) {
                 return res.status(404).json({ success: false, message: 'Job not found' });
             }
 
-            let candidates = await this.jobSeekerModel.getAll(null, false); // unarchived only
-            if (!candidates || candidates.length === 0) {
-                JobController._aiMatchCache[cacheKey] = { matchedIds: [], expires: Date.now() + JobController._aiMatchCacheTtlMs };
-                return res.status(200).json({ matchedIds: [] });
-            }
-
-            const jobSkills = (job.required_skills || '').toString().toLowerCase();
-            const jobSkillsList = jobSkills.split(/[,;]/).map(s => s.trim()).filter(Boolean);
-
-            if (jobSkillsList.length > 0) {
-                candidates = candidates.filter(js => {
-                    const s = (js.skills || '').toString().toLowerCase();
-                    return jobSkillsList.some(skill => s.includes(skill));
-                });
-            }
-
-            if (candidates.length === 0) {
-                JobController._aiMatchCache[cacheKey] = { matchedIds: [], expires: Date.now() + JobController._aiMatchCacheTtlMs };
-                return res.status(200).json({ matchedIds: [] });
-            }
-
-            candidates = candidates.slice(0, 50);
-
-            const jobCustomFields = job.custom_fields && typeof job.custom_fields === 'object'
-                ? job.custom_fields
-                : (typeof job.custom_fields === 'string' ? (() => { try { return JSON.parse(job.custom_fields); } catch { return {}; } })() : {});
-
-            const jobForPrompt = {
-                title: job.job_title || '',
-                description: (job.job_description || '').toString().slice(0, 2000),
-                skills: job.required_skills || '',
-                experience: (jobCustomFields.experience || jobCustomFields.Experience || '').toString(),
-                education: (jobCustomFields.education || jobCustomFields.Education || '').toString(),
-                customFields: JSON.stringify(jobCustomFields),
-            };
-
-            const candidatesForPrompt = candidates.map(js => {
-                const cf = js.custom_fields && typeof js.custom_fields === 'object'
-                    ? js.custom_fields
-                    : (typeof js.custom_fields === 'string' ? (() => { try { return JSON.parse(js.custom_fields); } catch { return {}; } })() : {});
-                return {
-                    id: String(js.id),
-                    skills: js.skills || '',
-                    experience: (cf.experience || cf.Experience || '').toString(),
-                    education: (cf.education || cf.Education || '').toString(),
-                    summary: (js.resume_text || '').toString().slice(0, 1500),
-                    customFields: JSON.stringify(cf),
-                };
-            });
+            const limit = Math.min(Math.max(parseInt(params.limit, 10) || 15, 1), 100);
+            const minScore = params.minScore !== undefined && !Number.isNaN(Number(params.minScore))
+                ? Math.min(Math.max(Number(params.minScore), 0), 1)
+                : 0.2;
 
-            const prompt = `You are a professional AI recruitment matching system.
-
-Your task is to analyze a job and a list of candidates, then return ONLY a JSON array of jobSeekerIds that are the best fit.
-
-You must consider:
-- Required skills (highest priority)
-- Experience level and years
-- Education requirements
-- Certifications
-- Custom fields (very important)
-- Industry/domain relevance
-- Role similarity
-- Overall profile alignment
-
--------------------------
-JOB DETAILS:
-Title: ${jobForPrompt.title}
-Description: ${jobForPrompt.description}
-Required Skills: ${jobForPrompt.skills}
-Experience Required: ${jobForPrompt.experience}
-Education: ${jobForPrompt.education}
-Custom Fields: ${jobForPrompt.customFields}
-
-Custom fields may include dynamic attributes such as:
-- Languages
-- Tools
-- Frameworks
-- Certifications
-- Location
-- Industry
-- Availability
-- Salary expectation
-- Domain expertise
-- Or any additional structured field
-
-Treat custom fields as equal or higher priority if marked required.
-
--------------------------
-CANDIDATES:
-${JSON.stringify(candidatesForPrompt)}
-
--------------------------
-Matching Instructions:
-
-1. Prioritize required skills match.
-2. Match experience years realistically (do not over-qualify juniors for senior roles).
-3. Match education only if relevant to role.
-4. Strongly consider overlap in custom fields.
-5. Prefer candidates whose custom field values align closely with job custom fields.
-6. Rank by overall qualification strength.
-7. Return maximum 15 IDs.
-8. If few strong matches exist, return fewer.
-9. If none qualify, return [].
-
--------------------------
-STRICT OUTPUT REQUIREMENTS:
-
-Return ONLY valid JSON.
-Return ONLY an array of IDs.
-No explanations.
-No text.
-No markdown.
-No comments.
-No formatting.
-
-Correct format example:
-["id1","id2","id3"]`;
-
-            const apiKey = process.env.OPENROUTER_API_KEY;
-            if (!apiKey) {
-                console.error('OPENROUTER_API_KEY not set');
-                JobController._aiMatchCache[cacheKey] = { matchedIds: [], expires: Date.now() + JobController._aiMatchCacheTtlMs };
-                return res.status(200).json({ matchedIds: [] });
-            }
+            const matches = await matchCandidatesForJob(this.pool, job, { limit, minScore, user: req.user });
 
-            const openRouterRes = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${apiKey}`,
-                },
-                body: JSON.stringify({
-                    model: 'stepfun/step-3.5-flash:free',
-                    temperature: 0.2,
-                    max_tokens: 800,
-                    messages: [{ role: 'user', content: prompt }],
-                }),
+            return res.status(200).json({
+                success: true,
+                matchedIds: matches.map((m) => String(m.id)),
+                matches,
             });
-
-            const openRouterData = await openRouterRes.json().catch(() => ({}));
-            const content = openRouterData?.choices?.[0]?.message?.content;
-            const validIds = new Set(candidates.map(c => String(c.id)));
-
-            let parsed = [];
-            if (content && typeof content === 'string') {
-                const trimmed = content.trim().replace(/^```\w*\n?|\n?```$/g, '').trim();
-                try {
-                    const arr = JSON.parse(trimmed);
-                    if (Array.isArray(arr)) {
-                        parsed = arr
-                            .filter(item => item != null && String(item).trim() !== '')
-                            .map(item => String(item).trim())
-                            .filter(id => validIds.has(id));
-                    }
-                } catch (e) {
-                    // ignore parse error
-                }
-            }
-
-            const matchedIds = parsed.slice(0, 15);
-            JobController._aiMatchCache[cacheKey] = {
-                matchedIds,
-                expires: Date.now() + JobController._aiMatchCacheTtlMs,
-            };
-            return res.status(200).json({ matchedIds });
         } catch (err) {
             console.error('aiMatch error:', err);
-            return res.status(200).json({ matchedIds: [] });
+            return res.status(500).json({
+                success: false,
+                message: 'An error occurred while matching job seekers',
+                matchedIds: [],
+                error: process.env.NODE_ENV === 'production' ? undefined : err.message
+            });
         }
     }
 
@@ -1,18 +1,50 @@
 const JobSeeker = require("../models/jobseeker");
 const Document = require("../models/document");
 const JobSeekerApplication = require("../models/jobSeekerApplication");
+const PipelineStage = require("../models/pipelineStage");
 const EmailTemplateModel = require("../models/emailTemplateModel");
 const { put } = require("@vercel/blob");
 const { normalizeCustomFields, normalizeListCustomFields } = require("../utils/exportHelpers");
+const { isListQueryRequested, parseListQuery, buildPagination, ListQueryError } = require("../utils/listQuery");
+const { buildAccessScope, accessibleIds, filterAccessibleRows } = require("../services/recordAccessService");
+const { validateCustomFields, customFieldErrorResponse } = require("../services/customFieldValidationService");
+const { matchJobsForCandidate } = require("../services/matchingService");
+const { findDuplicateWarnings } = require("../services/duplicateDetectionService");
+const { extractText, parseResume, buildSuggestedChanges, ResumeParseError } = require("../services/resumeParserService");
 const { sendMail } = require("../services/emailService");
+const { findStage, initialStage, currentStageKey, validateTransition } = require("../services/pipelineService");
 const { renderTemplate, escapeHtml } = require("../utils/templateRenderer");
+const {
+  DocumentFillError,
+  loadFillableTemplate,
+  resolvePrefillValues,
+  fillTemplateDocument,
+  storeFilledDocument,
+} = require("../services/documentFillService");
 
 const jwt = require("jsonwebtoken");
 
 const bcrypt = require("bcrypt");
+const { setRequestContextValue } = require("../middleware/requestContext");
 
 const DEBUG_TAG = "[Applications addApplication]";
 
+// Job seeker fields a recruiter can accept from a parsed resume (keys as accepted by JobSeeker.update)
+const RESUME_APPLY_FIELDS = ["firstName", "lastName", "email", "phone", "city", "state", "zip", "title", "skills", "resumeText"];
+
+// Decode the { file, mime_type, file_name } upload body shared by document and resume uploads
+function decodeUploadedFile(body) {
+  const { file } = body || {};
+  if (!file) return null;
+  const base64Data = typeof file === "string" ? file : file.data;
+  if (!base64Data) return null;
+  return {
+    buffer: Buffer.from(base64Data, "base64"),
+    mimeType: typeof file === "string" ? (body.mime_type || "application/octet-stream") : file.type,
+    originalName: typeof file === "string" ? (body.file_name || "document") : file.name,
+  };
+}
+
 
 
 class JobSeekerController {
@@ -27,6 +59,8 @@ class JobSeekerController {
 
     this.applicationModel = new JobSeekerApplication(pool);
 
+    this.pipelineStageModel = new PipelineStage(pool);
+
     this.emailTemplateModel = new EmailTemplateModel(pool);
 
     this.create = this.create.bind(this);
@@ -58,7 +92,9 @@ class JobSeekerController {
     this.addApplication = this.addApplication.bind(this);
 
     this.updateApplication = this.updateApplication.bind(this);
+    this.getApplicationStageHistory = this.getApplicationStageHistory.bind(this);
     this.getCandidateFlowStats = this.getCandidateFlowStats.bind(this);
+    this.getJobMatches = this.getJobMatches.bind(this);
 
     this.getDocuments = this.getDocuments.bind(this);
 
@@ -67,6 +103,11 @@ class JobSeekerController {
     this.addDocument = this.addDocument.bind(this);
 
     this.uploadDocument = this.uploadDocument.bind(this);
+    this.parseResumeDocument = this.parseResumeDocument.bind(this);
+    this.applyResumeChanges = this.applyResumeChanges.bind(this);
+    this.getTemplatePrefill = this.getTemplatePrefill.bind(this);
+    this.fillTemplateDocument = this.fillTemplateDocument.bind(this);
+    this.createFromResume = this.createFromResume.bind(this);
 
     this.updateDocument = this.updateDocument.bind(this);
 
@@ -97,6 +138,41 @@ class JobSeekerController {
     }
   }
 
+  // GET /job-seekers/:id/job-matches - best open jobs for this job seeker (local matching engine)
+  async getJobMatches(req, res) {
+    try {
+      const { id } = req.params;
+
+      const jobSeeker = await this.jobSeekerModel.getById(id, null);
+      if (!jobSeeker) {
+        return res.status(404).json({
+          success: false,
+          message: "Job seeker not found",
+        });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 15, 1), 100);
+      const minScore = req.query.minScore !== undefined && !Number.isNaN(Number(req.query.minScore))
+        ? Math.min(Math.max(Number(req.query.minScore), 0), 1)
+        : 0.2;
+
+      const matches = await matchJobsForCandidate(this.pool, jobSeeker, { limit, minScore, user: req.user });
+
+      return res.status(200).json({
+        success: true,
+        matchedIds: matches.map((m) => String(m.id)),
+        matches,
+      });
+    } catch (error) {
+      console.error("Error matching jobs for job seeker:", error);
+      return res.status(500).json({
+        success: false,
+        message: "An error occurred while matching jobs",
+        error: process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
   async getApplications(req, res) {
     try {
       const { id } = req.params;
@@ -166,6 +242,7 @@ class JobSeekerController {
           ? application.organization_id
           : null;
       let resolvedOrganizationName = application.organization_name || "";
+      let resolvedJobType = null;
 
       if (application.job_id) {
         try {
@@ -176,6 +253,7 @@ class JobSeekerController {
               `
               SELECT
                 j.job_title,
+                j.job_type,
                 j.organization_id,
                 o.name AS organization_name
               FROM jobs j
@@ -186,6 +264,7 @@ class JobSeekerController {
             );
             const jobRow = jobResult.rows[0];
             if (jobRow) {
+              resolvedJobType = jobRow.job_type || null;
               if (!resolvedJobTitle) {
                 resolvedJobTitle = jobRow.job_title || "";
               }
@@ -214,7 +293,17 @@ class JobSeekerController {
         }
       }
 
+      // New applications start in the first stage of the job's pipeline
+      let firstStage = null;
+      try {
+        const pipeline = await this.pipelineStageModel.resolvePipeline(resolvedJobType);
+        firstStage = initialStage(pipeline.stages);
+      } catch (err) {
+        console.error(`${DEBUG_TAG} Error resolving pipeline stage:`, err.message);
+      }
+
       const newApplication = await this.applicationModel.create({
+        stage: firstStage ? firstStage.key : null,
         job_seeker_id: parseInt(id, 10),
         type: application.type,
         job_id: application.job_id || null,
@@ -225,7 +314,7 @@ class JobSeekerController {
         client_name: application.client_name || "",
         created_by: application.created_by || userId,
         notes: application.notes || "",
-        status: application.status || "",
+        status: application.status || (firstStage ? firstStage.name : ""),
         submission_source:
           application.submission_source || application.submissionSource || "",
       });
@@ -462,6 +551,10 @@ This is an automated notification from the ATS.
           message: "Job seeker not found",
         });
       }
+      // Stage moves follow the job's pipeline and are recorded in the stage history
+      if (body.stage !== undefined) {
+        return await this._moveApplicationStage(req, res, applicationIdNum, parseInt(jobSeekerId, 10), body);
+      }
       const updates = {};
       if (body.status !== undefined) updates.status = String(body.status).trim();
       const updated = await this.applicationModel.update(
@@ -489,6 +582,70 @@ This is an automated notification from the ATS.
     }
   }
 
+  // PATCH /job-seekers/:id/applications/:applicationId with { stage, reason }
+  async _moveApplicationStage(req, res, applicationId, jobSeekerId, body) {
+    const application = await this.applicationModel.getById(applicationId, jobSeekerId);
+    if (!application) {
+      return res.status(404).json({ success: false, message: "Application not found" });
+    }
+
+    const jobResult = application.job_id
+      ? await this.pool.query("SELECT job_type FROM jobs WHERE id = $1", [application.job_id])
+      : { rows: [] };
+    const pipeline = await this.pipelineStageModel.resolvePipeline(jobResult.rows[0]?.job_type || null);
+
+    const toStage = String(body.stage).trim();
+    const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+    const fromStage = currentStageKey(application, pipeline.stages);
+    const transitionError = validateTransition(pipeline.stages, fromStage, toStage, reason);
+    if (transitionError) {
+      return res.status(400).json({ success: false, message: transitionError });
+    }
+
+    const moved = await this.applicationModel.changeStage(applicationId, jobSeekerId, {
+      fromStage,
+      toStage,
+      statusLabel: findStage(pipeline.stages, toStage).name,
+      reason,
+      userId: req.user?.id,
+    });
+    if (!moved) {
+      return res.status(409).json({
+        success: false,
+        message: "The application was moved by someone else; reload and try again",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      application: moved.application,
+      stageChange: moved.history,
+    });
+  }
+
+  // GET /job-seekers/:id/applications/:applicationId/stage-history
+  async getApplicationStageHistory(req, res) {
+    try {
+      const applicationId = parseInt(req.params.applicationId, 10);
+      const application = Number.isNaN(applicationId)
+        ? null
+        : await this.applicationModel.getById(applicationId, parseInt(req.params.id, 10));
+      if (!application) {
+        return res.status(404).json({ success: false, message: "Application not found" });
+      }
+
+      const history = await this.applicationModel.getStageHistory(applicationId);
+      return res.status(200).json({ success: true, stage: application.stage, history });
+    } catch (error) {
+      console.error("Error getting application stage history:", error);
+      return res.status(500).json({
+        success: false,
+        message: "An error occurred while retrieving the stage history",
+        error: process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
   // Initialize database tables
 
   async initTables() {
@@ -497,6 +654,8 @@ This is an automated notification from the ATS.
 
     await this.applicationModel.initTable();
 
+    await this.pipelineStageModel.initTable();
+
   }
 
 
@@ -585,6 +744,26 @@ This is an automated notification from the ATS.
 
 
 
+      // Enforce custom field definitions (required, types, options, lookups, read-only)
+
+      const fieldErrors = await validateCustomFields(this.pool, {
+
+        entityType: "job-seekers",
+
+        customFields: custom_fields || {},
+
+        mode: "create",
+
+      });
+
+      if (fieldErrors.length > 0) {
+
+        return res.status(400).json(customFieldErrorResponse(fieldErrors));
+
+      }
+
+
+
       // ✅ Build model data with custom_fields (same pattern as Organizations)
 
       const modelData = {
@@ -655,6 +834,12 @@ This is an automated notification from the ATS.
 
 
 
+      // Creation is never blocked; likely duplicates are returned as a warning
+
+      const duplicates = await findDuplicateWarnings(this.pool, "job_seeker", jobSeeker, jobSeeker.id);
+
+
+
       // Send success response
 
       res.status(201).json({
@@ -665,6 +850,8 @@ This is an automated notification from the ATS.
 
         jobSeeker,
 
+        duplicates,
+
       });
 
     } catch (error) {
@@ -709,7 +896,29 @@ This is an automated notification from the ATS.
 
       const archivedParam = req.query?.archived;
       const archivedFilter = archivedParam === 'true' ? true : archivedParam === 'false' ? false : null;
-      const jobSeekers = await this.jobSeekerModel.getAll(null, archivedFilter);
+
+      // Paged/sorted/filtered list when any list params are present (?page, ?limit, ?cursor, ?sort, ?filter, ?q)
+      if (isListQueryRequested(req.query)) {
+        const options = parseListQuery(req.query, JobSeeker.LIST_CONFIG);
+        options.accessScope = await buildAccessScope(this.pool, req.user, "job_seeker", "read");
+        const result = await this.jobSeekerModel.list({ ...options, archived: archivedFilter }, null);
+        const rows = normalizeListCustomFields(result.rows);
+        return res.status(200).json({
+          success: true,
+          count: rows.length,
+          total: result.total,
+          pagination: buildPagination(result),
+          jobSeekers: rows,
+        });
+      }
+
+      const jobSeekers = await filterAccessibleRows(
+        this.pool,
+        req.user,
+        "job_seeker",
+        "read",
+        await this.jobSeekerModel.getAll(null, archivedFilter)
+      );
       const normalized = normalizeListCustomFields(jobSeekers);
 
       res.status(200).json({
@@ -722,6 +931,10 @@ This is an automated notification from the ATS.
 
       console.error("Error getting job seekers:", error);
 
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+
       res.status(500).json({
 
         success: false,
@@ -834,6 +1047,38 @@ This is an automated notification from the ATS.
 
 
 
+      const submittedCustomFields = updateData.custom_fields ?? updateData.customFields;
+
+      if (submittedCustomFields !== undefined) {
+
+        const existing = await this.jobSeekerModel.getById(id);
+
+        if (existing) {
+
+          const fieldErrors = await validateCustomFields(this.pool, {
+
+            entityType: "job-seekers",
+
+            customFields: submittedCustomFields,
+
+            existingCustomFields: existing.custom_fields,
+
+            mode: "update",
+
+          });
+
+          if (fieldErrors.length > 0) {
+
+            return res.status(400).json(customFieldErrorResponse(fieldErrors));
+
+          }
+
+        }
+
+      }
+
+
+
       const jobSeeker = await this.jobSeekerModel.update(id, updateData, null);
 
 
@@ -944,6 +1189,8 @@ This is an automated notification from the ATS.
       const userId = req.user.id;
       const userRole = req.user.role;
       console.log('Processing bulk update for user:', userId, 'role:', userRole);
+      // Audit entries for these updates are recorded as bulk_update
+      setRequestContextValue("auditAction", "bulk_update");
       console.log('Job Seeker IDs to update:', ids);
       console.log('Updates to apply:', JSON.stringify(updates, null, 2));
 
@@ -953,11 +1200,42 @@ This is an automated notification from the ATS.
         errors: []
       };
 
+      // Custom field definitions are loaded once and reused for every record
+      const definitionCache = new Map();
+
+      // Records outside the caller's update scope are reported as failed
+      const updatableIds = await accessibleIds(this.pool, req.user, "job_seeker", "update", ids);
+
       // Update each job seeker
       for (const id of ids) {
+        if (!updatableIds.has(String(parseInt(id, 10)))) {
+          results.failed.push(id);
+          results.errors.push({ id, error: "Access denied" });
+          continue;
+        }
         try {
           console.log(`\n--- Processing job seeker ${id} ---`);
           const updateData = JSON.parse(JSON.stringify(updates));
+
+          const submittedCustomFields = updateData.custom_fields ?? updateData.customFields;
+          if (submittedCustomFields !== undefined) {
+            const existing = await this.jobSeekerModel.getById(id);
+            if (existing) {
+              const fieldErrors = await validateCustomFields(this.pool, {
+                entityType: 'job-seekers',
+                customFields: submittedCustomFields,
+                existingCustomFields: existing.custom_fields,
+                mode: 'update',
+                cache: definitionCache,
+              });
+              if (fieldErrors.length > 0) {
+                results.failed.push(id);
+                results.errors.push({ id, error: 'Custom field validation failed', fieldErrors });
+                continue;
+              }
+            }
+          }
+
           console.log(`Calling jobSeekerModel.update(${id}, updates, null)`);
 
           const jobSeeker = await this.jobSeekerModel.update(id, updateData, null);
@@ -1507,6 +1785,8 @@ This is an automated notification from the ATS.
   }
 
   // Upload document with file to Vercel Blob
+  // Resumes (document_type "Resume" or parse_resume: true) are also parsed: resume_text is stored
+  // and the response carries resumeParse.suggestions for the recruiter to accept via POST /:id/resume/apply
   async uploadDocument(req, res) {
     try {
       const { id } = req.params;
@@ -1519,38 +1799,30 @@ This is an automated notification from the ATS.
         return res.status(400).json({ success: false, message: "Document name is required" });
       }
 
-      const base64Data = typeof file === "string" ? file : file.data;
-      const mimeType = typeof file === "string" ? (req.body.mime_type || "application/octet-stream") : file.type;
-      const originalName = typeof file === "string" ? (req.body.file_name || "document") : file.name;
-
-      if (!base64Data) {
+      const upload = decodeUploadedFile(req.body);
+      if (!upload) {
         return res.status(400).json({ success: false, message: "File data is missing" });
       }
 
-      const buffer = Buffer.from(base64Data, "base64");
+      const { buffer, mimeType, originalName } = upload;
       const userId = req.user.id;
-      const timestamp = Date.now();
-      const sanitizedName = originalName.replace(/[^a-zA-Z0-9.-]/g, "_");
-      const fileName = `job_seekers/${id}/${timestamp}_${sanitizedName}`;
-
-      const blob = await put(fileName, buffer, { access: "public", contentType: mimeType });
-
-      const document = await this.documentModel.create({
-        entity_type: "job_seeker",
-        entity_id: id,
+      const document = await this._storeDocument(id, upload, {
         document_name,
         document_type: document_type || "General",
-        content: null,
-        file_path: blob.url,
-        file_size: buffer.length,
-        mime_type: mimeType,
         created_by: userId,
       });
 
+      const isResume = String(document_type || "").toLowerCase() === "resume"
+        || req.body.parse_resume === true || req.body.parse_resume === "true";
+      const resumeParse = isResume
+        ? await this._ingestResume(id, buffer, mimeType, originalName)
+        : undefined;
+
       return res.status(201).json({
         success: true,
         message: "Document uploaded successfully",
         document,
+        resumeParse,
       });
     } catch (error) {
       console.error("Error uploading job seeker document:", error);
@@ -1562,6 +1834,298 @@ This is an automated notification from the ATS.
     }
   }
 
+  async _storeDocument(jobSeekerId, { buffer, mimeType, originalName }, fields) {
+    const timestamp = Date.now();
+    const sanitizedName = originalName.replace(/[^a-zA-Z0-9.-]/g, "_");
+    const fileName = `job_seekers/${jobSeekerId}/${timestamp}_${sanitizedName}`;
+
+    const blob = await put(fileName, buffer, { access: "public", contentType: mimeType });
+
+    return this.documentModel.create({
+      entity_type: "job_seeker",
+      entity_id: jobSeekerId,
+      content: null,
+      file_path: blob.url,
+      file_size: buffer.length,
+      mime_type: mimeType,
+      ...fields,
+    });
+  }
+
+  // Extract and parse a resume for an existing job seeker; stores resume_text and returns suggested changes.
+  // Parsing problems are reported in the result rather than thrown so the upload itself still succeeds.
+  async _ingestResume(jobSeekerId, buffer, mimeType, fileName) {
+    try {
+      const text = await extractText(buffer, mimeType, fileName);
+      const parsed = parseResume(text);
+      const jobSeeker = await this.jobSeekerModel.update(jobSeekerId, { resumeText: text }, null);
+      return {
+        success: true,
+        parsed,
+        suggestions: buildSuggestedChanges(jobSeeker, parsed),
+      };
+    } catch (error) {
+      if (!(error instanceof ResumeParseError)) {
+        console.error("Error parsing resume for job seeker:", error);
+      }
+      return {
+        success: false,
+        message: error instanceof ResumeParseError ? error.message : "The resume could not be parsed",
+      };
+    }
+  }
+
+  // POST /job-seekers/:id/documents/:documentId/parse-resume - (re)parse a stored document
+  async parseResumeDocument(req, res) {
+    try {
+      const { id, documentId } = req.params;
+
+      const document = await this.documentModel.getById(documentId);
+      if (!document || document.entity_type !== "job_seeker" || String(document.entity_id) !== String(id)) {
+        return res.status(404).json({ success: false, message: "Document not found" });
+      }
+      if (!document.file_path) {
+        return res.status(400).json({ success: false, message: "Document has no stored file to parse" });
+      }
+
+      const response = await fetch(document.file_path);
+      if (!response.ok) {
+        throw new Error(`Failed to download document (HTTP ${response.status})`);
+      }
+      const buffer = Buffer.from(await response.arrayBuffer());
+
+      const resumeParse = await this._ingestResume(id, buffer, document.mime_type, document.file_path.split("/").pop());
+      if (!resumeParse.success) {
+        return res.status(422).json({ success: false, message: resumeParse.message });
+      }
+
+      return res.status(200).json({ success: true, ...resumeParse });
+    } catch (error) {
+      console.error("Error parsing job seeker resume document:", error);
+      if (error.message === "Job seeker not found") {
+        return res.status(404).json({ success: false, message: "Job seeker not found" });
+      }
+      return res.status(500).json({
+        success: false,
+        message: "An error occurred while parsing the resume",
+        error: process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // POST /job-seekers/:id/resume/apply - body { changes: { field: value } } with the accepted suggestions
+  async applyResumeChanges(req, res) {
+    try {
+      const { id } = req.params;
+      const changes = req.body?.changes;
+
+      if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+        return res.status(400).json({ success: false, message: "changes must be an object of field: value" });
+      }
+
+      const unknown = Object.keys(changes).filter((field) => !RESUME_APPLY_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported fields: ${unknown.join(", ")}. Allowed: ${RESUME_APPLY_FIELDS.join(", ")}`,
+        });
+      }
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ success: false, message: "No changes to apply" });
+      }
+
+      const jobSeeker = await this.jobSeekerModel.update(id, changes, null);
+
+      return res.status(200).json({
+        success: true,
+        message: "Resume changes applied successfully",
+        jobSeeker,
+      });
+    } catch (error) {
+      console.error("Error applying resume changes:", error);
+      if (error.message === "Job seeker not found") {
+        return res.status(404).json({ success: false, message: "Job seeker not found" });
+      }
+      return res.status(500).json({
+        success: false,
+        message: "An error occurred while applying the resume changes",
+        error: process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // GET /job-seekers/:id/documents/templates/:templateId/prefill - the template's fields with values from the record
+  async getTemplatePrefill(req, res) {
+    try {
+      const { id, templateId } = req.params;
+      const jobSeeker = await this.jobSeekerModel.getById(id);
+      if (!jobSeeker) {
+        return res.status(404).json({ success: false, message: "Job seeker not found" });
+      }
+
+      const { template, mappings } = await loadFillableTemplate(this.pool, templateId);
+      const values = await resolvePrefillValues(this.pool, jobSeeker, mappings);
+
+      return res.status(200).json({
+        success: true,
+        template: { id: template.id, document_name: template.document_name, file_url: template.file_url },
+        fields: mappings.map((mapping) => ({ ...mapping, value: values[mapping.field_name] ?? null })),
+      });
+    } catch (error) {
+      if (error instanceof DocumentFillError) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error("Error prefilling template document:", error);
+      return res.status(500).json({
+        success: false,
+        message: "An error occurred while prefilling the template document",
+        error: process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // POST /job-seekers/:id/documents/templates/:templateId/fill - body { values?: { field_name: value },
+  // document_name?, preview? }. Renders the template with the prefilled and given values and stores the flattened
+  // PDF as a document of the job seeker; with preview: true the PDF is returned instead of stored.
+  async fillTemplateDocument(req, res) {
+    try {
+      const { id, templateId } = req.params;
+      const { values = {}, document_name, preview } = req.body || {};
+      if (!values || typeof values !== "object" || Array.isArray(values)) {
+        return res.status(400).json({ success: false, message: "values must be an object of field_name: value" });
+      }
+
+      const jobSeeker = await this.jobSeekerModel.getById(id);
+      if (!jobSeeker) {
+        return res.status(404).json({ success: false, message: "Job seeker not found" });
+      }
+
+      const { template, pdf } = await fillTemplateDocument(this.pool, {
+        templateDocumentId: templateId,
+        jobSeeker,
+        values,
+      });
+
+      if (preview === true || preview === "true") {
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Content-Disposition", `inline; filename="preview-${template.id}.pdf"`);
+        res.setHeader("Cache-Control", "no-store");
+        return res.status(200).send(pdf);
+      }
+
+      const document = await storeFilledDocument(this.pool, {
+        jobSeekerId: jobSeeker.id,
+        template,
+        pdf,
+        documentName: document_name,
+        createdBy: req.user.id,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: "Document generated successfully",
+        document,
+      });
+    } catch (error) {
+      if (error instanceof DocumentFillError) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error("Error filling template document:", error);
+      return res.status(500).json({
+        success: false,
+        message: "An error occurred while generating the document",
+        error: process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
+  // POST /job-seekers/from-resume - create a job seeker from an uploaded resume
+  // Body: { file, mime_type, file_name, document_name?, status?, owner?, custom_fields?, overrides? }
+  async createFromResume(req, res) {
+    try {
+      const upload = decodeUploadedFile(req.body);
+      if (!upload) {
+        return res.status(400).json({ success: false, message: "File is required" });
+      }
+
+      let text;
+      try {
+        text = await extractText(upload.buffer, upload.mimeType, upload.originalName);
+      } catch (error) {
+        if (error instanceof ResumeParseError) {
+          return res.status(422).json({ success: false, message: error.message });
+        }
+        throw error;
+      }
+
+      const parsed = parseResume(text);
+      const { status, owner, custom_fields, overrides = {} } = req.body;
+      const userId = req.user.id;
+
+      const fieldErrors = await validateCustomFields(this.pool, {
+        entityType: "job-seekers",
+        customFields: custom_fields || {},
+        mode: "create",
+      });
+      if (fieldErrors.length > 0) {
+        return res.status(400).json(customFieldErrorResponse(fieldErrors));
+      }
+
+      const modelData = {
+        firstName: parsed.contact.firstName || "",
+        lastName: parsed.contact.lastName || "",
+        email: parsed.contact.email,
+        phone: parsed.contact.phone,
+        city: parsed.contact.city,
+        state: parsed.contact.state,
+        zip: parsed.contact.zip,
+        title: parsed.title,
+        skills: parsed.skills.join(", "),
+        resumeText: text,
+        status,
+        owner,
+        userId,
+        custom_fields: custom_fields || {},
+      };
+      for (const field of RESUME_APPLY_FIELDS) {
+        if (overrides[field] !== undefined) modelData[field] = overrides[field];
+      }
+      if (!modelData.firstName && !modelData.lastName && !modelData.email) {
+        return res.status(422).json({
+          success: false,
+          message: "Could not detect a name or email in the resume; provide them in overrides",
+          parsed,
+        });
+      }
+
+      const jobSeeker = await this.jobSeekerModel.create(modelData);
+
+      const document = await this._storeDocument(jobSeeker.id, upload, {
+        document_name: req.body.document_name || upload.originalName || "Resume",
+        document_type: "Resume",
+        created_by: userId,
+      });
+
+      const duplicates = await findDuplicateWarnings(this.pool, "job_seeker", jobSeeker, jobSeeker.id);
+
+      return res.status(201).json({
+        success: true,
+        message: "Job seeker created from resume successfully",
+        jobSeeker,
+        document,
+        parsed,
+        duplicates,
+      });
+    } catch (error) {
+      console.error("Error creating job seeker from resume:", error);
+      return res.status(500).json({
+        success: false,
+        message: "An error occurred while creating the job seeker from the resume",
+        error: process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+
   // Update a document
 
   async updateDocument(req, res) {
@@ -4,6 +4,8 @@ const JobSeeker = require("../models/jobseeker");
 const EmailTemplateModel = require("../models/emailTemplateModel");
 const { renderTemplate } = require("../utils/templateRenderer");
 const { sendMail } = require("../services/emailService");
+const { emitWebhookEvent } = require("../services/webhookService");
+const { auditRecordChange, snapshotRecord } = require("../services/auditService");
 
 const PAYROLL_EMAIL = "onboarding@completestaffingsolutions.com";
 // const PAYROLL_EMAIL = "yasirrehman274@gmail.com";
@@ -216,7 +218,17 @@ class JobSeekerTransferController {
       }
 
       const approvedTransfer = await this.transferModel.approve(id, userId);
+      const sourceBefore = await snapshotRecord(this.pool, "job_seeker", approvedTransfer.source_job_seeker_id);
       await this.executeJobSeekerTransfer(approvedTransfer);
+      await auditRecordChange(this.pool, {
+        action: "transfer",
+        entityType: "job_seeker",
+        entityId: approvedTransfer.source_job_seeker_id,
+        before: sourceBefore,
+        after: await snapshotRecord(this.pool, "job_seeker", approvedTransfer.source_job_seeker_id),
+        metadata: { transfer_id: approvedTransfer.id, target_id: approvedTransfer.target_job_seeker_id },
+      });
+      await emitWebhookEvent(this.pool, "transfer.approved", { transfer_type: "job_seeker", ...approvedTransfer });
 
       try {
         await this.sendApprovalEmail(approvedTransfer);
@@ -279,6 +291,7 @@ class JobSeekerTransferController {
         denial_reason.trim(),
         userId
       );
+      await emitWebhookEvent(this.pool, "transfer.denied", { transfer_type: "job_seeker", ...deniedTransfer });
 
       try {
         await this.jobSeekerModel.addNote(
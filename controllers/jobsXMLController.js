@@ -1,83 +1,271 @@
 // controllers/jobXMLController.js
-const { create } = require("xmlbuilder2");
-const Job = require("../models/job");
-const Organization = require("../models/organization");
+const crypto = require("crypto");
+const JobFeedConfig = require("../models/jobFeedConfig");
+const {
+    buildFeedQuery,
+    mapJobRow,
+    renderFeed,
+    normalizeFieldMap,
+    parseIdList,
+} = require("../services/jobFeedService");
 
-function capitalize(str) {
-    if (!str) return "";
-    return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
+const DEFAULT_FEED_NAME = "default";
+const DEFAULT_CACHE_SECONDS = 300;
+
+// Rendered feeds per (feed, filters); boards poll frequently so most requests are served from here
+const feedCache = new Map();
+
+function cacheSeconds() {
+    const n = parseInt(process.env.JOB_FEED_CACHE_SECONDS || DEFAULT_CACHE_SECONDS, 10);
+    return Number.isFinite(n) && n >= 0 ? n : DEFAULT_CACHE_SECONDS;
+}
+
+/**
+ * Ids a feed filter allows: query-string ids can only narrow the feed's configured ids, never widen them.
+ * @returns {number[]|null} null when neither restricts the filter (an empty list matches no job)
+ */
+function pickIds(queryValue, configValue) {
+    const fromQuery = parseIdList(queryValue);
+    const fromConfig = parseIdList(configValue);
+    if (fromConfig.length === 0) return fromQuery.length > 0 ? fromQuery : null;
+    if (fromQuery.length === 0) return fromConfig;
+    return fromConfig.filter((id) => fromQuery.includes(id));
+}
+
+/** Built-in settings used when no job_feed_configs row exists for the requested feed */
+function defaultFeedConfig(feedName) {
+    return {
+        feed_name: feedName,
+        format: "indeed",
+        publisher: process.env.JOB_FEED_PUBLISHER || "",
+        publisher_url: process.env.JOB_FEED_PUBLISHER_URL || process.env.FRONTEND_URL || "",
+        job_url_template: process.env.JOB_BOARD_APPLY_URL || "",
+        field_map: {},
+        filters: {},
+        require_posting: false,
+        is_active: true,
+        updated_at: null,
+    };
 }
 
 class JobXMLController {
     constructor(pool) {
-        this.jobModel = new Job(pool);
-        this.organizationModel = new Organization(pool);
+        this.pool = pool;
+        this.feedConfigModel = new JobFeedConfig(pool);
 
         this.getXMLFeed = this.getXMLFeed.bind(this);
+        this.listFeedConfigs = this.listFeedConfigs.bind(this);
+        this.getFeedConfig = this.getFeedConfig.bind(this);
+        this.createFeedConfig = this.createFeedConfig.bind(this);
+        this.updateFeedConfig = this.updateFeedConfig.bind(this);
+        this.deleteFeedConfig = this.deleteFeedConfig.bind(this);
     }
 
+    async initTables() {
+        await this.feedConfigModel.initTable();
+    }
+
+    /**
+     * GET /api/jobs/xml and /api/jobs/xml/:feedName
+     * Optional query filters (narrow the feed's own filters): office, organization, tearsheet (comma-separated ids).
+     * Responds 304 when If-None-Match matches the feed's ETag.
+     */
     async getXMLFeed(req, res) {
         try {
-            const jobs = await this.jobModel.getAll(null);
-
-            const activeJobs = jobs.filter(job => {
-                const customStatus = job.custom_fields?.["Status"]?.toLowerCase();
-                const mainStatus = job.status?.toLowerCase();
-                return customStatus === "active" || mainStatus === "open";
-            });
-
-            const feedObj = {
-                source: {
-                    publisher: "ABC Corp",
-                    lastBuildDate: new Date().toISOString(),
-                    jobs: await Promise.all(
-                        activeJobs.map(async (job) => {
-                            let companyName = "ABC Corp";
-
-                            if (job.organization_id) {
-                                try {
-                                    const org = await this.organizationModel.getById(job.organization_id);
-                                    companyName = org?.name || companyName;
-                                } catch (err) {
-                                    console.error(`Error fetching org for job ${job.id}:`, err);
-                                }
-                            }
-
-                            return {
-                                job: {
-                                    id: job.id,
-                                    title: job.custom_fields?.["Published Job Title"] || job.job_title || "",
-                                    description: job.custom_fields?.["Job Description Going to Job Board"] || job.job_description || "",
-                                    location: [
-                                        job.custom_fields?.["Address"],
-                                        job.custom_fields?.["City"],
-                                        job.custom_fields?.["State"],
-                                        job.custom_fields?.["Zip"]
-                                    ].filter(Boolean).join(', ') || job.address || "",
-                                    date_posted: job.created_at
-                                        ? new Date(job.created_at).toISOString().split("T")[0]
-                                        : "",
-                                    url: `https://yourcrm.com/jobs/${job.id}`,
-                                    company: companyName,
-                                    job_type: capitalize(job.job_type),
-                                    salary: job.custom_fields?.["Salary"] || job.salary || "",
-                                }
-                            };
-                        })
-                    )
+            const feedName = req.params.feedName || DEFAULT_FEED_NAME;
+            let config = await this.feedConfigModel.getByName(feedName);
+            if (!config) {
+                if (req.params.feedName && feedName !== DEFAULT_FEED_NAME) {
+                    return res.status(404).send("Feed not found");
                 }
+                config = defaultFeedConfig(feedName);
+            }
+            if (!config.is_active) {
+                return res.status(404).send("Feed not found");
+            }
+
+            const configFilters = config.filters || {};
+            const filters = {
+                officeIds: pickIds(req.query.office ?? req.query.office_id, configFilters.office_ids),
+                organizationIds: pickIds(req.query.organization ?? req.query.organization_id, configFilters.organization_ids),
+                tearsheetIds: pickIds(req.query.tearsheet ?? req.query.tearsheet_id, configFilters.tearsheet_ids),
+                statuses: Array.isArray(configFilters.statuses) ? configFilters.statuses : [],
+                requirePosting: config.require_posting === true,
             };
 
-            const xml = create(feedObj).end({ prettyPrint: true });
+            const cacheKey = JSON.stringify([feedName.toLowerCase(), config.updated_at, filters]);
+            let cached = feedCache.get(cacheKey);
+            if (!cached || cached.expiresAt <= Date.now()) {
+                const previous = cached;
+                cached = await this._buildFeed(config, filters);
+                // When this content was first rendered; the jobs' own timestamps cannot tell that a job left the feed
+                cached.lastModified = previous && previous.etag === cached.etag ? previous.lastModified : new Date();
+                cached.expiresAt = Date.now() + cacheSeconds() * 1000;
+                // Arbitrary query filters create keys; keep the cache bounded
+                if (feedCache.size >= 100) feedCache.clear();
+                feedCache.set(cacheKey, cached);
+            }
+
+            res.setHeader("ETag", cached.etag);
+            res.setHeader("Last-Modified", cached.lastModified.toUTCString());
+            res.setHeader("Cache-Control", `public, max-age=${cacheSeconds()}`);
 
-            res.setHeader("Content-Type", "application/xml");
-            return res.status(200).send(xml);
+            // Only the ETag says the client holds this exact feed; If-Modified-Since cannot see removed jobs and its
+            // one-second resolution misses changes made within the second of the last render
+            const ifNoneMatch = req.headers["if-none-match"] || "";
+            if (ifNoneMatch.split(",").map((t) => t.trim()).includes(cached.etag)) {
+                return res.status(304).end();
+            }
+
+            res.setHeader("Content-Type", "application/xml; charset=utf-8");
+            return res.status(200).send(cached.xml);
 
         } catch (err) {
             console.error("Error generating XML feed:", err);
             return res.status(500).send("Failed to generate XML feed");
         }
     }
+
+    // One joined query for all jobs in the feed, then render in the configured format
+    async _buildFeed(config, filters) {
+        const { text, values } = buildFeedQuery(filters);
+        const result = await this.pool.query(text, values);
+
+        const fieldMap = normalizeFieldMap(config.field_map);
+        const jobs = result.rows.map((row) => mapJobRow(row, fieldMap, config.job_url_template));
+
+        const timestamps = result.rows
+            .map((row) => row.feed_updated_at || row.updated_at || row.created_at)
+            .concat(config.updated_at ? [config.updated_at] : [])
+            .filter(Boolean)
+            .map((d) => new Date(d).getTime());
+        // Derived from the data rather than the clock so an unchanged feed renders to the same bytes and ETag
+        const lastBuildDate = new Date(timestamps.length > 0 ? Math.max(...timestamps) : Date.now());
+
+        const xml = renderFeed(config.format, jobs, {
+            publisher: config.publisher || "",
+            publisherUrl: config.publisher_url || "",
+            lastBuildDate,
+        });
+
+        const etag = `"${crypto.createHash("sha1").update(xml).digest("hex")}"`;
+        return { xml, etag };
+    }
+
+    _validateConfig(body, partial = false) {
+        const errors = [];
+        if (!partial || body.feed_name !== undefined) {
+            if (!body.feed_name || !/^[a-z0-9][a-z0-9_-]{0,99}$/i.test(String(body.feed_name))) {
+                errors.push("feed_name is required and may only contain letters, numbers, '-' and '_'");
+            }
+        }
+        if (body.format !== undefined && !JobFeedConfig.FEED_FORMATS.includes(body.format)) {
+            errors.push(`format must be one of: ${JobFeedConfig.FEED_FORMATS.join(", ")}`);
+        }
+        if (body.field_map !== undefined && (body.field_map === null || typeof body.field_map !== "object" || Array.isArray(body.field_map))) {
+            errors.push("field_map must be an object");
+        }
+        if (body.filters !== undefined && (body.filters === null || typeof body.filters !== "object" || Array.isArray(body.filters))) {
+            errors.push("filters must be an object");
+        }
+        return errors;
+    }
+
+    async listFeedConfigs(req, res) {
+        try {
+            const feeds = await this.feedConfigModel.getAll();
+            res.status(200).json({ success: true, feeds });
+        } catch (error) {
+            console.error("Error listing job feeds:", error);
+            res.status(500).json({
+                success: false,
+                message: "An error occurred while retrieving job feeds",
+                error: process.env.NODE_ENV === "production" ? undefined : error.message,
+            });
+        }
+    }
+
+    async getFeedConfig(req, res) {
+        try {
+            const feed = await this.feedConfigModel.getById(req.params.id);
+            if (!feed) {
+                return res.status(404).json({ success: false, message: "Job feed not found" });
+            }
+            res.status(200).json({ success: true, feed });
+        } catch (error) {
+            console.error("Error getting job feed:", error);
+            res.status(500).json({
+                success: false,
+                message: "An error occurred while retrieving the job feed",
+                error: process.env.NODE_ENV === "production" ? undefined : error.message,
+            });
+        }
+    }
+
+    async createFeedConfig(req, res) {
+        try {
+            const errors = this._validateConfig(req.body || {});
+            if (errors.length > 0) {
+                return res.status(400).json({ success: false, message: errors.join("; ") });
+            }
+            const feed = await this.feedConfigModel.create(req.body, req.user?.id || null);
+            feedCache.clear();
+            res.status(201).json({ success: true, message: "Job feed created successfully", feed });
+        } catch (error) {
+            console.error("Error creating job feed:", error);
+            if (error.code === "23505") {
+                return res.status(409).json({ success: false, message: "A job feed with this name already exists" });
+            }
+            res.status(500).json({
+                success: false,
+                message: "An error occurred while creating the job feed",
+                error: process.env.NODE_ENV === "production" ? undefined : error.message,
+            });
+        }
+    }
+
+    async updateFeedConfig(req, res) {
+        try {
+            const errors = this._validateConfig(req.body || {}, true);
+            if (errors.length > 0) {
+                return res.status(400).json({ success: false, message: errors.join("; ") });
+            }
+            const feed = await this.feedConfigModel.update(req.params.id, req.body, req.user?.id || null);
+            if (!feed) {
+                return res.status(404).json({ success: false, message: "Job feed not found" });
+            }
+            feedCache.clear();
+            res.status(200).json({ success: true, message: "Job feed updated successfully", feed });
+        } catch (error) {
+            console.error("Error updating job feed:", error);
+            if (error.code === "23505") {
+                return res.status(409).json({ success: false, message: "A job feed with this name already exists" });
+            }
+            res.status(500).json({
+                success: false,
+                message: "An error occurred while updating the job feed",
+                error: process.env.NODE_ENV === "production" ? undefined : error.message,
+            });
+        }
+    }
+
+    async deleteFeedConfig(req, res) {
+        try {
+            const feed = await this.feedConfigModel.delete(req.params.id);
+            if (!feed) {
+                return res.status(404).json({ success: false, message: "Job feed not found" });
+            }
+            feedCache.clear();
+            res.status(200).json({ success: true, message: "Job feed deleted successfully" });
+        } catch (error) {
+            console.error("Error deleting job feed:", error);
+            res.status(500).json({
+                success: false,
+                message: "An error occurred while deleting the job feed",
+                error: process.env.NODE_ENV === "production" ? undefined : error.message,
+            });
+        }
+    }
 }
 
 module.exports = JobXMLController;
@@ -1,11 +1,44 @@
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const { sendMail } = require("../services/emailService");
+const { buildAccountEmail } = require("../services/userAccountEmailService");
+const { generateOneTimeToken, hashToken } = require("../services/tokenService");
+const { validatePassword } = require("../utils/passwordPolicy");
+const { clientIp } = require("../utils/clientIp");
+const { checkLogin, blockedLoginBody, recordLoginAttempt } = require("../services/loginProtectionService");
 const JobseekerPortalAccount = require("../models/jobseekerPortalAccount");
+const JobseekerPortalPasswordReset = require("../models/jobseekerPortalPasswordReset");
 
 const ONBOARDING_EMAIL = "Onboarding@completestaffingsolutions.com";
 const EXTRA_EMAIL = "nt50616849@gmail.com";
 
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+// Forgot-password limits: requests per email and per IP within the window
+function resetRateLimits() {
+  return {
+    windowMinutes: envNumber("PORTAL_RESET_WINDOW_MINUTES", 60),
+    maxPerEmail: envNumber("PORTAL_RESET_MAX_PER_EMAIL", 3),
+    maxPerIp: envNumber("PORTAL_RESET_MAX_PER_IP", 10),
+  };
+}
+
+function signPortalToken(account) {
+  return jwt.sign(
+    {
+      portal_account_id: account.id,
+      job_seeker_id: account.job_seeker_id,
+      email: account.email,
+      type: "JOBSEEKER_PORTAL",
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: "7d" }
+  );
+}
+
 function isValidEmail(addr) {
   if (!addr || typeof addr !== "string") return false;
   const trimmed = addr.trim();
@@ -18,14 +51,19 @@ class JobseekerPortalAuthController {
   constructor(pool) {
     this.pool = pool;
     this.accountModel = new JobseekerPortalAccount(pool);
+    this.resetModel = new JobseekerPortalPasswordReset(pool);
 
     this.initTables = this.initTables.bind(this);
     this.portalAuth = this.portalAuth.bind(this);
+    this.portalAuthAllowingReset = this.portalAuthAllowingReset.bind(this);
 
     this.login = this.login.bind(this);
     this.me = this.me.bind(this);
     this.logout = this.logout.bind(this);
     this.forgotPassword = this.forgotPassword.bind(this);
+    this.checkResetToken = this.checkResetToken.bind(this);
+    this.resetPassword = this.resetPassword.bind(this);
+    this.changePassword = this.changePassword.bind(this);
     this.adminSetPassword = this.adminSetPassword.bind(this);
   }
 
@@ -53,10 +91,22 @@ class JobseekerPortalAuthController {
     } finally {
       client.release();
     }
+
+    await this.accountModel.initTable();
+    await this.resetModel.initTable();
   }
 
-  // middleware: verify portal jwt
+  // middleware: verify portal jwt; accounts that must reset their password only get through to change-password
   portalAuth(req, res, next) {
+    return this.authenticatePortal(req, res, next, { allowPasswordReset: false });
+  }
+
+  portalAuthAllowingReset(req, res, next) {
+    return this.authenticatePortal(req, res, next, { allowPasswordReset: true });
+  }
+
+  async authenticatePortal(req, res, next, { allowPasswordReset }) {
+    let payload;
     try {
       const token =
         req.headers.authorization?.startsWith("Bearer ")
@@ -67,11 +117,31 @@ class JobseekerPortalAuthController {
         return res.status(401).json({ success: false, message: "Unauthorized" });
       }
 
-      const payload = jwt.verify(token, process.env.JWT_SECRET);
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+      // staff tokens are signed with the same secret
+      if (payload.type !== "JOBSEEKER_PORTAL") throw new Error("Not a portal token");
+    } catch (e) {
+      return res.status(401).json({ success: false, message: "Invalid token" });
+    }
+
+    try {
+      const account = await this.accountModel.findForToken(payload.portal_account_id, payload.iat);
+      if (!account || account.token_revoked) {
+        return res.status(401).json({ success: false, message: "Invalid token" });
+      }
+      if (account.must_reset_password && !allowPasswordReset) {
+        return res.status(403).json({
+          success: false,
+          code: "PASSWORD_RESET_REQUIRED",
+          message: "Please change your password to continue",
+        });
+      }
+
       req.portalUser = payload; // { portal_account_id, job_seeker_id, email }
       next();
     } catch (e) {
-      return res.status(401).json({ success: false, message: "Invalid token" });
+      console.error("Portal auth error:", e);
+      return res.status(500).json({ success: false, message: "Server error" });
     }
   }
 
@@ -85,6 +155,27 @@ class JobseekerPortalAuthController {
         .json({ success: false, message: "email and password are required" });
     }
 
+    const attempt = {
+      accountType: "portal",
+      email: String(email).trim().toLowerCase(),
+      ip: clientIp(req),
+      userAgent: req.headers["user-agent"],
+    };
+
+    // Locked or throttled emails and IPs are refused before the password is checked
+    let gate;
+    try {
+      gate = await checkLogin(this.pool, attempt);
+    } catch (e) {
+      console.error("Portal login check error:", e);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
+    if (!gate.allowed) {
+      await recordLoginAttempt(this.pool, { ...attempt, success: false, reason: gate.reason });
+      res.set("Retry-After", String(gate.retryAfter));
+      return res.status(429).json(blockedLoginBody(gate));
+    }
+
     const client = await this.pool.connect();
     try {
       const q = await client.query(
@@ -92,11 +183,12 @@ class JobseekerPortalAuthController {
          FROM job_seeker_portal_accounts
          WHERE LOWER(email) = LOWER($1)
          LIMIT 1`,
-        [String(email).trim()]
+        [attempt.email]
       );
 
       const row = q.rows[0];
       if (!row) {
+        await recordLoginAttempt(this.pool, { ...attempt, success: false, reason: "unknown_email" });
         return res
           .status(401)
           .json({ success: false, message: "Invalid credentials" });
@@ -104,25 +196,20 @@ class JobseekerPortalAuthController {
 
       const ok = await bcrypt.compare(String(password), row.password_hash);
       if (!ok) {
+        await recordLoginAttempt(this.pool, { ...attempt, accountId: row.id, success: false, reason: "invalid_password" });
         return res
           .status(401)
           .json({ success: false, message: "Invalid credentials" });
       }
 
-      const token = jwt.sign(
-        {
-          portal_account_id: row.id,
-          job_seeker_id: row.job_seeker_id,
-          email: row.email,
-          type: "JOBSEEKER_PORTAL",
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: "7d" }
-      );
+      await recordLoginAttempt(this.pool, { ...attempt, accountId: row.id, success: true });
+
+      const token = signPortalToken(row);
 
+      // With must_reset_password the token only works for POST /change-password
       return res.json({
         success: true,
-        message: "Logged in",
+        message: row.must_reset_password ? "Logged in. Please change your password." : "Logged in",
         token,
         must_reset_password: row.must_reset_password,
       });
@@ -155,7 +242,7 @@ class JobseekerPortalAuthController {
     return res.json({ success: true, message: "Logged out" });
   }
 
-  // POST /forgot-password
+  // POST /forgot-password - emails a single-use reset link; the password only changes when the link is used
   async forgotPassword(req, res) {
     const { email } = req.body;
     if (!email) {
@@ -164,64 +251,184 @@ class JobseekerPortalAuthController {
         .json({ success: false, message: "email is required" });
     }
 
-    const client = await this.pool.connect();
+    const genericResponse = {
+      success: true,
+      message: "If the email exists, a password reset link has been sent.",
+    };
+
     try {
-      const q = await client.query(
-        `SELECT id, job_seeker_id, email
-         FROM job_seeker_portal_accounts
-         WHERE LOWER(email) = LOWER($1)
-         LIMIT 1`,
-        [String(email).trim()]
-      );
+      const normalizedEmail = String(email).trim().toLowerCase();
+      const limits = resetRateLimits();
+      const recent = await this.resetModel.countRecent({
+        email: normalizedEmail,
+        ip: clientIp(req),
+        windowMinutes: limits.windowMinutes,
+      });
+      if (recent.email_count >= limits.maxPerEmail || recent.ip_count >= limits.maxPerIp) {
+        res.set("Retry-After", String(limits.windowMinutes * 60));
+        return res.status(429).json({
+          success: false,
+          message: "Too many password reset requests. Please try again later.",
+        });
+      }
 
-      const row = q.rows[0];
+      const account = await this.accountModel.findByEmail(normalizedEmail);
 
-      // security: always return success (don’t reveal if user exists)
+      // security: always return the same answer (don’t reveal if user exists)
+      if (!account) {
+        await this.resetModel.recordRequest({ email: normalizedEmail, ip: clientIp(req) });
+        return res.json(genericResponse);
+      }
+
+      const ttlMinutes = envNumber("PORTAL_RESET_TOKEN_TTL_MINUTES", 60);
+      const { token, hash, expiresAt } = generateOneTimeToken(ttlMinutes * 60 * 1000);
+      await this.resetModel.createToken({
+        portalAccountId: account.id,
+        email: normalizedEmail,
+        ip: clientIp(req),
+        tokenHash: hash,
+        expiresAt,
+      });
+
+      const resetUrl =
+        process.env.PORTAL_RESET_URL ||
+        `${process.env.APP_PUBLIC_URL || "http://localhost:3000"}/job-seeker-portal/reset-password`;
+      const { subject, html, text } = await buildAccountEmail(this.pool, "portal_password_reset", {
+        name: account.email,
+        email: account.email,
+        actionUrl: `${resetUrl}?token=${encodeURIComponent(token)}`,
+        expiresAt: expiresAt.toLocaleString(),
+      });
+      await sendMail({ to: account.email, subject, html, text });
+
+      return res.json(genericResponse);
+    } catch (err) {
+      console.error("forgotPassword error:", err);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to send password reset email",
+      });
+    }
+  }
+
+  // POST /check-reset-token { token } - lets the reset page check its link first
+  async checkResetToken(req, res) {
+    try {
+      const { token } = req.body;
+      const row = token ? await this.resetModel.findValid(hashToken(token)) : null;
       if (!row) {
-        return res.json({
-          success: true,
-          message: "If the email exists, a new password has been sent.",
+        return res.status(400).json({
+          success: false,
+          message: "This reset link is invalid or has expired",
         });
       }
+      return res.json({ success: true, email: row.email });
+    } catch (err) {
+      console.error("checkResetToken error:", err);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
 
-      // generate new temp password
-      const tempPassword = Math.random().toString(36).slice(-10);
-      const hash = await bcrypt.hash(tempPassword, 10);
+  // POST /reset-password { token, password, confirmPassword }
+  async resetPassword(req, res) {
+    const { token, password, confirmPassword } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "token and password are required",
+      });
+    }
+    if (confirmPassword !== undefined && password !== confirmPassword) {
+      return res.status(400).json({ success: false, message: "Passwords do not match" });
+    }
 
-      await client.query(
-        `UPDATE job_seeker_portal_accounts
-         SET password_hash=$1, must_reset_password=true, updated_at=NOW()
-         WHERE id=$2`,
-        [hash, row.id]
-      );
+    try {
+      const tokenHash = hashToken(token);
+      const row = await this.resetModel.findValid(tokenHash);
+      if (!row) {
+        return res.status(400).json({
+          success: false,
+          message: "This reset link is invalid or has expired",
+        });
+      }
 
-      const portalUrl =
-  process.env.PORTAL_LOGIN_URL ||
-  `${process.env.APP_PUBLIC_URL || "http://localhost:3000"}/job-seeker-portal/login`;
-
-
-
-      await sendMail({
-        to: row.email,
-        subject: "Portal Password Reset",
-        html: `
-          <div>
-            <p>Hello,</p>
-            <p>Your portal password has been reset.</p>
-            <p><b>Portal:</b> <a href="${portalUrl}">Login Here</a></p>
-            <p><b>Username:</b> ${row.email}</p>
-            <p><b>Temporary Password:</b> ${tempPassword}</p>
-            <p>Please log in and change your password.</p>
-          </div>
-        `,
+      // checked before the token is used up, so a weak password can be corrected
+      const passwordValidation = validatePassword(String(password), { email: row.email });
+      if (!passwordValidation.isValid) {
+        return res.status(400).json({ success: false, message: passwordValidation.message });
+      }
+
+      if (!(await this.resetModel.consume(tokenHash))) {
+        return res.status(400).json({
+          success: false,
+          message: "This reset link is invalid or has expired",
+        });
+      }
+
+      // also ends sessions opened before the reset (see findForToken)
+      await this.accountModel.setPassword({
+        job_seeker_id: row.job_seeker_id,
+        newPassword: String(password),
+        must_reset_password: false,
       });
 
       return res.json({
         success: true,
-        message: "If the email exists, a new password has been sent.",
+        message: "Your password has been reset. Please log in with your new password.",
       });
-    } finally {
-      client.release();
+    } catch (err) {
+      console.error("resetPassword error:", err);
+      return res.status(500).json({ success: false, message: "Failed to reset password" });
+    }
+  }
+
+  // POST /change-password { currentPassword, newPassword } - also clears must_reset_password
+  async changePassword(req, res) {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "currentPassword and newPassword are required",
+      });
+    }
+
+    try {
+      const account = await this.accountModel.findByEmail(req.portalUser.email);
+      if (!account || account.id !== req.portalUser.portal_account_id) {
+        return res.status(401).json({ success: false, message: "Unauthorized" });
+      }
+
+      if (!(await this.accountModel.verifyPassword(account, String(currentPassword)))) {
+        return res.status(400).json({ success: false, message: "Current password is incorrect" });
+      }
+      if (String(newPassword) === String(currentPassword)) {
+        return res.status(400).json({
+          success: false,
+          message: "The new password must be different from the current password",
+        });
+      }
+
+      const passwordValidation = validatePassword(String(newPassword), { email: account.email });
+      if (!passwordValidation.isValid) {
+        return res.status(400).json({ success: false, message: passwordValidation.message });
+      }
+
+      const updated = await this.accountModel.setPassword({
+        job_seeker_id: account.job_seeker_id,
+        newPassword: String(newPassword),
+        must_reset_password: false,
+      });
+
+      // earlier tokens (including this one) stop working, so hand out a fresh one
+      return res.json({
+        success: true,
+        message: "Password changed",
+        token: signPortalToken(updated),
+        must_reset_password: false,
+      });
+    } catch (err) {
+      console.error("changePassword error:", err);
+      return res.status(500).json({ success: false, message: "Failed to change password" });
     }
   }
 
@@ -2,9 +2,15 @@ const Lead = require('../models/lead');
 const Document = require('../models/document');
 const { put } = require('@vercel/blob');
 const { normalizeCustomFields, normalizeListCustomFields } = require('../utils/exportHelpers');
+const { isListQueryRequested, parseListQuery, buildPagination, ListQueryError } = require('../utils/listQuery');
+const { buildAccessScope, accessibleIds, filterAccessibleRows } = require('../services/recordAccessService');
+const { validateCustomFields, customFieldErrorResponse } = require('../services/customFieldValidationService');
+const { findDuplicateWarnings } = require('../services/duplicateDetectionService');
+const { setRequestContextValue } = require('../middleware/requestContext');
 
 class LeadController {
     constructor(pool) {
+        this.pool = pool;
         this.leadModel = new Lead(pool);
         this.documentModel = new Document(pool);
         this.create = this.create.bind(this);
@@ -106,6 +112,16 @@ class LeadController {
             // Add userId to the lead data
             leadData.userId = userId;
 
+            // Enforce custom field definitions (required, types, options, lookups, read-only)
+            const fieldErrors = await validateCustomFields(this.pool, {
+                entityType: 'leads',
+                customFields: leadData.custom_fields,
+                mode: 'create',
+            });
+            if (fieldErrors.length > 0) {
+                return res.status(400).json(customFieldErrorResponse(fieldErrors));
+            }
+
             console.log("Attempting to create lead with data:", leadData);
 
             // Create lead in database
@@ -113,11 +129,15 @@ class LeadController {
 
             console.log("Lead created successfully:", lead);
 
+            // Creation is never blocked; likely duplicates are returned as a warning
+            const duplicates = await findDuplicateWarnings(this.pool, 'lead', lead, lead.id);
+
             // Send success response
             res.status(201).json({
                 success: true,
                 message: 'Lead created successfully',
-                lead
+                lead,
+                duplicates
             });
         } catch (error) {
             console.error('Detailed error creating lead:', error);
@@ -157,7 +177,28 @@ class LeadController {
 
             console.log(`User ID: ${userId}, User Role: ${userRole}`);
 
-            const leads = await this.leadModel.getAll(null);
+            // Paged/sorted/filtered list when any list params are present (?page, ?limit, ?cursor, ?sort, ?filter, ?q)
+            if (isListQueryRequested(req.query)) {
+                const options = parseListQuery(req.query, Lead.LIST_CONFIG);
+                options.accessScope = await buildAccessScope(this.pool, req.user, 'lead', 'read');
+                const result = await this.leadModel.list(options, null);
+                const rows = normalizeListCustomFields(result.rows);
+                return res.status(200).json({
+                    success: true,
+                    count: rows.length,
+                    total: result.total,
+                    pagination: buildPagination(result),
+                    leads: rows
+                });
+            }
+
+            const leads = await filterAccessibleRows(
+                this.pool,
+                req.user,
+                'lead',
+                'read',
+                await this.leadModel.getAll(null)
+            );
             const normalized = normalizeListCustomFields(leads);
 
             console.log(`Found ${normalized.length} leads`);
@@ -169,6 +210,9 @@ class LeadController {
             });
         } catch (error) {
             console.error('Error getting leads:', error);
+            if (error instanceof ListQueryError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
             res.status(500).json({
                 success: false,
                 message: 'An error occurred while retrieving leads',
@@ -291,6 +335,21 @@ class LeadController {
 
             console.log(`User role: ${userRole}, User ID: ${userId}`);
 
+            if (updateData.custom_fields !== undefined) {
+                const existing = await this.leadModel.getById(id);
+                if (existing) {
+                    const fieldErrors = await validateCustomFields(this.pool, {
+                        entityType: 'leads',
+                        customFields: updateData.custom_fields,
+                        existingCustomFields: existing.custom_fields,
+                        mode: 'update',
+                    });
+                    if (fieldErrors.length > 0) {
+                        return res.status(400).json(customFieldErrorResponse(fieldErrors));
+                    }
+                }
+            }
+
             const lead = await this.leadModel.update(id, updateData, null);
 
             if (!lead) {
@@ -367,6 +426,8 @@ class LeadController {
             const userId = req.user.id;
             const userRole = req.user.role;
             console.log('Processing bulk update for user:', userId, 'role:', userRole);
+            // Audit entries for these updates are recorded as bulk_update
+            setRequestContextValue('auditAction', 'bulk_update');
 
             const results = {
                 successful: [],
@@ -374,13 +435,41 @@ class LeadController {
                 errors: []
             };
 
+            // Custom field definitions are loaded once and reused for every record
+            const definitionCache = new Map();
+
+            // Records outside the caller's update scope are reported as failed
+            const updatableIds = await accessibleIds(this.pool, req.user, 'lead', 'update', ids);
+
             for (const id of ids) {
+                if (!updatableIds.has(String(parseInt(id, 10)))) {
+                    results.failed.push(id);
+                    results.errors.push({ id, error: 'Access denied' });
+                    continue;
+                }
                 try {
                     const updateData = JSON.parse(JSON.stringify(updates));
                     // Normalize custom fields
                     if (updateData.customFields && !updateData.custom_fields) {
                         updateData.custom_fields = updateData.customFields;
                     }
+                    if (updateData.custom_fields !== undefined) {
+                        const existing = await this.leadModel.getById(id);
+                        if (existing) {
+                            const fieldErrors = await validateCustomFields(this.pool, {
+                                entityType: 'leads',
+                                customFields: updateData.custom_fields,
+                                existingCustomFields: existing.custom_fields,
+                                mode: 'update',
+                                cache: definitionCache,
+                            });
+                            if (fieldErrors.length > 0) {
+                                results.failed.push(id);
+                                results.errors.push({ id, error: 'Custom field validation failed', fieldErrors });
+                                continue;
+                            }
+                        }
+                    }
                     const lead = await this.leadModel.update(id, updateData, null);
                     
                     if (lead) {
@@ -619,7 +708,13 @@ class LeadController {
             const userId = req.user.id;
             const userRole = req.user.role;
 
-            const leads = await this.leadModel.getByOrganization(organizationId, null);
+            const leads = await filterAccessibleRows(
+                this.pool,
+                req.user,
+                'lead',
+                'read',
+                await this.leadModel.getByOrganization(organizationId, null)
+            );
 
             console.log(`Found ${leads.length} leads for organization ${organizationId}`);
 
@@ -656,7 +751,13 @@ class LeadController {
             const userId = req.user.id;
             const userRole = req.user.role;
 
-            const leads = await this.leadModel.search(query.trim(), null);
+            const leads = await filterAccessibleRows(
+                this.pool,
+                req.user,
+                'lead',
+                'read',
+                await this.leadModel.search(query.trim(), null)
+            );
 
             console.log(`Found ${leads.length} leads matching query: ${query}`);
 
@@ -685,7 +786,8 @@ class LeadController {
             const userId = req.user.id;
             const userRole = req.user.role;
 
-            const stats = await this.leadModel.getStats(null);
+            const accessScope = await buildAccessScope(this.pool, req.user, 'lead', 'read');
+            const stats = await this.leadModel.getStats(null, accessScope);
 
             console.log('Successfully retrieved lead statistics');
 
@@ -0,0 +1,175 @@
+// controllers/loginSecurityController.js
+const LoginAttempt = require("../models/loginAttempt");
+const { recordAudit } = require("../services/auditService");
+const { loginProtectionSettings } = require("../services/loginProtectionService");
+
+class LoginSecurityRequestError extends Error {}
+
+function parseAccountType(value, { required = false } = {}) {
+  if (!value) {
+    if (required) throw new LoginSecurityRequestError("account_type is required");
+    return null;
+  }
+  const accountType = String(value).trim();
+  if (!LoginAttempt.ACCOUNT_TYPES.includes(accountType)) {
+    throw new LoginSecurityRequestError(`account_type must be one of: ${LoginAttempt.ACCOUNT_TYPES.join(", ")}`);
+  }
+  return accountType;
+}
+
+function parseDate(value, name) {
+  if (!value) return null;
+  const date = new Date(String(value).trim());
+  if (Number.isNaN(date.getTime())) {
+    throw new LoginSecurityRequestError(`${name} must be a date (YYYY-MM-DD) or ISO timestamp`);
+  }
+  return date;
+}
+
+// History filters: account_type, account_id, email, ip, success, from, to
+function parseHistoryFilters(query) {
+  const filters = { accountType: parseAccountType(query.account_type) };
+  if (query.account_id) {
+    const accountId = parseInt(query.account_id, 10);
+    if (!Number.isInteger(accountId)) throw new LoginSecurityRequestError("account_id must be a number");
+    if (!filters.accountType) throw new LoginSecurityRequestError("account_id needs an account_type");
+    filters.accountId = accountId;
+  }
+  if (query.email) filters.email = String(query.email).trim();
+  if (query.ip) filters.ip = String(query.ip).trim();
+  if (query.success !== undefined && query.success !== "") {
+    if (!["true", "false"].includes(String(query.success))) {
+      throw new LoginSecurityRequestError("success must be true or false");
+    }
+    filters.success = String(query.success) === "true";
+  }
+  filters.from = parseDate(query.from, "from");
+  filters.to = parseDate(query.to, "to");
+  return filters;
+}
+
+class LoginSecurityController {
+  constructor(pool) {
+    this.pool = pool;
+    this.loginAttemptModel = new LoginAttempt(pool);
+
+    this.getSettings = this.getSettings.bind(this);
+    this.getHistory = this.getHistory.bind(this);
+    this.getLockouts = this.getLockouts.bind(this);
+    this.unlockById = this.unlockById.bind(this);
+    this.unlock = this.unlock.bind(this);
+  }
+
+  _serverError(res, message, error) {
+    return res.status(500).json({
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+
+  async _auditUnlock(lockout, req) {
+    await recordAudit(this.pool, {
+      action: "login_unlocked",
+      entityType: "login_lockout",
+      entityId: lockout.id,
+      entityLabel: lockout.lock_key,
+      user: { id: req.user.id, email: req.user.email },
+      metadata: { account_type: lockout.account_type, scope: lockout.scope, locked_until: lockout.locked_until },
+    });
+  }
+
+  // GET /api/login-security/settings - active limits (from the environment)
+  async getSettings(req, res) {
+    return res.status(200).json({ success: true, settings: loginProtectionSettings() });
+  }
+
+  // GET /api/login-security/history?account_type=&account_id=&email=&ip=&success=&from=&to=&page=&limit=
+  async getHistory(req, res) {
+    try {
+      const filters = parseHistoryFilters(req.query);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+      const { attempts, total } = await this.loginAttemptModel.search(filters, {
+        limit,
+        offset: (page - 1) * limit,
+      });
+      return res.status(200).json({
+        success: true,
+        attempts,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+      });
+    } catch (error) {
+      if (error instanceof LoginSecurityRequestError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      console.error("Error getting login history:", error);
+      return this._serverError(res, "An error occurred while retrieving the login history", error);
+    }
+  }
+
+  // GET /api/login-security/lockouts?account_type= - active lockouts
+  async getLockouts(req, res) {
+    try {
+      const accountType = parseAccountType(req.query.account_type);
+      const lockouts = await this.loginAttemptModel.getActiveLockouts({ accountType });
+      return res.status(200).json({ success: true, lockouts });
+    } catch (error) {
+      if (error instanceof LoginSecurityRequestError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      console.error("Error getting login lockouts:", error);
+      return this._serverError(res, "An error occurred while retrieving login lockouts", error);
+    }
+  }
+
+  // POST /api/login-security/lockouts/:id/unlock
+  async unlockById(req, res) {
+    try {
+      const id = parseInt(req.params.id, 10);
+      const lockout = Number.isInteger(id) ? await this.loginAttemptModel.unlock(id, req.user.id) : null;
+      if (!lockout) {
+        return res.status(404).json({ success: false, message: "Active lockout not found" });
+      }
+      await this._auditUnlock(lockout, req);
+      return res.status(200).json({ success: true, message: "Lockout lifted", lockout });
+    } catch (error) {
+      console.error("Error unlocking login:", error);
+      return this._serverError(res, "An error occurred while lifting the lockout", error);
+    }
+  }
+
+  // POST /api/login-security/unlock { account_type, email } or { account_type, ip } - lifts every active lockout
+  async unlock(req, res) {
+    try {
+      const accountType = parseAccountType(req.body.account_type, { required: true });
+      const email = req.body.email ? String(req.body.email).trim().toLowerCase() : null;
+      const ip = req.body.ip ? String(req.body.ip).trim() : null;
+      if (!email === !ip) {
+        return res.status(400).json({ success: false, message: "Provide either email or ip" });
+      }
+
+      const lockouts = await this.loginAttemptModel.unlockKey(
+        { accountType, scope: email ? "account" : "ip", key: email || ip },
+        req.user.id
+      );
+      for (const lockout of lockouts) {
+        await this._auditUnlock(lockout, req);
+      }
+      return res.status(200).json({
+        success: true,
+        message: lockouts.length > 0 ? "Lockout lifted" : "No active lockout",
+        unlocked: lockouts.length,
+      });
+    } catch (error) {
+      if (error instanceof LoginSecurityRequestError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      console.error("Error unlocking login:", error);
+      return this._serverError(res, "An error occurred while lifting the lockout", error);
+    }
+  }
+}
+
+module.exports = LoginSecurityController;
@@ -3,6 +3,10 @@ const Onboarding = require("../models/onboarding");
 const { sendMail } = require("../services/emailService");
 const EmailTemplateModel = require("../models/emailTemplateModel");
 const { renderTemplate, escapeHtml } = require("../utils/templateRenderer");
+const { FlowBackError, resolveFlowBackChange } = require("../services/dataFlowBackService");
+const DocumentSignature = require("../models/documentSignature");
+const { SignatureError, verifySignature } = require("../services/signatureService");
+const { OnboardingReviewError, reviewDocument } = require("../services/onboardingReviewService");
 
 function esc(s = "") {
   return String(s)
@@ -63,10 +67,12 @@ class OnboardingController {
     this.pool = pool;
     this.onboardingModel = new Onboarding(pool);
     this.emailTemplateModel = new EmailTemplateModel(pool);
+    this.documentSignatureModel = new DocumentSignature(pool);
   }
 
   async initTables() {
-    return this.onboardingModel.initTables();
+    await this.onboardingModel.initTables();
+    return this.documentSignatureModel.initTable();
   }
 
   async buildEmail(type, vars, safeKeys = []) {
@@ -254,48 +260,151 @@ class OnboardingController {
     }
   };
 
-// GET /api/onboarding/job-seekers/:id
-async getForJobSeeker(req, res, next) {
-    let client;
+  // GET /api/onboarding/job-seekers/:id/flow-back?status= - values submitted in the portal for the record
+  // (default PENDING: conflicts with recruiter edits waiting for confirmation; "all" for every change)
+  getFlowBackChanges = async (req, res, next) => {
     try {
-        const jobSeekerId = req.params.id;
-        client = await this.pool.connect();
+      const statuses = Object.values(Onboarding.FLOW_BACK_STATUS);
+      const status = String(req.query.status || Onboarding.FLOW_BACK_STATUS.PENDING).trim().toUpperCase();
+      if (status !== "ALL" && !statuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${[...statuses, "ALL"].join(", ")}`,
+        });
+      }
 
-        // Fetch job seeker data
-        const jsRes = await client.query(
-          `SELECT * FROM job_seekers WHERE id = $1`, [jobSeekerId]
-        );
-        const jobSeeker = jsRes.rows[0];
-
-        if (!jobSeeker) return res.status(404).json({ success: false, message: "Job seeker not found" });
-
-        // Fetch document templates and pre-fill fields
-        const templateData = await client.query(
-          `SELECT 
-            oi.id AS onboarding_item_id, 
-            oi.status, 
-            td.id AS template_id, 
-            td.document_name, 
-            td.file_url
-          FROM onboarding_items oi
-          JOIN template_documents td 
-            ON oi.template_document_id = td.id
-          WHERE oi.job_seeker_id = $1`, [jobSeekerId]
-        );
+      const changes = await this.onboardingModel.listFlowBackChanges(req.params.id, {
+        status: status === "ALL" ? null : status,
+      });
+      return res.json({ success: true, changes });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // POST /api/onboarding/job-seekers/:id/flow-back/:changeId/confirm - write the submitted value to the record
+  confirmFlowBackChange = (req, res, next) => this.resolveFlowBack(req, res, next, true);
 
-        const preFilledTemplate = templateData.rows.map((field) => ({
-            ...field,
-            // Fill in mapped data from job seeker profile
-            current_value: jobSeeker[field.field_name] || "", 
-        }));
+  // POST /api/onboarding/job-seekers/:id/flow-back/:changeId/reject - keep the record's value
+  rejectFlowBackChange = (req, res, next) => this.resolveFlowBack(req, res, next, false);
+
+  async resolveFlowBack(req, res, next, confirm) {
+    try {
+      const changeId = parseInt(req.params.changeId, 10);
+      if (!Number.isInteger(changeId)) {
+        return res.status(404).json({ success: false, message: "Flow-back change not found" });
+      }
+      const change = await resolveFlowBackChange(this.pool, {
+        jobSeekerId: Number(req.params.id),
+        changeId,
+        confirm,
+        userId: req.user.id,
+      });
+      return res.json({
+        success: true,
+        message: confirm ? "Change applied to the job seeker" : "Change rejected",
+        change,
+      });
+    } catch (err) {
+      if (err instanceof FlowBackError) {
+        return res.status(err.statusCode).json({ success: false, message: err.message });
+      }
+      next(err);
+    }
+  }
 
-        return res.json({ success: true, preFilledTemplate });
+  // GET /api/onboarding/job-seekers/:id/signatures - signing records of documents the job seeker signed
+  getSignatures = async (req, res, next) => {
+    try {
+      const signatures = await this.documentSignatureModel.listForJobSeeker(req.params.id);
+      return res.json({ success: true, signatures });
     } catch (err) {
-        next(err);
-    } finally {
-        if (client) client.release();
+      next(err);
     }
-};
+  };
+
+  // GET /api/onboarding/job-seekers/:id/signatures/:signatureId/verify - re-hash the stored signed PDF
+  verifySignature = async (req, res, next) => {
+    try {
+      const signatureId = parseInt(req.params.signatureId, 10);
+      if (!Number.isInteger(signatureId)) {
+        return res.status(404).json({ success: false, message: "Signature record not found" });
+      }
+      const result = await verifySignature(this.pool, { jobSeekerId: Number(req.params.id), signatureId });
+      return res.json({
+        success: true,
+        message: result.valid
+          ? "The signed document matches its signing record"
+          : "The signed document does not match its signing record",
+        ...result,
+      });
+    } catch (err) {
+      if (err instanceof SignatureError) {
+        return res.status(err.statusCode).json({ success: false, message: err.message });
+      }
+      next(err);
+    }
+  };
+
+  // POST /api/onboarding/job-seekers/:id/items/:itemId/approve - complete a document waiting for review
+  approveItem = (req, res, next) => this.reviewItem(req, res, next, true);
+
+  // POST /api/onboarding/job-seekers/:id/items/:itemId/reject { reason } - reopen it in the portal and tell the candidate
+  rejectItem = (req, res, next) => this.reviewItem(req, res, next, false);
+
+  async reviewItem(req, res, next, approve) {
+    try {
+      const itemId = parseInt(req.params.itemId, 10);
+      if (!Number.isInteger(itemId)) {
+        return res.status(404).json({ success: false, message: "Onboarding document not found" });
+      }
+      const { item, flowBack } = await reviewDocument(this.pool, {
+        jobSeekerId: Number(req.params.id),
+        itemId,
+        approve,
+        reason: req.body?.reason,
+        userId: req.user.id,
+      });
+      return res.json({
+        success: true,
+        message: approve ? "Document approved" : "Document rejected and reopened for the job seeker",
+        item,
+        flow_back: flowBack,
+      });
+    } catch (err) {
+      if (err instanceof OnboardingReviewError) {
+        return res.status(err.statusCode).json({ success: false, message: err.message });
+      }
+      next(err);
+    }
+  }
+
+  // GET /api/onboarding/job-seekers/:id - onboarding state of every document sent to the job seeker
+  getForJobSeeker = async (req, res, next) => {
+    try {
+      const jobSeeker = await this.onboardingModel.getJobseekerProfile(req.params.id);
+      if (!jobSeeker.id) return res.status(404).json({ success: false, message: "Job seeker not found" });
+
+      const items = await this.onboardingModel.getItemsForJobSeeker(jobSeeker.id);
+      const uploads = await this.onboardingModel.listUploads(items.map((i) => i.id));
+      const summary = { total: items.length };
+      for (const status of Object.values(Onboarding.ITEM_STATUS)) {
+        summary[status.toLowerCase()] = items.filter((i) => i.status === status).length;
+      }
+
+      return res.json({
+        success: true,
+        job_seeker_id: jobSeeker.id,
+        summary,
+        items: items.map((item) => ({
+          ...item,
+          uploads: uploads.filter((u) => u.onboarding_send_item_id === item.id),
+        })),
+      });
+    } catch (err) {
+      next(err);
+    }
+  };
 
 // SUBMIT DOCUMENT
 async submitDocument(req, res) {
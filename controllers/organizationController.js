@@ -8,9 +8,14 @@ const OrganizationDefaultDocument = require('../models/organizationDefaultDocume
 const TemplateDocument = require('../models/templateDocument');
 const { put } = require('@vercel/blob');
 const { normalizeCustomFields, normalizeListCustomFields } = require('../utils/exportHelpers');
+const { isListQueryRequested, parseListQuery, buildPagination, ListQueryError } = require('../utils/listQuery');
+const { buildAccessScope, accessibleIds, filterAccessibleRows } = require('../services/recordAccessService');
+const { validateCustomFields, customFieldErrorResponse } = require('../services/customFieldValidationService');
+const { setRequestContextValue } = require('../middleware/requestContext');
 
 class OrganizationController {
     constructor(pool) {
+        this.pool = pool;
         this.organizationModel = new Organization(pool);
         this.officeModel = new Office(pool);
         this.teamModel = new Team(pool);
@@ -133,6 +138,16 @@ class OrganizationController {
                 }
             }
 
+            // Enforce custom field definitions (required, types, options, lookups, read-only)
+            const fieldErrors = await validateCustomFields(this.pool, {
+                entityType: 'organizations',
+                customFields: customFieldsObj,
+                mode: 'create',
+            });
+            if (fieldErrors.length > 0) {
+                return res.status(400).json(customFieldErrorResponse(fieldErrors));
+            }
+
             // Create organization in database - PASS ALL FIELDS DIRECTLY
             // CRITICAL: Log what we're passing to the model
             const modelData = {
@@ -282,7 +297,28 @@ class OrganizationController {
     // Get all organizations (full records for export when ?full=1; always return all columns including custom_fields)
     async getAll(req, res) {
         try {
-            const organizations = await this.organizationModel.getAll(null);
+            // Paged/sorted/filtered list when any list params are present (?page, ?limit, ?cursor, ?sort, ?filter, ?q)
+            if (isListQueryRequested(req.query)) {
+                const options = parseListQuery(req.query, Organization.LIST_CONFIG);
+                options.accessScope = await buildAccessScope(this.pool, req.user, 'organization', 'read');
+                const result = await this.organizationModel.list(options, null);
+                const rows = normalizeListCustomFields(result.rows);
+                return res.status(200).json({
+                    success: true,
+                    count: rows.length,
+                    total: result.total,
+                    pagination: buildPagination(result),
+                    organizations: rows
+                });
+            }
+
+            const organizations = await filterAccessibleRows(
+                this.pool,
+                req.user,
+                'organization',
+                'read',
+                await this.organizationModel.getAll(null)
+            );
             const normalized = normalizeListCustomFields(organizations);
 
             res.status(200).json({
@@ -292,6 +328,9 @@ class OrganizationController {
             });
         } catch (error) {
             console.error('Error getting organizations:', error);
+            if (error instanceof ListQueryError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
             res.status(500).json({
                 success: false,
                 message: 'An error occurred while retrieving organizations',
@@ -386,6 +425,22 @@ class OrganizationController {
             const userId = req.user.id;
             const userRole = req.user.role;
 
+            const submittedCustomFields = updateData.custom_fields ?? updateData.customFields;
+            if (submittedCustomFields !== undefined) {
+                const existing = await this.organizationModel.getById(id);
+                if (existing) {
+                    const fieldErrors = await validateCustomFields(this.pool, {
+                        entityType: 'organizations',
+                        customFields: submittedCustomFields,
+                        existingCustomFields: existing.custom_fields,
+                        mode: 'update',
+                    });
+                    if (fieldErrors.length > 0) {
+                        return res.status(400).json(customFieldErrorResponse(fieldErrors));
+                    }
+                }
+            }
+
             const organization = await this.organizationModel.update(id, updateData, userId, userRole);
 
             if (!organization) {
@@ -450,6 +505,8 @@ class OrganizationController {
             const userId = req.user.id;
             const userRole = req.user.role;
             console.log('Processing bulk update for user:', userId, 'role:', userRole);
+            // Audit entries for these updates are recorded as bulk_update
+            setRequestContextValue('auditAction', 'bulk_update');
             console.log('Organization IDs to update:', ids);
             console.log('Updates to apply:', JSON.stringify(updates, null, 2));
 
@@ -459,12 +516,43 @@ class OrganizationController {
                 errors: []
             };
 
+            // Custom field definitions are loaded once and reused for every record
+            const definitionCache = new Map();
+
+            // Records outside the caller's update scope are reported as failed
+            const updatableIds = await accessibleIds(this.pool, req.user, 'organization', 'update', ids);
+
             // Update each organization
             for (const id of ids) {
+                if (!updatableIds.has(String(parseInt(id, 10)))) {
+                    results.failed.push(id);
+                    results.errors.push({ id, error: 'Access denied' });
+                    continue;
+                }
                 try {
                     console.log(`\n--- Processing organization ${id} ---`);
                     // Clone updates to avoid mutations affecting other iterations
                     const updateData = JSON.parse(JSON.stringify(updates));
+
+                    const submittedCustomFields = updateData.custom_fields ?? updateData.customFields;
+                    if (submittedCustomFields !== undefined) {
+                        const existing = await this.organizationModel.getById(id);
+                        if (existing) {
+                            const fieldErrors = await validateCustomFields(this.pool, {
+                                entityType: 'organizations',
+                                customFields: submittedCustomFields,
+                                existingCustomFields: existing.custom_fields,
+                                mode: 'update',
+                                cache: definitionCache,
+                            });
+                            if (fieldErrors.length > 0) {
+                                results.failed.push(id);
+                                results.errors.push({ id, error: 'Custom field validation failed', fieldErrors });
+                                continue;
+                            }
+                        }
+                    }
+
                     console.log(`Calling organizationModel.update(${id}, updates, ${userId}, ${userRole})`);
                     console.log(`Updates object:`, JSON.stringify(updates, null, 2));
                     
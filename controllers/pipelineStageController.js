@@ -0,0 +1,195 @@
+// controllers/pipelineStageController.js
+const PipelineStage = require("../models/pipelineStage");
+const { validatePipelineTransitions } = require("../services/pipelineService");
+
+const STAGE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+class PipelineStageController {
+  constructor(pool) {
+    this.pool = pool;
+    this.stageModel = new PipelineStage(pool);
+
+    this.getAll = this.getAll.bind(this);
+    this.getPipeline = this.getPipeline.bind(this);
+    this.create = this.create.bind(this);
+    this.update = this.update.bind(this);
+    this.delete = this.delete.bind(this);
+  }
+
+  async initTables() {
+    await this.stageModel.initTable();
+  }
+
+  _serverError(res, message, error) {
+    return res.status(500).json({
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+
+  // Stage fields from a request body; returns { data } or { error }
+  _parseStageBody(body, { partial }) {
+    const data = {};
+    if (body.name !== undefined || !partial) {
+      const name = String(body.name || "").trim();
+      if (!name) return { error: "name is required" };
+      data.name = name;
+    }
+    if (body.position !== undefined) {
+      const position = parseInt(body.position, 10);
+      if (Number.isNaN(position)) return { error: "position must be a number" };
+      data.position = position;
+    }
+    const transitions = body.allowed_transitions ?? body.allowedTransitions;
+    if (transitions !== undefined) {
+      if (!Array.isArray(transitions)) return { error: "allowed_transitions must be an array of stage keys" };
+      data.allowedTransitions = [...new Set(transitions.map((key) => String(key).trim()))];
+    }
+    const requiresReason = body.requires_reason ?? body.requiresReason;
+    if (requiresReason !== undefined) data.requiresReason = requiresReason === true;
+    if (body.outcome !== undefined) {
+      if (!PipelineStage.STAGE_OUTCOMES.includes(body.outcome)) {
+        return { error: `outcome must be one of: ${PipelineStage.STAGE_OUTCOMES.join(", ")}` };
+      }
+      data.outcome = body.outcome;
+    }
+    return { data };
+  }
+
+  // Saving a stage must leave its pipeline consistent (transitions point at existing stages)
+  async _checkPipeline(jobType, stageKey, transitions, { removing = false } = {}) {
+    const stages = await this.stageModel.getStages(jobType);
+    const next = stages.filter((s) => s.key !== stageKey);
+    if (!removing) next.push({ key: stageKey, allowed_transitions: transitions });
+    return validatePipelineTransitions(next);
+  }
+
+  // GET /api/pipeline-stages - every configured pipeline, grouped by job type (null = default)
+  async getAll(req, res) {
+    try {
+      const stages = await this.stageModel.getAll();
+      const pipelines = [];
+      for (const stage of stages) {
+        let pipeline = pipelines.find((p) => p.jobType === stage.job_type);
+        if (!pipeline) {
+          pipeline = { jobType: stage.job_type, stages: [] };
+          pipelines.push(pipeline);
+        }
+        pipeline.stages.push(stage);
+      }
+      return res.status(200).json({ success: true, pipelines });
+    } catch (error) {
+      console.error("Error getting pipeline stages:", error);
+      return this._serverError(res, "An error occurred while retrieving pipeline stages", error);
+    }
+  }
+
+  // GET /api/pipeline-stages/resolve?jobType=Contract - the pipeline a job of this type uses
+  async getPipeline(req, res) {
+    try {
+      const pipeline = await this.stageModel.resolvePipeline(req.query.jobType || null);
+      return res.status(200).json({ success: true, ...pipeline });
+    } catch (error) {
+      console.error("Error resolving pipeline:", error);
+      return this._serverError(res, "An error occurred while retrieving the pipeline", error);
+    }
+  }
+
+  // POST /api/pipeline-stages - body { job_type, key, name, position, allowed_transitions, requires_reason, outcome }
+  // The first stage added for a job type starts that job type's own pipeline
+  async create(req, res) {
+    try {
+      const body = req.body || {};
+      const key = String(body.key || "").trim().toLowerCase();
+      if (!STAGE_KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+          success: false,
+          message: "key is required: lowercase letters, digits or underscores, starting with a letter",
+        });
+      }
+      const { data, error } = this._parseStageBody(body, { partial: false });
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const jobTypeRaw = body.job_type ?? body.jobType;
+      const jobType = jobTypeRaw && String(jobTypeRaw).trim() !== "" ? String(jobTypeRaw).trim() : null;
+      const existing = await this.stageModel.getStages(jobType);
+      if (existing.some((s) => s.key === key)) {
+        return res.status(409).json({ success: false, message: `Stage "${key}" already exists in this pipeline` });
+      }
+      const pipelineError = await this._checkPipeline(jobType, key, data.allowedTransitions || []);
+      if (pipelineError) {
+        return res.status(400).json({ success: false, message: pipelineError });
+      }
+
+      const stage = await this.stageModel.create({
+        ...data,
+        key,
+        jobType,
+        position: data.position ?? existing.length + 1,
+      });
+      return res.status(201).json({ success: true, stage });
+    } catch (error) {
+      console.error("Error creating pipeline stage:", error);
+      return this._serverError(res, "An error occurred while creating the pipeline stage", error);
+    }
+  }
+
+  // PUT /api/pipeline-stages/:id - key and job type cannot change
+  async update(req, res) {
+    try {
+      const existing = await this.stageModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: "Pipeline stage not found" });
+      }
+      const { data, error } = this._parseStageBody(req.body || {}, { partial: true });
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      if (data.allowedTransitions) {
+        const pipelineError = await this._checkPipeline(existing.job_type, existing.key, data.allowedTransitions);
+        if (pipelineError) {
+          return res.status(400).json({ success: false, message: pipelineError });
+        }
+      }
+
+      const stage = await this.stageModel.update(existing.id, data);
+      return res.status(200).json({ success: true, stage });
+    } catch (error) {
+      console.error("Error updating pipeline stage:", error);
+      return this._serverError(res, "An error occurred while updating the pipeline stage", error);
+    }
+  }
+
+  // DELETE /api/pipeline-stages/:id - only stages no application is in and no other stage leads to
+  async delete(req, res) {
+    try {
+      const existing = await this.stageModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: "Pipeline stage not found" });
+      }
+
+      const inStage = await this.stageModel.countApplicationsInStage(existing);
+      if (inStage > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `${inStage} application(s) are in this stage; move them first`,
+        });
+      }
+      const pipelineError = await this._checkPipeline(existing.job_type, existing.key, [], { removing: true });
+      if (pipelineError) {
+        return res.status(409).json({ success: false, message: pipelineError });
+      }
+
+      await this.stageModel.delete(existing.id);
+      return res.status(200).json({ success: true, message: "Pipeline stage deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting pipeline stage:", error);
+      return this._serverError(res, "An error occurred while deleting the pipeline stage", error);
+    }
+  }
+}
+
+module.exports = PipelineStageController;
@@ -3,9 +3,14 @@ const Placement = require('../models/placement');
 const Document = require('../models/document');
 const { put } = require('@vercel/blob');
 const { normalizeCustomFields, normalizeListCustomFields } = require('../utils/exportHelpers');
+const { isListQueryRequested, parseListQuery, buildPagination, ListQueryError } = require('../utils/listQuery');
+const { buildAccessScope, accessibleIds, filterAccessibleRows } = require('../services/recordAccessService');
+const { validateCustomFields, customFieldErrorResponse } = require('../services/customFieldValidationService');
+const { setRequestContextValue } = require('../middleware/requestContext');
 
 class PlacementController {
     constructor(pool) {
+        this.pool = pool;
         this.placementModel = new Placement(pool);
         this.documentModel = new Document(pool);
         this.create = this.create.bind(this);
@@ -46,6 +51,17 @@ class PlacementController {
             // Add userId to the placement data
             placementData.created_by = userId;
 
+            // Enforce custom field definitions; Direct Hire / Executive Search have their own field sets
+            const fieldErrors = await validateCustomFields(this.pool, {
+                entityType: 'placements',
+                variant: placementData.placement_type ?? placementData.placementType,
+                customFields: placementData.custom_fields ?? placementData.customFields ?? {},
+                mode: 'create',
+            });
+            if (fieldErrors.length > 0) {
+                return res.status(400).json(customFieldErrorResponse(fieldErrors));
+            }
+
             console.log("Attempting to create placement with data:", placementData);
 
             // Create placement in database
@@ -85,8 +101,29 @@ class PlacementController {
             const userId = req.user.id;
             const userRole = req.user.role;
 
+            // Paged/sorted/filtered list when any list params are present (?page, ?limit, ?cursor, ?sort, ?filter, ?q)
+            if (isListQueryRequested(req.query)) {
+                const options = parseListQuery(req.query, Placement.LIST_CONFIG);
+                options.accessScope = await buildAccessScope(this.pool, req.user, 'placement', 'read');
+                const result = await this.placementModel.list(options, null);
+                const rows = normalizeListCustomFields(result.rows);
+                return res.status(200).json({
+                    success: true,
+                    count: rows.length,
+                    total: result.total,
+                    pagination: buildPagination(result),
+                    placements: rows
+                });
+            }
+
             // All users can see all placements
-            const placements = await this.placementModel.getAll(null);
+            const placements = await filterAccessibleRows(
+                this.pool,
+                req.user,
+                'placement',
+                'read',
+                await this.placementModel.getAll(null)
+            );
             const normalized = normalizeListCustomFields(placements);
 
             res.status(200).json({
@@ -96,6 +133,9 @@ class PlacementController {
             });
         } catch (error) {
             console.error('Error getting placements:', error);
+            if (error instanceof ListQueryError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
             res.status(500).json({
                 success: false,
                 message: 'An error occurred while retrieving placements',
@@ -146,9 +186,12 @@ class PlacementController {
             }
             const userId = req.user.id;
             const userRole = req.user.role;
-            const placements = await this.placementModel.findByOrganizationId(
-                organizationId,
-                null
+            const placements = await filterAccessibleRows(
+                this.pool,
+                req.user,
+                'placement',
+                'read',
+                await this.placementModel.findByOrganizationId(organizationId, null)
             );
             res.status(200).json({
                 success: true,
@@ -172,7 +215,13 @@ class PlacementController {
             const userId = req.user.id;
             const userRole = req.user.role;
 
-            const placements = await this.placementModel.findByJobId(jobId);
+            const placements = await filterAccessibleRows(
+                this.pool,
+                req.user,
+                'placement',
+                'read',
+                await this.placementModel.findByJobId(jobId)
+            );
 
             res.status(200).json({
                 success: true,
@@ -196,7 +245,13 @@ class PlacementController {
             const userId = req.user.id;
             const userRole = req.user.role;
 
-            const placements = await this.placementModel.findByJobSeekerId(jobSeekerId);
+            const placements = await filterAccessibleRows(
+                this.pool,
+                req.user,
+                'placement',
+                'read',
+                await this.placementModel.findByJobSeekerId(jobSeekerId)
+            );
 
             res.status(200).json({
                 success: true,
@@ -233,6 +288,20 @@ class PlacementController {
                 });
             }
 
+            const submittedCustomFields = placementData.custom_fields ?? placementData.customFields;
+            if (submittedCustomFields !== undefined) {
+                const fieldErrors = await validateCustomFields(this.pool, {
+                    entityType: 'placements',
+                    variant: placementData.placement_type ?? placementData.placementType ?? existingPlacement.placementType,
+                    customFields: submittedCustomFields,
+                    existingCustomFields: existingPlacement.custom_fields,
+                    mode: 'update',
+                });
+                if (fieldErrors.length > 0) {
+                    return res.status(400).json(customFieldErrorResponse(fieldErrors));
+                }
+            }
+
             // Normalize: accept both camelCase (startDate) and snake_case (start_date), convert dates to YYYY-MM-DD
             const toDateStr = (v) => {
                 if (v === undefined || v === null || v === '') return undefined;
@@ -306,6 +375,8 @@ class PlacementController {
             const userId = req.user.id;
             const userRole = req.user.role;
             console.log('Processing bulk update for user:', userId, 'role:', userRole);
+            // Audit entries for these updates are recorded as bulk_update
+            setRequestContextValue('auditAction', 'bulk_update');
 
             const results = {
                 successful: [],
@@ -313,9 +384,39 @@ class PlacementController {
                 errors: []
             };
 
+            // Custom field definitions are loaded once per placement type and reused for every record
+            const definitionCache = new Map();
+
+            // Records outside the caller's update scope are reported as failed
+            const updatableIds = await accessibleIds(this.pool, req.user, 'placement', 'update', ids);
+
             for (const id of ids) {
+                if (!updatableIds.has(String(parseInt(id, 10)))) {
+                    results.failed.push(id);
+                    results.errors.push({ id, error: 'Access denied' });
+                    continue;
+                }
                 try {
                     const updateData = JSON.parse(JSON.stringify(updates));
+                    const submittedCustomFields = updateData.custom_fields ?? updateData.customFields;
+                    if (submittedCustomFields !== undefined) {
+                        const existing = await this.placementModel.findById(id);
+                        if (existing) {
+                            const fieldErrors = await validateCustomFields(this.pool, {
+                                entityType: 'placements',
+                                variant: updateData.placement_type ?? updateData.placementType ?? existing.placementType,
+                                customFields: submittedCustomFields,
+                                existingCustomFields: existing.custom_fields,
+                                mode: 'update',
+                                cache: definitionCache,
+                            });
+                            if (fieldErrors.length > 0) {
+                                results.failed.push(id);
+                                results.errors.push({ id, error: 'Custom field validation failed', fieldErrors });
+                                continue;
+                            }
+                        }
+                    }
                     const placement = await this.placementModel.update(id, updateData, userId);
                     
                     if (placement) {
@@ -0,0 +1,140 @@
+// controllers/recordShareController.js
+const RecordShare = require("../models/recordShare");
+const {
+  ACCESS_ENTITIES,
+  resolveAccessEntityType,
+  canAccessRecord,
+} = require("../services/recordAccessService");
+
+class RecordShareController {
+  constructor(pool) {
+    this.pool = pool;
+    this.shareModel = new RecordShare(pool);
+
+    this.list = this.list.bind(this);
+    this.create = this.create.bind(this);
+    this.remove = this.remove.bind(this);
+  }
+
+  async initTables() {
+    await this.shareModel.initTable();
+  }
+
+  _serverError(res, message, error) {
+    return res.status(500).json({
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+
+  // Resolves :entityType and :recordId and checks the caller's access; sends the error response and returns null otherwise
+  async _resolveRecord(req, res, action) {
+    const entityType = resolveAccessEntityType(req.params.entityType);
+    if (!entityType) {
+      res.status(400).json({
+        success: false,
+        message: `Entity type must be one of: ${Object.values(ACCESS_ENTITIES).map((e) => e.slug).join(", ")}`,
+      });
+      return null;
+    }
+
+    const recordId = parseInt(req.params.recordId, 10);
+    const exists = recordId
+      ? await this.pool.query(`SELECT id FROM ${ACCESS_ENTITIES[entityType].table} WHERE id = $1`, [recordId])
+      : { rows: [] };
+    if (exists.rows.length === 0) {
+      res.status(404).json({ success: false, message: "Record not found" });
+      return null;
+    }
+
+    if (!(await canAccessRecord(this.pool, req.user, entityType, action, recordId))) {
+      res.status(403).json({
+        success: false,
+        message: "Access denied. You do not have permission to manage sharing for this record.",
+      });
+      return null;
+    }
+
+    return { entityType, recordId };
+  }
+
+  // GET /api/record-shares/:entityType/:recordId
+  async list(req, res) {
+    try {
+      const record = await this._resolveRecord(req, res, "read");
+      if (!record) return;
+
+      const shares = await this.shareModel.listForRecord(record.entityType, record.recordId);
+      return res.status(200).json({ success: true, shares });
+    } catch (error) {
+      console.error("Error listing record shares:", error);
+      return this._serverError(res, "An error occurred while retrieving record shares", error);
+    }
+  }
+
+  // POST /api/record-shares/:entityType/:recordId - body { user_id | team_id | office_id, access_level: "read" | "write" }
+  async create(req, res) {
+    try {
+      const record = await this._resolveRecord(req, res, "update");
+      if (!record) return;
+
+      const body = req.body || {};
+      const toId = (value) => (value === undefined || value === null || value === "" ? null : parseInt(value, 10));
+      const target = {
+        userId: toId(body.user_id ?? body.userId),
+        teamId: toId(body.team_id ?? body.teamId),
+        officeId: toId(body.office_id ?? body.officeId),
+      };
+      const targets = Object.values(target).filter((v) => v !== null);
+      if (targets.length !== 1 || targets.some((v) => !Number.isInteger(v))) {
+        return res.status(400).json({
+          success: false,
+          message: "Exactly one of user_id, team_id or office_id is required",
+        });
+      }
+
+      const accessLevel = body.access_level ?? body.accessLevel ?? "read";
+      if (!RecordShare.ACCESS_LEVELS.includes(accessLevel)) {
+        return res.status(400).json({
+          success: false,
+          message: `access_level must be one of: ${RecordShare.ACCESS_LEVELS.join(", ")}`,
+        });
+      }
+
+      const share = await this.shareModel.share(
+        record.entityType,
+        record.recordId,
+        { ...target, accessLevel },
+        req.user.id
+      );
+      return res.status(201).json({ success: true, share });
+    } catch (error) {
+      // Unknown user/team/office id
+      if (error.code === "23503") {
+        return res.status(400).json({ success: false, message: "User, team or office not found" });
+      }
+      console.error("Error sharing record:", error);
+      return this._serverError(res, "An error occurred while sharing the record", error);
+    }
+  }
+
+  // DELETE /api/record-shares/:entityType/:recordId/:shareId
+  async remove(req, res) {
+    try {
+      const record = await this._resolveRecord(req, res, "update");
+      if (!record) return;
+
+      const share = await this.shareModel.remove(record.entityType, record.recordId, req.params.shareId);
+      if (!share) {
+        return res.status(404).json({ success: false, message: "Share not found" });
+      }
+      return res.status(200).json({ success: true, message: "Share removed" });
+    } catch (error) {
+      console.error("Error removing record share:", error);
+      return this._serverError(res, "An error occurred while removing the record share", error);
+    }
+  }
+}
+
+module.exports = RecordShareController;
@@ -0,0 +1,281 @@
+// controllers/roleController.js
+const Role = require("../models/role");
+const {
+  LOCKED_ROLE_KEYS,
+  ADMIN_FLAG_ROLE_KEYS,
+  OWNER_MANAGED_ROLE_KEYS,
+  listPermissionCatalogue,
+  normalizePermissions,
+  normalizeRecordScopes,
+} = require("../services/permissionService");
+
+const ROLE_KEY_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+class RoleController {
+  constructor(pool) {
+    this.pool = pool;
+    this.roleModel = new Role(pool);
+
+    this.getAll = this.getAll.bind(this);
+    this.getPermissions = this.getPermissions.bind(this);
+    this.getById = this.getById.bind(this);
+    this.create = this.create.bind(this);
+    this.update = this.update.bind(this);
+    this.delete = this.delete.bind(this);
+    this.getUsers = this.getUsers.bind(this);
+    this.assignUsers = this.assignUsers.bind(this);
+  }
+
+  async initTables() {
+    await this.roleModel.initTable();
+  }
+
+  _serverError(res, message, error) {
+    return res.status(500).json({
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+
+  // Shared validation of permissions / record_scopes in create and update bodies
+  _validateAccess(body, res) {
+    let permissions;
+    if (body.permissions !== undefined) {
+      if (!Array.isArray(body.permissions)) {
+        res.status(400).json({ success: false, message: "permissions must be an array" });
+        return null;
+      }
+      const normalized = normalizePermissions(body.permissions);
+      if (normalized.unknown.length > 0) {
+        res.status(400).json({
+          success: false,
+          message: `Unknown permissions: ${normalized.unknown.join(", ")}`,
+        });
+        return null;
+      }
+      permissions = normalized.permissions;
+    }
+
+    const { recordScopes, error } = normalizeRecordScopes(body.record_scopes ?? body.recordScopes);
+    if (error) {
+      res.status(400).json({ success: false, message: error });
+      return null;
+    }
+
+    const requireTwoFactor = body.require_two_factor ?? body.requireTwoFactor;
+    if (requireTwoFactor !== undefined && typeof requireTwoFactor !== "boolean") {
+      res.status(400).json({ success: false, message: "require_two_factor must be true or false" });
+      return null;
+    }
+    return { permissions, recordScopes, requireTwoFactor };
+  }
+
+  // GET /api/roles
+  async getAll(req, res) {
+    try {
+      const roles = await this.roleModel.getAll();
+      return res.status(200).json({ success: true, roles });
+    } catch (error) {
+      console.error("Error getting roles:", error);
+      return this._serverError(res, "An error occurred while retrieving roles", error);
+    }
+  }
+
+  // GET /api/roles/permissions - the permission matrix (entities x actions) and special permissions
+  async getPermissions(req, res) {
+    return res.status(200).json({ success: true, ...listPermissionCatalogue() });
+  }
+
+  // GET /api/roles/:id
+  async getById(req, res) {
+    try {
+      const role = await this.roleModel.getById(req.params.id);
+      if (!role) {
+        return res.status(404).json({ success: false, message: "Role not found" });
+      }
+      return res.status(200).json({ success: true, role });
+    } catch (error) {
+      console.error("Error getting role:", error);
+      return this._serverError(res, "An error occurred while retrieving the role", error);
+    }
+  }
+
+  // POST /api/roles - body { key, name, description, permissions: [], record_scopes: { read, update, delete, export },
+  // require_two_factor }
+  async create(req, res) {
+    try {
+      const body = req.body || {};
+      const key = String(body.key || "").trim().toLowerCase();
+      const name = String(body.name || "").trim();
+      if (!ROLE_KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+          success: false,
+          message: "key is required: 2-50 lowercase letters, digits or underscores, starting with a letter",
+        });
+      }
+      if (!name) {
+        return res.status(400).json({ success: false, message: "name is required" });
+      }
+
+      const access = this._validateAccess(body, res);
+      if (!access) return;
+
+      if (await this.roleModel.getByKey(key)) {
+        return res.status(409).json({ success: false, message: `Role "${key}" already exists` });
+      }
+
+      const role = await this.roleModel.create(
+        {
+          key,
+          name,
+          description: body.description ?? null,
+          permissions: access.permissions || [],
+          // New roles only see their own records unless configured otherwise
+          recordScopes: access.recordScopes || normalizeRecordScopes({}).recordScopes,
+          requireTwoFactor: access.requireTwoFactor || false,
+        },
+        req.user?.id || null
+      );
+      return res.status(201).json({ success: true, role });
+    } catch (error) {
+      console.error("Error creating role:", error);
+      return this._serverError(res, "An error occurred while creating the role", error);
+    }
+  }
+
+  // Same rule as assignUsers: the owner and developer roles are managed by owners only
+  _ownerManagedDenied(req, res, role, action) {
+    if (!OWNER_MANAGED_ROLE_KEYS.includes(role.key) || req.user.role === "owner") return false;
+    res.status(403).json({ success: false, message: `Only owners can ${action} the ${role.key} role` });
+    return true;
+  }
+
+  // PUT /api/roles/:id - key cannot change; the owner role keeps full access; owner and developer are owner-managed
+  async update(req, res) {
+    try {
+      const existing = await this.roleModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: "Role not found" });
+      }
+      if (this._ownerManagedDenied(req, res, existing, "change")) return;
+
+      const body = req.body || {};
+      const access = this._validateAccess(body, res);
+      if (!access) return;
+
+      if (LOCKED_ROLE_KEYS.includes(existing.key) && (access.permissions || access.recordScopes)) {
+        return res.status(400).json({
+          success: false,
+          message: `Permissions of the ${existing.key} role cannot be changed`,
+        });
+      }
+
+      const name = body.name !== undefined ? String(body.name).trim() : undefined;
+      if (name === "") {
+        return res.status(400).json({ success: false, message: "name cannot be empty" });
+      }
+
+      const role = await this.roleModel.update(existing.id, {
+        name,
+        description: body.description,
+        permissions: access.permissions,
+        recordScopes: access.recordScopes,
+        requireTwoFactor: access.requireTwoFactor,
+      });
+      return res.status(200).json({ success: true, role });
+    } catch (error) {
+      console.error("Error updating role:", error);
+      return this._serverError(res, "An error occurred while updating the role", error);
+    }
+  }
+
+  // DELETE /api/roles/:id - built-in roles and roles still assigned to users cannot be deleted
+  async delete(req, res) {
+    try {
+      const existing = await this.roleModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: "Role not found" });
+      }
+      if (this._ownerManagedDenied(req, res, existing, "delete")) return;
+      if (existing.is_system) {
+        return res.status(400).json({ success: false, message: "Built-in roles cannot be deleted" });
+      }
+      if (existing.user_count > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Role is assigned to ${existing.user_count} user(s); reassign them first`,
+        });
+      }
+
+      await this.roleModel.delete(existing.id);
+      return res.status(200).json({ success: true, message: "Role deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting role:", error);
+      return this._serverError(res, "An error occurred while deleting the role", error);
+    }
+  }
+
+  // GET /api/roles/:id/users
+  async getUsers(req, res) {
+    try {
+      const role = await this.roleModel.getById(req.params.id);
+      if (!role) {
+        return res.status(404).json({ success: false, message: "Role not found" });
+      }
+      const users = await this.roleModel.getUsers(role.key);
+      return res.status(200).json({ success: true, users });
+    } catch (error) {
+      console.error("Error getting role users:", error);
+      return this._serverError(res, "An error occurred while retrieving role users", error);
+    }
+  }
+
+  // POST /api/roles/:id/users - body { userIds: [] }; assigns the role to each user
+  async assignUsers(req, res) {
+    try {
+      const role = await this.roleModel.getById(req.params.id);
+      if (!role) {
+        return res.status(404).json({ success: false, message: "Role not found" });
+      }
+
+      const rawIds = req.body?.userIds ?? req.body?.user_ids;
+      const userIds = Array.isArray(rawIds) ? rawIds.map((id) => parseInt(id, 10)) : [];
+      if (userIds.length === 0 || userIds.some((id) => !Number.isInteger(id))) {
+        return res.status(400).json({ success: false, message: "userIds must be a non-empty array of user ids" });
+      }
+
+      // Same rule as signup: only owners hand out owner or developer access, and only they take it away
+      if (req.user.role !== "owner") {
+        if (OWNER_MANAGED_ROLE_KEYS.includes(role.key)) {
+          return res.status(403).json({
+            success: false,
+            message: `Only owners can assign the ${role.key} role`,
+          });
+        }
+        const current = await this.roleModel.getUserRoles(userIds);
+        const managed = current.filter((user) => OWNER_MANAGED_ROLE_KEYS.includes(user.role));
+        if (managed.length > 0) {
+          return res.status(403).json({
+            success: false,
+            message: "Only owners can change the role of owner or developer users",
+            userIds: managed.map((user) => user.id),
+          });
+        }
+      }
+
+      const users = await this.roleModel.assignToUsers(role.key, userIds, ADMIN_FLAG_ROLE_KEYS.includes(role.key));
+      return res.status(200).json({
+        success: true,
+        message: `Assigned ${role.name} to ${users.length} user(s)`,
+        users,
+        notFound: userIds.filter((id) => !users.some((u) => u.id === id)),
+      });
+    } catch (error) {
+      console.error("Error assigning role:", error);
+      return this._serverError(res, "An error occurred while assigning the role", error);
+    }
+  }
+}
+
+module.exports = RoleController;
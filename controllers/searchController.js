@@ -0,0 +1,78 @@
+// controllers/searchController.js
+const {
+  resolveSearchType,
+  searchableTypesForUser,
+  ensureSearchIndexes,
+  globalSearch,
+} = require("../services/globalSearchService");
+
+class SearchController {
+  constructor(pool) {
+    this.pool = pool;
+
+    this.search = this.search.bind(this);
+  }
+
+  async initTables() {
+    await ensureSearchIndexes(this.pool);
+  }
+
+  // GET /api/search?q=jane&types=job-seekers,leads&limit=20&includeArchived=true
+  async search(req, res) {
+    try {
+      const q = String(req.query.q || "").trim();
+      if (q.length < 2) {
+        return res.status(400).json({
+          success: false,
+          message: "Search query must be at least 2 characters long",
+        });
+      }
+
+      if (searchableTypesForUser(req.user).length === 0) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. Insufficient permissions.",
+        });
+      }
+
+      let types;
+      if (req.query.types) {
+        const requested = String(req.query.types).split(",").map((t) => t.trim()).filter(Boolean);
+        types = requested.map(resolveSearchType);
+        const unknown = requested.filter((t, i) => !types[i]);
+        if (unknown.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown search type(s): ${unknown.join(", ")}`,
+          });
+        }
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+      const { results, counts } = await globalSearch(this.pool, {
+        q,
+        types,
+        limit,
+        includeArchived: req.query.includeArchived === "true",
+        user: req.user,
+      });
+
+      return res.status(200).json({
+        success: true,
+        query: q,
+        count: results.length,
+        counts,
+        results,
+      });
+    } catch (error) {
+      console.error("Error running global search:", error);
+      return res.status(500).json({
+        success: false,
+        message: "An error occurred while searching",
+        error: process.env.NODE_ENV === "production" ? undefined : error.message,
+      });
+    }
+  }
+}
+
+module.exports = SearchController;
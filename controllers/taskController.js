@@ -3,7 +3,11 @@ const { sendMail } = require('../services/emailService');
 const EmailTemplateModel = require('../models/emailTemplateModel');
 const { renderTemplate } = require('../utils/templateRenderer');
 const { normalizeCustomFields, normalizeListCustomFields } = require('../utils/exportHelpers');
+const { isListQueryRequested, parseListQuery, buildPagination, ListQueryError } = require('../utils/listQuery');
+const { buildAccessScope, accessibleIds, filterAccessibleRows } = require('../services/recordAccessService');
+const { validateCustomFields, customFieldErrorResponse } = require('../services/customFieldValidationService');
 const { runTaskReminders } = require('../services/taskReminderService');
+const { setRequestContextValue } = require('../middleware/requestContext');
 
 class TaskController {
     constructor(pool) {
@@ -68,6 +72,16 @@ class TaskController {
                 taskData.organizationId = taskData.organization_id;
             }
 
+            // Enforce custom field definitions (required, types, options, lookups, read-only)
+            const fieldErrors = await validateCustomFields(this.pool, {
+                entityType: 'tasks',
+                customFields: taskData.customFields || {},
+                mode: 'create',
+            });
+            if (fieldErrors.length > 0) {
+                return res.status(400).json(customFieldErrorResponse(fieldErrors));
+            }
+
             console.log("Attempting to create task with data:", JSON.stringify(taskData, null, 2));
             console.log("OrganizationId:", taskData.organizationId);
             console.log("CustomFields:", taskData.customFields);
@@ -114,8 +128,29 @@ class TaskController {
 
             console.log(`User ID: ${userId}, User Role: ${userRole}`);
 
+            // Paged/sorted/filtered list when any list params are present (?page, ?limit, ?cursor, ?sort, ?filter, ?q)
+            if (isListQueryRequested(req.query)) {
+                const options = parseListQuery(req.query, Task.LIST_CONFIG);
+                options.accessScope = await buildAccessScope(this.pool, req.user, 'task', 'read');
+                const result = await this.taskModel.list(options, null);
+                const rows = normalizeListCustomFields(result.rows);
+                return res.status(200).json({
+                    success: true,
+                    count: rows.length,
+                    total: result.total,
+                    pagination: buildPagination(result),
+                    tasks: rows
+                });
+            }
+
             // All users can see all tasks
-            const tasks = await this.taskModel.getAll(null);
+            const tasks = await filterAccessibleRows(
+                this.pool,
+                req.user,
+                'task',
+                'read',
+                await this.taskModel.getAll(null)
+            );
             const normalized = normalizeListCustomFields(tasks);
 
             console.log(`Found ${normalized.length} tasks`);
@@ -127,6 +162,9 @@ class TaskController {
             });
         } catch (error) {
             console.error('Error getting tasks:', error);
+            if (error instanceof ListQueryError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
             res.status(500).json({
                 success: false,
                 message: 'An error occurred while retrieving tasks',
@@ -207,6 +245,22 @@ class TaskController {
 
             console.log(`User role: ${userRole}, User ID: ${userId}`);
 
+            const submittedCustomFields = updateData.customFields ?? updateData.custom_fields;
+            if (submittedCustomFields !== undefined) {
+                const existing = await this.taskModel.getById(id);
+                if (existing) {
+                    const fieldErrors = await validateCustomFields(this.pool, {
+                        entityType: 'tasks',
+                        customFields: submittedCustomFields,
+                        existingCustomFields: existing.custom_fields,
+                        mode: 'update',
+                    });
+                    if (fieldErrors.length > 0) {
+                        return res.status(400).json(customFieldErrorResponse(fieldErrors));
+                    }
+                }
+            }
+
             // All users can update any task
             const task = await this.taskModel.update(id, updateData, null);
 
@@ -277,6 +331,8 @@ class TaskController {
             const userId = req.user.id;
             const userRole = req.user.role;
             console.log('Processing bulk update for user:', userId, 'role:', userRole);
+            // Audit entries for these updates are recorded as bulk_update
+            setRequestContextValue('auditAction', 'bulk_update');
 
             const results = {
                 successful: [],
@@ -284,9 +340,38 @@ class TaskController {
                 errors: []
             };
 
+            // Custom field definitions are loaded once and reused for every record
+            const definitionCache = new Map();
+
+            // Records outside the caller's update scope are reported as failed
+            const updatableIds = await accessibleIds(this.pool, req.user, 'task', 'update', ids);
+
             for (const id of ids) {
+                if (!updatableIds.has(String(parseInt(id, 10)))) {
+                    results.failed.push(id);
+                    results.errors.push({ id, error: 'Access denied' });
+                    continue;
+                }
                 try {
                     const updateData = JSON.parse(JSON.stringify(updates));
+                    const submittedCustomFields = updateData.customFields ?? updateData.custom_fields;
+                    if (submittedCustomFields !== undefined) {
+                        const existing = await this.taskModel.getById(id);
+                        if (existing) {
+                            const fieldErrors = await validateCustomFields(this.pool, {
+                                entityType: 'tasks',
+                                customFields: submittedCustomFields,
+                                existingCustomFields: existing.custom_fields,
+                                mode: 'update',
+                                cache: definitionCache,
+                            });
+                            if (fieldErrors.length > 0) {
+                                results.failed.push(id);
+                                results.errors.push({ id, error: 'Custom field validation failed', fieldErrors });
+                                continue;
+                            }
+                        }
+                    }
                     const task = await this.taskModel.update(id, updateData, null);
                     
                     if (task) {
@@ -573,8 +658,9 @@ class TaskController {
             const userId = req.user.id;
             const userRole = req.user.role;
 
-            // All users see all task statistics
-            const stats = await this.taskModel.getStats(null);
+            // Counts cover the tasks the caller may read
+            const accessScope = await buildAccessScope(this.pool, req.user, 'task', 'read');
+            const stats = await this.taskModel.getStats(null, accessScope);
 
             console.log('Successfully retrieved task statistics');
 
@@ -333,6 +333,9 @@ class TemplateDocumentController {
         y: Number.isFinite(Number(f.y)) ? Number(f.y) : 0,
         w: Number.isFinite(Number(f.w)) ? Number(f.w) : 220,
         h: Number.isFinite(Number(f.h)) ? Number(f.h) : 44,
+        page_number: Number.isInteger(Number(f.page_number ?? f.page)) && Number(f.page_number ?? f.page) > 0
+          ? Number(f.page_number ?? f.page)
+          : null,
       }));
 
       await this.model.replaceMappings(docId, fields);
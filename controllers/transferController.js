@@ -5,12 +5,15 @@ const Document = require("../models/document");
 const EmailTemplateModel = require("../models/emailTemplateModel");
 const { renderTemplate } = require("../utils/templateRenderer");
 const { sendMail } = require("../services/emailService");
+const { emitWebhookEvent } = require("../services/webhookService");
+const { auditRecordChange, snapshotRecord } = require("../services/auditService");
 
 const PAYROLL_EMAIL = process.env.PAYROLL_EMAIL || "payroll@completestaffingsolutions.com";
 // const PAYROLL_EMAIL = "yasirrehman274@gmail.com";
 
 class TransferController {
   constructor(pool) {
+    this.pool = pool;
     this.transferModel = new Transfer(pool);
     this.organizationModel = new Organization(pool);
     this.documentModel = new Document(pool);
@@ -234,7 +237,17 @@ class TransferController {
       const approvedTransfer = await this.transferModel.approve(id, userId);
 
       // Execute the transfer
+      const sourceBefore = await snapshotRecord(this.pool, "organization", approvedTransfer.source_organization_id);
       await this.executeTransfer(approvedTransfer);
+      await auditRecordChange(this.pool, {
+        action: "transfer",
+        entityType: "organization",
+        entityId: approvedTransfer.source_organization_id,
+        before: sourceBefore,
+        after: await snapshotRecord(this.pool, "organization", approvedTransfer.source_organization_id),
+        metadata: { transfer_id: approvedTransfer.id, target_id: approvedTransfer.target_organization_id },
+      });
+      await emitWebhookEvent(this.pool, "transfer.approved", { transfer_type: "organization", ...approvedTransfer });
 
       // Send approval confirmation email to requester
       try {
@@ -299,6 +312,7 @@ class TransferController {
         denial_reason.trim(),
         userId
       );
+      await emitWebhookEvent(this.pool, "transfer.denied", { transfer_type: "organization", ...deniedTransfer });
 
       // Add denial reason as note to both organizations
       try {
@@ -1,22 +1,97 @@
 const User = require('../models/user');
+const Role = require('../models/role');
+const UserSession = require('../models/userSession');
+const UserTwoFactor = require('../models/userTwoFactor');
+const { recordAudit } = require('../services/auditService');
+const { sendUserTokenEmail } = require('../services/userAccountEmailService');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { OWNER_MANAGED_ROLE_KEYS } = require('../services/permissionService');
+const { clientIp } = require('../utils/clientIp');
 
 class UserController {
     constructor(pool) {
         this.userModel = new User(pool);
+        this.roleModel = new Role(pool);
+        this.sessionModel = new UserSession(pool);
+        this.twoFactorModel = new UserTwoFactor(pool);
+        this.pool = pool;
         this.getActiveUsers = this.getActiveUsers.bind(this);
         this.createUser = this.createUser.bind(this);
         this.getAllUsers = this.getAllUsers.bind(this);
+        this.updatePassword = this.updatePassword.bind(this);
+        this.getUserSessions = this.getUserSessions.bind(this);
+        this.revokeUserSessions = this.revokeUserSessions.bind(this);
+        this.resendInvite = this.resendInvite.bind(this);
+        this.resetTwoFactor = this.resetTwoFactor.bind(this);
+    }
+
+    // Email an invite link; the user is created either way, so a failed email is reported instead of thrown
+    async sendInvite(user, req) {
+        try {
+            const { expiresAt } = await sendUserTokenEmail(this.pool, user, 'invite', {
+                requestedIp: clientIp(req),
+                createdBy: req.user
+            });
+            await recordAudit(this.pool, {
+                action: 'invite',
+                entityType: 'user',
+                entityId: user.id,
+                entityLabel: user.email,
+                metadata: { status: 'sent', expires_at: expiresAt }
+            });
+            return { sent: true, expiresAt };
+        } catch (error) {
+            console.error('Error sending invite email:', error);
+            return { sent: false, error: 'The invite email could not be sent' };
+        }
     }
 
     // Create new user
     async createUser(req, res) {
         try {
             const userData = req.body;
-            const user = await this.userModel.create(userData);
+
+            // Roles are configurable, so the role is checked here instead of by a CHECK constraint
+            if (!userData.userType || !(await this.roleModel.getByKey(userData.userType))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid user type'
+                });
+            }
+
+            // Same rule as role assignment: only owners hand out owner or developer access
+            if (OWNER_MANAGED_ROLE_KEYS.includes(userData.userType) && req.user.role !== 'owner') {
+                return res.status(403).json({
+                    success: false,
+                    message: `Only owners can assign the ${userData.userType} role`
+                });
+            }
+
+            if (!userData.name || !userData.email) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Name and email are required'
+                });
+            }
+
+            // Without a password the user is invited by email and chooses their own
+            if (userData.password) {
+                const passwordValidation = validatePassword(userData.password, userData);
+                if (!passwordValidation.isValid) {
+                    return res.status(400).json({
+                        success: false,
+                        message: passwordValidation.message
+                    });
+                }
+            }
+
+            const user = await this.userModel.create({ ...userData, email: String(userData.email).toLowerCase().trim() });
+            const invite = userData.password ? null : await this.sendInvite(user, req);
             
             res.status(201).json({
                 success: true,
-                message: 'User created successfully',
+                message: invite ? 'User created and invited' : 'User created successfully',
+                invite,
                 user: {
                     id: user.id,
                     name: user.name,
@@ -64,11 +139,20 @@ class UserController {
                 });
             }
 
+            const existing = await this.userModel.findById(userId);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
             // Validate password strength
-            if (newPassword.length < 8) {
+            const passwordValidation = validatePassword(newPassword, existing);
+            if (!passwordValidation.isValid) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Password must be at least 8 characters long'
+                    message: passwordValidation.message
                 });
             }
 
@@ -119,6 +203,8 @@ class UserController {
                     is_admin: user.is_admin,
                     role: user.role,
                     status: user.status,
+                    email_verified_at: user.email_verified_at,
+                    invite_pending: !!user.invited_at,
                     created_at: user.created_at,
                     updated_at: user.updated_at
                 }))
@@ -135,52 +221,152 @@ class UserController {
 
 
 
-    // Password validation helper method (if not already present)
-    validatePassword(password) {
-        // Check length
-        if (password.length < 8) {
-            return {
-                isValid: false,
-                message: 'Password must be at least 8 characters long'
-            };
-        }
+    // Send a new invite link to a user who has not set a password yet (earlier links stop working)
+    async resendInvite(req, res) {
+        try {
+            const user = await this.userModel.findById(req.params.userId);
+            if (!user || !user.status) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+            if (!user.invited_at) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This user has already set a password'
+                });
+            }
 
-        // Check for lowercase letter
-        if (!/[a-z]/.test(password)) {
-            return {
-                isValid: false,
-                message: 'Password must contain at least one lowercase letter'
-            };
-        }
+            const invite = await this.sendInvite(user, req);
+            if (!invite.sent) {
+                return res.status(500).json({
+                    success: false,
+                    message: invite.error
+                });
+            }
 
-        // Check for uppercase letter
-        if (!/[A-Z]/.test(password)) {
-            return {
-                isValid: false,
-                message: 'Password must contain at least one uppercase letter'
-            };
+            res.status(200).json({
+                success: true,
+                message: 'Invite sent',
+                invite
+            });
+        } catch (error) {
+            console.error('Error resending invite:', error);
+            res.status(500).json({
+                success: false,
+                message: 'An error occurred while sending the invite',
+                error: process.env.NODE_ENV === 'production' ? undefined : error.message
+            });
         }
+    }
 
-        // Check for number
-        if (!/[0-9]/.test(password)) {
-            return {
-                isValid: false,
-                message: 'Password must contain at least one number'
-            };
+    // Remove a user's 2FA enrollment (lost device) and end their sessions; if their role requires 2FA
+    // they set it up again at the next login
+    async resetTwoFactor(req, res) {
+        try {
+            const user = await this.userModel.findById(req.params.userId);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const removed = await this.twoFactorModel.disable(user.id);
+            if (!removed) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This user has not set up two-factor authentication'
+                });
+            }
+
+            const revoked = await this.sessionModel.revokeAllAuthSessions(user.id, 'two_factor_reset');
+            await recordAudit(this.pool, {
+                action: 'two_factor_reset',
+                entityType: 'user',
+                entityId: user.id,
+                entityLabel: user.email,
+                metadata: { was_enabled: !!removed.enabled_at, sessions_revoked: revoked }
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication has been reset',
+                sessionsRevoked: revoked
+            });
+        } catch (error) {
+            console.error('Error resetting two-factor authentication:', error);
+            res.status(500).json({
+                success: false,
+                message: 'An error occurred while resetting two-factor authentication',
+                error: process.env.NODE_ENV === 'production' ? undefined : error.message
+            });
         }
+    }
 
-        // Check for special character
-        if (!/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)) {
-            return {
-                isValid: false,
-                message: 'Password must contain at least one special character'
-            };
+    // Get the active login sessions (devices) of a user
+    async getUserSessions(req, res) {
+        try {
+            const { userId } = req.params;
+            const user = await this.userModel.findById(userId);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const sessions = await this.sessionModel.getAuthSessionsForUser(user.id);
+            res.status(200).json({
+                success: true,
+                count: sessions.length,
+                sessions
+            });
+        } catch (error) {
+            console.error('Error getting user sessions:', error);
+            res.status(500).json({
+                success: false,
+                message: 'An error occurred while retrieving sessions',
+                error: process.env.NODE_ENV === 'production' ? undefined : error.message
+            });
         }
+    }
 
-        return {
-            isValid: true,
-            message: 'Password is valid'
-        };
+    // Revoke every login session of a user (they have to log in again on all devices)
+    async revokeUserSessions(req, res) {
+        try {
+            const { userId } = req.params;
+            const user = await this.userModel.findById(userId);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const revoked = await this.sessionModel.revokeAllAuthSessions(user.id, 'revoked_by_admin');
+            await recordAudit(this.pool, {
+                action: 'logout',
+                entityType: 'user',
+                entityId: user.id,
+                entityLabel: user.email,
+                metadata: { scope: 'all_sessions', reason: 'revoked_by_admin', revoked }
+            });
+
+            res.status(200).json({
+                success: true,
+                message: `Revoked ${revoked} session(s)`,
+                revoked
+            });
+        } catch (error) {
+            console.error('Error revoking user sessions:', error);
+            res.status(500).json({
+                success: false,
+                message: 'An error occurred while revoking sessions',
+                error: process.env.NODE_ENV === 'production' ? undefined : error.message
+            });
+        }
     }
 
     // Get all active users
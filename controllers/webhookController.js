@@ -0,0 +1,263 @@
+// controllers/webhookController.js
+const WebhookSubscription = require("../models/webhookSubscription");
+const WebhookDelivery = require("../models/webhookDelivery");
+const {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  normalizeEvents,
+  validateWebhookUrl,
+  replayDelivery,
+  sendTestEvent,
+} = require("../services/webhookService");
+
+class WebhookController {
+  constructor(pool) {
+    this.pool = pool;
+    this.subscriptionModel = new WebhookSubscription(pool);
+    this.deliveryModel = new WebhookDelivery(pool);
+
+    this.getEvents = this.getEvents.bind(this);
+    this.getAll = this.getAll.bind(this);
+    this.getById = this.getById.bind(this);
+    this.create = this.create.bind(this);
+    this.update = this.update.bind(this);
+    this.delete = this.delete.bind(this);
+    this.rotateSecret = this.rotateSecret.bind(this);
+    this.test = this.test.bind(this);
+    this.getDeliveries = this.getDeliveries.bind(this);
+    this.getDelivery = this.getDelivery.bind(this);
+    this.replay = this.replay.bind(this);
+  }
+
+  async initTables() {
+    // Deliveries reference subscriptions, so subscriptions first
+    await this.subscriptionModel.initTable();
+    await this.deliveryModel.initTable();
+  }
+
+  _serverError(res, message, error) {
+    return res.status(500).json({
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+
+  // name, url, description, events and is_active from the body; errors for invalid values
+  _parseBody(body, { partial = false } = {}) {
+    const errors = [];
+    const fields = {};
+
+    if (body.name !== undefined || !partial) {
+      const name = String(body.name || "").trim();
+      if (!name) errors.push("name is required");
+      else if (name.length > 255) errors.push("name must be at most 255 characters");
+      fields.name = name;
+    }
+    if (body.url !== undefined || !partial) {
+      const urlError = validateWebhookUrl(body.url);
+      if (urlError) errors.push(urlError);
+      fields.url = String(body.url || "").trim();
+    }
+    if (body.events !== undefined || !partial) {
+      const { events, error } = normalizeEvents(body.events);
+      if (error) errors.push(error);
+      fields.events = events;
+    }
+    if (body.description !== undefined) {
+      fields.description = body.description ? String(body.description) : null;
+    }
+    if (body.is_active !== undefined) {
+      if (typeof body.is_active !== "boolean") errors.push("is_active must be true or false");
+      fields.isActive = body.is_active;
+    }
+    return { fields, errors };
+  }
+
+  // GET /api/webhooks/events - subscribable events
+  async getEvents(req, res) {
+    const events = Object.entries(WEBHOOK_EVENTS).map(([event, description]) => ({ event, description }));
+    return res.status(200).json({ success: true, events });
+  }
+
+  // GET /api/webhooks
+  async getAll(req, res) {
+    try {
+      const subscriptions = await this.subscriptionModel.getAll();
+      return res.status(200).json({ success: true, subscriptions });
+    } catch (error) {
+      console.error("Error getting webhook subscriptions:", error);
+      return this._serverError(res, "An error occurred while retrieving webhooks", error);
+    }
+  }
+
+  // GET /api/webhooks/:id
+  async getById(req, res) {
+    try {
+      const subscription = await this.subscriptionModel.getById(req.params.id);
+      if (!subscription) {
+        return res.status(404).json({ success: false, message: "Webhook not found" });
+      }
+      return res.status(200).json({ success: true, subscription });
+    } catch (error) {
+      console.error("Error getting webhook subscription:", error);
+      return this._serverError(res, "An error occurred while retrieving the webhook", error);
+    }
+  }
+
+  // POST /api/webhooks - the signing secret is only returned here and on rotation
+  async create(req, res) {
+    try {
+      const { fields, errors } = this._parseBody(req.body || {});
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: "Invalid webhook", errors });
+      }
+
+      const secret = generateSecret();
+      const subscription = await this.subscriptionModel.create({ ...fields, secret, userId: req.user.id });
+      return res.status(201).json({
+        success: true,
+        message: "Webhook created. Store the secret now; it is not shown again.",
+        subscription,
+        secret,
+      });
+    } catch (error) {
+      console.error("Error creating webhook subscription:", error);
+      return this._serverError(res, "An error occurred while creating the webhook", error);
+    }
+  }
+
+  // PUT /api/webhooks/:id
+  async update(req, res) {
+    try {
+      const { fields, errors } = this._parseBody(req.body || {}, { partial: true });
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: "Invalid webhook", errors });
+      }
+
+      const subscription = await this.subscriptionModel.update(req.params.id, fields, req.user.id);
+      if (!subscription) {
+        return res.status(404).json({ success: false, message: "Webhook not found" });
+      }
+      return res.status(200).json({ success: true, message: "Webhook updated", subscription });
+    } catch (error) {
+      console.error("Error updating webhook subscription:", error);
+      return this._serverError(res, "An error occurred while updating the webhook", error);
+    }
+  }
+
+  // DELETE /api/webhooks/:id - also removes its delivery log
+  async delete(req, res) {
+    try {
+      const deleted = await this.subscriptionModel.delete(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ success: false, message: "Webhook not found" });
+      }
+      return res.status(200).json({ success: true, message: "Webhook deleted" });
+    } catch (error) {
+      console.error("Error deleting webhook subscription:", error);
+      return this._serverError(res, "An error occurred while deleting the webhook", error);
+    }
+  }
+
+  // POST /api/webhooks/:id/rotate-secret - pending retries are signed with the new secret
+  async rotateSecret(req, res) {
+    try {
+      const secret = generateSecret();
+      const rotated = await this.subscriptionModel.rotateSecret(req.params.id, secret, req.user.id);
+      if (!rotated) {
+        return res.status(404).json({ success: false, message: "Webhook not found" });
+      }
+      return res.status(200).json({
+        success: true,
+        message: "Secret rotated. Store the new secret now; it is not shown again.",
+        secret,
+      });
+    } catch (error) {
+      console.error("Error rotating webhook secret:", error);
+      return this._serverError(res, "An error occurred while rotating the webhook secret", error);
+    }
+  }
+
+  // POST /api/webhooks/:id/test - sends a webhook.test ping and returns the delivery result
+  async test(req, res) {
+    try {
+      const subscription = await this.subscriptionModel.getById(req.params.id);
+      if (!subscription) {
+        return res.status(404).json({ success: false, message: "Webhook not found" });
+      }
+      const delivery = await sendTestEvent(this.pool, subscription, req.user.id);
+      return res.status(200).json({
+        success: true,
+        message: delivery.status === "succeeded" ? "Test event delivered" : "Test event could not be delivered",
+        delivery,
+      });
+    } catch (error) {
+      console.error("Error sending webhook test event:", error);
+      return this._serverError(res, "An error occurred while sending the test event", error);
+    }
+  }
+
+  // GET /api/webhooks/:id/deliveries?status=&event=&page=&limit=
+  async getDeliveries(req, res) {
+    try {
+      const subscription = await this.subscriptionModel.getById(req.params.id);
+      if (!subscription) {
+        return res.status(404).json({ success: false, message: "Webhook not found" });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const status = WebhookDelivery.WEBHOOK_DELIVERY_STATUSES.includes(req.query.status) ? req.query.status : null;
+      const { deliveries, total } = await this.deliveryModel.getBySubscription({
+        subscriptionId: subscription.id,
+        status,
+        event: req.query.event || null,
+        limit,
+        offset: (page - 1) * limit,
+      });
+      return res.status(200).json({
+        success: true,
+        deliveries,
+        pagination: { total, page, limit, totalPages: Math.ceil(total / limit) },
+      });
+    } catch (error) {
+      console.error("Error getting webhook deliveries:", error);
+      return this._serverError(res, "An error occurred while retrieving webhook deliveries", error);
+    }
+  }
+
+  // GET /api/webhooks/deliveries/:deliveryId - payload, response and attempt log
+  async getDelivery(req, res) {
+    try {
+      const delivery = await this.deliveryModel.getById(req.params.deliveryId);
+      if (!delivery) {
+        return res.status(404).json({ success: false, message: "Delivery not found" });
+      }
+      return res.status(200).json({ success: true, delivery });
+    } catch (error) {
+      console.error("Error getting webhook delivery:", error);
+      return this._serverError(res, "An error occurred while retrieving the delivery", error);
+    }
+  }
+
+  // POST /api/webhooks/deliveries/:deliveryId/replay - sends the same event again as a new delivery
+  async replay(req, res) {
+    try {
+      const delivery = await replayDelivery(this.pool, req.params.deliveryId, req.user.id);
+      if (!delivery) {
+        return res.status(404).json({ success: false, message: "Delivery not found" });
+      }
+      return res.status(200).json({
+        success: true,
+        message: delivery.status === "succeeded" ? "Delivery replayed" : "Replay could not be delivered; it will be retried",
+        delivery,
+      });
+    } catch (error) {
+      console.error("Error replaying webhook delivery:", error);
+      return this._serverError(res, "An error occurred while replaying the delivery", error);
+    }
+  }
+}
+
+module.exports = WebhookController;
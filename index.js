@@ -44,6 +44,16 @@ const BroadcastMessageController = require("./controllers/broadcastMessageContro
 const HeaderConfigController = require("./controllers/headerConfigController");
 const JobXMLController = require("./controllers/jobsXMLController");
 const AppointmentController = require("./controllers/appointmentController");
+const DuplicateController = require("./controllers/duplicateController");
+const SearchController = require("./controllers/searchController");
+const RecordShareController = require("./controllers/recordShareController");
+const RoleController = require("./controllers/roleController");
+const PipelineStageController = require("./controllers/pipelineStageController");
+const ImportController = require("./controllers/importController");
+const ExportController = require("./controllers/exportController");
+const WebhookController = require("./controllers/webhookController");
+const AuditController = require("./controllers/auditController");
+const LoginSecurityController = require("./controllers/loginSecurityController");
 // NEW IMPORTS
 const OfficeController = require("./controllers/officeController");
 const TeamController = require("./controllers/teamController");
@@ -58,6 +68,17 @@ const { createOrganizationRouter, createTransferRouter, createDeleteRequestRoute
 const { createUnarchiveRequestRouter } = require("./routes/unarchiveRequestRoutes");
 const { createJobRouter, createJobDeleteRequestRouter } = require("./routes/jobRoutes");
 const createJobXMLRouter = require("./routes/jobXMLRoutes");
+const { createJobFeedConfigRouter } = require("./routes/jobXMLRoutes");
+const createDuplicateRouter = require("./routes/duplicateRoutes");
+const createSearchRouter = require("./routes/searchRoutes");
+const createRecordShareRouter = require("./routes/recordShareRoutes");
+const createRoleRouter = require("./routes/roleRoutes");
+const createPipelineStageRouter = require("./routes/pipelineStageRoutes");
+const createImportRouter = require("./routes/importRoutes");
+const createExportRouter = require("./routes/exportRoutes");
+const createWebhookRouter = require("./routes/webhookRoutes");
+const createAuditRouter = require("./routes/auditRoutes");
+const createLoginSecurityRouter = require("./routes/loginSecurityRoutes");
 const jobSeekerRoutes = require("./routes/jobSeekerRoutes");
 const createJobSeekerRouter = jobSeekerRoutes.default ?? jobSeekerRoutes;
 const createJobSeekerDeleteRequestRouter = jobSeekerRoutes.createJobSeekerDeleteRequestRouter;
@@ -90,13 +111,15 @@ const packetRoutes = require("./routes/packetRoutes");
 // Job Sekker Portal
 const jobseekerPortalAuthRoutes = require("./routes/jobseekerPortalAuthRoutes");
 const jobseekerPortalDocumentsRoutes = require("./routes/jobseekerPortalDocumentsRoutes");
+const { MAX_UPLOAD_BYTES } = require("./services/onboardingDocumentService");
 
 // Email Template
 const EmailTemplateController = require("./controllers/emailTemplateController");
 
 const { notFound, errorHandler } = require("./middleware/errorMiddleware");
 const { sanitizeInputs } = require("./middleware/validationMiddleware");
-const { verifyToken, checkRole } = require("./middleware/authMiddleware");
+const { verifyToken, checkPermission, checkEntityPermission, checkRecordAccess } = require("./middleware/authMiddleware");
+const { requestContext } = require("./middleware/requestContext");
 const createEmailTemplateRouter = require("./routes/emailTemplateRoutes");
 
 
@@ -141,6 +164,18 @@ try {
 }
 
 // Note: Zoom webhook needs raw body for signature verification, so it's handled separately
+// Portal uploads carry the file base64-encoded (4/3 of its size) in JSON; parsed here so the 1mb limit below skips them
+app.use(
+  "/api/jobseeker-portal/documents/:itemId/uploads",
+  bodyParser.json({ limit: Math.ceil((MAX_UPLOAD_BYTES * 4) / 3) + 64 * 1024 }),
+  (err, req, res, next) => {
+    if (err.type !== "entity.too.large") return next(err);
+    return res.status(413).json({
+      success: false,
+      message: `The file must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`,
+    });
+  }
+);
 app.use(bodyParser.json({ limit: "1mb" }));
 app.use(bodyParser.urlencoded({ extended: false, limit: "1mb" }));
 app.use(
@@ -174,6 +209,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Request context (IP, user agent, authenticated user) for the audit log
+app.use(requestContext);
+
 // Initialize controllers with lazy DB connection
 const getAuthController = () => {
   return new AuthController(getPool());
@@ -183,6 +221,46 @@ const getJobXMLController = () => {
   return new JobXMLController(getPool());
 };
 
+const getDuplicateController = () => {
+  return new DuplicateController(getPool());
+};
+
+const getSearchController = () => {
+  return new SearchController(getPool());
+};
+
+const getRecordShareController = () => {
+  return new RecordShareController(getPool());
+};
+
+const getRoleController = () => {
+  return new RoleController(getPool());
+};
+
+const getPipelineStageController = () => {
+  return new PipelineStageController(getPool());
+};
+
+const getImportController = () => {
+  return new ImportController(getPool());
+};
+
+const getExportController = () => {
+  return new ExportController(getPool());
+};
+
+const getWebhookController = () => {
+  return new WebhookController(getPool());
+};
+
+const getAuditController = () => {
+  return new AuditController(getPool());
+};
+
+const getLoginSecurityController = () => {
+  return new LoginSecurityController(getPool());
+};
+
 const getHiringManagerController = () => {
   return new HiringManagerController(getPool());
 };
@@ -299,6 +377,14 @@ app.use(async (req, res, next) => {
             await teamController.initTables();
             const authController = getAuthController();
             await authController.initTables();
+            // roles and record_shares are read by the permission checks on every authenticated route
+            const roleController = getRoleController();
+            await roleController.initTables();
+            const recordShareController = getRecordShareController();
+            await recordShareController.initTables();
+            // Record changes and logins on any route write to the audit log
+            const auditController = getAuditController();
+            await auditController.initTables();
             try {
               const jobXMLController = getJobXMLController();
               if (jobXMLController && typeof jobXMLController.initTables === 'function') {
@@ -347,6 +433,30 @@ app.use(async (req, res, next) => {
         await jobSeekerController.initTables();
       }
 
+      // Initialize application pipeline stage tables
+      if (req.path.startsWith("/api/pipeline-stages")) {
+        const pipelineStageController = getPipelineStageController();
+        await pipelineStageController.initTables();
+      }
+
+      // Initialize bulk import tables
+      if (req.path.startsWith("/api/imports")) {
+        const importController = getImportController();
+        await importController.initTables();
+      }
+
+      // Initialize list export tables
+      if (req.path.startsWith("/api/export")) {
+        const exportController = getExportController();
+        await exportController.initTables();
+      }
+
+      // Initialize outbound webhook tables
+      if (req.path.startsWith("/api/webhooks")) {
+        const webhookController = getWebhookController();
+        await webhookController.initTables();
+      }
+
       // Initialize custom field tables
       if (req.path.startsWith("/api/custom-fields")) {
         const customFieldController = getCustomFieldController();
@@ -450,6 +560,8 @@ app.use(async (req, res, next) => {
         const Onboarding = require("./models/onboarding");
         const ob = new Onboarding(getPool());
         await ob.initTables();
+        const DocumentSignature = require("./models/documentSignature");
+        await new DocumentSignature(getPool()).initTable();
       }
       // Initialize email template tables
       if (req.path.startsWith("/api/email-templates")) {
@@ -481,6 +593,16 @@ app.use(async (req, res, next) => {
         const analyticsController = getAnalyticsController();
         await analyticsController.initTables();
       }
+
+      if (req.path.startsWith("/api/duplicates")) {
+        const duplicateController = getDuplicateController();
+        await duplicateController.initTables();
+      }
+
+      if (req.path.startsWith("/api/search")) {
+        const searchController = getSearchController();
+        await searchController.initTables();
+      }
     } catch (error) {
       console.error("Failed to initialize tables:", error.message);
       // Continue anyway - tables might already exist
@@ -491,7 +613,8 @@ app.use(async (req, res, next) => {
 
 // Setup routes with lazy controller initialization
 app.use("/api/auth", sanitizeInputs, (req, res, next) => {
-  const router = createAuthRouter(getAuthController());
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
+  const router = createAuthRouter(getAuthController(), authMiddleware);
   router(req, res, next);
 });
 
@@ -501,22 +624,99 @@ app.use("/api/jobs/xml", sanitizeInputs, (req, res, next) => {
   router(req, res, next);
 });
 
+// Admin configuration for job XML feeds
+app.use("/api/job-feeds", sanitizeInputs, (req, res, next) => {
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
+  const router = createJobFeedConfigRouter(getJobXMLController(), authMiddleware);
+  router(req, res, next);
+});
+
+// Duplicate detection report and checks (job seekers, hiring managers, leads), merge preview (job seekers, hiring managers)
+app.use("/api/duplicates", sanitizeInputs, (req, res, next) => {
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission, checkRecordAccess: checkRecordAccess(getPool()) };
+  const router = createDuplicateRouter(getDuplicateController(), authMiddleware);
+  router(req, res, next);
+});
+
+// Global search across all CRM entities
+app.use("/api/search", sanitizeInputs, (req, res, next) => {
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
+  const router = createSearchRouter(getSearchController(), authMiddleware);
+  router(req, res, next);
+});
+
+// Roles, permission matrix and role assignment
+app.use("/api/roles", sanitizeInputs, (req, res, next) => {
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
+  const router = createRoleRouter(getRoleController(), authMiddleware);
+  router(req, res, next);
+});
+
+// Application pipeline stage configuration
+app.use("/api/pipeline-stages", sanitizeInputs, (req, res, next) => {
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
+  const router = createPipelineStageRouter(getPipelineStageController(), authMiddleware);
+  router(req, res, next);
+});
+
+// Bulk CSV/XLSX import (upload, mapping, dry run, batched run, rollback)
+app.use("/api/imports", sanitizeInputs, (req, res, next) => {
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
+  const router = createImportRouter(getImportController(), authMiddleware);
+  router(req, res, next);
+});
+
+// List exports (CSV, XLSX, NDJSON), streamed or as background runs
+app.use("/api/export", sanitizeInputs, (req, res, next) => {
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
+  const router = createExportRouter(getExportController(), authMiddleware);
+  router(req, res, next);
+});
+
+// Audit trail (search, chain verification, export)
+app.use("/api/audit", sanitizeInputs, (req, res, next) => {
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
+  const router = createAuditRouter(getAuditController(), authMiddleware);
+  router(req, res, next);
+});
+
+// Login history and lockouts of staff and portal logins (tables created with the auth tables)
+app.use("/api/login-security", sanitizeInputs, (req, res, next) => {
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
+  const router = createLoginSecurityRouter(getLoginSecurityController(), authMiddleware);
+  router(req, res, next);
+});
+
+// Outbound webhooks (subscriptions, delivery log, replay)
+app.use("/api/webhooks", sanitizeInputs, (req, res, next) => {
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
+  const router = createWebhookRouter(getWebhookController(), authMiddleware);
+  router(req, res, next);
+});
+
+// Record sharing overrides for record-level access
+app.use("/api/record-shares", sanitizeInputs, (req, res, next) => {
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
+  const router = createRecordShareRouter(getRecordShareController(), authMiddleware);
+  router(req, res, next);
+});
+
 // Activity logging + admin activity endpoints
 app.use("/api/activity", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createActivityRouter(getActivityController(), authMiddleware);
   router(req, res, next);
 });
 
 // Analytics tracking endpoints
 app.use("/api/analytics", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createAnalyticsRouter(getAnalyticsController(), authMiddleware);
   router(req, res, next);
 });
 
 app.use("/api/users", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createUserRouter(getUserController(), authMiddleware);
   router(req, res, next);
 });
@@ -528,7 +728,7 @@ const applyDeleteRequestRoutes = (basePath) => {
         req.path.includes("/unarchive-request") ||
         req.path.match(/\/delete\/\d+/) ||
         req.path.match(/\/delete\/\d+\/(approve|deny)/)) {
-      const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+      const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
       const router = createDeleteRequestRouter(
         getDeleteRequestController(),
         authMiddleware
@@ -545,7 +745,7 @@ applyDeleteRequestRoutes("/api/hiring-managers");
 
 // Unarchive request approve/deny (generic; id = unarchive_request id)
 app.use("/api/unarchive-requests", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createUnarchiveRequestRouter(
     getDeleteRequestController(),
     authMiddleware
@@ -554,21 +754,21 @@ app.use("/api/unarchive-requests", sanitizeInputs, (req, res, next) => {
 });
 // Job-seekers use dedicated delete router below (same pattern as jobs, leads, tasks, placements)
 
-// Setup organization routes with authentication
-app.use("/api/organizations", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
-  const router = createOrganizationRouter(
-    getOrganizationController(),
+// Setup transfer routes with authentication (must be before /api/organizations so /transfer is not checked as an organization route)
+app.use("/api/organizations/transfer", sanitizeInputs, (req, res, next) => {
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
+  const router = createTransferRouter(
+    getTransferController(),
     authMiddleware
   );
   router(req, res, next);
 });
 
-// Setup transfer routes with authentication
-app.use("/api/organizations/transfer", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
-  const router = createTransferRouter(
-    getTransferController(),
+// Setup organization routes with authentication
+app.use("/api/organizations", sanitizeInputs, (req, res, next) => {
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission, checkEntityPermission, checkRecordAccess: checkRecordAccess(getPool()) };
+  const router = createOrganizationRouter(
+    getOrganizationController(),
     authMiddleware
   );
   router(req, res, next);
@@ -576,7 +776,7 @@ app.use("/api/organizations/transfer", sanitizeInputs, (req, res, next) => {
 
 // Hiring manager transfer routes (must be before /api/hiring-managers so /transfer is matched)
 app.use("/api/hiring-managers/transfer", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createHiringManagerTransferRouter(
     getHiringManagerTransferController(),
     authMiddleware
@@ -590,7 +790,7 @@ app.use("/api/jobs", sanitizeInputs, (req, res, next) => {
       req.path.includes("/unarchive-request") ||
       req.path.match(/\/delete\/\d+/) ||
       req.path.match(/\/delete\/\d+\/(approve|deny)/)) {
-    const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+    const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
     const router = createJobDeleteRequestRouter(
       getDeleteRequestController(),
       authMiddleware
@@ -603,14 +803,14 @@ app.use("/api/jobs", sanitizeInputs, (req, res, next) => {
 
 // Setup job routes with authentication
 app.use("/api/jobs", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission, checkEntityPermission, checkRecordAccess: checkRecordAccess(getPool()) };
   const router = createJobRouter(getJobController(), authMiddleware);
   router(req, res, next);
 });
 
 // Job seeker transfer routes (must be before /api/job-seekers so /transfer is matched)
 app.use("/api/job-seekers/transfer", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createJobSeekerTransferRouter(
     getJobSeekerTransferController(),
     authMiddleware
@@ -624,7 +824,7 @@ app.use("/api/job-seekers", sanitizeInputs, (req, res, next) => {
       req.path.includes("/unarchive-request") ||
       req.path.match(/\/delete\/\d+/) ||
       req.path.match(/\/delete\/\d+\/(approve|deny)/)) {
-    const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+    const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
     const router = createJobSeekerDeleteRequestRouter(
       getDeleteRequestController(),
       authMiddleware
@@ -637,7 +837,7 @@ app.use("/api/job-seekers", sanitizeInputs, (req, res, next) => {
 
 // Setup job seeker routes with authentication
 app.use("/api/job-seekers", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission, checkEntityPermission, checkRecordAccess: checkRecordAccess(getPool()) };
   const router = createJobSeekerRouter(
     getJobSeekerController(),
     authMiddleware
@@ -647,7 +847,7 @@ app.use("/api/job-seekers", sanitizeInputs, (req, res, next) => {
 
 // Setup hiring manager routes with authentication
 app.use("/api/hiring-managers", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission, checkEntityPermission, checkRecordAccess: checkRecordAccess(getPool()) };
   const router = createHiringManagerRouter(
     getHiringManagerController(),
     authMiddleware
@@ -657,7 +857,7 @@ app.use("/api/hiring-managers", sanitizeInputs, (req, res, next) => {
 
 // Setup custom field routes with authentication
 app.use("/api/custom-fields", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createCustomFieldRouter(
     getCustomFieldController(),
     authMiddleware
@@ -671,7 +871,7 @@ app.use("/api/leads", sanitizeInputs, (req, res, next) => {
       req.path.includes("/unarchive-request") ||
       req.path.match(/\/delete\/\d+/) ||
       req.path.match(/\/delete\/\d+\/(approve|deny)/)) {
-    const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+    const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
     const router = createLeadDeleteRequestRouter(
       getDeleteRequestController(),
       authMiddleware
@@ -683,7 +883,7 @@ app.use("/api/leads", sanitizeInputs, (req, res, next) => {
 });
 
 app.use("/api/leads", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission, checkEntityPermission, checkRecordAccess: checkRecordAccess(getPool()) };
   const router = createLeadRouter(getLeadController(), authMiddleware);
   router(req, res, next);
 });
@@ -694,7 +894,7 @@ app.use("/api/tasks", sanitizeInputs, (req, res, next) => {
       req.path.includes("/unarchive-request") ||
       req.path.match(/\/delete\/\d+/) ||
       req.path.match(/\/delete\/\d+\/(approve|deny)/)) {
-    const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+    const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
     const router = createTaskDeleteRequestRouter(
       getDeleteRequestController(),
       authMiddleware
@@ -706,7 +906,7 @@ app.use("/api/tasks", sanitizeInputs, (req, res, next) => {
 });
 
 app.use("/api/tasks", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission, checkEntityPermission, checkRecordAccess: checkRecordAccess(getPool()) };
   const router = createTaskRouter(getTaskController(), authMiddleware);
   router(req, res, next);
 });
@@ -717,7 +917,7 @@ app.use("/api/placements", sanitizeInputs, (req, res, next) => {
       req.path.includes("/unarchive-request") ||
       req.path.match(/\/delete\/\d+/) ||
       req.path.match(/\/delete\/\d+\/(approve|deny)/)) {
-    const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+    const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
     const router = createPlacementDeleteRequestRouter(
       getDeleteRequestController(),
       authMiddleware
@@ -729,72 +929,72 @@ app.use("/api/placements", sanitizeInputs, (req, res, next) => {
 });
 
 app.use("/api/placements", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission, checkEntityPermission, checkRecordAccess: checkRecordAccess(getPool()) };
   const router = createPlacementRouter(getPlacementController(), authMiddleware);
   router(req, res, next);
 });
 
 app.use("/api/tearsheets", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createTearsheetRouter(getTearsheetController(), authMiddleware);
   router(req, res, next);
 });
 
 app.use("/api/admin/documents", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createAdminDocumentRouter(getAdminDocumentController(), authMiddleware);
   router(req, res, next);
 });
 
 app.use("/api/shared-documents", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createSharedDocumentRouter(getSharedDocumentController(), authMiddleware);
   router(req, res, next);
 });
 
 app.use("/api/broadcast-messages", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createBroadcastMessageRouter(getBroadcastMessageController(), authMiddleware);
   router(req, res, next);
 });
 
 // Setup header config routes with authentication
 app.use("/api/header-config", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createHeaderConfigRouter(getHeaderConfigController(), authMiddleware);
   router(req, res, next);
 });
 
 // NEW ROUTE SETUPS
 app.use("/api/offices", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createOfficeRouter(getOfficeController(), authMiddleware);
   router(req, res, next);
 });
 
 app.use("/api/teams", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createTeamRouter(getTeamController(), authMiddleware);
   router(req, res, next);
 });
 app.use("/api/template-documents", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createTemplateDocumentsRouter(getPool(), authMiddleware);
   router(req, res, next);
 });
 app.use("/api/organization-default-documents", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createOrganizationDefaultDocumentRouter(getPool(), authMiddleware);
   router(req, res, next);
 });
 app.use("/api/packets", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = packetRoutes(getPool(), authMiddleware);
   router(req, res, next);
 });
 //ONbOARDING
 app.use("/api/onboarding", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission, checkRecordAccess: checkRecordAccess(getPool()) };
   const router = createOnboardingRouter(
     getOnboardingController(),
     authMiddleware
@@ -803,7 +1003,7 @@ app.use("/api/onboarding", sanitizeInputs, (req, res, next) => {
 });
 // Jobseeker Portal Auth Routes (pass authMiddleware for admin-set-password)
 app.use("/api/jobseeker-portal/auth", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = jobseekerPortalAuthRoutes(getPool(), authMiddleware);
   router(req, res, next);
 });
@@ -820,14 +1020,14 @@ app.use("/api/email-templates", sanitizeInputs, (req, res, next) => {
 
 // Setup appointment routes with authentication
 app.use("/api/appointments", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createAppointmentRouter(getAppointmentController(), authMiddleware);
   router(req, res, next);
 });
 
 // Setup planner appointment routes (for frontend compatibility)
 app.use("/api/planner/appointments", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createAppointmentRouter(getAppointmentController(), authMiddleware);
   router(req, res, next);
 });
@@ -840,7 +1040,7 @@ app.use("/api/zoom", sanitizeInputs, (req, res, next) => {
 
 // Setup scrape routes with authentication
 app.use("/api/scrape", sanitizeInputs, (req, res, next) => {
-  const authMiddleware = { verifyToken: verifyToken(getPool()), checkRole };
+  const authMiddleware = { verifyToken: verifyToken(getPool()), checkPermission };
   const router = createScrapeRouter(getPool());
   router(req, res, next);
 });
@@ -882,12 +1082,21 @@ app.get("/api/appointments/init", async (req, res) => {
 const archiveCleanupCron = require("./api/cron/archive-cleanup");
 const taskRemindersCron = require("./api/cron/task-reminders");
 const deleteRetryCron = require("./api/cron/delete-retry");
+const duplicateScanCron = require("./api/cron/duplicate-scan");
+const exportRunsCron = require("./api/cron/export-runs");
+const webhookDeliveriesCron = require("./api/cron/webhook-deliveries");
 app.get("/api/cron/archive-cleanup", archiveCleanupCron);
 app.post("/api/cron/archive-cleanup", archiveCleanupCron);
 app.get("/api/cron/task-reminders", taskRemindersCron);
 app.post("/api/cron/task-reminders", taskRemindersCron);
 app.get("/api/cron/delete-retry", deleteRetryCron);
 app.post("/api/cron/delete-retry", deleteRetryCron);
+app.get("/api/cron/duplicate-scan", duplicateScanCron);
+app.post("/api/cron/duplicate-scan", duplicateScanCron);
+app.get("/api/cron/export-runs", exportRunsCron);
+app.post("/api/cron/export-runs", exportRunsCron);
+app.get("/api/cron/webhook-deliveries", webhookDeliveriesCron);
+app.post("/api/cron/webhook-deliveries", webhookDeliveriesCron);
 
 // Add 404 middleware
 app.use(notFound);
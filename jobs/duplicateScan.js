@@ -0,0 +1,26 @@
+// jobs/duplicateScan.js
+// Runs nightly: scores likely duplicate job seekers, hiring managers and leads into duplicate_candidates
+
+const DuplicateCandidate = require("../models/duplicateCandidate");
+const { ENTITY_CONFIGS, scanDuplicates } = require("../services/duplicateDetectionService");
+
+async function runDuplicateScan(pool) {
+  const candidateModel = new DuplicateCandidate(pool);
+  await candidateModel.initTable();
+
+  const results = {};
+  for (const entityType of Object.keys(ENTITY_CONFIGS)) {
+    try {
+      const pairs = await scanDuplicates(pool, entityType);
+      results[entityType] = await candidateModel.replaceScanResults(entityType, pairs);
+      console.log(`[duplicateScan] ${entityType}: ${results[entityType].found} likely duplicate pair(s)`);
+    } catch (error) {
+      // Tables for a module may not exist yet on a fresh install; keep scanning the others
+      console.error(`[duplicateScan] ${entityType} failed:`, error.message);
+      results[entityType] = { error: error.message };
+    }
+  }
+  return results;
+}
+
+module.exports = { runDuplicateScan };
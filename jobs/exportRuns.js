@@ -0,0 +1,19 @@
+// jobs/exportRuns.js
+// Runs every few minutes: processes queued background exports and drops expired export files
+
+const ExportRun = require("../models/exportRun");
+const { processExportRuns } = require("../services/exportService");
+
+async function runExportRuns(pool, { max = 5 } = {}) {
+  const exportRunModel = new ExportRun(pool);
+  await exportRunModel.initTable();
+
+  const results = await processExportRuns(pool, { max });
+  results.purged = await exportRunModel.purgeExpiredFiles();
+  console.log(
+    `[exportRuns] processed ${results.processed} (completed ${results.completed}, failed ${results.failed}), purged ${results.purged} expired file(s)`
+  );
+  return results;
+}
+
+module.exports = { runExportRuns };
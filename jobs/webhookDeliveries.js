@@ -0,0 +1,19 @@
+// jobs/webhookDeliveries.js
+// Runs every few minutes: retries pending webhook deliveries whose backoff has elapsed
+
+const WebhookSubscription = require("../models/webhookSubscription");
+const WebhookDelivery = require("../models/webhookDelivery");
+const { processDueDeliveries } = require("../services/webhookService");
+
+async function runWebhookDeliveries(pool, { limit = 100 } = {}) {
+  await new WebhookSubscription(pool).initTable();
+  await new WebhookDelivery(pool).initTable();
+
+  const results = await processDueDeliveries(pool, { limit });
+  console.log(
+    `[webhookDeliveries] processed ${results.processed} (succeeded ${results.succeeded}, retrying ${results.retrying}, failed ${results.failed})`
+  );
+  return results;
+}
+
+module.exports = { runWebhookDeliveries };
@@ -1,18 +1,49 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/user');
+const Role = require('../models/role');
+const UserSession = require('../models/userSession');
+const { AuthConfigError, verifyAccessToken } = require('../services/tokenService');
+const { ACCESS_ENTITIES, scopeFor, canAccessRecord } = require('../services/recordAccessService');
+const { BUILT_IN_ROLES, hasPermission } = require('../services/permissionService');
+const { setRequestContextValue } = require('./requestContext');
+
+// Role row for a key; built-in defaults when the roles table cannot be read
+async function loadRole(roleModel, key) {
+    try {
+        const role = await roleModel.getCachedByKey(key);
+        if (role) return role;
+    } catch (error) {
+        console.error('Error loading role:', key, error.message);
+    }
+    return BUILT_IN_ROLES.find((r) => r.key === key) || null;
+}
+
+// Permissions and record scopes of the user's role (is_admin users also get the admin role's)
+async function resolveRoleAccess(roleModel, user) {
+    const role = await loadRole(roleModel, user.role);
+    const permissions = new Set(role ? role.permissions : []);
+    let recordScopes = role ? role.record_scopes : null;
+
+    if (user.is_admin === true && user.role !== 'admin') {
+        const adminRole = await loadRole(roleModel, 'admin');
+        if (adminRole) {
+            adminRole.permissions.forEach((p) => permissions.add(p));
+            recordScopes = adminRole.record_scopes;
+        }
+    }
+    return { permissions: [...permissions], recordScopes };
+}
 
-// Middleware to verify JWT token
+// Middleware to verify the access token (services/tokenService.js) and its login session
 const verifyToken = (pool) => {
     const userModel = new User(pool);
+    const roleModel = new Role(pool);
+    const sessionModel = new UserSession(pool);
 
     return async (req, res, next) => {
         try {
             // Get token from Authorization header
             const authHeader = req.headers.authorization;
 
-            // Log token for debugging
-            console.log('Auth header:', authHeader);
-
             if (!authHeader || !authHeader.startsWith('Bearer ')) {
                 return res.status(401).json({
                     success: false,
@@ -21,65 +52,68 @@ const verifyToken = (pool) => {
             }
 
             const token = authHeader.split(' ')[1];
+            const decoded = verifyAccessToken(token);
+
+            // A revoked session (logout, password change, deactivation) cuts off its access token right away
+            const session = await sessionModel.getAuthSession(decoded.sid);
+            if (!session || session.revoked_at || session.user_id !== decoded.userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Your session has ended. Please log in again.'
+                });
+            }
+
+            // Find user by ID from token payload instead of token string
+            const user = await userModel.findById(decoded.userId);
 
-            // Log extracted token
-            console.log('Extracted token:', token.substring(0, 20) + '...');
-
-            // Verify the token
-            try {
-                const secretKey = process.env.JWT_SECRET || 'default_secret_key';
-                console.log('JWT Secret Key first 5 chars:', secretKey.substring(0, 5) + '...');
-
-                const decoded = jwt.verify(token, secretKey);
-                console.log('Token decoded successfully:', decoded);
-
-                // Find user by ID from token payload instead of token string
-                const user = await userModel.findById(decoded.userId);
-
-                if (!user) {
-                    console.log('User not found with ID:', decoded.userId);
-                    return res.status(401).json({
-                        success: false,
-                        message: 'Invalid or expired token'
-                    });
-                }
-
-                // Check if user is active
-                if (!user.status) {
-                    return res.status(403).json({
-                        success: false,
-                        message: 'Your account has been deactivated'
-                    });
-                }
-
-                // Add user info to the request
-                req.user = {
-                    id: user.id,
-                    email: user.email,
-                    role: user.role,
-                    is_admin: user.is_admin
-                };
-
-                console.log('User found and authenticated:', req.user);
-                next();
-            } catch (jwtError) {
-                console.error('JWT Verification error:', jwtError);
+            if (!user) {
                 return res.status(401).json({
                     success: false,
-                    message: 'Invalid or expired token',
-                    error: jwtError.message
+                    message: 'Invalid or expired token'
+                });
+            }
+
+            // Check if user is active
+            if (!user.status) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Your account has been deactivated'
                 });
             }
+
+            // Add user info to the request
+            const access = await resolveRoleAccess(roleModel, user);
+            req.user = {
+                id: user.id,
+                email: user.email,
+                role: user.role,
+                is_admin: user.is_admin,
+                team_id: user.team_id,
+                office_id: user.office_id,
+                session_id: session.session_id,
+                permissions: access.permissions,
+                record_scopes: access.recordScopes
+            };
+
+            setRequestContextValue('user', { id: user.id, email: user.email });
+
+            sessionModel.touchAuthSession(session.session_id).catch((error) => {
+                console.error('Error updating session activity:', error.message);
+            });
+            next();
         } catch (error) {
             if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-                console.error('Token error:', error.name, error.message);
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid or expired token'
                 });
             }
 
-            console.error('Error verifying token:', error);
+            if (error instanceof AuthConfigError) {
+                console.error('Authentication is not configured:', error.message);
+            } else {
+                console.error('Error verifying token:', error);
+            }
             return res.status(500).json({
                 success: false,
                 message: 'Server error during authentication'
@@ -110,4 +144,98 @@ const checkRole = (...roles) => {
     };
 };
 
-module.exports = { verifyToken, checkRole };        
\ No newline at end of file
+// Middleware to check permissions of the user's role (services/permissionService.js)
+// Passes when the role has any of the given permissions, e.g. checkPermission('jobs.export')
+const checkPermission = (...permissions) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        if (!permissions.some((permission) => hasPermission(req.user.permissions, permission))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Insufficient permissions.',
+                required: permissions
+            });
+        }
+        next();
+    };
+};
+
+// Entity permission for every route of an entity router, e.g. router.use(checkEntityPermission('jobs'))
+// GET -> view, POST / (or one of createPaths, e.g. '/from-resume') -> create, DELETE /:id -> delete,
+// anything else -> edit
+const checkEntityPermission = (entity, { createPaths = [] } = {}) => {
+    return (req, res, next) => {
+        let action = 'edit';
+        if (req.method === 'GET' || req.method === 'HEAD') {
+            action = 'view';
+        } else if (req.method === 'POST' && (req.path === '/' || req.path === '' || createPaths.includes(req.path.replace(/\/$/, '')))) {
+            action = 'create';
+        } else if (req.method === 'DELETE' && /^\/[^/]+\/?$/.test(req.path)) {
+            action = 'delete';
+        }
+        return checkPermission(`${entity}.${action}`)(req, res, next);
+    };
+};
+
+// Record-level access for routes with an :id param (see services/recordAccessService.js)
+// Usage: router.param('id', checkRecordAccess('job'))
+// GET -> read, DELETE /:id -> delete, anything else -> update
+const checkRecordAccess = (pool) => {
+    return (entityType) => async (req, res, next, id) => {
+        try {
+            if (!req.user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Authentication required'
+                });
+            }
+
+            const recordId = parseInt(id, 10);
+            if (!Number.isInteger(recordId) || String(recordId) !== String(id).trim()) {
+                return next();
+            }
+
+            let action = 'update';
+            if (req.method === 'GET' || req.method === 'HEAD') {
+                action = 'read';
+            } else if (req.method === 'DELETE' && /^\/[^/]+\/?$/.test(req.path)) {
+                action = 'delete';
+            }
+
+            if (scopeFor(req.user, entityType, action) === 'all') {
+                return next();
+            }
+            if (await canAccessRecord(pool, req.user, entityType, action, recordId)) {
+                return next();
+            }
+
+            // Unknown ids fall through so the controller answers 404 as before
+            const exists = await pool.query(
+                `SELECT 1 FROM ${ACCESS_ENTITIES[entityType].table} WHERE id = $1`,
+                [recordId]
+            );
+            if (exists.rows.length === 0) {
+                return next();
+            }
+
+            return res.status(403).json({
+                success: false,
+                message: `Access denied. You do not have permission to ${action} this record.`
+            });
+        } catch (error) {
+            console.error('Error checking record access:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Server error while checking record access'
+            });
+        }
+    };
+};
+
+module.exports = { verifyToken, checkRole, checkPermission, checkEntityPermission, checkRecordAccess };        
\ No newline at end of file
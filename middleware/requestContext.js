@@ -0,0 +1,31 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { clientIp } = require('../utils/clientIp');
+
+// Per-request details (caller IP, user agent, authenticated user) for code that has no access to req,
+// e.g. models writing the audit log. verifyToken adds the user once the token is verified.
+const storage = new AsyncLocalStorage();
+
+// Must run after the body parsers: their stream callbacks would otherwise lose the context
+const requestContext = (req, res, next) => {
+    storage.run(
+        {
+            ip: clientIp(req),
+            userAgent: req.get('user-agent') || null,
+            user: null,
+        },
+        next
+    );
+};
+
+/** The current request's context, or null outside a request (cron jobs, scripts) */
+function getRequestContext() {
+    return storage.getStore() || null;
+}
+
+/** Set a value on the current request's context; no-op outside a request */
+function setRequestContextValue(key, value) {
+    const store = storage.getStore();
+    if (store) store[key] = value;
+}
+
+module.exports = { requestContext, getRequestContext, setRequestContextValue };
@@ -0,0 +1,30 @@
+const multer = require("multer");
+
+const storage = multer.memoryStorage();
+
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = [
+    "text/csv",
+    "application/csv",
+    "text/plain",
+    "application/vnd.ms-excel",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ];
+
+  const isValidType =
+    allowedTypes.includes(file.mimetype) ||
+    file.originalname.match(/\.(csv|txt|xlsx)$/i);
+
+  if (!isValidType) {
+    return cb(new Error("Invalid file type. Allowed: CSV, XLSX"));
+  }
+  cb(null, true);
+};
+
+const uploadImportFile = multer({
+  storage,
+  fileFilter,
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+module.exports = uploadImportFile;
@@ -0,0 +1,199 @@
+// models/auditLog.js
+// Server-generated audit trail. Rows are append-only (a trigger rejects UPDATE and DELETE) and hash-chained:
+// each row's hash covers its content plus the previous row's hash, see services/auditService.js.
+
+// Serializes appends so the chain order matches the id order
+const AUDIT_CHAIN_LOCK_KEY = 7428001;
+
+const ENTRY_COLUMNS = `
+  id, occurred_at, action, entity_type, entity_id, entity_label, user_id, user_email, ip_address, user_agent,
+  changes, before_data, after_data, metadata, prev_hash, hash
+`;
+
+class AuditLog {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async initTable() {
+    let client;
+    try {
+      client = await this.pool.connect();
+
+      // No foreign keys: ON DELETE actions would have to update rows, which the chain does not allow
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id BIGSERIAL PRIMARY KEY,
+          occurred_at TIMESTAMPTZ NOT NULL,
+          action VARCHAR(50) NOT NULL,
+          entity_type VARCHAR(100) NOT NULL,
+          entity_id VARCHAR(100),
+          entity_label VARCHAR(500),
+          user_id INTEGER,
+          user_email VARCHAR(255),
+          ip_address VARCHAR(100),
+          user_agent TEXT,
+          changes JSONB,
+          before_data JSONB,
+          after_data JSONB,
+          metadata JSONB,
+          prev_hash CHAR(64),
+          hash CHAR(64) NOT NULL UNIQUE
+        )
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id, id)`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log (user_id, id)`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_occurred_at ON audit_log (occurred_at)`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log (action)`);
+      // Field filter: changes ? 'status'
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_changes ON audit_log USING GIN (changes)`);
+
+      await client.query(`
+        CREATE OR REPLACE FUNCTION audit_log_reject_change() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'audit_log is append-only';
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      await client.query(`
+        DO $$
+        BEGIN
+          IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'audit_log_append_only') THEN
+            CREATE TRIGGER audit_log_append_only
+            BEFORE UPDATE OR DELETE ON audit_log
+            FOR EACH ROW EXECUTE FUNCTION audit_log_reject_change();
+          END IF;
+        END
+        $$
+      `);
+
+      return true;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  /**
+   * Append an entry to the chain.
+   * @param {Object} entry - column values (occurred_at, action, entity_type, ...) without prev_hash/hash
+   * @param {(prevHash: string|null, entry: Object) => string} computeHash
+   */
+  async append(entry, computeHash) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_CHAIN_LOCK_KEY]);
+
+      const last = await client.query('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1');
+      const prevHash = last.rows[0]?.hash || null;
+      const hash = computeHash(prevHash, entry);
+
+      const result = await client.query(
+        `INSERT INTO audit_log (
+           occurred_at, action, entity_type, entity_id, entity_label, user_id, user_email, ip_address, user_agent,
+           changes, before_data, after_data, metadata, prev_hash, hash
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::jsonb, $11::jsonb, $12::jsonb, $13::jsonb, $14, $15)
+         RETURNING ${ENTRY_COLUMNS}`,
+        [
+          entry.occurred_at,
+          entry.action,
+          entry.entity_type,
+          entry.entity_id,
+          entry.entity_label,
+          entry.user_id,
+          entry.user_email,
+          entry.ip_address,
+          entry.user_agent,
+          entry.changes === null ? null : JSON.stringify(entry.changes),
+          entry.before_data === null ? null : JSON.stringify(entry.before_data),
+          entry.after_data === null ? null : JSON.stringify(entry.after_data),
+          entry.metadata === null ? null : JSON.stringify(entry.metadata),
+          prevHash,
+          hash,
+        ]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // WHERE clause for the search filters
+  _where(filters, values) {
+    const conditions = [];
+    const add = (condition, value) => {
+      values.push(value);
+      conditions.push(condition(`$${values.length}`));
+    };
+
+    if (filters.entityType) add((p) => `entity_type = ${p}`, filters.entityType);
+    if (filters.entityId) add((p) => `entity_id = ${p}`, String(filters.entityId));
+    if (filters.userId) add((p) => `user_id = ${p}`, filters.userId);
+    if (filters.actions && filters.actions.length > 0) add((p) => `action = ANY(${p}::text[])`, filters.actions);
+    if (filters.field) add((p) => `changes ? ${p}`, filters.field);
+    if (filters.from) add((p) => `occurred_at >= ${p}`, filters.from);
+    if (filters.to) add((p) => `occurred_at <= ${p}`, filters.to);
+
+    return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  }
+
+  /**
+   * Newest first, paged by id.
+   * @param {{ entityType?, entityId?, userId?, actions?: string[], field?, from?: Date, to?: Date }} filters
+   * @param {{ limit?: number, beforeId?: number }} [page]
+   * @returns {Promise<{ entries: Object[], nextCursor: string|null }>}
+   */
+  async search(filters = {}, { limit = 50, beforeId = null } = {}) {
+    const values = [];
+    let where = this._where(filters, values);
+    if (beforeId) {
+      values.push(beforeId);
+      where += `${where ? ' AND' : 'WHERE'} id < $${values.length}`;
+    }
+    values.push(limit + 1);
+
+    const result = await this.pool.query(
+      `SELECT ${ENTRY_COLUMNS} FROM audit_log ${where} ORDER BY id DESC LIMIT $${values.length}`,
+      values
+    );
+    const entries = result.rows.slice(0, limit);
+    const nextCursor = result.rows.length > limit ? String(entries[entries.length - 1].id) : null;
+    return { entries, nextCursor };
+  }
+
+  /** Oldest first after afterId; used to export and to verify the chain in batches */
+  async getBatch(filters = {}, { afterId = 0, limit = 1000 } = {}) {
+    const values = [];
+    let where = this._where(filters, values);
+    values.push(afterId);
+    where += `${where ? ' AND' : 'WHERE'} id > $${values.length}`;
+    values.push(limit);
+
+    const result = await this.pool.query(
+      `SELECT ${ENTRY_COLUMNS} FROM audit_log ${where} ORDER BY id ASC LIMIT $${values.length}`,
+      values
+    );
+    return result.rows;
+  }
+
+  async getById(id) {
+    const result = await this.pool.query(`SELECT ${ENTRY_COLUMNS} FROM audit_log WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  /** Hash of the entry before id (null for the first entry) */
+  async getHashBefore(id) {
+    const result = await this.pool.query(
+      'SELECT hash FROM audit_log WHERE id < $1 ORDER BY id DESC LIMIT 1',
+      [id]
+    );
+    return result.rows[0]?.hash || null;
+  }
+}
+
+module.exports = AuditLog;
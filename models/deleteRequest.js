@@ -1,4 +1,6 @@
 // models/deleteRequest.js
+const { emitWebhookEvent } = require("../services/webhookService");
+
 let deleteRequestTableInitialized = false;
 
 class DeleteRequest {
@@ -247,6 +249,7 @@ class DeleteRequest {
       }
 
       await client.query("COMMIT");
+      await emitWebhookEvent(this.pool, "delete_request.approved", result.rows[0]);
       return result.rows[0];
     } catch (error) {
       await client.query("ROLLBACK");
@@ -281,6 +284,7 @@ class DeleteRequest {
       }
 
       await client.query("COMMIT");
+      await emitWebhookEvent(this.pool, "delete_request.denied", result.rows[0]);
       return result.rows[0];
     } catch (error) {
       await client.query("ROLLBACK");
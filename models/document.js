@@ -58,7 +58,8 @@ class Document {
     }
 
     // Create a new document
-    async create(documentData) {
+    // transactionClient: insert as part of the caller's open transaction
+    async create(documentData, transactionClient = null) {
         const {
             entity_type,
             entity_id,
@@ -73,9 +74,9 @@ class Document {
             source_template_document_id
         } = documentData;
 
-        let client;
+        let client = transactionClient;
         try {
-            client = await this.pool.connect();
+            if (!client) client = await this.pool.connect();
 
             const query = `
                 INSERT INTO documents (
@@ -107,7 +108,7 @@ class Document {
             console.error('Error creating document:', error);
             throw error;
         } finally {
-            if (client) {
+            if (client && !transactionClient) {
                 client.release();
             }
         }
@@ -233,10 +234,11 @@ class Document {
     }
 
     // Delete document
-    async delete(id) {
-        let client;
+    // transactionClient: delete as part of the caller's open transaction
+    async delete(id, transactionClient = null) {
+        let client = transactionClient;
         try {
-            client = await this.pool.connect();
+            if (!client) client = await this.pool.connect();
 
             const query = 'DELETE FROM documents WHERE id = $1 RETURNING *';
             const result = await client.query(query, [id]);
@@ -245,7 +247,7 @@ class Document {
             console.error('Error deleting document:', error);
             throw error;
         } finally {
-            if (client) {
+            if (client && !transactionClient) {
                 client.release();
             }
         }
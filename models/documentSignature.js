@@ -0,0 +1,124 @@
+// models/documentSignature.js
+// Signing evidence of onboarding documents signed in the job seeker portal (services/signatureService.js): who
+// signed, from where, when, and the SHA-256 hashes of the signed PDF, so a stored document can be re-verified.
+
+class DocumentSignature {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async initTable() {
+    const client = await this.pool.connect();
+    try {
+      // content_sha256: the signed document without the certificate (printed on the certificate), stored at
+      // content_file_url; document_sha256: the stored PDF with the certificate page, at file_url.
+      // document_id has no FK so the documents table may be created later.
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS document_signatures (
+          id SERIAL PRIMARY KEY,
+          job_seeker_id INTEGER NOT NULL REFERENCES job_seekers(id) ON DELETE CASCADE,
+          onboarding_send_item_id INTEGER REFERENCES onboarding_send_items(id) ON DELETE SET NULL,
+          template_document_id INTEGER,
+          document_id INTEGER,
+          document_name VARCHAR(255),
+          file_url TEXT NOT NULL,
+          content_file_url TEXT,
+          signer_name VARCHAR(255),
+          signer_email VARCHAR(255),
+          ip_address VARCHAR(45),
+          user_agent TEXT,
+          fields JSONB NOT NULL DEFAULT '[]'::jsonb,
+          consent_text TEXT,
+          consented_at TIMESTAMP,
+          sent_at TIMESTAMP,
+          viewed_at TIMESTAMP,
+          signed_at TIMESTAMP NOT NULL,
+          content_sha256 CHAR(64) NOT NULL,
+          document_sha256 CHAR(64) NOT NULL,
+          last_verified_at TIMESTAMP,
+          last_verified_valid BOOLEAN,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_document_signatures_job_seeker
+        ON document_signatures (job_seeker_id, signed_at)
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_document_signatures_item
+        ON document_signatures (onboarding_send_item_id)
+      `);
+      return true;
+    } finally {
+      client.release();
+    }
+  }
+
+  // client: the transaction that completes the onboarding item
+  async create(client, data) {
+    const r = await (client || this.pool).query(
+      `
+      INSERT INTO document_signatures (
+        job_seeker_id, onboarding_send_item_id, template_document_id, document_id, document_name, file_url,
+        signer_name, signer_email, ip_address, user_agent, fields, consent_text, consented_at,
+        sent_at, viewed_at, signed_at, content_sha256, document_sha256, content_file_url
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11::jsonb, $12, $13, $14, $15, $16, $17, $18, $19)
+      RETURNING *
+      `,
+      [
+        Number(data.job_seeker_id),
+        data.onboarding_send_item_id || null,
+        data.template_document_id || null,
+        data.document_id || null,
+        data.document_name || null,
+        data.file_url,
+        data.signer_name || null,
+        data.signer_email || null,
+        data.ip_address ? String(data.ip_address).slice(0, 45) : null,
+        data.user_agent || null,
+        JSON.stringify(data.fields || []),
+        data.consent_text || null,
+        data.consented_at || null,
+        data.sent_at || null,
+        data.viewed_at || null,
+        data.signed_at,
+        data.content_sha256,
+        data.document_sha256,
+        data.content_file_url || null,
+      ]
+    );
+    return r.rows[0];
+  }
+
+  async listForJobSeeker(job_seeker_id) {
+    const r = await this.pool.query(
+      `SELECT * FROM document_signatures WHERE job_seeker_id = $1 ORDER BY signed_at DESC, id DESC`,
+      [Number(job_seeker_id)]
+    );
+    return r.rows;
+  }
+
+  async getForJobSeeker(job_seeker_id, id) {
+    const r = await this.pool.query(
+      `SELECT * FROM document_signatures WHERE id = $1 AND job_seeker_id = $2`,
+      [Number(id), Number(job_seeker_id)]
+    );
+    return r.rows[0] || null;
+  }
+
+  async recordVerification(id, valid) {
+    const r = await this.pool.query(
+      `
+      UPDATE document_signatures
+      SET last_verified_at = NOW(), last_verified_valid = $2
+      WHERE id = $1
+      RETURNING *
+      `,
+      [Number(id), valid === true]
+    );
+    return r.rows[0] || null;
+  }
+}
+
+module.exports = DocumentSignature;
@@ -0,0 +1,135 @@
+// models/duplicateCandidate.js
+// Likely-duplicate pairs found by the nightly scan (services/duplicateDetectionService.js)
+
+const { ACCESS_ENTITIES } = require('../services/recordAccessService');
+
+const CANDIDATE_STATUSES = ['open', 'dismissed', 'merged'];
+
+class DuplicateCandidate {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async initTable() {
+    let client;
+    try {
+      client = await this.pool.connect();
+
+      // record_id < duplicate_id so each pair is stored once
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS duplicate_candidates (
+          id SERIAL PRIMARY KEY,
+          entity_type VARCHAR(50) NOT NULL,
+          record_id INTEGER NOT NULL,
+          duplicate_id INTEGER NOT NULL,
+          score INTEGER NOT NULL,
+          reasons JSONB NOT NULL DEFAULT '[]'::jsonb,
+          status VARCHAR(20) NOT NULL DEFAULT 'open',
+          detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          resolved_at TIMESTAMP,
+          UNIQUE (entity_type, record_id, duplicate_id)
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_duplicate_candidates_entity_status
+        ON duplicate_candidates(entity_type, status, score DESC)
+      `);
+
+      return true;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  /**
+   * Store the result of a scan: upsert found pairs (dismissed pairs stay dismissed)
+   * and drop open pairs that no longer match.
+   */
+  async replaceScanResults(entityType, pairs) {
+    let client;
+    try {
+      client = await this.pool.connect();
+      await client.query('BEGIN');
+
+      const scanStartedAt = (await client.query('SELECT CURRENT_TIMESTAMP AS now')).rows[0].now;
+      for (const pair of pairs) {
+        await client.query(
+          `INSERT INTO duplicate_candidates (entity_type, record_id, duplicate_id, score, reasons, last_seen_at)
+           VALUES ($1, $2, $3, $4, $5::jsonb, $6)
+           ON CONFLICT (entity_type, record_id, duplicate_id)
+           DO UPDATE SET score = EXCLUDED.score, reasons = EXCLUDED.reasons, last_seen_at = EXCLUDED.last_seen_at`,
+          [entityType, pair.recordId, pair.duplicateId, pair.score, JSON.stringify(pair.reasons), scanStartedAt]
+        );
+      }
+      const stale = await client.query(
+        `DELETE FROM duplicate_candidates
+         WHERE entity_type = $1 AND status = 'open' AND last_seen_at < $2`,
+        [entityType, scanStartedAt]
+      );
+
+      await client.query('COMMIT');
+      return { found: pairs.length, removed: stale.rowCount };
+    } catch (error) {
+      if (client) await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  // accessScope (services/recordAccessService.js buildAccessScope): only pairs whose records the caller may both read
+  async list(entityType, { status = 'open', minScore = 0, limit = 50, offset = 0, accessScope = null } = {}) {
+    const values = [entityType, status, minScore];
+    const conditions = ['dc.entity_type = $1', 'dc.status = $2', 'dc.score >= $3'];
+    if (accessScope) {
+      const { table } = ACCESS_ENTITIES[entityType];
+      for (const column of ['record_id', 'duplicate_id']) {
+        const condition = accessScope('ar', values);
+        if (condition) {
+          conditions.push(`EXISTS (SELECT 1 FROM ${table} ar WHERE ar.id = dc.${column} AND ${condition})`);
+        }
+      }
+    }
+    const where = conditions.join(' AND ');
+
+    const countResult = await this.pool.query(
+      `SELECT COUNT(*)::int AS total FROM duplicate_candidates dc WHERE ${where}`,
+      values
+    );
+    const result = await this.pool.query(
+      `SELECT dc.* FROM duplicate_candidates dc
+       WHERE ${where}
+       ORDER BY dc.score DESC, dc.detected_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+    return { rows: result.rows, total: countResult.rows[0].total };
+  }
+
+  async getById(id) {
+    const result = await this.pool.query(
+      `SELECT * FROM duplicate_candidates WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  async setStatus(id, status, userId = null) {
+    const result = await this.pool.query(
+      `UPDATE duplicate_candidates
+       SET status = $1::varchar,
+           resolved_by = CASE WHEN $1::varchar = 'open' THEN NULL ELSE $2::integer END,
+           resolved_at = CASE WHEN $1::varchar = 'open' THEN NULL ELSE CURRENT_TIMESTAMP END
+       WHERE id = $3
+       RETURNING *`,
+      [status, userId, id]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+DuplicateCandidate.CANDIDATE_STATUSES = CANDIDATE_STATUSES;
+
+module.exports = DuplicateCandidate;
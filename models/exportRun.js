@@ -0,0 +1,146 @@
+// models/exportRun.js
+// Background list exports: the request (entity, format, list query, columns), its progress and the finished file.
+// Files are kept in the database rather than blob storage so they are only reachable through the authenticated
+// download endpoint, and are dropped once expires_at has passed.
+
+const EXPORT_RUN_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// Everything but the file itself
+const SUMMARY_COLUMNS = `
+  r.id, r.entity_type, r.format, r.status, r.query, r.columns, r.row_count, r.file_name, r.content_type,
+  r.file_size, r.error, r.created_by, r.created_at, r.started_at, r.completed_at, r.expires_at
+`;
+const RETURNING_COLUMNS = SUMMARY_COLUMNS.replace(/r\./g, '');
+
+class ExportRun {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async initTable() {
+    let client;
+    try {
+      client = await this.pool.connect();
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS export_runs (
+          id SERIAL PRIMARY KEY,
+          entity_type VARCHAR(50) NOT NULL,
+          format VARCHAR(10) NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'queued',
+          query JSONB NOT NULL DEFAULT '{}'::jsonb,
+          columns JSONB NOT NULL DEFAULT '[]'::jsonb,
+          access_context JSONB,
+          row_count INTEGER,
+          file_name VARCHAR(255),
+          content_type VARCHAR(100),
+          file_size INTEGER,
+          file_data BYTEA,
+          error TEXT,
+          created_by INTEGER REFERENCES users(id),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          started_at TIMESTAMP,
+          completed_at TIMESTAMP,
+          expires_at TIMESTAMP
+        )
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_export_runs_created_by ON export_runs (created_by, created_at DESC)`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_export_runs_status ON export_runs (status)`);
+
+      return true;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  /**
+   * @param {{ entityType: string, format: string, query: Object, columns: Array, accessContext: Object, createdBy: number }} run
+   *   accessContext is the requesting user's role and record scopes, applied when the run is processed
+   */
+  async create({ entityType, format, query, columns, accessContext, createdBy }) {
+    const result = await this.pool.query(
+      `INSERT INTO export_runs (entity_type, format, query, columns, access_context, created_by)
+       VALUES ($1, $2, $3::jsonb, $4::jsonb, $5::jsonb, $6)
+       RETURNING ${RETURNING_COLUMNS}`,
+      [entityType, format, JSON.stringify(query || {}), JSON.stringify(columns || []), JSON.stringify(accessContext || null), createdBy]
+    );
+    return result.rows[0];
+  }
+
+  async getAll({ createdBy, limit = 50 }) {
+    const result = await this.pool.query(
+      `SELECT ${SUMMARY_COLUMNS}
+       FROM export_runs r
+       WHERE r.created_by = $1
+       ORDER BY r.created_at DESC
+       LIMIT $2`,
+      [createdBy, limit]
+    );
+    return result.rows;
+  }
+
+  async getById(id, { includeFile = false } = {}) {
+    const result = await this.pool.query(
+      `SELECT ${SUMMARY_COLUMNS}${includeFile ? ', r.file_data' : ''}
+       FROM export_runs r
+       WHERE r.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Claim the oldest queued run (or a specific one) for processing. Runs stuck in "running" for longer than
+   * staleMinutes (the process died mid-export) are picked up again.
+   * @returns {Promise<Object|null>} the run incl. access_context, or null when there is nothing to do
+   */
+  async claim({ id = null, staleMinutes = 30 } = {}) {
+    const result = await this.pool.query(
+      `UPDATE export_runs
+       SET status = 'running', started_at = CURRENT_TIMESTAMP, error = NULL
+       WHERE id = (
+         SELECT id FROM export_runs
+         WHERE ($1::int IS NULL OR id = $1)
+           AND (status = 'queued' OR (status = 'running' AND started_at < CURRENT_TIMESTAMP - make_interval(mins => $2)))
+         ORDER BY created_at ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${RETURNING_COLUMNS}, access_context`,
+      [id, staleMinutes]
+    );
+    return result.rows[0] || null;
+  }
+
+  async complete(id, { rowCount, fileName, contentType, fileData, expiresInHours }) {
+    const result = await this.pool.query(
+      `UPDATE export_runs
+       SET status = 'completed', row_count = $2, file_name = $3, content_type = $4, file_size = $5, file_data = $6,
+           completed_at = CURRENT_TIMESTAMP, expires_at = CURRENT_TIMESTAMP + make_interval(hours => $7)
+       WHERE id = $1
+       RETURNING ${RETURNING_COLUMNS}`,
+      [id, rowCount, fileName, contentType, fileData.length, fileData, expiresInHours]
+    );
+    return result.rows[0] || null;
+  }
+
+  async fail(id, error) {
+    await this.pool.query(
+      `UPDATE export_runs SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [id, String(error).slice(0, 2000)]
+    );
+  }
+
+  /** Drop the files of expired runs; the rows stay as a record of the export */
+  async purgeExpiredFiles() {
+    const result = await this.pool.query(
+      `UPDATE export_runs SET file_data = NULL
+       WHERE file_data IS NOT NULL AND expires_at < CURRENT_TIMESTAMP`
+    );
+    return result.rowCount;
+  }
+}
+
+ExportRun.EXPORT_RUN_STATUSES = EXPORT_RUN_STATUSES;
+
+module.exports = ExportRun;
@@ -1,5 +1,8 @@
 const bcrypt = require('bcrypt');
 const { allocateRecordNumber, releaseRecordNumber, runMigrationIfNeeded } = require('../services/recordNumberService');
+const { runListQuery } = require('../utils/listQuery');
+const { emitRecordCreated, emitRecordUpdated, emitRecordDeleted } = require('../services/webhookService');
+const { auditRecordCreated, auditRecordUpdated, auditRecordDeleted } = require('../services/auditService');
 
 class HiringManager {
     constructor(pool) {
@@ -460,6 +463,8 @@ class HiringManager {
             await client.query('COMMIT');
 
             console.log("Created hiring manager:", result.rows[0]);
+            await auditRecordCreated(this.pool, 'hiring_manager', result.rows[0]);
+            await emitRecordCreated(this.pool, 'hiring_manager', result.rows[0]);
             return result.rows[0];
         } catch (error) {
             await client.query('ROLLBACK');
@@ -501,6 +506,33 @@ class HiringManager {
         }
     }
 
+    // Paged/sorted/filtered list (options come from utils/listQuery.parseListQuery)
+    async list(options, userId = null) {
+        const client = await this.pool.connect();
+        try {
+            const conditions = [];
+            const values = [];
+            if (userId) {
+                values.push(userId);
+                conditions.push(`hm.created_by = $${values.length}`);
+            }
+
+            const result = await runListQuery(client, {
+                select: `hm.*, u.name as created_by_name,
+                    CONCAT(hm.last_name, ', ', hm.first_name) as full_name,
+                    o.name as organization_name_from_org`,
+                from: `hiring_managers hm
+                    LEFT JOIN users u ON hm.created_by = u.id
+                    LEFT JOIN organizations o ON hm.organization_id = o.id`,
+                conditions,
+                values,
+            }, options, HiringManager.LIST_CONFIG);
+            return { ...result, rows: this._normalizeOrganizationList(result.rows) };
+        } finally {
+            client.release();
+        }
+    }
+
     // Get hiring manager by ID
     async getById(id, userId = null) {
         const client = await this.pool.connect();
@@ -759,6 +791,8 @@ class HiringManager {
             await client.query('COMMIT');
 
             console.log("Hiring manager updated successfully:", updatedHiringManager);
+            await auditRecordUpdated(this.pool, 'hiring_manager', oldState, updatedHiringManager);
+            await emitRecordUpdated(this.pool, 'hiring_manager', oldState, updatedHiringManager);
             return updatedHiringManager;
         } catch (error) {
             await client.query('ROLLBACK');
@@ -819,6 +853,8 @@ class HiringManager {
 
             await client.query('COMMIT');
 
+            await auditRecordDeleted(this.pool, 'hiring_manager', result.rows[0]);
+            await emitRecordDeleted(this.pool, 'hiring_manager', result.rows[0]);
             return result.rows[0];
         } catch (error) {
             await client.query('ROLLBACK');
@@ -983,4 +1019,38 @@ class HiringManager {
     }
 }
 
+// Sortable/filterable columns for HiringManager.list()
+HiringManager.LIST_CONFIG = {
+    alias: 'hm',
+    columns: {
+        id: { expr: 'hm.id', type: 'number' },
+        record_number: { expr: 'hm.record_number', type: 'number' },
+        first_name: { expr: 'hm.first_name', type: 'text' },
+        last_name: { expr: 'hm.last_name', type: 'text' },
+        full_name: { expr: "CONCAT(hm.last_name, ', ', hm.first_name)", type: 'text' },
+        status: { expr: 'hm.status', type: 'text' },
+        nickname: { expr: 'hm.nickname', type: 'text' },
+        title: { expr: 'hm.title', type: 'text' },
+        organization_id: { expr: 'hm.organization_id', type: 'number' },
+        organization_name: { expr: 'COALESCE(o.name, hm.organization_name)', type: 'text' },
+        department: { expr: 'hm.department', type: 'text' },
+        owner: { expr: 'hm.owner', type: 'text' },
+        email: { expr: 'hm.email', type: 'text' },
+        phone: { expr: 'hm.phone', type: 'text' },
+        mobile_phone: { expr: 'hm.mobile_phone', type: 'text' },
+        city: { expr: 'hm.city', type: 'text' },
+        state: { expr: 'hm.state', type: 'text' },
+        zip_code: { expr: 'hm.zip_code', type: 'text' },
+        date_added: { expr: 'hm.date_added', type: 'date' },
+        last_contact_date: { expr: 'hm.last_contact_date', type: 'date' },
+        created_by: { expr: 'hm.created_by', type: 'number' },
+        created_by_name: { expr: 'u.name', type: 'text' },
+        created_at: { expr: 'hm.created_at', type: 'timestamp' },
+        updated_at: { expr: 'hm.updated_at', type: 'timestamp' },
+        archived_at: { expr: 'hm.archived_at', type: 'timestamp' },
+    },
+    searchColumns: ['hm.first_name', 'hm.last_name', 'hm.email', 'hm.phone', 'hm.title', 'o.name'],
+    defaultSort: [{ column: 'created_at', direction: 'desc' }],
+};
+
 module.exports = HiringManager;
\ No newline at end of file
@@ -0,0 +1,256 @@
+// models/importJob.js
+// Bulk imports: the uploaded rows and column mapping (import_jobs), each committed chunk (import_batches)
+// and every record a batch created or updated (import_records), which is what a batch rollback undoes.
+
+const IMPORT_STATUSES = [
+  'uploaded',
+  'validated',
+  'running',
+  'completed',
+  'completed_with_errors',
+  'failed',
+  'partially_rolled_back',
+  'rolled_back',
+];
+
+// Columns returned by list/detail endpoints (rows can be large and are loaded only when needed)
+const SUMMARY_COLUMNS = `
+  i.id, i.entity_type, i.file_name, i.file_format, i.status, i.headers, i.mapping, i.options,
+  i.total_rows, i.created_count, i.updated_count, i.skipped_count, i.failed_count,
+  i.created_by, i.created_at, i.updated_at, i.started_at, i.completed_at
+`;
+const RETURNING_COLUMNS = SUMMARY_COLUMNS.replace(/i\./g, '');
+
+class ImportJob {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async initTable() {
+    let client;
+    try {
+      client = await this.pool.connect();
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS import_jobs (
+          id SERIAL PRIMARY KEY,
+          entity_type VARCHAR(50) NOT NULL,
+          file_name VARCHAR(255),
+          file_format VARCHAR(10) NOT NULL,
+          status VARCHAR(30) NOT NULL DEFAULT 'uploaded',
+          headers JSONB NOT NULL DEFAULT '[]'::jsonb,
+          rows JSONB NOT NULL DEFAULT '[]'::jsonb,
+          mapping JSONB,
+          options JSONB,
+          report JSONB,
+          total_rows INTEGER NOT NULL DEFAULT 0,
+          created_count INTEGER NOT NULL DEFAULT 0,
+          updated_count INTEGER NOT NULL DEFAULT 0,
+          skipped_count INTEGER NOT NULL DEFAULT 0,
+          failed_count INTEGER NOT NULL DEFAULT 0,
+          created_by INTEGER REFERENCES users(id),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          started_at TIMESTAMP,
+          completed_at TIMESTAMP
+        )
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_import_jobs_created_by ON import_jobs (created_by, created_at DESC)`);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS import_batches (
+          id SERIAL PRIMARY KEY,
+          import_id INTEGER NOT NULL REFERENCES import_jobs(id) ON DELETE CASCADE,
+          batch_number INTEGER NOT NULL,
+          first_row INTEGER,
+          last_row INTEGER,
+          status VARCHAR(20) NOT NULL,
+          created_count INTEGER NOT NULL DEFAULT 0,
+          updated_count INTEGER NOT NULL DEFAULT 0,
+          error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          rolled_back_at TIMESTAMP,
+          rolled_back_by INTEGER REFERENCES users(id),
+          UNIQUE (import_id, batch_number)
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS import_records (
+          id SERIAL PRIMARY KEY,
+          import_id INTEGER NOT NULL REFERENCES import_jobs(id) ON DELETE CASCADE,
+          batch_id INTEGER NOT NULL REFERENCES import_batches(id) ON DELETE CASCADE,
+          row_number INTEGER NOT NULL,
+          record_id INTEGER NOT NULL,
+          action VARCHAR(10) NOT NULL CHECK (action IN ('created', 'updated')),
+          previous_values JSONB,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_import_records_batch ON import_records (batch_id)`);
+
+      return true;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  async create({ entityType, fileName, fileFormat, headers, rows, createdBy }) {
+    const result = await this.pool.query(
+      `INSERT INTO import_jobs (entity_type, file_name, file_format, headers, rows, total_rows, created_by)
+       VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6, $7)
+       RETURNING ${RETURNING_COLUMNS}`,
+      [entityType, fileName, fileFormat, JSON.stringify(headers), JSON.stringify(rows), rows.length, createdBy]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * @param {{ createdBy?: number|null, limit?: number }} [options] - createdBy null lists every user's imports
+   */
+  async getAll({ createdBy = null, limit = 50 } = {}) {
+    const result = await this.pool.query(
+      `SELECT ${SUMMARY_COLUMNS}, u.name AS created_by_name
+       FROM import_jobs i
+       LEFT JOIN users u ON i.created_by = u.id
+       WHERE ($1::int IS NULL OR i.created_by = $1)
+       ORDER BY i.created_at DESC
+       LIMIT $2`,
+      [createdBy, limit]
+    );
+    return result.rows;
+  }
+
+  async getById(id, { includeRows = false, includeReport = false } = {}) {
+    const extra = [includeRows ? 'i.rows' : null, includeReport ? 'i.report' : null].filter(Boolean);
+    const result = await this.pool.query(
+      `SELECT ${SUMMARY_COLUMNS}${extra.length ? `, ${extra.join(', ')}` : ''}, u.name AS created_by_name
+       FROM import_jobs i
+       LEFT JOIN users u ON i.created_by = u.id
+       WHERE i.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /** Store the mapping and dry-run report of a validation */
+  async saveValidation(id, { mapping, options, report }) {
+    const result = await this.pool.query(
+      `UPDATE import_jobs
+       SET mapping = $2::jsonb, options = $3::jsonb, report = $4::jsonb, status = 'validated', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status IN ('uploaded', 'validated')
+       RETURNING id`,
+      [id, JSON.stringify(mapping), JSON.stringify(options), JSON.stringify(report)]
+    );
+    return result.rows.length > 0;
+  }
+
+  /** Mark an import as running; false when it already ran (or is running) */
+  async claimForRun(id, { mapping, options }) {
+    const result = await this.pool.query(
+      `UPDATE import_jobs
+       SET status = 'running', mapping = $2::jsonb, options = $3::jsonb,
+           started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status IN ('uploaded', 'validated')
+       RETURNING id`,
+      [id, JSON.stringify(mapping), JSON.stringify(options)]
+    );
+    return result.rows.length > 0;
+  }
+
+  async finishRun(id, { status, report, createdCount, updatedCount, skippedCount, failedCount }) {
+    const result = await this.pool.query(
+      `UPDATE import_jobs
+       SET status = $2, report = $3::jsonb, created_count = $4, updated_count = $5, skipped_count = $6, failed_count = $7,
+           completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${RETURNING_COLUMNS}`,
+      [id, status, JSON.stringify(report), createdCount, updatedCount, skippedCount, failedCount]
+    );
+    return result.rows[0] || null;
+  }
+
+  /** Committed batch; call inside the batch transaction so it commits or rolls back with the records */
+  async createBatch(client, importId, { batchNumber, firstRow, lastRow, status = 'committed', error = null }) {
+    const result = await client.query(
+      `INSERT INTO import_batches (import_id, batch_number, first_row, last_row, status, error)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [importId, batchNumber, firstRow, lastRow, status, error]
+    );
+    return result.rows[0];
+  }
+
+  async setBatchCounts(client, batchId, { createdCount, updatedCount }) {
+    await client.query(
+      `UPDATE import_batches SET created_count = $2, updated_count = $3 WHERE id = $1`,
+      [batchId, createdCount, updatedCount]
+    );
+  }
+
+  async addRecord(client, { importId, batchId, rowNumber, recordId, action, previousValues = null }) {
+    await client.query(
+      `INSERT INTO import_records (import_id, batch_id, row_number, record_id, action, previous_values)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb)`,
+      [importId, batchId, rowNumber, recordId, action, previousValues ? JSON.stringify(previousValues) : null]
+    );
+  }
+
+  async getBatches(importId) {
+    const result = await this.pool.query(
+      `SELECT b.*, u.name AS rolled_back_by_name
+       FROM import_batches b
+       LEFT JOIN users u ON b.rolled_back_by = u.id
+       WHERE b.import_id = $1
+       ORDER BY b.batch_number ASC`,
+      [importId]
+    );
+    return result.rows;
+  }
+
+  async getBatch(importId, batchId) {
+    const result = await this.pool.query(
+      `SELECT * FROM import_batches WHERE import_id = $1 AND id = $2`,
+      [importId, batchId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /** Records of a batch, newest first (undo order) */
+  async getBatchRecords(client, batchId) {
+    const result = await client.query(
+      `SELECT * FROM import_records WHERE batch_id = $1 ORDER BY id DESC`,
+      [batchId]
+    );
+    return result.rows;
+  }
+
+  async markBatchRolledBack(client, batchId, userId) {
+    await client.query(
+      `UPDATE import_batches SET status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP, rolled_back_by = $2
+       WHERE id = $1`,
+      [batchId, userId]
+    );
+  }
+
+  /** After a rollback: rolled_back when no committed batch is left, otherwise partially_rolled_back */
+  async refreshRollbackStatus(importId) {
+    const result = await this.pool.query(
+      `UPDATE import_jobs
+       SET status = CASE
+             WHEN EXISTS (SELECT 1 FROM import_batches WHERE import_id = $1 AND status = 'committed')
+             THEN 'partially_rolled_back'
+             ELSE 'rolled_back'
+           END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${RETURNING_COLUMNS}`,
+      [importId]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+ImportJob.IMPORT_STATUSES = IMPORT_STATUSES;
+
+module.exports = ImportJob;
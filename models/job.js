@@ -1,6 +1,9 @@
 // This is the updated Job model - models/job.js 
 const bcrypt = require('bcrypt');
 const { allocateRecordNumber, releaseRecordNumber, runMigrationIfNeeded } = require('../services/recordNumberService');
+const { runListQuery } = require('../utils/listQuery');
+const { emitRecordCreated, emitRecordUpdated, emitRecordDeleted } = require('../services/webhookService');
+const { auditRecordCreated, auditRecordUpdated, auditRecordDeleted } = require('../services/auditService');
 
 class Job {
     constructor(pool) {
@@ -313,6 +316,8 @@ class Job {
             await client.query('COMMIT');
 
             console.log("Created job:", result.rows[0]);
+            await auditRecordCreated(this.pool, 'job', result.rows[0]);
+            await emitRecordCreated(this.pool, 'job', result.rows[0]);
             return result.rows[0];
         } catch (error) {
             // Rollback transaction in case of error
@@ -355,6 +360,30 @@ class Job {
         }
     }
 
+    // Paged/sorted/filtered list (options come from utils/listQuery.parseListQuery)
+    async list(options, userId = null) {
+        const client = await this.pool.connect();
+        try {
+            const conditions = [];
+            const values = [];
+            if (userId) {
+                values.push(userId);
+                conditions.push(`j.created_by = $${values.length}`);
+            }
+
+            return await runListQuery(client, {
+                select: `j.*, u.name as created_by_name, o.name as organization_name`,
+                from: `jobs j
+                    LEFT JOIN users u ON j.created_by = u.id
+                    LEFT JOIN organizations o ON j.organization_id = o.id`,
+                conditions,
+                values,
+            }, options, Job.LIST_CONFIG);
+        } finally {
+            client.release();
+        }
+    }
+
     // Get job by ID, optionally checking created_by user
     async getById(id, userId = null) {
         const client = await this.pool.connect();
@@ -679,6 +708,8 @@ class Job {
             await client.query('COMMIT');
 
             console.log("Job updated successfully:", updatedJob);
+            await auditRecordUpdated(this.pool, 'job', oldState, updatedJob);
+            await emitRecordUpdated(this.pool, 'job', oldState, updatedJob);
             return updatedJob;
         } catch (error) {
             // Rollback transaction in case of error
@@ -743,6 +774,8 @@ class Job {
             // Commit transaction
             await client.query('COMMIT');
 
+            await auditRecordDeleted(this.pool, 'job', result.rows[0]);
+            await emitRecordDeleted(this.pool, 'job', result.rows[0]);
             return result.rows[0];
         } catch (error) {
             // Rollback transaction in case of error
@@ -878,4 +911,38 @@ class Job {
     }
 }
 
+// Sortable/filterable columns for Job.list()
+Job.LIST_CONFIG = {
+    alias: 'j',
+    columns: {
+        id: { expr: 'j.id', type: 'number' },
+        record_number: { expr: 'j.record_number', type: 'number' },
+        job_title: { expr: 'j.job_title', type: 'text' },
+        job_type: { expr: 'j.job_type', type: 'text' },
+        category: { expr: 'j.category', type: 'text' },
+        organization_id: { expr: 'j.organization_id', type: 'number' },
+        organization_name: { expr: 'o.name', type: 'text' },
+        hiring_manager: { expr: 'j.hiring_manager', type: 'text' },
+        status: { expr: 'j.status', type: 'text' },
+        priority: { expr: 'j.priority', type: 'text' },
+        employment_type: { expr: 'j.employment_type', type: 'text' },
+        start_date: { expr: 'j.start_date', type: 'date' },
+        worksite_location: { expr: 'j.worksite_location', type: 'text' },
+        remote_option: { expr: 'j.remote_option', type: 'text' },
+        salary_type: { expr: 'j.salary_type', type: 'text' },
+        min_salary: { expr: 'j.min_salary', type: 'number' },
+        max_salary: { expr: 'j.max_salary', type: 'number' },
+        job_board_status: { expr: 'j.job_board_status', type: 'text' },
+        owner: { expr: 'j.owner', type: 'text' },
+        date_added: { expr: 'j.date_added', type: 'date' },
+        created_by: { expr: 'j.created_by', type: 'number' },
+        created_by_name: { expr: 'u.name', type: 'text' },
+        created_at: { expr: 'j.created_at', type: 'timestamp' },
+        updated_at: { expr: 'j.updated_at', type: 'timestamp' },
+        archived_at: { expr: 'j.archived_at', type: 'timestamp' },
+    },
+    searchColumns: ['j.job_title', 'j.category', 'j.worksite_location', 'j.required_skills', 'o.name'],
+    defaultSort: [{ column: 'created_at', direction: 'desc' }],
+};
+
 module.exports = Job;
\ No newline at end of file
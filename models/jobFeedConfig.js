@@ -0,0 +1,121 @@
+// models/jobFeedConfig.js
+// Admin-configurable job XML feeds served at /api/jobs/xml/:feedName
+
+const FEED_FORMATS = ['indeed', 'ziprecruiter', 'google'];
+
+class JobFeedConfig {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async initTable() {
+    let client;
+    try {
+      client = await this.pool.connect();
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS job_feed_configs (
+          id SERIAL PRIMARY KEY,
+          feed_name VARCHAR(100) NOT NULL UNIQUE,
+          format VARCHAR(30) NOT NULL DEFAULT 'indeed',
+          publisher VARCHAR(255),
+          publisher_url TEXT,
+          job_url_template TEXT,
+          field_map JSONB NOT NULL DEFAULT '{}'::jsonb,
+          filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+          require_posting BOOLEAN NOT NULL DEFAULT false,
+          is_active BOOLEAN NOT NULL DEFAULT true,
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      return true;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  async getAll() {
+    const result = await this.pool.query(
+      `SELECT * FROM job_feed_configs ORDER BY feed_name`
+    );
+    return result.rows;
+  }
+
+  async getByName(feedName) {
+    const result = await this.pool.query(
+      `SELECT * FROM job_feed_configs WHERE LOWER(feed_name) = LOWER($1)`,
+      [feedName]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getById(id) {
+    const result = await this.pool.query(
+      `SELECT * FROM job_feed_configs WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  async create(data, userId = null) {
+    const result = await this.pool.query(
+      `INSERT INTO job_feed_configs
+         (feed_name, format, publisher, publisher_url, job_url_template, field_map, filters,
+          require_posting, is_active, created_by, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7::jsonb, $8, $9, $10, $10)
+       RETURNING *`,
+      [
+        data.feed_name,
+        data.format || 'indeed',
+        data.publisher || null,
+        data.publisher_url || null,
+        data.job_url_template || null,
+        JSON.stringify(data.field_map || {}),
+        JSON.stringify(data.filters || {}),
+        data.require_posting === true,
+        data.is_active !== false,
+        userId,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async update(id, data, userId = null) {
+    const allowed = ['feed_name', 'format', 'publisher', 'publisher_url', 'job_url_template', 'field_map', 'filters', 'require_posting', 'is_active'];
+    const sets = [];
+    const values = [];
+    for (const key of allowed) {
+      if (data[key] === undefined) continue;
+      const isJson = key === 'field_map' || key === 'filters';
+      values.push(isJson ? JSON.stringify(data[key] || {}) : data[key]);
+      sets.push(`${key} = $${values.length}${isJson ? '::jsonb' : ''}`);
+    }
+    if (sets.length === 0) return this.getById(id);
+
+    values.push(userId);
+    sets.push(`updated_by = $${values.length}`, 'updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+
+    const result = await this.pool.query(
+      `UPDATE job_feed_configs SET ${sets.join(', ')} WHERE id = $${values.length} RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  async delete(id) {
+    const result = await this.pool.query(
+      `DELETE FROM job_feed_configs WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+JobFeedConfig.FEED_FORMATS = FEED_FORMATS;
+
+module.exports = JobFeedConfig;
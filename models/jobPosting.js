@@ -0,0 +1,171 @@
+// models/jobPosting.js
+// One row per (job, distribution target): tracks what was posted where and drives jobs.job_board_status.
+
+const POSTING_STATUSES = ['pending', 'posted', 'failed', 'unposted', 'expired'];
+
+class JobPosting {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async initTable() {
+        let client;
+        try {
+            client = await this.pool.connect();
+
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS job_postings (
+                    id SERIAL PRIMARY KEY,
+                    job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+                    target VARCHAR(50) NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                    external_id VARCHAR(255),
+                    external_url TEXT,
+                    posted_at TIMESTAMP,
+                    expires_at TIMESTAMP,
+                    unposted_at TIMESTAMP,
+                    last_error TEXT,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (job_id, target)
+                )
+            `);
+
+            await client.query(`
+                CREATE INDEX IF NOT EXISTS idx_job_postings_target_status
+                ON job_postings(target, status)
+            `);
+
+            return true;
+        } finally {
+            if (client) client.release();
+        }
+    }
+
+    // Mark postings whose expiry has passed; keeps job_board_status honest without a cron
+    async expireDue(jobId = null) {
+        let client;
+        try {
+            client = await this.pool.connect();
+            const values = [];
+            let jobFilter = '';
+            if (jobId) {
+                values.push(jobId);
+                jobFilter = 'AND job_id = $1';
+            }
+            const result = await client.query(
+                `UPDATE job_postings
+                  SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+                  WHERE status = 'posted' AND expires_at IS NOT NULL AND expires_at <= NOW() ${jobFilter}
+                  RETURNING job_id`,
+                values
+            );
+            const jobIds = [...new Set(result.rows.map((r) => r.job_id))];
+            for (const id of jobIds) {
+                await this.syncJobBoardStatus(id, client);
+            }
+            return jobIds.length;
+        } finally {
+            if (client) client.release();
+        }
+    }
+
+    async getByJobId(jobId) {
+        await this.expireDue(jobId);
+        const result = await this.pool.query(
+            `SELECT * FROM job_postings WHERE job_id = $1 ORDER BY target`,
+            [jobId]
+        );
+        return result.rows;
+    }
+
+    async getByJobAndTarget(jobId, target) {
+        const result = await this.pool.query(
+            `SELECT * FROM job_postings WHERE job_id = $1 AND target = $2`,
+            [jobId, target]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Job ids currently live on a target (used by feed-style targets)
+    async getPostedJobIds(target) {
+        await this.expireDue();
+        const result = await this.pool.query(
+            `SELECT job_id FROM job_postings WHERE target = $1 AND status = 'posted' ORDER BY job_id`,
+            [target]
+        );
+        return result.rows.map((r) => r.job_id);
+    }
+
+    /**
+      * Insert or update the posting row for (jobId, target) and re-derive jobs.job_board_status.
+      * Only keys present in `fields` are written; `attempt: true` bumps the attempts counter.
+      */
+    async upsert(jobId, target, fields, userId = null) {
+        if (fields.status && !POSTING_STATUSES.includes(fields.status)) {
+            throw new Error(`Invalid job posting status: ${fields.status}`);
+        }
+
+        const columns = ['status', 'external_id', 'external_url', 'posted_at', 'expires_at', 'unposted_at', 'last_error'];
+        const provided = columns.filter((c) => fields[c] !== undefined);
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const insertCols = ['job_id', 'target', 'created_by', 'updated_by', 'attempts', ...provided];
+            const values = [jobId, target, userId, userId, fields.attempt ? 1 : 0, ...provided.map((c) => fields[c])];
+            const placeholders = insertCols.map((_, i) => `$${i + 1}`);
+            const updates = provided.map((c) => `${c} = EXCLUDED.${c}`);
+            updates.push('updated_by = EXCLUDED.updated_by', 'updated_at = CURRENT_TIMESTAMP');
+            if (fields.attempt) updates.push('attempts = job_postings.attempts + 1');
+
+            const result = await client.query(
+                `INSERT INTO job_postings (${insertCols.join(', ')})
+                  VALUES (${placeholders.join(', ')})
+                  ON CONFLICT (job_id, target) DO UPDATE SET ${updates.join(', ')}
+                  RETURNING *`,
+                values
+            );
+
+            await this.syncJobBoardStatus(jobId, client);
+            await client.query('COMMIT');
+            return result.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+      * job_board_status is derived from the postings:
+      * Posted (any live) > Posting Failed (any failed) > Expired (any expired) > Not Posted.
+      */
+    async syncJobBoardStatus(jobId, client = null) {
+        const db = client || this.pool;
+        const result = await db.query(
+            `UPDATE jobs SET job_board_status = (
+                  SELECT CASE
+                      WHEN COUNT(*) FILTER (WHERE status = 'posted') > 0 THEN 'Posted'
+                      WHEN COUNT(*) FILTER (WHERE status = 'failed') > 0 THEN 'Posting Failed'
+                      WHEN COUNT(*) FILTER (WHERE status = 'expired') > 0 THEN 'Expired'
+                      ELSE 'Not Posted'
+                  END
+                  FROM job_postings WHERE job_id = $1
+              )
+              WHERE id = $1
+              RETURNING job_board_status`,
+            [jobId]
+        );
+        return result.rows[0]?.job_board_status || null;
+    }
+}
+
+JobPosting.POSTING_STATUSES = POSTING_STATUSES;
+
+module.exports = JobPosting;
@@ -2,6 +2,9 @@
  * Job Seeker Applications - separate table for submissions (client_submissions, web_submissions, submissions).
  * Replaces storing applications in job_seekers.custom_fields.applications for scalability and reliable fetch.
  */
+const { emitWebhookEvent } = require("../services/webhookService");
+const { recordAudit } = require("../services/auditService");
+
 class JobSeekerApplication {
   constructor(pool) {
     this.pool = pool;
@@ -40,6 +43,29 @@ class JobSeekerApplication {
         CREATE INDEX IF NOT EXISTS idx_job_seeker_applications_job_id
         ON job_seeker_applications(job_id)
       `);
+
+      // Pipeline stage (models/pipelineStage.js); NULL on older rows means the pipeline's first stage
+      await client.query(`
+        ALTER TABLE job_seeker_applications ADD COLUMN IF NOT EXISTS stage VARCHAR(50)
+      `);
+      await client.query(`
+        ALTER TABLE job_seeker_applications ADD COLUMN IF NOT EXISTS stage_changed_at TIMESTAMP
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS application_stage_history (
+          id SERIAL PRIMARY KEY,
+          application_id INTEGER NOT NULL REFERENCES job_seeker_applications(id) ON DELETE CASCADE,
+          from_stage VARCHAR(50),
+          to_stage VARCHAR(50) NOT NULL,
+          reason TEXT,
+          changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_application_stage_history_application_id
+        ON application_stage_history(application_id, changed_at)
+      `);
     } finally {
       client.release();
     }
@@ -77,6 +103,8 @@ class JobSeekerApplication {
         created_at: row.created_at,
         notes: row.notes,
         submission_source: row.submission_source,
+        stage: row.stage,
+        stage_changed_at: row.stage_changed_at,
       }));
     } finally {
       client.release();
@@ -116,6 +144,8 @@ class JobSeekerApplication {
         created_at: row.created_at,
         notes: row.notes,
         submission_source: row.submission_source,
+        stage: row.stage,
+        stage_changed_at: row.stage_changed_at,
       }));
     } finally {
       client.release();
@@ -124,17 +154,20 @@ class JobSeekerApplication {
 
   /**
    * Create a new application. Returns the created row.
+   * data.stage (the pipeline's first stage) also records the initial stage history entry.
    */
   async create(data) {
     const client = await this.pool.connect();
     try {
+      await client.query("BEGIN");
       const result = await client.query(
         `
         INSERT INTO job_seeker_applications (
           job_seeker_id, type, job_id, job_title,
           organization_id, organization_name, client_id, client_name,
-          status, created_by, notes, submission_source
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          status, created_by, notes, submission_source,
+          stage, stage_changed_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13::text, CASE WHEN $13::text IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END)
         RETURNING *
         `,
         [
@@ -150,9 +183,20 @@ class JobSeekerApplication {
           data.created_by || null,
           data.notes || "",
           data.submission_source || "",
+          data.stage || null,
         ]
       );
       const row = result.rows[0];
+      if (row.stage) {
+        await client.query(
+          `INSERT INTO application_stage_history (application_id, from_stage, to_stage, changed_by, changed_at)
+           VALUES ($1, NULL, $2, $3, $4)`,
+          [row.id, row.stage, row.created_by, row.stage_changed_at]
+        );
+      }
+      await client.query("COMMIT");
+      await recordAudit(this.pool, { action: "create", entityType: "application", entityId: row.id, after: row });
+      await emitWebhookEvent(this.pool, "application.created", row);
       return {
         id: row.id,
         type: row.type,
@@ -167,12 +211,90 @@ class JobSeekerApplication {
         created_at: row.created_at,
         notes: row.notes,
         submission_source: row.submission_source,
+        stage: row.stage,
+        stage_changed_at: row.stage_changed_at,
       };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getById(applicationId, jobSeekerId) {
+    const result = await this.pool.query(
+      "SELECT * FROM job_seeker_applications WHERE id = $1 AND job_seeker_id = $2",
+      [applicationId, jobSeekerId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Move an application to another pipeline stage and record the change.
+   * Returns null when the application is gone or its stage changed concurrently (fromStage no longer matches).
+   */
+  async changeStage(applicationId, jobSeekerId, { fromStage, toStage, statusLabel, reason, userId }) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        `
+        UPDATE job_seeker_applications
+        SET stage = $1, status = $2, stage_changed_at = CURRENT_TIMESTAMP
+        WHERE id = $3 AND job_seeker_id = $4 AND COALESCE(stage, $5) IS NOT DISTINCT FROM $5
+        RETURNING *
+        `,
+        [toStage, statusLabel, applicationId, jobSeekerId, fromStage]
+      );
+      const application = result.rows[0];
+      if (!application) {
+        await client.query("ROLLBACK");
+        return null;
+      }
+      const history = await client.query(
+        `
+        INSERT INTO application_stage_history (application_id, from_stage, to_stage, reason, changed_by, changed_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+        `,
+        [applicationId, fromStage, toStage, reason || null, userId || null, application.stage_changed_at]
+      );
+      await client.query("COMMIT");
+      await recordAudit(this.pool, {
+        action: "update",
+        entityType: "application",
+        entityId: application.id,
+        after: application,
+        changes: { stage: { from: fromStage, to: toStage } },
+        metadata: reason ? { reason } : null,
+      });
+      await emitWebhookEvent(this.pool, "application.stage_changed", application, {
+        changes: { stage: { from: fromStage, to: toStage } },
+      });
+      return { application, history: history.rows[0] };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
     } finally {
       client.release();
     }
   }
 
+  async getStageHistory(applicationId) {
+    const result = await this.pool.query(
+      `
+      SELECT h.*, u.name AS changed_by_name
+      FROM application_stage_history h
+      LEFT JOIN users u ON h.changed_by = u.id
+      WHERE h.application_id = $1
+      ORDER BY h.changed_at ASC, h.id ASC
+      `,
+      [applicationId]
+    );
+    return result.rows;
+  }
+
   /**
    * Update application (e.g. status for "Schedule Interview").
    * Returns updated row or null if not found.
@@ -1,5 +1,8 @@
 const bcrypt = require('bcrypt');
 const { allocateRecordNumber, releaseRecordNumber, runMigrationIfNeeded } = require('../services/recordNumberService');
+const { runListQuery } = require('../utils/listQuery');
+const { emitRecordCreated, emitRecordUpdated, emitRecordDeleted } = require('../services/webhookService');
+const { auditRecordCreated, auditRecordUpdated, auditRecordDeleted } = require('../services/auditService');
 
 let jobSeekerTablesInitialized = false;
 
@@ -306,6 +309,8 @@ class JobSeeker {
             await client.query('COMMIT');
 
             console.log("Created job seeker:", result.rows[0]);
+            await auditRecordCreated(this.pool, 'job_seeker', result.rows[0]);
+            await emitRecordCreated(this.pool, 'job_seeker', result.rows[0]);
             return result.rows[0];
         } catch (error) {
             // Rollback transaction in case of error
@@ -362,6 +367,38 @@ class JobSeeker {
         }
     }
 
+    // Paged/sorted/filtered list (options come from utils/listQuery.parseListQuery)
+    // options.archived: same meaning as archivedFilter in getAll()
+    async list(options, userId = null) {
+        const client = await this.pool.connect();
+        try {
+            const conditions = [];
+            const values = [];
+            if (userId) {
+                values.push(userId);
+                conditions.push(`js.created_by = $${values.length}`);
+            }
+            if (options.archived === true) {
+                conditions.push(`(js.status = 'Archived' OR js.archived_at IS NOT NULL)`);
+            } else if (options.archived === false) {
+                conditions.push(`(js.status IS NULL OR js.status != 'Archived')`);
+                conditions.push(`js.archived_at IS NULL`);
+            }
+
+            return await runListQuery(client, {
+                select: `js.*, u.name as created_by_name,
+                    CONCAT(js.last_name, ', ', js.first_name) as full_name,
+                    js.date_added::text, js.last_contact_date::text`,
+                from: `job_seekers js
+                    LEFT JOIN users u ON js.created_by = u.id`,
+                conditions,
+                values,
+            }, options, JobSeeker.LIST_CONFIG);
+        } finally {
+            client.release();
+        }
+    }
+
     // Get job seeker by ID, optionally checking created_by user
     async getById(id, userId = null) {
         const client = await this.pool.connect();
@@ -575,6 +612,8 @@ class JobSeeker {
             await client.query('COMMIT');
 
             console.log("Job seeker updated successfully:", updatedJobSeeker);
+            await auditRecordUpdated(this.pool, 'job_seeker', oldState, updatedJobSeeker);
+            await emitRecordUpdated(this.pool, 'job_seeker', oldState, updatedJobSeeker);
             return updatedJobSeeker;
         } catch (error) {
             // Rollback transaction in case of error
@@ -640,6 +679,8 @@ class JobSeeker {
             // Commit transaction
             await client.query('COMMIT');
 
+            await auditRecordDeleted(this.pool, 'job_seeker', result.rows[0]);
+            await emitRecordDeleted(this.pool, 'job_seeker', result.rows[0]);
             return result.rows[0];
         } catch (error) {
             // Rollback transaction in case of error
@@ -924,4 +965,37 @@ class JobSeeker {
     }
 }
 
+// Sortable/filterable columns for JobSeeker.list()
+JobSeeker.LIST_CONFIG = {
+    alias: 'js',
+    columns: {
+        id: { expr: 'js.id', type: 'number' },
+        record_number: { expr: 'js.record_number', type: 'number' },
+        first_name: { expr: 'js.first_name', type: 'text' },
+        last_name: { expr: 'js.last_name', type: 'text' },
+        full_name: { expr: "CONCAT(js.last_name, ', ', js.first_name)", type: 'text' },
+        email: { expr: 'js.email', type: 'text' },
+        phone: { expr: 'js.phone', type: 'text' },
+        mobile_phone: { expr: 'js.mobile_phone', type: 'text' },
+        city: { expr: 'js.city', type: 'text' },
+        state: { expr: 'js.state', type: 'text' },
+        zip: { expr: 'js.zip', type: 'text' },
+        status: { expr: 'js.status', type: 'text' },
+        current_organization: { expr: 'js.current_organization', type: 'text' },
+        title: { expr: 'js.title', type: 'text' },
+        skills: { expr: 'js.skills', type: 'text' },
+        desired_salary: { expr: 'js.desired_salary', type: 'text' },
+        owner: { expr: 'js.owner', type: 'text' },
+        date_added: { expr: 'js.date_added', type: 'date' },
+        last_contact_date: { expr: 'js.last_contact_date', type: 'date' },
+        created_by: { expr: 'js.created_by', type: 'number' },
+        created_by_name: { expr: 'u.name', type: 'text' },
+        created_at: { expr: 'js.created_at', type: 'timestamp' },
+        updated_at: { expr: 'js.updated_at', type: 'timestamp' },
+        archived_at: { expr: 'js.archived_at', type: 'timestamp' },
+    },
+    searchColumns: ['js.first_name', 'js.last_name', 'js.email', 'js.phone', 'js.title', 'js.skills', 'js.current_organization'],
+    defaultSort: [{ column: 'created_at', direction: 'desc' }],
+};
+
 module.exports = JobSeeker;
\ No newline at end of file
@@ -27,6 +27,12 @@ class JobseekerPortalAccount {
         ALTER TABLE job_seeker_portal_accounts
         ADD COLUMN IF NOT EXISTS must_reset_password BOOLEAN NOT NULL DEFAULT true
       `);
+
+      // portal tokens issued before this are no longer accepted
+      await client.query(`
+        ALTER TABLE job_seeker_portal_accounts
+        ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP
+      `);
     } finally {
       client.release();
     }
@@ -43,6 +49,29 @@ class JobseekerPortalAccount {
     return rows[0] || null;
   }
 
+  async findById(id) {
+    const q = `
+      SELECT id, job_seeker_id, email, must_reset_password, password_changed_at
+      FROM job_seeker_portal_accounts
+      WHERE id = $1
+    `;
+    const { rows } = await this.pool.query(q, [id]);
+    return rows[0] || null;
+  }
+
+  // Account of a portal token; token_revoked when the password changed after the token was issued
+  async findForToken(id, issuedAtSeconds) {
+    const q = `
+      SELECT id, job_seeker_id, email, must_reset_password,
+             (password_changed_at IS NOT NULL
+              AND date_trunc('second', password_changed_at) > to_timestamp($2)::timestamp) AS token_revoked
+      FROM job_seeker_portal_accounts
+      WHERE id = $1
+    `;
+    const { rows } = await this.pool.query(q, [id, issuedAtSeconds || 0]);
+    return rows[0] || null;
+  }
+
   async findByJobSeekerId(job_seeker_id) {
     const q = `
       SELECT id, job_seeker_id, email, must_reset_password
@@ -82,6 +111,7 @@ class JobseekerPortalAccount {
       UPDATE job_seeker_portal_accounts
       SET password_hash=$1,
           must_reset_password=$2,
+          password_changed_at=CURRENT_TIMESTAMP,
           updated_at=CURRENT_TIMESTAMP
       WHERE job_seeker_id=$3
       RETURNING id, job_seeker_id, email, must_reset_password
@@ -0,0 +1,110 @@
+// models/jobseekerPortalPasswordReset.js
+// Job seeker portal forgot-password requests. Every request is recorded (also for unknown emails) so requests
+// can be rate limited per email and per IP; requests for an existing account carry a single-use reset token,
+// stored as a SHA-256 hash.
+
+class JobseekerPortalPasswordReset {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async initTable() {
+    const client = await this.pool.connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS job_seeker_portal_password_resets (
+          id SERIAL PRIMARY KEY,
+          portal_account_id INTEGER REFERENCES job_seeker_portal_accounts(id) ON DELETE CASCADE,
+          email VARCHAR(255) NOT NULL,
+          requested_ip VARCHAR(45),
+          token_hash CHAR(64) UNIQUE,
+          expires_at TIMESTAMP,
+          used_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_jsp_password_resets_email
+        ON job_seeker_portal_password_resets (LOWER(email), created_at)
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_jsp_password_resets_ip
+        ON job_seeker_portal_password_resets (requested_ip, created_at)
+      `);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Requests in the last windowMinutes for this email and from this IP
+  async countRecent({ email, ip, windowMinutes }) {
+    const q = `
+      SELECT
+        COUNT(*) FILTER (WHERE LOWER(email) = LOWER($1))::int AS email_count,
+        COUNT(*) FILTER (WHERE $2::text IS NOT NULL AND requested_ip = $2)::int AS ip_count
+      FROM job_seeker_portal_password_resets
+      WHERE created_at > NOW() - ($3 || ' minutes')::interval
+    `;
+    const { rows } = await this.pool.query(q, [email, ip || null, String(windowMinutes)]);
+    return rows[0];
+  }
+
+  // Request without a token (unknown email); only counts towards the rate limit
+  async recordRequest({ email, ip }) {
+    await this.pool.query(
+      `INSERT INTO job_seeker_portal_password_resets (email, requested_ip) VALUES ($1, $2)`,
+      [email, ip ? String(ip).slice(0, 45) : null]
+    );
+  }
+
+  // Request with a reset token; earlier unused tokens of the account stop working
+  async createToken({ portalAccountId, email, ip, tokenHash, expiresAt }) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `UPDATE job_seeker_portal_password_resets SET used_at = NOW()
+         WHERE portal_account_id = $1 AND token_hash IS NOT NULL AND used_at IS NULL`,
+        [portalAccountId]
+      );
+      await client.query(
+        `INSERT INTO job_seeker_portal_password_resets
+           (portal_account_id, email, requested_ip, token_hash, expires_at)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [portalAccountId, email, ip ? String(ip).slice(0, 45) : null, tokenHash, expiresAt]
+      );
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Unused, unexpired token with its account, without using it up
+  async findValid(tokenHash) {
+    const q = `
+      SELECT r.id, r.portal_account_id, a.job_seeker_id, a.email
+      FROM job_seeker_portal_password_resets r
+      JOIN job_seeker_portal_accounts a ON a.id = r.portal_account_id
+      WHERE r.token_hash = $1 AND r.used_at IS NULL AND r.expires_at > NOW()
+    `;
+    const { rows } = await this.pool.query(q, [tokenHash]);
+    return rows[0] || null;
+  }
+
+  // Use up a token (atomic, so it works once); returns the token row or null
+  async consume(tokenHash) {
+    const q = `
+      UPDATE job_seeker_portal_password_resets
+      SET used_at = NOW()
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING id, portal_account_id
+    `;
+    const { rows } = await this.pool.query(q, [tokenHash]);
+    return rows[0] || null;
+  }
+}
+
+module.exports = JobseekerPortalPasswordReset;
@@ -1,5 +1,8 @@
 const bcrypt = require('bcrypt');
 const { allocateRecordNumber, releaseRecordNumber } = require('../services/recordNumberService');
+const { runListQuery } = require('../utils/listQuery');
+const { emitRecordCreated, emitRecordUpdated, emitRecordDeleted } = require('../services/webhookService');
+const { auditRecordCreated, auditRecordUpdated, auditRecordDeleted } = require('../services/auditService');
 
 // Keys to exclude from history (internal relationship IDs - redundant with user-facing Job/Contact/Candidate fields)
 const HISTORY_EXCLUDED_CUSTOM_FIELD_PREFIXES = ['_relationship_'];
@@ -425,6 +428,8 @@ class Lead {
             await client.query('COMMIT');
 
             console.log("Created lead:", result.rows[0]);
+            await auditRecordCreated(this.pool, 'lead', result.rows[0]);
+            await emitRecordCreated(this.pool, 'lead', result.rows[0]);
             return result.rows[0];
         } catch (error) {
             await client.query('ROLLBACK');
@@ -466,6 +471,32 @@ class Lead {
         }
     }
 
+    // Paged/sorted/filtered list (options come from utils/listQuery.parseListQuery)
+    async list(options, userId = null) {
+        const client = await this.pool.connect();
+        try {
+            const conditions = [];
+            const values = [];
+            if (userId) {
+                values.push(userId);
+                conditions.push(`l.created_by = $${values.length}`);
+            }
+
+            return await runListQuery(client, {
+                select: `l.*, u.name as created_by_name,
+                    CONCAT(l.last_name, ', ', l.first_name) as full_name,
+                    o.name as organization_name_from_org`,
+                from: `leads l
+                    LEFT JOIN users u ON l.created_by = u.id
+                    LEFT JOIN organizations o ON l.organization_id = o.id`,
+                conditions,
+                values,
+            }, options, Lead.LIST_CONFIG);
+        } finally {
+            client.release();
+        }
+    }
+
     // Get lead by ID
     async getById(id, userId = null) {
         const client = await this.pool.connect();
@@ -741,6 +772,8 @@ class Lead {
             await client.query('COMMIT');
 
             console.log("Lead updated successfully:", updatedLead);
+            await auditRecordUpdated(this.pool, 'lead', oldState, updatedLead);
+            await emitRecordUpdated(this.pool, 'lead', oldState, updatedLead);
             return updatedLead;
         } catch (error) {
             await client.query('ROLLBACK');
@@ -801,6 +834,8 @@ class Lead {
 
             await client.query('COMMIT');
 
+            await auditRecordDeleted(this.pool, 'lead', result.rows[0]);
+            await emitRecordDeleted(this.pool, 'lead', result.rows[0]);
             return result.rows[0];
         } catch (error) {
             await client.query('ROLLBACK');
@@ -1037,7 +1072,8 @@ class Lead {
     }
 
     // Get lead statistics
-    async getStats(userId = null) {
+    // accessScope (services/recordAccessService.js buildAccessScope): count only leads the caller may read
+    async getStats(userId = null, accessScope = null) {
         const client = await this.pool.connect();
         try {
             let baseQuery = `
@@ -1048,14 +1084,20 @@ class Lead {
                     COUNT(CASE WHEN status = 'Contacted' THEN 1 END) as contacted_leads,
                     COUNT(CASE WHEN status = 'Converted' THEN 1 END) as converted_leads,
                     COUNT(CASE WHEN last_contact_date >= CURRENT_DATE - INTERVAL '30 days' THEN 1 END) as recent_contacts
-                FROM leads
+                FROM leads l
             `;
 
             const values = [];
+            const conditions = [];
 
             if (userId) {
-                baseQuery += ` WHERE created_by = $1`;
                 values.push(userId);
+                conditions.push(`l.created_by = $${values.length}`);
+            }
+            const accessCondition = accessScope ? accessScope('l', values) : null;
+            if (accessCondition) conditions.push(accessCondition);
+            if (conditions.length > 0) {
+                baseQuery += ` WHERE ${conditions.join(' AND ')}`;
             }
 
             const result = await client.query(baseQuery, values);
@@ -1068,4 +1110,38 @@ class Lead {
     }
 }
 
+// Sortable/filterable columns for Lead.list()
+Lead.LIST_CONFIG = {
+    alias: 'l',
+    columns: {
+        id: { expr: 'l.id', type: 'number' },
+        record_number: { expr: 'l.record_number', type: 'number' },
+        first_name: { expr: 'l.first_name', type: 'text' },
+        last_name: { expr: 'l.last_name', type: 'text' },
+        full_name: { expr: "CONCAT(l.last_name, ', ', l.first_name)", type: 'text' },
+        status: { expr: 'l.status', type: 'text' },
+        nickname: { expr: 'l.nickname', type: 'text' },
+        title: { expr: 'l.title', type: 'text' },
+        organization_id: { expr: 'l.organization_id', type: 'number' },
+        organization_name: { expr: 'COALESCE(o.name, l.organization_name)', type: 'text' },
+        department: { expr: 'l.department', type: 'text' },
+        owner: { expr: 'l.owner', type: 'text' },
+        email: { expr: 'l.email', type: 'text' },
+        phone: { expr: 'l.phone', type: 'text' },
+        mobile_phone: { expr: 'l.mobile_phone', type: 'text' },
+        city: { expr: 'l.city', type: 'text' },
+        state: { expr: 'l.state', type: 'text' },
+        zip_code: { expr: 'l.zip_code', type: 'text' },
+        date_added: { expr: 'l.date_added', type: 'date' },
+        last_contact_date: { expr: 'l.last_contact_date', type: 'date' },
+        created_by: { expr: 'l.created_by', type: 'number' },
+        created_by_name: { expr: 'u.name', type: 'text' },
+        created_at: { expr: 'l.created_at', type: 'timestamp' },
+        updated_at: { expr: 'l.updated_at', type: 'timestamp' },
+        archived_at: { expr: 'l.archived_at', type: 'timestamp' },
+    },
+    searchColumns: ['l.first_name', 'l.last_name', 'l.email', 'l.phone', 'l.title', 'o.name'],
+    defaultSort: [{ column: 'created_at', direction: 'desc' }],
+};
+
 module.exports = Lead;
\ No newline at end of file
@@ -0,0 +1,246 @@
+// models/loginAttempt.js
+// Login history of staff users and job seeker portal accounts (every attempt, successful or not) and the
+// lockouts created from it by services/loginProtectionService.js. Both live in Postgres so the limits hold
+// across serverless instances.
+
+const ACCOUNT_TYPES = ["staff", "portal"];
+const LOCK_SCOPES = ["account", "ip"];
+// Attempts refused before the password was checked; they do not count as further failures
+const BLOCKED_REASONS = ["locked", "throttled"];
+
+class LoginAttempt {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async initTable() {
+    const client = await this.pool.connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS login_attempts (
+          id BIGSERIAL PRIMARY KEY,
+          account_type VARCHAR(20) NOT NULL,
+          email VARCHAR(255) NOT NULL,
+          account_id INTEGER,
+          ip_address VARCHAR(45),
+          user_agent TEXT,
+          success BOOLEAN NOT NULL,
+          reason VARCHAR(50),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_login_attempts_email
+        ON login_attempts (account_type, email, created_at)
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_login_attempts_ip
+        ON login_attempts (account_type, ip_address, created_at)
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_login_attempts_account
+        ON login_attempts (account_type, account_id, created_at)
+      `);
+
+      // scope "account" locks an email, scope "ip" an IP address (lock_key)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS login_lockouts (
+          id SERIAL PRIMARY KEY,
+          account_type VARCHAR(20) NOT NULL,
+          scope VARCHAR(10) NOT NULL,
+          lock_key VARCHAR(255) NOT NULL,
+          failed_attempts INTEGER NOT NULL DEFAULT 0,
+          locked_until TIMESTAMP NOT NULL,
+          unlocked_at TIMESTAMP,
+          unlocked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_login_lockouts_key
+        ON login_lockouts (account_type, scope, lock_key, locked_until)
+      `);
+    } finally {
+      client.release();
+    }
+  }
+
+  async record({ accountType, email, accountId = null, ip = null, userAgent = null, success, reason = null }) {
+    await this.pool.query(
+      `INSERT INTO login_attempts (account_type, email, account_id, ip_address, user_agent, success, reason)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        accountType,
+        String(email).toLowerCase().slice(0, 255),
+        accountId,
+        ip ? String(ip).slice(0, 45) : null,
+        userAgent ? String(userAgent).slice(0, 1000) : null,
+        !!success,
+        reason,
+      ]
+    );
+  }
+
+  /**
+   * Failed password checks of an email within the window, counted since its last successful login,
+   * lockout or unlock, and the seconds since the latest of them.
+   * @returns {Promise<{ failures: number, seconds_since_last: number|null }>}
+   */
+  async accountFailures({ accountType, email, windowMinutes }) {
+    const q = `
+      SELECT COUNT(*)::int AS failures,
+             EXTRACT(EPOCH FROM (NOW() - MAX(a.created_at)))::float AS seconds_since_last
+      FROM login_attempts a
+      WHERE a.account_type = $1 AND a.email = $2 AND NOT a.success
+        AND (a.reason IS NULL OR a.reason <> ALL($4::text[]))
+        AND a.created_at > NOW() - ($3 || ' minutes')::interval
+        AND a.created_at > COALESCE(GREATEST(
+          (SELECT MAX(s.created_at) FROM login_attempts s
+           WHERE s.account_type = $1 AND s.email = $2 AND s.success),
+          (SELECT MAX(GREATEST(l.created_at, l.unlocked_at)) FROM login_lockouts l
+           WHERE l.account_type = $1 AND l.scope = 'account' AND l.lock_key = $2)
+        ), '-infinity'::timestamp)
+    `;
+    const { rows } = await this.pool.query(q, [
+      accountType,
+      String(email).toLowerCase(),
+      String(windowMinutes),
+      BLOCKED_REASONS,
+    ]);
+    return rows[0];
+  }
+
+  /**
+   * Failed password checks from an IP within the window (since its last lockout or unlock) and the number of
+   * different emails they were for.
+   * @returns {Promise<{ failures: number, emails: number }>}
+   */
+  async ipFailures({ accountType, ip, windowMinutes }) {
+    if (!ip) return { failures: 0, emails: 0 };
+    const q = `
+      SELECT COUNT(*)::int AS failures, COUNT(DISTINCT a.email)::int AS emails
+      FROM login_attempts a
+      WHERE a.account_type = $1 AND a.ip_address = $2 AND NOT a.success
+        AND (a.reason IS NULL OR a.reason <> ALL($4::text[]))
+        AND a.created_at > NOW() - ($3 || ' minutes')::interval
+        AND a.created_at > COALESCE(
+          (SELECT MAX(GREATEST(l.created_at, l.unlocked_at)) FROM login_lockouts l
+           WHERE l.account_type = $1 AND l.scope = 'ip' AND l.lock_key = $2),
+          '-infinity'::timestamp)
+    `;
+    const { rows } = await this.pool.query(q, [accountType, String(ip).slice(0, 45), String(windowMinutes), BLOCKED_REASONS]);
+    return rows[0];
+  }
+
+  // Active lockout of the email or the IP (the one that ends last), with the seconds it has left
+  async activeLockout({ accountType, email, ip }) {
+    const q = `
+      SELECT *, CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS seconds_left
+      FROM login_lockouts
+      WHERE account_type = $1 AND unlocked_at IS NULL AND locked_until > NOW()
+        AND ((scope = 'account' AND lock_key = $2) OR ($3::text IS NOT NULL AND scope = 'ip' AND lock_key = $3))
+      ORDER BY locked_until DESC
+      LIMIT 1
+    `;
+    const { rows } = await this.pool.query(q, [accountType, String(email).toLowerCase(), ip ? String(ip).slice(0, 45) : null]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Lock an email or IP for the given minutes. Nothing happens when it is already locked, so concurrent
+   * failures create (and alert about) one lockout.
+   * @returns {Promise<Object|null>} the new lockout
+   */
+  async lock({ accountType, scope, key, failedAttempts, minutes }) {
+    const q = `
+      INSERT INTO login_lockouts (account_type, scope, lock_key, failed_attempts, locked_until)
+      SELECT $1, $2, $3, $4, NOW() + ($5 || ' minutes')::interval
+      WHERE NOT EXISTS (
+        SELECT 1 FROM login_lockouts
+        WHERE account_type = $1 AND scope = $2 AND lock_key = $3
+          AND unlocked_at IS NULL AND locked_until > NOW()
+      )
+      RETURNING *
+    `;
+    const { rows } = await this.pool.query(q, [accountType, scope, key, failedAttempts, String(minutes)]);
+    return rows[0] || null;
+  }
+
+  // Active lockouts, newest first
+  async getActiveLockouts({ accountType = null } = {}) {
+    const q = `
+      SELECT l.*, u.name AS unlocked_by_name
+      FROM login_lockouts l
+      LEFT JOIN users u ON u.id = l.unlocked_by
+      WHERE l.unlocked_at IS NULL AND l.locked_until > NOW()
+        AND ($1::text IS NULL OR l.account_type = $1)
+      ORDER BY l.created_at DESC
+    `;
+    const { rows } = await this.pool.query(q, [accountType]);
+    return rows;
+  }
+
+  // End a lockout early; null when it does not exist or is no longer active
+  async unlock(id, unlockedBy = null) {
+    const q = `
+      UPDATE login_lockouts
+      SET unlocked_at = NOW(), unlocked_by = $2
+      WHERE id = $1 AND unlocked_at IS NULL AND locked_until > NOW()
+      RETURNING *
+    `;
+    const { rows } = await this.pool.query(q, [id, unlockedBy]);
+    return rows[0] || null;
+  }
+
+  // End the active lockouts of an email or IP; returns the lockouts that were ended
+  async unlockKey({ accountType, scope, key }, unlockedBy = null) {
+    const q = `
+      UPDATE login_lockouts
+      SET unlocked_at = NOW(), unlocked_by = $4
+      WHERE account_type = $1 AND scope = $2 AND lock_key = $3
+        AND unlocked_at IS NULL AND locked_until > NOW()
+      RETURNING *
+    `;
+    const { rows } = await this.pool.query(q, [accountType, scope, key, unlockedBy]);
+    return rows;
+  }
+
+  /**
+   * Login history, newest first.
+   * @param {{ accountType?: string, accountId?: number, email?: string, ip?: string, success?: boolean,
+   *   from?: Date, to?: Date }} filters
+   * @returns {Promise<{ attempts: Object[], total: number }>}
+   */
+  async search(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace("?", `$${params.length}`));
+    };
+
+    if (filters.accountType) add("account_type = ?", filters.accountType);
+    if (filters.accountId) add("account_id = ?", filters.accountId);
+    if (filters.email) add("email = ?", String(filters.email).toLowerCase());
+    if (filters.ip) add("ip_address = ?", filters.ip);
+    if (typeof filters.success === "boolean") add("success = ?", filters.success);
+    if (filters.from) add("created_at >= ?", filters.from);
+    if (filters.to) add("created_at <= ?", filters.to);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const count = await this.pool.query(`SELECT COUNT(*)::int AS total FROM login_attempts ${where}`, params);
+    const { rows } = await this.pool.query(
+      `SELECT * FROM login_attempts ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return { attempts: rows, total: count.rows[0].total };
+  }
+}
+
+LoginAttempt.ACCOUNT_TYPES = ACCOUNT_TYPES;
+LoginAttempt.LOCK_SCOPES = LOCK_SCOPES;
+LoginAttempt.BLOCKED_REASONS = BLOCKED_REASONS;
+
+module.exports = LoginAttempt;
@@ -49,6 +49,29 @@ class Onboarding {
           ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP NULL
         `);
 
+        // Values the candidate entered in the portal (draft or submitted) and the completed PDF
+        await client.query(`
+          ALTER TABLE onboarding_send_items
+          ADD COLUMN IF NOT EXISTS field_values JSONB NOT NULL DEFAULT '{}'::jsonb,
+          ADD COLUMN IF NOT EXISTS draft_saved_at TIMESTAMP NULL,
+          ADD COLUMN IF NOT EXISTS completed_document_id INTEGER
+        `);
+
+        // When the candidate first opened the document in the portal (signing certificate)
+        await client.query(`
+          ALTER TABLE onboarding_send_items
+          ADD COLUMN IF NOT EXISTS first_viewed_at TIMESTAMP NULL
+        `);
+
+        // Review of items whose template has approval_required (PENDING_REVIEW -> COMPLETED or REJECTED)
+        await client.query(`
+          ALTER TABLE onboarding_send_items
+          ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP NULL,
+          ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP NULL,
+          ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          ADD COLUMN IF NOT EXISTS rejection_reason TEXT
+        `);
+
 
       // 3) portal accounts table (job seeker login)
       await client.query(`
@@ -69,7 +92,54 @@ class Onboarding {
 `);
 
 
+      // 4) values written back to job seekers from submitted documents (data_flow_back mappings)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS job_seeker_flow_back_changes (
+          id SERIAL PRIMARY KEY,
+          job_seeker_id INTEGER NOT NULL REFERENCES job_seekers(id) ON DELETE CASCADE,
+          onboarding_send_item_id INTEGER NOT NULL REFERENCES onboarding_send_items(id) ON DELETE CASCADE,
+          mapping_id INTEGER,
+          field_name VARCHAR(255),
+          field_label VARCHAR(255),
+          target_type VARCHAR(20) NOT NULL,
+          target_key VARCHAR(255) NOT NULL,
+          previous_value JSONB,
+          submitted_value JSONB,
+          status VARCHAR(20) NOT NULL,
+          conflict JSONB,
+          resolved_by INTEGER REFERENCES users(id),
+          resolved_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // 5) extra files the candidate uploads for items whose template has additional_docs_required
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS onboarding_item_uploads (
+          id SERIAL PRIMARY KEY,
+          onboarding_send_item_id INTEGER NOT NULL REFERENCES onboarding_send_items(id) ON DELETE CASCADE,
+          job_seeker_id INTEGER NOT NULL REFERENCES job_seekers(id) ON DELETE CASCADE,
+          document_id INTEGER,
+          label VARCHAR(255),
+          file_name VARCHAR(255),
+          file_url TEXT NOT NULL,
+          mime_type VARCHAR(100),
+          file_size INTEGER,
+          uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
       // indexes
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_onboarding_item_uploads_item
+        ON onboarding_item_uploads(onboarding_send_item_id)
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_job_seeker_flow_back_changes_job_seeker
+        ON job_seeker_flow_back_changes(job_seeker_id, status)
+      `);
+
       await client.query(`
         CREATE INDEX IF NOT EXISTS idx_onboarding_sends_job_seeker
         ON onboarding_sends(job_seeker_id)
@@ -268,6 +338,13 @@ async listForJobSeeker(job_seeker_id) {
         osi.status,
         osi.sent_at,
         osi.completed_at,
+        osi.draft_saved_at,
+        osi.completed_document_id,
+        osi.submitted_at,
+        osi.reviewed_at,
+        osi.rejection_reason,
+        td.approval_required,
+        td.additional_docs_required,
         td.file_url, -- Fetch the file_url from the template_documents table
         td.file_name, -- Optionally, you can also fetch file_name if needed
         td.mime_type, -- Fetch mime type, useful for rendering
@@ -297,6 +374,323 @@ async listForJobSeeker(job_seeker_id) {
     client.release(); // Always release the client after the query
   }
 }
+  // Send item of the job seeker with its send and template, or null
+  async getItemForJobSeeker(job_seeker_id, item_id, client = null) {
+    const db = client || this.pool;
+    const r = await db.query(
+      `
+      SELECT
+        osi.*,
+        os.job_seeker_id,
+        os.created_by AS sent_by,
+        os.recipient_email,
+        td.document_name,
+        td.category,
+        td.file_url,
+        td.approval_required,
+        td.additional_docs_required
+      FROM onboarding_send_items osi
+      JOIN onboarding_sends os ON os.id = osi.onboarding_send_id
+      JOIN template_documents td ON td.id = osi.template_document_id
+      WHERE osi.id = $1 AND os.job_seeker_id = $2
+      ${client ? "FOR UPDATE OF osi" : ""}
+      `,
+      [Number(item_id), Number(job_seeker_id)]
+    );
+    return r.rows[0] || null;
+  }
+
+  // Note the first time the candidate opens the item
+  async markViewed(item_id) {
+    const r = await this.pool.query(
+      `
+      UPDATE onboarding_send_items
+      SET first_viewed_at = COALESCE(first_viewed_at, NOW())
+      WHERE id = $1
+      RETURNING first_viewed_at
+      `,
+      [Number(item_id)]
+    );
+    return r.rows[0]?.first_viewed_at || null;
+  }
+
+  // Save the candidate's values without submitting; only while the item is open
+  async saveDraft(item_id, field_values) {
+    const r = await this.pool.query(
+      `
+      UPDATE onboarding_send_items
+      SET field_values = $2::jsonb,
+          draft_saved_at = NOW(),
+          status = $3
+      WHERE id = $1 AND status = ANY($4::text[])
+      RETURNING *
+      `,
+      [Number(item_id), JSON.stringify(field_values), Onboarding.ITEM_STATUS.IN_PROGRESS, Onboarding.OPEN_ITEM_STATUSES]
+    );
+    return r.rows[0] || null;
+  }
+
+  // Store a submission: COMPLETED, or PENDING_REVIEW when the template needs approval
+  // (client holds the row lock from getItemForJobSeeker)
+  async submitItem(client, item_id, { field_values, completed_document_id, status }) {
+    const r = await client.query(
+      `
+      UPDATE onboarding_send_items
+      SET field_values = $2::jsonb,
+          completed_document_id = $3,
+          status = $4,
+          submitted_at = NOW(),
+          rejection_reason = NULL,
+          completed_at = CASE WHEN $5 THEN NOW() ELSE NULL END
+      WHERE id = $1
+      RETURNING *
+      `,
+      [
+        Number(item_id),
+        JSON.stringify(field_values),
+        completed_document_id,
+        status,
+        status === Onboarding.ITEM_STATUS.COMPLETED,
+      ]
+    );
+    return r.rows[0] || null;
+  }
+
+  // Approve (COMPLETED) or reject (REJECTED, reopened in the portal) an item in review
+  async reviewItem(client, item_id, { status, reviewed_by, rejection_reason = null }) {
+    const r = await client.query(
+      `
+      UPDATE onboarding_send_items
+      SET status = $2,
+          reviewed_at = NOW(),
+          reviewed_by = $3,
+          rejection_reason = $4,
+          completed_at = CASE WHEN $5 THEN NOW() ELSE NULL END
+      WHERE id = $1
+      RETURNING *
+      `,
+      [
+        Number(item_id),
+        status,
+        reviewed_by || null,
+        rejection_reason,
+        status === Onboarding.ITEM_STATUS.COMPLETED,
+      ]
+    );
+    return r.rows[0] || null;
+  }
+
+  // client: insert as part of the caller's open transaction
+  async addUpload({ onboarding_send_item_id, job_seeker_id, document_id, label, file_name, file_url, mime_type, file_size }, client = null) {
+    const db = client || this.pool;
+    const r = await db.query(
+      `
+      INSERT INTO onboarding_item_uploads (
+        onboarding_send_item_id, job_seeker_id, document_id, label, file_name, file_url, mime_type, file_size
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+      `,
+      [
+        Number(onboarding_send_item_id),
+        Number(job_seeker_id),
+        document_id || null,
+        label || null,
+        file_name || null,
+        file_url,
+        mime_type || null,
+        file_size || null,
+      ]
+    );
+    return r.rows[0];
+  }
+
+  // Uploads of the given items, oldest first
+  async listUploads(item_ids, client = null) {
+    if (!item_ids.length) return [];
+    const db = client || this.pool;
+    const r = await db.query(
+      `
+      SELECT * FROM onboarding_item_uploads
+      WHERE onboarding_send_item_id = ANY($1::int[])
+      ORDER BY uploaded_at, id
+      `,
+      [item_ids.map(Number)]
+    );
+    return r.rows;
+  }
+
+  async deleteUpload(item_id, upload_id, client = null) {
+    const db = client || this.pool;
+    const r = await db.query(
+      `DELETE FROM onboarding_item_uploads WHERE id = $1 AND onboarding_send_item_id = $2 RETURNING *`,
+      [Number(upload_id), Number(item_id)]
+    );
+    return r.rows[0] || null;
+  }
+
+  /**
+   * Onboarding state of every item sent to the job seeker, newest first: review, signature, uploads and
+   * pending flow-back changes.
+   */
+  async getItemsForJobSeeker(job_seeker_id) {
+    const r = await this.pool.query(
+      `
+      SELECT
+        osi.id,
+        osi.onboarding_send_id,
+        osi.template_document_id,
+        td.document_name,
+        td.category,
+        td.approval_required,
+        td.additional_docs_required,
+        osi.status,
+        osi.sent_at,
+        osi.first_viewed_at,
+        osi.draft_saved_at,
+        osi.submitted_at,
+        osi.completed_at,
+        osi.reviewed_at,
+        osi.reviewed_by,
+        ru.name AS reviewed_by_name,
+        osi.rejection_reason,
+        osi.completed_document_id,
+        d.file_path AS completed_document_url,
+        os.recipient_email,
+        os.created_by AS sent_by,
+        su.name AS sent_by_name,
+        (
+          SELECT json_build_object(
+            'id', ds.id,
+            'signed_at', ds.signed_at,
+            'document_sha256', ds.document_sha256,
+            'last_verified_at', ds.last_verified_at,
+            'last_verified_valid', ds.last_verified_valid
+          )
+          FROM document_signatures ds
+          WHERE ds.onboarding_send_item_id = osi.id
+          ORDER BY ds.signed_at DESC, ds.id DESC
+          LIMIT 1
+        ) AS signature,
+        (
+          SELECT COUNT(*)::int FROM job_seeker_flow_back_changes c
+          WHERE c.onboarding_send_item_id = osi.id AND c.status = $2
+        ) AS pending_flow_back
+      FROM onboarding_sends os
+      JOIN onboarding_send_items osi ON osi.onboarding_send_id = os.id
+      JOIN template_documents td ON td.id = osi.template_document_id
+      LEFT JOIN documents d ON d.id = osi.completed_document_id
+      LEFT JOIN users ru ON ru.id = osi.reviewed_by
+      LEFT JOIN users su ON su.id = os.created_by
+      WHERE os.job_seeker_id = $1
+      ORDER BY osi.sent_at DESC, osi.id DESC
+      `,
+      [Number(job_seeker_id), Onboarding.FLOW_BACK_STATUS.PENDING]
+    );
+    return r.rows;
+  }
+
+  // Active users to tell about a completed item: the sender and the template's notification users
+  async getCompletionRecipients(item) {
+    const r = await this.pool.query(
+      `
+      SELECT DISTINCT u.id, u.name, u.email
+      FROM users u
+      WHERE u.status = TRUE
+        AND (
+          u.id = $1
+          OR u.id IN (SELECT user_id FROM template_document_notifications WHERE template_document_id = $2)
+        )
+      `,
+      [item.sent_by || null, Number(item.template_document_id)]
+    );
+    return r.rows;
+  }
+
+  // Record flow-back changes of a submitted item (rows: see job_seeker_flow_back_changes)
+  async createFlowBackChanges(client, rows) {
+    const created = [];
+    for (const row of rows) {
+      const r = await client.query(
+        `
+        INSERT INTO job_seeker_flow_back_changes (
+          job_seeker_id, onboarding_send_item_id, mapping_id, field_name, field_label,
+          target_type, target_key, previous_value, submitted_value, status, conflict
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9::jsonb, $10, $11::jsonb)
+        RETURNING *
+        `,
+        [
+          Number(row.job_seeker_id),
+          Number(row.onboarding_send_item_id),
+          row.mapping_id || null,
+          row.field_name || null,
+          row.field_label || null,
+          row.target_type,
+          row.target_key,
+          JSON.stringify(row.previous_value ?? null),
+          JSON.stringify(row.submitted_value ?? null),
+          row.status,
+          row.conflict ? JSON.stringify(row.conflict) : null,
+        ]
+      );
+      created.push(r.rows[0]);
+    }
+    return created;
+  }
+
+  // Flow-back changes of a job seeker, newest first; status filters (e.g. PENDING)
+  async listFlowBackChanges(job_seeker_id, { status = null } = {}) {
+    const r = await this.pool.query(
+      `
+      SELECT
+        c.*,
+        td.document_name,
+        osi.completed_at AS submitted_at,
+        u.name AS resolved_by_name,
+        cu.name AS conflict_changed_by_name
+      FROM job_seeker_flow_back_changes c
+      JOIN onboarding_send_items osi ON osi.id = c.onboarding_send_item_id
+      JOIN template_documents td ON td.id = osi.template_document_id
+      LEFT JOIN users u ON u.id = c.resolved_by
+      LEFT JOIN users cu ON cu.id = NULLIF(c.conflict->>'changed_by', '')::int
+      WHERE c.job_seeker_id = $1 AND ($2::text IS NULL OR c.status = $2)
+      ORDER BY c.created_at DESC, c.id
+      `,
+      [Number(job_seeker_id), status]
+    );
+    return r.rows;
+  }
+
+  // One flow-back change of the job seeker, locked for resolving
+  async getFlowBackChangeForUpdate(client, job_seeker_id, change_id) {
+    const r = await client.query(
+      `
+      SELECT c.*, td.document_name
+      FROM job_seeker_flow_back_changes c
+      JOIN onboarding_send_items osi ON osi.id = c.onboarding_send_item_id
+      JOIN template_documents td ON td.id = osi.template_document_id
+      WHERE c.id = $1 AND c.job_seeker_id = $2
+      FOR UPDATE OF c
+      `,
+      [Number(change_id), Number(job_seeker_id)]
+    );
+    return r.rows[0] || null;
+  }
+
+  async resolveFlowBackChange(client, change_id, { status, resolved_by }) {
+    const r = await client.query(
+      `
+      UPDATE job_seeker_flow_back_changes
+      SET status = $2, resolved_by = $3, resolved_at = NOW()
+      WHERE id = $1
+      RETURNING *
+      `,
+      [Number(change_id), status, resolved_by || null]
+    );
+    return r.rows[0] || null;
+  }
+
 async getJobseekerData(job_seeker_id, template_document_id) {
   const client = await this.pool.connect();
   try {
@@ -362,4 +756,26 @@ async getJobseekerProfile(job_seeker_id) {
 
 }
 
+// onboarding_send_items.status
+Onboarding.ITEM_STATUS = {
+  SENT: "SENT",
+  IN_PROGRESS: "IN_PROGRESS",
+  PENDING_REVIEW: "PENDING_REVIEW",
+  REJECTED: "REJECTED",
+  COMPLETED: "COMPLETED",
+};
+// Statuses in which the candidate can still edit and submit the document (a rejected item is reopened)
+Onboarding.OPEN_ITEM_STATUSES = [
+  Onboarding.ITEM_STATUS.SENT,
+  Onboarding.ITEM_STATUS.IN_PROGRESS,
+  Onboarding.ITEM_STATUS.REJECTED,
+];
+// Flow-back changes: APPLIED right away, or PENDING (conflicts with a recruiter edit) until CONFIRMED or REJECTED
+Onboarding.FLOW_BACK_STATUS = {
+  APPLIED: "APPLIED",
+  PENDING: "PENDING",
+  CONFIRMED: "CONFIRMED",
+  REJECTED: "REJECTED",
+};
+
 module.exports = Onboarding;
@@ -1,6 +1,9 @@
 // COMPLETE FIXED models/organization.js file
 const bcrypt = require('bcrypt');
 const { allocateRecordNumber, releaseRecordNumber, runMigrationIfNeeded } = require('../services/recordNumberService');
+const { runListQuery } = require('../utils/listQuery');
+const { emitRecordCreated, emitRecordUpdated, emitRecordDeleted } = require('../services/webhookService');
+const { auditRecordCreated, auditRecordUpdated, auditRecordDeleted, recordAudit } = require('../services/auditService');
 
 class Organization {
     constructor(pool) {
@@ -325,6 +328,8 @@ class Organization {
             }
             console.log("=== END FINAL RETURN ===");
 
+            await auditRecordCreated(this.pool, 'organization', returnedOrg);
+            await emitRecordCreated(this.pool, 'organization', returnedOrg);
             return returnedOrg;
         } catch (error) {
             // Rollback transaction in case of error
@@ -367,6 +372,29 @@ class Organization {
         }
     }
 
+    // Paged/sorted/filtered list (options come from utils/listQuery.parseListQuery)
+    async list(options, userId = null) {
+        const client = await this.pool.connect();
+        try {
+            const conditions = [];
+            const values = [];
+            if (userId) {
+                values.push(userId);
+                conditions.push(`o.created_by = $${values.length}`);
+            }
+
+            return await runListQuery(client, {
+                select: `o.*, u.name as created_by_name`,
+                from: `organizations o
+                    LEFT JOIN users u ON o.created_by = u.id`,
+                conditions,
+                values,
+            }, options, Organization.LIST_CONFIG);
+        } finally {
+            client.release();
+        }
+    }
+
     // Get organization by ID, optionally checking created_by user
     async getById(id, userId = null) {
         const client = await this.pool.connect();
@@ -713,6 +741,8 @@ class Organization {
             console.log(`✅ Transaction committed successfully`);
 
             console.log(`=== ORGANIZATION MODEL UPDATE END (SUCCESS) ===\n`);
+            await auditRecordUpdated(this.pool, 'organization', oldState, updatedOrganization);
+            await emitRecordUpdated(this.pool, 'organization', oldState, updatedOrganization);
             return updatedOrganization;
             return updatedOrganization;
         } catch (error) {
@@ -1158,6 +1188,8 @@ class Organization {
             // Commit transaction
             await client.query('COMMIT');
 
+            await auditRecordDeleted(this.pool, 'organization', result.rows[0]);
+            await emitRecordDeleted(this.pool, 'organization', result.rows[0]);
             return result.rows[0];
         } catch (error) {
             // Rollback transaction in case of error
@@ -1186,27 +1218,29 @@ class Organization {
             const orgIdStr = String(orgId);
 
             // 1. Archive Hiring Managers
-            await client.query(`
+            const archivedHiringManagers = await client.query(`
                 UPDATE hiring_managers 
                 SET status = 'Archived', 
                     archived_at = $2, 
                     archive_reason = $3, 
                     updated_at = $2
                 WHERE organization_id = $1 AND status != 'Archived'
+                RETURNING id
             `, [orgId, timestamp, archiveReason]);
 
             // 2. Archive Jobs
-            await client.query(`
+            const archivedJobs = await client.query(`
                 UPDATE jobs 
                 SET status = 'Archived', 
                     archived_at = $2, 
                     archive_reason = $3, 
                     updated_at = $2
                 WHERE organization_id = $1 AND status != 'Archived'
+                RETURNING id
             `, [orgId, timestamp, archiveReason]);
 
             // 3. Archive Placements (linked via jobs of this org)
-            await client.query(`
+            const archivedPlacements = await client.query(`
                 UPDATE placements p
                 SET status = 'Archived', 
                     archived_at = $2, 
@@ -1214,18 +1248,20 @@ class Organization {
                     updated_at = $2
                 FROM jobs j
                 WHERE p.job_id = j.id AND j.organization_id = $1 AND p.status != 'Archived'
+                RETURNING p.id
             `, [orgId, timestamp, archiveReason]);
 
             // 4. Archive Child Organizations
             // parent_organization is VARCHAR(255), so compare as text
             // id column is INTEGER, so compare as integer
-            await client.query(`
+            const archivedChildOrganizations = await client.query(`
                 UPDATE organizations 
                 SET status = 'Archived', 
                     archived_at = $2, 
                     archive_reason = $3, 
                     updated_at = $2
                 WHERE parent_organization = $4 AND status != 'Archived' AND id != $1
+                RETURNING id
             `, [orgId, timestamp, archiveReason, orgIdStr]);
 
             // 5. Archive the Organization itself
@@ -1246,6 +1282,25 @@ class Organization {
             `, [orgId, userId, JSON.stringify({ reason: archiveReason, original_record: result.rows[0] })]);
 
             await client.query('COMMIT');
+
+            // One audit entry per linked record archived with the organization (the organization's own entry
+            // is written by the delete request approval)
+            const cascaded = [
+                ['hiring_manager', archivedHiringManagers.rows],
+                ['job', archivedJobs.rows],
+                ['placement', archivedPlacements.rows],
+                ['organization', archivedChildOrganizations.rows],
+            ];
+            for (const [entityType, rows] of cascaded) {
+                for (const row of rows) {
+                    await recordAudit(this.pool, {
+                        action: 'archive',
+                        entityType,
+                        entityId: row.id,
+                        metadata: { reason: archiveReason, cascade_from: { entity_type: 'organization', entity_id: orgId } },
+                    });
+                }
+            }
             return result.rows[0];
         } catch (error) {
             try {
@@ -1262,4 +1317,34 @@ class Organization {
     }
 }
 
+// Sortable/filterable columns for Organization.list()
+Organization.LIST_CONFIG = {
+    alias: 'o',
+    columns: {
+        id: { expr: 'o.id', type: 'number' },
+        record_number: { expr: 'o.record_number', type: 'number' },
+        name: { expr: 'o.name', type: 'text' },
+        nicknames: { expr: 'o.nicknames', type: 'text' },
+        parent_organization: { expr: 'o.parent_organization', type: 'text' },
+        website: { expr: 'o.website', type: 'text' },
+        status: { expr: 'o.status', type: 'text' },
+        contract_on_file: { expr: 'o.contract_on_file', type: 'text' },
+        date_contract_signed: { expr: 'o.date_contract_signed', type: 'date' },
+        year_founded: { expr: 'o.year_founded', type: 'text' },
+        num_employees: { expr: 'o.num_employees', type: 'number' },
+        num_offices: { expr: 'o.num_offices', type: 'number' },
+        contact_phone: { expr: 'o.contact_phone', type: 'text' },
+        city: { expr: 'o.city', type: 'text' },
+        state: { expr: 'o.state', type: 'text' },
+        zip_code: { expr: 'o.zip_code', type: 'text' },
+        created_by: { expr: 'o.created_by', type: 'number' },
+        created_by_name: { expr: 'u.name', type: 'text' },
+        created_at: { expr: 'o.created_at', type: 'timestamp' },
+        updated_at: { expr: 'o.updated_at', type: 'timestamp' },
+        archived_at: { expr: 'o.archived_at', type: 'timestamp' },
+    },
+    searchColumns: ['o.name', 'o.nicknames', 'o.website', 'o.contact_phone', 'o.city', 'o.state'],
+    defaultSort: [{ column: 'created_at', direction: 'desc' }],
+};
+
 module.exports = Organization;
\ No newline at end of file
@@ -0,0 +1,166 @@
+// models/pipelineStage.js
+// Admin-configurable application pipeline stages. Rows with job_type NULL are the default pipeline;
+// a job type with its own rows (matched case-insensitively against jobs.job_type) uses those instead.
+
+const STAGE_OUTCOMES = ['open', 'placed', 'rejected'];
+
+// Seeded once as the default pipeline
+const DEFAULT_STAGES = [
+  { key: 'submitted', name: 'Submitted', transitions: ['client_review', 'rejected'], requiresReason: false, outcome: 'open' },
+  { key: 'client_review', name: 'Client Review', transitions: ['interview', 'rejected'], requiresReason: false, outcome: 'open' },
+  { key: 'interview', name: 'Interview', transitions: ['offer', 'rejected'], requiresReason: false, outcome: 'open' },
+  { key: 'offer', name: 'Offer', transitions: ['placed', 'rejected'], requiresReason: false, outcome: 'open' },
+  { key: 'placed', name: 'Placed', transitions: [], requiresReason: false, outcome: 'placed' },
+  { key: 'rejected', name: 'Rejected', transitions: [], requiresReason: true, outcome: 'rejected' },
+];
+
+class PipelineStage {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async initTable() {
+    let client;
+    try {
+      client = await this.pool.connect();
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS pipeline_stages (
+          id SERIAL PRIMARY KEY,
+          job_type VARCHAR(50),
+          key VARCHAR(50) NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          position INTEGER NOT NULL DEFAULT 0,
+          allowed_transitions JSONB NOT NULL DEFAULT '[]'::jsonb,
+          requires_reason BOOLEAN NOT NULL DEFAULT false,
+          outcome VARCHAR(20) NOT NULL DEFAULT 'open',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_pipeline_stages_type_key
+        ON pipeline_stages (LOWER(COALESCE(job_type, '')), key)
+      `);
+
+      const existing = await client.query(`SELECT 1 FROM pipeline_stages WHERE job_type IS NULL LIMIT 1`);
+      if (existing.rows.length === 0) {
+        for (const [index, stage] of DEFAULT_STAGES.entries()) {
+          await client.query(
+            `INSERT INTO pipeline_stages (job_type, key, name, position, allowed_transitions, requires_reason, outcome)
+             VALUES (NULL, $1, $2, $3, $4::jsonb, $5, $6)
+             ON CONFLICT DO NOTHING`,
+            [stage.key, stage.name, index + 1, JSON.stringify(stage.transitions), stage.requiresReason, stage.outcome]
+          );
+        }
+      }
+
+      return true;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  async getAll() {
+    const result = await this.pool.query(
+      `SELECT * FROM pipeline_stages ORDER BY job_type NULLS FIRST, position ASC, id ASC`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Stages of one pipeline, in order. jobType null = default pipeline.
+   */
+  async getStages(jobType = null) {
+    const result = await this.pool.query(
+      `SELECT * FROM pipeline_stages
+       WHERE ($1::text IS NULL AND job_type IS NULL) OR LOWER(job_type) = LOWER($1::text)
+       ORDER BY position ASC, id ASC`,
+      [jobType]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Pipeline used for a job type: its own stages when configured, otherwise the default pipeline.
+   * @returns {Promise<{ jobType: string|null, stages: object[] }>}
+   */
+  async resolvePipeline(jobType) {
+    if (jobType && String(jobType).trim() !== '') {
+      const stages = await this.getStages(String(jobType).trim());
+      if (stages.length > 0) return { jobType: stages[0].job_type, stages };
+    }
+    return { jobType: null, stages: await this.getStages(null) };
+  }
+
+  async getById(id) {
+    const result = await this.pool.query(`SELECT * FROM pipeline_stages WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  async create(data) {
+    const result = await this.pool.query(
+      `INSERT INTO pipeline_stages (job_type, key, name, position, allowed_transitions, requires_reason, outcome)
+       VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7)
+       RETURNING *`,
+      [
+        data.jobType || null,
+        data.key,
+        data.name,
+        data.position ?? 0,
+        JSON.stringify(data.allowedTransitions || []),
+        data.requiresReason === true,
+        data.outcome || 'open',
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async update(id, data) {
+    const result = await this.pool.query(
+      `UPDATE pipeline_stages
+       SET name = COALESCE($2, name),
+           position = COALESCE($3, position),
+           allowed_transitions = COALESCE($4::jsonb, allowed_transitions),
+           requires_reason = COALESCE($5, requires_reason),
+           outcome = COALESCE($6, outcome),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [
+        id,
+        data.name ?? null,
+        data.position ?? null,
+        data.allowedTransitions ? JSON.stringify(data.allowedTransitions) : null,
+        data.requiresReason ?? null,
+        data.outcome ?? null,
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  async delete(id) {
+    const result = await this.pool.query(`DELETE FROM pipeline_stages WHERE id = $1 RETURNING *`, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Number of applications currently in a stage of a pipeline (blocks deleting stages in use).
+   */
+  async countApplicationsInStage(stage) {
+    const result = await this.pool.query(
+      `SELECT COUNT(*)::int AS count
+       FROM job_seeker_applications a
+       LEFT JOIN jobs j ON a.job_id = j.id
+       WHERE a.stage = $1
+         AND (CASE WHEN $2::text IS NULL THEN true ELSE LOWER(j.job_type) = LOWER($2::text) END)`,
+      [stage.key, stage.job_type]
+    );
+    return result.rows[0].count;
+  }
+}
+
+PipelineStage.STAGE_OUTCOMES = STAGE_OUTCOMES;
+PipelineStage.DEFAULT_STAGES = DEFAULT_STAGES;
+
+module.exports = PipelineStage;
@@ -1,5 +1,8 @@
 // models/placement.js
 const { allocateRecordNumber, releaseRecordNumber, runMigrationIfNeeded } = require('../services/recordNumberService');
+const { runListQuery } = require('../utils/listQuery');
+const { emitRecordCreated, emitRecordUpdated, emitRecordDeleted } = require('../services/webhookService');
+const { auditRecordCreated, auditRecordUpdated, auditRecordDeleted } = require('../services/auditService');
 
 class Placement {
     constructor(pool) {
@@ -314,6 +317,8 @@ class Placement {
 
             await client.query('COMMIT');
 
+            await auditRecordCreated(this.pool, 'placement', placementRow);
+            await emitRecordCreated(this.pool, 'placement', placementRow);
             return this.formatPlacement(placementRow);
         } catch (error) {
             await client.query('ROLLBACK');
@@ -364,6 +369,41 @@ class Placement {
         }
     }
 
+    // Paged/sorted/filtered list (options come from utils/listQuery.parseListQuery)
+    async list(options, userId = null) {
+        const client = await this.pool.connect();
+        try {
+            const conditions = [];
+            const values = [];
+            if (userId) {
+                values.push(userId);
+                conditions.push(`p.created_by = $${values.length}`);
+            }
+
+            const result = await runListQuery(client, {
+                select: `p.*,
+                    j.job_title,
+                    j.status as job_status,
+                    js.first_name,
+                    js.last_name,
+                    js.email as job_seeker_email,
+                    js.phone as job_seeker_phone,
+                    u.name as created_by_name,
+                    o.name as organization_name`,
+                from: `placements p
+                    LEFT JOIN jobs j ON p.job_id = j.id
+                    LEFT JOIN job_seekers js ON p.job_seeker_id = js.id
+                    LEFT JOIN users u ON p.created_by = u.id
+                    LEFT JOIN organizations o ON COALESCE(p.organization_id, j.organization_id) = o.id`,
+                conditions,
+                values,
+            }, options, Placement.LIST_CONFIG);
+            return { ...result, rows: result.rows.map(row => this.formatPlacement(row)) };
+        } finally {
+            client.release();
+        }
+    }
+
     // Get placement by ID
     async findById(id) {
         const client = await this.pool.connect();
@@ -744,6 +784,8 @@ class Placement {
 
             await client.query('COMMIT');
 
+            await auditRecordUpdated(this.pool, 'placement', oldState, updatedRow);
+            await emitRecordUpdated(this.pool, 'placement', oldState, updatedRow);
             return updatedRow ? this.formatPlacement(updatedRow) : null;
         } catch (error) {
             await client.query('ROLLBACK');
@@ -787,6 +829,8 @@ class Placement {
             const result = await client.query(deleteQuery, [id]);
 
             await client.query('COMMIT');
+            await auditRecordDeleted(this.pool, 'placement', result.rows[0]);
+            await emitRecordDeleted(this.pool, 'placement', result.rows[0]);
             return result.rows.length > 0 ? this.formatPlacement(result.rows[0]) : null;
         } catch (error) {
             await client.query('ROLLBACK');
@@ -925,6 +969,7 @@ class Placement {
             jobSeekerId: row.job_seeker_id,
             organizationId: row.organization_id,
             organizationName: row.organization_name,
+            placementType: row.placement_type,
             status: row.status,
             startDate: row.start_date,
             endDate: row.end_date,
@@ -958,5 +1003,32 @@ class Placement {
     }
 }
 
+// Sortable/filterable columns for Placement.list()
+Placement.LIST_CONFIG = {
+    alias: 'p',
+    columns: {
+        id: { expr: 'p.id', type: 'number' },
+        record_number: { expr: 'p.record_number', type: 'number' },
+        job_id: { expr: 'p.job_id', type: 'number' },
+        job_seeker_id: { expr: 'p.job_seeker_id', type: 'number' },
+        organization_id: { expr: 'COALESCE(p.organization_id, j.organization_id)', type: 'number' },
+        organization_name: { expr: 'o.name', type: 'text' },
+        job_title: { expr: 'j.job_title', type: 'text' },
+        placement_type: { expr: 'p.placement_type', type: 'text' },
+        status: { expr: 'p.status', type: 'text' },
+        start_date: { expr: 'p.start_date', type: 'date' },
+        end_date: { expr: 'p.end_date', type: 'date' },
+        salary: { expr: 'p.salary', type: 'number' },
+        pay_rate: { expr: 'p.pay_rate', type: 'number' },
+        created_by: { expr: 'p.created_by', type: 'number' },
+        created_by_name: { expr: 'u.name', type: 'text' },
+        created_at: { expr: 'p.created_at', type: 'timestamp' },
+        updated_at: { expr: 'p.updated_at', type: 'timestamp' },
+        archived_at: { expr: 'p.archived_at', type: 'timestamp' },
+    },
+    searchColumns: ['j.job_title', 'js.first_name', 'js.last_name', 'js.email', 'o.name'],
+    defaultSort: [{ column: 'created_at', direction: 'desc' }],
+};
+
 module.exports = Placement;
 
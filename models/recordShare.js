@@ -0,0 +1,106 @@
+// models/recordShare.js
+// Sharing overrides for record-level access (services/recordAccessService.js):
+// each row grants one user, team or office read or write access to a single record
+
+const ACCESS_LEVELS = ['read', 'write'];
+
+class RecordShare {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async initTable() {
+    let client;
+    try {
+      client = await this.pool.connect();
+
+      // Exactly one of user_id / team_id / office_id is set
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS record_shares (
+          id SERIAL PRIMARY KEY,
+          entity_type VARCHAR(50) NOT NULL,
+          record_id INTEGER NOT NULL,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+          office_id INTEGER REFERENCES offices(id) ON DELETE CASCADE,
+          access_level VARCHAR(10) NOT NULL DEFAULT 'read',
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          CHECK (num_nonnulls(user_id, team_id, office_id) = 1)
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_record_shares_record
+        ON record_shares(entity_type, record_id)
+      `);
+
+      return true;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  async listForRecord(entityType, recordId) {
+    const result = await this.pool.query(
+      `SELECT rs.*, u.name AS user_name, u.email AS user_email,
+              t.name AS team_name, o.name AS office_name, cu.name AS created_by_name
+       FROM record_shares rs
+       LEFT JOIN users u ON rs.user_id = u.id
+       LEFT JOIN teams t ON rs.team_id = t.id
+       LEFT JOIN offices o ON rs.office_id = o.id
+       LEFT JOIN users cu ON rs.created_by = cu.id
+       WHERE rs.entity_type = $1 AND rs.record_id = $2
+       ORDER BY rs.created_at DESC`,
+      [entityType, recordId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Share a record; sharing again with the same target updates the access level.
+   */
+  async share(entityType, recordId, { userId = null, teamId = null, officeId = null, accessLevel = 'read' }, createdBy = null) {
+    let client;
+    try {
+      client = await this.pool.connect();
+      await client.query('BEGIN');
+
+      await client.query(
+        `DELETE FROM record_shares
+         WHERE entity_type = $1 AND record_id = $2
+           AND user_id IS NOT DISTINCT FROM $3::integer
+           AND team_id IS NOT DISTINCT FROM $4::integer
+           AND office_id IS NOT DISTINCT FROM $5::integer`,
+        [entityType, recordId, userId, teamId, officeId]
+      );
+      const result = await client.query(
+        `INSERT INTO record_shares (entity_type, record_id, user_id, team_id, office_id, access_level, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [entityType, recordId, userId, teamId, officeId, accessLevel, createdBy]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      if (client) await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  async remove(entityType, recordId, shareId) {
+    const result = await this.pool.query(
+      `DELETE FROM record_shares
+       WHERE id = $1 AND entity_type = $2 AND record_id = $3
+       RETURNING *`,
+      [shareId, entityType, recordId]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+RecordShare.ACCESS_LEVELS = ACCESS_LEVELS;
+
+module.exports = RecordShare;
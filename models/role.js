@@ -0,0 +1,181 @@
+// models/role.js
+// Configurable roles: a permission list (services/permissionService.js) and record scopes
+// (services/recordAccessService.js) per role. users.role holds the role key.
+
+const { BUILT_IN_ROLES } = require('../services/permissionService');
+
+// Role lookups run on every authenticated request, so they are cached per process
+const CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+class Role {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  static clearCache() {
+    roleCache.clear();
+  }
+
+  async initTable() {
+    let client;
+    try {
+      client = await this.pool.connect();
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS roles (
+          id SERIAL PRIMARY KEY,
+          key VARCHAR(50) UNIQUE NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          description TEXT,
+          permissions JSONB NOT NULL DEFAULT '[]'::jsonb,
+          record_scopes JSONB,
+          is_system BOOLEAN NOT NULL DEFAULT false,
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Users of a role with require_two_factor must enroll in TOTP 2FA at their next login
+      await client.query(`ALTER TABLE roles ADD COLUMN IF NOT EXISTS require_two_factor BOOLEAN NOT NULL DEFAULT false`);
+
+      // Built-in roles are only inserted once; later edits by admins are kept
+      for (const role of BUILT_IN_ROLES) {
+        await client.query(
+          `INSERT INTO roles (key, name, description, permissions, record_scopes, is_system)
+           VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, true)
+           ON CONFLICT (key) DO NOTHING`,
+          [role.key, role.name, role.description, JSON.stringify(role.permissions), JSON.stringify(role.record_scopes)]
+        );
+      }
+
+      // Role keys are validated against this table now, not a fixed CHECK list
+      await client.query(`ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check`);
+
+      return true;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  async getAll() {
+    const result = await this.pool.query(
+      `SELECT r.*, (SELECT COUNT(*)::int FROM users u WHERE u.role = r.key) AS user_count
+       FROM roles r
+       ORDER BY r.is_system DESC, r.name ASC`
+    );
+    return result.rows;
+  }
+
+  async getById(id) {
+    const result = await this.pool.query(
+      `SELECT r.*, (SELECT COUNT(*)::int FROM users u WHERE u.role = r.key) AS user_count
+       FROM roles r WHERE r.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getByKey(key) {
+    const result = await this.pool.query(`SELECT * FROM roles WHERE key = $1`, [key]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Role row for a key, cached for CACHE_TTL_MS. Null when the role does not exist.
+   */
+  async getCachedByKey(key) {
+    const cached = roleCache.get(key);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.role;
+    }
+    const role = await this.getByKey(key);
+    roleCache.set(key, { role, loadedAt: Date.now() });
+    return role;
+  }
+
+  async create({ key, name, description = null, permissions = [], recordScopes = null, requireTwoFactor = false }, createdBy = null) {
+    const result = await this.pool.query(
+      `INSERT INTO roles (key, name, description, permissions, record_scopes, require_two_factor, created_by)
+       VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6, $7)
+       RETURNING *`,
+      [
+        key,
+        name,
+        description,
+        JSON.stringify(permissions),
+        recordScopes ? JSON.stringify(recordScopes) : null,
+        !!requireTwoFactor,
+        createdBy,
+      ]
+    );
+    Role.clearCache();
+    return result.rows[0];
+  }
+
+  async update(id, { name, description, permissions, recordScopes, requireTwoFactor }) {
+    const result = await this.pool.query(
+      `UPDATE roles
+       SET name = COALESCE($2, name),
+           description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+           permissions = COALESCE($5::jsonb, permissions),
+           record_scopes = COALESCE($6::jsonb, record_scopes),
+           require_two_factor = COALESCE($7::boolean, require_two_factor),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [
+        id,
+        name ?? null,
+        description !== undefined,
+        description ?? null,
+        permissions ? JSON.stringify(permissions) : null,
+        recordScopes ? JSON.stringify(recordScopes) : null,
+        requireTwoFactor ?? null,
+      ]
+    );
+    Role.clearCache();
+    return result.rows[0] || null;
+  }
+
+  async delete(id) {
+    const result = await this.pool.query(`DELETE FROM roles WHERE id = $1 RETURNING *`, [id]);
+    Role.clearCache();
+    return result.rows[0] || null;
+  }
+
+  async getUsers(key) {
+    const result = await this.pool.query(
+      `SELECT id, name, email, role, office_id, team_id, is_admin, status
+       FROM users WHERE role = $1 ORDER BY name ASC`,
+      [key]
+    );
+    return result.rows;
+  }
+
+  // Current role of each listed user
+  async getUserRoles(userIds) {
+    const result = await this.pool.query(
+      `SELECT id, role FROM users WHERE id = ANY($1::int[])`,
+      [userIds]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Assign a role to users. is_admin follows the role like it does on signup.
+   */
+  async assignToUsers(key, userIds, isAdmin) {
+    const result = await this.pool.query(
+      `UPDATE users
+       SET role = $1, is_admin = $2, updated_at = NOW()
+       WHERE id = ANY($3::int[])
+       RETURNING id, name, email, role, is_admin`,
+      [key, isAdmin, userIds]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = Role;
@@ -1,5 +1,8 @@
 const bcrypt = require('bcrypt');
 const { allocateRecordNumber, releaseRecordNumber, runMigrationIfNeeded } = require('../services/recordNumberService');
+const { runListQuery } = require('../utils/listQuery');
+const { emitRecordCreated, emitRecordUpdated, emitRecordDeleted } = require('../services/webhookService');
+const { auditRecordCreated, auditRecordUpdated, auditRecordDeleted } = require('../services/auditService');
 
 class Task {
     constructor(pool) {
@@ -374,6 +377,8 @@ class Task {
             await client.query('COMMIT');
 
             console.log("Created task:", result.rows[0]);
+            await auditRecordCreated(this.pool, 'task', result.rows[0]);
+            await emitRecordCreated(this.pool, 'task', result.rows[0]);
             return result.rows[0];
         } catch (error) {
             await client.query('ROLLBACK');
@@ -425,6 +430,42 @@ class Task {
         }
     }
 
+    // Paged/sorted/filtered list (options come from utils/listQuery.parseListQuery)
+    async list(options, userId = null) {
+        const client = await this.pool.connect();
+        try {
+            const conditions = [];
+            const values = [];
+            if (userId) {
+                values.push(userId);
+                conditions.push(`(t.created_by = $${values.length} OR t.assigned_to = $${values.length})`);
+            }
+
+            return await runListQuery(client, {
+                select: `t.*,
+                    u.name as created_by_name,
+                    u2.name as assigned_to_name,
+                    js.first_name || ' ' || js.last_name as job_seeker_name,
+                    hm.first_name || ' ' || hm.last_name as hiring_manager_name,
+                    j.job_title as job_title,
+                    l.first_name || ' ' || l.last_name as lead_name,
+                    uc.name as completed_by_name`,
+                from: `tasks t
+                    LEFT JOIN users u ON t.created_by = u.id
+                    LEFT JOIN users u2 ON t.assigned_to = u2.id
+                    LEFT JOIN users uc ON t.completed_by = uc.id
+                    LEFT JOIN job_seekers js ON t.job_seeker_id = js.id
+                    LEFT JOIN hiring_managers hm ON t.hiring_manager_id = hm.id
+                    LEFT JOIN jobs j ON t.job_id = j.id
+                    LEFT JOIN leads l ON t.lead_id = l.id`,
+                conditions,
+                values,
+            }, options, Task.LIST_CONFIG);
+        } finally {
+            client.release();
+        }
+    }
+
     // Get task by ID
     async getById(id, userId = null) {
         const client = await this.pool.connect();
@@ -622,6 +663,8 @@ class Task {
             await client.query('COMMIT');
 
             console.log("Task updated successfully:", updatedTask);
+            await auditRecordUpdated(this.pool, 'task', oldState, updatedTask);
+            await emitRecordUpdated(this.pool, 'task', oldState, updatedTask);
             return updatedTask;
         } catch (error) {
             await client.query('ROLLBACK');
@@ -681,6 +724,8 @@ class Task {
 
             await client.query('COMMIT');
 
+            await auditRecordDeleted(this.pool, 'task', result.rows[0]);
+            await emitRecordDeleted(this.pool, 'task', result.rows[0]);
             return result.rows[0];
         } catch (error) {
             await client.query('ROLLBACK');
@@ -1184,7 +1229,8 @@ class Task {
     }
 
     // Get task statistics
-    async getStats(userId = null) {
+    // accessScope (services/recordAccessService.js buildAccessScope): count only tasks the caller may read
+    async getStats(userId = null, accessScope = null) {
         const client = await this.pool.connect();
         try {
             let query = `
@@ -1194,14 +1240,20 @@ class Task {
                     COUNT(CASE WHEN is_completed = false THEN 1 END) as pending_tasks,
                     COUNT(CASE WHEN due_date < CURRENT_DATE AND is_completed = false THEN 1 END) as overdue_tasks,
                     COUNT(CASE WHEN due_date = CURRENT_DATE AND is_completed = false THEN 1 END) as due_today
-                FROM tasks
+                FROM tasks t
             `;
 
             const values = [];
+            const conditions = [];
 
             if (userId) {
-                query += ` WHERE (created_by = $1 OR assigned_to = $1)`;
                 values.push(userId);
+                conditions.push(`(t.created_by = $${values.length} OR t.assigned_to = $${values.length})`);
+            }
+            const accessCondition = accessScope ? accessScope('t', values) : null;
+            if (accessCondition) conditions.push(accessCondition);
+            if (conditions.length > 0) {
+                query += ` WHERE ${conditions.join(' AND ')}`;
             }
 
             const result = await client.query(query, values);
@@ -1214,4 +1266,35 @@ class Task {
     }
 }
 
+// Sortable/filterable columns for Task.list()
+Task.LIST_CONFIG = {
+    alias: 't',
+    columns: {
+        id: { expr: 't.id', type: 'number' },
+        record_number: { expr: 't.record_number', type: 'number' },
+        title: { expr: 't.title', type: 'text' },
+        is_completed: { expr: 't.is_completed', type: 'boolean' },
+        due_date: { expr: 't.due_date', type: 'date' },
+        organization_id: { expr: 't.organization_id', type: 'number' },
+        job_seeker_id: { expr: 't.job_seeker_id', type: 'number' },
+        hiring_manager_id: { expr: 't.hiring_manager_id', type: 'number' },
+        job_id: { expr: 't.job_id', type: 'number' },
+        lead_id: { expr: 't.lead_id', type: 'number' },
+        placement_id: { expr: 't.placement_id', type: 'number' },
+        owner: { expr: 't.owner', type: 'text' },
+        priority: { expr: 't.priority', type: 'text' },
+        status: { expr: 't.status', type: 'text' },
+        assigned_to: { expr: 't.assigned_to', type: 'number' },
+        assigned_to_name: { expr: 'u2.name', type: 'text' },
+        completed_at: { expr: 't.completed_at', type: 'timestamp' },
+        created_by: { expr: 't.created_by', type: 'number' },
+        created_by_name: { expr: 'u.name', type: 'text' },
+        created_at: { expr: 't.created_at', type: 'timestamp' },
+        updated_at: { expr: 't.updated_at', type: 'timestamp' },
+        archived_at: { expr: 't.archived_at', type: 'timestamp' },
+    },
+    searchColumns: ['t.title', 't.description', 'j.job_title'],
+    defaultSort: [{ column: 'due_date', direction: 'asc' }, { column: 'created_at', direction: 'desc' }],
+};
+
 module.exports = Task;
\ No newline at end of file
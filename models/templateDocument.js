@@ -87,6 +87,11 @@ h INTEGER DEFAULT 0,
     ADD COLUMN IF NOT EXISTS y INTEGER DEFAULT 0,
     ADD COLUMN IF NOT EXISTS w INTEGER DEFAULT 0,
     ADD COLUMN IF NOT EXISTS h INTEGER DEFAULT 0
+`);
+      // page of the field (1-based); without it y runs across the stacked pages
+      await client.query(`
+  ALTER TABLE template_document_mappings
+    ADD COLUMN IF NOT EXISTS page_number INTEGER
 `);
       await client.query(`
   ALTER TABLE template_documents
@@ -342,10 +347,11 @@ h INTEGER DEFAULT 0,
         populate_with_data,
         data_flow_back,
         sort_order,
-        x, y, w, h
+        x, y, w, h,
+        page_number
       )
       VALUES
-      ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
+      ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)
     `;
 
       for (const f of fields) {
@@ -366,6 +372,7 @@ h INTEGER DEFAULT 0,
           f.y,
           f.w,
           f.h,
+          f.page_number,
         ]);
       }
 
@@ -1,5 +1,6 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const UserSession = require('./userSession');
 
 class User {
     constructor(pool) {
@@ -33,6 +34,14 @@ class User {
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         )
       `);
+
+            // Invited users have no password of their own until they accept the invite
+            await client.query(`
+        ALTER TABLE users
+          ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS invited_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP
+      `);
             console.log('✅ Users table initialized successfully');
             return true;
         } catch (error) {
@@ -59,16 +68,9 @@ class User {
                 throw new Error('User with this email already exists');
             }
 
-            // Hash the password
+            // Hash the password; invited users (no password) get a random one they never learn
             const saltRounds = 10;
-            const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-            // Generate a JWT token
-            const token = jwt.sign(
-                { email, userType },
-                process.env.JWT_SECRET || 'default_secret_key',
-                { expiresIn: '7d' }
-            );
+            const hashedPassword = await bcrypt.hash(password || crypto.randomBytes(32).toString('hex'), saltRounds);
 
             // Begin transaction
             await client.query('BEGIN');
@@ -83,9 +85,9 @@ class User {
 
             // Insert user into database
             const insertUserQuery = `
-        INSERT INTO users (name, email, password, role, office_id, team_id, phone, phone2, title, id_number, is_admin, token, status, created_at, updated_at)
+        INSERT INTO users (name, email, password, role, office_id, team_id, phone, phone2, title, id_number, is_admin, status, invited_at, created_at, updated_at)
         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW())
-        RETURNING id, name, email, role, office_id, team_id, phone, phone2, title, id_number, is_admin, token, status, created_at
+        RETURNING id, name, email, role, office_id, team_id, phone, phone2, title, id_number, is_admin, status, invited_at, created_at
       `;
 
             const values = [
@@ -100,8 +102,8 @@ class User {
                 cleanTitle, 
                 cleanIdNumber, 
                 isAdmin || false, 
-                token, 
-                true
+                true,
+                password ? null : new Date()
             ];
             const result = await client.query(insertUserQuery, values);
 
@@ -134,8 +136,8 @@ class User {
                 title: result.rows[0].title,
                 idNumber: result.rows[0].id_number,
                 isAdmin: result.rows[0].is_admin,
-                token: result.rows[0].token,
                 status: result.rows[0].status,
+                invitedAt: result.rows[0].invited_at,
                 createdAt: result.rows[0].created_at
             };
         } catch (error) {
@@ -182,26 +184,6 @@ class User {
         }
     }
 
-    // Find user by token
-    async findByToken(token) {
-        const client = await this.pool.connect();
-        try {
-            const query = `
-                SELECT u.*, o.building_name as office_name, t.name as team_name
-                FROM users u
-                LEFT JOIN offices o ON u.office_id = o.id
-                LEFT JOIN teams t ON u.team_id = t.id
-                WHERE u.token = $1
-            `;
-            const result = await client.query(query, [token]);
-            return result.rows[0] || null;
-        } catch (error) {
-            throw error;
-        } finally {
-            client.release();
-        }
-    }
-
     // Find user by ID
     async findById(id) {
         const client = await this.pool.connect();
@@ -222,26 +204,17 @@ class User {
         }
     }
 
-    // Update user token
-    async updateToken(userId, token) {
-        const client = await this.pool.connect();
-        try {
-            const query = 'UPDATE users SET token = $1, updated_at = NOW() WHERE id = $2 RETURNING *';
-            const result = await client.query(query, [token, userId]);
-            return result.rows[0];
-        } catch (error) {
-            throw error;
-        } finally {
-            client.release();
-        }
-    }
-
     // Update user status
     async updateStatus(userId, status) {
         const client = await this.pool.connect();
         try {
             const query = 'UPDATE users SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *';
             const result = await client.query(query, [status, userId]);
+
+            // A deactivated user is logged out everywhere
+            if (result.rows[0] && !status) {
+                await new UserSession(this.pool).revokeAllAuthSessions(userId, 'deactivated');
+            }
             return result.rows[0];
         } catch (error) {
             throw error;
@@ -439,11 +412,16 @@ class User {
 
             const query = `
             UPDATE users 
-            SET password = $1, updated_at = NOW() 
+            SET password = $1, password_changed_at = NOW(), invited_at = NULL, updated_at = NOW() 
             WHERE id = $2 
             RETURNING id, name, email, role
         `;
             const result = await client.query(query, [hashedPassword, userId]);
+
+            // Sessions opened with the old password end
+            if (result.rows[0]) {
+                await new UserSession(this.pool).revokeAllAuthSessions(userId, 'password_changed');
+            }
             return result.rows[0];
         } catch (error) {
             throw error;
@@ -452,6 +430,15 @@ class User {
         }
     }
 
+    // Mark the user's email address as confirmed (verification link, invite or password reset)
+    async markEmailVerified(userId) {
+        const result = await this.pool.query(
+            'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW() WHERE id = $1 RETURNING id, email, email_verified_at',
+            [userId]
+        );
+        return result.rows[0] || null;
+    }
+
     // Get user statistics
     async getUserStats() {
         const client = await this.pool.connect();
@@ -492,6 +479,10 @@ class User {
             const result = await client.query(query, [userId]);
 
             await client.query('COMMIT');
+
+            if (result.rows[0]) {
+                await new UserSession(this.pool).revokeAllAuthSessions(userId, 'deactivated');
+            }
             return result.rows[0];
         } catch (error) {
             await client.query('ROLLBACK');
@@ -509,6 +500,7 @@ class User {
 
             // Remove from team_members first (foreign key constraint)
             await client.query('DELETE FROM team_members WHERE user_id = $1', [userId]);
+            await client.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
 
             // Delete user permanently
             const query = 'DELETE FROM users WHERE id = $1 RETURNING *';
@@ -617,6 +609,7 @@ class User {
             let query = `
                 SELECT u.id, u.name, u.email, u.role, u.phone, u.phone2, u.title, 
                        u.id_number, u.is_admin, u.status, u.office_id, u.team_id,
+                       u.email_verified_at, u.invited_at,
                        u.created_at, u.updated_at,
                        o.building_name as office_name, 
                        t.name as team_name,
@@ -0,0 +1,108 @@
+// models/userAuthToken.js
+// Single-use tokens emailed to staff users: password reset, invite (set the first password) and email verification.
+// Only the SHA-256 hash of a token is stored (services/tokenService.js).
+
+const TOKEN_PURPOSES = ["password_reset", "invite", "email_verification"];
+
+class UserAuthToken {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async initTable() {
+    let client;
+    try {
+      client = await this.pool.connect();
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS user_auth_tokens (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'invite', 'email_verification')),
+          token_hash CHAR(64) NOT NULL UNIQUE,
+          expires_at TIMESTAMP NOT NULL,
+          used_at TIMESTAMP,
+          requested_ip VARCHAR(45),
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_user_auth_tokens_user ON user_auth_tokens(user_id, purpose)
+      `);
+
+      return true;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  /**
+   * Store a new token; earlier unused tokens of the same purpose stop working, so only the latest email link is valid.
+   */
+  async create({ userId, purpose, tokenHash, expiresAt, requestedIp = null, createdBy = null }) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `UPDATE user_auth_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+        [userId, purpose]
+      );
+      const result = await client.query(
+        `INSERT INTO user_auth_tokens (user_id, purpose, token_hash, expires_at, requested_ip, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, user_id, purpose, expires_at, created_at`,
+        [userId, purpose, tokenHash, expiresAt, requestedIp ? String(requestedIp).slice(0, 45) : null, createdBy]
+      );
+      await client.query("COMMIT");
+      return result.rows[0];
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /** Unused, unexpired token with its user's email, without using it up */
+  async findValid(tokenHash, purposes = TOKEN_PURPOSES) {
+    const result = await this.pool.query(
+      `SELECT t.id, t.user_id, t.purpose, t.expires_at, u.email, u.name
+       FROM user_auth_tokens t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = $1
+         AND t.purpose = ANY($2::text[])
+         AND t.used_at IS NULL
+         AND t.expires_at > CURRENT_TIMESTAMP
+         AND u.status = TRUE`,
+      [tokenHash, purposes]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark a token used. Atomic, so a token works exactly once even with concurrent requests.
+   * @returns {Promise<Object|null>} the token row, or null when it is unknown, used or expired
+   */
+  async consume(tokenHash, purposes) {
+    const result = await this.pool.query(
+      `UPDATE user_auth_tokens t
+       SET used_at = CURRENT_TIMESTAMP
+       FROM users u
+       WHERE u.id = t.user_id
+         AND t.token_hash = $1
+         AND t.purpose = ANY($2::text[])
+         AND t.used_at IS NULL
+         AND t.expires_at > CURRENT_TIMESTAMP
+         AND u.status = TRUE
+       RETURNING t.id, t.user_id, t.purpose`,
+      [tokenHash, purposes]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+UserAuthToken.TOKEN_PURPOSES = TOKEN_PURPOSES;
+
+module.exports = UserAuthToken;
@@ -31,6 +31,21 @@ class UserSession {
         )
       `);
 
+      // Login sessions (refresh tokens) share this table with the analytics sessions;
+      // they are the rows with a refresh_token_hash
+      await client.query(`
+        ALTER TABLE user_sessions
+          ADD COLUMN IF NOT EXISTS refresh_token_hash VARCHAR(64),
+          ADD COLUMN IF NOT EXISTS previous_refresh_token_hash VARCHAR(64),
+          ADD COLUMN IF NOT EXISTS refresh_expires_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS refreshed_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(50)
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_user_sessions_auth_user ON user_sessions(user_id) WHERE refresh_token_hash IS NOT NULL
+      `);
+
       // Indexes for common queries
       await client.query(`
         CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id)
@@ -287,6 +302,135 @@ class UserSession {
     }
   }
 
+  // Columns of a login session returned to clients (never the token hashes)
+  static get AUTH_SESSION_COLUMNS() {
+    return `id, session_id, ip_address, user_agent, device_type, browser, os, start_time, last_activity,
+      refreshed_at, refresh_expires_at, revoked_at, revoked_reason`;
+  }
+
+  async createAuthSession({ userId, sessionId, refreshTokenHash, refreshExpiresAt, ipAddress, userAgent }) {
+    const deviceInfo = this.parseUserAgent(userAgent);
+    const result = await this.pool.query(
+      `INSERT INTO user_sessions
+        (user_id, session_id, ip_address, user_agent, device_type, browser, os, refresh_token_hash, refresh_expires_at, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING ${UserSession.AUTH_SESSION_COLUMNS}`,
+      [
+        userId,
+        sessionId,
+        ipAddress ? String(ipAddress).slice(0, 45) : null,
+        userAgent || null,
+        deviceInfo.deviceType,
+        deviceInfo.browser,
+        deviceInfo.os,
+        refreshTokenHash,
+        refreshExpiresAt,
+        { source: "login" },
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /** Login session with its token hashes, for token checks */
+  async getAuthSession(sessionId) {
+    const result = await this.pool.query(
+      `SELECT * FROM user_sessions WHERE session_id = $1 AND refresh_token_hash IS NOT NULL`,
+      [sessionId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Swap the refresh token of a live session. Only succeeds when currentHash is still the session's token,
+   * so two concurrent refreshes with the same token cannot both win.
+   */
+  async rotateRefreshToken(sessionId, currentHash, { refreshTokenHash, refreshExpiresAt, ipAddress }) {
+    const result = await this.pool.query(
+      `UPDATE user_sessions
+       SET previous_refresh_token_hash = refresh_token_hash,
+           refresh_token_hash = $3,
+           refresh_expires_at = $4,
+           refreshed_at = CURRENT_TIMESTAMP,
+           last_activity = CURRENT_TIMESTAMP,
+           ip_address = COALESCE($5, ip_address)
+       WHERE session_id = $1
+         AND refresh_token_hash = $2
+         AND revoked_at IS NULL
+         AND refresh_expires_at > CURRENT_TIMESTAMP
+       RETURNING ${UserSession.AUTH_SESSION_COLUMNS}`,
+      [sessionId, currentHash, refreshTokenHash, refreshExpiresAt, ipAddress ? String(ipAddress).slice(0, 45) : null]
+    );
+    return result.rows[0] || null;
+  }
+
+  /** Record activity on a login session at most once a minute */
+  async touchAuthSession(sessionId) {
+    await this.pool.query(
+      `UPDATE user_sessions SET last_activity = CURRENT_TIMESTAMP
+       WHERE session_id = $1 AND revoked_at IS NULL AND last_activity < CURRENT_TIMESTAMP - INTERVAL '1 minute'`,
+      [sessionId]
+    );
+  }
+
+  /**
+   * Revoke one login session; with userId only if it belongs to that user.
+   * @returns {Promise<boolean>} whether a live session was revoked
+   */
+  async revokeAuthSession(sessionId, reason, { userId = null } = {}) {
+    const result = await this.pool.query(
+      `UPDATE user_sessions
+       SET revoked_at = CURRENT_TIMESTAMP,
+           revoked_reason = $2,
+           is_active = FALSE,
+           end_time = CURRENT_TIMESTAMP,
+           duration_seconds = EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - start_time))::INTEGER
+       WHERE session_id = $1
+         AND refresh_token_hash IS NOT NULL
+         AND revoked_at IS NULL
+         AND ($3::int IS NULL OR user_id = $3)
+       RETURNING id`,
+      [sessionId, reason, userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Revoke every live login session of a user (logout everywhere, password change, deactivation).
+   * @returns {Promise<number>} number of sessions revoked
+   */
+  async revokeAllAuthSessions(userId, reason, { exceptSessionId = null } = {}) {
+    const result = await this.pool.query(
+      `UPDATE user_sessions
+       SET revoked_at = CURRENT_TIMESTAMP,
+           revoked_reason = $2,
+           is_active = FALSE,
+           end_time = CURRENT_TIMESTAMP,
+           duration_seconds = EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - start_time))::INTEGER
+       WHERE user_id = $1
+         AND refresh_token_hash IS NOT NULL
+         AND revoked_at IS NULL
+         AND ($3::text IS NULL OR session_id <> $3)
+       RETURNING id`,
+      [userId, reason, exceptSessionId]
+    );
+    return result.rows.length;
+  }
+
+  /** Live login sessions of a user, most recently used first */
+  async getAuthSessionsForUser(userId) {
+    const result = await this.pool.query(
+      `SELECT ${UserSession.AUTH_SESSION_COLUMNS}
+       FROM user_sessions
+       WHERE user_id = $1
+         AND refresh_token_hash IS NOT NULL
+         AND revoked_at IS NULL
+         AND refresh_expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_activity DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
   parseUserAgent(userAgent) {
     if (!userAgent) {
       return { deviceType: 'unknown', browser: 'unknown', os: 'unknown', screenResolution: null };
@@ -0,0 +1,212 @@
+// models/userTwoFactor.js
+// TOTP two-factor enrollment of staff users (services/totpService.js). Secrets are stored encrypted, recovery
+// codes as SHA-256 hashes. A pending secret becomes active once the user confirms it with a code.
+
+// Wrong codes in a row before verification is locked for LOCK_MINUTES
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+class UserTwoFactor {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async initTable() {
+    let client;
+    try {
+      client = await this.pool.connect();
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS user_two_factor (
+          user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+          secret_encrypted TEXT,
+          enabled_at TIMESTAMP,
+          pending_secret_encrypted TEXT,
+          pending_created_at TIMESTAMP,
+          last_used_step BIGINT,
+          failed_attempts INTEGER NOT NULL DEFAULT 0,
+          locked_until TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS user_two_factor_recovery_codes (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          code_hash CHAR(64) NOT NULL,
+          used_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (user_id, code_hash)
+        )
+      `);
+
+      return true;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  /** Enrollment row with the number of unused recovery codes, or null */
+  async get(userId) {
+    const result = await this.pool.query(
+      `SELECT t.*,
+              (t.locked_until IS NOT NULL AND t.locked_until > CURRENT_TIMESTAMP) AS is_locked,
+              (SELECT COUNT(*)::int FROM user_two_factor_recovery_codes c
+               WHERE c.user_id = t.user_id AND c.used_at IS NULL) AS recovery_codes_remaining
+       FROM user_two_factor t
+       WHERE t.user_id = $1`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async setPendingSecret(userId, secretEncrypted) {
+    await this.pool.query(
+      `INSERT INTO user_two_factor (user_id, pending_secret_encrypted, pending_created_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP)
+       ON CONFLICT (user_id) DO UPDATE
+       SET pending_secret_encrypted = EXCLUDED.pending_secret_encrypted,
+           pending_created_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP`,
+      [userId, secretEncrypted]
+    );
+  }
+
+  /**
+   * Activate the pending secret and replace the recovery codes.
+   * @param {number} usedStep - step of the confirmation code, so it cannot be replayed to log in
+   */
+  async enable(userId, usedStep, recoveryCodeHashes) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        `UPDATE user_two_factor
+         SET secret_encrypted = pending_secret_encrypted,
+             pending_secret_encrypted = NULL,
+             pending_created_at = NULL,
+             enabled_at = CURRENT_TIMESTAMP,
+             last_used_step = $2,
+             failed_attempts = 0,
+             locked_until = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND pending_secret_encrypted IS NOT NULL
+         RETURNING user_id, enabled_at`,
+        [userId, usedStep]
+      );
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return null;
+      }
+      await this._replaceRecoveryCodes(client, userId, recoveryCodeHashes);
+      await client.query("COMMIT");
+      return result.rows[0];
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async _replaceRecoveryCodes(client, userId, hashes) {
+    await client.query(`DELETE FROM user_two_factor_recovery_codes WHERE user_id = $1`, [userId]);
+    await client.query(
+      `INSERT INTO user_two_factor_recovery_codes (user_id, code_hash)
+       SELECT $1, UNNEST($2::text[])`,
+      [userId, hashes]
+    );
+  }
+
+  async replaceRecoveryCodes(userId, hashes) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await this._replaceRecoveryCodes(client, userId, hashes);
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record a successful code. Fails when the step was already used (the same code sent twice).
+   * @returns {Promise<boolean>}
+   */
+  async markStepUsed(userId, step) {
+    const result = await this.pool.query(
+      `UPDATE user_two_factor
+       SET last_used_step = $2, failed_attempts = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+       RETURNING user_id`,
+      [userId, step]
+    );
+    return result.rows.length > 0;
+  }
+
+  /** Use up a recovery code; true when it was valid and unused */
+  async useRecoveryCode(userId, codeHash) {
+    const result = await this.pool.query(
+      `UPDATE user_two_factor_recovery_codes
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, codeHash]
+    );
+    if (result.rows.length === 0) return false;
+    await this.pool.query(
+      `UPDATE user_two_factor SET failed_attempts = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1`,
+      [userId]
+    );
+    return true;
+  }
+
+  /**
+   * Count a wrong code; locks verification after MAX_FAILED_ATTEMPTS in a row.
+   * @returns {Promise<{ failed_attempts: number, locked: boolean }>}
+   */
+  async recordFailure(userId) {
+    const result = await this.pool.query(
+      `UPDATE user_two_factor
+       SET failed_attempts = CASE WHEN failed_attempts + 1 >= $2 THEN 0 ELSE failed_attempts + 1 END,
+           locked_until = CASE WHEN failed_attempts + 1 >= $2
+                               THEN CURRENT_TIMESTAMP + ($3 || ' minutes')::interval
+                               ELSE locked_until END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1
+       RETURNING failed_attempts, (locked_until IS NOT NULL AND locked_until > CURRENT_TIMESTAMP) AS locked`,
+      [userId, MAX_FAILED_ATTEMPTS, String(LOCK_MINUTES)]
+    );
+    return result.rows[0] || { failed_attempts: 0, locked: false };
+  }
+
+  /** Remove the enrollment and recovery codes (user disable or admin reset) */
+  async disable(userId) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(`DELETE FROM user_two_factor_recovery_codes WHERE user_id = $1`, [userId]);
+      const result = await client.query(
+        `DELETE FROM user_two_factor WHERE user_id = $1 RETURNING enabled_at`,
+        [userId]
+      );
+      await client.query("COMMIT");
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+UserTwoFactor.MAX_FAILED_ATTEMPTS = MAX_FAILED_ATTEMPTS;
+UserTwoFactor.LOCK_MINUTES = LOCK_MINUTES;
+
+module.exports = UserTwoFactor;
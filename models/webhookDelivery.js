@@ -0,0 +1,187 @@
+// models/webhookDelivery.js
+// Delivery log for outbound webhooks: one row per event per subscription, with every attempt's outcome.
+// Pending rows are picked up again at next_attempt_at until they succeed or run out of attempts.
+
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Attempt details kept per delivery (the newest ones)
+const MAX_LOGGED_ATTEMPTS = 20;
+
+class WebhookDelivery {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async initTable() {
+    let client;
+    try {
+      client = await this.pool.connect();
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id SERIAL PRIMARY KEY,
+          subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+          event_id UUID NOT NULL,
+          event VARCHAR(100) NOT NULL,
+          payload JSONB NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          attempt_count INTEGER NOT NULL DEFAULT 0,
+          attempts JSONB NOT NULL DEFAULT '[]'::jsonb,
+          next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_attempt_at TIMESTAMP,
+          response_status INTEGER,
+          response_body TEXT,
+          error TEXT,
+          duration_ms INTEGER,
+          replay_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+          replayed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          delivered_at TIMESTAMP
+        )
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (next_attempt_at) WHERE status = 'pending'`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, created_at DESC)`);
+
+      return true;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  /**
+   * One pending delivery per active subscription listening to any of the patterns (e.g. ["job.created", "job.*", "*"]).
+   * @returns {Promise<number[]>} delivery ids
+   */
+  async enqueue({ eventId, event, payload, patterns }) {
+    const result = await this.pool.query(
+      `INSERT INTO webhook_deliveries (subscription_id, event_id, event, payload)
+       SELECT s.id, $1, $2, $3::jsonb
+       FROM webhook_subscriptions s
+       WHERE s.is_active = true AND s.events ?| $4::text[]
+       RETURNING id`,
+      [eventId, event, JSON.stringify(payload), patterns]
+    );
+    return result.rows.map((r) => r.id);
+  }
+
+  /** A delivery for one subscription regardless of its events (test pings) */
+  async enqueueFor(subscriptionId, { eventId, event, payload }) {
+    const result = await this.pool.query(
+      `INSERT INTO webhook_deliveries (subscription_id, event_id, event, payload)
+       VALUES ($1, $2, $3, $4::jsonb)
+       RETURNING id`,
+      [subscriptionId, eventId, event, JSON.stringify(payload)]
+    );
+    return result.rows[0].id;
+  }
+
+  /** Copy of a delivery with the same event id and payload, sent again as a new delivery */
+  async createReplay(deliveryId, userId) {
+    const result = await this.pool.query(
+      `INSERT INTO webhook_deliveries (subscription_id, event_id, event, payload, replay_of, replayed_by)
+       SELECT subscription_id, event_id, event, payload, id, $2
+       FROM webhook_deliveries
+       WHERE id = $1
+       RETURNING id`,
+      [deliveryId, userId]
+    );
+    return result.rows[0]?.id || null;
+  }
+
+  /**
+   * Claim due pending deliveries (or the given ones) by pushing next_attempt_at out by the lease,
+   * so concurrent workers do not send the same delivery twice.
+   */
+  async claimDue({ ids = null, limit = 50, leaseSeconds = 120 } = {}) {
+    const result = await this.pool.query(
+      `UPDATE webhook_deliveries
+       SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $3)
+       WHERE id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status = 'pending'
+           AND next_attempt_at <= CURRENT_TIMESTAMP
+           AND ($1::int[] IS NULL OR id = ANY($1::int[]))
+         ORDER BY next_attempt_at ASC
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [ids, limit, leaseSeconds]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Store an attempt. nextAttemptAt null with success false marks the delivery failed (no retries left).
+   */
+  async recordAttempt(id, { success, statusCode = null, responseBody = null, error = null, durationMs, nextAttemptAt = null }) {
+    const attempt = {
+      at: new Date().toISOString(),
+      status_code: statusCode,
+      error,
+      duration_ms: durationMs,
+    };
+    const status = success ? 'succeeded' : nextAttemptAt ? 'pending' : 'failed';
+    const result = await this.pool.query(
+      `UPDATE webhook_deliveries
+       SET status = $2::varchar,
+           attempt_count = attempt_count + 1,
+           attempts = (
+             SELECT COALESCE(jsonb_agg(a ORDER BY n), '[]'::jsonb)
+             FROM (
+               SELECT a, n FROM jsonb_array_elements(attempts || jsonb_build_array($3::jsonb)) WITH ORDINALITY AS t(a, n)
+               ORDER BY n DESC LIMIT ${MAX_LOGGED_ATTEMPTS}
+             ) latest
+           ),
+           last_attempt_at = CURRENT_TIMESTAMP,
+           response_status = $4,
+           response_body = $5,
+           error = $6,
+           duration_ms = $7,
+           next_attempt_at = $8,
+           delivered_at = CASE WHEN $2::varchar = 'succeeded' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+       WHERE id = $1
+       RETURNING *`,
+      [id, status, JSON.stringify(attempt), statusCode, responseBody, error, durationMs, nextAttemptAt]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @param {{ subscriptionId: number, status?: string, event?: string, limit?: number, offset?: number }} filters
+   * @returns {Promise<{ deliveries: Object[], total: number }>} deliveries without payloads
+   */
+  async getBySubscription({ subscriptionId, status = null, event = null, limit = 50, offset = 0 }) {
+    const values = [subscriptionId, status, event];
+    const where = `WHERE d.subscription_id = $1 AND ($2::text IS NULL OR d.status = $2) AND ($3::text IS NULL OR d.event = $3)`;
+    const [rows, count] = [
+      await this.pool.query(
+        `SELECT d.id, d.subscription_id, d.event_id, d.event, d.status, d.attempt_count, d.next_attempt_at,
+                d.last_attempt_at, d.response_status, d.error, d.duration_ms, d.replay_of, d.created_at, d.delivered_at
+         FROM webhook_deliveries d
+         ${where}
+         ORDER BY d.created_at DESC, d.id DESC
+         LIMIT $4 OFFSET $5`,
+        [...values, limit, offset]
+      ),
+      await this.pool.query(`SELECT COUNT(*)::int AS total FROM webhook_deliveries d ${where}`, values),
+    ];
+    return { deliveries: rows.rows, total: count.rows[0].total };
+  }
+
+  async getById(id) {
+    const result = await this.pool.query(
+      `SELECT d.*, s.name AS subscription_name, s.url AS subscription_url, u.name AS replayed_by_name
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON d.subscription_id = s.id
+       LEFT JOIN users u ON d.replayed_by = u.id
+       WHERE d.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+WebhookDelivery.WEBHOOK_DELIVERY_STATUSES = WEBHOOK_DELIVERY_STATUSES;
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,124 @@
+// models/webhookSubscription.js
+// Outbound webhook endpoints registered by admins: the URL, the events it receives and its signing secret.
+
+const PUBLIC_COLUMNS = `
+  s.id, s.name, s.url, s.description, s.events, s.is_active, s.created_by, s.updated_by, s.created_at, s.updated_at,
+  RIGHT(s.secret, 4) AS secret_last4
+`;
+
+class WebhookSubscription {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async initTable() {
+    let client;
+    try {
+      client = await this.pool.connect();
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          url TEXT NOT NULL,
+          description TEXT,
+          events JSONB NOT NULL DEFAULT '[]'::jsonb,
+          secret VARCHAR(100) NOT NULL,
+          is_active BOOLEAN NOT NULL DEFAULT true,
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_events ON webhook_subscriptions USING GIN (events)`);
+
+      return true;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  /** Subscriptions with their latest delivery and the number of deliveries still waiting to be sent */
+  async getAll() {
+    const result = await this.pool.query(
+      `SELECT ${PUBLIC_COLUMNS},
+         (SELECT MAX(d.last_attempt_at) FROM webhook_deliveries d WHERE d.subscription_id = s.id) AS last_attempt_at,
+         (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.subscription_id = s.id AND d.status = 'pending') AS pending_count,
+         (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.subscription_id = s.id AND d.status = 'failed') AS failed_count
+       FROM webhook_subscriptions s
+       ORDER BY s.created_at DESC`
+    );
+    return result.rows;
+  }
+
+  async getById(id) {
+    const result = await this.pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM webhook_subscriptions s WHERE s.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /** Subscription incl. the signing secret; only used to send deliveries */
+  async getForDelivery(id) {
+    const result = await this.pool.query(
+      `SELECT id, url, secret, is_active FROM webhook_subscriptions WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  async create({ name, url, description, events, secret, isActive = true, userId }) {
+    const result = await this.pool.query(
+      `INSERT INTO webhook_subscriptions (name, url, description, events, secret, is_active, created_by, updated_by)
+       VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7, $7)
+       RETURNING id`,
+      [name, url, description || null, JSON.stringify(events), secret, isActive, userId]
+    );
+    return this.getById(result.rows[0].id);
+  }
+
+  /** Update the given fields ({ name, url, description, events, isActive }); undefined fields are left as they are */
+  async update(id, { name, url, description, events, isActive }, userId) {
+    const result = await this.pool.query(
+      `UPDATE webhook_subscriptions
+       SET name = COALESCE($2, name),
+           url = COALESCE($3, url),
+           description = CASE WHEN $4::boolean THEN $5 ELSE description END,
+           events = COALESCE($6::jsonb, events),
+           is_active = COALESCE($7, is_active),
+           updated_by = $8,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id`,
+      [
+        id,
+        name ?? null,
+        url ?? null,
+        description !== undefined,
+        description || null,
+        events ? JSON.stringify(events) : null,
+        isActive ?? null,
+        userId,
+      ]
+    );
+    return result.rows.length ? this.getById(id) : null;
+  }
+
+  async rotateSecret(id, secret, userId) {
+    const result = await this.pool.query(
+      `UPDATE webhook_subscriptions SET secret = $2, updated_by = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING id`,
+      [id, secret, userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  async delete(id) {
+    const result = await this.pool.query(`DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING id`, [id]);
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = WebhookSubscription;
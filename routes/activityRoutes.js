@@ -2,7 +2,7 @@ const express = require("express");
 
 function createActivityRouter(activityController, authMiddleware) {
   const router = express.Router();
-  const { verifyToken, checkRole } = authMiddleware;
+  const { verifyToken, checkPermission } = authMiddleware;
 
   // All activity routes require authentication
   router.use(verifyToken);
@@ -13,16 +13,16 @@ function createActivityRouter(activityController, authMiddleware) {
   // Activity report for dashboard (any authenticated user; typically own userId)
   router.get("/report", activityController.getReport);
 
-  // Admin-only endpoints for reading activity
+  // Reading all activity requires activity.view
   router.get(
     "/admin",
-    checkRole("admin", "owner"),
+    checkPermission("activity.view"),
     activityController.getActivities
   );
 
   router.get(
     "/admin/summary",
-    checkRole("admin", "owner"),
+    checkPermission("activity.view"),
     activityController.getSummary
   );
 
@@ -2,15 +2,15 @@ const express = require("express");
 
 function createAnalyticsRouter(analyticsController, authMiddleware) {
   const router = express.Router();
-  const { verifyToken, checkRole } = authMiddleware;
+  const { verifyToken, checkPermission } = authMiddleware;
 
   // All analytics routes require authentication
   router.use(verifyToken);
 
-  // Dashboard stats (admin/owner only)
+  // Dashboard stats (analytics.view)
   router.get(
     "/dashboard",
-    checkRole("admin", "owner"),
+    checkPermission("analytics.view"),
     analyticsController.getDashboardStats
   );
 
@@ -24,29 +24,29 @@ function createAnalyticsRouter(analyticsController, authMiddleware) {
   // Field change tracking
   router.post("/field-change", analyticsController.logFieldChange);
 
-  // Data retrieval routes (admin/owner only)
+  // Data retrieval routes (analytics.view)
   router.get(
     "/sessions",
-    checkRole("admin", "owner"),
+    checkPermission("analytics.view"),
     analyticsController.getSessions
   );
 
   router.get(
     "/pageviews",
-    checkRole("admin", "owner"),
+    checkPermission("analytics.view"),
     analyticsController.getPageViews
   );
 
   router.get(
     "/field-changes",
-    checkRole("admin", "owner"),
+    checkPermission("analytics.view"),
     analyticsController.getFieldChanges
   );
 
-  // User activity detail (admin/owner only)
+  // User activity detail (analytics.view)
   router.get(
     "/users/:userId/activity",
-    checkRole("admin", "owner"),
+    checkPermission("analytics.view"),
     analyticsController.getUserActivity
   );
 
@@ -2,7 +2,7 @@ const express = require('express');
 
 function createAppointmentRouter(appointmentController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken, checkRole } = authMiddleware;
+    const { verifyToken } = authMiddleware;
 
     // All routes require authentication except webhook
     router.use(verifyToken);
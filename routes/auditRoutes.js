@@ -0,0 +1,19 @@
+// routes/auditRoutes.js
+const express = require("express");
+
+function createAuditRouter(auditController, authMiddleware) {
+  const router = express.Router();
+  const { verifyToken, checkPermission } = authMiddleware;
+
+  router.use(verifyToken, checkPermission("audit.view"));
+
+  router.get("/", auditController.search);
+  router.get("/actions", auditController.getActions);
+  router.get("/verify", auditController.verify);
+  router.get("/export", auditController.exportLog);
+  router.get("/:id", auditController.getById);
+
+  return router;
+}
+
+module.exports = createAuditRouter;
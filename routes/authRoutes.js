@@ -1,20 +1,48 @@
 const express = require("express");
 
-function createAuthRouter(authController) {
+function createAuthRouter(authController, authMiddleware) {
   const router = express.Router();
+  const { verifyToken, checkPermission } = authMiddleware;
 
   // Create initial developer account (public - only works when no users exist)
   router.post("/init-developer", authController.createInitialDeveloper);
 
-  // Signup route (protected - requires authentication)
-  router.post("/signup", authController.signup);
+  // Signup route (protected - requires authentication and permission to manage users)
+  router.post("/signup", verifyToken, checkPermission("users.manage"), authController.signup);
 
   // Login route
   router.post("/login", authController.login);
 
-  // Logout route
+  // Exchange a refresh token for a new access token (the refresh token is rotated)
+  router.post("/refresh", authController.refresh);
+
+  // Logout route (refresh token in the body, or the access token even when expired)
   router.post("/logout", authController.logout);
 
+  // Forgot / reset password, invite acceptance and email verification (single-use emailed links)
+  router.post("/forgot-password", authController.forgotPassword);
+  router.post("/check-token", authController.checkAccountToken);
+  router.post("/reset-password", authController.resetPassword);
+  router.post("/accept-invite", authController.acceptInvite);
+  router.post("/verify-email", authController.verifyEmail);
+  router.post("/verify-email/request", verifyToken, authController.requestEmailVerification);
+
+  // Two-factor authentication (TOTP). The enrollment routes also take { challengeToken } from a login whose
+  // role requires 2FA; verify is the second step of a login with 2FA
+  const verifyTokenOrChallenge = (req, res, next) =>
+    req.body?.challengeToken ? authController.verifyEnrollmentChallenge(req, res, next) : verifyToken(req, res, next);
+  router.get("/2fa", verifyToken, authController.getTwoFactorStatus);
+  router.post("/2fa/enroll/start", verifyTokenOrChallenge, authController.startTwoFactorEnrollment);
+  router.post("/2fa/enroll/confirm", verifyTokenOrChallenge, authController.confirmTwoFactorEnrollment);
+  router.post("/2fa/verify", authController.verifyTwoFactor);
+  router.post("/2fa/recovery-codes", verifyToken, authController.regenerateRecoveryCodes);
+  router.post("/2fa/disable", verifyToken, authController.disableTwoFactor);
+
+  // Logout everywhere and per-device sessions of the current user
+  router.post("/logout-all", verifyToken, authController.logoutAll);
+  router.get("/sessions", verifyToken, authController.getSessions);
+  router.delete("/sessions/:sessionId", verifyToken, authController.revokeSession);
+
   return router;
 }
 
@@ -2,7 +2,7 @@ const express = require('express');
 
 function createCustomFieldRouter(customFieldController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken, checkRole } = authMiddleware;
+    const { verifyToken, checkPermission } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
@@ -16,14 +16,14 @@ function createCustomFieldRouter(customFieldController, authMiddleware) {
     // Get history for a custom field
     router.get('/:id/history', customFieldController.getHistory);
 
-    // Create new custom field (admin/owner only)
-    router.post('/', checkRole('admin', 'owner'), customFieldController.create);
+    // Create new custom field (custom_fields.manage)
+    router.post('/', checkPermission('custom_fields.manage'), customFieldController.create);
 
-    // Update custom field by ID (admin/owner only)
-    router.put('/:id', checkRole('admin', 'owner'), customFieldController.update);
+    // Update custom field by ID (custom_fields.manage)
+    router.put('/:id', checkPermission('custom_fields.manage'), customFieldController.update);
 
-    // Delete custom field by ID (admin/owner only)
-    router.delete('/:id', checkRole('admin', 'owner'), customFieldController.delete);
+    // Delete custom field by ID (custom_fields.manage)
+    router.delete('/:id', checkPermission('custom_fields.manage'), customFieldController.delete);
 
     return router;
 }
@@ -0,0 +1,38 @@
+// routes/duplicateRoutes.js
+const express = require("express");
+const { ENTITY_CONFIGS, resolveEntityType } = require("../services/duplicateDetectionService");
+
+function createDuplicateRouter(duplicateController, authMiddleware) {
+  const router = express.Router();
+  const { verifyToken, checkPermission, checkRecordAccess } = authMiddleware;
+
+  // All routes require authentication
+  router.use(verifyToken);
+
+  // View permission of the entity (edit to resolve a pair); unknown types are answered by the controller
+  router.param("entityType", (req, res, next, value) => {
+    const entityType = resolveEntityType(value);
+    if (!entityType) return next();
+    const action = req.method === "PATCH" ? "edit" : "view";
+    return checkPermission(`${ENTITY_CONFIGS[entityType].permission}.${action}`)(req, res, next);
+  });
+
+  // Record-level read access to the record whose duplicates are requested
+  router.param("id", (req, res, next, id) => {
+    const entityType = resolveEntityType(req.params.entityType);
+    if (!entityType) return next();
+    return checkRecordAccess(entityType)(req, res, next, id);
+  });
+
+  // :entityType is job-seekers, hiring-managers or leads (no merge preview for leads)
+  router.get("/:entityType", duplicateController.getReport);
+  router.post("/:entityType/scan", checkPermission("duplicates.scan"), duplicateController.runScan);
+  router.post("/:entityType/check", duplicateController.check);
+  router.get("/:entityType/merge-preview", duplicateController.getMergePreview);
+  router.get("/:entityType/records/:id", duplicateController.getRecordDuplicates);
+  router.patch("/:entityType/candidates/:candidateId", duplicateController.updateCandidate);
+
+  return router;
+}
+
+module.exports = createDuplicateRouter;
@@ -0,0 +1,24 @@
+// routes/exportRoutes.js
+const express = require("express");
+
+function createExportRouter(exportController, authMiddleware) {
+  const router = express.Router();
+  const { verifyToken } = authMiddleware;
+
+  // All routes require authentication; <entity>.export is checked per entity
+  router.use(verifyToken);
+
+  router.get("/entities", exportController.getEntities);
+
+  // Background exports (before /:entityType so "runs" is not read as an entity)
+  router.get("/runs", exportController.getRuns);
+  router.get("/runs/:id", exportController.getRun);
+  router.get("/runs/:id/download", exportController.downloadRun);
+
+  router.get("/:entityType/columns", exportController.getColumns);
+  router.get("/:entityType", exportController.exportList);
+
+  return router;
+}
+
+module.exports = createExportRouter;
@@ -1,11 +1,17 @@
 const express = require('express');
 function createHiringManagerRouter(hiringManagerController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken, checkRole } = authMiddleware;
+    const { verifyToken, checkPermission, checkEntityPermission, checkRecordAccess } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
 
+    // Role permission for the entity (hiring_managers.view/create/edit/delete)
+    router.use(checkEntityPermission('hiring_managers'));
+
+    // Record-level access (owner/team/office scope and shares) for every /:id route
+    router.param('id', checkRecordAccess('hiring_manager'));
+
     // Get all hiring managers 
     // (admins see all, regular users see only their own)
     router.get('/', hiringManagerController.getAll);
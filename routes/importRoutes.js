@@ -0,0 +1,40 @@
+// routes/importRoutes.js
+const express = require("express");
+const uploadImportFile = require("../middleware/uploadImportFile");
+
+function createImportRouter(importController, authMiddleware) {
+  const router = express.Router();
+  const { verifyToken } = authMiddleware;
+
+  // All routes require authentication; entity create/edit permissions are checked per import
+  router.use(verifyToken);
+
+  // Multer errors (file type, size) as 400 responses
+  const handleUpload = (req, res, next) => {
+    uploadImportFile.single("file")(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({ success: false, message: err.message });
+      }
+      next();
+    });
+  };
+
+  router.get("/entities", importController.getEntities);
+  router.get("/fields/:entityType", importController.getFields);
+
+  router.get("/", importController.getAll);
+  router.post("/", handleUpload, importController.upload);
+  router.get("/:id", importController.getById);
+
+  // Dry run (nothing is written), then the real run in batches
+  router.post("/:id/validate", importController.validate);
+  router.post("/:id/run", importController.run);
+
+  // Rolling back needs <entity>.delete, plus <entity>.edit when a batch updated records and imports.manage for force
+  router.post("/:id/rollback", importController.rollback);
+  router.post("/:id/batches/:batchId/rollback", importController.rollbackBatch);
+
+  return router;
+}
+
+module.exports = createImportRouter;
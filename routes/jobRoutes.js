@@ -3,11 +3,17 @@ const express = require('express');
 
 function createJobRouter(jobController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken, checkRole } = authMiddleware;
+    const { verifyToken, checkPermission, checkEntityPermission, checkRecordAccess } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
 
+    // Role permission for the entity (jobs.view/create/edit/delete)
+    router.use(checkEntityPermission('jobs'));
+
+    // Record-level access (owner/team/office scope and shares) for every /:id route
+    router.param('id', checkRecordAccess('job'));
+
     // Get all jobs 
     // (admins see all, regular users see only their own)
     router.get('/', jobController.getAll);
@@ -16,7 +22,10 @@ function createJobRouter(jobController, authMiddleware) {
     router.get('/skills-suggestions', jobController.getAdditionalSkillSuggestions);
 
     // Export jobs to XML (must be before /:id route)
-    router.get('/export/xml', jobController.exportToXML);
+    router.get('/export/xml', checkPermission('jobs.export'), jobController.exportToXML);
+
+    // Distribution targets and whether each is configured (must be before /:id route)
+    router.get('/distribution/targets', jobController.getDistributionTargets);
 
     // Create new job
     router.post('/', jobController.create);
@@ -31,6 +40,9 @@ function createJobRouter(jobController, authMiddleware) {
     // Applications (submissions) for a job – backed by job_seeker_applications table
     router.get('/:id/applications', jobController.getApplications);
 
+    // Applications grouped by pipeline stage, with time-in-stage stats; lists job seekers, so needs their view permission
+    router.get('/:id/pipeline', checkPermission('job_seekers.view'), jobController.getPipeline);
+
     // Update job by ID 
     // (admins can update any, regular users only their own)
     router.put('/:id', jobController.update);
@@ -46,10 +58,13 @@ function createJobRouter(jobController, authMiddleware) {
     // Route for history
     router.get('/:id/history', jobController.getHistory);
 
-    // Publish / distribute job (LinkedIn, Job Board) — works without credentials; completes when credentials are added
+    // Job board distribution: publish / unpost / repost per target, tracked in job_postings
     router.post('/:id/publish', jobController.publish);
+    router.post('/:id/unpost', jobController.unpost);
+    router.post('/:id/repost', jobController.repost);
+    router.get('/:id/postings', jobController.getPostings);
 
-    // AI Smart Match: returns job seeker IDs that best match the job (no DB writes, short-lived cache)
+    // Smart Match: ranks job seekers for the job with the local matching engine (scores + per-factor explanations)
     router.post('/:id/ai-match', jobController.aiMatch);
 
     // Document routes
@@ -66,7 +81,7 @@ function createJobRouter(jobController, authMiddleware) {
 // Delete request routes for jobs - separate router
 function createJobDeleteRequestRouter(deleteRequestController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken } = authMiddleware;
+    const { verifyToken, checkPermission } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
@@ -83,10 +98,10 @@ function createJobDeleteRequestRouter(deleteRequestController, authMiddleware) {
     router.post('/:id/unarchive-request', deleteRequestController.sendUnarchiveRequest);
 
     // Approve delete request (must come before /:id routes)
-    router.post('/delete/:id/approve', deleteRequestController.approve);
+    router.post('/delete/:id/approve', checkPermission('delete_requests.approve'), deleteRequestController.approve);
 
     // Deny delete request (must come before /:id routes)
-    router.post('/delete/:id/deny', deleteRequestController.deny);
+    router.post('/delete/:id/deny', checkPermission('delete_requests.approve'), deleteRequestController.deny);
 
     return router;
 }
@@ -3,7 +3,7 @@ function createJobSeekerRouter(jobSeekerController, authMiddleware) {
 
     const router = express.Router();
 
-    const { verifyToken, checkRole } = authMiddleware;
+    const { verifyToken, checkPermission, checkEntityPermission, checkRecordAccess } = authMiddleware;
 
 
 
@@ -13,6 +13,18 @@ function createJobSeekerRouter(jobSeekerController, authMiddleware) {
 
 
 
+    // Role permission for the entity (job_seekers.view/create/edit/delete); creating from a resume is a create
+
+    router.use(checkEntityPermission('job_seekers', { createPaths: ['/from-resume'] }));
+
+
+
+    // Record-level access (owner/team/office scope and shares) for every /:id route
+
+    router.param('id', checkRecordAccess('job_seeker'));
+
+
+
     // Candidate flow dashboard stats (must be before /:id)
     router.get('/candidate-flow', jobSeekerController.getCandidateFlowStats);
 
@@ -36,6 +48,9 @@ function createJobSeekerRouter(jobSeekerController, authMiddleware) {
 
     router.post('/', jobSeekerController.create);
 
+    // Create a job seeker from an uploaded resume (PDF, DOCX or text)
+    router.post('/from-resume', jobSeekerController.createFromResume);
+
 
 
     // Update job seeker by ID 
@@ -77,6 +92,16 @@ function createJobSeekerRouter(jobSeekerController, authMiddleware) {
 
     router.post('/:id/documents', jobSeekerController.addDocument);
 
+    router.post('/:id/documents/:documentId/parse-resume', jobSeekerController.parseResumeDocument);
+
+    // Completed copies of template documents (prefilled from the record, flattened PDF)
+    router.get('/:id/documents/templates/:templateId/prefill', jobSeekerController.getTemplatePrefill);
+
+    router.post('/:id/documents/templates/:templateId/fill', jobSeekerController.fillTemplateDocument);
+
+    // Accept suggested field changes from a parsed resume
+    router.post('/:id/resume/apply', jobSeekerController.applyResumeChanges);
+
     router.get('/:id/documents/:documentId', jobSeekerController.getDocument);
 
     router.put('/:id/documents/:documentId', jobSeekerController.updateDocument);
@@ -101,8 +126,14 @@ function createJobSeekerRouter(jobSeekerController, authMiddleware) {
 
     router.post('/:id/applications', jobSeekerController.addApplication);
 
+    // Body { stage, reason } moves the application through the job's pipeline; { status } edits the status text
     router.patch('/:id/applications/:applicationId', jobSeekerController.updateApplication);
 
+    router.get('/:id/applications/:applicationId/stage-history', jobSeekerController.getApplicationStageHistory);
+
+    // Best open jobs for this job seeker (reverse of POST /api/jobs/:id/ai-match)
+    router.get('/:id/job-matches', jobSeekerController.getJobMatches);
+
 
     
     return router;
@@ -111,7 +142,7 @@ function createJobSeekerRouter(jobSeekerController, authMiddleware) {
 // Delete request routes for job seekers - same structure as tasks/jobs for consistent behavior
 function createJobSeekerDeleteRequestRouter(deleteRequestController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken } = authMiddleware;
+    const { verifyToken, checkPermission } = authMiddleware;
 
     router.use(verifyToken);
 
@@ -119,8 +150,8 @@ function createJobSeekerDeleteRequestRouter(deleteRequestController, authMiddlew
     router.get('/:id/delete-request', deleteRequestController.getByRecord);
     router.post('/:id/delete-request', deleteRequestController.create);
     router.post('/:id/unarchive-request', deleteRequestController.sendUnarchiveRequest);
-    router.post('/delete/:id/approve', deleteRequestController.approve);
-    router.post('/delete/:id/deny', deleteRequestController.deny);
+    router.post('/delete/:id/approve', checkPermission('delete_requests.approve'), deleteRequestController.approve);
+    router.post('/delete/:id/deny', checkPermission('delete_requests.approve'), deleteRequestController.deny);
 
     return router;
 }
@@ -3,14 +3,14 @@ const express = require("express");
 
 function createJobSeekerTransferRouter(controller, authMiddleware) {
   const router = express.Router();
-  const { verifyToken } = authMiddleware;
+  const { verifyToken, checkPermission } = authMiddleware;
 
   router.use(verifyToken);
 
   router.post("/", controller.create);
   router.get("/:id", controller.getById);
-  router.post("/:id/approve", controller.approve);
-  router.post("/:id/deny", controller.deny);
+  router.post("/:id/approve", checkPermission("transfers.approve"), controller.approve);
+  router.post("/:id/deny", checkPermission("transfers.approve"), controller.deny);
 
   return router;
 }
@@ -1,12 +1,31 @@
 // routes/jobXMLRoutes.js
 const express = require("express");
 
+// Public feeds polled by job boards (no auth)
 function createJobXMLRouter(jobXMLController) {
     const router = express.Router();
 
     router.get("/", jobXMLController.getXMLFeed);
+    router.get("/:feedName", jobXMLController.getXMLFeed);
 
     return router;
 }
 
-module.exports = createJobXMLRouter;
\ No newline at end of file
+// Admin configuration of feeds (publisher, job URL, field map, filters, format)
+function createJobFeedConfigRouter(jobXMLController, authMiddleware) {
+    const router = express.Router();
+    const { verifyToken, checkPermission } = authMiddleware;
+
+    router.use(verifyToken);
+
+    router.get("/", jobXMLController.listFeedConfigs);
+    router.get("/:id", jobXMLController.getFeedConfig);
+    router.post("/", checkPermission("job_feeds.manage"), jobXMLController.createFeedConfig);
+    router.put("/:id", checkPermission("job_feeds.manage"), jobXMLController.updateFeedConfig);
+    router.delete("/:id", checkPermission("job_feeds.manage"), jobXMLController.deleteFeedConfig);
+
+    return router;
+}
+
+module.exports = createJobXMLRouter;
+module.exports.createJobFeedConfigRouter = createJobFeedConfigRouter;
@@ -7,13 +7,18 @@ module.exports = function jobseekerPortalAuthRoutes(pool, authMiddleware) {
 
   router.post("/login", controller.login.bind(controller));
   router.post("/forgot-password", controller.forgotPassword.bind(controller));
+  router.post("/check-reset-token", controller.checkResetToken.bind(controller));
+  router.post("/reset-password", controller.resetPassword.bind(controller));
+
+  // Works while must_reset_password is set (every other portal route answers 403 PASSWORD_RESET_REQUIRED)
+  router.post("/change-password", controller.portalAuthAllowingReset, controller.changePassword.bind(controller));
 
   // CMS admin: set job seeker portal temporary password (Bearer token required)
-  if (authMiddleware && authMiddleware.verifyToken && authMiddleware.checkRole) {
+  if (authMiddleware && authMiddleware.verifyToken && authMiddleware.checkPermission) {
     router.post(
       "/admin-set-password",
       authMiddleware.verifyToken,
-      authMiddleware.checkRole("admin", "owner"),
+      authMiddleware.checkPermission("portal.manage_passwords"),
       controller.adminSetPassword.bind(controller)
     );
   } else {
@@ -26,7 +31,7 @@ module.exports = function jobseekerPortalAuthRoutes(pool, authMiddleware) {
   }
 
   router.get("/me", controller.portalAuth.bind(controller), controller.me.bind(controller));
-  router.post("/logout", controller.portalAuth.bind(controller), controller.logout.bind(controller));
+  router.post("/logout", controller.portalAuthAllowingReset, controller.logout.bind(controller));
 
   return router;
 };
@@ -1,6 +1,33 @@
 const express = require("express");
 const Onboarding = require("../models/onboarding");
 const JobseekerPortalAuthController = require("../controllers/jobseekerPortalAuthController");
+const {
+  OnboardingDocumentError,
+  getPortalDocument,
+  saveDraft,
+  submitDocument,
+  uploadAdditionalDocument,
+  deleteAdditionalDocument,
+} = require("../services/onboardingDocumentService");
+const { DocumentFillError } = require("../services/documentFillService");
+const { clientIp } = require("../utils/clientIp");
+
+// Error response for the document fill routes
+function documentErrorResponse(res, error, message) {
+  if (error instanceof OnboardingDocumentError || error instanceof DocumentFillError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.errors ? { errors: error.errors } : {}),
+    });
+  }
+  console.error(message, error);
+  return res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === "production" ? undefined : error.message,
+  });
+}
 
 module.exports = function jobseekerPortalDocumentsRoutes(pool) {
   const router = express.Router();
@@ -57,5 +84,84 @@ router.get("/profile", portal.portalAuth.bind(portal), async (req, res) => {
 });
 
 
+  // Fields of one sent document with prefilled and saved values
+  router.get("/documents/:itemId", portal.portalAuth.bind(portal), async (req, res) => {
+    try {
+      const document = await getPortalDocument(pool, req.portalUser.job_seeker_id, req.params.itemId);
+      return res.json({ success: true, ...document });
+    } catch (e) {
+      return documentErrorResponse(res, e, "An error occurred while loading the document");
+    }
+  });
+
+  // Save the candidate's values as a draft { values: { field_name: value } }
+  router.put("/documents/:itemId/draft", portal.portalAuth.bind(portal), async (req, res) => {
+    try {
+      const item = await saveDraft(pool, req.portalUser.job_seeker_id, req.params.itemId, req.body.values);
+      return res.json({ success: true, message: "Draft saved", item });
+    } catch (e) {
+      return documentErrorResponse(res, e, "An error occurred while saving the draft");
+    }
+  });
+
+  // Validate and submit { values, consent }; the completed PDF is attached to the job seeker.
+  // consent: agreement to sign electronically, required when the document has signature fields
+  router.post("/documents/:itemId/submit", portal.portalAuth.bind(portal), async (req, res) => {
+    try {
+      const { item, document, signature, flowBack } = await submitDocument(
+        pool,
+        req.portalUser.job_seeker_id,
+        req.params.itemId,
+        req.body.values || {},
+        {
+          email: req.portalUser.email,
+          ip: clientIp(req),
+          userAgent: req.headers["user-agent"],
+          consent: req.body.consent,
+        }
+      );
+      return res.json({
+        success: true,
+        message:
+          item.status === Onboarding.ITEM_STATUS.PENDING_REVIEW ? "Document submitted for review" : "Document submitted",
+        item,
+        document,
+        signature: signature
+          ? { id: signature.id, signed_at: signature.signed_at, document_sha256: signature.document_sha256 }
+          : null,
+        flowBack,
+      });
+    } catch (e) {
+      return documentErrorResponse(res, e, "An error occurred while submitting the document");
+    }
+  });
+
+  // Attach an additional file (ID, certification) to a document that asks for them
+  // { file: { name, type, data } | base64, mime_type, file_name, label }; files up to MAX_UPLOAD_BYTES (10 MB),
+  // the body is parsed with a matching limit in index.js; up to MAX_UPLOADS_PER_ITEM (10) files per document
+  router.post("/documents/:itemId/uploads", portal.portalAuth.bind(portal), async (req, res) => {
+    try {
+      const upload = await uploadAdditionalDocument(pool, req.portalUser.job_seeker_id, req.params.itemId, req.body);
+      return res.status(201).json({ success: true, message: "File uploaded", upload });
+    } catch (e) {
+      return documentErrorResponse(res, e, "An error occurred while uploading the file");
+    }
+  });
+
+  // Remove an additional file before the document is submitted
+  router.delete("/documents/:itemId/uploads/:uploadId", portal.portalAuth.bind(portal), async (req, res) => {
+    try {
+      const upload = await deleteAdditionalDocument(
+        pool,
+        req.portalUser.job_seeker_id,
+        req.params.itemId,
+        req.params.uploadId
+      );
+      return res.json({ success: true, message: "File removed", upload });
+    } catch (e) {
+      return documentErrorResponse(res, e, "An error occurred while removing the file");
+    }
+  });
+
   return router;
 };
\ No newline at end of file
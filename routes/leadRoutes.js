@@ -1,11 +1,17 @@
 const express = require('express');
 function createLeadRouter(leadController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken, checkRole } = authMiddleware;
+    const { verifyToken, checkPermission, checkEntityPermission, checkRecordAccess } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
 
+    // Role permission for the entity (leads.view/create/edit/delete)
+    router.use(checkEntityPermission('leads'));
+
+    // Record-level access (owner/team/office scope and shares) for every /:id route
+    router.param('id', checkRecordAccess('lead'));
+
     // Get all leads 
     // (admins see all, regular users see only their own)
     router.get('/', leadController.getAll);
@@ -54,7 +60,7 @@ function createLeadRouter(leadController, authMiddleware) {
 // Delete request routes for leads - separate router
 function createLeadDeleteRequestRouter(deleteRequestController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken } = authMiddleware;
+    const { verifyToken, checkPermission } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
@@ -71,10 +77,10 @@ function createLeadDeleteRequestRouter(deleteRequestController, authMiddleware)
     router.post('/:id/unarchive-request', deleteRequestController.sendUnarchiveRequest);
 
     // Approve delete request (must come before /:id routes)
-    router.post('/delete/:id/approve', deleteRequestController.approve);
+    router.post('/delete/:id/approve', checkPermission('delete_requests.approve'), deleteRequestController.approve);
 
     // Deny delete request (must come before /:id routes)
-    router.post('/delete/:id/deny', deleteRequestController.deny);
+    router.post('/delete/:id/deny', checkPermission('delete_requests.approve'), deleteRequestController.deny);
 
     return router;
 }
@@ -0,0 +1,19 @@
+// routes/loginSecurityRoutes.js
+const express = require("express");
+
+function createLoginSecurityRouter(loginSecurityController, authMiddleware) {
+  const router = express.Router();
+  const { verifyToken, checkPermission } = authMiddleware;
+
+  router.use(verifyToken, checkPermission("security.manage"));
+
+  router.get("/settings", loginSecurityController.getSettings);
+  router.get("/history", loginSecurityController.getHistory);
+  router.get("/lockouts", loginSecurityController.getLockouts);
+  router.post("/lockouts/:id/unlock", loginSecurityController.unlockById);
+  router.post("/unlock", loginSecurityController.unlock);
+
+  return router;
+}
+
+module.exports = createLoginSecurityRouter;
@@ -2,7 +2,7 @@ const express = require('express');
 
 function createOfficeRouter(officeController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken, checkRole } = authMiddleware;
+    const { verifyToken, checkPermission } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
@@ -11,13 +11,13 @@ function createOfficeRouter(officeController, authMiddleware) {
     router.get('/', officeController.getAllOffices);
 
     // Create new office
-    router.post('/', checkRole('admin', 'owner'), officeController.createOffice);
+    router.post('/', checkPermission('offices.manage'), officeController.createOffice);
 
     // Update office
-    router.put('/:id', checkRole('admin', 'owner'), officeController.updateOffice);
+    router.put('/:id', checkPermission('offices.manage'), officeController.updateOffice);
 
     // Delete office
-    router.delete('/:id', checkRole('admin', 'owner'), officeController.deleteOffice);
+    router.delete('/:id', checkPermission('offices.manage'), officeController.deleteOffice);
 
     return router;
 }
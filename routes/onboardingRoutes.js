@@ -2,12 +2,48 @@ const express = require("express");
 
 function createOnboardingRouter(onboardingController, authMiddleware) {
   const router = express.Router();
-  const { verifyToken } = authMiddleware;
+  const { verifyToken, checkPermission, checkRecordAccess } = authMiddleware;
 
   router.use(verifyToken);
+  router.param("id", checkRecordAccess("job_seeker"));
 
   router.post("/send", onboardingController.send);
-  router.get("/job-seekers/:id", onboardingController.getForJobSeeker);
+  router.get("/job-seekers/:id", checkPermission("job_seekers.view"), onboardingController.getForJobSeeker);
+  router.post(
+    "/job-seekers/:id/items/:itemId/approve",
+    checkPermission("job_seekers.edit"),
+    onboardingController.approveItem
+  );
+  router.post(
+    "/job-seekers/:id/items/:itemId/reject",
+    checkPermission("job_seekers.edit"),
+    onboardingController.rejectItem
+  );
+  router.get(
+    "/job-seekers/:id/flow-back",
+    checkPermission("job_seekers.view"),
+    onboardingController.getFlowBackChanges
+  );
+  router.post(
+    "/job-seekers/:id/flow-back/:changeId/confirm",
+    checkPermission("job_seekers.edit"),
+    onboardingController.confirmFlowBackChange
+  );
+  router.post(
+    "/job-seekers/:id/flow-back/:changeId/reject",
+    checkPermission("job_seekers.edit"),
+    onboardingController.rejectFlowBackChange
+  );
+  router.get(
+    "/job-seekers/:id/signatures",
+    checkPermission("job_seekers.view"),
+    onboardingController.getSignatures
+  );
+  router.get(
+    "/job-seekers/:id/signatures/:signatureId/verify",
+    checkPermission("job_seekers.view"),
+    onboardingController.verifySignature
+  );
 
   return router;
 }
@@ -3,11 +3,17 @@ const express = require('express');
 
 function createOrganizationRouter(organizationController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken, checkRole } = authMiddleware;
+    const { verifyToken, checkPermission, checkEntityPermission, checkRecordAccess } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
 
+    // Role permission for the entity (organizations.view/create/edit/delete)
+    router.use(checkEntityPermission('organizations'));
+
+    // Record-level access (owner/team/office scope and shares) for every /:id route
+    router.param('id', checkRecordAccess('organization'));
+
     // Get all organizations 
     // (admins see all, regular users see only their own)
     router.get('/', organizationController.getAll);
@@ -61,7 +67,7 @@ function createOrganizationRouter(organizationController, authMiddleware) {
 // Transfer routes - separate router
 function createTransferRouter(transferController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken } = authMiddleware;
+    const { verifyToken, checkPermission } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
@@ -70,10 +76,10 @@ function createTransferRouter(transferController, authMiddleware) {
     router.post('/', transferController.create);
 
     // Approve transfer
-    router.post('/:id/approve', transferController.approve);
+    router.post('/:id/approve', checkPermission('transfers.approve'), transferController.approve);
 
     // Deny transfer
-    router.post('/:id/deny', transferController.deny);
+    router.post('/:id/deny', checkPermission('transfers.approve'), transferController.deny);
 
     return router;
 }
@@ -81,7 +87,7 @@ function createTransferRouter(transferController, authMiddleware) {
 // Delete request routes - separate router
 function createDeleteRequestRouter(deleteRequestController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken } = authMiddleware;
+    const { verifyToken, checkPermission } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
@@ -99,10 +105,10 @@ function createDeleteRequestRouter(deleteRequestController, authMiddleware) {
     router.post('/:id/unarchive-request', deleteRequestController.sendUnarchiveRequest);
 
     // Approve delete request (must come before /:id routes)
-    router.post('/delete/:id/approve', deleteRequestController.approve);
+    router.post('/delete/:id/approve', checkPermission('delete_requests.approve'), deleteRequestController.approve);
 
     // Deny delete request (must come before /:id routes)
-    router.post('/delete/:id/deny', deleteRequestController.deny);
+    router.post('/delete/:id/deny', checkPermission('delete_requests.approve'), deleteRequestController.deny);
 
     return router;
 }
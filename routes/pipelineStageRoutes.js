@@ -0,0 +1,20 @@
+// routes/pipelineStageRoutes.js
+const express = require("express");
+
+function createPipelineStageRouter(pipelineStageController, authMiddleware) {
+  const router = express.Router();
+  const { verifyToken, checkPermission } = authMiddleware;
+
+  // All routes require authentication
+  router.use(verifyToken);
+
+  router.get("/", pipelineStageController.getAll);
+  router.get("/resolve", pipelineStageController.getPipeline);
+  router.post("/", checkPermission("pipeline.manage"), pipelineStageController.create);
+  router.put("/:id", checkPermission("pipeline.manage"), pipelineStageController.update);
+  router.delete("/:id", checkPermission("pipeline.manage"), pipelineStageController.delete);
+
+  return router;
+}
+
+module.exports = createPipelineStageRouter;
@@ -2,11 +2,17 @@
 const express = require('express');
 function createPlacementRouter(placementController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken, checkRole } = authMiddleware;
+    const { verifyToken, checkPermission, checkEntityPermission, checkRecordAccess } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
 
+    // Role permission for the entity (placements.view/create/edit/delete)
+    router.use(checkEntityPermission('placements'));
+
+    // Record-level access (owner/team/office scope and shares) for every /:id route
+    router.param('id', checkRecordAccess('placement'));
+
     // Get all placements
     // (admins see all, regular users see only their own)
     router.get('/', placementController.getAll);
@@ -59,7 +65,7 @@ function createPlacementRouter(placementController, authMiddleware) {
 // Delete request routes for placements - separate router
 function createPlacementDeleteRequestRouter(deleteRequestController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken } = authMiddleware;
+    const { verifyToken, checkPermission } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
@@ -76,10 +82,10 @@ function createPlacementDeleteRequestRouter(deleteRequestController, authMiddlew
     router.post('/:id/unarchive-request', deleteRequestController.sendUnarchiveRequest);
 
     // Approve delete request (must come before /:id routes)
-    router.post('/delete/:id/approve', deleteRequestController.approve);
+    router.post('/delete/:id/approve', checkPermission('delete_requests.approve'), deleteRequestController.approve);
 
     // Deny delete request (must come before /:id routes)
-    router.post('/delete/:id/deny', deleteRequestController.deny);
+    router.post('/delete/:id/deny', checkPermission('delete_requests.approve'), deleteRequestController.deny);
 
     return router;
 }
@@ -0,0 +1,20 @@
+// routes/recordShareRoutes.js
+const express = require("express");
+
+function createRecordShareRouter(recordShareController, authMiddleware) {
+  const router = express.Router();
+  const { verifyToken } = authMiddleware;
+
+  // All routes require authentication
+  router.use(verifyToken);
+
+  // :entityType is organizations, hiring-managers, jobs, job-seekers, leads, placements or tasks
+  // Sharing needs update access to the record; listing needs read access
+  router.get("/:entityType/:recordId", recordShareController.list);
+  router.post("/:entityType/:recordId", recordShareController.create);
+  router.delete("/:entityType/:recordId/:shareId", recordShareController.remove);
+
+  return router;
+}
+
+module.exports = createRecordShareRouter;
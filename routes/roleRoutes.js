@@ -0,0 +1,27 @@
+// routes/roleRoutes.js
+const express = require("express");
+
+function createRoleRouter(roleController, authMiddleware) {
+  const router = express.Router();
+  const { verifyToken, checkPermission } = authMiddleware;
+
+  // All routes require authentication
+  router.use(verifyToken);
+
+  // Role list and permission catalogue are readable by any user (role pickers, UI gating)
+  router.get("/", roleController.getAll);
+  router.get("/permissions", roleController.getPermissions);
+  router.get("/:id", roleController.getById);
+
+  router.post("/", checkPermission("roles.manage"), roleController.create);
+  router.put("/:id", checkPermission("roles.manage"), roleController.update);
+  router.delete("/:id", checkPermission("roles.manage"), roleController.delete);
+
+  // Role assignment
+  router.get("/:id/users", checkPermission("roles.manage"), roleController.getUsers);
+  router.post("/:id/users", checkPermission("roles.manage"), roleController.assignUsers);
+
+  return router;
+}
+
+module.exports = createRoleRouter;
@@ -0,0 +1,17 @@
+// routes/searchRoutes.js
+const express = require("express");
+
+function createSearchRouter(searchController, authMiddleware) {
+  const router = express.Router();
+  const { verifyToken } = authMiddleware;
+
+  // All routes require authentication
+  router.use(verifyToken);
+
+  // GET /api/search?q=... - organizations, hiring managers, jobs, job seekers, leads, placements, tasks
+  router.get("/", searchController.search);
+
+  return router;
+}
+
+module.exports = createSearchRouter;
@@ -2,11 +2,17 @@ const express = require('express');
 
 function createTaskRouter(taskController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken, checkRole } = authMiddleware;
+    const { verifyToken, checkPermission, checkEntityPermission, checkRecordAccess } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
 
+    // Role permission for the entity (tasks.view/create/edit/delete)
+    router.use(checkEntityPermission('tasks'));
+
+    // Record-level access (owner/team/office scope and shares) for every /:id route
+    router.param('id', checkRecordAccess('task'));
+
     // Get all tasks 
     // (admins see all, regular users see only their own or assigned to them)
     router.get('/', taskController.getAll);
@@ -53,7 +59,7 @@ function createTaskRouter(taskController, authMiddleware) {
 // Delete request routes for tasks - separate router
 function createTaskDeleteRequestRouter(deleteRequestController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken } = authMiddleware;
+    const { verifyToken, checkPermission } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
@@ -70,10 +76,10 @@ function createTaskDeleteRequestRouter(deleteRequestController, authMiddleware)
     router.post('/:id/unarchive-request', deleteRequestController.sendUnarchiveRequest);
 
     // Approve delete request (must come before /:id routes)
-    router.post('/delete/:id/approve', deleteRequestController.approve);
+    router.post('/delete/:id/approve', checkPermission('delete_requests.approve'), deleteRequestController.approve);
 
     // Deny delete request (must come before /:id routes)
-    router.post('/delete/:id/deny', deleteRequestController.deny);
+    router.post('/delete/:id/deny', checkPermission('delete_requests.approve'), deleteRequestController.deny);
 
     return router;
 }
@@ -2,7 +2,7 @@ const express = require('express');
 
 function createTeamRouter(teamController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken, checkRole } = authMiddleware;
+    const { verifyToken, checkPermission } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
@@ -11,22 +11,22 @@ function createTeamRouter(teamController, authMiddleware) {
     router.get('/', teamController.getAllTeams);
 
     // Create new team
-    router.post('/', checkRole('admin', 'owner'), teamController.createTeam);
+    router.post('/', checkPermission('teams.manage'), teamController.createTeam);
 
     // Get team members
     router.get('/:id/members', teamController.getTeamMembers);
 
     // Add team member
-    router.post('/:id/members', checkRole('admin', 'owner'), teamController.addTeamMember);
+    router.post('/:id/members', checkPermission('teams.manage'), teamController.addTeamMember);
 
     // Remove team member
-    router.delete('/:id/members/:userId', checkRole('admin', 'owner'), teamController.removeTeamMember);
+    router.delete('/:id/members/:userId', checkPermission('teams.manage'), teamController.removeTeamMember);
 
     // Update team
-    router.put('/:id', checkRole('admin', 'owner'), teamController.updateTeam);
+    router.put('/:id', checkPermission('teams.manage'), teamController.updateTeam);
 
     // Delete team
-    router.delete('/:id', checkRole('admin', 'owner'), teamController.deleteTeam);
+    router.delete('/:id', checkPermission('teams.manage'), teamController.deleteTeam);
 
     return router;
 }
@@ -3,7 +3,7 @@ const express = require("express");
 
 function createTransferRouter(transferController, authMiddleware) {
   const router = express.Router();
-  const { verifyToken } = authMiddleware;
+  const { verifyToken, checkPermission } = authMiddleware;
 
   // All routes require authentication
   router.use(verifyToken);
@@ -12,10 +12,10 @@ function createTransferRouter(transferController, authMiddleware) {
   router.post("/", transferController.create);
 
   // Approve transfer
-  router.post("/:id/approve", transferController.approve);
+  router.post("/:id/approve", checkPermission("transfers.approve"), transferController.approve);
 
   // Deny transfer
-  router.post("/:id/deny", transferController.deny);
+  router.post("/:id/deny", checkPermission("transfers.approve"), transferController.deny);
 
   return router;
 }
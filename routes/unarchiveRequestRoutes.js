@@ -2,13 +2,13 @@ const express = require("express");
 
 function createUnarchiveRequestRouter(deleteRequestController, authMiddleware) {
   const router = express.Router();
-  const { verifyToken } = authMiddleware;
+  const { verifyToken, checkPermission } = authMiddleware;
 
   router.use(verifyToken);
 
   router.get("/:id", deleteRequestController.getUnarchiveRequestById);
-  router.post("/:id/approve", deleteRequestController.approveUnarchive);
-  router.post("/:id/deny", deleteRequestController.denyUnarchive);
+  router.post("/:id/approve", checkPermission("delete_requests.approve"), deleteRequestController.approveUnarchive);
+  router.post("/:id/deny", checkPermission("delete_requests.approve"), deleteRequestController.denyUnarchive);
 
   return router;
 }
@@ -2,7 +2,7 @@ const express = require('express');
 
 function createUserRouter(userController, authMiddleware) {
     const router = express.Router();
-    const { verifyToken, checkRole } = authMiddleware;
+    const { verifyToken, checkPermission } = authMiddleware;
 
     // All routes require authentication
     router.use(verifyToken);
@@ -10,14 +10,24 @@ function createUserRouter(userController, authMiddleware) {
     // Get all active users (for dropdowns)
     router.get('/active', userController.getActiveUsers);
 
-    // Get all users (admin only)
-    router.get('/', checkRole('admin', 'owner'), userController.getAllUsers);
+    // Get all users
+    router.get('/', checkPermission('users.manage'), userController.getAllUsers);
 
-    // Create new user (any authenticated user can create users)
-    router.post('/', userController.createUser);
+    // Create new user; users created without a password get an invite email
+    router.post('/', checkPermission('users.manage'), userController.createUser);
+
+    // Send a new invite link to a user who has not accepted theirs
+    router.post('/:userId/invite', checkPermission('users.manage'), userController.resendInvite);
 
     // Update user password
-    router.put('/:userId/password', checkRole('admin', 'owner'), userController.updatePassword);
+    router.put('/:userId/password', checkPermission('users.manage'), userController.updatePassword);
+
+    // Admin reset of a user's two-factor authentication (lost device)
+    router.post('/:userId/2fa/reset', checkPermission('users.manage'), userController.resetTwoFactor);
+
+    // Login sessions of a user; revoking them logs the user out everywhere
+    router.get('/:userId/sessions', checkPermission('users.manage'), userController.getUserSessions);
+    router.post('/:userId/sessions/revoke', checkPermission('users.manage'), userController.revokeUserSessions);
 
     return router;
 }
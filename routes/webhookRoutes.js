@@ -0,0 +1,29 @@
+// routes/webhookRoutes.js
+const express = require("express");
+
+function createWebhookRouter(webhookController, authMiddleware) {
+  const router = express.Router();
+  const { verifyToken, checkPermission } = authMiddleware;
+
+  // Webhooks send CRM data to external systems, so every route needs webhooks.manage
+  router.use(verifyToken, checkPermission("webhooks.manage"));
+
+  router.get("/events", webhookController.getEvents);
+
+  // Delivery log (before /:id so "deliveries" is not read as a subscription id)
+  router.get("/deliveries/:deliveryId", webhookController.getDelivery);
+  router.post("/deliveries/:deliveryId/replay", webhookController.replay);
+
+  router.get("/", webhookController.getAll);
+  router.post("/", webhookController.create);
+  router.get("/:id", webhookController.getById);
+  router.put("/:id", webhookController.update);
+  router.delete("/:id", webhookController.delete);
+  router.post("/:id/rotate-secret", webhookController.rotateSecret);
+  router.post("/:id/test", webhookController.test);
+  router.get("/:id/deliveries", webhookController.getDeliveries);
+
+  return router;
+}
+
+module.exports = createWebhookRouter;
@@ -12,6 +12,7 @@ const routes = [
   "/api/cron/archive-cleanup",
   "/api/cron/task-reminders",
   "/api/cron/delete-retry",
+  "/api/cron/duplicate-scan",
 ];
 
 async function test(path) {
@@ -0,0 +1,288 @@
+/**
+ * Unified audit trail (models/auditLog.js).
+ *
+ * Models, approval flows and login call recordAudit() (or the auditRecord* helpers) after their change commits.
+ * The acting user, IP address and user agent come from the request context (middleware/requestContext.js);
+ * entries written outside a request (cron jobs) have no user.
+ *
+ * Entries are hash-chained: hash = SHA-256 of the previous entry's hash and the entry's canonical JSON
+ * (keys sorted). verifyAuditChain() recomputes the chain, so editing, deleting or reordering entries shows up
+ * as a broken link. Keep the latest hash reported by verification outside the database to also detect
+ * entries removed from the end.
+ */
+
+const crypto = require('crypto');
+const AuditLog = require('../models/auditLog');
+const { ACCESS_ENTITIES } = require('./recordAccessService');
+const { getRequestContext } = require('../middleware/requestContext');
+const { sanitizeRecord, diffRecords } = require('../utils/recordDiff');
+
+const AUDIT_ACTIONS = [
+    'create',
+    'update',
+    'bulk_update',
+    'archive',
+    'unarchive',
+    'transfer',
+    'delete',
+    'login',
+    'login_failed',
+    'logout',
+    'login_locked',
+    'login_unlocked',
+    'two_factor_challenge',
+    'two_factor_verified',
+    'two_factor_failed',
+    'two_factor_enrolled',
+    'two_factor_disabled',
+    'two_factor_reset',
+    'two_factor_recovery_codes',
+    'password_reset',
+    'invite',
+    'email_verified',
+    'export',
+    'onboarding_approved',
+    'onboarding_rejected',
+];
+
+const VERIFY_BATCH_SIZE = 1000;
+
+// Columns of an audit export
+const AUDIT_EXPORT_COLUMNS = [
+    { key: 'id', label: 'ID' },
+    { key: 'occurred_at', label: 'Occurred At' },
+    { key: 'action', label: 'Action' },
+    { key: 'entity_type', label: 'Entity Type' },
+    { key: 'entity_id', label: 'Entity ID' },
+    { key: 'entity_label', label: 'Entity' },
+    { key: 'user_id', label: 'User ID' },
+    { key: 'user_email', label: 'User Email' },
+    { key: 'ip_address', label: 'IP Address' },
+    { key: 'changes', label: 'Changes' },
+    { key: 'metadata', label: 'Metadata' },
+    { key: 'prev_hash', label: 'Previous Hash' },
+    { key: 'hash', label: 'Hash' },
+];
+
+/** JSON with object keys sorted at every level, so the same content always hashes the same */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .sort()
+            .filter((key) => value[key] !== undefined)
+            .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+// Values as they come back out of a JSONB column (dates become ISO strings)
+function toJsonValue(value) {
+    return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Hash of an entry chained to the previous one.
+ * @param {string|null} prevHash
+ * @param {Object} entry - audit_log row or entry about to be inserted
+ */
+function computeAuditHash(prevHash, entry) {
+    const content = canonicalJson({
+        prev_hash: prevHash || null,
+        occurred_at: new Date(entry.occurred_at).toISOString(),
+        action: entry.action,
+        entity_type: entry.entity_type,
+        entity_id: entry.entity_id ?? null,
+        entity_label: entry.entity_label ?? null,
+        user_id: entry.user_id ?? null,
+        user_email: entry.user_email ?? null,
+        ip_address: entry.ip_address ?? null,
+        user_agent: entry.user_agent ?? null,
+        changes: entry.changes ?? null,
+        before_data: entry.before_data ?? null,
+        after_data: entry.after_data ?? null,
+        metadata: entry.metadata ?? null,
+    });
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/** Display label of a CRM record (name, title, or first + last name) */
+function recordLabel(record) {
+    if (!record) return null;
+    const name = [record.first_name, record.last_name].filter(Boolean).join(' ');
+    const label = record.name || record.title || record.job_title || name || null;
+    return label ? String(label).slice(0, 500) : null;
+}
+
+/**
+ * Append an entry to the audit log. Never throws: a logging problem must not fail the change itself.
+ * @param {object} pool
+ * @param {{ action: string, entityType: string, entityId?: any, entityLabel?: string, before?: Object,
+ *   after?: Object, changes?: Object, metadata?: Object, user?: { id: number, email?: string } }} params -
+ *   user defaults to the authenticated user of the current request
+ * @returns {Promise<Object|null>} the entry, or null when it could not be written
+ */
+async function recordAudit(pool, { action, entityType, entityId = null, entityLabel = null, before = null, after = null, changes = null, metadata = null, user = null }) {
+    try {
+        const context = getRequestContext();
+        const actor = user || context?.user || null;
+        const entry = {
+            occurred_at: new Date(),
+            action,
+            entity_type: entityType,
+            entity_id: entityId !== null && entityId !== undefined ? String(entityId) : null,
+            entity_label: entityLabel || recordLabel(after || before),
+            user_id: actor?.id ?? null,
+            user_email: actor?.email ?? null,
+            ip_address: context?.ip ?? null,
+            user_agent: context?.userAgent ?? null,
+            changes: toJsonValue(changes),
+            before_data: toJsonValue(sanitizeRecord(before)),
+            after_data: toJsonValue(sanitizeRecord(after)),
+            metadata: toJsonValue(metadata),
+        };
+        return await new AuditLog(pool).append(entry, computeAuditHash);
+    } catch (error) {
+        console.error(`Error writing audit entry (${action} ${entityType} ${entityId}):`, error.message);
+        return null;
+    }
+}
+
+// update, or bulk_update when the request marked itself as a bulk update
+function updateAction() {
+    return getRequestContext()?.auditAction === 'bulk_update' ? 'bulk_update' : 'update';
+}
+
+async function auditRecordCreated(pool, entityType, record) {
+    if (!record) return;
+    await recordAudit(pool, { action: 'create', entityType, entityId: record.id, after: record });
+}
+
+/** "update" (or "bulk_update") with the changed fields; nothing when no field changed */
+async function auditRecordUpdated(pool, entityType, before, after) {
+    if (!before || !after) return;
+    const changes = diffRecords(before, after);
+    if (Object.keys(changes).length === 0) return;
+    await recordAudit(pool, { action: updateAction(), entityType, entityId: after.id, before, after, changes });
+}
+
+async function auditRecordDeleted(pool, entityType, record) {
+    if (!record) return;
+    await recordAudit(pool, { action: 'delete', entityType, entityId: record.id, before: record });
+}
+
+/**
+ * Current row of a CRM record (ACCESS_ENTITIES key), for flows that change records with direct SQL.
+ * @returns {Promise<Object|null>}
+ */
+async function snapshotRecord(pool, entityType, id) {
+    const entity = ACCESS_ENTITIES[entityType];
+    if (!entity) return null;
+    try {
+        const result = await pool.query(`SELECT * FROM ${entity.table} WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    } catch (error) {
+        console.error(`Error reading ${entityType} ${id} for the audit log:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Entry for a change made outside the models (archive, unarchive, transfer), with before/after diff.
+ */
+async function auditRecordChange(pool, { action, entityType, entityId, before, after, metadata = null }) {
+    await recordAudit(pool, {
+        action,
+        entityType,
+        entityId,
+        before,
+        after,
+        changes: before && after ? diffRecords(before, after) : null,
+        metadata,
+    });
+}
+
+/**
+ * Recompute the hash chain between two ids (whole log by default).
+ * @returns {Promise<{ valid: boolean, checked: number, firstId: string|null, lastId: string|null,
+ *   lastHash: string|null, brokenAt?: string, reason?: string }>}
+ */
+async function verifyAuditChain(pool, { fromId = null, toId = null } = {}) {
+    const auditLog = new AuditLog(pool);
+    const startAfter = fromId ? Number(fromId) - 1 : 0;
+    let prevHash = startAfter > 0 ? await auditLog.getHashBefore(fromId) : null;
+    let afterId = startAfter;
+    let checked = 0;
+    let firstId = null;
+    let lastId = null;
+
+    for (;;) {
+        const rows = await auditLog.getBatch({}, { afterId, limit: VERIFY_BATCH_SIZE });
+        for (const row of rows) {
+            if (toId && Number(row.id) > Number(toId)) {
+                return { valid: true, checked, firstId, lastId, lastHash: prevHash };
+            }
+            if ((row.prev_hash || null) !== prevHash) {
+                return { valid: false, checked, firstId, lastId, lastHash: prevHash, brokenAt: row.id, reason: 'prev_hash does not match the previous entry' };
+            }
+            if (computeAuditHash(prevHash, row) !== row.hash) {
+                return { valid: false, checked, firstId, lastId, lastHash: prevHash, brokenAt: row.id, reason: 'entry content does not match its hash' };
+            }
+            prevHash = row.hash;
+            firstId = firstId || row.id;
+            lastId = row.id;
+            checked++;
+        }
+        if (rows.length < VERIFY_BATCH_SIZE) break;
+        afterId = rows[rows.length - 1].id;
+    }
+    return { valid: true, checked, firstId, lastId, lastHash: prevHash };
+}
+
+function exportValue(row, key) {
+    const value = row[key];
+    if (value instanceof Date) return value.toISOString();
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * Write every entry matching the filters, oldest first.
+ * @param {object} pool
+ * @param {Object} filters - same as AuditLog.search()
+ * @param {{ writeRow(values: Array): Promise<void>, finish(): Promise<void> }} writer - utils/spreadsheetWriter
+ * @param {{ isAborted?: Function }} [options]
+ * @returns {Promise<{ rowCount: number, aborted: boolean }>}
+ */
+async function writeAuditExport(pool, filters, writer, { isAborted = () => false } = {}) {
+    const auditLog = new AuditLog(pool);
+    let rowCount = 0;
+    let afterId = 0;
+    for (;;) {
+        const rows = await auditLog.getBatch(filters, { afterId, limit: VERIFY_BATCH_SIZE });
+        for (const row of rows) {
+            await writer.writeRow(AUDIT_EXPORT_COLUMNS.map((c) => exportValue(row, c.key)));
+            rowCount++;
+        }
+        if (isAborted()) return { rowCount, aborted: true };
+        if (rows.length < VERIFY_BATCH_SIZE) break;
+        afterId = rows[rows.length - 1].id;
+    }
+    await writer.finish();
+    return { rowCount, aborted: false };
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    AUDIT_EXPORT_COLUMNS,
+    computeAuditHash,
+    recordAudit,
+    auditRecordCreated,
+    auditRecordUpdated,
+    auditRecordDeleted,
+    auditRecordChange,
+    snapshotRecord,
+    verifyAuditChain,
+    writeAuditExport,
+};
@@ -0,0 +1,440 @@
+/**
+ * Server-side enforcement of custom_field_definitions when records are saved.
+ * - Required fields (is_required, not hidden / read-only)
+ * - Types: email, phone, number, currency, percentage, date, datetime, url, checkbox,
+ *   select / radio / multiselect / multicheckbox options, lookup / multiselect_lookup (record must exist)
+ * - validation_rules: { min, max, minLength, maxLength, pattern, message }; patterns with nested repeats are
+ *   refused when a definition is saved and skipped here, and values over MAX_PATTERN_VALUE_LENGTH are not tested
+ * - Read-only fields cannot be changed through the API
+ *
+ * custom_fields keys are stored by field_label (what the frontend sends); field_name is accepted too.
+ * Unknown keys are left alone (internal keys such as "references" or "_relationship_*").
+ */
+
+// Custom field entity_type -> table holding the records (used to build variant types and lookups)
+const ENTITY_TYPES = {
+    organizations: { table: 'organizations' },
+    jobs: { table: 'jobs' },
+    'job-seekers': { table: 'job_seekers' },
+    'hiring-managers': { table: 'hiring_managers' },
+    leads: { table: 'leads' },
+    tasks: { table: 'tasks' },
+    placements: { table: 'placements' },
+};
+
+// lookup_type -> how to resolve a value (numeric id, or a display name)
+const LOOKUP_TARGETS = {
+    organizations: { table: 'organizations', nameExpr: 'name' },
+    jobs: { table: 'jobs', nameExpr: 'job_title' },
+    'job-seekers': { table: 'job_seekers', nameExpr: "CONCAT(first_name, ' ', last_name)" },
+    'hiring-managers': { table: 'hiring_managers', nameExpr: "CONCAT(first_name, ' ', last_name)" },
+    leads: { table: 'leads', nameExpr: "CONCAT(first_name, ' ', last_name)" },
+    placements: { table: 'placements', nameExpr: null },
+    tasks: { table: 'tasks', nameExpr: 'title' },
+    users: { table: 'users', nameExpr: 'name' },
+};
+
+const LOOKUP_ALIASES = {
+    organization: 'organizations',
+    job: 'jobs',
+    'job-seeker': 'job-seekers',
+    jobseeker: 'job-seekers',
+    jobseekers: 'job-seekers',
+    candidate: 'job-seekers',
+    candidates: 'job-seekers',
+    'hiring-manager': 'hiring-managers',
+    contact: 'hiring-managers',
+    contacts: 'hiring-managers',
+    lead: 'leads',
+    placement: 'placements',
+    task: 'tasks',
+    user: 'users',
+    owner: 'users',
+    owners: 'users',
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Longest value tested against a validation_rules pattern; longer values fail the format check
+const MAX_PATTERN_VALUE_LENGTH = 1000;
+// A quantifier that repeats without a small fixed bound: *, +, {n,} and {n,m}
+const REPEAT_QUANTIFIER = /^(?:[*+]|\{\d+,\d*\})/;
+const URL_REGEX = /^(https?:\/\/)?([\w-]+\.)+[\w-]{2,}(\/\S*)?$/i;
+
+function slugify(value) {
+    return String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function normalizeLookupType(lookupType) {
+    const key = slugify(lookupType).replace(/_/g, '-');
+    return LOOKUP_TARGETS[key] ? key : (LOOKUP_ALIASES[key] || null);
+}
+
+function parseJson(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function isEmpty(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    return false;
+}
+
+/** Multi-value fields may arrive as arrays or comma-separated strings */
+function toValueList(value) {
+    if (Array.isArray(value)) return value.map((v) => (v && typeof v === 'object' ? (v.value ?? v.id ?? v.label) : v));
+    return String(value).split(',').map((v) => v.trim()).filter((v) => v !== '');
+}
+
+/** options JSONB is either ["A", "B"] or [{ label, value }] */
+function optionValues(options) {
+    const list = parseJson(options, []);
+    if (!Array.isArray(list)) return [];
+    const values = new Set();
+    for (const opt of list) {
+        if (opt && typeof opt === 'object') {
+            if (opt.value !== undefined) values.add(String(opt.value).toLowerCase());
+            if (opt.label !== undefined) values.add(String(opt.label).toLowerCase());
+        } else if (opt !== null && opt !== undefined) {
+            values.add(String(opt).toLowerCase());
+        }
+    }
+    return [...values];
+}
+
+function parseNumber(value, fieldType) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+    let str = String(value).trim();
+    if (fieldType === 'currency') str = str.replace(/^[^\d-]+/, '').replace(/,/g, '');
+    if (fieldType === 'percentage') str = str.replace(/%$/, '').trim();
+    if (str === '' || !/^-?\d+(\.\d+)?$/.test(str)) return NaN;
+    return Number(str);
+}
+
+function sameValue(a, b) {
+    const norm = (v) => (isEmpty(v) ? '' : (typeof v === 'object' ? JSON.stringify(v) : String(v).trim()));
+    return norm(a) === norm(b);
+}
+
+function fieldError(def, code, message) {
+    return {
+        field: def.field_label,
+        fieldName: def.field_name,
+        code,
+        message,
+    };
+}
+
+/**
+ * Load definitions for an entity type. When a variant (e.g. placement_type "Direct Hire") has its own
+ * definitions ("placements-direct-hire"), those are used; otherwise the base entity type.
+ */
+async function loadDefinitions(pool, entityType, variant = null) {
+    const candidates = [];
+    if (variant) candidates.push(`${entityType}-${slugify(variant)}`);
+    candidates.push(entityType);
+
+    const result = await pool.query(
+        `SELECT * FROM custom_field_definitions WHERE entity_type = ANY($1) ORDER BY sort_order, created_at`,
+        [candidates]
+    );
+    for (const type of candidates) {
+        const defs = result.rows.filter((r) => r.entity_type === type);
+        if (defs.length > 0) return defs;
+    }
+    return [];
+}
+
+/** Find the submitted value for a definition (keys are labels; field_name accepted as fallback) */
+function findValue(customFields, def) {
+    if (Object.prototype.hasOwnProperty.call(customFields, def.field_label)) {
+        return { present: true, key: def.field_label, value: customFields[def.field_label] };
+    }
+    if (Object.prototype.hasOwnProperty.call(customFields, def.field_name)) {
+        return { present: true, key: def.field_name, value: customFields[def.field_name] };
+    }
+    return { present: false, key: def.field_label, value: undefined };
+}
+
+async function lookupExists(pool, lookupType, values) {
+    const target = LOOKUP_TARGETS[lookupType];
+    const missing = [];
+    for (const raw of values) {
+        const value = String(raw).trim();
+        if (value === '') continue;
+        let found = false;
+        if (/^\d+$/.test(value)) {
+            const r = await pool.query(`SELECT 1 FROM ${target.table} WHERE id = $1 LIMIT 1`, [parseInt(value, 10)]);
+            found = r.rows.length > 0;
+        }
+        if (!found && target.nameExpr) {
+            const r = await pool.query(
+                `SELECT 1 FROM ${target.table} WHERE LOWER(TRIM(${target.nameExpr})) = LOWER($1) LIMIT 1`,
+                [value]
+            );
+            found = r.rows.length > 0;
+        }
+        if (!found) missing.push(value);
+    }
+    return missing;
+}
+
+/**
+ * Whether a repeated group contains a repeat itself, e.g. (a+)+ or (\w*\s?)*. Such patterns backtrack
+ * exponentially on a value that almost matches.
+ */
+function hasNestedQuantifier(pattern) {
+    const groups = [{ repeats: false }];
+    let i = 0;
+    while (i < pattern.length) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i += 2;
+        } else if (char === '[') {
+            // Skip the character class; a ] right after [ or [^ closes it in JavaScript
+            i++;
+            while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+            i++;
+        } else if (char === '(') {
+            groups.push({ repeats: false });
+            i++;
+        } else if (char === ')') {
+            const group = groups.length > 1 ? groups.pop() : { repeats: false };
+            i++;
+            const quantifier = pattern.slice(i).match(REPEAT_QUANTIFIER);
+            if (quantifier && group.repeats) return true;
+            if (quantifier || group.repeats) groups[groups.length - 1].repeats = true;
+        } else {
+            const quantifier = pattern.slice(i).match(REPEAT_QUANTIFIER);
+            if (quantifier) {
+                groups[groups.length - 1].repeats = true;
+                i += quantifier[0].length;
+            } else {
+                i++;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Problem with the validation_rules of a field definition being saved, or null.
+ * @param {object|string|null} rules
+ * @returns {string|null}
+ */
+function validationRulesError(rules) {
+    const parsed = parseJson(rules, null);
+    if (!parsed || parsed.pattern === undefined || parsed.pattern === null || parsed.pattern === '') return null;
+    if (typeof parsed.pattern !== 'string') return 'validationRules.pattern must be a string';
+    try {
+        new RegExp(parsed.pattern);
+    } catch (e) {
+        return `validationRules.pattern is not a valid regular expression: ${e.message}`;
+    }
+    if (hasNestedQuantifier(parsed.pattern)) {
+        return 'validationRules.pattern cannot repeat a group that contains a repeat, such as (a+)+';
+    }
+    return null;
+}
+
+/** Type + validation_rules checks for a single non-empty value */
+async function validateValue(pool, def, value) {
+    const type = def.field_type || 'text';
+    const label = def.field_label;
+    const rules = parseJson(def.validation_rules, {}) || {};
+    const errors = [];
+
+    switch (type) {
+        case 'email':
+            if (!EMAIL_REGEX.test(String(value).trim())) {
+                errors.push(fieldError(def, 'invalid_type', `${label} must be a valid email address`));
+            }
+            break;
+        case 'phone': {
+            const digits = String(value).replace(/\D/g, '');
+            if (!/^[\d\s()+.\-x]+$/i.test(String(value).trim()) || digits.length < 7 || digits.length > 15) {
+                errors.push(fieldError(def, 'invalid_type', `${label} must be a valid phone number`));
+            }
+            break;
+        }
+        case 'number':
+        case 'currency':
+        case 'percentage': {
+            const n = parseNumber(value, type);
+            if (Number.isNaN(n)) {
+                errors.push(fieldError(def, 'invalid_type', `${label} must be a ${type === 'number' ? 'number' : `valid ${type}`}`));
+                break;
+            }
+            if (rules.min !== undefined && rules.min !== null && n < Number(rules.min)) {
+                errors.push(fieldError(def, 'rule', rules.message || `${label} must be at least ${rules.min}`));
+            }
+            if (rules.max !== undefined && rules.max !== null && n > Number(rules.max)) {
+                errors.push(fieldError(def, 'rule', rules.message || `${label} must be at most ${rules.max}`));
+            }
+            break;
+        }
+        case 'date':
+        case 'datetime':
+            if (Number.isNaN(Date.parse(String(value)))) {
+                errors.push(fieldError(def, 'invalid_type', `${label} must be a valid ${type === 'date' ? 'date' : 'date and time'}`));
+            }
+            break;
+        case 'url':
+            if (!URL_REGEX.test(String(value).trim())) {
+                errors.push(fieldError(def, 'invalid_type', `${label} must be a valid URL`));
+            }
+            break;
+        case 'checkbox':
+            if (!['true', 'false', '1', '0', 'yes', 'no', 'on', 'off'].includes(String(value).trim().toLowerCase())) {
+                errors.push(fieldError(def, 'invalid_type', `${label} must be true or false`));
+            }
+            break;
+        case 'select':
+        case 'radio':
+        case 'multiselect':
+        case 'multicheckbox': {
+            const allowed = optionValues(def.options);
+            if (allowed.length === 0) break;
+            const submitted = type === 'select' || type === 'radio' ? [value] : toValueList(value);
+            const invalid = submitted.filter((v) => !allowed.includes(String(v).trim().toLowerCase()));
+            if (invalid.length > 0) {
+                errors.push(fieldError(def, 'invalid_option', `${label} has invalid option(s): ${invalid.join(', ')}`));
+            }
+            break;
+        }
+        case 'lookup':
+        case 'multiselect_lookup': {
+            const lookupType = normalizeLookupType(def.lookup_type);
+            if (!lookupType) break;
+            const submitted = type === 'lookup' ? [value && typeof value === 'object' ? (value.id ?? value.value) : value] : toValueList(value);
+            const missing = await lookupExists(pool, lookupType, submitted);
+            if (missing.length > 0) {
+                errors.push(fieldError(def, 'not_found', `${label} refers to ${lookupType} that do not exist: ${missing.join(', ')}`));
+            }
+            break;
+        }
+        default:
+            break;
+    }
+
+    if (['text', 'textarea', 'email', 'url', 'phone'].includes(type) && typeof value === 'string') {
+        if (rules.minLength && value.length < Number(rules.minLength)) {
+            errors.push(fieldError(def, 'rule', rules.message || `${label} must be at least ${rules.minLength} characters`));
+        }
+        if (rules.maxLength && value.length > Number(rules.maxLength)) {
+            errors.push(fieldError(def, 'rule', rules.message || `${label} must be at most ${rules.maxLength} characters`));
+        }
+        if (rules.pattern) {
+            // Definitions saved before patterns were checked may still hold an unsafe one
+            const patternError = validationRulesError({ pattern: rules.pattern });
+            if (patternError) {
+                console.error(`Invalid validation pattern on custom field ${def.id}:`, patternError);
+            } else if (value.length > MAX_PATTERN_VALUE_LENGTH) {
+                errors.push(fieldError(def, 'rule', rules.message || `${label} is too long to check its format (at most ${MAX_PATTERN_VALUE_LENGTH} characters)`));
+            } else if (!new RegExp(rules.pattern).test(value)) {
+                errors.push(fieldError(def, 'rule', rules.message || `${label} has an invalid format`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a custom_fields payload against the entity's definitions.
+ *
+ * @param {object} pool - pg pool
+ * @param {object} opts
+ * @param {string} opts.entityType - custom field entity_type ('jobs', 'job-seekers', 'placements', ...)
+ * @param {string} [opts.variant] - optional sub-type (job_type / placement_type) for variant definitions
+ * @param {object|string} opts.customFields - submitted custom_fields
+ * @param {object|string} [opts.existingCustomFields] - current custom_fields (update / bulk-update)
+ * @param {string} [opts.mode] - 'create' checks every required field; 'update' only the submitted ones
+ * @param {Map} [opts.cache] - shared definitions cache (bulk-update validates many records)
+ * @returns {Promise<Array<{ field: string, fieldName: string, code: string, message: string }>>}
+ */
+async function validateCustomFields(pool, opts) {
+    const {
+        entityType,
+        variant = null,
+        customFields,
+        existingCustomFields = null,
+        mode = 'create',
+        cache = null,
+    } = opts;
+
+    if (!ENTITY_TYPES[entityType]) {
+        throw new Error(`Unknown custom field entity type: ${entityType}`);
+    }
+
+    const submitted = parseJson(customFields, {});
+    if (submitted === null || typeof submitted !== 'object' || Array.isArray(submitted)) {
+        return [{ field: 'custom_fields', fieldName: 'custom_fields', code: 'invalid_type', message: 'custom_fields must be an object' }];
+    }
+    // Update without custom_fields: nothing to check
+    if (mode !== 'create' && (customFields === undefined || customFields === null)) {
+        return [];
+    }
+
+    const existing = parseJson(existingCustomFields, {}) || {};
+    const cacheKey = `${entityType}|${slugify(variant)}`;
+    let defs = cache ? cache.get(cacheKey) : null;
+    if (!defs) {
+        defs = await loadDefinitions(pool, entityType, variant);
+        if (cache) cache.set(cacheKey, defs);
+    }
+    const errors = [];
+
+    for (const def of defs) {
+        if (def.field_type === 'composite') continue;
+
+        const { present, value } = findValue(submitted, def);
+
+        if (def.is_read_only) {
+            if (present) {
+                const current = mode === 'create' ? def.default_value : findValue(existing, def).value;
+                if (!sameValue(value, current)) {
+                    errors.push(fieldError(def, 'read_only', `${def.field_label} is read-only`));
+                }
+            }
+            continue;
+        }
+
+        const mustCheckRequired = def.is_required && !def.is_hidden && (mode === 'create' || present);
+        if (mustCheckRequired && isEmpty(value)) {
+            errors.push(fieldError(def, 'required', `${def.field_label} is required`));
+            continue;
+        }
+
+        if (present && !isEmpty(value)) {
+            errors.push(...await validateValue(pool, def, value));
+        }
+    }
+
+    return errors;
+}
+
+/** Standard 400 body for field-level errors */
+function customFieldErrorResponse(errors) {
+    return {
+        success: false,
+        message: 'Custom field validation failed',
+        errors,
+    };
+}
+
+module.exports = {
+    validateCustomFields,
+    loadDefinitions,
+    customFieldErrorResponse,
+    validationRulesError,
+    MAX_PATTERN_VALUE_LENGTH,
+    CUSTOM_FIELD_ENTITY_TYPES: Object.keys(ENTITY_TYPES),
+};
@@ -0,0 +1,357 @@
+/**
+ * Data flow-back: values a candidate submits in the job seeker portal update the job seeker record for the mapped
+ * fields with data_flow_back (template_document_mappings).
+ *
+ * A mapping flows back to a job_seekers column (the job seeker fields of the importer, matched by name, label or
+ * alias) or to a job seeker custom field (field_id, or a definition with the mapping's label or name). Blank values
+ * never clear the record.
+ *
+ * A value a recruiter changed after the document was sent (an UPDATE in job_seeker_history since sent_at) is not
+ * overwritten: the change is kept PENDING until a recruiter confirms or rejects it. Every value written to the
+ * record is added to job_seeker_history (action FLOW_BACK) and to job_seeker_flow_back_changes.
+ */
+
+const Onboarding = require('../models/onboarding');
+const { IMPORT_ENTITIES, parseDateValue } = require('./importService');
+const { loadDefinitions, validateCustomFields } = require('./customFieldValidationService');
+const { toColumnName } = require('./documentFillService');
+const { auditRecordUpdated } = require('./auditService');
+const { emitRecordUpdated } = require('./webhookService');
+
+const { FLOW_BACK_STATUS } = Onboarding;
+
+// Record-management columns a candidate never writes
+const EXCLUDED_COLUMNS = ['status', 'owner', 'last_contact_date'];
+const FLOW_BACK_COLUMNS = IMPORT_ENTITIES['job-seekers'].fields.filter((f) => !EXCLUDED_COLUMNS.includes(f.key));
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/** Error for a flow-back request; controllers answer with statusCode. */
+class FlowBackError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'FlowBackError';
+        this.statusCode = statusCode;
+    }
+}
+
+function lower(value) {
+    return String(value ?? '').trim().toLowerCase();
+}
+
+function isBlank(value) {
+    if (value === null || value === undefined) return true;
+    if (Array.isArray(value)) return value.length === 0;
+    return String(value).trim() === '';
+}
+
+function parseJson(value) {
+    if (typeof value !== 'string') return value || {};
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return {};
+    }
+}
+
+// Comparable form of a stored value (dates from pg and from history JSON compare by day)
+function comparable(value) {
+    if (isBlank(value)) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') return JSON.stringify(value);
+    const str = String(value).trim();
+    return /^\d{4}-\d{2}-\d{2}T/.test(str) ? str.slice(0, 10) : str;
+}
+
+function sameValue(a, b) {
+    return comparable(a) === comparable(b);
+}
+
+function columnField(mapping, definition) {
+    const names = [mapping.field_name, definition?.field_name].filter(Boolean).map(lower);
+    const labels = [mapping.field_label, definition?.field_label].filter(Boolean).map(lower);
+    const keys = [...names, ...labels.map(toColumnName)];
+    return FLOW_BACK_COLUMNS.find(
+        (f) => keys.includes(f.key) || labels.includes(lower(f.label)) || (f.aliases || []).some((a) => labels.includes(a))
+    );
+}
+
+function customDefinition(mapping, definitions) {
+    const fieldId = parseInt(mapping.field_id, 10);
+    const byId = Number.isInteger(fieldId) ? definitions.find((d) => d.id === fieldId) : null;
+    if (byId) return byId;
+    const keys = [mapping.field_label, mapping.field_name].filter(Boolean).map(lower);
+    return definitions.find((d) => keys.includes(lower(d.field_label)) || keys.includes(lower(d.field_name))) || null;
+}
+
+/**
+ * Where each flow-back mapping writes: { type: 'column', key, field } or { type: 'custom_field', key, definition },
+ * keyed by mapping id. Mappings without a target are left out.
+ * @returns {Promise<Map<number, Object>>}
+ */
+async function flowBackTargets(db, mappings) {
+    const definitions = (await loadDefinitions(db, 'job-seekers')).filter((d) => d.field_type !== 'composite');
+    const targets = new Map();
+    for (const mapping of mappings) {
+        const definition = customDefinition(mapping, definitions);
+        // field_id links the mapping to a custom field explicitly
+        const linked = definition && Number.isInteger(parseInt(mapping.field_id, 10)) ? definition : null;
+        const field = linked ? null : columnField(mapping, definition);
+        if (field) {
+            targets.set(mapping.id, { type: 'column', key: field.key, field });
+        } else if (definition && !definition.is_read_only) {
+            targets.set(mapping.id, { type: 'custom_field', key: definition.field_label, definition });
+        }
+    }
+    return targets;
+}
+
+/** @returns {{ value?: *, error?: string }} value to store in a job_seekers column */
+function coerceColumnValue(field, raw) {
+    const value = String(raw).trim();
+    if (field.type === 'email' && !EMAIL_REGEX.test(value)) {
+        return { error: `${field.label} is not a valid email address` };
+    }
+    if (field.type === 'date') {
+        const date = parseDateValue(value);
+        return date ? { value: date } : { error: `${field.label} is not a valid date` };
+    }
+    if (field.maxLength && value.length > field.maxLength) {
+        return { error: `${field.label} must be at most ${field.maxLength} characters` };
+    }
+    return { value };
+}
+
+function currentValue(jobSeeker, target) {
+    if (target.type === 'column') return jobSeeker[target.key];
+    return parseJson(jobSeeker.custom_fields)[target.key];
+}
+
+// Value of the target in a history snapshot: undefined when the snapshot does not contain it
+function snapshotValue(snapshot, target) {
+    if (!snapshot || typeof snapshot !== 'object') return undefined;
+    if (target.type === 'column') {
+        return Object.prototype.hasOwnProperty.call(snapshot, target.key) ? snapshot[target.key] : undefined;
+    }
+    if (snapshot.custom_fields === undefined) return undefined;
+    return parseJson(snapshot.custom_fields)[target.key];
+}
+
+/** Latest recruiter edit of the target in the history entries, or null */
+function findConflict(history, target) {
+    for (const entry of [...history].reverse()) {
+        const details = parseJson(entry.details);
+        const after = snapshotValue(details.after, target);
+        if (after === undefined) continue;
+        if (!sameValue(snapshotValue(details.before, target), after)) {
+            return {
+                changed_by: entry.performed_by,
+                changed_at: entry.performed_at,
+                value: after,
+                source: details.source || null,
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Write values to the job seeker and add one FLOW_BACK history entry.
+ * @param {Object[]} changes - { target, value } with the job seeker locked by the caller
+ * @returns {Promise<Object>} the updated job seeker
+ */
+async function writeJobSeekerValues(client, jobSeeker, changes, { userId = null, details = {} } = {}) {
+    const sets = [];
+    const params = [];
+    const customValues = {};
+    const before = {};
+    const after = {};
+
+    for (const { target, value } of changes) {
+        if (target.type === 'column') {
+            params.push(value);
+            sets.push(`${target.key} = $${params.length}`);
+            before[target.key] = jobSeeker[target.key] ?? null;
+            after[target.key] = value;
+        } else {
+            customValues[target.key] = value;
+        }
+    }
+    if (Object.keys(customValues).length > 0) {
+        const existing = parseJson(jobSeeker.custom_fields);
+        params.push(JSON.stringify(customValues));
+        sets.push(`custom_fields = COALESCE(custom_fields, '{}'::jsonb) || $${params.length}::jsonb`);
+        before.custom_fields = Object.fromEntries(Object.keys(customValues).map((k) => [k, existing[k] ?? null]));
+        after.custom_fields = customValues;
+    }
+
+    params.push(jobSeeker.id);
+    const result = await client.query(
+        `UPDATE job_seekers SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $${params.length} RETURNING *`,
+        params
+    );
+    await client.query(
+        `INSERT INTO job_seeker_history (job_seeker_id, action, details, performed_by)
+         VALUES ($1, $2, $3, $4)`,
+        [jobSeeker.id, 'FLOW_BACK', JSON.stringify({ ...details, before, after }), userId]
+    );
+    return result.rows[0];
+}
+
+async function lockJobSeeker(client, jobSeekerId) {
+    const result = await client.query('SELECT * FROM job_seekers WHERE id = $1 FOR UPDATE', [Number(jobSeekerId)]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Flow back the candidate's values of a submitted item, inside the submit transaction.
+ * @param {Object} client - pg client in a transaction
+ * @param {{ item: Object, mappings: Object[], values: Object }} submission - item from getItemForJobSeeker,
+ *   mappings the candidate filled, values by field_name
+ * @returns {Promise<{ changes: Object[], before: Object|null, after: Object|null }>} before/after: the job seeker
+ *   when values were written (for the audit log, after commit)
+ */
+async function applyFlowBack(client, { item, mappings, values }) {
+    const flowing = mappings.filter((m) => m.data_flow_back === true && !isBlank(values[m.field_name]));
+    if (flowing.length === 0) return { changes: [], before: null, after: null };
+
+    const jobSeeker = await lockJobSeeker(client, item.job_seeker_id);
+    if (!jobSeeker) return { changes: [], before: null, after: null };
+
+    const targets = await flowBackTargets(client, flowing);
+    const history = (
+        await client.query(
+            `SELECT action, details, performed_by, performed_at
+             FROM job_seeker_history
+             WHERE job_seeker_id = $1 AND action = 'UPDATE' AND performed_at > $2
+             ORDER BY performed_at, id`,
+            [jobSeeker.id, item.sent_at]
+        )
+    ).rows;
+
+    const rows = [];
+    const toWrite = [];
+    for (const mapping of flowing) {
+        const target = targets.get(mapping.id);
+        if (!target) continue;
+
+        let value = values[mapping.field_name];
+        if (target.type === 'column') {
+            const coerced = coerceColumnValue(target.field, value);
+            if (coerced.error) {
+                console.warn(`Flow-back of ${mapping.field_name} skipped for job seeker ${jobSeeker.id}: ${coerced.error}`);
+                continue;
+            }
+            value = coerced.value;
+        } else {
+            const errors = await validateCustomFields(client, {
+                entityType: 'job-seekers',
+                customFields: { [target.key]: value },
+                existingCustomFields: jobSeeker.custom_fields,
+                mode: 'update',
+            });
+            if (errors.length > 0) {
+                console.warn(`Flow-back of ${mapping.field_name} skipped for job seeker ${jobSeeker.id}: ${errors[0].message}`);
+                continue;
+            }
+        }
+
+        const previous = currentValue(jobSeeker, target);
+        if (sameValue(previous, value)) continue;
+
+        const conflict = findConflict(history, target);
+        rows.push({
+            job_seeker_id: jobSeeker.id,
+            onboarding_send_item_id: item.id,
+            mapping_id: mapping.id,
+            field_name: mapping.field_name,
+            field_label: mapping.field_label,
+            target_type: target.type,
+            target_key: target.key,
+            previous_value: previous ?? null,
+            submitted_value: value,
+            status: conflict ? FLOW_BACK_STATUS.PENDING : FLOW_BACK_STATUS.APPLIED,
+            conflict,
+        });
+        if (!conflict) toWrite.push({ target, value });
+    }
+
+    let after = null;
+    if (toWrite.length > 0) {
+        after = await writeJobSeekerValues(client, jobSeeker, toWrite, {
+            details: { source: 'onboarding_portal', onboarding_send_item_id: item.id, document_name: item.document_name },
+        });
+    }
+    const changes = await new Onboarding(client).createFlowBackChanges(client, rows);
+    return { changes, before: after ? jobSeeker : null, after };
+}
+
+/** Audit log and webhooks for a job seeker changed by flow-back (after commit) */
+async function recordFlowBackUpdate(pool, before, after) {
+    if (!before || !after) return;
+    await auditRecordUpdated(pool, 'job_seeker', before, after);
+    await emitRecordUpdated(pool, 'job_seeker', before, after);
+}
+
+/**
+ * Confirm (write the candidate's value) or reject (keep the record as is) a PENDING flow-back change.
+ * @param {{ jobSeekerId: number, changeId: number, confirm: boolean, userId: number }} decision
+ * @returns {Promise<Object>} the resolved change
+ * @throws {FlowBackError} 404 when the change does not exist, 409 when it is not pending
+ */
+async function resolveFlowBackChange(pool, { jobSeekerId, changeId, confirm, userId }) {
+    const onboarding = new Onboarding(pool);
+    const client = await pool.connect();
+    let change;
+    let before = null;
+    let after = null;
+    try {
+        await client.query('BEGIN');
+        change = await onboarding.getFlowBackChangeForUpdate(client, jobSeekerId, changeId);
+        if (!change) throw new FlowBackError('Flow-back change not found', 404);
+        if (change.status !== FLOW_BACK_STATUS.PENDING) {
+            throw new FlowBackError(`This change is already ${change.status.toLowerCase()}`, 409);
+        }
+
+        if (confirm) {
+            const jobSeeker = await lockJobSeeker(client, jobSeekerId);
+            const target = { type: change.target_type, key: change.target_key };
+            if (!sameValue(currentValue(jobSeeker, target), change.submitted_value)) {
+                after = await writeJobSeekerValues(client, jobSeeker, [{ target, value: change.submitted_value }], {
+                    userId,
+                    details: {
+                        source: 'onboarding_portal',
+                        onboarding_send_item_id: change.onboarding_send_item_id,
+                        document_name: change.document_name,
+                        flow_back_change_id: change.id,
+                    },
+                });
+                before = jobSeeker;
+            }
+        }
+
+        change = {
+            ...change,
+            ...(await onboarding.resolveFlowBackChange(client, change.id, {
+                status: confirm ? FLOW_BACK_STATUS.CONFIRMED : FLOW_BACK_STATUS.REJECTED,
+                resolved_by: userId,
+            })),
+        };
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await recordFlowBackUpdate(pool, before, after);
+    return change;
+}
+
+module.exports = {
+    FlowBackError,
+    flowBackTargets,
+    applyFlowBack,
+    recordFlowBackUpdate,
+    resolveFlowBackChange,
+};
@@ -0,0 +1,539 @@
+/**
+ * Completed copies of template documents (template_documents) for a job seeker: the template PDF with the values
+ * of its field mappings (template_document_mappings) drawn at the mapped positions, flattened and stored as a
+ * document of the job seeker.
+ *
+ * Positions (x, y, w, h) are PDF points from the top-left corner. A mapping with a page_number is placed on that
+ * page (1-based); without one, y runs across the pages stacked top to bottom, as the mapping editor shows them.
+ *
+ * Values are keyed by the mapping's field_name. Mappings with populate_with_data are prefilled from the job seeker:
+ * a job_seekers column (the field name, or the label in snake_case) or custom_fields (by label, then field name);
+ * field_id refers to the job seeker custom field definition when the mapping was made from one.
+ *
+ * Signature and Initials mappings take a drawn signature (PNG or JPEG data URL) or a typed one, as
+ * { type: 'drawn', image } / { type: 'typed', text } or the plain data URL / text. Drawn signatures are scaled into
+ * the box; typed ones are printed in italics.
+ */
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { put } = require('@vercel/blob');
+const TemplateDocument = require('../models/templateDocument');
+const Document = require('../models/document');
+
+const TEXT_COLOR = rgb(0, 0, 0);
+const MAX_FONT_SIZE = 12;
+const MIN_FONT_SIZE = 6;
+const TEXT_AREA_FONT_SIZE = 10;
+const LINE_HEIGHT = 1.2;
+const MAX_SIGNATURE_IMAGE_BYTES = 200 * 1024;
+const MAX_TYPED_SIGNATURE_LENGTH = 100;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Columns never used to prefill a document
+const NON_PREFILL_COLUMNS = ['custom_fields', 'resume_text'];
+
+/** Error for a template that cannot be filled; controllers answer with statusCode. */
+class DocumentFillError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'DocumentFillError';
+        this.statusCode = statusCode;
+    }
+}
+
+// "Text Area", "text_area" and "textarea" are the same type
+function normalizeKey(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function isCheckbox(mapping) {
+    return normalizeKey(mapping.field_type) === 'checkbox';
+}
+
+function isSignature(mapping) {
+    return ['signature', 'initials'].includes(normalizeKey(mapping.field_type));
+}
+
+/**
+ * Drawn or typed signature of a Signature/Initials field.
+ * @returns {{ method: 'drawn', image: Buffer, imageType: 'png'|'jpg' } | { method: 'typed', text: string }
+ *   | { error: string } | null} null when there is no signature
+ */
+function parseSignatureValue(value) {
+    if (value === null || value === undefined) return null;
+    let method;
+    let data;
+    if (typeof value === 'object') {
+        method = String(value.type || value.method || (value.image ? 'drawn' : 'typed')).toLowerCase();
+        data = method === 'drawn' ? value.image : value.text;
+    } else {
+        data = String(value);
+        method = /^data:/i.test(data.trim()) ? 'drawn' : 'typed';
+    }
+    if (data === null || data === undefined || String(data).trim() === '') return null;
+
+    if (method === 'typed') {
+        const text = String(data).trim();
+        if (text.length > MAX_TYPED_SIGNATURE_LENGTH) {
+            return { error: `must be at most ${MAX_TYPED_SIGNATURE_LENGTH} characters` };
+        }
+        return { method: 'typed', text };
+    }
+    if (method !== 'drawn') return { error: 'must be drawn or typed' };
+
+    const match = String(data).trim().match(/^data:image\/(png|jpe?g);base64,([A-Za-z0-9+/=\s]+)$/i);
+    if (!match) return { error: 'must be a PNG or JPEG image' };
+    const image = Buffer.from(match[2], 'base64');
+    if (image.length > MAX_SIGNATURE_IMAGE_BYTES) return { error: 'image is too large' };
+    // A PNG starts with its signature and the IHDR chunk; the rest is only checked when the image is embedded
+    const isPng = image.slice(0, 8).equals(PNG_SIGNATURE) && image.slice(12, 16).toString('latin1') === 'IHDR';
+    const isJpg = image.slice(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]));
+    if (!isPng && !isJpg) return { error: 'must be a PNG or JPEG image' };
+    return { method: 'drawn', image, imageType: isPng ? 'png' : 'jpg' };
+}
+
+/**
+ * Drawn signatures whose image cannot be decoded (parseSignatureValue only checks the header): each is embedded
+ * in a scratch PDF, as rendering would.
+ * @returns {Promise<{ field: string, fieldName: string, code: string, message: string }[]>} same shape as
+ *   validateFieldValues
+ */
+async function findUnreadableSignatures(mappings, values) {
+    const errors = [];
+    let scratch = null;
+    for (const mapping of mappings.filter(isSignature)) {
+        const signature = parseSignatureValue(values[mapping.field_name]);
+        if (!signature || signature.method !== 'drawn') continue;
+        scratch = scratch || await PDFDocument.create();
+        try {
+            await (signature.imageType === 'png' ? scratch.embedPng(signature.image) : scratch.embedJpg(signature.image));
+        } catch (_) {
+            const label = mapping.field_label || mapping.field_name;
+            errors.push({ field: label, fieldName: mapping.field_name, code: 'signature', message: `${label} is not a readable image` });
+        }
+    }
+    return errors;
+}
+
+function isMultiline(mapping) {
+    return ['textarea', 'multilinetext', 'paragraph'].includes(normalizeKey(mapping.field_type));
+}
+
+function isChecked(value) {
+    if (typeof value === 'boolean') return value;
+    return ['true', 'yes', 'y', '1', 'on', 'checked', 'x'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+function formatDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return String(value);
+    // Dates without a time (pg DATE columns, "YYYY-MM-DD") are midnight UTC
+    const mm = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const dd = String(date.getUTCDate()).padStart(2, '0');
+    return `${mm}/${dd}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Text of a value as it is printed: formatted per the mapping's format and cut to max_characters.
+ * @returns {string}
+ */
+function formatFieldValue(value, mapping) {
+    if (value === null || value === undefined) return '';
+    if (isCheckbox(mapping)) return isChecked(value) ? 'X' : '';
+    if (isSignature(mapping)) return '';
+
+    let text;
+    const digits = String(value).replace(/\D/g, '');
+    switch (normalizeKey(mapping.format)) {
+        case 'date':
+            text = String(value).trim() === '' ? '' : formatDate(value);
+            break;
+        case 'phone':
+            text = digits.length === 10 ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}` : String(value);
+            break;
+        case 'ssn':
+            text = digits.length === 9 ? `${digits.slice(0, 3)}-${digits.slice(3, 5)}-${digits.slice(5)}` : String(value);
+            break;
+        case 'zip':
+        case 'zipcode':
+            text = digits.length === 9 ? `${digits.slice(0, 5)}-${digits.slice(5)}` : String(value);
+            break;
+        case 'currency': {
+            const amount = Number(String(value).replace(/[^0-9.-]/g, ''));
+            text = String(value).trim() !== '' && Number.isFinite(amount)
+                ? amount.toLocaleString('en-US', { style: 'currency', currency: 'USD' })
+                : String(value);
+            break;
+        }
+        case 'uppercase':
+            text = String(value).toUpperCase();
+            break;
+        default:
+            text = value instanceof Date ? formatDate(value) : String(value);
+    }
+
+    const max = parseInt(mapping.max_characters, 10);
+    return Number.isInteger(max) && max > 0 ? text.slice(0, max) : text;
+}
+
+// Checks of a mapping's format on a non-empty value
+const FORMAT_CHECKS = {
+    date: { test: (v) => !Number.isNaN(new Date(v).getTime()), message: 'must be a date' },
+    phone: { test: (v) => /^1?\d{10}$/.test(String(v).replace(/\D/g, '')), message: 'must be a 10-digit phone number' },
+    ssn: { test: (v) => /^\d{9}$/.test(String(v).replace(/\D/g, '')), message: 'must be a 9-digit SSN' },
+    zip: { test: (v) => /^(\d{5}|\d{9})$/.test(String(v).replace(/\D/g, '')), message: 'must be a 5 or 9-digit ZIP code' },
+    zipcode: { test: (v) => /^(\d{5}|\d{9})$/.test(String(v).replace(/\D/g, '')), message: 'must be a 5 or 9-digit ZIP code' },
+    email: { test: (v) => /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(String(v).trim()), message: 'must be an email address' },
+    number: { test: (v) => /^-?\d+(\.\d+)?$/.test(String(v).trim()), message: 'must be a number' },
+    currency: { test: (v) => /^-?\d+(\.\d+)?$/.test(String(v).replace(/[$,\s]/g, '')), message: 'must be an amount' },
+};
+
+function isBlank(value, mapping) {
+    if (isCheckbox(mapping)) return !isChecked(value);
+    if (isSignature(mapping)) return parseSignatureValue(value) === null;
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Check values against is_required, max_characters and format of their mappings.
+ * @param {Object[]} mappings - the fields to check
+ * @param {Object} values - by field_name
+ * @returns {{ field: string, fieldName: string, code: string, message: string }[]}
+ */
+function validateFieldValues(mappings, values) {
+    const errors = [];
+    for (const mapping of mappings) {
+        const value = values[mapping.field_name];
+        const label = mapping.field_label || mapping.field_name;
+        const error = (code, message) => errors.push({ field: label, fieldName: mapping.field_name, code, message });
+
+        if (isBlank(value, mapping)) {
+            if (mapping.is_required) error('required', `${label} is required`);
+            continue;
+        }
+        if (isCheckbox(mapping)) continue;
+        if (isSignature(mapping)) {
+            const signature = parseSignatureValue(value);
+            if (signature.error) error('signature', `${label} ${signature.error}`);
+            continue;
+        }
+
+        const max = parseInt(mapping.max_characters, 10);
+        if (Number.isInteger(max) && max > 0 && String(value).length > max) {
+            error('max_characters', `${label} must be at most ${max} characters`);
+            continue;
+        }
+        const check = FORMAT_CHECKS[normalizeKey(mapping.format)];
+        if (check && !check.test(value)) {
+            error('format', `${label} ${check.message}`);
+        }
+    }
+    return errors;
+}
+
+function toColumnName(label) {
+    return String(label || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Value of a mapped field on the job seeker record, or undefined when the record has no such field.
+ * @param {Object} jobSeeker - job_seekers row
+ * @param {Object} mapping - template_document_mappings row
+ * @param {Object|null} definition - custom_field_definitions row of mapping.field_id
+ */
+function jobSeekerFieldValue(jobSeeker, mapping, definition = null) {
+    let customFields = jobSeeker.custom_fields || {};
+    if (typeof customFields === 'string') {
+        try {
+            customFields = JSON.parse(customFields);
+        } catch (e) {
+            customFields = {};
+        }
+    }
+
+    const labels = [definition?.field_label, mapping.field_label].filter(Boolean);
+    const names = [mapping.field_name, definition?.field_name].filter(Boolean);
+
+    const columns = [...names, ...labels.map(toColumnName)];
+    const column = columns.find(
+        (key) => key && !NON_PREFILL_COLUMNS.includes(key) && Object.prototype.hasOwnProperty.call(jobSeeker, key)
+    );
+    if (column) return jobSeeker[column];
+
+    const customKey = [...labels, ...names].find((key) => Object.prototype.hasOwnProperty.call(customFields, key));
+    return customKey ? customFields[customKey] : undefined;
+}
+
+/**
+ * Prefill values of the mappings with populate_with_data, keyed by field_name.
+ * @returns {Promise<Object>}
+ */
+async function resolvePrefillValues(pool, jobSeeker, mappings) {
+    const prefilled = mappings.filter((m) => m.populate_with_data);
+    const fieldIds = [...new Set(prefilled.map((m) => parseInt(m.field_id, 10)).filter(Number.isInteger))];
+
+    const definitions = new Map();
+    if (fieldIds.length > 0) {
+        const result = await pool.query(
+            `SELECT id, field_name, field_label FROM custom_field_definitions
+             WHERE id = ANY($1::int[]) AND entity_type = 'job-seekers'`,
+            [fieldIds]
+        );
+        result.rows.forEach((row) => definitions.set(row.id, row));
+    }
+
+    const values = {};
+    for (const mapping of prefilled) {
+        const value = jobSeekerFieldValue(jobSeeker, mapping, definitions.get(parseInt(mapping.field_id, 10)) || null);
+        if (value !== undefined && value !== null) values[mapping.field_name] = value;
+    }
+    return values;
+}
+
+/**
+ * Template and its mappings. The template must be an active PDF.
+ * @throws {DocumentFillError}
+ */
+async function loadFillableTemplate(pool, templateDocumentId) {
+    const model = new TemplateDocument(pool);
+    const template = await model.getById(templateDocumentId);
+    if (!template || template.status === false) {
+        throw new DocumentFillError('Template document not found', 404);
+    }
+    if (!template.file_url) {
+        throw new DocumentFillError('The template document has no file');
+    }
+    const isPdf = String(template.mime_type || '').toLowerCase() === 'application/pdf'
+        || /\.pdf$/i.test(template.file_name || template.file_url);
+    if (!isPdf) {
+        throw new DocumentFillError('Only PDF templates can be filled');
+    }
+    const mappings = await model.getMappings(template.id);
+    return { template, mappings };
+}
+
+async function downloadTemplate(template) {
+    const response = await fetch(template.file_url);
+    if (!response.ok) {
+        throw new Error(`Failed to download template document (HTTP ${response.status})`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+// Page of a mapping and its top edge on that page
+function locate(pages, mapping) {
+    const pageNumber = parseInt(mapping.page_number, 10);
+    if (Number.isInteger(pageNumber) && pageNumber >= 1) {
+        const page = pages[Math.min(pageNumber, pages.length) - 1];
+        return { page, top: Number(mapping.y) || 0 };
+    }
+
+    let top = Number(mapping.y) || 0;
+    for (const page of pages) {
+        const { height } = page.getSize();
+        if (top < height) return { page, top };
+        top -= height;
+    }
+    return null;
+}
+
+// Standard fonts only encode WinAnsi; anything else would make pdf-lib throw
+function encodable(font, text) {
+    const supported = new Set(font.getCharacterSet());
+    return Array.from(text)
+        .map((char) => (supported.has(char.codePointAt(0)) ? char : '?'))
+        .join('');
+}
+
+function wrapLines(font, text, size, width) {
+    const lines = [];
+    for (const paragraph of text.split(/\r?\n/)) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && font.widthOfTextAtSize(candidate, size) > width) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+function drawField(page, font, mapping, text, top) {
+    const { height: pageHeight } = page.getSize();
+    const x = Number(mapping.x) || 0;
+    const width = Number(mapping.w) > 0 ? Number(mapping.w) : 220;
+    const height = Number(mapping.h) > 0 ? Number(mapping.h) : 20;
+    const bottom = pageHeight - top - height;
+
+    if (isMultiline(mapping)) {
+        const size = Math.min(TEXT_AREA_FONT_SIZE, height);
+        const lineHeight = size * LINE_HEIGHT;
+        const maxLines = Math.max(1, Math.floor(height / lineHeight));
+        wrapLines(font, text, size, width).slice(0, maxLines).forEach((line, i) => {
+            page.drawText(line, { x, y: pageHeight - top - size - i * lineHeight, size, font, color: TEXT_COLOR });
+        });
+        return;
+    }
+
+    // Single line: as large as the box allows (up to 12pt), shrunk to fit the width, then cut
+    let size = Math.max(MIN_FONT_SIZE, Math.min(MAX_FONT_SIZE, height * 0.7));
+    while (size > MIN_FONT_SIZE && font.widthOfTextAtSize(text, size) > width) size -= 0.5;
+    let line = text;
+    while (line.length > 0 && font.widthOfTextAtSize(line, size) > width) line = line.slice(0, -1);
+
+    const x0 = isCheckbox(mapping) ? x + Math.max(0, (width - font.widthOfTextAtSize(line, size)) / 2) : x;
+    page.drawText(line, { x: x0, y: bottom + (height - size) / 2 + size * 0.2, size, font, color: TEXT_COLOR });
+}
+
+// Drawn signature scaled into the box (left aligned, vertically centered), typed one in italics
+async function drawSignature(pdf, page, mapping, signature, top, fonts) {
+    const { height: pageHeight } = page.getSize();
+    const x = Number(mapping.x) || 0;
+    const width = Number(mapping.w) > 0 ? Number(mapping.w) : 220;
+    const height = Number(mapping.h) > 0 ? Number(mapping.h) : 44;
+    const bottom = pageHeight - top - height;
+
+    if (signature.method === 'drawn') {
+        let image;
+        try {
+            image = signature.imageType === 'png'
+                ? await pdf.embedPng(signature.image)
+                : await pdf.embedJpg(signature.image);
+        } catch (_) {
+            throw new DocumentFillError(`${mapping.field_label || mapping.field_name} is not a readable image`, 422);
+        }
+        const scale = Math.min(width / image.width, height / image.height, 1);
+        const drawnHeight = image.height * scale;
+        page.drawImage(image, { x, y: bottom + (height - drawnHeight) / 2, width: image.width * scale, height: drawnHeight });
+        return;
+    }
+
+    const font = fonts.signature;
+    const text = encodable(font, signature.text);
+    let size = Math.max(MIN_FONT_SIZE, Math.min(height * 0.7, 24));
+    while (size > MIN_FONT_SIZE && font.widthOfTextAtSize(text, size) > width) size -= 0.5;
+    page.drawText(text, { x, y: bottom + (height - size) / 2 + size * 0.2, size, font, color: TEXT_COLOR });
+}
+
+/**
+ * Draw the values on the template and flatten it (form fields of the template itself become page content).
+ * @param {Buffer|Uint8Array} templateBytes
+ * @param {Object[]} mappings
+ * @param {Object} values - by field_name
+ * @returns {Promise<Buffer>}
+ */
+async function renderFilledPdf(templateBytes, mappings, values) {
+    let pdf;
+    try {
+        pdf = await PDFDocument.load(templateBytes);
+    } catch (error) {
+        throw new DocumentFillError(`The template document is not a readable PDF: ${error.message}`, 422);
+    }
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const fonts = { signature: await pdf.embedFont(StandardFonts.TimesRomanItalic) };
+    const pages = pdf.getPages();
+
+    for (const mapping of mappings) {
+        if (isSignature(mapping)) {
+            const signature = parseSignatureValue(values[mapping.field_name]);
+            const position = signature && !signature.error ? locate(pages, mapping) : null;
+            if (position) await drawSignature(pdf, position.page, mapping, signature, position.top, fonts);
+            continue;
+        }
+        const text = encodable(font, formatFieldValue(values[mapping.field_name], mapping));
+        if (!text) continue;
+        const position = locate(pages, mapping);
+        if (!position) continue;
+        drawField(position.page, font, mapping, text, position.top);
+    }
+
+    try {
+        pdf.getForm().flatten();
+    } catch (error) {
+        console.warn('Could not flatten the form fields of a template document:', error.message);
+    }
+    return Buffer.from(await pdf.save());
+}
+
+/**
+ * Fill a template for a job seeker: prefilled values, overridden by the given values.
+ * @param {object} pool
+ * @param {{ templateDocumentId: number, jobSeeker: Object, values?: Object }} params
+ * @returns {Promise<{ template: Object, mappings: Object[], values: Object, pdf: Buffer }>}
+ */
+async function fillTemplateDocument(pool, { templateDocumentId, jobSeeker, values = {} }) {
+    const { template, mappings } = await loadFillableTemplate(pool, templateDocumentId);
+    const prefill = await resolvePrefillValues(pool, jobSeeker, mappings);
+    const merged = { ...prefill };
+    for (const [key, value] of Object.entries(values || {})) {
+        if (value !== undefined) merged[key] = value;
+    }
+    const pdf = await renderFilledPdf(await downloadTemplate(template), mappings, merged);
+    return { template, mappings, values: merged, pdf };
+}
+
+/**
+ * Upload a completed PDF of the job seeker to Vercel Blob.
+ * @returns {Promise<{ name: string, url: string, size: number }>}
+ */
+async function uploadFilledPdf({ jobSeekerId, template, pdf, documentName = null }) {
+    const name = documentName || template.document_name || 'Document';
+    const fileName = `job_seekers/${jobSeekerId}/${Date.now()}_${name.replace(/[^a-zA-Z0-9.-]/g, '_')}.pdf`;
+    const blob = await put(fileName, pdf, { access: 'public', contentType: 'application/pdf' });
+    return { name, url: blob.url, size: pdf.length };
+}
+
+/**
+ * documents row for a PDF uploaded with uploadFilledPdf().
+ * @param {Object} [client] - insert as part of this open transaction
+ * @returns {Promise<Object>} documents row
+ */
+function createFilledDocument(pool, file, { jobSeekerId, template, createdBy = null }, client = null) {
+    return new Document(pool).create({
+        entity_type: 'job_seeker',
+        entity_id: jobSeekerId,
+        document_name: file.name,
+        document_type: template.category ? String(template.category).slice(0, 50) : 'General',
+        file_path: file.url,
+        file_size: file.size,
+        mime_type: 'application/pdf',
+        is_auto_generated: true,
+        content: null,
+        created_by: createdBy,
+        source_template_document_id: template.id,
+    }, client);
+}
+
+/**
+ * Store a completed PDF as a document of the job seeker (Vercel Blob + documents row).
+ * @returns {Promise<Object>} documents row
+ */
+async function storeFilledDocument(pool, options) {
+    return createFilledDocument(pool, await uploadFilledPdf(options), options);
+}
+
+module.exports = {
+    DocumentFillError,
+    formatFieldValue,
+    isSignature,
+    parseSignatureValue,
+    validateFieldValues,
+    findUnreadableSignatures,
+    toColumnName,
+    jobSeekerFieldValue,
+    resolvePrefillValues,
+    loadFillableTemplate,
+    downloadTemplate,
+    encodable,
+    wrapLines,
+    renderFilledPdf,
+    fillTemplateDocument,
+    uploadFilledPdf,
+    createFilledDocument,
+    storeFilledDocument,
+};
@@ -0,0 +1,524 @@
+/**
+ * Duplicate detection for job seekers, hiring managers and leads.
+ *
+ * Records are compared on normalized email, phone, LinkedIn profile and name + organization.
+ * Each matching signal adds to a 0-100 score; pairs at or above the threshold are reported.
+ * Used on create (warnings in the response), by the /api/duplicates report and by the nightly scan.
+ * Only entity types with a transfer flow to execute a merge (mergeable) get a merge preview; lead duplicates are
+ * reported but have to be dismissed or fixed by hand.
+ */
+
+const { formatDisplayRecordNumber } = require('./recordNumberService');
+
+const SIGNAL_WEIGHTS = {
+    email: 50,
+    linkedin: 50,
+    phone: 35,
+    nameOrganization: 40,
+    name: 10,
+};
+
+const DEFAULT_MIN_SCORE = 50;
+
+const ENTITY_CONFIGS = {
+    job_seeker: {
+        permission: 'job_seekers',
+        mergeable: true,
+        table: 'job_seekers',
+        module: 'job_seeker',
+        emailColumns: ['email'],
+        phoneColumns: ['phone', 'mobile_phone'],
+        linkedinColumn: null,
+        organizationSelect: 't.current_organization AS organization_name, NULL::integer AS organization_id',
+        notesTable: 'job_seeker_notes',
+        foreignKey: 'job_seeker_id',
+        documentEntityType: 'job_seeker',
+        tearsheetTable: 'tearsheet_job_seekers',
+    },
+    hiring_manager: {
+        permission: 'hiring_managers',
+        mergeable: true,
+        table: 'hiring_managers',
+        module: 'hiring_manager',
+        emailColumns: ['email', 'email2'],
+        phoneColumns: ['phone', 'mobile_phone', 'direct_line'],
+        linkedinColumn: 'linkedin_url',
+        organizationSelect: 't.organization_name, t.organization_id',
+        notesTable: 'hiring_manager_notes',
+        foreignKey: 'hiring_manager_id',
+        documentEntityType: 'hiring_manager',
+        tearsheetTable: 'tearsheet_hiring_managers',
+    },
+    lead: {
+        permission: 'leads',
+        // No lead transfer endpoint exists to execute a merge
+        mergeable: false,
+        table: 'leads',
+        module: 'lead',
+        emailColumns: ['email', 'email2'],
+        phoneColumns: ['phone', 'mobile_phone', 'direct_line'],
+        linkedinColumn: 'linkedin_url',
+        organizationSelect: 't.organization_name, t.organization_id',
+        notesTable: 'lead_notes',
+        foreignKey: 'lead_id',
+        documentEntityType: 'lead',
+        tearsheetTable: 'tearsheet_leads',
+    },
+};
+
+// Route-style names ("job-seekers") and singular keys both resolve to a config key
+const ENTITY_ALIASES = {
+    'job-seekers': 'job_seeker',
+    'job_seekers': 'job_seeker',
+    'job-seeker': 'job_seeker',
+    'job_seeker': 'job_seeker',
+    'hiring-managers': 'hiring_manager',
+    'hiring_managers': 'hiring_manager',
+    'hiring-manager': 'hiring_manager',
+    'hiring_manager': 'hiring_manager',
+    'leads': 'lead',
+    'lead': 'lead',
+};
+
+// Columns never shown as merge conflicts
+const MERGE_IGNORED_COLUMNS = new Set([
+    'id', 'record_number', 'created_by', 'created_at', 'updated_at', 'archived_at', 'archive_reason', 'custom_fields',
+]);
+
+/**
+ * @param {string} value - e.g. "job-seekers", "hiring_manager", "leads"
+ * @returns {string|null} config key (job_seeker | hiring_manager | lead)
+ */
+function resolveEntityType(value) {
+    return ENTITY_ALIASES[String(value || '').toLowerCase()] || null;
+}
+
+function normalizeEmail(value) {
+    const email = String(value || '').trim().toLowerCase();
+    if (!email.includes('@')) return null;
+    // "jane+jobs@x.com" and "jane@x.com" reach the same inbox
+    return email.replace(/\+[^@]*@/, '@');
+}
+
+function normalizePhone(value) {
+    let digits = String(value || '').replace(/\D/g, '');
+    if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+    return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+function normalizeName(value) {
+    return String(value || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeOrganization(value) {
+    return normalizeName(value)
+        .replace(/\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|plc|gmbh|the)\b/g, '')
+        .replace(/\s+/g, ' ').trim();
+}
+
+function normalizeLinkedin(value) {
+    const match = String(value || '').match(/linkedin\.com\/in\/([^/?#\s]+)/i);
+    return match ? decodeURIComponent(match[1]).toLowerCase() : null;
+}
+
+function parseCustomFields(value) {
+    if (!value) return {};
+    if (typeof value === 'string') {
+        try { return JSON.parse(value) || {}; } catch (e) { return {}; }
+    }
+    return value;
+}
+
+// Job seekers keep LinkedIn in a custom field ("LinkedIn", "LinkedIn URL", ...)
+function linkedinFromCustomFields(customFields) {
+    const fields = parseCustomFields(customFields);
+    for (const [label, value] of Object.entries(fields)) {
+        if (/linked\s*in/i.test(label) && value) return value;
+    }
+    return null;
+}
+
+/**
+ * Normalized match keys for a record (a row from the entity table or a create payload in snake_case).
+ */
+function buildMatchKeys(entityType, record) {
+    const config = ENTITY_CONFIGS[entityType];
+    const emails = new Set(config.emailColumns.map((c) => normalizeEmail(record[c])).filter(Boolean));
+    const phones = new Set(config.phoneColumns.map((c) => normalizePhone(record[c])).filter(Boolean));
+    const linkedinRaw = config.linkedinColumn ? record[config.linkedinColumn] : null;
+    const linkedin = normalizeLinkedin(linkedinRaw || linkedinFromCustomFields(record.custom_fields));
+    const first = normalizeName(record.first_name);
+    const last = normalizeName(record.last_name);
+    const name = first && last ? `${first} ${last}` : null;
+    const organization = record.organization_id
+        ? `id:${record.organization_id}`
+        : (normalizeOrganization(record.organization_name || record.current_organization) || null);
+    return { emails, phones, linkedin, name, organization };
+}
+
+function intersects(a, b) {
+    for (const value of a) if (b.has(value)) return true;
+    return false;
+}
+
+/**
+ * Score how likely two records describe the same person.
+ * @returns {{ score: number, reasons: string[] }}
+ */
+function scorePair(keysA, keysB) {
+    const reasons = [];
+    let score = 0;
+    if (intersects(keysA.emails, keysB.emails)) {
+        score += SIGNAL_WEIGHTS.email;
+        reasons.push('email');
+    }
+    if (keysA.linkedin && keysA.linkedin === keysB.linkedin) {
+        score += SIGNAL_WEIGHTS.linkedin;
+        reasons.push('linkedin');
+    }
+    if (intersects(keysA.phones, keysB.phones)) {
+        score += SIGNAL_WEIGHTS.phone;
+        reasons.push('phone');
+    }
+    if (keysA.name && keysA.name === keysB.name) {
+        if (keysA.organization && keysA.organization === keysB.organization) {
+            score += SIGNAL_WEIGHTS.nameOrganization;
+            reasons.push('name_organization');
+        } else {
+            score += SIGNAL_WEIGHTS.name;
+            reasons.push('name');
+        }
+    }
+    return { score: Math.min(score, 100), reasons };
+}
+
+function confidenceFor(score) {
+    if (score >= 80) return 'high';
+    if (score >= DEFAULT_MIN_SCORE) return 'medium';
+    return 'low';
+}
+
+function minScoreFromEnv() {
+    const n = parseInt(process.env.DUPLICATE_MIN_SCORE || DEFAULT_MIN_SCORE, 10);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_MIN_SCORE;
+}
+
+function selectColumns(config) {
+    const columns = ['t.id', 't.record_number', 't.first_name', 't.last_name', 't.status', 't.custom_fields', config.organizationSelect];
+    for (const c of [...config.emailColumns, ...config.phoneColumns]) columns.push(`t.${c}`);
+    if (config.linkedinColumn) columns.push(`t.${config.linkedinColumn}`);
+    return columns.join(', ');
+}
+
+function summarize(entityType, row) {
+    const config = ENTITY_CONFIGS[entityType];
+    return {
+        id: row.id,
+        recordNumber: formatDisplayRecordNumber(config.module, row.record_number) || null,
+        firstName: row.first_name,
+        lastName: row.last_name,
+        email: row.email || null,
+        phone: row.phone || row.mobile_phone || null,
+        organizationName: row.organization_name || null,
+        status: row.status || null,
+    };
+}
+
+// camelCase form payload (as sent to the create endpoints) -> snake_case record
+const PAYLOAD_FIELDS = {
+    firstName: 'first_name',
+    lastName: 'last_name',
+    email: 'email',
+    email2: 'email2',
+    phone: 'phone',
+    mobilePhone: 'mobile_phone',
+    directLine: 'direct_line',
+    linkedinUrl: 'linkedin_url',
+    organizationId: 'organization_id',
+    organizationName: 'organization_name',
+    currentOrganization: 'current_organization',
+    customFields: 'custom_fields',
+};
+
+function recordFromPayload(payload = {}) {
+    const record = { ...payload };
+    for (const [camel, snake] of Object.entries(PAYLOAD_FIELDS)) {
+        if (record[snake] === undefined && payload[camel] !== undefined) record[snake] = payload[camel];
+    }
+    // organizationId may carry an organization name (see HiringManager.create)
+    if (record.organization_id != null && Number.isNaN(Number(record.organization_id))) {
+        record.organization_name = record.organization_name || record.organization_id;
+        record.organization_id = null;
+    }
+    return record;
+}
+
+/**
+ * Summaries for a set of record ids, keyed by id.
+ */
+async function loadSummaries(pool, entityType, ids) {
+    const config = ENTITY_CONFIGS[entityType];
+    if (ids.length === 0) return new Map();
+    const result = await pool.query(
+        `SELECT ${selectColumns(config)} FROM ${config.table} t WHERE t.id = ANY($1)`,
+        [ids]
+    );
+    return new Map(result.rows.map((row) => [row.id, summarize(entityType, row)]));
+}
+
+/**
+ * Likely duplicates of a single record (existing row or unsaved payload).
+ * Candidates are narrowed in SQL on any raw key, then scored with the normalized keys.
+ * @param {import('pg').Pool} pool
+ * @param {string} entityType - job_seeker | hiring_manager | lead
+ * @param {Object} record - snake_case fields
+ * @param {{ excludeId?: number, minScore?: number, limit?: number, accessScope?: Function }} options -
+ *   accessScope (services/recordAccessService.js buildAccessScope) leaves out records the caller may not read
+ */
+async function findDuplicatesForRecord(pool, entityType, record, options = {}) {
+    const config = ENTITY_CONFIGS[entityType];
+    const minScore = options.minScore ?? minScoreFromEnv();
+    const limit = options.limit ?? 10;
+    const keys = buildMatchKeys(entityType, record);
+
+    const conditions = [];
+    const values = [];
+    if (keys.emails.size > 0) {
+        values.push([...keys.emails]);
+        conditions.push(...config.emailColumns.map((c) =>
+            `regexp_replace(LOWER(TRIM(t.${c})), '\\+[^@]*@', '@') = ANY($${values.length})`));
+    }
+    if (keys.phones.size > 0) {
+        values.push([...keys.phones]);
+        conditions.push(...config.phoneColumns.map((c) =>
+            `RIGHT(regexp_replace(COALESCE(t.${c}, ''), '\\D', '', 'g'), 10) = ANY($${values.length})`));
+    }
+    if (keys.linkedin) {
+        values.push(`%linkedin.com/in/${keys.linkedin}%`);
+        conditions.push(config.linkedinColumn
+            ? `t.${config.linkedinColumn} ILIKE $${values.length}`
+            : `t.custom_fields::text ILIKE $${values.length}`);
+    }
+    if (record.first_name && record.last_name) {
+        values.push(String(record.first_name).trim().toLowerCase(), String(record.last_name).trim().toLowerCase());
+        conditions.push(`(LOWER(TRIM(t.first_name)) = $${values.length - 1} AND LOWER(TRIM(t.last_name)) = $${values.length})`);
+    }
+    if (conditions.length === 0) return [];
+
+    let excludeClause = '';
+    if (options.excludeId != null) {
+        values.push(options.excludeId);
+        excludeClause = `AND t.id <> $${values.length}`;
+    }
+    const accessCondition = options.accessScope ? options.accessScope('t', values) : null;
+
+    const result = await pool.query(
+        `SELECT ${selectColumns(config)}
+         FROM ${config.table} t
+         WHERE (${conditions.join(' OR ')})
+           AND COALESCE(t.status, '') <> 'Archived'
+           ${excludeClause}
+           ${accessCondition ? `AND ${accessCondition}` : ''}
+         LIMIT 500`,
+        values
+    );
+
+    return result.rows
+        .map((row) => {
+            const { score, reasons } = scorePair(keys, buildMatchKeys(entityType, row));
+            return { ...summarize(entityType, row), score, confidence: confidenceFor(score), reasons };
+        })
+        .filter((match) => match.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Same as findDuplicatesForRecord but never throws; used to attach warnings to create responses.
+ */
+async function findDuplicateWarnings(pool, entityType, record, excludeId) {
+    try {
+        return await findDuplicatesForRecord(pool, entityType, record, { excludeId });
+    } catch (error) {
+        console.error(`Duplicate check failed for ${entityType}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Score every likely duplicate pair for an entity type. Records are grouped by each match key
+ * so only records sharing at least one key are compared.
+ * @param {{ minScore?: number, accessScope?: Function }} options - with accessScope only pairs of records the
+ *   caller may read are scored
+ * @returns {Promise<Array<{ recordId: number, duplicateId: number, score: number, reasons: string[] }>>}
+ */
+async function scanDuplicates(pool, entityType, options = {}) {
+    const config = ENTITY_CONFIGS[entityType];
+    const minScore = options.minScore ?? minScoreFromEnv();
+
+    const values = [];
+    const accessCondition = options.accessScope ? options.accessScope('t', values) : null;
+    const result = await pool.query(
+        `SELECT ${selectColumns(config)}
+         FROM ${config.table} t
+         WHERE COALESCE(t.status, '') <> 'Archived'
+           ${accessCondition ? `AND ${accessCondition}` : ''}`,
+        values
+    );
+
+    const keysById = new Map();
+    const blocks = new Map();
+    const addToBlock = (key, id) => {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(id);
+    };
+    for (const row of result.rows) {
+        const keys = buildMatchKeys(entityType, row);
+        keysById.set(row.id, keys);
+        keys.emails.forEach((e) => addToBlock(`e:${e}`, row.id));
+        keys.phones.forEach((p) => addToBlock(`p:${p}`, row.id));
+        if (keys.linkedin) addToBlock(`l:${keys.linkedin}`, row.id);
+        if (keys.name && keys.organization) addToBlock(`n:${keys.name}|${keys.organization}`, row.id);
+    }
+
+    const pairs = new Map();
+    for (const ids of blocks.values()) {
+        // A shared office number or placeholder email would make one huge block; those are not useful matches
+        if (ids.length < 2 || ids.length > 50) continue;
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                const [a, b] = ids[i] < ids[j] ? [ids[i], ids[j]] : [ids[j], ids[i]];
+                const pairKey = `${a}:${b}`;
+                if (pairs.has(pairKey)) continue;
+                const { score, reasons } = scorePair(keysById.get(a), keysById.get(b));
+                pairs.set(pairKey, { recordId: a, duplicateId: b, score, reasons });
+            }
+        }
+    }
+
+    return [...pairs.values()].filter((p) => p.score >= minScore).sort((x, y) => y.score - x.score);
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function sameValue(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+        return new Date(a).getTime() === new Date(b).getTime();
+    }
+    if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function compareField(field, sourceValue, targetValue) {
+    if (isEmpty(sourceValue) && isEmpty(targetValue)) return null;
+    let status;
+    if (isEmpty(sourceValue)) status = 'target_only';
+    else if (isEmpty(targetValue)) status = 'source_only';
+    else status = sameValue(sourceValue, targetValue) ? 'same' : 'conflict';
+    // Target wins; empty target fields are filled from the source
+    const mergedValue = isEmpty(targetValue) ? sourceValue : targetValue;
+    return { field, sourceValue: sourceValue ?? null, targetValue: targetValue ?? null, status, mergedValue };
+}
+
+async function listRelated(pool, text, values) {
+    const result = await pool.query(text, values);
+    return { count: result.rows.length, items: result.rows.slice(0, 50) };
+}
+
+/**
+ * What merging source into target would do: field-by-field comparison and the related
+ * records (notes, documents, tasks, applications, placements, jobs, tearsheet links) that would move.
+ * @returns {Promise<Object|null>} null when either record does not exist
+ */
+async function buildMergePreview(pool, entityType, sourceId, targetId) {
+    const config = ENTITY_CONFIGS[entityType];
+    const recordsResult = await pool.query(`SELECT * FROM ${config.table} WHERE id = ANY($1)`, [[sourceId, targetId]]);
+    const source = recordsResult.rows.find((r) => String(r.id) === String(sourceId));
+    const target = recordsResult.rows.find((r) => String(r.id) === String(targetId));
+    if (!source || !target) return null;
+
+    const fields = [];
+    for (const column of Object.keys(target)) {
+        if (MERGE_IGNORED_COLUMNS.has(column)) continue;
+        const comparison = compareField(column, source[column], target[column]);
+        if (comparison) fields.push(comparison);
+    }
+    const sourceCustom = parseCustomFields(source.custom_fields);
+    const targetCustom = parseCustomFields(target.custom_fields);
+    for (const label of new Set([...Object.keys(sourceCustom), ...Object.keys(targetCustom)])) {
+        if (label === 'applications') continue;
+        const comparison = compareField(`custom_fields.${label}`, sourceCustom[label], targetCustom[label]);
+        if (comparison) fields.push(comparison);
+    }
+
+    const fk = config.foreignKey;
+    const related = {
+        notes: await listRelated(pool,
+            `SELECT id, text, created_at FROM ${config.notesTable} WHERE ${fk} = $1 ORDER BY created_at DESC`, [sourceId]),
+        documents: await listRelated(pool,
+            `SELECT id, document_name, document_type, created_at FROM documents WHERE entity_type = $1 AND entity_id = $2 ORDER BY created_at DESC`,
+            [config.documentEntityType, sourceId]),
+        tasks: await listRelated(pool,
+            `SELECT id, title, status, due_date FROM tasks WHERE ${fk} = $1 ORDER BY id DESC`, [sourceId]),
+        tearsheets: await listRelated(pool,
+            `SELECT ts.id, ts.name,
+                    EXISTS (SELECT 1 FROM ${config.tearsheetTable} x WHERE x.tearsheet_id = ts.id AND x.${fk} = $2) AS already_on_target
+             FROM ${config.tearsheetTable} link
+             JOIN tearsheets ts ON ts.id = link.tearsheet_id
+             WHERE link.${fk} = $1
+             ORDER BY ts.name`,
+            [sourceId, targetId]),
+    };
+
+    if (entityType === 'job_seeker') {
+        related.applications = await listRelated(pool,
+            `SELECT id, type, job_id, job_title, organization_name, status, created_at
+             FROM job_seeker_applications WHERE job_seeker_id = $1 ORDER BY created_at DESC`, [sourceId]);
+        const legacyApplications = Array.isArray(sourceCustom.applications) ? sourceCustom.applications : [];
+        related.applications.legacyCount = legacyApplications.length;
+        related.placements = await listRelated(pool,
+            `SELECT p.id, p.status, p.start_date, p.job_id, j.job_title
+             FROM placements p LEFT JOIN jobs j ON j.id = p.job_id
+             WHERE p.job_seeker_id = $1 ORDER BY p.id DESC`, [sourceId]);
+    }
+    if (entityType === 'hiring_manager') {
+        // Jobs reference hiring managers by organization + "Last, First" name (see HiringManagerTransferController)
+        related.jobs = await listRelated(pool,
+            `SELECT id, job_title, status FROM jobs
+             WHERE organization_id = $1 AND TRIM(COALESCE(hiring_manager, '')) = $2 ORDER BY id DESC`,
+            [source.organization_id, `${source.last_name}, ${source.first_name}`]);
+    }
+
+    return {
+        entityType,
+        source: summarize(entityType, source),
+        target: summarize(entityType, target),
+        match: scorePair(buildMatchKeys(entityType, source), buildMatchKeys(entityType, target)),
+        fields,
+        conflicts: fields.filter((f) => f.status === 'conflict').length,
+        related,
+    };
+}
+
+module.exports = {
+    ENTITY_CONFIGS,
+    DEFAULT_MIN_SCORE,
+    resolveEntityType,
+    normalizeEmail,
+    normalizePhone,
+    normalizeLinkedin,
+    buildMatchKeys,
+    scorePair,
+    confidenceFor,
+    recordFromPayload,
+    loadSummaries,
+    findDuplicatesForRecord,
+    findDuplicateWarnings,
+    scanDuplicates,
+    buildMergePreview,
+    summarize,
+};
@@ -0,0 +1,389 @@
+/**
+ * List exports as CSV, XLSX or NDJSON for organizations, contacts (hiring managers), jobs, job seekers,
+ * leads, placements and tasks.
+ *
+ * Exports take the same filter/sort/q params as the list endpoints (utils/listQuery.js) and page through the
+ * model's list() with keyset cursors, so rows are written as they are read and the record-level "export"
+ * scope applies exactly as it does to lists. Columns come from explicit picks, the entity's list column
+ * config (header_configs.list_columns) or, failing both, every list column plus every custom field; custom
+ * fields are flattened into one column each ("cf.<field label>").
+ *
+ * Large exports are queued as export runs (models/exportRun.js) and processed in the background; the file is
+ * kept for EXPORT_FILE_TTL_HOURS and downloaded through the API.
+ */
+
+const Organization = require('../models/organization');
+const HiringManager = require('../models/hiringManager');
+const Job = require('../models/job');
+const JobSeeker = require('../models/jobseeker');
+const Lead = require('../models/lead');
+const Placement = require('../models/placement');
+const Task = require('../models/task');
+const ExportRun = require('../models/exportRun');
+const ActivityLog = require('../models/activityLog');
+const HeaderConfig = require('../models/headerConfig');
+const { parseListQuery, decodeCursor, MAX_LIMIT } = require('../utils/listQuery');
+const { normalizeCustomFields } = require('../utils/exportHelpers');
+const { EXPORT_FORMATS, createExportWriter, createBufferCollector } = require('../utils/spreadsheetWriter');
+const { loadDefinitions } = require('./customFieldValidationService');
+const { buildAccessScope } = require('./recordAccessService');
+
+const PAGE_SIZE = MAX_LIMIT;
+const CUSTOM_FIELD_PREFIXES = ['cf.', 'custom_fields.', 'custom.', 'custom:'];
+// Row columns that are never exported, whatever the column config says
+const SENSITIVE_COLUMN = /password|token|secret/i;
+
+/**
+ * Exportable entities, keyed by the API slug (the same slugs as imports and custom field definitions).
+ * headerConfigType: header_configs.entity_type holding the entity's list columns.
+ */
+const EXPORT_ENTITIES = {
+    organizations: { label: 'Organizations', model: Organization, accessEntity: 'organization', permission: 'organizations', headerConfigType: 'ORGANIZATION' },
+    'hiring-managers': { label: 'Contacts (Hiring Managers)', model: HiringManager, accessEntity: 'hiring_manager', permission: 'hiring_managers', headerConfigType: 'HIRING_MANAGER' },
+    jobs: { label: 'Jobs', model: Job, accessEntity: 'job', permission: 'jobs', headerConfigType: 'JOB' },
+    'job-seekers': { label: 'Job Seekers', model: JobSeeker, accessEntity: 'job_seeker', permission: 'job_seekers', headerConfigType: 'JOB_SEEKER', archivedParam: true },
+    leads: { label: 'Leads', model: Lead, accessEntity: 'lead', permission: 'leads', headerConfigType: 'LEAD' },
+    placements: { label: 'Placements', model: Placement, accessEntity: 'placement', permission: 'placements', headerConfigType: 'PLACEMENT' },
+    tasks: { label: 'Tasks', model: Task, accessEntity: 'task', permission: 'tasks', headerConfigType: 'TASK' },
+};
+
+const ENTITY_ALIASES = {
+    contacts: 'hiring-managers',
+    'hiring_managers': 'hiring-managers',
+    'job_seekers': 'job-seekers',
+    jobseekers: 'job-seekers',
+};
+
+/** Error for a malformed export request; controllers answer with 400. */
+class ExportRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExportRequestError';
+        this.statusCode = 400;
+    }
+}
+
+function resolveExportEntityType(value) {
+    const v = String(value || '').trim().toLowerCase();
+    if (EXPORT_ENTITIES[v]) return v;
+    return ENTITY_ALIASES[v] || null;
+}
+
+/** job_title -> "Job Title", organization_id -> "Organization ID" */
+function humanize(key) {
+    return String(key)
+        .split('_')
+        .filter(Boolean)
+        .map((word) => (word === 'id' ? 'ID' : word.charAt(0).toUpperCase() + word.slice(1)))
+        .join(' ');
+}
+
+function parseCustomKey(name) {
+    const prefix = CUSTOM_FIELD_PREFIXES.find((p) => name.startsWith(p));
+    if (!prefix) return null;
+    return name.slice(prefix.length).trim() || null;
+}
+
+function fieldColumn(key, label) {
+    return { key, label: label || humanize(key), customKey: null };
+}
+
+function customColumn(def, customKey, label) {
+    const fieldLabel = def ? def.field_label : customKey;
+    return {
+        key: `cf.${fieldLabel}`,
+        label: label || fieldLabel,
+        customKey: fieldLabel,
+        fieldName: def ? def.field_name : null,
+    };
+}
+
+/**
+ * Resolve one column name: list config columns, "cf.<label>" custom fields, bare custom field labels/names,
+ * then any other snake_case column of the list row.
+ */
+function resolveColumn(name, label, config, definitions) {
+    const key = String(name || '').trim();
+    if (!key) return null;
+
+    const customKey = parseCustomKey(key);
+    if (customKey) {
+        const def = definitions.find((d) => d.field_label === customKey || d.field_name === customKey);
+        return customColumn(def, customKey, label);
+    }
+    if (config.columns[key]) return fieldColumn(key, label);
+
+    const def = definitions.find((d) => d.field_label === key || d.field_name === key);
+    if (def) return customColumn(def, null, label);
+
+    if (/^[a-z_][a-z0-9_]*$/.test(key) && !SENSITIVE_COLUMN.test(key)) return fieldColumn(key, label);
+    return null;
+}
+
+/** header_configs.list_columns entries are column keys or { key|field|id|name, label } objects */
+function parseListColumnEntry(entry) {
+    if (typeof entry === 'string') return { name: entry, label: null };
+    if (!entry || typeof entry !== 'object') return null;
+    if (entry.visible === false || entry.hidden === true) return null;
+    const name = entry.key ?? entry.field ?? entry.id ?? entry.name ?? entry.value;
+    if (name === undefined || name === null) return null;
+    return { name: String(name), label: entry.label ?? entry.header ?? entry.title ?? null };
+}
+
+function parseJsonList(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string') return [];
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/** Requested columns: ?columns=a,b or columns[]=a&columns[]=b (use the array form for labels with commas) */
+function parseColumnsParam(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map((v) => String(v).trim()).filter((v) => v !== '');
+}
+
+/**
+ * Every column that can be exported: the list config columns plus the entity's custom fields.
+ * @returns {Promise<Array<{ key: string, label: string, customKey: string|null }>>}
+ */
+async function getAvailableColumns(pool, entityType) {
+    const entity = EXPORT_ENTITIES[entityType];
+    const definitions = await loadDefinitions(pool, entityType);
+    return [
+        ...Object.keys(entity.model.LIST_CONFIG.columns).map((key) => fieldColumn(key)),
+        ...definitions
+            .filter((def) => def.field_type !== 'composite')
+            .map((def) => customColumn(def, null)),
+    ];
+}
+
+/**
+ * Columns for an export: explicit picks, else the entity's configured list columns, else everything.
+ * Unknown explicit picks are a 400; unknown configured columns are skipped.
+ * @returns {Promise<{ columns: Array<{ key: string, label: string, customKey: string|null }>, source: string }>}
+ */
+async function resolveColumns(pool, entityType, requested) {
+    const entity = EXPORT_ENTITIES[entityType];
+    const config = entity.model.LIST_CONFIG;
+    const definitions = await loadDefinitions(pool, entityType);
+
+    const dedupe = (columns) => {
+        const seen = new Set();
+        return columns.filter((c) => c && !seen.has(c.key) && seen.add(c.key));
+    };
+
+    const picks = parseColumnsParam(requested);
+    if (picks.length > 0) {
+        const columns = picks.map((name) => {
+            const column = resolveColumn(name, null, config, definitions);
+            if (!column) throw new ExportRequestError(`Unknown export column "${name}"`);
+            return column;
+        });
+        return { columns: dedupe(columns), source: 'request' };
+    }
+
+    const headerConfig = await new HeaderConfig(pool).getByEntityType(entity.headerConfigType, 'columns');
+    const configured = parseJsonList(headerConfig?.fields)
+        .map(parseListColumnEntry)
+        .filter(Boolean)
+        .map((entry) => resolveColumn(entry.name, entry.label, config, definitions));
+    if (configured.some(Boolean)) {
+        return { columns: dedupe(configured), source: 'list_columns' };
+    }
+
+    return { columns: await getAvailableColumns(pool, entityType), source: 'all' };
+}
+
+/** Cell values of a list row, in column order */
+function rowValues(row, columns) {
+    const record = normalizeCustomFields(row);
+    return columns.map((column) => {
+        if (!column.customKey) return record[column.key];
+        const fields = record.custom_fields || {};
+        if (Object.prototype.hasOwnProperty.call(fields, column.customKey)) return fields[column.customKey];
+        return column.fieldName ? fields[column.fieldName] : undefined;
+    });
+}
+
+/**
+ * List params of an export request. Paging params are ignored; the export always covers the whole list.
+ * @returns {{ query: Object, listOptions: Object }} query is what gets stored on a background run
+ */
+function parseExportQuery(reqQuery, entityType) {
+    const entity = EXPORT_ENTITIES[entityType];
+    const query = {};
+    for (const key of ['filter', 'sort', 'q']) {
+        if (reqQuery[key] !== undefined && reqQuery[key] !== '') query[key] = reqQuery[key];
+    }
+    if (entity.archivedParam && (reqQuery.archived === 'true' || reqQuery.archived === 'false')) {
+        query.archived = reqQuery.archived;
+    }
+
+    const listOptions = parseListQuery(query, entity.model.LIST_CONFIG);
+    if (query.archived !== undefined) listOptions.archived = query.archived === 'true';
+    return { query, listOptions };
+}
+
+/** Number of rows an export would write */
+async function countExportRows(pool, entityType, listOptions) {
+    const model = new EXPORT_ENTITIES[entityType].model(pool);
+    const result = await model.list({ ...listOptions, limit: 1, offset: 0, cursor: null }, null);
+    return result.total;
+}
+
+/**
+ * Page through the list and write every row.
+ * @param {object} pool
+ * @param {{ entityType: string, format: string, listOptions: Object, columns: Array, output: import('stream').Writable,
+ *   isAborted?: Function }} params - listOptions must carry the accessScope; isAborted stops between pages
+ * @returns {Promise<{ rowCount: number, aborted: boolean }>}
+ */
+async function writeExport(pool, { entityType, format, listOptions, columns, output, isAborted = () => false }) {
+    const entity = EXPORT_ENTITIES[entityType];
+    const model = new entity.model(pool);
+    const writer = createExportWriter(format, columns, output, { sheetName: entity.label });
+
+    let rowCount = 0;
+    let cursor = null;
+    do {
+        const result = await model.list({ ...listOptions, limit: PAGE_SIZE, offset: 0, cursor, includeTotal: false }, null);
+        for (const row of result.rows) {
+            await writer.writeRow(rowValues(row, columns));
+            rowCount++;
+        }
+        cursor = result.nextCursor ? decodeCursor(result.nextCursor) : null;
+        if (isAborted()) return { rowCount, aborted: true };
+    } while (cursor);
+
+    await writer.finish();
+    return { rowCount, aborted: false };
+}
+
+function exportFileName(entityType, format) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `${entityType}-export-${date}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/** The parts of req.user record-level access needs, stored on background runs */
+function accessContextFor(user) {
+    return {
+        id: user.id,
+        role: user.role,
+        is_admin: user.is_admin,
+        team_id: user.team_id,
+        office_id: user.office_id,
+        record_scopes: user.record_scopes || null,
+    };
+}
+
+/**
+ * Audit entry in activity_logs: who exported what, in which format, and how many rows.
+ */
+async function logExport(pool, { userId, entityType, format, columns, query, rowCount, runId = null, status = 'completed' }) {
+    try {
+        await new ActivityLog(pool).logActivity({
+            userId,
+            action: 'export',
+            entityType,
+            entityId: runId,
+            entityLabel: `${EXPORT_ENTITIES[entityType].label} export (${format.toUpperCase()})`,
+            metadata: {
+                format,
+                status,
+                row_count: rowCount,
+                columns: columns.map((c) => c.key),
+                query,
+                export_run_id: runId,
+            },
+        });
+    } catch (error) {
+        // The export itself already happened; a missing audit row is logged rather than failing the download
+        console.error('Error logging export activity:', error.message);
+    }
+}
+
+/**
+ * Process one claimed export run: write the file into the run row and audit it.
+ */
+async function processExportRun(pool, run) {
+    const runModel = new ExportRun(pool);
+    try {
+        const entity = EXPORT_ENTITIES[run.entity_type];
+        if (!entity) throw new Error(`Unknown export entity: ${run.entity_type}`);
+
+        const { listOptions } = parseExportQuery(run.query || {}, run.entity_type);
+        listOptions.accessScope = await buildAccessScope(pool, run.access_context, entity.accessEntity, 'export');
+
+        const output = createBufferCollector();
+        const { rowCount } = await writeExport(pool, {
+            entityType: run.entity_type,
+            format: run.format,
+            listOptions,
+            columns: run.columns,
+            output,
+        });
+
+        const completed = await runModel.complete(run.id, {
+            rowCount,
+            fileName: exportFileName(run.entity_type, run.format),
+            contentType: EXPORT_FORMATS[run.format].contentType,
+            fileData: output.toBuffer(),
+            expiresInHours: parseInt(process.env.EXPORT_FILE_TTL_HOURS, 10) || 72,
+        });
+        await logExport(pool, {
+            userId: run.created_by,
+            entityType: run.entity_type,
+            format: run.format,
+            columns: run.columns,
+            query: run.query,
+            rowCount,
+            runId: run.id,
+        });
+        return completed;
+    } catch (error) {
+        console.error(`Export run ${run.id} failed:`, error);
+        await runModel.fail(run.id, error.message);
+        return null;
+    }
+}
+
+/**
+ * Claim and process queued export runs (a specific one when id is given), up to max runs.
+ * @returns {Promise<{ processed: number, completed: number, failed: number }>}
+ */
+async function processExportRuns(pool, { id = null, max = 5 } = {}) {
+    const runModel = new ExportRun(pool);
+    const summary = { processed: 0, completed: 0, failed: 0 };
+    while (summary.processed < max) {
+        const run = await runModel.claim({ id });
+        if (!run) break;
+        summary.processed++;
+        const result = await processExportRun(pool, run);
+        if (result) summary.completed++;
+        else summary.failed++;
+        if (id) break;
+    }
+    return summary;
+}
+
+module.exports = {
+    EXPORT_ENTITIES,
+    ExportRequestError,
+    resolveExportEntityType,
+    getAvailableColumns,
+    resolveColumns,
+    parseExportQuery,
+    countExportRows,
+    writeExport,
+    exportFileName,
+    accessContextFor,
+    logExport,
+    processExportRun,
+    processExportRuns,
+};
@@ -0,0 +1,357 @@
+/**
+ * Global search across organizations, hiring managers, jobs, job seekers, leads, placements and tasks.
+ *
+ * Each entity has a full-text document built only from its own columns (names, emails, phone digits,
+ * resume text, custom fields...) with a matching GIN expression index, so `document @@ query` uses the index.
+ * Note text is searched through GIN indexes on the *_notes tables. Display record numbers ("J-4") are
+ * matched exactly. Results are ranked with ts_rank and carry an HTML-safe highlighted snippet.
+ */
+
+const { PREFIX_MAP, formatDisplayRecordNumber, parseDisplayRecordNumber } = require('./recordNumberService');
+const { loadAccessContext, buildAccessCondition } = require('./recordAccessService');
+const { hasPermission } = require('./permissionService');
+
+const TS_CONFIG = 'simple';
+const NOTE_RANK_WEIGHT = 0.6;
+const RECORD_NUMBER_RANK = 10;
+
+// Markers passed to ts_headline, swapped for <mark> after the snippet is HTML-escaped
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+
+function text(column) {
+    return `COALESCE(${column}::text, '')`;
+}
+
+function phoneDigits(column) {
+    return `RIGHT(regexp_replace(COALESCE(${column}, ''), '[^0-9]', '', 'g'), 10)`;
+}
+
+/**
+ * Search entities. `permission` is the entity's prefix in the role permission matrix ("jobs.view").
+ * `document` lists expressions over the entity's own columns ({t} = table alias);
+ * index and query expressions are generated from the same list so the planner can match them.
+ */
+const SEARCH_ENTITIES = {
+    organization: {
+        table: 'organizations',
+        module: 'organization',
+        permission: 'organizations',
+        document: ['{t}.name', '{t}.nicknames', '{t}.website', '{t}.contact_phone', 'phone:{t}.contact_phone',
+            '{t}.city', '{t}.state', '{t}.overview', '{t}.custom_fields'],
+        title: '{t}.name',
+        subtitle: "concat_ws(', ', {t}.city, {t}.state)",
+        notes: { table: 'organization_notes', foreignKey: 'organization_id' },
+    },
+    hiring_manager: {
+        table: 'hiring_managers',
+        module: 'hiring_manager',
+        permission: 'hiring_managers',
+        document: ['{t}.first_name', '{t}.last_name', '{t}.email', '{t}.email2', '{t}.phone', 'phone:{t}.phone',
+            'phone:{t}.mobile_phone', 'phone:{t}.direct_line', '{t}.title', '{t}.organization_name', '{t}.linkedin_url',
+            '{t}.custom_fields'],
+        title: "concat_ws(' ', {t}.first_name, {t}.last_name)",
+        subtitle: "concat_ws(' · ', {t}.title, {t}.organization_name)",
+        notes: { table: 'hiring_manager_notes', foreignKey: 'hiring_manager_id' },
+    },
+    job: {
+        table: 'jobs',
+        module: 'job',
+        permission: 'jobs',
+        document: ['{t}.job_title', '{t}.category', '{t}.hiring_manager', '{t}.worksite_location', '{t}.job_description',
+            '{t}.required_skills', '{t}.custom_fields'],
+        title: '{t}.job_title',
+        subtitle: 'org.name',
+        joins: 'LEFT JOIN organizations org ON org.id = {t}.organization_id',
+        notes: { table: 'job_notes', foreignKey: 'job_id' },
+    },
+    job_seeker: {
+        table: 'job_seekers',
+        module: 'job_seeker',
+        permission: 'job_seekers',
+        document: ['{t}.first_name', '{t}.last_name', '{t}.email', '{t}.phone', 'phone:{t}.phone', 'phone:{t}.mobile_phone',
+            '{t}.title', '{t}.skills', '{t}.current_organization', '{t}.city', '{t}.state', '{t}.resume_text', '{t}.custom_fields'],
+        title: "concat_ws(' ', {t}.first_name, {t}.last_name)",
+        subtitle: "concat_ws(' · ', {t}.title, {t}.email)",
+        notes: { table: 'job_seeker_notes', foreignKey: 'job_seeker_id' },
+    },
+    lead: {
+        table: 'leads',
+        module: 'lead',
+        permission: 'leads',
+        document: ['{t}.first_name', '{t}.last_name', '{t}.email', '{t}.email2', '{t}.phone', 'phone:{t}.phone',
+            'phone:{t}.mobile_phone', 'phone:{t}.direct_line', '{t}.title', '{t}.organization_name', '{t}.linkedin_url',
+            '{t}.custom_fields'],
+        title: "concat_ws(' ', {t}.first_name, {t}.last_name)",
+        subtitle: "concat_ws(' · ', {t}.title, {t}.organization_name)",
+        notes: { table: 'lead_notes', foreignKey: 'lead_id' },
+    },
+    placement: {
+        table: 'placements',
+        module: 'placement',
+        permission: 'placements',
+        document: ['{t}.placement_type', '{t}.status', '{t}.custom_fields'],
+        title: "concat_ws(' — ', NULLIF(concat_ws(' ', js.first_name, js.last_name), ''), pj.job_title)",
+        subtitle: '{t}.status',
+        joins: 'LEFT JOIN job_seekers js ON js.id = {t}.job_seeker_id LEFT JOIN jobs pj ON pj.id = {t}.job_id',
+        notes: { table: 'placement_notes', foreignKey: 'placement_id' },
+    },
+    task: {
+        table: 'tasks',
+        module: 'task',
+        permission: 'tasks',
+        document: ['{t}.title', '{t}.description', '{t}.owner', '{t}.custom_fields'],
+        title: '{t}.title',
+        subtitle: "concat_ws(' · ', {t}.status, {t}.due_date::text)",
+        notes: { table: 'task_notes', foreignKey: 'task_id' },
+    },
+};
+
+// Route-style names accepted in ?types=
+const TYPE_ALIASES = {
+    organizations: 'organization',
+    'hiring-managers': 'hiring_manager',
+    hiring_managers: 'hiring_manager',
+    jobs: 'job',
+    'job-seekers': 'job_seeker',
+    job_seekers: 'job_seeker',
+    leads: 'lead',
+    placements: 'placement',
+    tasks: 'task',
+};
+
+// Portal candidates authenticate separately; the "candidate" staff role has no CRM search access
+const NO_SEARCH_ROLES = ['candidate'];
+
+function resolveSearchType(value) {
+    const key = String(value || '').trim().toLowerCase();
+    if (SEARCH_ENTITIES[key]) return key;
+    return TYPE_ALIASES[key] || null;
+}
+
+function withAlias(expression, alias) {
+    return expression.replace(/\{t\}/g, alias);
+}
+
+/** tsvector expression for an entity; alias '' gives the bare-column form used in CREATE INDEX */
+function documentExpression(entity, alias = '') {
+    const parts = entity.document.map((item) => {
+        const column = withAlias(item.replace(/^phone:/, ''), alias).replace(/^\./, '');
+        return item.startsWith('phone:') ? phoneDigits(column) : text(column);
+    });
+    return `to_tsvector('${TS_CONFIG}', ${parts.join(" || ' ' || ")})`;
+}
+
+function headlineExpression(entity, alias) {
+    // Headline over the readable columns (phone digits are only for matching)
+    const parts = entity.document
+        .filter((item) => !item.startsWith('phone:'))
+        .map((item) => text(withAlias(item, alias)));
+    return parts.join(" || ' ' || ");
+}
+
+function noteDocumentExpression(alias = '') {
+    return `to_tsvector('${TS_CONFIG}', ${alias ? `${alias}.` : ''}text)`;
+}
+
+let indexesEnsured = false;
+
+/**
+ * Create the GIN expression indexes (entity documents and notes). Idempotent; runs once per process.
+ * Tables that do not exist yet are skipped and retried on the next call.
+ */
+async function ensureSearchIndexes(pool) {
+    if (indexesEnsured) return;
+    let allCreated = true;
+    for (const [key, entity] of Object.entries(SEARCH_ENTITIES)) {
+        const statements = [
+            `CREATE INDEX IF NOT EXISTS idx_search_${entity.table} ON ${entity.table} USING GIN (${documentExpression(entity)})`,
+            `CREATE INDEX IF NOT EXISTS idx_search_${entity.notes.table} ON ${entity.notes.table} USING GIN (${noteDocumentExpression()})`,
+        ];
+        for (const sql of statements) {
+            try {
+                await pool.query(sql);
+            } catch (error) {
+                allCreated = false;
+                console.warn(`⚠️ Search index for ${key} not created:`, error.message);
+            }
+        }
+    }
+    indexesEnsured = allCreated;
+}
+
+/**
+ * Build a prefix-matching tsquery string from free text ("jane do" -> "jane:* & do:*").
+ * Emails stay whole; phone-like input is reduced to its last 10 digits.
+ * @returns {string|null}
+ */
+function buildTsQuery(q) {
+    const terms = [];
+    // "(512) 555-1234" spans words; collapse phone-like runs to digits first
+    const input = String(q || '').replace(/\+?[\d(][\d\s().-]{5,}\d/g, (match) => {
+        const digits = match.replace(/\D/g, '');
+        return digits.length >= 7 ? ` ${digits.slice(-10)} ` : match;
+    });
+    for (const word of input.trim().split(/\s+/)) {
+        if (!word) continue;
+        if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(word)) {
+            terms.push(`'${word.toLowerCase().replace(/\\/g, '').replace(/'/g, "''")}'`);
+            continue;
+        }
+        for (const part of word.toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+            if (part) terms.push(`${part}:*`);
+        }
+    }
+    return terms.length > 0 ? terms.join(' & ') : null;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatSnippet(raw) {
+    if (!raw) return null;
+    return escapeHtml(raw.replace(/\s+/g, ' ').trim())
+        .split(HIGHLIGHT_START).join('<mark>')
+        .split(HIGHLIGHT_STOP).join('</mark>');
+}
+
+let cachedPrefixes = null;
+
+// Display prefixes come from the modules table (see migrations/reusable_record_numbers.sql)
+async function loadModulePrefixes(pool) {
+    if (cachedPrefixes) return cachedPrefixes;
+    try {
+        const result = await pool.query('SELECT name, prefix FROM modules');
+        cachedPrefixes = { ...PREFIX_MAP };
+        for (const row of result.rows) cachedPrefixes[row.name] = row.prefix;
+    } catch (error) {
+        return PREFIX_MAP;
+    }
+    return cachedPrefixes;
+}
+
+/**
+ * Entity types the user may search: those their role may view.
+ * @param {{ role: string, permissions?: string[] }} user - req.user
+ * @returns {string[]}
+ */
+function searchableTypesForUser(user) {
+    if (!user || NO_SEARCH_ROLES.includes(user.role)) return [];
+    const keys = Object.keys(SEARCH_ENTITIES);
+    if (!Array.isArray(user.permissions)) return keys;
+    return keys.filter((key) => hasPermission(user.permissions, `${SEARCH_ENTITIES[key].permission}.view`));
+}
+
+function buildEntityQuery(key, { includeArchived, accessCondition = null }) {
+    const entity = SEARCH_ENTITIES[key];
+    const doc = documentExpression(entity, 't');
+    const notes = entity.notes;
+    const archivedFilter = includeArchived ? '' : `AND COALESCE(t.status, '') <> 'Archived'`;
+    const headlineOptions = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MaxWords=20, MinWords=6, FragmentDelimiter=" … "`;
+
+    return `
+        WITH q AS (SELECT to_tsquery('${TS_CONFIG}', $1) AS query),
+        hits AS (
+            SELECT t.id, ts_rank(${doc}, q.query) AS rank, 'record'::text AS matched_in, NULL::integer AS note_id
+            FROM ${entity.table} t, q
+            WHERE ${doc} @@ q.query
+            UNION ALL
+            SELECT n.${notes.foreignKey}, ts_rank(${noteDocumentExpression('n')}, q.query) * ${NOTE_RANK_WEIGHT}, 'note', n.id
+            FROM ${notes.table} n, q
+            WHERE ${noteDocumentExpression('n')} @@ q.query
+            UNION ALL
+            SELECT t.id, ${RECORD_NUMBER_RANK}, 'record_number', NULL
+            FROM ${entity.table} t
+            WHERE $2::integer IS NOT NULL AND t.record_number = $2::integer
+        ),
+        best AS (
+            SELECT DISTINCT ON (id) id, rank, matched_in, note_id
+            FROM hits
+            ORDER BY id, rank DESC
+        )
+        SELECT b.id, b.rank, b.matched_in, t.record_number, t.status,
+               ${withAlias(entity.title, 't')} AS title,
+               ${withAlias(entity.subtitle, 't')} AS subtitle,
+               CASE WHEN b.matched_in = 'record_number' THEN NULL
+                    ELSE ts_headline('${TS_CONFIG}',
+                        CASE WHEN b.matched_in = 'note' THEN n.text ELSE ${headlineExpression(entity, 't')} END,
+                        q.query, '${headlineOptions}')
+               END AS snippet,
+               COUNT(*) OVER () AS total
+        FROM best b
+        JOIN ${entity.table} t ON t.id = b.id
+        ${entity.joins ? withAlias(entity.joins, 't') : ''}
+        LEFT JOIN ${notes.table} n ON n.id = b.note_id
+        CROSS JOIN q
+        WHERE true ${archivedFilter} ${accessCondition ? `AND ${accessCondition}` : ''}
+        ORDER BY b.rank DESC, t.id DESC
+        LIMIT $3
+    `;
+}
+
+/**
+ * @param {import('pg').Pool} pool
+ * @param {{ q: string, types?: string[], limit?: number, includeArchived?: boolean, user: Object }} options
+ * @returns {Promise<{ results: Array, counts: Object<string, number> }>}
+ */
+async function globalSearch(pool, { q, types, limit = 20, includeArchived = false, user }) {
+    const allowed = searchableTypesForUser(user);
+    const requested = types && types.length > 0 ? types.filter((t) => allowed.includes(t)) : allowed;
+
+    const tsQuery = buildTsQuery(q);
+    const recordNumber = parseDisplayRecordNumber(q, await loadModulePrefixes(pool));
+    if (!tsQuery && !recordNumber) return { results: [], counts: {} };
+
+    // Results are limited to records the user may read (services/recordAccessService.js)
+    const accessContext = await loadAccessContext(pool, user);
+
+    const counts = {};
+    const results = [];
+    await Promise.all(requested.map(async (key) => {
+        const entity = SEARCH_ENTITIES[key];
+        const number = recordNumber && recordNumber.moduleType === entity.module ? recordNumber.recordNumber : null;
+        try {
+            const values = [tsQuery, number, limit];
+            const accessCondition = buildAccessCondition(accessContext, key, 'read', 't', values);
+            const result = await pool.query(buildEntityQuery(key, { includeArchived, accessCondition }), values);
+            counts[key] = result.rows.length > 0 ? Number(result.rows[0].total) : 0;
+            for (const row of result.rows) {
+                results.push({
+                    entityType: key,
+                    id: row.id,
+                    recordNumber: formatDisplayRecordNumber(entity.module, row.record_number) || null,
+                    title: row.title || null,
+                    subtitle: row.subtitle || null,
+                    status: row.status || null,
+                    matchedIn: row.matched_in,
+                    snippet: formatSnippet(row.snippet),
+                    rank: Number(row.rank),
+                });
+            }
+        } catch (error) {
+            // A module whose tables are not initialized yet should not break search for the rest
+            if (error.code === '42P01') {
+                counts[key] = 0;
+                return;
+            }
+            throw error;
+        }
+    }));
+
+    results.sort((a, b) => b.rank - a.rank);
+    return { results: results.slice(0, limit), counts };
+}
+
+module.exports = {
+    SEARCH_ENTITIES,
+    resolveSearchType,
+    searchableTypesForUser,
+    buildTsQuery,
+    ensureSearchIndexes,
+    globalSearch,
+};
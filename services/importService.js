@@ -0,0 +1,1028 @@
+/**
+ * Bulk CSV/XLSX import for organizations, contacts (hiring managers), jobs, job seekers and leads.
+ *
+ * Flow: the upload is parsed and its rows stored on import_jobs (models/importJob.js); columns are mapped
+ * to standard fields or custom fields ("custom:<field label>"); a dry run validates every row and matches it
+ * against existing records by email, phone or name without writing anything; the run writes the actionable
+ * rows in chunks, one transaction per batch, and logs each created/updated record so a batch can be rolled back.
+ * Once a batch (or its rollback) commits, every record it created, updated or deleted gets the usual audit entry
+ * and record webhooks.
+ */
+
+const { allocateRecordNumber, releaseRecordNumber, formatDisplayRecordNumber } = require('./recordNumberService');
+const { validateCustomFields, loadDefinitions } = require('./customFieldValidationService');
+const { normalizeEmail, normalizePhone } = require('./duplicateDetectionService');
+const { accessibleIds } = require('./recordAccessService');
+const { emitRecordCreated, emitRecordUpdated, emitRecordDeleted } = require('./webhookService');
+const { auditRecordCreated, auditRecordUpdated, auditRecordDeleted } = require('./auditService');
+
+const DEFAULT_BATCH_SIZE = 200;
+const MAX_BATCH_SIZE = 1000;
+const REPORT_ISSUE_LIMIT = 500;
+const CUSTOM_FIELD_PREFIX = 'custom:';
+
+// What happens to a row that matches an existing record (or an earlier row of the same file)
+const DUPLICATE_ACTIONS = ['skip', 'update', 'create'];
+const MATCH_KEYS = ['email', 'phone', 'name'];
+
+// Hiring managers and leads share their columns
+const CONTACT_FIELDS = [
+    { key: 'first_name', label: 'First Name', type: 'string', maxLength: 255, required: true, aliases: ['first', 'given name'] },
+    { key: 'last_name', label: 'Last Name', type: 'string', maxLength: 255, required: true, aliases: ['last', 'surname', 'family name'] },
+    { key: 'status', label: 'Status', type: 'string', maxLength: 50 },
+    { key: 'nickname', label: 'Nickname', type: 'string', maxLength: 255 },
+    { key: 'title', label: 'Title', type: 'string', maxLength: 255, aliases: ['job title', 'position'] },
+    { key: 'organization', label: 'Organization', type: 'organization', aliases: ['company', 'organization name', 'employer'] },
+    { key: 'department', label: 'Department', type: 'string', maxLength: 100 },
+    { key: 'reports_to', label: 'Reports To', type: 'string', maxLength: 255 },
+    { key: 'owner', label: 'Owner', type: 'string', maxLength: 255 },
+    { key: 'secondary_owners', label: 'Secondary Owners', type: 'string', maxLength: 255 },
+    { key: 'email', label: 'Email', type: 'email', maxLength: 255, aliases: ['email address', 'e-mail'] },
+    { key: 'email2', label: 'Email 2', type: 'email', maxLength: 255, aliases: ['secondary email', 'other email'] },
+    { key: 'phone', label: 'Phone', type: 'string', maxLength: 50, aliases: ['phone number', 'work phone'] },
+    { key: 'mobile_phone', label: 'Mobile Phone', type: 'string', maxLength: 50, aliases: ['mobile', 'cell', 'cell phone'] },
+    { key: 'direct_line', label: 'Direct Line', type: 'string', maxLength: 50 },
+    { key: 'company_phone', label: 'Company Phone', type: 'string', maxLength: 50 },
+    { key: 'linkedin_url', label: 'LinkedIn URL', type: 'string', maxLength: 500, aliases: ['linkedin', 'linkedin profile'] },
+    { key: 'address', label: 'Address', type: 'text', aliases: ['street', 'address 1', 'street address'] },
+    { key: 'address2', label: 'Address 2', type: 'string', maxLength: 255 },
+    { key: 'city', label: 'City', type: 'string', maxLength: 255 },
+    { key: 'state', label: 'State', type: 'string', maxLength: 255, aliases: ['province', 'region'] },
+    { key: 'zip_code', label: 'ZIP Code', type: 'string', maxLength: 20, aliases: ['zip', 'postal code', 'postcode'] },
+    { key: 'last_contact_date', label: 'Last Contact Date', type: 'date' },
+];
+
+/**
+ * Importable entities, keyed by the API slug used for custom fields and routes.
+ * matchKeys: columns compared for duplicates; name is "person" (first + last), "organization" or "job" (title + organization).
+ * dependents: rows referencing a record, which block rolling back its creation.
+ */
+const IMPORT_ENTITIES = {
+    organizations: {
+        label: 'Organizations',
+        table: 'organizations',
+        module: 'organization',
+        accessEntity: 'organization',
+        permission: 'organizations',
+        historyTable: 'organization_history',
+        historyForeignKey: 'organization_id',
+        fields: [
+            { key: 'name', label: 'Name', type: 'string', maxLength: 255, required: true, aliases: ['organization', 'organization name', 'company', 'company name'] },
+            { key: 'nicknames', label: 'Nicknames', type: 'string', maxLength: 255 },
+            { key: 'parent_organization', label: 'Parent Organization', type: 'string', maxLength: 255, aliases: ['parent company'] },
+            { key: 'website', label: 'Website', type: 'string', maxLength: 255, aliases: ['url', 'web site'] },
+            { key: 'status', label: 'Status', type: 'string', maxLength: 50 },
+            { key: 'contract_on_file', label: 'Contract On File', type: 'string', maxLength: 10 },
+            { key: 'contract_signed_by', label: 'Contract Signed By', type: 'string', maxLength: 255 },
+            { key: 'date_contract_signed', label: 'Date Contract Signed', type: 'date' },
+            { key: 'year_founded', label: 'Year Founded', type: 'string', maxLength: 4, aliases: ['founded'] },
+            { key: 'overview', label: 'Overview', type: 'text', aliases: ['description', 'about'] },
+            { key: 'perm_fee', label: 'Perm Fee', type: 'string', maxLength: 50 },
+            { key: 'num_employees', label: 'Number of Employees', type: 'integer', aliases: ['employees'] },
+            { key: 'num_offices', label: 'Number of Offices', type: 'integer', aliases: ['offices'] },
+            { key: 'contact_phone', label: 'Phone', type: 'string', maxLength: 50, aliases: ['phone number', 'main phone'] },
+            { key: 'address', label: 'Address', type: 'text', aliases: ['street', 'address 1', 'street address'] },
+            { key: 'address2', label: 'Address 2', type: 'string', maxLength: 255 },
+            { key: 'city', label: 'City', type: 'string', maxLength: 255 },
+            { key: 'state', label: 'State', type: 'string', maxLength: 255, aliases: ['province', 'region'] },
+            { key: 'zip_code', label: 'ZIP Code', type: 'string', maxLength: 20, aliases: ['zip', 'postal code', 'postcode'] },
+        ],
+        matchKeys: { email: [], phone: ['contact_phone'], name: 'organization' },
+        dependents: [
+            { table: 'hiring_managers', column: 'organization_id' },
+            { table: 'jobs', column: 'organization_id' },
+            { table: 'leads', column: 'organization_id' },
+            { table: 'placements', column: 'organization_id' },
+            { table: 'tasks', column: 'organization_id' },
+        ],
+    },
+    'hiring-managers': {
+        label: 'Contacts (Hiring Managers)',
+        table: 'hiring_managers',
+        module: 'hiring_manager',
+        accessEntity: 'hiring_manager',
+        permission: 'hiring_managers',
+        historyTable: 'hiring_manager_history',
+        historyForeignKey: 'hiring_manager_id',
+        fields: CONTACT_FIELDS,
+        organizationNameColumn: 'organization_name',
+        matchKeys: { email: ['email', 'email2'], phone: ['phone', 'mobile_phone', 'direct_line'], name: 'person' },
+        dependents: [{ table: 'tasks', column: 'hiring_manager_id' }],
+    },
+    jobs: {
+        label: 'Jobs',
+        table: 'jobs',
+        module: 'job',
+        accessEntity: 'job',
+        permission: 'jobs',
+        historyTable: 'job_history',
+        historyForeignKey: 'job_id',
+        // Custom field definitions may differ per job type ("jobs-contract")
+        variantField: 'job_type',
+        fields: [
+            { key: 'job_title', label: 'Job Title', type: 'string', maxLength: 255, required: true, aliases: ['title', 'position'] },
+            { key: 'job_type', label: 'Job Type', type: 'string', maxLength: 50, aliases: ['type'] },
+            { key: 'category', label: 'Category', type: 'string', maxLength: 100 },
+            { key: 'organization', label: 'Organization', type: 'organization', aliases: ['company', 'organization name', 'client'] },
+            { key: 'hiring_manager', label: 'Hiring Manager', type: 'string', maxLength: 255, aliases: ['contact'] },
+            { key: 'status', label: 'Status', type: 'string', maxLength: 50 },
+            { key: 'priority', label: 'Priority', type: 'string', maxLength: 10 },
+            { key: 'employment_type', label: 'Employment Type', type: 'string', maxLength: 50 },
+            { key: 'start_date', label: 'Start Date', type: 'date' },
+            { key: 'worksite_location', label: 'Worksite Location', type: 'text', aliases: ['location'] },
+            { key: 'remote_option', label: 'Remote Option', type: 'string', maxLength: 50, aliases: ['remote'] },
+            { key: 'job_description', label: 'Job Description', type: 'text', aliases: ['description'] },
+            { key: 'salary_type', label: 'Salary Type', type: 'string', maxLength: 20 },
+            { key: 'min_salary', label: 'Minimum Salary', type: 'number', aliases: ['min salary', 'salary from'] },
+            { key: 'max_salary', label: 'Maximum Salary', type: 'number', aliases: ['max salary', 'salary to'] },
+            { key: 'benefits', label: 'Benefits', type: 'text' },
+            { key: 'required_skills', label: 'Required Skills', type: 'text', aliases: ['skills'] },
+            { key: 'owner', label: 'Owner', type: 'string', maxLength: 255 },
+        ],
+        matchKeys: { email: [], phone: [], name: 'job' },
+        dependents: [
+            { table: 'job_seeker_applications', column: 'job_id' },
+            { table: 'placements', column: 'job_id' },
+            { table: 'tasks', column: 'job_id' },
+            { table: 'appointments', column: 'job_id' },
+        ],
+    },
+    'job-seekers': {
+        label: 'Job Seekers',
+        table: 'job_seekers',
+        module: 'job_seeker',
+        accessEntity: 'job_seeker',
+        permission: 'job_seekers',
+        historyTable: 'job_seeker_history',
+        historyForeignKey: 'job_seeker_id',
+        fields: [
+            { key: 'first_name', label: 'First Name', type: 'string', maxLength: 255, required: true, aliases: ['first', 'given name'] },
+            { key: 'last_name', label: 'Last Name', type: 'string', maxLength: 255, required: true, aliases: ['last', 'surname', 'family name'] },
+            { key: 'email', label: 'Email', type: 'email', maxLength: 255, aliases: ['email address', 'e-mail'] },
+            { key: 'phone', label: 'Phone', type: 'string', maxLength: 50, aliases: ['phone number', 'home phone'] },
+            { key: 'mobile_phone', label: 'Mobile Phone', type: 'string', maxLength: 50, aliases: ['mobile', 'cell', 'cell phone'] },
+            { key: 'address', label: 'Address', type: 'text', aliases: ['street', 'address 1', 'street address'] },
+            { key: 'city', label: 'City', type: 'string', maxLength: 100 },
+            { key: 'state', label: 'State', type: 'string', maxLength: 50, aliases: ['province', 'region'] },
+            { key: 'zip', label: 'ZIP Code', type: 'string', maxLength: 20, aliases: ['zip code', 'postal code', 'postcode'] },
+            { key: 'status', label: 'Status', type: 'string', maxLength: 50 },
+            { key: 'current_organization', label: 'Current Organization', type: 'string', maxLength: 255, aliases: ['company', 'current company', 'employer'] },
+            { key: 'title', label: 'Title', type: 'string', maxLength: 255, aliases: ['job title', 'current title', 'position'] },
+            { key: 'skills', label: 'Skills', type: 'text' },
+            { key: 'desired_salary', label: 'Desired Salary', type: 'string', maxLength: 50 },
+            { key: 'owner', label: 'Owner', type: 'string', maxLength: 255 },
+            { key: 'last_contact_date', label: 'Last Contact Date', type: 'date' },
+        ],
+        matchKeys: { email: ['email'], phone: ['phone', 'mobile_phone'], name: 'person' },
+        dependents: [
+            { table: 'job_seeker_applications', column: 'job_seeker_id' },
+            { table: 'placements', column: 'job_seeker_id' },
+            { table: 'tasks', column: 'job_seeker_id' },
+        ],
+    },
+    leads: {
+        label: 'Leads',
+        table: 'leads',
+        module: 'lead',
+        accessEntity: 'lead',
+        permission: 'leads',
+        historyTable: 'lead_history',
+        historyForeignKey: 'lead_id',
+        fields: CONTACT_FIELDS,
+        organizationNameColumn: 'organization_name',
+        matchKeys: { email: ['email', 'email2'], phone: ['phone', 'mobile_phone', 'direct_line'], name: 'person' },
+        dependents: [{ table: 'tasks', column: 'lead_id' }],
+    },
+};
+
+const ENTITY_ALIASES = {
+    organization: 'organizations',
+    contacts: 'hiring-managers',
+    contact: 'hiring-managers',
+    hiring_managers: 'hiring-managers',
+    job_seekers: 'job-seekers',
+    job: 'jobs',
+    lead: 'leads',
+};
+
+/** Entity slug ("job-seekers") from a slug, table name or alias; null if not importable */
+function resolveImportEntityType(value) {
+    const v = String(value || '').trim().toLowerCase();
+    if (IMPORT_ENTITIES[v]) return v;
+    return ENTITY_ALIASES[v] || null;
+}
+
+function normalizeHeader(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Standard fields plus the entity's custom field definitions, as mapping targets.
+ * @returns {Promise<Array<{ target: string, label: string, type: string, required: boolean, custom: boolean }>>}
+ */
+async function getImportFields(pool, entityType) {
+    const config = IMPORT_ENTITIES[entityType];
+    const definitions = await loadDefinitions(pool, entityType);
+    return [
+        ...config.fields.map((field) => ({
+            target: field.key,
+            label: field.label,
+            type: field.type,
+            required: field.required === true,
+            custom: false,
+        })),
+        ...definitions
+            .filter((def) => def.field_type !== 'composite' && !def.is_read_only)
+            .map((def) => ({
+                target: `${CUSTOM_FIELD_PREFIX}${def.field_label}`,
+                label: def.field_label,
+                type: def.field_type,
+                required: def.is_required === true && def.is_hidden !== true,
+                custom: true,
+            })),
+    ];
+}
+
+/** Header -> target guesses from field keys, labels and aliases (unmatched headers map to null) */
+function suggestMapping(headers, fields, entityType) {
+    const config = IMPORT_ENTITIES[entityType];
+    const lookup = new Map();
+    for (const field of fields) {
+        const standard = !field.custom && config.fields.find((f) => f.key === field.target);
+        const names = [field.target.replace(CUSTOM_FIELD_PREFIX, ''), field.label, ...((standard && standard.aliases) || [])];
+        for (const name of names) {
+            const key = normalizeHeader(name);
+            if (key && !lookup.has(key)) lookup.set(key, field.target);
+        }
+    }
+
+    const used = new Set();
+    const mapping = {};
+    for (const header of headers) {
+        const target = lookup.get(normalizeHeader(header)) || null;
+        mapping[header] = target && !used.has(target) ? target : null;
+        if (target) used.add(target);
+    }
+    return mapping;
+}
+
+/**
+ * Check a submitted mapping ({ header: target }) against the file headers and the available fields.
+ * @returns {{ mapping: Object, errors: string[] }}
+ */
+function normalizeMapping(rawMapping, headers, fields) {
+    const errors = [];
+    if (!rawMapping || typeof rawMapping !== 'object' || Array.isArray(rawMapping)) {
+        return { mapping: {}, errors: ['mapping must be an object of { "<column header>": "<field>" }'] };
+    }
+
+    const targets = new Map(fields.map((field) => [field.target, field]));
+    const mapping = {};
+    const usedBy = new Map();
+    for (const [header, rawTarget] of Object.entries(rawMapping)) {
+        if (!headers.includes(header)) {
+            errors.push(`Column "${header}" is not in the file`);
+            continue;
+        }
+        const target = rawTarget === null || rawTarget === undefined ? '' : String(rawTarget).trim();
+        if (!target) {
+            mapping[header] = null;
+            continue;
+        }
+        if (!targets.has(target)) {
+            errors.push(`Column "${header}" is mapped to unknown field "${target}"`);
+            continue;
+        }
+        if (usedBy.has(target)) {
+            errors.push(`Columns "${usedBy.get(target)}" and "${header}" are both mapped to ${targets.get(target).label}`);
+            continue;
+        }
+        usedBy.set(target, header);
+        mapping[header] = target;
+    }
+
+    const missing = fields.filter((field) => field.required && !field.custom && !usedBy.has(field.target));
+    if (missing.length > 0) {
+        errors.push(`Required fields are not mapped: ${missing.map((field) => field.label).join(', ')}`);
+    }
+    return { mapping, errors };
+}
+
+/**
+ * @returns {{ options: { duplicateAction: string, matchOn: string[], batchSize: number }, errors: string[] }}
+ */
+function normalizeOptions(raw = {}, entityType) {
+    const config = IMPORT_ENTITIES[entityType];
+    const errors = [];
+    const duplicateAction = raw.duplicateAction ?? raw.duplicate_action ?? 'skip';
+    if (!DUPLICATE_ACTIONS.includes(duplicateAction)) {
+        errors.push(`duplicateAction must be one of: ${DUPLICATE_ACTIONS.join(', ')}`);
+    }
+
+    const supported = MATCH_KEYS.filter((key) => key === 'name' || config.matchKeys[key].length > 0);
+    let matchOn = raw.matchOn ?? raw.match_on ?? supported;
+    if (typeof matchOn === 'string') matchOn = matchOn.split(',').map((key) => key.trim()).filter(Boolean);
+    if (!Array.isArray(matchOn) || matchOn.some((key) => !supported.includes(key))) {
+        errors.push(`matchOn must be a list of: ${supported.join(', ')}`);
+        matchOn = supported;
+    }
+
+    const batchSize = raw.batchSize ?? raw.batch_size;
+    const size = batchSize === undefined ? DEFAULT_BATCH_SIZE : parseInt(batchSize, 10);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_BATCH_SIZE) {
+        errors.push(`batchSize must be between 1 and ${MAX_BATCH_SIZE}`);
+    }
+
+    return { options: { duplicateAction, matchOn: [...new Set(matchOn)], batchSize: size || DEFAULT_BATCH_SIZE }, errors };
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/** YYYY-MM-DD from ISO dates, US dates (M/D/YYYY) or Excel date serials; null if unparseable */
+function parseDateValue(raw) {
+    const value = String(raw).trim();
+    let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+    if (match) return validDate(+match[1], +match[2], +match[3]);
+    match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+    if (match) {
+        const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+        return validDate(year, +match[1], +match[2]);
+    }
+    // XLSX stores dates as days since 1899-12-30
+    if (/^\d{1,5}(\.\d+)?$/.test(value)) {
+        const serial = Math.floor(parseFloat(value));
+        if (serial < 1 || serial > 2958465) return null;
+        const date = new Date(Date.UTC(1899, 11, 30) + serial * 86400000);
+        return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    }
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return validDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+}
+
+function validDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/** @returns {{ value?: *, error?: string }} */
+function coerceValue(field, raw) {
+    switch (field.type) {
+        case 'email':
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw)) return { error: `${field.label} is not a valid email address` };
+            break;
+        case 'integer': {
+            const cleaned = raw.replace(/,/g, '');
+            if (!/^-?\d+(\.0+)?$/.test(cleaned)) return { error: `${field.label} must be a whole number` };
+            return { value: parseInt(cleaned, 10) };
+        }
+        case 'number': {
+            const cleaned = raw.replace(/[$,\s]/g, '');
+            if (cleaned === '' || Number.isNaN(Number(cleaned))) return { error: `${field.label} must be a number` };
+            return { value: Number(cleaned) };
+        }
+        case 'date': {
+            const date = parseDateValue(raw);
+            return date ? { value: date } : { error: `${field.label} is not a valid date` };
+        }
+        default:
+            break;
+    }
+    if (field.maxLength && raw.length > field.maxLength) {
+        return { error: `${field.label} must be at most ${field.maxLength} characters` };
+    }
+    return { value: raw };
+}
+
+function lower(value) {
+    return String(value ?? '').trim().toLowerCase();
+}
+
+/** Normalized duplicate keys of a record (import row data or an existing row) */
+function matchKeysFor(config, record) {
+    const keys = { email: [], phone: [], name: null };
+    for (const column of config.matchKeys.email) {
+        const email = normalizeEmail(record[column]);
+        if (email) keys.email.push(email);
+    }
+    for (const column of config.matchKeys.phone) {
+        const phone = normalizePhone(record[column]);
+        if (phone) keys.phone.push(phone);
+    }
+    if (config.matchKeys.name === 'person') {
+        if (lower(record.first_name) && lower(record.last_name)) {
+            keys.name = `${lower(record.first_name)} ${lower(record.last_name)}`;
+        }
+    } else if (config.matchKeys.name === 'organization') {
+        keys.name = lower(record.name) || null;
+    } else if (config.matchKeys.name === 'job' && lower(record.job_title)) {
+        keys.name = `${lower(record.job_title)}|${record.organization_id ?? ''}`;
+    }
+    return keys;
+}
+
+/** SQL expression matching matchKeysFor(); the job name key is narrowed to the title here */
+function nameMatchSql(config) {
+    switch (config.matchKeys.name) {
+        case 'person':
+            return `LOWER(TRIM(t.first_name)) || ' ' || LOWER(TRIM(t.last_name))`;
+        case 'organization':
+            return 'LOWER(TRIM(t.name))';
+        case 'job':
+            return 'LOWER(TRIM(t.job_title))';
+        default:
+            return null;
+    }
+}
+
+function displayName(config, row) {
+    if (config.matchKeys.name === 'person') return `${row.first_name || ''} ${row.last_name || ''}`.trim();
+    if (config.matchKeys.name === 'organization') return row.name;
+    return row.job_title;
+}
+
+/**
+ * Existing, non-archived records sharing an email, phone or name key with the import rows.
+ * @returns {Promise<{ email: Map, phone: Map, name: Map }>} key -> existing row (lowest id wins)
+ */
+async function loadExistingMatches(pool, config, items, matchOn) {
+    const wanted = { email: new Set(), phone: new Set(), name: new Set() };
+    for (const item of items) {
+        for (const email of item.keys.email) wanted.email.add(email);
+        for (const phone of item.keys.phone) wanted.phone.add(phone);
+        if (item.keys.name) wanted.name.add(config.matchKeys.name === 'job' ? item.keys.name.split('|')[0] : item.keys.name);
+    }
+
+    const values = [];
+    const conditions = [];
+    if (matchOn.includes('email') && wanted.email.size > 0) {
+        values.push([...wanted.email]);
+        conditions.push(...config.matchKeys.email.map((column) =>
+            `regexp_replace(LOWER(TRIM(t.${column})), '\\+[^@]*@', '@') = ANY($${values.length})`));
+    }
+    if (matchOn.includes('phone') && wanted.phone.size > 0) {
+        values.push([...wanted.phone]);
+        conditions.push(...config.matchKeys.phone.map((column) =>
+            `RIGHT(regexp_replace(regexp_replace(COALESCE(t.${column}, ''), '\\D', '', 'g'), '^1(\\d{10})$', '\\1'), 10) = ANY($${values.length})`));
+    }
+    const nameSql = nameMatchSql(config);
+    if (matchOn.includes('name') && nameSql && wanted.name.size > 0) {
+        values.push([...wanted.name]);
+        conditions.push(`${nameSql} = ANY($${values.length})`);
+    }
+
+    const index = { email: new Map(), phone: new Map(), name: new Map() };
+    if (conditions.length === 0) return index;
+
+    const columns = new Set(['id', 'record_number', 'custom_fields', ...config.matchKeys.email, ...config.matchKeys.phone]);
+    if (config.matchKeys.name === 'person') ['first_name', 'last_name'].forEach((c) => columns.add(c));
+    if (config.matchKeys.name === 'organization') columns.add('name');
+    if (config.matchKeys.name === 'job') ['job_title', 'organization_id'].forEach((c) => columns.add(c));
+
+    const result = await pool.query(
+        `SELECT ${[...columns].map((c) => `t.${c}`).join(', ')}
+         FROM ${config.table} t
+         WHERE t.archived_at IS NULL AND (${conditions.join(' OR ')})
+         ORDER BY t.id ASC`,
+        values
+    );
+    for (const row of result.rows) {
+        const keys = matchKeysFor(config, row);
+        for (const email of keys.email) if (!index.email.has(email)) index.email.set(email, row);
+        for (const phone of keys.phone) if (!index.phone.has(phone)) index.phone.set(phone, row);
+        if (keys.name && !index.name.has(keys.name)) index.name.set(keys.name, row);
+    }
+    return index;
+}
+
+/** Resolve "organization" values (id or name) to organization_id (+ organization_name for contacts and leads) */
+async function resolveOrganizations(pool, config, items) {
+    const refs = items.filter((item) => item.organizationRef !== null);
+    if (refs.length === 0) return;
+
+    const ids = [...new Set(refs.map((item) => item.organizationRef).filter((ref) => /^\d+$/.test(ref)).map(Number))];
+    const names = [...new Set(refs.map((item) => lower(item.organizationRef)))];
+    const result = await pool.query(
+        `SELECT id, name FROM organizations
+         WHERE archived_at IS NULL AND (id = ANY($1::int[]) OR LOWER(TRIM(name)) = ANY($2))
+         ORDER BY id ASC`,
+        [ids, names]
+    );
+    const byId = new Map(result.rows.map((row) => [String(row.id), row]));
+    const byName = new Map();
+    for (const row of result.rows) {
+        if (!byName.has(lower(row.name))) byName.set(lower(row.name), row);
+    }
+
+    for (const item of refs) {
+        const organization = byId.get(item.organizationRef) || byName.get(lower(item.organizationRef));
+        if (organization) {
+            item.data.organization_id = organization.id;
+            if (config.organizationNameColumn) item.data[config.organizationNameColumn] = organization.name;
+        } else if (config.organizationNameColumn) {
+            item.data[config.organizationNameColumn] = item.organizationRef.slice(0, 255);
+            item.warnings.push(`Organization "${item.organizationRef}" not found; stored as text`);
+        } else {
+            item.warnings.push(`Organization "${item.organizationRef}" not found; imported without an organization`);
+        }
+    }
+}
+
+function duplicateSummary(config, row, matchedOn) {
+    return {
+        source: 'existing',
+        id: row.id,
+        recordNumber: row.record_number,
+        displayNumber: formatDisplayRecordNumber(config.module, row.record_number),
+        name: displayName(config, row),
+        matchedOn,
+    };
+}
+
+/**
+ * Map, validate and dedupe every row. Nothing is written.
+ * Each item gets an action: create | update | skip | invalid.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {{ entityType: string, headers: string[], rows: Array<{ rowNumber: number, values: string[] }>,
+ *           mapping: Object, options: Object, user: Object }} params
+ */
+async function prepareImport(pool, { entityType, headers, rows, mapping, options, user }) {
+    const config = IMPORT_ENTITIES[entityType];
+    const standardFields = new Map(config.fields.map((field) => [field.key, field]));
+
+    const assignments = headers
+        .map((header, index) => ({ header, index, target: mapping[header] }))
+        .filter((a) => a.target);
+
+    const items = rows.map(({ rowNumber, values }) => {
+        const item = { rowNumber, data: {}, customFields: {}, organizationRef: null, errors: [], warnings: [], duplicate: null, action: null };
+        for (const { index, target } of assignments) {
+            const raw = String(values[index] ?? '').trim();
+            if (target.startsWith(CUSTOM_FIELD_PREFIX)) {
+                if (raw !== '') item.customFields[target.slice(CUSTOM_FIELD_PREFIX.length)] = raw;
+                continue;
+            }
+            const field = standardFields.get(target);
+            if (raw === '') {
+                if (field.required) item.errors.push({ field: field.key, message: `${field.label} is required` });
+                continue;
+            }
+            if (field.type === 'organization') {
+                item.organizationRef = raw;
+                continue;
+            }
+            const { value, error } = coerceValue(field, raw);
+            if (error) {
+                item.errors.push({ field: field.key, message: error });
+            } else {
+                item.data[field.key] = value;
+            }
+        }
+        return item;
+    });
+
+    await resolveOrganizations(pool, config, items);
+    for (const item of items) item.keys = matchKeysFor(config, item.data);
+
+    // Existing records first, then earlier rows of the same file; email beats phone beats name
+    const existing = await loadExistingMatches(pool, config, items.filter((item) => item.errors.length === 0), options.matchOn);
+    const inFile = { email: new Map(), phone: new Map(), name: new Map() };
+    const updateTargets = new Map();
+
+    for (const item of items) {
+        if (item.errors.length > 0) {
+            item.action = 'invalid';
+            continue;
+        }
+
+        for (const key of options.matchOn) {
+            const values = key === 'name' ? [item.keys.name].filter(Boolean) : item.keys[key];
+            const found = values.map((value) => existing[key].get(value)).find(Boolean);
+            if (found) {
+                item.duplicate = duplicateSummary(config, found, key);
+                item.existingCustomFields = found.custom_fields;
+                break;
+            }
+        }
+        if (!item.duplicate) {
+            for (const key of options.matchOn) {
+                const values = key === 'name' ? [item.keys.name].filter(Boolean) : item.keys[key];
+                const row = values.map((value) => inFile[key].get(value)).find(Boolean);
+                if (row) {
+                    item.duplicate = { source: 'file', row, matchedOn: key };
+                    break;
+                }
+            }
+        }
+        for (const key of MATCH_KEYS) {
+            const values = key === 'name' ? [item.keys.name].filter(Boolean) : item.keys[key];
+            for (const value of values) if (!inFile[key].has(value)) inFile[key].set(value, item.rowNumber);
+        }
+
+        if (!item.duplicate || options.duplicateAction === 'create') {
+            item.action = 'create';
+            if (item.duplicate) {
+                item.warnings.push(item.duplicate.source === 'file'
+                    ? `Possible duplicate of row ${item.duplicate.row} (${item.duplicate.matchedOn}); creating anyway`
+                    : `Possible duplicate of ${item.duplicate.displayNumber} (${item.duplicate.matchedOn}); creating anyway`);
+            }
+        } else if (options.duplicateAction === 'update' && item.duplicate.source === 'existing') {
+            const earlier = updateTargets.get(item.duplicate.id);
+            if (earlier) {
+                item.action = 'skip';
+                item.warnings.push(`Row ${earlier} already updates ${item.duplicate.displayNumber}`);
+            } else {
+                item.action = 'update';
+                updateTargets.set(item.duplicate.id, item.rowNumber);
+            }
+        } else {
+            item.action = 'skip';
+        }
+    }
+
+    // Custom fields: full check for new records, submitted values only for updates
+    const cache = new Map();
+    for (const item of items) {
+        if (item.action === 'skip') continue;
+        const fieldErrors = await validateCustomFields(pool, {
+            entityType,
+            variant: config.variantField ? item.data[config.variantField] || null : null,
+            customFields: item.customFields,
+            existingCustomFields: item.action === 'update' ? item.existingCustomFields : null,
+            mode: item.action === 'update' ? 'update' : 'create',
+            cache,
+        });
+        if (fieldErrors.length > 0) {
+            item.errors.push(...fieldErrors.map((e) => ({ field: `${CUSTOM_FIELD_PREFIX}${e.field}`, message: e.message })));
+            item.action = 'invalid';
+        }
+    }
+
+    // Record-level access: rows matching records the user may not edit are skipped
+    const updates = items.filter((item) => item.action === 'update');
+    if (updates.length > 0) {
+        const allowed = await accessibleIds(pool, user, config.accessEntity, 'update', updates.map((item) => item.duplicate.id));
+        for (const item of updates) {
+            if (!allowed.has(String(item.duplicate.id))) {
+                item.action = 'skip';
+                item.warnings.push(`No access to update ${item.duplicate.displayNumber}`);
+            }
+        }
+    }
+
+    return items;
+}
+
+/** Dry-run summary plus the rows that need attention (capped at REPORT_ISSUE_LIMIT) */
+function buildReport(items, { headers, mapping, options }) {
+    const count = (action) => items.filter((item) => item.action === action).length;
+    const issues = items
+        .filter((item) => item.errors.length > 0 || item.warnings.length > 0 || item.duplicate)
+        .map((item) => ({
+            row: item.rowNumber,
+            action: item.action,
+            errors: item.errors,
+            warnings: item.warnings,
+            duplicate: item.duplicate,
+        }));
+
+    return {
+        totalRows: items.length,
+        valid: items.length - count('invalid'),
+        invalid: count('invalid'),
+        toCreate: count('create'),
+        toUpdate: count('update'),
+        toSkip: count('skip'),
+        duplicates: {
+            existing: items.filter((item) => item.duplicate && item.duplicate.source === 'existing').length,
+            inFile: items.filter((item) => item.duplicate && item.duplicate.source === 'file').length,
+        },
+        unmappedColumns: headers.filter((header) => !mapping[header]),
+        options,
+        issues: issues.slice(0, REPORT_ISSUE_LIMIT),
+        issuesTruncated: issues.length > REPORT_ISSUE_LIMIT,
+    };
+}
+
+function placeholders(count, offset = 0) {
+    return Array.from({ length: count }, (v, i) => `$${i + 1 + offset}`).join(', ');
+}
+
+async function addHistory(client, config, recordId, action, details, userId) {
+    await client.query(
+        `INSERT INTO ${config.historyTable} (${config.historyForeignKey}, action, details, performed_by)
+         VALUES ($1, $2, $3, $4)`,
+        [recordId, action, JSON.stringify(details), userId]
+    );
+}
+
+/** @returns {Promise<Object>} the created row */
+async function insertRecord(client, config, item, { importId, userId }) {
+    const recordNumber = await allocateRecordNumber(client, config.module);
+    const columns = [...Object.keys(item.data), 'record_number', 'created_by', 'custom_fields'];
+    const values = [...Object.values(item.data), recordNumber, userId, JSON.stringify(item.customFields)];
+
+    const result = await client.query(
+        `INSERT INTO ${config.table} (${columns.join(', ')}) VALUES (${placeholders(values.length)}) RETURNING *`,
+        values
+    );
+    const record = result.rows[0];
+    await addHistory(client, config, record.id, 'CREATE', {
+        ...item.data,
+        custom_fields: item.customFields,
+        source: 'import',
+        import_id: importId,
+    }, userId);
+    return record;
+}
+
+/**
+ * Apply the row's non-empty values to an existing record (custom fields are merged).
+ * @returns {Promise<{ previous: Object, before: Object, after: Object }|null>} previous values of the changed
+ *   columns, and the whole row before and after; null if the record is gone
+ */
+async function updateRecord(client, config, item, { importId, userId }) {
+    const columns = Object.keys(item.data);
+    // Previous values as text so dates and numerics round-trip exactly through import_records
+    const current = await client.query(
+        `SELECT ${['id', 'custom_fields', ...columns.map((column) => `${column}::text AS ${column}`)].join(', ')}
+         FROM ${config.table}
+         WHERE id = $1 AND archived_at IS NULL FOR UPDATE`,
+        [item.duplicate.id]
+    );
+    if (current.rows.length === 0) return null;
+
+    const row = current.rows[0];
+    const before = (await client.query(`SELECT * FROM ${config.table} WHERE id = $1`, [row.id])).rows[0];
+    const previous = { custom_fields: row.custom_fields };
+    columns.forEach((column) => { previous[column] = row[column]; });
+
+    let existingCustom = row.custom_fields || {};
+    if (typeof existingCustom === 'string') {
+        try {
+            existingCustom = JSON.parse(existingCustom);
+        } catch (e) {
+            existingCustom = {};
+        }
+    }
+    const customFields = { ...existingCustom, ...item.customFields };
+    const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+    const updated = await client.query(
+        `UPDATE ${config.table}
+         SET ${[...assignments, `custom_fields = $${columns.length + 2}`].join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [row.id, ...Object.values(item.data), JSON.stringify(customFields)]
+    );
+    await addHistory(client, config, row.id, 'UPDATE', {
+        before: previous,
+        after: { ...item.data, custom_fields: customFields },
+        source: 'import',
+        import_id: importId,
+    }, userId);
+    return { previous, before, after: updated.rows[0] };
+}
+
+/**
+ * Audit entries and webhooks for the records a committed batch or rollback changed.
+ * The data is already committed, so a failure is logged per record and never thrown.
+ * @param {Array<{ before: Object|null, after: Object|null }>} changes - no before: created, no after: deleted
+ */
+async function announceChanges(pool, config, changes) {
+    for (const { before, after } of changes) {
+        try {
+            if (!before) {
+                await auditRecordCreated(pool, config.accessEntity, after);
+                await emitRecordCreated(pool, config.module, after);
+            } else if (!after) {
+                await auditRecordDeleted(pool, config.accessEntity, before);
+                await emitRecordDeleted(pool, config.module, before);
+            } else {
+                await auditRecordUpdated(pool, config.accessEntity, before, after);
+                await emitRecordUpdated(pool, config.module, before, after);
+            }
+        } catch (error) {
+            console.error(`Failed to announce ${config.module} ${(after || before).id} change:`, error.message);
+        }
+    }
+}
+
+/**
+ * Write the create/update rows in batches of options.batchSize, one transaction per batch.
+ * A failing batch is rolled back and recorded as failed; later batches still run.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {import('../models/importJob')} importJobModel
+ * @returns {Promise<{ created: number, updated: number, skipped: number, failed: number, batches: object[] }>}
+ */
+async function runImport(pool, importJobModel, { importJob, items, options, userId }) {
+    const config = IMPORT_ENTITIES[importJob.entity_type];
+    const actionable = items.filter((item) => item.action === 'create' || item.action === 'update');
+    const totals = { created: 0, updated: 0, skipped: items.length - actionable.length, failed: 0, batches: [] };
+
+    for (let start = 0, batchNumber = 1; start < actionable.length; start += options.batchSize, batchNumber++) {
+        const chunk = actionable.slice(start, start + options.batchSize);
+        const range = { batchNumber, firstRow: chunk[0].rowNumber, lastRow: chunk[chunk.length - 1].rowNumber };
+        let client;
+        let committed = null;
+        try {
+            client = await pool.connect();
+            await client.query('BEGIN');
+            const batch = await importJobModel.createBatch(client, importJob.id, range);
+
+            const counts = { createdCount: 0, updatedCount: 0 };
+            const changes = [];
+            for (const item of chunk) {
+                if (item.action === 'create') {
+                    const record = await insertRecord(client, config, item, { importId: importJob.id, userId });
+                    await importJobModel.addRecord(client, { importId: importJob.id, batchId: batch.id, rowNumber: item.rowNumber, recordId: record.id, action: 'created' });
+                    item.recordId = record.id;
+                    changes.push({ before: null, after: record });
+                    counts.createdCount++;
+                    continue;
+                }
+                const updated = await updateRecord(client, config, item, { importId: importJob.id, userId });
+                if (!updated) {
+                    item.action = 'skip';
+                    item.warnings.push(`${item.duplicate.displayNumber} no longer exists`);
+                    totals.skipped++;
+                    continue;
+                }
+                await importJobModel.addRecord(client, {
+                    importId: importJob.id,
+                    batchId: batch.id,
+                    rowNumber: item.rowNumber,
+                    recordId: item.duplicate.id,
+                    action: 'updated',
+                    previousValues: updated.previous,
+                });
+                item.recordId = item.duplicate.id;
+                changes.push({ before: updated.before, after: updated.after });
+                counts.updatedCount++;
+            }
+
+            await importJobModel.setBatchCounts(client, batch.id, counts);
+            await client.query('COMMIT');
+            committed = changes;
+            totals.created += counts.createdCount;
+            totals.updated += counts.updatedCount;
+            totals.batches.push({ id: batch.id, ...range, status: 'committed', created: counts.createdCount, updated: counts.updatedCount });
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            console.error(`Import ${importJob.id} batch ${batchNumber} failed:`, error);
+            totals.failed += chunk.length;
+            chunk.forEach((item) => {
+                item.action = 'failed';
+                item.errors.push({ field: null, message: `Batch ${batchNumber} failed: ${error.message}` });
+            });
+            const failedBatch = await importJobModel.createBatch(pool, importJob.id, { ...range, status: 'failed', error: error.message });
+            totals.batches.push({ id: failedBatch.id, ...range, status: 'failed', created: 0, updated: 0, error: error.message });
+        } finally {
+            if (client) client.release();
+        }
+
+        if (committed) await announceChanges(pool, config, committed);
+    }
+
+    return totals;
+}
+
+/** Ids (of `ids`) referenced by rows in the entity's dependent tables */
+async function findRecordsWithDependents(client, config, ids) {
+    const linked = new Set();
+    if (ids.length === 0) return linked;
+    for (const { table, column } of config.dependents) {
+        const exists = await client.query('SELECT to_regclass($1) IS NOT NULL AS present', [table]);
+        if (!exists.rows[0].present) continue;
+        const result = await client.query(
+            `SELECT DISTINCT ${column} AS id FROM ${table} WHERE ${column} = ANY($1::int[])`,
+            [ids]
+        );
+        result.rows.forEach((row) => linked.add(String(row.id)));
+    }
+    return linked;
+}
+
+/**
+ * Undo one committed batch: delete the records it created and restore the ones it updated.
+ * Records changed after the import, or (for created ones) referenced by other records, are conflicts;
+ * without `force` any conflict leaves the batch untouched.
+ *
+ * @returns {Promise<{ rolledBack: boolean, conflicts: object[], deleted: number, restored: number, missing: number }>}
+ */
+async function rollbackBatch(pool, importJobModel, { importJob, batch, userId, force = false }) {
+    const config = IMPORT_ENTITIES[importJob.entity_type];
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const records = await importJobModel.getBatchRecords(client, batch.id);
+        const ids = [...new Set(records.map((record) => record.record_id))];
+        const current = await client.query(
+            `SELECT id, record_number, updated_at FROM ${config.table} WHERE id = ANY($1::int[]) FOR UPDATE`,
+            [ids]
+        );
+        const currentById = new Map(current.rows.map((row) => [String(row.id), row]));
+        const linked = await findRecordsWithDependents(
+            client,
+            config,
+            records.filter((record) => record.action === 'created').map((record) => record.record_id)
+        );
+
+        const conflicts = [];
+        for (const record of records) {
+            const row = currentById.get(String(record.record_id));
+            if (!row) continue;
+            const reasons = [];
+            if (new Date(row.updated_at) > new Date(record.created_at)) reasons.push('changed since the import');
+            if (record.action === 'created' && linked.has(String(record.record_id))) reasons.push('referenced by other records');
+            if (reasons.length > 0) {
+                conflicts.push({
+                    row: record.row_number,
+                    recordId: record.record_id,
+                    displayNumber: formatDisplayRecordNumber(config.module, row.record_number),
+                    action: record.action,
+                    reasons,
+                });
+            }
+        }
+        if (conflicts.length > 0 && !force) {
+            await client.query('ROLLBACK');
+            return { rolledBack: false, conflicts, deleted: 0, restored: 0, missing: 0 };
+        }
+
+        const result = { rolledBack: true, conflicts, deleted: 0, restored: 0, missing: 0 };
+        const changes = [];
+        for (const record of records) {
+            const row = currentById.get(String(record.record_id));
+            if (!row) {
+                result.missing++;
+                continue;
+            }
+            if (record.action === 'created') {
+                await releaseRecordNumber(client, config.module, row.record_number);
+                const deleted = await client.query(`DELETE FROM ${config.table} WHERE id = $1 RETURNING *`, [row.id]);
+                changes.push({ before: deleted.rows[0], after: null });
+                result.deleted++;
+                continue;
+            }
+
+            const previous = record.previous_values || {};
+            const columns = Object.keys(previous);
+            const before = await client.query(
+                `SELECT ${columns.map((column) => (column === 'custom_fields' ? column : `${column}::text AS ${column}`)).join(', ')}
+                 FROM ${config.table} WHERE id = $1`,
+                [row.id]
+            );
+            const beforeRow = (await client.query(`SELECT * FROM ${config.table} WHERE id = $1`, [row.id])).rows[0];
+            const restored = await client.query(
+                `UPDATE ${config.table}
+                 SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1
+                 RETURNING *`,
+                [row.id, ...columns.map((column) => (column === 'custom_fields' && previous[column] !== null
+                    ? JSON.stringify(previous[column])
+                    : previous[column]))]
+            );
+            await addHistory(client, config, row.id, 'UPDATE', {
+                before: before.rows[0],
+                after: previous,
+                source: 'import_rollback',
+                import_id: importJob.id,
+            }, userId);
+            changes.push({ before: beforeRow, after: restored.rows[0] });
+            result.restored++;
+        }
+
+        await importJobModel.markBatchRolledBack(client, batch.id, userId);
+        await client.query('COMMIT');
+        await announceChanges(pool, config, changes);
+        return result;
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        if (client) client.release();
+    }
+}
+
+module.exports = {
+    IMPORT_ENTITIES,
+    DUPLICATE_ACTIONS,
+    CUSTOM_FIELD_PREFIX,
+    resolveImportEntityType,
+    getImportFields,
+    suggestMapping,
+    normalizeMapping,
+    normalizeOptions,
+    parseDateValue,
+    prepareImport,
+    buildReport,
+    runImport,
+    rollbackBatch,
+};
@@ -0,0 +1,91 @@
+const { sendMail } = require('../emailService');
+const { renderTemplate, escapeHtml } = require('../../utils/templateRenderer');
+const { buildJobPayload } = require('./jobPayload');
+
+/**
+ * Email-to-board target: boards that accept postings by email (JOB_BOARD_EMAIL_TO, comma-separated).
+ * Uses the JOB_BOARD_POSTING email template when one exists, otherwise a plain built-in layout.
+ * Unposting sends a removal request referencing the same job reference number.
+ */
+class EmailJobBoardAdapter {
+    constructor(options = {}) {
+        this.name = options.name || 'email';
+        this.label = options.label || 'Email to Job Board';
+        this.recipients = String(options.to ?? process.env.JOB_BOARD_EMAIL_TO ?? '')
+            .split(',')
+            .map((s) => s.trim())
+            .filter(Boolean);
+        this.emailTemplateModel = options.emailTemplateModel || null;
+        this.send = options.sendMail || sendMail;
+    }
+
+    isConfigured() {
+        return this.recipients.length > 0;
+    }
+
+    _vars(payload) {
+        const location = [payload.location.city, payload.location.state, payload.location.postalCode]
+            .filter(Boolean)
+            .join(', ');
+        return {
+            jobTitle: payload.title,
+            referenceNumber: payload.referenceNumber,
+            company: payload.company,
+            location,
+            employmentType: payload.employmentType,
+            salary: payload.salary.text || [payload.salary.min, payload.salary.max].filter((v) => v != null).join(' - '),
+            description: payload.description,
+            jobUrl: payload.url,
+        };
+    }
+
+    async _render(payload) {
+        const vars = this._vars(payload);
+        const tpl = this.emailTemplateModel
+            ? await this.emailTemplateModel.getTemplateByType('JOB_BOARD_POSTING')
+            : null;
+
+        if (tpl && tpl.subject && tpl.body) {
+            return {
+                subject: renderTemplate(tpl.subject, vars),
+                html: renderTemplate(tpl.body, vars).replace(/\r\n/g, '\n').replace(/\n/g, '<br>\n'),
+            };
+        }
+
+        return {
+            subject: `Job posting: ${vars.jobTitle} (${vars.referenceNumber})`,
+            html: [
+                `<h2>${escapeHtml(vars.jobTitle)}</h2>`,
+                `<p><strong>Reference:</strong> ${escapeHtml(vars.referenceNumber)}</p>`,
+                vars.company ? `<p><strong>Company:</strong> ${escapeHtml(vars.company)}</p>` : '',
+                vars.location ? `<p><strong>Location:</strong> ${escapeHtml(vars.location)}</p>` : '',
+                vars.employmentType ? `<p><strong>Type:</strong> ${escapeHtml(vars.employmentType)}</p>` : '',
+                vars.salary ? `<p><strong>Salary:</strong> ${escapeHtml(vars.salary)}</p>` : '',
+                `<div>${escapeHtml(vars.description).replace(/\n/g, '<br>\n')}</div>`,
+                `<p><a href="${escapeHtml(vars.jobUrl)}">${escapeHtml(vars.jobUrl)}</a></p>`,
+            ].join('\n'),
+        };
+    }
+
+    async post(job) {
+        const payload = buildJobPayload(job);
+        const { subject, html } = await this._render(payload);
+        await this.send({ to: this.recipients, subject, html });
+        return { externalId: payload.referenceNumber, externalUrl: null, expiresAt: null };
+    }
+
+    async repost(job) {
+        return this.post(job);
+    }
+
+    async unpost(job) {
+        const payload = buildJobPayload(job);
+        await this.send({
+            to: this.recipients,
+            subject: `Remove job posting: ${payload.title} (${payload.referenceNumber})`,
+            html: `<p>Please remove the job posting <strong>${escapeHtml(payload.title)}</strong> (reference ${escapeHtml(payload.referenceNumber)}).</p>`,
+        });
+    }
+}
+
+module.exports = EmailJobBoardAdapter;
@@ -0,0 +1,96 @@
+const { buildJobPayload } = require('./jobPayload');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Generic HTTP/JSON job board.
+ *   POST   {baseUrl}/jobs        -> { id, url?, expires_at? }
+ *   PUT    {baseUrl}/jobs/:id    -> { id?, url?, expires_at? }  (repost)
+ *   DELETE {baseUrl}/jobs/:id
+ * Auth is a bearer token. Options default to JOB_BOARD_API_URL / JOB_BOARD_API_KEY so tests can point
+ * the adapter at a local mock server by passing { baseUrl } directly.
+ */
+class HttpJsonJobBoardAdapter {
+    constructor(options = {}) {
+        this.name = options.name || 'job_board';
+        this.label = options.label || 'Job Board (HTTP API)';
+        this.baseUrl = (options.baseUrl ?? process.env.JOB_BOARD_API_URL ?? '').replace(/\/+$/, '');
+        this.apiKey = options.apiKey ?? process.env.JOB_BOARD_API_KEY ?? '';
+        this.timeoutMs = Number(options.timeoutMs ?? process.env.JOB_BOARD_TIMEOUT_MS ?? DEFAULT_TIMEOUT_MS);
+    }
+
+    isConfigured() {
+        return !!this.baseUrl;
+    }
+
+    async _request(method, path, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        try {
+            const headers = { 'Accept': 'application/json' };
+            if (body !== undefined) headers['Content-Type'] = 'application/json';
+            if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal: controller.signal,
+            });
+
+            const text = await response.text();
+            let data = null;
+            if (text) {
+                try {
+                    data = JSON.parse(text);
+                } catch (e) {
+                    data = { raw: text };
+                }
+            }
+
+            if (!response.ok) {
+                const detail = data?.message || data?.error || text || response.statusText;
+                throw new Error(`${this.label} responded ${response.status}: ${String(detail).slice(0, 500)}`);
+            }
+            return data || {};
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`${this.label} did not respond within ${this.timeoutMs}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    _toResult(data, fallbackId = null) {
+        const externalId = data.id ?? data.job_id ?? data.external_id ?? fallbackId;
+        return {
+            externalId: externalId != null ? String(externalId) : null,
+            externalUrl: data.url ?? data.external_url ?? null,
+            expiresAt: data.expires_at ?? data.expiresAt ?? null,
+        };
+    }
+
+    /**
+     * @param {Object} job - Row from Job.getById
+     * @returns {Promise<{ externalId: string|null, externalUrl: string|null, expiresAt: string|null }>}
+     */
+    async post(job) {
+        const data = await this._request('POST', '/jobs', buildJobPayload(job));
+        return this._toResult(data);
+    }
+
+    async repost(job, posting) {
+        if (!posting?.external_id) return this.post(job);
+        const data = await this._request('PUT', `/jobs/${encodeURIComponent(posting.external_id)}`, buildJobPayload(job));
+        return this._toResult(data, posting.external_id);
+    }
+
+    async unpost(job, posting) {
+        if (!posting?.external_id) return;
+        await this._request('DELETE', `/jobs/${encodeURIComponent(posting.external_id)}`);
+    }
+}
+
+module.exports = HttpJsonJobBoardAdapter;
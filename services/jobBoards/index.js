@@ -0,0 +1,60 @@
+const HttpJsonJobBoardAdapter = require('./httpJsonAdapter');
+const XmlFeedJobBoardAdapter = require('./xmlFeedAdapter');
+const EmailJobBoardAdapter = require('./emailAdapter');
+const EmailTemplateModel = require('../../models/emailTemplateModel');
+
+/**
+ * Distribution targets, keyed by the name stored in job_postings.target.
+ * Each factory receives { pool } and returns an adapter implementing:
+ *   name, label, isConfigured(), post(job, posting), repost(job, posting), unpost(job, posting)
+ * post/repost resolve to { externalId, externalUrl, expiresAt }.
+ */
+const factories = new Map([
+    ['job_board', () => new HttpJsonJobBoardAdapter()],
+    ['xml_feed', () => new XmlFeedJobBoardAdapter()],
+    ['email', ({ pool }) => new EmailJobBoardAdapter({
+        emailTemplateModel: pool ? new EmailTemplateModel(pool) : null,
+    })],
+]);
+
+/**
+ * Register (or replace) a distribution target.
+ * @param {string} name - Target key (max 50 chars, stored in job_postings.target)
+ * @param {Function} factory - ({ pool }) => adapter
+ */
+function registerJobBoardAdapter(name, factory) {
+    if (!name || typeof factory !== 'function') {
+        throw new Error('registerJobBoardAdapter requires a name and a factory function');
+    }
+    factories.set(name, factory);
+}
+
+/**
+ * @param {string} name
+ * @param {Object} context - { pool }
+ * @returns {Object|null} adapter instance, or null for unknown targets
+ */
+function getJobBoardAdapter(name, context = {}) {
+    const factory = factories.get(name);
+    return factory ? factory(context) : null;
+}
+
+/**
+ * @param {Object} context - { pool }
+ * @returns {Array<{ name: string, label: string, configured: boolean }>}
+ */
+function listJobBoardTargets(context = {}) {
+    return Array.from(factories, ([name, factory]) => {
+        const adapter = factory(context);
+        return { name, label: adapter.label || name, configured: adapter.isConfigured() };
+    });
+}
+
+module.exports = {
+    registerJobBoardAdapter,
+    getJobBoardAdapter,
+    listJobBoardTargets,
+    HttpJsonJobBoardAdapter,
+    XmlFeedJobBoardAdapter,
+    EmailJobBoardAdapter,
+};
@@ -0,0 +1,86 @@
+const { formatDisplayRecordNumber } = require('../recordNumberService');
+
+/**
+ * Read a custom field by label (case-insensitive), returning '' when absent.
+ * @param {Object} customFields
+ * @param {string} label
+ * @returns {string}
+ */
+function customValue(customFields, label) {
+    if (!customFields || typeof customFields !== 'object') return '';
+    if (customFields[label] != null) return String(customFields[label]);
+    const target = label.toLowerCase();
+    const key = Object.keys(customFields).find((k) => k.toLowerCase() === target);
+    return key && customFields[key] != null ? String(customFields[key]) : '';
+}
+
+/**
+ * Public apply / detail URL for a job, built from JOB_BOARD_APPLY_URL (":id" is replaced)
+ * or the frontend URL.
+ * @param {Object} job
+ * @returns {string}
+ */
+function jobPublicUrl(job) {
+    const template = process.env.JOB_BOARD_APPLY_URL;
+    if (template) return template.replace(':id', encodeURIComponent(job.id));
+    const baseUrl = process.env.FRONTEND_URL || process.env.APP_URL || 'http://localhost:3000';
+    return `${baseUrl}/jobs/${job.id}`;
+}
+
+/**
+ * Board-neutral representation of a job row (jobs.* + organization_name) used by every adapter.
+ * Job board specific custom fields ("Published Job Title", "Job Description Going to Job Board")
+ * take precedence over the internal values.
+ * @param {Object} job - Row from Job.getById
+ * @returns {Object}
+ */
+function buildJobPayload(job) {
+    let cf = job.custom_fields || {};
+    if (typeof cf === 'string') {
+        try {
+            cf = JSON.parse(cf);
+        } catch (e) {
+            cf = {};
+        }
+    }
+
+    const city = customValue(cf, 'City');
+    const state = customValue(cf, 'State');
+    const postalCode = customValue(cf, 'Zip');
+    const address = customValue(cf, 'Address') || job.worksite_location || '';
+
+    return {
+        id: job.id,
+        referenceNumber: formatDisplayRecordNumber('job', job.record_number) || String(job.id),
+        title: customValue(cf, 'Published Job Title') || job.job_title || '',
+        description: customValue(cf, 'Job Description Going to Job Board') || job.job_description || '',
+        company: job.organization_name || '',
+        location: {
+            address,
+            city,
+            state,
+            postalCode,
+            country: customValue(cf, 'Country') || 'US',
+            remote: job.remote_option || '',
+        },
+        employmentType: job.employment_type || job.job_type || '',
+        category: job.category || '',
+        salary: {
+            type: job.salary_type || '',
+            min: job.min_salary != null ? Number(job.min_salary) : null,
+            max: job.max_salary != null ? Number(job.max_salary) : null,
+            text: customValue(cf, 'Salary'),
+        },
+        requiredSkills: job.required_skills || '',
+        benefits: job.benefits || '',
+        startDate: job.start_date || null,
+        datePosted: job.created_at ? new Date(job.created_at).toISOString() : new Date().toISOString(),
+        url: jobPublicUrl(job),
+    };
+}
+
+module.exports = {
+    buildJobPayload,
+    jobPublicUrl,
+    customValue,
+};
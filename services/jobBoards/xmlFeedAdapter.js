@@ -0,0 +1,34 @@
+/**
+ * Indeed-style XML feed target. Nothing is pushed: boards crawl GET /api/jobs/xml[/:feedName]. Unposting
+ * (or expiry) drops the job from every feed; feeds with require_posting only list "posted" jobs. Posting
+ * and unposting only flip the job_postings row, so this target is always configured.
+ */
+class XmlFeedJobBoardAdapter {
+    constructor(options = {}) {
+        this.name = options.name || 'xml_feed';
+        this.label = options.label || 'XML Feed (Indeed)';
+        this.feedUrl = options.feedUrl ?? process.env.JOB_FEED_URL ?? '';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async post(job) {
+        return {
+            externalId: String(job.id),
+            externalUrl: this.feedUrl || null,
+            expiresAt: null,
+        };
+    }
+
+    async repost(job) {
+        return this.post(job);
+    }
+
+    async unpost() {
+        // Dropping out of the feed is enough; crawlers expire the job on their next fetch
+    }
+}
+
+module.exports = XmlFeedJobBoardAdapter;
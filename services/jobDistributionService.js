@@ -0,0 +1,145 @@
+const Job = require('../models/job');
+const JobPosting = require('../models/jobPosting');
+const { getJobBoardAdapter, listJobBoardTargets } = require('./jobBoards');
+
+const DEFAULT_POSTING_DAYS = 30;
+
+function defaultExpiry() {
+    const days = parseInt(process.env.JOB_POSTING_DAYS || DEFAULT_POSTING_DAYS, 10);
+    if (!days || days <= 0) return null;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Resolve requested targets; defaults to every configured target.
+ * @param {Object} pool
+ * @param {Array<string>|undefined} targets
+ * @returns {Array<string>}
+ */
+function resolveTargets(pool, targets) {
+    if (Array.isArray(targets) && targets.length > 0) {
+        return [...new Set(targets.map((t) => String(t).trim()).filter(Boolean))];
+    }
+    return listJobBoardTargets({ pool }).filter((t) => t.configured).map((t) => t.name);
+}
+
+/**
+ * Run one action against each target, recording the outcome in job_postings.
+ * A failing target never stops the others; its error is stored in last_error.
+ * 'post' skips targets the job is already posted to and 'unpost' those it is not.
+ *
+ * @param {Object} pool - pg pool
+ * @param {string} action - 'post' | 'repost' | 'unpost'
+ * @param {number|string} jobId
+ * @param {Array<string>} [targets]
+ * @param {number} [userId]
+ * @returns {Promise<{ job: Object|null, results: Array, postings: Array, jobBoardStatus: string|null }>}
+ */
+async function runDistribution(pool, action, jobId, targets, userId = null) {
+    const jobModel = new Job(pool);
+    const postingModel = new JobPosting(pool);
+
+    const job = await jobModel.getById(jobId);
+    if (!job) {
+        return { job: null, results: [], postings: [], jobBoardStatus: null };
+    }
+
+    const results = [];
+    for (const target of resolveTargets(pool, targets)) {
+        const adapter = getJobBoardAdapter(target, { pool });
+        if (!adapter) {
+            results.push({ target, success: false, error: `Unknown distribution target: ${target}` });
+            continue;
+        }
+        if (!adapter.isConfigured()) {
+            results.push({ target, success: false, error: `${adapter.label} is not configured` });
+            continue;
+        }
+
+        const existing = await postingModel.getByJobAndTarget(job.id, target);
+
+        if (action === 'unpost' && (!existing || existing.status !== 'posted')) {
+            results.push({ target, success: true, skipped: true, message: 'Not currently posted' });
+            continue;
+        }
+
+        // Posting again would create a second live listing and lose the first one's external id; repost refreshes it
+        if (action === 'post' && existing && existing.status === 'posted') {
+            results.push({ target, success: true, skipped: true, message: 'Already posted' });
+            continue;
+        }
+
+        try {
+            if (action === 'unpost') {
+                await adapter.unpost(job, existing);
+                const posting = await postingModel.upsert(job.id, target, {
+                    status: 'unposted',
+                    unposted_at: new Date(),
+                    last_error: null,
+                }, userId);
+                results.push({ target, success: true, posting });
+            } else {
+                const useRepost = action === 'repost' && existing && existing.status !== 'unposted';
+                const outcome = useRepost
+                    ? await adapter.repost(job, existing)
+                    : await adapter.post(job, existing);
+                const posting = await postingModel.upsert(job.id, target, {
+                    status: 'posted',
+                    external_id: outcome.externalId ?? existing?.external_id ?? null,
+                    external_url: outcome.externalUrl ?? existing?.external_url ?? null,
+                    posted_at: new Date(),
+                    expires_at: outcome.expiresAt ? new Date(outcome.expiresAt) : defaultExpiry(),
+                    unposted_at: null,
+                    last_error: null,
+                    attempt: true,
+                }, userId);
+                results.push({ target, success: true, posting });
+            }
+        } catch (error) {
+            console.error(`Job ${job.id} ${action} to ${target} failed:`, error.message);
+            // A failed unpost, or a failed repost of a live posting, leaves the job on the board: keep it "posted"
+            const stillPosted = action === 'unpost' || existing?.status === 'posted';
+            const posting = await postingModel.upsert(job.id, target, {
+                status: stillPosted ? 'posted' : 'failed',
+                last_error: error.message,
+                attempt: action !== 'unpost',
+            }, userId);
+            results.push({ target, success: false, error: error.message, posting });
+        }
+    }
+
+    const postings = await postingModel.getByJobId(job.id);
+    const jobBoardStatus = await postingModel.syncJobBoardStatus(job.id);
+    return { job, results, postings, jobBoardStatus };
+}
+
+async function publishJob(pool, jobId, targets, userId = null) {
+    return runDistribution(pool, 'post', jobId, targets, userId);
+}
+
+async function repostJob(pool, jobId, targets, userId = null) {
+    return runDistribution(pool, 'repost', jobId, targets, userId);
+}
+
+/**
+ * Unpost from the given targets, or from every target the job is currently posted to.
+ */
+async function unpostJob(pool, jobId, targets, userId = null) {
+    let resolved = targets;
+    if (!Array.isArray(resolved) || resolved.length === 0) {
+        const postings = await new JobPosting(pool).getByJobId(jobId);
+        resolved = postings.filter((p) => p.status === 'posted').map((p) => p.target);
+        if (resolved.length === 0) {
+            const job = await new Job(pool).getById(jobId);
+            return { job, results: [], postings, jobBoardStatus: job?.job_board_status || null };
+        }
+    }
+    return runDistribution(pool, 'unpost', jobId, resolved, userId);
+}
+
+module.exports = {
+    publishJob,
+    repostJob,
+    unpostJob,
+    listJobBoardTargets,
+};
@@ -0,0 +1,336 @@
+const { create } = require('xmlbuilder2');
+const { formatDisplayRecordNumber } = require('./recordNumberService');
+const { jobPublicUrl } = require('./jobBoards/jobPayload');
+
+/**
+ * Default field mapping for every feed. Each feed field lists its sources in priority order:
+ * "cf:<Label>" reads custom_fields[Label], anything else is a column of the feed query row.
+ * job_feed_configs.field_map overrides individual entries (array or "a|b" string).
+ */
+const DEFAULT_FIELD_MAP = {
+    title: ['cf:Published Job Title', 'job_title'],
+    description: ['cf:Job Description Going to Job Board', 'job_description'],
+    company: ['cf:Company Name', 'organization_name'],
+    streetaddress: ['cf:Address', 'worksite_location'],
+    city: ['cf:City', 'office_city'],
+    state: ['cf:State', 'office_state'],
+    postalcode: ['cf:Zip', 'office_zip_code'],
+    country: ['cf:Country', 'office_country'],
+    salary: ['cf:Salary'],
+    jobtype: ['employment_type', 'job_type'],
+    category: ['category'],
+    experience: ['cf:Experience'],
+    education: ['cf:Education'],
+    remotetype: ['remote_option'],
+};
+
+const INDEED_JOB_TYPES = [
+    ['fulltime', /full/],
+    ['parttime', /part/],
+    ['internship', /intern/],
+    ['temporary', /temp|seasonal/],
+    ['contract', /contract|freelance|1099|c2c|corp/],
+];
+
+const GOOGLE_EMPLOYMENT_TYPES = [
+    ['FULL_TIME', /full|direct|perm/],
+    ['PART_TIME', /part/],
+    ['INTERN', /intern/],
+    ['TEMPORARY', /temp|seasonal/],
+    ['PER_DIEM', /per diem/],
+    ['VOLUNTEER', /volunteer/],
+    ['CONTRACTOR', /contract|freelance|1099|c2c|corp/],
+];
+
+const SALARY_UNITS = {
+    hourly: 'HOUR',
+    hour: 'HOUR',
+    daily: 'DAY',
+    day: 'DAY',
+    weekly: 'WEEK',
+    week: 'WEEK',
+    monthly: 'MONTH',
+    month: 'MONTH',
+    yearly: 'YEAR',
+    year: 'YEAR',
+    annual: 'YEAR',
+    annually: 'YEAR',
+};
+
+/** Remove characters that are not allowed in XML 1.0 and neutralise CDATA terminators */
+function cleanText(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/]]>/g, ']] >')
+        .trim();
+}
+
+function parseIdList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map((v) => parseInt(String(v).trim(), 10)).filter((n) => Number.isInteger(n) && n > 0);
+}
+
+function normalizeFieldMap(fieldMap) {
+    const map = { ...DEFAULT_FIELD_MAP };
+    if (fieldMap && typeof fieldMap === 'object') {
+        for (const [field, sources] of Object.entries(fieldMap)) {
+            if (Array.isArray(sources)) map[field] = sources.map(String);
+            else if (typeof sources === 'string' && sources.trim()) map[field] = sources.split('|').map((s) => s.trim());
+        }
+    }
+    return map;
+}
+
+function readSource(row, customFields, source) {
+    if (source.startsWith('cf:')) {
+        const label = source.slice(3);
+        if (customFields[label] != null) return customFields[label];
+        const key = Object.keys(customFields).find((k) => k.toLowerCase() === label.toLowerCase());
+        return key ? customFields[key] : null;
+    }
+    return row[source];
+}
+
+function resolveField(row, customFields, sources) {
+    for (const source of sources || []) {
+        const value = readSource(row, customFields, source);
+        if (value !== null && value !== undefined && String(value).trim() !== '') return value;
+    }
+    return '';
+}
+
+function classify(value, table, fallback) {
+    const text = String(value || '').toLowerCase();
+    if (!text) return fallback;
+    const match = table.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : fallback;
+}
+
+function formatSalaryText(row) {
+    const min = row.min_salary != null ? Number(row.min_salary) : null;
+    const max = row.max_salary != null ? Number(row.max_salary) : null;
+    if (min == null && max == null) return '';
+    const fmt = (n) => `$${n.toLocaleString('en-US')}`;
+    const range = min != null && max != null && min !== max ? `${fmt(min)} - ${fmt(max)}` : fmt(min ?? max);
+    const unit = SALARY_UNITS[String(row.salary_type || '').toLowerCase()];
+    return unit ? `${range} per ${unit.toLowerCase()}` : range;
+}
+
+function buildJobUrl(template, row) {
+    if (!template) return jobPublicUrl(row);
+    if (template.includes(':id') || template.includes('{id}')) {
+        return template.replace(':id', encodeURIComponent(row.id)).replace('{id}', encodeURIComponent(row.id));
+    }
+    return `${template.replace(/\/+$/, '')}/${encodeURIComponent(row.id)}`;
+}
+
+/**
+ * Build the single joined feed query. Offices are reached through the job creator (users.office_id);
+ * jobs explicitly unposted / expired from the xml_feed target are always left out.
+ *
+ * @param {Object} filters - { officeIds, organizationIds, tearsheetIds, statuses, requirePosting }; an id list of
+ *   null leaves that filter out, an empty list matches no job
+ * @returns {{ text: string, values: Array }}
+ */
+function buildFeedQuery(filters = {}) {
+    const values = [];
+    const where = ['j.archived_at IS NULL'];
+
+    const statuses = (filters.statuses || []).map((s) => String(s).toLowerCase()).filter(Boolean);
+    if (statuses.length > 0) {
+        values.push(statuses);
+        where.push(`(LOWER(j.status) = ANY($${values.length}) OR LOWER(j.custom_fields->>'Status') = ANY($${values.length}))`);
+    } else {
+        where.push(`(LOWER(j.status) = 'open' OR LOWER(j.custom_fields->>'Status') = 'active')`);
+    }
+
+    if (filters.requirePosting) {
+        where.push(`jp.status = 'posted' AND (jp.expires_at IS NULL OR jp.expires_at > NOW())`);
+    } else {
+        where.push(`(jp.id IS NULL OR (jp.status NOT IN ('unposted', 'expired') AND (jp.expires_at IS NULL OR jp.expires_at > NOW())))`);
+    }
+
+    if (Array.isArray(filters.officeIds)) {
+        values.push(filters.officeIds);
+        where.push(`u.office_id = ANY($${values.length})`);
+    }
+    if (Array.isArray(filters.organizationIds)) {
+        values.push(filters.organizationIds);
+        where.push(`j.organization_id = ANY($${values.length})`);
+    }
+    if (Array.isArray(filters.tearsheetIds)) {
+        values.push(filters.tearsheetIds);
+        where.push(`EXISTS (SELECT 1 FROM tearsheet_jobs tj WHERE tj.job_id = j.id AND tj.tearsheet_id = ANY($${values.length}))`);
+    }
+
+    const text = `
+        SELECT j.*,
+               o.name AS organization_name,
+               o.website AS organization_website,
+               ofc.city AS office_city,
+               ofc.state AS office_state,
+               ofc.zip_code AS office_zip_code,
+               ofc.country AS office_country,
+               jp.posted_at AS feed_posted_at,
+               jp.expires_at AS feed_expires_at,
+               GREATEST(j.updated_at, jp.updated_at) AS feed_updated_at
+        FROM jobs j
+        LEFT JOIN organizations o ON o.id = j.organization_id
+        LEFT JOIN users u ON u.id = j.created_by
+        LEFT JOIN offices ofc ON ofc.id = u.office_id
+        LEFT JOIN job_postings jp ON jp.job_id = j.id AND jp.target = 'xml_feed'
+        WHERE ${where.join(' AND ')}
+        ORDER BY j.created_at DESC, j.id DESC
+    `;
+    return { text, values };
+}
+
+/**
+ * Map a feed query row to board-neutral fields using the feed's field map.
+ */
+function mapJobRow(row, fieldMap, jobUrlTemplate) {
+    let customFields = row.custom_fields || {};
+    if (typeof customFields === 'string') {
+        try {
+            customFields = JSON.parse(customFields);
+        } catch (e) {
+            customFields = {};
+        }
+    }
+
+    const fields = {};
+    for (const [field, sources] of Object.entries(fieldMap)) {
+        fields[field] = cleanText(resolveField(row, customFields, sources));
+    }
+
+    const datePosted = row.feed_posted_at || row.created_at;
+    return {
+        ...fields,
+        id: row.id,
+        referencenumber: formatDisplayRecordNumber('job', row.record_number) || String(row.id),
+        url: buildJobUrl(jobUrlTemplate, row),
+        datePosted: datePosted ? new Date(datePosted) : new Date(),
+        validThrough: row.feed_expires_at ? new Date(row.feed_expires_at) : null,
+        salary: fields.salary || formatSalaryText(row),
+        salaryMin: row.min_salary != null ? Number(row.min_salary) : null,
+        salaryMax: row.max_salary != null ? Number(row.max_salary) : null,
+        salaryUnit: SALARY_UNITS[String(row.salary_type || '').toLowerCase()] || null,
+        companyUrl: row.organization_website || '',
+    };
+}
+
+function addText(parent, name, value) {
+    const text = cleanText(value);
+    if (text !== '') parent.ele(name).txt(text);
+}
+
+function addCData(parent, name, value) {
+    parent.ele(name).dat(cleanText(value));
+}
+
+/** Indeed XML (also accepted by ZipRecruiter, which adds compensation_* elements) */
+function renderIndeed(jobs, meta, withCompensation) {
+    const doc = create({ version: '1.0', encoding: 'UTF-8' });
+    const source = doc.ele('source');
+    source.ele('publisher').txt(cleanText(meta.publisher));
+    source.ele('publisherurl').txt(cleanText(meta.publisherUrl));
+    source.ele('lastBuildDate').txt(meta.lastBuildDate.toUTCString());
+
+    for (const job of jobs) {
+        const node = source.ele('job');
+        addCData(node, 'title', job.title);
+        addCData(node, 'date', job.datePosted.toUTCString());
+        addCData(node, 'referencenumber', job.referencenumber);
+        addCData(node, 'requisitionid', job.id);
+        addCData(node, 'url', job.url);
+        addCData(node, 'company', job.company);
+        addCData(node, 'sourcename', meta.publisher);
+        addCData(node, 'city', job.city);
+        addCData(node, 'state', job.state);
+        addCData(node, 'country', job.country);
+        addCData(node, 'postalcode', job.postalcode);
+        addCData(node, 'streetaddress', job.streetaddress);
+        addCData(node, 'description', job.description);
+        addCData(node, 'salary', job.salary);
+        addCData(node, 'education', job.education);
+        addCData(node, 'jobtype', classify(job.jobtype, INDEED_JOB_TYPES, cleanText(job.jobtype).toLowerCase()));
+        addCData(node, 'category', job.category);
+        addCData(node, 'experience', job.experience);
+        if (/remote/i.test(job.remotetype)) addCData(node, 'remotetype', 'Fully remote');
+        else if (/hybrid/i.test(job.remotetype)) addCData(node, 'remotetype', 'Hybrid remote');
+        if (job.validThrough) addCData(node, 'expirationdate', job.validThrough.toISOString().slice(0, 10));
+
+        if (withCompensation) {
+            if (job.salaryMin != null) addText(node, 'compensation_min', job.salaryMin);
+            if (job.salaryMax != null) addText(node, 'compensation_max', job.salaryMax);
+            if (job.salaryUnit) addText(node, 'compensation_interval', job.salaryUnit.toLowerCase());
+            if (job.salaryMin != null || job.salaryMax != null) addText(node, 'compensation_currency', 'USD');
+        }
+    }
+    return doc.end({ prettyPrint: true });
+}
+
+/** Google for Jobs: schema.org JobPosting properties, one <JobPosting> per job */
+function renderGoogle(jobs, meta) {
+    const doc = create({ version: '1.0', encoding: 'UTF-8' });
+    const root = doc.ele('jobs', { publisher: cleanText(meta.publisher), lastBuildDate: meta.lastBuildDate.toISOString() });
+
+    for (const job of jobs) {
+        const node = root.ele('JobPosting');
+        addCData(node, 'title', job.title);
+        addCData(node, 'description', job.description);
+        addText(node, 'datePosted', job.datePosted.toISOString());
+        if (job.validThrough) addText(node, 'validThrough', job.validThrough.toISOString());
+        addText(node, 'employmentType', classify(job.jobtype, GOOGLE_EMPLOYMENT_TYPES, 'OTHER'));
+        addText(node, 'url', job.url);
+
+        const identifier = node.ele('identifier');
+        addText(identifier, 'name', job.company || meta.publisher);
+        addText(identifier, 'value', job.referencenumber);
+
+        const org = node.ele('hiringOrganization');
+        addText(org, 'name', job.company || meta.publisher);
+        addText(org, 'sameAs', job.companyUrl);
+
+        const address = node.ele('jobLocation').ele('address');
+        addText(address, 'streetAddress', job.streetaddress);
+        addText(address, 'addressLocality', job.city);
+        addText(address, 'addressRegion', job.state);
+        addText(address, 'postalCode', job.postalcode);
+        addText(address, 'addressCountry', job.country || 'US');
+        if (/remote|telecommute/i.test(job.remotetype)) addText(node, 'jobLocationType', 'TELECOMMUTE');
+
+        if (job.salaryMin != null || job.salaryMax != null) {
+            const salary = node.ele('baseSalary');
+            addText(salary, 'currency', 'USD');
+            if (job.salaryMin != null) addText(salary, 'minValue', job.salaryMin);
+            if (job.salaryMax != null) addText(salary, 'maxValue', job.salaryMax);
+            addText(salary, 'unitText', job.salaryUnit || 'YEAR');
+        }
+        addText(node, 'directApply', 'false');
+    }
+    return doc.end({ prettyPrint: true });
+}
+
+/**
+ * Render the feed XML.
+ * @param {string} format - 'indeed' | 'ziprecruiter' | 'google'
+ * @param {Array} jobs - mapped jobs (mapJobRow)
+ * @param {Object} meta - { publisher, publisherUrl, lastBuildDate }
+ * @returns {string}
+ */
+function renderFeed(format, jobs, meta) {
+    if (format === 'google') return renderGoogle(jobs, meta);
+    return renderIndeed(jobs, meta, format === 'ziprecruiter');
+}
+
+module.exports = {
+    DEFAULT_FIELD_MAP,
+    buildFeedQuery,
+    mapJobRow,
+    renderFeed,
+    normalizeFieldMap,
+    parseIdList,
+};
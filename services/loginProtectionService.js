@@ -0,0 +1,215 @@
+/**
+ * Brute-force protection for staff logins (/api/auth/login) and job seeker portal logins
+ * (/api/jobseeker-portal/auth/login), backed by the login_attempts and login_lockouts tables (models/loginAttempt.js).
+ *
+ * - Progressive delay: after LOGIN_DELAY_AFTER_FAILURES failed passwords for an email, the next attempt has to
+ *   wait 2, 4, 8 ... seconds (at most 60) after the previous failure.
+ * - Lockout: LOGIN_MAX_FAILURES failed passwords for an email, or LOGIN_MAX_FAILURES_PER_IP from one IP, within
+ *   LOGIN_FAILURE_WINDOW_MINUTES lock the email or IP for LOGIN_LOCKOUT_MINUTES. Admins can unlock early
+ *   (/api/login-security).
+ * - Alerts: every new lockout is emailed to the active users whose role has security.manage and to the addresses
+ *   in SECURITY_ALERT_EMAILS (comma separated). Email template type LOGIN_SECURITY_ALERT, variables:
+ *   {{accountType}}, {{lockType}}, {{target}}, {{failedAttempts}}, {{ipAddress}}, {{distinctEmails}}, {{lockedUntil}}.
+ *
+ * Failures are counted since the email's last successful login, lockout or unlock. Unknown emails count too, so
+ * responses do not reveal which emails have accounts.
+ */
+
+const LoginAttempt = require('../models/loginAttempt');
+const EmailTemplateModel = require('../models/emailTemplateModel');
+const { sendMail } = require('./emailService');
+const { recordAudit } = require('./auditService');
+const { renderTemplate, escapeHtml } = require('../utils/templateRenderer');
+
+const DELAY_BASE_SECONDS = 2;
+const MAX_DELAY_SECONDS = 60;
+const ACCOUNT_TYPE_LABELS = { staff: 'Staff', portal: 'Job seeker portal' };
+
+function envNumber(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+function loginProtectionSettings() {
+    return {
+        windowMinutes: envNumber('LOGIN_FAILURE_WINDOW_MINUTES', 15),
+        maxFailures: envNumber('LOGIN_MAX_FAILURES', 5),
+        maxFailuresPerIp: envNumber('LOGIN_MAX_FAILURES_PER_IP', 20),
+        lockoutMinutes: envNumber('LOGIN_LOCKOUT_MINUTES', 15),
+        delayAfterFailures: envNumber('LOGIN_DELAY_AFTER_FAILURES', 3),
+    };
+}
+
+/** Seconds an email has to wait after its latest failure, given the failures counted so far */
+function delaySeconds(failures, settings = loginProtectionSettings()) {
+    if (failures < settings.delayAfterFailures) return 0;
+    return Math.min(DELAY_BASE_SECONDS * 2 ** (failures - settings.delayAfterFailures), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Whether a login attempt may check the password. Call before looking at the password.
+ * @param {object} pool
+ * @param {{ accountType: 'staff'|'portal', email: string, ip?: string }} attempt
+ * @returns {Promise<{ allowed: boolean, reason?: 'locked'|'throttled', retryAfter?: number }>} retryAfter in seconds
+ */
+async function checkLogin(pool, { accountType, email, ip = null }) {
+    const model = new LoginAttempt(pool);
+    const lockout = await model.activeLockout({ accountType, email, ip });
+    if (lockout) {
+        return { allowed: false, reason: 'locked', retryAfter: Math.max(1, lockout.seconds_left) };
+    }
+
+    const settings = loginProtectionSettings();
+    const { failures, seconds_since_last: secondsSinceLast } = await model.accountFailures({
+        accountType,
+        email,
+        windowMinutes: settings.windowMinutes,
+    });
+    const wait = Math.ceil(delaySeconds(failures, settings) - (secondsSinceLast ?? Infinity));
+    if (wait > 0) {
+        return { allowed: false, reason: 'throttled', retryAfter: wait };
+    }
+    return { allowed: true };
+}
+
+/** Response body (status 429) for a login refused by checkLogin(); send retryAfter as the Retry-After header */
+function blockedLoginBody({ reason, retryAfter }) {
+    const minutes = Math.ceil(retryAfter / 60);
+    return {
+        success: false,
+        code: reason === 'locked' ? 'LOGIN_LOCKED' : 'LOGIN_THROTTLED',
+        message:
+            reason === 'locked'
+                ? `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'} or contact an administrator.`
+                : `Too many failed login attempts. Please wait ${retryAfter} second${retryAfter === 1 ? '' : 's'} before trying again.`,
+        retryAfter,
+    };
+}
+
+// Active users whose role grants security.manage, plus SECURITY_ALERT_EMAILS
+async function alertRecipients(pool) {
+    const { rows } = await pool.query(
+        `SELECT DISTINCT u.email
+         FROM users u
+         JOIN roles r ON r.key = u.role
+         WHERE u.status = true AND r.permissions ?| ARRAY['*', 'security.*', 'security.manage']`
+    );
+    const extra = String(process.env.SECURITY_ALERT_EMAILS || '')
+        .split(',')
+        .map((e) => e.trim())
+        .filter(Boolean);
+    return [...new Set([...rows.map((r) => r.email), ...extra].map((e) => e.toLowerCase()))];
+}
+
+async function sendLockoutAlert(pool, lockout, { ip, distinctEmails }) {
+    const recipients = await alertRecipients(pool);
+    if (recipients.length === 0) {
+        console.warn('Login lockout without alert recipients:', lockout.scope, lockout.lock_key);
+        return;
+    }
+
+    const vars = {
+        accountType: ACCOUNT_TYPE_LABELS[lockout.account_type] || lockout.account_type,
+        lockType: lockout.scope === 'ip' ? 'IP address' : 'Account',
+        target: lockout.lock_key,
+        failedAttempts: String(lockout.failed_attempts),
+        ipAddress: ip || 'unknown',
+        distinctEmails: String(distinctEmails),
+        lockedUntil: new Date(lockout.locked_until).toLocaleString(),
+    };
+
+    const tpl = await new EmailTemplateModel(pool).getTemplateByType('LOGIN_SECURITY_ALERT');
+    let subject;
+    let html;
+    let text;
+    if (tpl) {
+        subject = renderTemplate(tpl.subject, vars);
+        html = renderTemplate(tpl.body, vars).replace(/\r\n/g, '\n').replace(/\n/g, '<br/>');
+        text = renderTemplate(tpl.body, vars);
+    } else {
+        subject = `Login lockout: ${vars.target}`;
+        const lines = [
+            `${vars.accountType} logins for ${lockout.scope === 'ip' ? 'IP address' : 'account'} ${vars.target} were locked after ${vars.failedAttempts} failed attempts.`,
+            `Latest attempt from IP address ${vars.ipAddress} (${vars.distinctEmails} different email${distinctEmails === 1 ? '' : 's'} tried from it).`,
+            `The lockout ends on ${vars.lockedUntil}. It can be lifted early under Login Security.`,
+        ];
+        html = `<div>${lines.map((line) => `<p>${escapeHtml(line)}</p>`).join('')}</div>`;
+        text = lines.join('\n\n');
+    }
+
+    await sendMail({ to: recipients, subject, html, text });
+}
+
+async function lockAndAlert(pool, model, { accountType, scope, key, failedAttempts, ip, distinctEmails, settings }) {
+    const lockout = await model.lock({ accountType, scope, key, failedAttempts, minutes: settings.lockoutMinutes });
+    if (!lockout) return null;
+
+    console.warn(`Login ${scope} lockout (${accountType}): ${key} after ${failedAttempts} failures`);
+    await recordAudit(pool, {
+        action: 'login_locked',
+        entityType: 'login_lockout',
+        entityId: lockout.id,
+        entityLabel: key,
+        metadata: { account_type: accountType, scope, failed_attempts: failedAttempts, locked_until: lockout.locked_until },
+    });
+    try {
+        await sendLockoutAlert(pool, lockout, { ip, distinctEmails });
+    } catch (error) {
+        console.error('Failed to send login lockout alert:', error.message);
+    }
+    return lockout;
+}
+
+/**
+ * Add an attempt to the login history; a failed password can lock the email or IP. Never throws, so a
+ * problem here does not fail the login itself.
+ * @param {object} pool
+ * @param {{ accountType: 'staff'|'portal', email: string, accountId?: number, ip?: string, userAgent?: string,
+ *   success: boolean, reason?: string }} attempt - reason: why it failed, e.g. "invalid_password"
+ */
+async function recordLoginAttempt(pool, attempt) {
+    try {
+        const model = new LoginAttempt(pool);
+        await model.record(attempt);
+        if (attempt.success || LoginAttempt.BLOCKED_REASONS.includes(attempt.reason)) return;
+
+        const settings = loginProtectionSettings();
+        const { accountType, ip = null } = attempt;
+        const email = String(attempt.email).toLowerCase();
+        const ipStats = await model.ipFailures({ accountType, ip, windowMinutes: settings.windowMinutes });
+
+        const { failures } = await model.accountFailures({ accountType, email, windowMinutes: settings.windowMinutes });
+        if (failures >= settings.maxFailures) {
+            await lockAndAlert(pool, model, {
+                accountType,
+                scope: 'account',
+                key: email,
+                failedAttempts: failures,
+                ip,
+                distinctEmails: ipStats.emails,
+                settings,
+            });
+        }
+        if (ip && ipStats.failures >= settings.maxFailuresPerIp) {
+            await lockAndAlert(pool, model, {
+                accountType,
+                scope: 'ip',
+                key: String(ip).slice(0, 45),
+                failedAttempts: ipStats.failures,
+                ip,
+                distinctEmails: ipStats.emails,
+                settings,
+            });
+        }
+    } catch (error) {
+        console.error('Failed to record login attempt:', error.message);
+    }
+}
+
+module.exports = {
+    loginProtectionSettings,
+    delaySeconds,
+    checkLogin,
+    blockedLoginBody,
+    recordLoginAttempt,
+};
@@ -0,0 +1,396 @@
+/**
+ * Local, deterministic candidate–job matching.
+ *
+ * Both sides are reduced to the same profile shape (skills, title tokens, free-text tokens, location,
+ * salary). Job seekers and jobs are kept in an inverted index (token -> postings) so a query scores
+ * the whole pool without a pre-filter, and every score comes with per-factor explanations.
+ * No network calls: the same data always produces the same ranking.
+ * The index is shared by all users; results are narrowed to the caller's record access after ranking.
+ */
+
+const { filterAccessibleRows } = require('./recordAccessService');
+
+// Factor weights; factors without data on either side are left out and the rest re-normalised
+const WEIGHTS = {
+    skills: 0.45,
+    text: 0.2,
+    title: 0.15,
+    location: 0.1,
+    salary: 0.1,
+};
+
+// Custom field labels that feed the skill list / free text on either side
+const SKILL_FIELDS = ['Skills', 'Required Skills', 'Additional Skills', 'Certifications', 'Tools', 'Languages', 'Frameworks'];
+const TEXT_FIELDS = ['Experience', 'Education', 'Industry', 'Summary', 'Job Description Going to Job Board'];
+
+const INDEX_TTL_MS = 5 * 60 * 1000;
+
+const STOPWORDS = new Set(`a an and are as at be been but by can for from has have in into is it its of on or our
+that the their this to was we were will with you your able also any etc per via who what when where which while
+must should would may might including include includes other such using use used work working experience
+years year strong good excellent knowledge skills skill required requirements preferred plus role job team`.split(/\s+/));
+
+/** Lowercase tokens; keeps tech tokens such as c++, c#, .net, node.js */
+function tokenize(text) {
+    if (text === null || text === undefined) return [];
+    const raw = String(text).toLowerCase().match(/[a-z0-9][a-z0-9+#.]*[a-z0-9+#]|[a-z0-9]|\.net/g) || [];
+    const tokens = [];
+    for (let token of raw) {
+        token = token.replace(/\.+$/, '');
+        if (token.length < 2 && !/^[a-z]$/.test(token)) continue;
+        if (STOPWORDS.has(token)) continue;
+        // light plural stemming: "developers" -> "developer", keep "ss" / tech words
+        if (token.length > 4 && token.endsWith('s') && !token.endsWith('ss') && !/[+#.]/.test(token)) {
+            token = token.slice(0, -1);
+        }
+        tokens.push(token);
+    }
+    return tokens;
+}
+
+/** "React, Node.js; SQL / AWS" -> ['react', 'node.js', 'sql', 'aws'] */
+function parseSkillList(value) {
+    if (value === null || value === undefined) return [];
+    const list = Array.isArray(value) ? value : String(value).split(/[,;|\n\/•]+/);
+    const skills = new Set();
+    for (const item of list) {
+        const phrase = tokenize(item).join(' ');
+        if (phrase) skills.add(phrase);
+    }
+    return [...skills];
+}
+
+function parseCustomFields(value) {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return {};
+    }
+}
+
+function customValues(customFields, labels) {
+    const lower = Object.fromEntries(Object.entries(customFields).map(([k, v]) => [k.toLowerCase(), v]));
+    return labels
+        .map((label) => lower[label.toLowerCase()])
+        .filter((v) => v !== undefined && v !== null && String(v).trim() !== '')
+        .map((v) => (Array.isArray(v) ? v.join(', ') : String(v)));
+}
+
+function parseMoney(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(value).toLowerCase().replace(/,/g, '');
+    const match = text.match(/(\d+(?:\.\d+)?)\s*(k)?/);
+    if (!match) return null;
+    let amount = parseFloat(match[1]);
+    if (match[2]) amount *= 1000;
+    return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+function termFrequencies(tokens) {
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return tf;
+}
+
+function normalizePlace(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+/** Profile for a job seeker row (job_seekers.*) */
+function buildJobSeekerProfile(row) {
+    const cf = parseCustomFields(row.custom_fields);
+    const skills = parseSkillList([row.skills, ...customValues(cf, SKILL_FIELDS)].filter(Boolean).join(','));
+    const textTokens = tokenize([row.title, row.resume_text, ...customValues(cf, TEXT_FIELDS)].filter(Boolean).join(' '));
+    return {
+        id: row.id,
+        name: [row.first_name, row.last_name].filter(Boolean).join(' '),
+        title: row.title || '',
+        skills,
+        titleTokens: [...new Set(tokenize(row.title))],
+        tf: termFrequencies([...textTokens, ...skills.flatMap((s) => s.split(' '))]),
+        length: textTokens.length + skills.length,
+        location: {
+            city: normalizePlace(row.city || customValues(cf, ['City'])[0]),
+            state: normalizePlace(row.state || customValues(cf, ['State'])[0]),
+            zip: normalizePlace(row.zip || customValues(cf, ['Zip'])[0]).slice(0, 5),
+            remote: false,
+        },
+        salary: { desired: parseMoney(row.desired_salary || customValues(cf, ['Desired Salary'])[0]) },
+    };
+}
+
+/** Profile for a job row (jobs.*) */
+function buildJobProfile(row) {
+    const cf = parseCustomFields(row.custom_fields);
+    const title = customValues(cf, ['Published Job Title'])[0] || row.job_title || '';
+    const skills = parseSkillList([row.required_skills, ...customValues(cf, SKILL_FIELDS)].filter(Boolean).join(','));
+    const textTokens = tokenize([title, row.job_description, ...customValues(cf, TEXT_FIELDS)].filter(Boolean).join(' '));
+    const remote = /remote/i.test(String(row.remote_option || ''));
+    return {
+        id: row.id,
+        name: title,
+        title,
+        skills,
+        titleTokens: [...new Set(tokenize(title))],
+        tf: termFrequencies([...textTokens, ...skills.flatMap((s) => s.split(' '))]),
+        length: textTokens.length + skills.length,
+        location: {
+            city: normalizePlace(customValues(cf, ['City'])[0]),
+            state: normalizePlace(customValues(cf, ['State'])[0]),
+            zip: normalizePlace(customValues(cf, ['Zip'])[0]).slice(0, 5),
+            remote,
+        },
+        salary: {
+            min: row.min_salary != null ? Number(row.min_salary) : parseMoney(customValues(cf, ['Salary'])[0]),
+            max: row.max_salary != null ? Number(row.max_salary) : null,
+        },
+    };
+}
+
+/**
+ * Inverted index over profiles: token -> [{ doc, tf }], plus document frequencies for IDF.
+ * @param {Array} profiles
+ */
+function buildIndex(profiles) {
+    const postings = new Map();
+    profiles.forEach((profile, doc) => {
+        for (const [token, tf] of profile.tf) {
+            if (!postings.has(token)) postings.set(token, []);
+            postings.get(token).push({ doc, tf });
+        }
+    });
+    return { profiles, postings, size: profiles.length };
+}
+
+function idf(index, token) {
+    const df = index.postings.get(token)?.length || 0;
+    return Math.log(1 + (index.size + 1) / (df + 1));
+}
+
+/** TF-IDF overlap of the query profile's terms against every indexed document (0..1 per doc) */
+function textScores(index, query) {
+    const scores = new Map();
+    let queryWeight = 0;
+    for (const [token, qtf] of query.tf) {
+        const w = idf(index, token) * Math.log(1 + qtf);
+        queryWeight += w;
+        for (const { doc, tf } of index.postings.get(token) || []) {
+            scores.set(doc, (scores.get(doc) || 0) + w * Math.min(1, Math.log(1 + tf)));
+        }
+    }
+    if (queryWeight > 0) {
+        for (const [doc, s] of scores) scores.set(doc, Math.min(1, s / queryWeight));
+    }
+    return scores;
+}
+
+function skillsFactor(job, candidate) {
+    if (job.skills.length === 0) return null;
+    const candidateSkills = new Set(candidate.skills);
+    const matched = [];
+    const partial = [];
+    const missing = [];
+    for (const skill of job.skills) {
+        if (candidateSkills.has(skill)) matched.push(skill);
+        else if (skill.split(' ').every((t) => candidate.tf.has(t))) partial.push(skill);
+        else missing.push(skill);
+    }
+    const score = (matched.length + 0.6 * partial.length) / job.skills.length;
+    return {
+        score,
+        detail: { matched, mentionedInResume: partial, missing },
+        explanation: `${matched.length} of ${job.skills.length} required skills listed` +
+            (partial.length ? `, ${partial.length} more mentioned in resume/profile` : ''),
+    };
+}
+
+function titleFactor(job, candidate) {
+    if (job.titleTokens.length === 0 || candidate.titleTokens.length === 0) return null;
+    const a = new Set(job.titleTokens);
+    const b = new Set(candidate.titleTokens);
+    const shared = [...a].filter((t) => b.has(t));
+    const union = new Set([...a, ...b]).size;
+    const score = union ? shared.length / union : 0;
+    return {
+        score,
+        detail: { jobTitle: job.title, candidateTitle: candidate.title, shared },
+        explanation: shared.length ? `Title shares: ${shared.join(', ')}` : 'No title overlap',
+    };
+}
+
+function locationFactor(job, candidate) {
+    if (job.location.remote) {
+        return { score: 1, detail: { remote: true }, explanation: 'Remote role' };
+    }
+    const j = job.location;
+    const c = candidate.location;
+    if (!(j.zip || j.city || j.state) || !(c.zip || c.city || c.state)) return null;
+    let score = 0;
+    let explanation = 'Different location';
+    if (j.zip && c.zip && j.zip === c.zip) {
+        score = 1;
+        explanation = 'Same postal code';
+    } else if (j.city && c.city && j.city === c.city && (!j.state || !c.state || j.state === c.state)) {
+        score = 0.9;
+        explanation = 'Same city';
+    } else if (j.state && c.state && j.state === c.state) {
+        score = 0.5;
+        explanation = 'Same state';
+    }
+    return { score, detail: { job: j, candidate: c }, explanation };
+}
+
+function salaryFactor(job, candidate) {
+    const desired = candidate.salary.desired;
+    const { min, max } = job.salary;
+    if (!desired || (!min && !max)) return null;
+    const top = max || min;
+    let score;
+    let explanation;
+    if (desired <= top) {
+        score = 1;
+        explanation = min && desired < min ? 'Desired salary below range' : 'Desired salary within range';
+    } else {
+        // 0 once the candidate asks for 50% more than the top of the range
+        score = Math.max(0, 1 - (desired - top) / (top * 0.5));
+        explanation = `Desired salary ${Math.round(((desired - top) / top) * 100)}% above range`;
+    }
+    return { score, detail: { desired, min: min || null, max: max || null }, explanation };
+}
+
+/**
+ * Score one job/candidate pair given the precomputed text score.
+ * @returns {{ score: number, factors: Object }}
+ */
+function scorePair(job, candidate, textScore) {
+    const factors = {
+        skills: skillsFactor(job, candidate),
+        text: job.tf.size > 0
+            ? { score: textScore || 0, explanation: `Description/resume term overlap ${Math.round((textScore || 0) * 100)}%` }
+            : null,
+        title: titleFactor(job, candidate),
+        location: locationFactor(job, candidate),
+        salary: salaryFactor(job, candidate),
+    };
+
+    let weightSum = 0;
+    let total = 0;
+    const explained = {};
+    for (const [name, factor] of Object.entries(factors)) {
+        if (!factor) {
+            explained[name] = { score: null, weight: 0, explanation: 'Not enough data' };
+            continue;
+        }
+        weightSum += WEIGHTS[name];
+        total += WEIGHTS[name] * factor.score;
+        explained[name] = {
+            score: Math.round(factor.score * 1000) / 1000,
+            weight: WEIGHTS[name],
+            explanation: factor.explanation,
+            ...(factor.detail ? { detail: factor.detail } : {}),
+        };
+    }
+
+    const score = weightSum > 0 ? total / weightSum : 0;
+    return { score: Math.round(score * 1000) / 1000, factors: explained };
+}
+
+/**
+ * Rank every indexed document against a query profile.
+ * `direction` is 'candidates' (query = job, index = job seekers) or 'jobs' (query = job seeker, index = jobs).
+ */
+function rank(index, query, direction, { limit = 15, minScore = 0 } = {}) {
+    const text = textScores(index, query);
+    const results = [];
+    index.profiles.forEach((doc, i) => {
+        const job = direction === 'candidates' ? query : doc;
+        const candidate = direction === 'candidates' ? doc : query;
+        const { score, factors } = scorePair(job, candidate, text.get(i) || 0);
+        if (score > 0 && score >= minScore) {
+            results.push({ id: doc.id, name: doc.name, title: doc.title, score, factors });
+        }
+    });
+    // Deterministic: score desc, then id asc
+    results.sort((a, b) => b.score - a.score || Number(a.id) - Number(b.id));
+    return results.slice(0, limit);
+}
+
+// Per-process index cache, invalidated when the source table changes (count / max(updated_at))
+const indexCache = new Map();
+
+async function getIndex(pool, kind) {
+    const source = kind === 'job_seekers'
+        ? {
+            fingerprint: `SELECT COUNT(*)::text || ':' || COALESCE(MAX(updated_at)::text, '') AS fp FROM job_seekers WHERE archived_at IS NULL`,
+            rows: `SELECT id, first_name, last_name, title, skills, resume_text, city, state, zip, desired_salary, custom_fields
+                   FROM job_seekers WHERE archived_at IS NULL ORDER BY id`,
+            build: buildJobSeekerProfile,
+        }
+        : {
+            fingerprint: `SELECT COUNT(*)::text || ':' || COALESCE(MAX(updated_at)::text, '') AS fp FROM jobs
+                          WHERE archived_at IS NULL AND (LOWER(status) = 'open' OR LOWER(custom_fields->>'Status') = 'active')`,
+            rows: `SELECT id, job_title, job_description, required_skills, remote_option, min_salary, max_salary, custom_fields
+                   FROM jobs WHERE archived_at IS NULL AND (LOWER(status) = 'open' OR LOWER(custom_fields->>'Status') = 'active')
+                   ORDER BY id`,
+            build: buildJobProfile,
+        };
+
+    const fp = (await pool.query(source.fingerprint)).rows[0]?.fp || '';
+    const cached = indexCache.get(kind);
+    if (cached && cached.fp === fp && cached.expires > Date.now()) return cached.index;
+
+    const result = await pool.query(source.rows);
+    const index = buildIndex(result.rows.map(source.build));
+    indexCache.set(kind, { fp, index, expires: Date.now() + INDEX_TTL_MS });
+    return index;
+}
+
+/**
+ * Ranked results the user may read, cut to `limit`. Filtering before the cut keeps the limit
+ * filled with readable records. Without a user (scripts) every result is kept.
+ */
+async function readableMatches(pool, user, entityType, ranked, limit) {
+    const readable = user ? await filterAccessibleRows(pool, user, entityType, 'read', ranked) : ranked;
+    return readable.slice(0, limit);
+}
+
+/**
+ * Best job seekers for a job (whole unarchived pool, narrowed to the job seekers `user` may read).
+ * @param {Object} pool
+ * @param {Object} jobRow - jobs.* row
+ * @param {Object} [options] - { limit, minScore, user } (user: req.user)
+ */
+async function matchCandidatesForJob(pool, jobRow, options = {}) {
+    const { limit = 15, minScore = 0, user = null } = options;
+    const index = await getIndex(pool, 'job_seekers');
+    const ranked = rank(index, buildJobProfile(jobRow), 'candidates', { limit: Infinity, minScore });
+    return readableMatches(pool, user, 'job_seeker', ranked, limit);
+}
+
+/**
+ * Best open jobs for a job seeker (narrowed to the jobs `user` may read).
+ * @param {Object} pool
+ * @param {Object} jobSeekerRow - job_seekers.* row
+ * @param {Object} [options] - { limit, minScore, user } (user: req.user)
+ */
+async function matchJobsForCandidate(pool, jobSeekerRow, options = {}) {
+    const { limit = 15, minScore = 0, user = null } = options;
+    const index = await getIndex(pool, 'jobs');
+    const ranked = rank(index, buildJobSeekerProfile(jobSeekerRow), 'jobs', { limit: Infinity, minScore });
+    return readableMatches(pool, user, 'job', ranked, limit);
+}
+
+module.exports = {
+    WEIGHTS,
+    tokenize,
+    parseSkillList,
+    buildJobProfile,
+    buildJobSeekerProfile,
+    buildIndex,
+    rank,
+    scorePair,
+    matchCandidatesForJob,
+    matchJobsForCandidate,
+};
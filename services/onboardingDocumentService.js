@@ -0,0 +1,574 @@
+/**
+ * Onboarding documents in the job seeker portal: the candidate fills in the fields of a sent template document
+ * (onboarding_send_items), saves drafts and submits.
+ *
+ * Submitting checks the candidate's fields (is_required, max_characters, format), renders the completed PDF
+ * (services/documentFillService.js), attaches it to the job seeker as a document and marks the item COMPLETED, or
+ * PENDING_REVIEW when the template has approval_required (services/onboardingReviewService.js). The sender and the
+ * template's notification users are then emailed (email template type ONBOARDING_DOCUMENT_COMPLETED, variables
+ * {{jobSeekerName}}, {{documentName}}, {{completedAt}}, {{documentUrl}}, {{recordUrl}}, {{pendingChanges}},
+ * {{reviewRequired}}).
+ *
+ * When the template has additional_docs_required the candidate uploads extra files (ID, certifications) against the
+ * item; they are stored as documents of the job seeker and at least one is needed to submit.
+ *
+ * The candidate fills the fields whose who_fills is "candidate"; the other fields are read-only in the portal and
+ * printed with their prefilled value. Candidate fields with data_flow_back update the job seeker record
+ * (services/dataFlowBackService.js). Signature and Initials fields are signed on submit, never saved in a draft,
+ * and add a signing certificate to the completed PDF (services/signatureService.js).
+ */
+
+const { put, del } = require('@vercel/blob');
+const Onboarding = require('../models/onboarding');
+const Document = require('../models/document');
+const TemplateDocument = require('../models/templateDocument');
+const DocumentSignature = require('../models/documentSignature');
+const EmailTemplateModel = require('../models/emailTemplateModel');
+const {
+    loadFillableTemplate,
+    downloadTemplate,
+    resolvePrefillValues,
+    validateFieldValues,
+    findUnreadableSignatures,
+    renderFilledPdf,
+    uploadFilledPdf,
+    createFilledDocument,
+    isSignature,
+} = require('./documentFillService');
+const { applyFlowBack, recordFlowBackUpdate } = require('./dataFlowBackService');
+const { ESIGN_CONSENT_TEXT, collectSignatures, signPdf, signatureRecordFields } = require('./signatureService');
+const { sendMail } = require('./emailService');
+const { renderTemplate, escapeHtml } = require('../utils/templateRenderer');
+
+const UPLOAD_MIME_TYPES = [
+    'application/pdf',
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'image/heic',
+    'image/heif',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+];
+// Largest additional file; the JSON body carries it base64-encoded (index.js sizes the route's body limit from this)
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+// Most additional files one item takes
+const MAX_UPLOADS_PER_ITEM = 10;
+
+/** Error for a portal document request; controllers answer with statusCode (and errors, per field). */
+class OnboardingDocumentError extends Error {
+    constructor(message, statusCode = 400, errors = null) {
+        super(message);
+        this.name = 'OnboardingDocumentError';
+        this.statusCode = statusCode;
+        this.errors = errors;
+    }
+}
+
+function isCandidateField(mapping) {
+    return String(mapping.who_fills || 'candidate').trim().toLowerCase() === 'candidate';
+}
+
+function isOpen(item) {
+    return Onboarding.OPEN_ITEM_STATUSES.includes(item.status);
+}
+
+// Mappings whose submitted values may flow back to the job seeker
+function flowBackMappings(mappings) {
+    return mappings.filter((m) => isCandidateField(m) && !isSignature(m));
+}
+
+// Values kept on the item: everything but signatures (their evidence is in document_signatures)
+function storableValues(mappings, values) {
+    const stored = { ...values };
+    mappings.filter(isSignature).forEach((m) => delete stored[m.field_name]);
+    return stored;
+}
+
+// Submitted values of the candidate's own fields (anything else is ignored)
+function pickCandidateValues(mappings, values) {
+    const picked = {};
+    for (const mapping of mappings) {
+        if (isCandidateField(mapping) && Object.prototype.hasOwnProperty.call(values, mapping.field_name)) {
+            picked[mapping.field_name] = values[mapping.field_name];
+        }
+    }
+    return picked;
+}
+
+function assertValuesObject(values) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new OnboardingDocumentError('values must be an object of field_name: value');
+    }
+}
+
+// Item fields shown in the portal
+function portalItem(item) {
+    return {
+        id: item.id,
+        template_document_id: item.template_document_id,
+        document_name: item.document_name,
+        status: item.status,
+        sent_at: item.sent_at,
+        draft_saved_at: item.draft_saved_at,
+        completed_at: item.completed_at,
+        completed_document_id: item.completed_document_id,
+        first_viewed_at: item.first_viewed_at,
+        submitted_at: item.submitted_at,
+        reviewed_at: item.reviewed_at,
+        rejection_reason: item.rejection_reason,
+        approval_required: item.approval_required === true,
+        additional_docs_required: item.additional_docs_required === true,
+    };
+}
+
+// Upload fields shown in the portal
+function portalUpload(upload) {
+    return {
+        id: upload.id,
+        label: upload.label,
+        file_name: upload.file_name,
+        file_url: upload.file_url,
+        mime_type: upload.mime_type,
+        file_size: upload.file_size,
+        uploaded_at: upload.uploaded_at,
+    };
+}
+
+async function loadItem(onboarding, jobSeekerId, itemId, client = null) {
+    const item = await onboarding.getItemForJobSeeker(jobSeekerId, itemId, client);
+    if (!item) throw new OnboardingDocumentError('Document not found', 404);
+    return item;
+}
+
+// The rows are gone (or never written) either way; an orphaned blob is not worth failing the request
+async function deleteBlob(url, description) {
+    try {
+        await del(url);
+    } catch (error) {
+        console.error(`Failed to delete the blob of ${description}:`, error.message);
+    }
+}
+
+const ADDITIONAL_DOCUMENTS_REQUIRED = {
+    field: 'Additional documents',
+    fieldName: 'additional_documents',
+    code: 'required',
+    message: 'Please upload the requested additional documents',
+};
+
+async function missingAdditionalDocuments(onboarding, item, client = null) {
+    return item.additional_docs_required && (await onboarding.listUploads([item.id], client)).length === 0;
+}
+
+/**
+ * Item with its fields and current values (saved values over prefilled ones). Opening an open item counts as the
+ * candidate viewing it.
+ * @returns {Promise<{ item: Object, template: Object, signing: Object, uploads: Object[], fields: Object[] }>}
+ */
+async function getPortalDocument(pool, jobSeekerId, itemId) {
+    const onboarding = new Onboarding(pool);
+    const item = await loadItem(onboarding, jobSeekerId, itemId);
+    const { template, mappings } = await loadFillableTemplate(pool, item.template_document_id);
+    const jobSeeker = await onboarding.getJobseekerProfile(jobSeekerId);
+    const values = storableValues(mappings, {
+        ...(await resolvePrefillValues(pool, jobSeeker, mappings)),
+        ...(item.field_values || {}),
+    });
+    const editable = isOpen(item);
+    if (editable && !item.first_viewed_at) {
+        item.first_viewed_at = await onboarding.markViewed(item.id);
+    }
+    const signatureRequired = mappings.some((m) => isSignature(m) && isCandidateField(m));
+    const uploads = await onboarding.listUploads([item.id]);
+
+    return {
+        item: portalItem(item),
+        template: { id: template.id, document_name: template.document_name, file_url: template.file_url },
+        signing: {
+            required: signatureRequired,
+            consent_text: signatureRequired ? ESIGN_CONSENT_TEXT : null,
+        },
+        uploads: uploads.map(portalUpload),
+        fields: mappings.map((m) => ({
+            id: m.id,
+            field_name: m.field_name,
+            field_label: m.field_label,
+            field_type: m.field_type,
+            is_required: m.is_required,
+            max_characters: m.max_characters,
+            format: m.format,
+            x: m.x,
+            y: m.y,
+            w: m.w,
+            h: m.h,
+            page_number: m.page_number,
+            editable: editable && isCandidateField(m),
+            value: values[m.field_name] ?? null,
+        })),
+    };
+}
+
+/**
+ * Save the candidate's values without submitting (no validation; signatures are left out).
+ * @returns {Promise<Object>} the item
+ */
+async function saveDraft(pool, jobSeekerId, itemId, values) {
+    assertValuesObject(values);
+    const onboarding = new Onboarding(pool);
+    const item = await loadItem(onboarding, jobSeekerId, itemId);
+    if (!isOpen(item)) {
+        throw new OnboardingDocumentError('This document has already been submitted', 409);
+    }
+
+    const mappings = await new TemplateDocument(pool).getMappings(item.template_document_id);
+    const fieldValues = storableValues(mappings, {
+        ...(item.field_values || {}),
+        ...pickCandidateValues(mappings, values),
+    });
+    const saved = await onboarding.saveDraft(item.id, fieldValues);
+    if (!saved) {
+        throw new OnboardingDocumentError('This document has already been submitted', 409);
+    }
+    return portalItem({ ...item, ...saved });
+}
+
+async function notifyCompletion(pool, onboarding, item, jobSeeker, document, pendingChanges) {
+    const reviewRequired = item.status === Onboarding.ITEM_STATUS.PENDING_REVIEW;
+    const recipients = await onboarding.getCompletionRecipients(item);
+    if (recipients.length === 0) return;
+
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const vars = {
+        jobSeekerName: [jobSeeker.first_name, jobSeeker.last_name].filter(Boolean).join(' ') || jobSeeker.email || '',
+        documentName: item.document_name,
+        completedAt: new Date(item.submitted_at || item.completed_at || Date.now()).toLocaleString(),
+        documentUrl: document.file_path,
+        recordUrl: `${baseUrl}/dashboard/job-seekers/view?id=${jobSeeker.id}`,
+        pendingChanges: String(pendingChanges),
+        reviewRequired: reviewRequired ? 'Yes' : 'No',
+    };
+
+    const tpl = await new EmailTemplateModel(pool).getTemplateByType('ONBOARDING_DOCUMENT_COMPLETED');
+    let subject;
+    let html;
+    let text;
+    if (tpl) {
+        subject = renderTemplate(tpl.subject, vars);
+        html = renderTemplate(tpl.body, vars).replace(/\r\n/g, '\n').replace(/\n/g, '<br/>');
+        text = renderTemplate(tpl.body, vars);
+    } else {
+        subject = reviewRequired
+            ? `${vars.jobSeekerName} submitted ${vars.documentName} for review`
+            : `${vars.jobSeekerName} completed ${vars.documentName}`;
+        html = `
+          <div>
+            <p>${escapeHtml(vars.jobSeekerName)} completed the onboarding document <b>${escapeHtml(vars.documentName)}</b> on ${escapeHtml(vars.completedAt)}.</p>
+            <p><a href="${escapeHtml(vars.documentUrl)}">View the completed document</a> or <a href="${escapeHtml(vars.recordUrl)}">open the job seeker</a>.</p>
+            ${reviewRequired ? '<p>The document needs to be approved or rejected on the job seeker.</p>' : ''}
+            ${pendingChanges > 0 ? `<p>${pendingChanges} submitted value(s) conflict with changes made since the document was sent and need to be confirmed on the job seeker.</p>` : ''}
+          </div>
+        `;
+        text = `${vars.jobSeekerName} completed the onboarding document ${vars.documentName} on ${vars.completedAt}.\n\nDocument: ${vars.documentUrl}\nJob seeker: ${vars.recordUrl}`;
+        if (reviewRequired) {
+            text += '\n\nThe document needs to be approved or rejected on the job seeker.';
+        }
+        if (pendingChanges > 0) {
+            text += `\n\n${pendingChanges} submitted value(s) conflict with changes made since the document was sent and need to be confirmed on the job seeker.`;
+        }
+    }
+
+    await sendMail({ to: recipients.map((r) => r.email), subject, html, text });
+}
+
+/**
+ * Submit an item: validate the candidate's fields, attach the completed PDF to the job seeker, flow values back to
+ * the record and mark the item COMPLETED. Items needing approval go to PENDING_REVIEW instead and flow back when
+ * approved. Concurrent submissions of the same item are serialized; the second one gets a 409.
+ * @param {{ email?: string, ip?: string, userAgent?: string, consent?: boolean }} signer - the portal session;
+ *   consent to sign electronically is required when the document has signature fields
+ * @returns {Promise<{ item: Object, document: Object, signature: Object|null,
+ *   flowBack: { applied: number, pending: number } }>}
+ * @throws {OnboardingDocumentError} with errors per field when validation fails
+ */
+async function submitDocument(pool, jobSeekerId, itemId, values = {}, signer = {}) {
+    assertValuesObject(values);
+    const onboarding = new Onboarding(pool);
+
+    // Validate, render and upload without holding the item's lock; the transaction below re-checks that it is open
+    let item = await loadItem(onboarding, jobSeekerId, itemId);
+    if (!isOpen(item)) {
+        throw new OnboardingDocumentError('This document has already been submitted', 409);
+    }
+
+    const { template, mappings } = await loadFillableTemplate(pool, item.template_document_id);
+    const fieldValues = { ...(item.field_values || {}), ...pickCandidateValues(mappings, values) };
+    const jobSeeker = await onboarding.getJobseekerProfile(jobSeekerId);
+    const merged = { ...(await resolvePrefillValues(pool, jobSeeker, mappings)), ...fieldValues };
+
+    const candidateMappings = mappings.filter(isCandidateField);
+    const errors = validateFieldValues(candidateMappings, merged);
+    errors.push(...(await findUnreadableSignatures(candidateMappings, merged)));
+    if (await missingAdditionalDocuments(onboarding, item)) errors.push(ADDITIONAL_DOCUMENTS_REQUIRED);
+    if (errors.length > 0) {
+        throw new OnboardingDocumentError('Please correct the highlighted fields', 400, errors);
+    }
+
+    const signatures = collectSignatures(candidateMappings, merged);
+    const consent = signer.consent === true || signer.consent === 'true';
+    if (signatures.length > 0 && !consent) {
+        throw new OnboardingDocumentError('Please agree to sign electronically', 400, [
+            { field: 'consent', fieldName: 'consent', code: 'required', message: 'Consent to sign electronically is required' },
+        ]);
+    }
+
+    let pdf = await renderFilledPdf(await downloadTemplate(template), mappings, merged);
+    const signedAt = new Date();
+    const signerName = [jobSeeker.first_name, jobSeeker.last_name].filter(Boolean).join(' ');
+    let signed = null;
+    if (signatures.length > 0) {
+        signed = await signPdf(pdf, {
+            documentName: item.document_name,
+            reference: `Onboarding item ${item.id}, template document ${item.template_document_id}`,
+            signerName,
+            signerEmail: signer.email || item.recipient_email,
+            ipAddress: signer.ip,
+            userAgent: signer.userAgent,
+            sentAt: item.sent_at,
+            viewedAt: item.first_viewed_at,
+            consentedAt: signedAt,
+            signedAt,
+            consentText: ESIGN_CONSENT_TEXT,
+            signatures,
+        });
+        pdf = signed.pdf;
+    }
+
+    // Uploaded PDFs are deleted again when the submit fails
+    const uploaded = [];
+    const discardUploads = () => Promise.all(
+        uploaded.map((upload) => deleteBlob(upload.url, `${upload.name} of onboarding item ${item.id}`))
+    );
+    let file;
+    let contentFile = null;
+    try {
+        file = await uploadFilledPdf({ jobSeekerId: Number(jobSeekerId), template, pdf });
+        uploaded.push(file);
+        // The hash printed on the signing certificate is of the document without it; keep that document too
+        if (signed) {
+            contentFile = await uploadFilledPdf({
+                jobSeekerId: Number(jobSeekerId),
+                template,
+                pdf: signed.content,
+                documentName: `${file.name} (signed content)`,
+            });
+            uploaded.push(contentFile);
+        }
+    } catch (error) {
+        await discardUploads();
+        throw error;
+    }
+
+    const client = await pool.connect();
+    let document;
+    let flowBack;
+    let signature = null;
+    try {
+        await client.query('BEGIN');
+        item = await loadItem(onboarding, jobSeekerId, itemId, client);
+        if (!isOpen(item)) {
+            throw new OnboardingDocumentError('This document has already been submitted', 409);
+        }
+        // The uploads may have been deleted since the check above
+        if (await missingAdditionalDocuments(onboarding, item, client)) {
+            throw new OnboardingDocumentError('Please correct the highlighted fields', 400, [ADDITIONAL_DOCUMENTS_REQUIRED]);
+        }
+
+        document = await createFilledDocument(pool, file, { jobSeekerId: Number(jobSeekerId), template }, client);
+        const submitted = await onboarding.submitItem(client, item.id, {
+            field_values: storableValues(mappings, fieldValues),
+            completed_document_id: document.id,
+            status: item.approval_required ? Onboarding.ITEM_STATUS.PENDING_REVIEW : Onboarding.ITEM_STATUS.COMPLETED,
+        });
+        item = { ...item, ...submitted };
+        if (signed) {
+            signature = await new DocumentSignature(pool).create(client, {
+                job_seeker_id: Number(jobSeekerId),
+                onboarding_send_item_id: item.id,
+                template_document_id: item.template_document_id,
+                document_id: document.id,
+                document_name: item.document_name,
+                file_url: document.file_path,
+                content_file_url: contentFile.url,
+                signer_name: signerName,
+                signer_email: signer.email || item.recipient_email,
+                ip_address: signer.ip,
+                user_agent: signer.userAgent,
+                fields: signatureRecordFields(signatures, signedAt),
+                consent_text: ESIGN_CONSENT_TEXT,
+                consented_at: signedAt,
+                sent_at: item.sent_at,
+                viewed_at: item.first_viewed_at,
+                signed_at: signedAt,
+                content_sha256: signed.contentSha256,
+                document_sha256: signed.documentSha256,
+            });
+        }
+        flowBack = item.status === Onboarding.ITEM_STATUS.COMPLETED
+            ? await applyFlowBack(client, { item, mappings: flowBackMappings(mappings), values: fieldValues })
+            : { changes: [], before: null, after: null };
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        // Nothing points at the uploaded PDFs any more
+        await discardUploads();
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await recordFlowBackUpdate(pool, flowBack.before, flowBack.after);
+    const pending = flowBack.changes.filter((c) => c.status === Onboarding.FLOW_BACK_STATUS.PENDING).length;
+    try {
+        await notifyCompletion(pool, onboarding, item, jobSeeker, document, pending);
+    } catch (error) {
+        console.error('Failed to send onboarding completion notification:', error.message);
+    }
+
+    return {
+        item: portalItem(item),
+        document,
+        signature,
+        flowBack: { applied: flowBack.changes.length - pending, pending },
+    };
+}
+
+function decodeUpload(file, body) {
+    if (!file) return null;
+    const base64Data = typeof file === 'string' ? file : file.data;
+    if (!base64Data) return null;
+    return {
+        buffer: Buffer.from(String(base64Data).replace(/^data:[^;]+;base64,/, ''), 'base64'),
+        mimeType: String((typeof file === 'string' ? body.mime_type : file.type) || 'application/octet-stream').toLowerCase(),
+        originalName: (typeof file === 'string' ? body.file_name : file.name) || 'document',
+    };
+}
+
+async function loadUploadableItem(onboarding, jobSeekerId, itemId, client = null) {
+    const item = await loadItem(onboarding, jobSeekerId, itemId, client);
+    if (!item.additional_docs_required) {
+        throw new OnboardingDocumentError('This document does not take additional files');
+    }
+    if (!isOpen(item)) {
+        throw new OnboardingDocumentError('This document has already been submitted', 409);
+    }
+    return item;
+}
+
+async function assertUploadRoom(onboarding, item, client = null) {
+    if ((await onboarding.listUploads([item.id], client)).length >= MAX_UPLOADS_PER_ITEM) {
+        throw new OnboardingDocumentError(`At most ${MAX_UPLOADS_PER_ITEM} files can be uploaded for a document`, 409);
+    }
+}
+
+/**
+ * Upload an additional file (ID, certification) for an open item whose template has additional_docs_required,
+ * up to MAX_UPLOADS_PER_ITEM per item.
+ * Body as for document uploads: { file: { name, type, data (base64) } or base64, mime_type, file_name, label }.
+ * @returns {Promise<Object>} the upload
+ */
+async function uploadAdditionalDocument(pool, jobSeekerId, itemId, body = {}) {
+    const onboarding = new Onboarding(pool);
+    // Checked without the item's lock before storing the file; the transaction below checks again
+    let item = await loadUploadableItem(onboarding, jobSeekerId, itemId);
+    await assertUploadRoom(onboarding, item);
+
+    const upload = decodeUpload(body.file, body);
+    if (!upload || upload.buffer.length === 0) throw new OnboardingDocumentError('File is required');
+    if (upload.buffer.length > MAX_UPLOAD_BYTES) {
+        throw new OnboardingDocumentError(`The file must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`, 413);
+    }
+    if (!UPLOAD_MIME_TYPES.includes(upload.mimeType)) {
+        throw new OnboardingDocumentError('Upload a PDF, image or Word document');
+    }
+
+    const label = body.label ? String(body.label).trim().slice(0, 255) : null;
+    const fileName = `job_seekers/${item.job_seeker_id}/${Date.now()}_${upload.originalName.replace(/[^a-zA-Z0-9.-]/g, '_')}`;
+    const blob = await put(fileName, upload.buffer, { access: 'public', contentType: upload.mimeType });
+
+    const client = await pool.connect();
+    let saved;
+    try {
+        await client.query('BEGIN');
+        item = await loadUploadableItem(onboarding, jobSeekerId, itemId, client);
+        await assertUploadRoom(onboarding, item, client);
+        const document = await new Document(pool).create({
+            entity_type: 'job_seeker',
+            entity_id: item.job_seeker_id,
+            document_name: `${item.document_name} - ${label || upload.originalName}`.slice(0, 255),
+            document_type: 'Onboarding',
+            file_path: blob.url,
+            file_size: upload.buffer.length,
+            mime_type: upload.mimeType,
+            content: null,
+            created_by: null,
+        }, client);
+
+        saved = await onboarding.addUpload({
+            onboarding_send_item_id: item.id,
+            job_seeker_id: item.job_seeker_id,
+            document_id: document.id,
+            label,
+            file_name: upload.originalName.slice(0, 255),
+            file_url: blob.url,
+            mime_type: upload.mimeType,
+            file_size: upload.buffer.length,
+        }, client);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        // Nothing points at the stored file any more
+        await deleteBlob(blob.url, `an upload for onboarding item ${item.id}`);
+        throw error;
+    } finally {
+        client.release();
+    }
+    return portalUpload(saved);
+}
+
+/** Remove an additional file of an open item (its document and stored file go too). */
+async function deleteAdditionalDocument(pool, jobSeekerId, itemId, uploadId) {
+    const onboarding = new Onboarding(pool);
+    const client = await pool.connect();
+    let upload;
+    try {
+        await client.query('BEGIN');
+        // Locked so a submit cannot complete the item between the open check and the delete
+        const item = await loadUploadableItem(onboarding, jobSeekerId, itemId, client);
+        upload = await onboarding.deleteUpload(item.id, uploadId, client);
+        if (!upload) throw new OnboardingDocumentError('Upload not found', 404);
+        if (upload.document_id) await new Document(pool).delete(upload.document_id, client);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+    if (upload.file_url) await deleteBlob(upload.file_url, `onboarding upload ${upload.id}`);
+    return portalUpload(upload);
+}
+
+module.exports = {
+    OnboardingDocumentError,
+    MAX_UPLOAD_BYTES,
+    MAX_UPLOADS_PER_ITEM,
+    isCandidateField,
+    flowBackMappings,
+    getPortalDocument,
+    saveDraft,
+    submitDocument,
+    uploadAdditionalDocument,
+    deleteAdditionalDocument,
+};
@@ -0,0 +1,149 @@
+/**
+ * Recruiter review of onboarding documents whose template has approval_required.
+ *
+ * A submitted item waits in PENDING_REVIEW. Approving completes it (COMPLETED, completed_at) and flows its values
+ * back to the job seeker (services/dataFlowBackService.js). Rejecting needs a reason: the item is REJECTED, which
+ * reopens it in the portal, and the candidate is emailed (email template type ONBOARDING_DOCUMENT_REJECTED,
+ * variables {{jobSeekerName}}, {{documentName}}, {{reason}}, {{portalUrl}}). Both decisions go to the audit log.
+ */
+
+const Onboarding = require('../models/onboarding');
+const TemplateDocument = require('../models/templateDocument');
+const EmailTemplateModel = require('../models/emailTemplateModel');
+const { applyFlowBack, recordFlowBackUpdate } = require('./dataFlowBackService');
+const { flowBackMappings } = require('./onboardingDocumentService');
+const { recordAudit } = require('./auditService');
+const { sendMail } = require('./emailService');
+const { renderTemplate, escapeHtml } = require('../utils/templateRenderer');
+
+const MAX_REASON_LENGTH = 2000;
+
+/** Error for a review request; controllers answer with statusCode. */
+class OnboardingReviewError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'OnboardingReviewError';
+        this.statusCode = statusCode;
+    }
+}
+
+async function sendRejectionEmail(pool, onboarding, item, reason) {
+    const jobSeeker = await onboarding.getJobseekerProfile(item.job_seeker_id);
+    const to = item.recipient_email || jobSeeker.email;
+    if (!to) {
+        console.warn(`Onboarding item ${item.id} rejected without a candidate email`);
+        return;
+    }
+
+    const vars = {
+        jobSeekerName: [jobSeeker.first_name, jobSeeker.last_name].filter(Boolean).join(' '),
+        documentName: item.document_name,
+        reason,
+        portalUrl:
+            process.env.PORTAL_LOGIN_URL
+            || `${process.env.APP_PUBLIC_URL || 'http://localhost:3000'}/job-seeker-portal/login`,
+    };
+
+    const tpl = await new EmailTemplateModel(pool).getTemplateByType('ONBOARDING_DOCUMENT_REJECTED');
+    let subject;
+    let html;
+    let text;
+    if (tpl) {
+        subject = renderTemplate(tpl.subject, vars, ['portalUrl']);
+        html = renderTemplate(tpl.body, vars, ['portalUrl']).replace(/\r\n/g, '\n').replace(/\n/g, '<br/>');
+        text = renderTemplate(tpl.body, vars, ['portalUrl']);
+    } else {
+        subject = `Please update ${vars.documentName}`;
+        html = `
+          <div>
+            <p>Hello${vars.jobSeekerName ? ` ${escapeHtml(vars.jobSeekerName)}` : ''},</p>
+            <p>Your onboarding document <b>${escapeHtml(vars.documentName)}</b> needs changes:</p>
+            <p>${escapeHtml(reason).replace(/\n/g, '<br/>')}</p>
+            <p>Please log into <a href="${escapeHtml(vars.portalUrl)}">the portal</a> to correct and resubmit it.</p>
+          </div>
+        `;
+        text = `Your onboarding document ${vars.documentName} needs changes:\n\n${reason}\n\nPlease log into ${vars.portalUrl} to correct and resubmit it.`;
+    }
+
+    await sendMail({ to, subject, html, text });
+}
+
+/**
+ * Approve or reject an item in PENDING_REVIEW.
+ * @param {{ jobSeekerId: number, itemId: number, approve: boolean, reason?: string, userId: number }} decision
+ * @returns {Promise<{ item: Object, flowBack: { applied: number, pending: number } }>}
+ * @throws {OnboardingReviewError} 400 without a rejection reason, 404 for an unknown item, 409 when not in review
+ */
+async function reviewDocument(pool, { jobSeekerId, itemId, approve, reason = null, userId }) {
+    const rejectionReason = approve ? null : String(reason || '').trim();
+    if (!approve && !rejectionReason) {
+        throw new OnboardingReviewError('A reason is required to reject a document');
+    }
+    if (rejectionReason && rejectionReason.length > MAX_REASON_LENGTH) {
+        throw new OnboardingReviewError(`The reason must be at most ${MAX_REASON_LENGTH} characters`);
+    }
+
+    const onboarding = new Onboarding(pool);
+    const client = await pool.connect();
+    let item;
+    let flowBack = { changes: [], before: null, after: null };
+    try {
+        await client.query('BEGIN');
+        item = await onboarding.getItemForJobSeeker(jobSeekerId, itemId, client);
+        if (!item) throw new OnboardingReviewError('Onboarding document not found', 404);
+        if (item.status !== Onboarding.ITEM_STATUS.PENDING_REVIEW) {
+            throw new OnboardingReviewError('This document is not waiting for review', 409);
+        }
+
+        const reviewed = await onboarding.reviewItem(client, item.id, {
+            status: approve ? Onboarding.ITEM_STATUS.COMPLETED : Onboarding.ITEM_STATUS.REJECTED,
+            reviewed_by: userId,
+            rejection_reason: rejectionReason,
+        });
+        item = { ...item, ...reviewed };
+
+        if (approve) {
+            const mappings = await new TemplateDocument(pool).getMappings(item.template_document_id);
+            flowBack = await applyFlowBack(client, {
+                item,
+                mappings: flowBackMappings(mappings),
+                values: item.field_values || {},
+            });
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await recordFlowBackUpdate(pool, flowBack.before, flowBack.after);
+    await recordAudit(pool, {
+        action: approve ? 'onboarding_approved' : 'onboarding_rejected',
+        entityType: 'job_seeker',
+        entityId: item.job_seeker_id,
+        entityLabel: item.document_name,
+        metadata: {
+            onboarding_send_item_id: item.id,
+            template_document_id: item.template_document_id,
+            completed_document_id: item.completed_document_id,
+            ...(approve ? {} : { reason: rejectionReason }),
+        },
+    });
+    if (!approve) {
+        try {
+            await sendRejectionEmail(pool, onboarding, item, rejectionReason);
+        } catch (error) {
+            console.error('Failed to send onboarding rejection email:', error.message);
+        }
+    }
+
+    const pending = flowBack.changes.filter((c) => c.status === Onboarding.FLOW_BACK_STATUS.PENDING).length;
+    return { item, flowBack: { applied: flowBack.changes.length - pending, pending } };
+}
+
+module.exports = {
+    OnboardingReviewError,
+    reviewDocument,
+};
@@ -0,0 +1,174 @@
+/**
+ * Permission catalogue and built-in roles for role-based access.
+ *
+ * Permissions are "<resource>.<action>" strings:
+ *   - entity permissions: every entity in PERMISSION_ENTITIES x ENTITY_ACTIONS (e.g. "jobs.export")
+ *   - special permissions: SPECIAL_PERMISSIONS (e.g. "delete_requests.approve")
+ * A role's permission list may use "*" (everything) or "<resource>.*" (every action on a resource).
+ *
+ * Roles live in the roles table (models/role.js). The built-in roles below are seeded on first start
+ * with defaults matching the access each role had before roles became configurable.
+ */
+
+const { ROLE_RULES, SCOPES, ACTIONS: RECORD_ACTIONS } = require('./recordAccessService');
+
+const PERMISSION_ENTITIES = {
+    organizations: 'Organizations',
+    hiring_managers: 'Hiring Managers',
+    jobs: 'Jobs',
+    job_seekers: 'Job Seekers',
+    leads: 'Leads',
+    placements: 'Placements',
+    tasks: 'Tasks',
+};
+
+const ENTITY_ACTIONS = ['view', 'create', 'edit', 'delete', 'export'];
+
+const SPECIAL_PERMISSIONS = {
+    'delete_requests.approve': 'Approve or deny delete and unarchive requests',
+    'transfers.approve': 'Approve or deny record transfers',
+    'custom_fields.manage': 'Create, edit and delete custom fields',
+    'users.manage': 'View all users, create users and reset their passwords',
+    'roles.manage': 'Create and edit roles and assign them to users',
+    'teams.manage': 'Create, edit and delete teams and their members',
+    'offices.manage': 'Create, edit and delete offices',
+    'job_feeds.manage': 'Configure job XML feeds',
+    'pipeline.manage': 'Configure application pipeline stages',
+    'duplicates.scan': 'Run the duplicate scan on demand',
+    'imports.manage': 'View and roll back bulk imports started by any user',
+    'portal.manage_passwords': 'Set job seeker portal passwords',
+    'analytics.view': 'View analytics dashboards and tracking data',
+    'activity.view': 'View the activity log of all users',
+    'webhooks.manage': 'Register webhook endpoints and replay their deliveries',
+    'audit.view': 'Search, verify and export the audit log',
+    'security.manage': 'View login history, unlock locked logins and receive login lockout alerts',
+};
+
+const ALL_ENTITY_PERMISSIONS = Object.keys(PERMISSION_ENTITIES).map((entity) => `${entity}.*`);
+
+const BUILT_IN_ROLES = [
+    {
+        key: 'owner',
+        name: 'Owner',
+        description: 'Full access; cannot be restricted',
+        permissions: ['*'],
+        record_scopes: ROLE_RULES.owner,
+    },
+    {
+        key: 'admin',
+        name: 'Admin',
+        description: 'Full access to all records and settings',
+        permissions: ['*'],
+        record_scopes: ROLE_RULES.admin,
+    },
+    {
+        key: 'developer',
+        name: 'Developer',
+        description: 'All records plus approvals',
+        permissions: [...ALL_ENTITY_PERMISSIONS, 'delete_requests.approve', 'transfers.approve'],
+        record_scopes: ROLE_RULES.developer,
+    },
+    {
+        key: 'recruiter',
+        name: 'Recruiter',
+        description: 'Records in their office and team',
+        permissions: [...ALL_ENTITY_PERMISSIONS, 'delete_requests.approve', 'transfers.approve'],
+        record_scopes: ROLE_RULES.recruiter,
+    },
+    {
+        key: 'candidate',
+        name: 'Candidate',
+        description: 'No access to CRM records',
+        permissions: [],
+        record_scopes: ROLE_RULES.candidate,
+    },
+];
+
+// The owner role always keeps full access so an organization cannot lock itself out
+const LOCKED_ROLE_KEYS = ['owner'];
+
+// Roles whose users get the is_admin flag (matches the signup rules in authController)
+const ADMIN_FLAG_ROLE_KEYS = ['admin', 'developer', 'owner'];
+
+// Roles only owners may give to users or take away from them
+const OWNER_MANAGED_ROLE_KEYS = ['owner', 'developer'];
+
+/**
+ * Every concrete permission with a label, grouped for the permission matrix UI.
+ */
+function listPermissionCatalogue() {
+    return {
+        entities: Object.entries(PERMISSION_ENTITIES).map(([key, label]) => ({
+            key,
+            label,
+            permissions: ENTITY_ACTIONS.map((action) => `${key}.${action}`),
+        })),
+        actions: ENTITY_ACTIONS,
+        special: Object.entries(SPECIAL_PERMISSIONS).map(([key, description]) => ({ key, description })),
+        recordScopes: { actions: RECORD_ACTIONS, scopes: SCOPES },
+    };
+}
+
+function isKnownPermission(permission) {
+    if (permission === '*') return true;
+    if (SPECIAL_PERMISSIONS[permission]) return true;
+    const [resource, action] = String(permission).split('.');
+    if (PERMISSION_ENTITIES[resource]) return action === '*' || ENTITY_ACTIONS.includes(action);
+    return action === '*' && Object.keys(SPECIAL_PERMISSIONS).some((p) => p.startsWith(`${resource}.`));
+}
+
+/**
+ * @param {string[]} granted - a role's permission list
+ * @param {string} required - e.g. "jobs.export"
+ */
+function hasPermission(granted, required) {
+    if (!Array.isArray(granted)) return false;
+    if (granted.includes('*') || granted.includes(required)) return true;
+    const [resource] = required.split('.');
+    return granted.includes(`${resource}.*`);
+}
+
+/**
+ * Validate and normalize a permission list from a request body.
+ * @returns {{ permissions: string[], unknown: string[] }}
+ */
+function normalizePermissions(list) {
+    const values = Array.isArray(list) ? list : [];
+    const permissions = [...new Set(values.map((p) => String(p).trim()).filter(Boolean))];
+    return { permissions, unknown: permissions.filter((p) => !isKnownPermission(p)) };
+}
+
+/**
+ * Validate record scopes ({ read: 'office', update: 'team', ... }); missing actions default to "own".
+ * @returns {{ recordScopes: Object|null, error: string|null }}
+ */
+function normalizeRecordScopes(value) {
+    if (value === undefined || value === null) return { recordScopes: null, error: null };
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return { recordScopes: null, error: 'record_scopes must be an object' };
+    }
+    const recordScopes = {};
+    for (const action of RECORD_ACTIONS) {
+        const scope = value[action] ?? 'own';
+        if (!SCOPES.includes(scope)) {
+            return { recordScopes: null, error: `record_scopes.${action} must be one of: ${SCOPES.join(', ')}` };
+        }
+        recordScopes[action] = scope;
+    }
+    return { recordScopes, error: null };
+}
+
+module.exports = {
+    PERMISSION_ENTITIES,
+    ENTITY_ACTIONS,
+    SPECIAL_PERMISSIONS,
+    BUILT_IN_ROLES,
+    LOCKED_ROLE_KEYS,
+    ADMIN_FLAG_ROLE_KEYS,
+    OWNER_MANAGED_ROLE_KEYS,
+    listPermissionCatalogue,
+    isKnownPermission,
+    hasPermission,
+    normalizePermissions,
+    normalizeRecordScopes,
+};
@@ -0,0 +1,189 @@
+/**
+ * Application pipeline rules and per-job pipeline board.
+ *
+ * Stages come from models/pipelineStage.js. An application's current stage is
+ * job_seeker_applications.stage (NULL on rows created before pipelines = the first stage);
+ * every move is recorded in application_stage_history, which drives time-in-stage reporting.
+ */
+
+const { filterAccessibleRows } = require('./recordAccessService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function findStage(stages, key) {
+    return stages.find((stage) => stage.key === key) || null;
+}
+
+/** First stage of a pipeline (lowest position). */
+function initialStage(stages) {
+    return stages.length > 0 ? stages[0] : null;
+}
+
+/** Current stage key of an application row. */
+function currentStageKey(application, stages) {
+    return application.stage || initialStage(stages)?.key || null;
+}
+
+/**
+ * Check a stage move against the pipeline.
+ * @returns {string|null} error message, or null when the move is allowed
+ */
+function validateTransition(stages, fromKey, toKey, reason) {
+    const target = findStage(stages, toKey);
+    if (!target) {
+        return `Unknown stage "${toKey}". Stages: ${stages.map((s) => s.key).join(', ')}`;
+    }
+    if (fromKey === toKey) {
+        return `Application is already in stage "${target.name}"`;
+    }
+    const current = findStage(stages, fromKey);
+    // Applications in a stage that was removed from the pipeline may move anywhere
+    if (current) {
+        const allowed = current.allowed_transitions || [];
+        if (!allowed.includes(toKey)) {
+            const names = allowed.map((key) => findStage(stages, key)?.name || key);
+            return `Cannot move from "${current.name}" to "${target.name}". Allowed: ${names.length ? names.join(', ') : 'none'}`;
+        }
+    }
+    if (target.requires_reason && !(typeof reason === 'string' && reason.trim())) {
+        return `A reason is required to move to "${target.name}"`;
+    }
+    return null;
+}
+
+/**
+ * Check a pipeline definition: transitions must point at stages of the same pipeline.
+ * @returns {string|null} error message
+ */
+function validatePipelineTransitions(stages) {
+    const keys = new Set(stages.map((s) => s.key));
+    for (const stage of stages) {
+        const unknown = (stage.allowed_transitions || []).filter((key) => !keys.has(key));
+        if (unknown.length > 0) {
+            return `Stage "${stage.key}" has transitions to unknown stages: ${unknown.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+function roundHours(ms) {
+    return ms == null ? null : Math.round((ms / HOUR_MS) * 10) / 10;
+}
+
+/**
+ * Candidates of a job grouped by stage (Kanban board) plus time-in-stage statistics.
+ * Candidates are narrowed to the job seekers `user` may read; the statistics cover the whole job.
+ * @param {import('pg').Pool} pool
+ * @param {number} jobId
+ * @param {{ jobType: string|null, stages: object[] }} pipeline - from PipelineStage.resolvePipeline()
+ * @param {{ user?: Object }} [options] - without a user (scripts) every candidate is kept
+ */
+async function buildJobPipeline(pool, jobId, pipeline, { user } = {}) {
+    const { stages } = pipeline;
+    const firstKey = initialStage(stages)?.key || null;
+
+    // id is the job seeker's so the rows can be narrowed by record access
+    const applications = await pool.query(
+        `SELECT a.id AS application_id, js.id, a.type, a.status, a.stage, a.created_at, a.submission_source,
+                COALESCE(a.stage_changed_at, a.created_at) AS stage_entered_at,
+                js.first_name, js.last_name, js.email, js.phone, js.title, js.record_number,
+                u.name AS created_by_name
+         FROM job_seeker_applications a
+         JOIN job_seekers js ON js.id = a.job_seeker_id
+         LEFT JOIN users u ON a.created_by = u.id
+         WHERE a.job_id = $1
+         ORDER BY COALESCE(a.stage_changed_at, a.created_at) ASC, a.id ASC`,
+        [jobId]
+    );
+    const candidates = user
+        ? await filterAccessibleRows(pool, user, 'job_seeker', 'read', applications.rows)
+        : applications.rows;
+
+    // Each history entry lasts until the next entry of the same application (or now)
+    const durations = await pool.query(
+        `SELECT stage,
+                COUNT(*)::int AS entries,
+                AVG(seconds) AS avg_seconds,
+                PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY seconds) AS median_seconds,
+                MAX(seconds) AS max_seconds
+         FROM (
+             SELECT h.to_stage AS stage,
+                    EXTRACT(EPOCH FROM (
+                        COALESCE(LEAD(h.changed_at) OVER (PARTITION BY h.application_id ORDER BY h.changed_at, h.id), NOW())
+                        - h.changed_at
+                    )) AS seconds
+             FROM application_stage_history h
+             JOIN job_seeker_applications a ON a.id = h.application_id
+             WHERE a.job_id = $1
+         ) d
+         GROUP BY stage`,
+        [jobId]
+    );
+
+    const now = Date.now();
+    const columns = stages.map((stage) => ({
+        key: stage.key,
+        name: stage.name,
+        position: stage.position,
+        outcome: stage.outcome,
+        allowedTransitions: stage.allowed_transitions || [],
+        requiresReason: stage.requires_reason,
+        count: 0,
+        candidates: [],
+    }));
+    const byKey = new Map(columns.map((column) => [column.key, column]));
+
+    for (const row of candidates) {
+        const key = row.stage || firstKey;
+        let column = byKey.get(key);
+        if (!column) {
+            // Stage no longer part of this pipeline; shown in its own column so nothing disappears
+            column = { key, name: key, position: null, outcome: 'open', allowedTransitions: [], requiresReason: false, removed: true, count: 0, candidates: [] };
+            byKey.set(key, column);
+            columns.push(column);
+        }
+        const enteredAt = new Date(row.stage_entered_at);
+        column.candidates.push({
+            applicationId: row.application_id,
+            jobSeekerId: row.id,
+            recordNumber: row.record_number,
+            name: `${row.first_name || ''} ${row.last_name || ''}`.trim(),
+            email: row.email,
+            phone: row.phone,
+            title: row.title,
+            type: row.type,
+            status: row.status,
+            submissionSource: row.submission_source,
+            submittedAt: row.created_at,
+            submittedBy: row.created_by_name,
+            stageEnteredAt: row.stage_entered_at,
+            hoursInStage: roundHours(now - enteredAt.getTime()),
+        });
+        column.count += 1;
+    }
+
+    const timeInStage = durations.rows.map((row) => ({
+        stage: row.stage,
+        name: findStage(stages, row.stage)?.name || row.stage,
+        entries: row.entries,
+        avgHours: roundHours(row.avg_seconds * 1000),
+        medianHours: roundHours(row.median_seconds * 1000),
+        maxHours: roundHours(row.max_seconds * 1000),
+    }));
+
+    return {
+        jobType: pipeline.jobType,
+        total: candidates.length,
+        stages: columns,
+        timeInStage,
+    };
+}
+
+module.exports = {
+    findStage,
+    initialStage,
+    currentStageKey,
+    validateTransition,
+    validatePipelineTransitions,
+    buildJobPipeline,
+};
@@ -0,0 +1,187 @@
+/**
+ * Record-level access: which records of an entity a user may read, update, delete or export.
+ *
+ * Each role gets a scope per action (ROLE_RULES are the defaults; roles can override them, see models/role.js):
+ *   all    - every record
+ *   office - records owned by a user in the caller's office
+ *   team   - records owned by a user in the caller's team
+ *   own    - records the caller owns or created (tasks: also assigned to)
+ *   none   - nothing
+ * A record's owner is its `owner` column (user id or user name) falling back to `created_by`.
+ * Rows in record_shares grant extra users/teams/offices read or write access to single records.
+ *
+ * Scopes are turned into SQL conditions on the entity table so lists, paging and counts stay correct.
+ */
+
+const SCOPES = ['all', 'office', 'team', 'own', 'none'];
+const ACTIONS = ['read', 'update', 'delete', 'export'];
+
+const ROLE_RULES = {
+    owner: { read: 'all', update: 'all', delete: 'all', export: 'all' },
+    admin: { read: 'all', update: 'all', delete: 'all', export: 'all' },
+    developer: { read: 'all', update: 'all', delete: 'own', export: 'all' },
+    recruiter: { read: 'office', update: 'team', delete: 'own', export: 'team' },
+    candidate: { read: 'none', update: 'none', delete: 'none', export: 'none' },
+};
+
+// Per-entity exceptions to ROLE_RULES: client companies are shared across offices
+const ENTITY_RULE_OVERRIDES = {
+    organization: {
+        recruiter: { read: 'all' },
+    },
+};
+
+const OWNER_FROM_COLUMN = (t) => `COALESCE(
+        CASE WHEN ${t}.owner ~ '^[0-9]{1,9}$' THEN ${t}.owner::integer END,
+        (SELECT ou.id FROM users ou WHERE ${t}.owner IS NOT NULL AND LOWER(ou.name) = LOWER(${t}.owner) ORDER BY ou.id LIMIT 1),
+        ${t}.created_by)`;
+
+const ACCESS_ENTITIES = {
+    organization: { table: 'organizations', slug: 'organizations', owner: (t) => `${t}.created_by` },
+    hiring_manager: { table: 'hiring_managers', slug: 'hiring-managers', owner: OWNER_FROM_COLUMN },
+    job: { table: 'jobs', slug: 'jobs', owner: OWNER_FROM_COLUMN },
+    job_seeker: { table: 'job_seekers', slug: 'job-seekers', owner: OWNER_FROM_COLUMN },
+    lead: { table: 'leads', slug: 'leads', owner: OWNER_FROM_COLUMN },
+    placement: { table: 'placements', slug: 'placements', owner: (t) => `${t}.created_by` },
+    task: { table: 'tasks', slug: 'tasks', owner: OWNER_FROM_COLUMN, assignee: (t) => `${t}.assigned_to` },
+};
+
+/** Entity key from a key ("job_seeker") or API path slug ("job-seekers"); null if unknown. */
+function resolveAccessEntityType(value) {
+    const v = String(value || '').trim().toLowerCase();
+    if (ACCESS_ENTITIES[v]) return v;
+    return Object.keys(ACCESS_ENTITIES).find((key) => ACCESS_ENTITIES[key].slug === v) || null;
+}
+
+function roleFor(user) {
+    if (!user) return 'candidate';
+    if (user.is_admin === true && user.role !== 'owner') return 'admin';
+    // Custom roles without configured scopes see nothing
+    return ROLE_RULES[user.role] ? user.role : 'candidate';
+}
+
+/**
+ * @param {{ role: string, is_admin?: boolean, record_scopes?: Object }} user - req.user
+ * @param {string} entityType - key of ACCESS_ENTITIES
+ * @param {string} action - read | update | delete | export
+ * @returns {string} one of SCOPES
+ */
+function scopeFor(user, entityType, action) {
+    const role = roleFor(user);
+    const override = ENTITY_RULE_OVERRIDES[entityType]?.[role]?.[action];
+    if (override) return override;
+    // Scopes configured on the user's role (attached by verifyToken) win over the defaults
+    const rules = (user && user.record_scopes) || ROLE_RULES[role];
+    return rules[action] || 'none';
+}
+
+/**
+ * Caller details needed for team/office scopes (req.user carries only id, email and role).
+ */
+async function loadAccessContext(pool, user) {
+    if (!user) return { user: null, teamId: null, officeId: null };
+    if (user.team_id !== undefined && user.office_id !== undefined) {
+        return { user, teamId: user.team_id, officeId: user.office_id };
+    }
+    const result = await pool.query('SELECT team_id, office_id FROM users WHERE id = $1', [user.id]);
+    const row = result.rows[0] || {};
+    return { user, teamId: row.team_id ?? null, officeId: row.office_id ?? null };
+}
+
+/**
+ * SQL condition limiting `alias` rows of an entity to what the caller may do.
+ * Pushes its parameters onto `values`. Returns null when no restriction applies.
+ */
+function buildAccessCondition(context, entityType, action, alias, values) {
+    const entity = ACCESS_ENTITIES[entityType];
+    if (!entity) throw new Error(`Unknown entity type for record access: ${entityType}`);
+    const scope = scopeFor(context.user, entityType, action);
+    if (scope === 'all') return null;
+    if (scope === 'none' || !context.user) return 'FALSE';
+
+    const param = (value) => {
+        values.push(value);
+        return `$${values.length}`;
+    };
+    const userParam = param(context.user.id);
+    const owner = entity.owner(alias);
+    const owners = entity.assignee ? `${owner}, ${entity.assignee(alias)}` : owner;
+
+    const grants = [`${userParam} IN (${owners}, ${alias}.created_by)`];
+    if (scope === 'team' && context.teamId != null) {
+        grants.push(`EXISTS (SELECT 1 FROM users au WHERE au.id IN (${owners}) AND au.team_id = ${param(context.teamId)})`);
+    }
+    if (scope === 'office' && context.officeId != null) {
+        grants.push(`EXISTS (SELECT 1 FROM users au WHERE au.id IN (${owners}) AND au.office_id = ${param(context.officeId)})`);
+    }
+
+    const shareTargets = [`rs.user_id = ${userParam}`];
+    if (context.teamId != null) shareTargets.push(`rs.team_id = ${param(context.teamId)}`);
+    if (context.officeId != null) shareTargets.push(`rs.office_id = ${param(context.officeId)}`);
+    grants.push(`EXISTS (
+        SELECT 1 FROM record_shares rs
+        WHERE rs.entity_type = ${param(entityType)} AND rs.record_id = ${alias}.id
+          AND (${shareTargets.join(' OR ')})
+          ${action === 'read' || action === 'export' ? '' : "AND rs.access_level = 'write'"}
+    )`);
+
+    return `(${grants.join(' OR ')})`;
+}
+
+/**
+ * Condition builder for list endpoints (runListQuery `accessScope` option).
+ * @returns {Promise<(alias: string, values: any[]) => string|null>}
+ */
+async function buildAccessScope(pool, user, entityType, action = 'read') {
+    if (scopeFor(user, entityType, action) === 'all') return () => null;
+    const context = await loadAccessContext(pool, user);
+    return (alias, values) => buildAccessCondition(context, entityType, action, alias, values);
+}
+
+/**
+ * Ids (from `ids`) the user may act on.
+ * @returns {Promise<Set<string>>} ids as strings
+ */
+async function accessibleIds(pool, user, entityType, action, ids) {
+    const list = [...new Set((ids || []).map((id) => parseInt(id, 10)).filter((id) => Number.isInteger(id)))];
+    if (list.length === 0) return new Set();
+    if (scopeFor(user, entityType, action) === 'all') return new Set(list.map(String));
+
+    const context = await loadAccessContext(pool, user);
+    const values = [list];
+    const condition = buildAccessCondition(context, entityType, action, 't', values);
+    const result = await pool.query(
+        `SELECT t.id FROM ${ACCESS_ENTITIES[entityType].table} t WHERE t.id = ANY($1::int[]) AND ${condition}`,
+        values
+    );
+    return new Set(result.rows.map((row) => String(row.id)));
+}
+
+async function canAccessRecord(pool, user, entityType, action, id) {
+    const allowed = await accessibleIds(pool, user, entityType, action, [id]);
+    return allowed.has(String(parseInt(id, 10)));
+}
+
+/**
+ * Keep only rows (already loaded, each with an `id`) the user may act on.
+ */
+async function filterAccessibleRows(pool, user, entityType, action, rows) {
+    if (scopeFor(user, entityType, action) === 'all') return rows;
+    const allowed = await accessibleIds(pool, user, entityType, action, rows.map((row) => row.id));
+    return rows.filter((row) => allowed.has(String(row.id)));
+}
+
+module.exports = {
+    SCOPES,
+    ACTIONS,
+    ROLE_RULES,
+    ACCESS_ENTITIES,
+    resolveAccessEntityType,
+    scopeFor,
+    loadAccessContext,
+    buildAccessCondition,
+    buildAccessScope,
+    accessibleIds,
+    canAccessRecord,
+    filterAccessibleRows,
+};
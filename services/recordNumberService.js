@@ -72,6 +72,21 @@ function formatDisplayRecordNumber(moduleType, recordNumber) {
     return `${prefix}-${recordNumber}`;
 }
 
+/**
+ * Parse a display record number ("J-4", "hm-12", "T15") back into module + number.
+ * Used for lookups such as global search; relations must still use the primary key.
+ * @param {string} value
+ * @param {Object<string, string>} [prefixMap] - moduleType -> prefix (defaults to PREFIX_MAP)
+ * @returns {{ moduleType: string, recordNumber: number }|null}
+ */
+function parseDisplayRecordNumber(value, prefixMap = PREFIX_MAP) {
+    const match = String(value || '').trim().match(/^([A-Za-z]{1,10})-?(\d{1,9})$/);
+    if (!match) return null;
+    const prefix = match[1].toUpperCase();
+    const moduleType = Object.keys(prefixMap).find((m) => String(prefixMap[m]).toUpperCase() === prefix);
+    return moduleType ? { moduleType, recordNumber: parseInt(match[2], 10) } : null;
+}
+
 /**
  * Run reusable_record_numbers migration if not already applied.
  * Call once during init (e.g. from Task or Organization initTable). Uses client for same-connection check.
@@ -88,6 +103,8 @@ module.exports = {
     allocateRecordNumber,
     releaseRecordNumber,
     formatDisplayRecordNumber,
+    parseDisplayRecordNumber,
     runMigrationIfNeeded,
+    PREFIX_MAP,
     ALLOWED_MODULES,
 };
@@ -0,0 +1,335 @@
+// pdf-parse's index.js runs a self-test when required without a parent module; load the library directly
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+
+const MAX_RESUME_TEXT_LENGTH = 200000;
+
+class ResumeParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ResumeParseError';
+        this.statusCode = 422;
+    }
+}
+
+// Common skills recognised anywhere in the resume (the Skills section adds anything else listed there)
+const KNOWN_SKILLS = [
+    'JavaScript', 'TypeScript', 'Node.js', 'React', 'Angular', 'Vue', 'Next.js', 'Express', 'HTML', 'CSS', 'Sass',
+    'Python', 'Django', 'Flask', 'Java', 'Spring', 'Kotlin', 'Swift', 'Objective-C', 'C', 'C++', 'C#', '.NET',
+    'ASP.NET', 'Go', 'Rust', 'Ruby', 'Rails', 'PHP', 'Laravel', 'Scala', 'R', 'MATLAB', 'Perl', 'Bash', 'PowerShell',
+    'SQL', 'PostgreSQL', 'MySQL', 'SQL Server', 'Oracle', 'MongoDB', 'Redis', 'Elasticsearch', 'DynamoDB', 'Snowflake',
+    'AWS', 'Azure', 'GCP', 'Docker', 'Kubernetes', 'Terraform', 'Ansible', 'Jenkins', 'Git', 'CI/CD', 'Linux',
+    'GraphQL', 'REST', 'Microservices', 'Kafka', 'RabbitMQ', 'Spark', 'Hadoop', 'Airflow', 'Tableau', 'Power BI',
+    'Excel', 'Salesforce', 'SAP', 'Workday', 'QuickBooks', 'Jira', 'Confluence', 'Figma', 'Photoshop', 'Illustrator',
+    'Machine Learning', 'Deep Learning', 'TensorFlow', 'PyTorch', 'Pandas', 'NumPy', 'NLP', 'Data Analysis',
+    'Project Management', 'Agile', 'Scrum', 'Kanban', 'PMP', 'Six Sigma', 'Lean', 'ITIL', 'Product Management',
+    'Accounting', 'Bookkeeping', 'Payroll', 'Financial Analysis', 'Budgeting', 'Forecasting', 'GAAP', 'CPA', 'Auditing',
+    'Recruiting', 'Sourcing', 'Onboarding', 'HRIS', 'Customer Service', 'Sales', 'Business Development', 'CRM',
+    'Marketing', 'SEO', 'SEM', 'Google Analytics', 'Content Marketing', 'Social Media', 'Copywriting',
+    'Nursing', 'Patient Care', 'EMR', 'Epic', 'HIPAA', 'CPR', 'BLS', 'ACLS', 'Phlebotomy',
+    'Forklift', 'OSHA', 'AutoCAD', 'SolidWorks', 'Revit', 'PLC', 'CNC', 'Welding', 'Electrical', 'HVAC',
+    'Spanish', 'French', 'German', 'Mandarin',
+];
+
+const SECTION_PATTERNS = {
+    summary: /^(professional\s+)?(summary|profile|objective|about me|career objective)$/i,
+    experience: /^(work\s+|professional\s+|relevant\s+)?(experience|employment(\s+history)?|work history|career history)$/i,
+    education: /^(education|academic background|education\s*(and|&)\s*training|qualifications)$/i,
+    skills: /^((technical|core|key|professional)\s+)?(skills|competencies|expertise|technologies|skills\s*(and|&)\s*\w+)$/i,
+    certifications: /^(certifications?|licenses?(\s*(and|&)\s*certifications?)?)$/i,
+    other: /^(projects|references|interests|hobbies|awards|volunteer(\s+experience)?|publications|languages)$/i,
+};
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE = `(?:${MONTH}\\.?\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4})`;
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to|until)\\s*(${DATE}|present|current|now|today)`, 'i');
+
+const DEGREE_PATTERN = /\b(ph\.?\s?d|doctorate|master'?s?|m\.?s\.?c?|m\.?a\.?|mba|bachelor'?s?|b\.?s\.?c?|b\.?a\.?|b\.?eng|associate'?s?|a\.?a\.?s?|diploma|certificate|high school|ged)\b/i;
+const INSTITUTION_PATTERN = /\b(university|college|institute|school|academy|polytechnic)\b/i;
+const TITLE_WORDS = /\b(engineer|developer|manager|director|analyst|consultant|specialist|coordinator|assistant|administrator|architect|designer|accountant|recruiter|nurse|technician|lead|officer|representative|associate|supervisor|executive|scientist|intern|sales|operator|clerk|advisor|president|vp|head)\b/i;
+
+const EMAIL_REGEX = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const PHONE_REGEX = /(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?:\s*(?:x|ext\.?)\s*\d{1,5})?/;
+const LINKEDIN_REGEX = /(?:https?:\/\/)?(?:www\.)?linkedin\.com\/in\/[A-Za-z0-9_-]+\/?/i;
+const CITY_STATE_REGEX = /\b([A-Z][a-zA-Z. ]{1,30}),[ \t]*([A-Z]{2})\b(?:[ \t]+(\d{5})(?:-\d{4})?)?/;
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const KNOWN_SKILL_MATCHERS = KNOWN_SKILLS.map((skill) => ({
+    skill,
+    // word boundaries that still work for "C++", "C#", ".NET", "CI/CD"
+    regex: new RegExp(`(^|[^A-Za-z0-9+#.])${escapeRegex(skill)}(?![A-Za-z0-9+#])`, skill.length <= 2 ? '' : 'i'),
+}));
+
+/**
+ * Extract plain text from an uploaded resume.
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @param {string} fileName
+ * @returns {Promise<string>}
+ */
+async function extractText(buffer, mimeType = '', fileName = '') {
+    const type = String(mimeType || '').toLowerCase();
+    const ext = String(fileName || '').toLowerCase().split('.').pop();
+    let text;
+
+    if (type === 'application/pdf' || ext === 'pdf') {
+        const data = await pdfParse(buffer);
+        text = data.text || '';
+    } else if (type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || ext === 'docx') {
+        const result = await mammoth.extractRawText({ buffer });
+        text = result.value || '';
+    } else if (type === 'application/rtf' || type === 'text/rtf' || ext === 'rtf') {
+        // Before the generic text/* branch: text/rtf would otherwise be read as plain text, control words and all
+        text = buffer.toString('utf8')
+            .replace(/\\par[d]? ?/g, '\n')
+            .replace(/\{\\[^{}]*\}|\\[a-z]+-?\d* ?|[{}]/gi, '');
+    } else if (type.startsWith('text/') || ['txt', 'text', 'md'].includes(ext)) {
+        text = buffer.toString('utf8');
+    } else {
+        throw new ResumeParseError('Unsupported resume format. Upload a PDF, DOCX or plain text file.');
+    }
+
+    text = text.replace(/\r\n?/g, '\n').replace(/\u0000/g, '').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    if (!text) {
+        throw new ResumeParseError('No text could be extracted from the resume (scanned image PDFs are not supported).');
+    }
+    return text.slice(0, MAX_RESUME_TEXT_LENGTH);
+}
+
+function detectSection(line) {
+    const heading = line.replace(/[:\-–—_=*#•]+$/g, '').replace(/^[#•*\s]+/, '').trim();
+    if (!heading || heading.length > 45) return null;
+    for (const [name, pattern] of Object.entries(SECTION_PATTERNS)) {
+        if (pattern.test(heading)) return name;
+    }
+    return null;
+}
+
+/** Split lines into { header, summary, experience, education, skills, certifications, other } */
+function splitSections(lines) {
+    const sections = { header: [] };
+    let current = 'header';
+    for (const line of lines) {
+        const section = detectSection(line);
+        if (section) {
+            current = section;
+            sections[current] = sections[current] || [];
+            continue;
+        }
+        sections[current] = sections[current] || [];
+        sections[current].push(line);
+    }
+    return sections;
+}
+
+function detectName(headerLines) {
+    for (const line of headerLines.slice(0, 6)) {
+        if (EMAIL_REGEX.test(line) || PHONE_REGEX.test(line) || /\d/.test(line)) continue;
+        const words = line.replace(/[,|]/g, ' ').split(/\s+/).filter(Boolean);
+        if (words.length < 2 || words.length > 4) continue;
+        if (!words.every((w) => /^[A-Za-zÀ-ÿ'.-]+$/.test(w))) continue;
+        if (TITLE_WORDS.test(line)) continue;
+        const cased = words.map((w) => (w === w.toUpperCase() ? w.charAt(0) + w.slice(1).toLowerCase() : w));
+        return { firstName: cased[0], lastName: cased.slice(1).join(' ') };
+    }
+    return { firstName: null, lastName: null };
+}
+
+function parseSkillsSection(lines) {
+    const skills = [];
+    for (const line of lines || []) {
+        const body = line.includes(':') ? line.slice(line.indexOf(':') + 1) : line;
+        for (const part of body.split(/[,;|•·•]+|\s{2,}/)) {
+            const skill = part.replace(/^[-*\s]+|[.\s]+$/g, '').trim();
+            if (skill && skill.length <= 40 && skill.split(/\s+/).length <= 4) skills.push(skill);
+        }
+    }
+    return skills;
+}
+
+function detectSkills(text, sections) {
+    const found = new Map();
+    for (const skill of parseSkillsSection(sections.skills)) {
+        found.set(skill.toLowerCase(), skill);
+    }
+    for (const { skill, regex } of KNOWN_SKILL_MATCHERS) {
+        if (!found.has(skill.toLowerCase()) && regex.test(text)) found.set(skill.toLowerCase(), skill);
+    }
+    return [...found.values()];
+}
+
+function splitTitleCompany(text) {
+    const cleaned = text.replace(/[|,–—-]\s*$/, '').trim();
+    const at = cleaned.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+    if (at) return { title: at[1].trim(), company: at[2].trim() };
+    const parts = cleaned.split(/\s*(?:\||,|\s[–—-]\s)\s*/).filter(Boolean);
+    if (parts.length >= 2) {
+        // "Company — Title" vs "Title, Company": put the part with title words in title
+        if (TITLE_WORDS.test(parts[1]) && !TITLE_WORDS.test(parts[0])) {
+            return { title: parts[1], company: parts[0] };
+        }
+        return { title: parts[0], company: parts[1] };
+    }
+    return TITLE_WORDS.test(cleaned) ? { title: cleaned, company: null } : { title: null, company: cleaned || null };
+}
+
+function looksLikeHeading(line) {
+    return line.length <= 80 && !/[.;:]$/.test(line) && !/^[-*•·]/.test(line);
+}
+
+function parseWorkHistory(lines) {
+    const entries = [];
+    let current = null;
+    let pending = [];
+    for (const line of lines || []) {
+        const range = line.match(DATE_RANGE);
+        if (!range) {
+            (current ? current.description : pending).push(line);
+            continue;
+        }
+        let heading = line.replace(range[0], '').replace(/[()]/g, '').trim();
+        // Dates on their own line: title/company are on the (up to two) lines above
+        if (!heading) {
+            const above = current ? current.description : pending;
+            const headingLines = [];
+            while (headingLines.length < 2 && above.length > 0 && looksLikeHeading(above[above.length - 1])) {
+                headingLines.unshift(above.pop());
+            }
+            heading = headingLines.join(' | ');
+        }
+        if (current) entries.push(current);
+        const { title, company } = splitTitleCompany(heading);
+        current = { title, company, startDate: range[1], endDate: range[2], description: [] };
+        pending = [];
+    }
+    if (current) entries.push(current);
+    return entries.map((e) => ({ ...e, description: e.description.join('\n').trim() }));
+}
+
+function parseEducation(lines) {
+    const entries = [];
+    for (const line of lines || []) {
+        const degree = line.match(DEGREE_PATTERN);
+        const institution = INSTITUTION_PATTERN.test(line);
+        if (!degree && !institution) {
+            // Degree on one line, school on the next
+            continue;
+        }
+        const year = (line.match(/\b(19|20)\d{2}\b/g) || []).pop() || null;
+        const parts = line.split(/\s*(?:,|\||\s[–—-]\s)\s*/).filter(Boolean);
+        const institutionName = parts.find((p) => INSTITUTION_PATTERN.test(p)) || null;
+        const degreeText = parts.find((p) => DEGREE_PATTERN.test(p)) || null;
+        const last = entries[entries.length - 1];
+        if (last && !last.institution && institutionName && !degreeText) {
+            last.institution = institutionName;
+            last.year = last.year || year;
+            continue;
+        }
+        entries.push({ degree: degreeText, institution: institutionName, year });
+    }
+    return entries;
+}
+
+/**
+ * Structured data from resume text.
+ * @param {string} text
+ * @returns {{ contact: Object, title: string|null, skills: string[], workHistory: Array, education: Array, summary: string|null }}
+ */
+function parseResume(text) {
+    const lines = String(text || '').split('\n').map((l) => l.trim()).filter(Boolean);
+    const sections = splitSections(lines);
+    const headerText = (sections.header || []).join('\n');
+
+    const email = (headerText.match(EMAIL_REGEX) || text.match(EMAIL_REGEX) || [null])[0];
+    const phoneMatch = headerText.match(PHONE_REGEX) || text.match(PHONE_REGEX);
+    const linkedin = (text.match(LINKEDIN_REGEX) || [null])[0];
+    const place = headerText.match(CITY_STATE_REGEX);
+    const { firstName, lastName } = detectName(sections.header || []);
+
+    const workHistory = parseWorkHistory(sections.experience);
+    const headerTitle = (sections.header || []).slice(0, 6).find((l) =>
+        TITLE_WORDS.test(l) && l.length <= 80 && !EMAIL_REGEX.test(l) && !PHONE_REGEX.test(l));
+
+    return {
+        contact: {
+            firstName,
+            lastName,
+            email: email ? email.toLowerCase() : null,
+            phone: phoneMatch ? phoneMatch[0].trim() : null,
+            linkedin,
+            city: place ? place[1].trim() : null,
+            state: place ? place[2] : null,
+            zip: place && place[3] ? place[3] : null,
+        },
+        title: headerTitle || workHistory.find((w) => w.title)?.title || null,
+        skills: detectSkills(text, sections),
+        workHistory,
+        education: parseEducation(sections.education),
+        certifications: sections.certifications || [],
+        summary: sections.summary ? sections.summary.join(' ').slice(0, 2000) : null,
+    };
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Suggested changes for an existing job seeker. Keys match JobSeeker.update (camelCase).
+ * action: "fill" (field empty), "replace" (differs), "merge" (skills union).
+ * @param {Object|null} jobSeeker - job_seekers row, or null when creating from a resume
+ * @param {Object} parsed - parseResume() output
+ * @returns {Array<{ field: string, column: string, current: any, suggested: any, action: string }>}
+ */
+function buildSuggestedChanges(jobSeeker, parsed) {
+    const current = jobSeeker || {};
+    const candidates = [
+        ['firstName', 'first_name', parsed.contact.firstName],
+        ['lastName', 'last_name', parsed.contact.lastName],
+        ['email', 'email', parsed.contact.email],
+        ['phone', 'phone', parsed.contact.phone],
+        ['city', 'city', parsed.contact.city],
+        ['state', 'state', parsed.contact.state],
+        ['zip', 'zip', parsed.contact.zip],
+        ['title', 'title', parsed.title],
+    ];
+
+    const changes = [];
+    for (const [field, column, suggested] of candidates) {
+        if (isBlank(suggested)) continue;
+        const existing = current[column];
+        if (isBlank(existing)) {
+            changes.push({ field, column, current: existing ?? null, suggested, action: 'fill' });
+        } else if (String(existing).trim().toLowerCase() !== String(suggested).trim().toLowerCase()) {
+            changes.push({ field, column, current: existing, suggested, action: 'replace' });
+        }
+    }
+
+    if (parsed.skills.length > 0) {
+        const existingSkills = String(current.skills || '').split(/[,;]+/).map((s) => s.trim()).filter(Boolean);
+        const known = new Set(existingSkills.map((s) => s.toLowerCase()));
+        const added = parsed.skills.filter((s) => !known.has(s.toLowerCase()));
+        if (added.length > 0) {
+            changes.push({
+                field: 'skills',
+                column: 'skills',
+                current: current.skills || null,
+                suggested: [...existingSkills, ...added].join(', '),
+                added,
+                action: existingSkills.length ? 'merge' : 'fill',
+            });
+        }
+    }
+
+    return changes;
+}
+
+module.exports = {
+    ResumeParseError,
+    extractText,
+    parseResume,
+    buildSuggestedChanges,
+};
@@ -0,0 +1,283 @@
+/**
+ * Electronic signatures on onboarding documents signed in the job seeker portal.
+ *
+ * A submitted document with Signature or Initials fields needs the candidate's consent to sign electronically
+ * (ESIGN_CONSENT_TEXT). The filled PDF is hashed (SHA-256), a signing certificate page is appended (signer, email,
+ * IP address, user agent, sent / first viewed / consent / signed times, the signatures and the hash of the signed
+ * document) and the final PDF is hashed again. Appending re-saves the PDF, so the signed pages of the final file are
+ * not byte-identical to the hashed document: that document is stored as a file of its own, which anyone can hash
+ * and compare with the certificate. Both hashes and both files are kept in document_signatures
+ * (models/documentSignature.js); verification downloads the stored files and compares their hashes with the record.
+ */
+
+const crypto = require('crypto');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const DocumentSignature = require('../models/documentSignature');
+const Document = require('../models/document');
+const { isSignature, parseSignatureValue, encodable, wrapLines } = require('./documentFillService');
+
+const ESIGN_CONSENT_TEXT =
+    'I agree to sign this document electronically. My electronic signature is the legal equivalent of my '
+    + 'handwritten signature, and I consent to receive and keep this document in electronic form.';
+
+const PAGE_SIZE = [612, 792];
+const MARGIN = 50;
+const MAX_IMAGE_WIDTH = 160;
+const MAX_IMAGE_HEIGHT = 40;
+const LABEL_WIDTH = 130;
+
+/** Error for a signature request; controllers answer with statusCode. */
+class SignatureError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'SignatureError';
+        this.statusCode = statusCode;
+    }
+}
+
+function sha256(bytes) {
+    return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+/**
+ * Signatures of the Signature/Initials mappings that have one.
+ * @returns {{ field_name: string, field_label: string, kind: 'signature'|'initials', method: 'drawn'|'typed',
+ *   text?: string, image?: Buffer, imageType?: string }[]}
+ */
+function collectSignatures(mappings, values) {
+    const signatures = [];
+    for (const mapping of mappings.filter(isSignature)) {
+        const signature = parseSignatureValue(values[mapping.field_name]);
+        if (!signature || signature.error) continue;
+        signatures.push({
+            field_name: mapping.field_name,
+            field_label: mapping.field_label || mapping.field_name,
+            kind: String(mapping.field_type).toLowerCase().includes('initial') ? 'initials' : 'signature',
+            ...signature,
+        });
+    }
+    return signatures;
+}
+
+function formatTimestamp(value) {
+    if (!value) return 'n/a';
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return 'n/a';
+    return `${date.toISOString().replace('T', ' ').slice(0, 19)} UTC`;
+}
+
+// Writes lines top to bottom, adding pages as needed
+function certificateWriter(pdf, fonts) {
+    let page;
+    let y;
+    const width = PAGE_SIZE[0] - 2 * MARGIN;
+
+    const newPage = () => {
+        page = pdf.addPage(PAGE_SIZE);
+        y = PAGE_SIZE[1] - MARGIN;
+    };
+    const ensure = (height) => {
+        if (y - height < MARGIN) newPage();
+    };
+    const lines = (text, { font = fonts.regular, size = 10, x = MARGIN, maxWidth = width } = {}) => {
+        for (const line of wrapLines(font, encodable(font, String(text)), size, maxWidth)) {
+            ensure(size * 1.4);
+            page.drawText(line, { x, y: y - size, size, font, color: rgb(0, 0, 0) });
+            y -= size * 1.4;
+        }
+    };
+
+    newPage();
+    return {
+        title(text) {
+            lines(text, { font: fonts.bold, size: 16 });
+            y -= 6;
+        },
+        heading(text) {
+            y -= 10;
+            lines(text, { font: fonts.bold, size: 12 });
+        },
+        text(text, options) {
+            lines(text, options);
+        },
+        // Label on the left, wrapped value on the right
+        row(label, value, { font = fonts.regular } = {}) {
+            ensure(14);
+            const top = y;
+            lines(label, { font: fonts.bold, size: 9, maxWidth: LABEL_WIDTH - 10 });
+            const labelBottom = y;
+            y = top;
+            lines(value, { font, size: 9, x: MARGIN + LABEL_WIDTH, maxWidth: width - LABEL_WIDTH });
+            y = Math.min(y, labelBottom) - 2;
+        },
+        image(image) {
+            const scale = Math.min(MAX_IMAGE_WIDTH / image.width, MAX_IMAGE_HEIGHT / image.height, 1);
+            const height = image.height * scale;
+            ensure(height + 6);
+            page.drawImage(image, { x: MARGIN + LABEL_WIDTH, y: y - height, width: image.width * scale, height });
+            y -= height + 6;
+        },
+    };
+}
+
+/**
+ * Append the signing certificate to a signed PDF.
+ * @param {Buffer} pdfBytes - the filled and flattened document
+ * @param {Object} evidence - documentName, reference, signerName, signerEmail, ipAddress, userAgent, sentAt,
+ *   viewedAt, consentedAt, signedAt, consentText, contentSha256, signatures (collectSignatures())
+ * @returns {Promise<Buffer>}
+ */
+async function appendSigningCertificate(pdfBytes, evidence) {
+    const pdf = await PDFDocument.load(pdfBytes);
+    const signedPages = pdf.getPageCount();
+    const fonts = {
+        regular: await pdf.embedFont(StandardFonts.Helvetica),
+        bold: await pdf.embedFont(StandardFonts.HelveticaBold),
+        mono: await pdf.embedFont(StandardFonts.Courier),
+        signature: await pdf.embedFont(StandardFonts.TimesRomanItalic),
+    };
+    const w = certificateWriter(pdf, fonts);
+
+    w.title('Signing Certificate');
+    w.row('Document', evidence.documentName || 'Document');
+    w.row('Reference', evidence.reference || 'n/a');
+    w.row('Signed pages', `1-${signedPages}`);
+
+    w.heading('Signer');
+    w.row('Name', evidence.signerName || 'n/a');
+    w.row('Email', evidence.signerEmail || 'n/a');
+    w.row('IP address', evidence.ipAddress || 'n/a');
+    w.row('User agent', evidence.userAgent || 'n/a');
+
+    w.heading('Timeline');
+    w.row('Sent', formatTimestamp(evidence.sentAt));
+    w.row('First viewed', formatTimestamp(evidence.viewedAt));
+    w.row('Consent given', formatTimestamp(evidence.consentedAt));
+    w.row('Signed', formatTimestamp(evidence.signedAt));
+
+    w.heading('Consent to sign electronically');
+    w.text(evidence.consentText || ESIGN_CONSENT_TEXT, { size: 9 });
+
+    w.heading('Signatures');
+    for (const signature of evidence.signatures || []) {
+        const kind = signature.kind === 'initials' ? 'Initials' : 'Signature';
+        w.row(signature.field_label, `${kind}, ${signature.method === 'drawn' ? 'drawn' : 'typed'}`);
+        if (signature.method === 'drawn') {
+            const image = signature.imageType === 'png'
+                ? await pdf.embedPng(signature.image)
+                : await pdf.embedJpg(signature.image);
+            w.image(image);
+        } else {
+            w.row('', signature.text, { font: fonts.signature });
+        }
+    }
+
+    w.heading('Document integrity');
+    w.text(
+        `SHA-256 of the signed document (pages 1-${signedPages} without this certificate), kept as a separate PDF `
+        + 'with the signature record:',
+        { size: 9 }
+    );
+    w.text(evidence.contentSha256, { font: fonts.mono, size: 9 });
+
+    return Buffer.from(await pdf.save());
+}
+
+/**
+ * Hash a filled PDF, append the signing certificate and hash the result.
+ * @returns {Promise<{ pdf: Buffer, content: Buffer, contentSha256: string, documentSha256: string }>} content is the
+ *   hashed PDF without the certificate; store it next to the signed pdf
+ */
+async function signPdf(pdfBytes, evidence) {
+    const content = Buffer.from(pdfBytes);
+    const contentSha256 = sha256(content);
+    const pdf = await appendSigningCertificate(content, { ...evidence, contentSha256 });
+    return { pdf, content, contentSha256, documentSha256: sha256(pdf) };
+}
+
+/** Signature fields as stored on the record: drawn images by hash, typed text as typed */
+function signatureRecordFields(signatures, signedAt) {
+    return signatures.map((s) => ({
+        field_name: s.field_name,
+        field_label: s.field_label,
+        kind: s.kind,
+        method: s.method,
+        ...(s.method === 'drawn' ? { image_sha256: sha256(s.image) } : { text: s.text }),
+        signed_at: signedAt,
+    }));
+}
+
+async function downloadSignedFile(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to download the signed document (HTTP ${response.status})`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Re-check a signed document: the stored file must still hash to document_sha256, the stored document without the
+ * certificate to the content_sha256 printed on it, and the documents row must still point at the signed file.
+ * The result is kept on the record (last_verified_at / last_verified_valid).
+ * @returns {Promise<{ valid: boolean, checks: Object, expected_sha256: string, actual_sha256: string|null,
+ *   signature: Object }>}
+ * @throws {SignatureError} 404 when the signature record does not exist
+ */
+async function verifySignature(pool, { jobSeekerId, signatureId }) {
+    const model = new DocumentSignature(pool);
+    const signature = await model.getForJobSeeker(jobSeekerId, signatureId);
+    if (!signature) throw new SignatureError('Signature record not found', 404);
+
+    const checks = {
+        document_exists: false,
+        document_file_unchanged: false,
+        file_available: false,
+        hash_matches: false,
+        content_file_available: false,
+        content_hash_matches: false,
+    };
+    let actual = null;
+
+    const document = signature.document_id ? await new Document(pool).getById(signature.document_id) : null;
+    checks.document_exists = !!document;
+    checks.document_file_unchanged = !!document && document.file_path === signature.file_url;
+
+    try {
+        actual = sha256(await downloadSignedFile(signature.file_url));
+        checks.file_available = true;
+        checks.hash_matches = actual === signature.document_sha256.trim();
+    } catch (error) {
+        console.error(`Failed to verify signature ${signature.id}:`, error.message);
+    }
+    if (signature.content_file_url) {
+        try {
+            const content = sha256(await downloadSignedFile(signature.content_file_url));
+            checks.content_file_available = true;
+            checks.content_hash_matches = content === signature.content_sha256.trim();
+        } catch (error) {
+            console.error(`Failed to verify the document without the certificate of signature ${signature.id}:`, error.message);
+        }
+    }
+
+    const valid = checks.file_available && checks.hash_matches && checks.document_file_unchanged
+        && checks.content_file_available && checks.content_hash_matches;
+    const updated = await model.recordVerification(signature.id, valid);
+    return {
+        valid,
+        checks,
+        expected_sha256: signature.document_sha256.trim(),
+        actual_sha256: actual,
+        signature: updated || signature,
+    };
+}
+
+module.exports = {
+    ESIGN_CONSENT_TEXT,
+    SignatureError,
+    sha256,
+    collectSignatures,
+    appendSigningCertificate,
+    signPdf,
+    signatureRecordFields,
+    verifySignature,
+};
@@ -0,0 +1,142 @@
+/**
+ * Staff authentication tokens.
+ *
+ * - Access token: short-lived JWT (ACCESS_TOKEN_TTL, default 15m) with the user and the session id (sid).
+ *   verifyToken also checks the session, so revoking a session cuts off its access token right away.
+ * - Refresh token: opaque "<session id>.<random>" string (REFRESH_TOKEN_TTL_DAYS, default 30), stored only as a
+ *   SHA-256 hash on the session (user_sessions) and replaced on every refresh. Presenting a refresh token that
+ *   was already rotated revokes the session, since it means the token was copied.
+ *
+ * - Two-factor challenge token: JWT (5 minutes) issued by the password step of a login for users with 2FA,
+ *   exchanged for the session tokens once the code is verified (controllers/authController.js).
+ *
+ * JWT_SECRET must be set; there is no fallback secret.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const CHALLENGE_TOKEN_TTL = '5m';
+
+class AuthConfigError extends Error {}
+
+function jwtSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        throw new AuthConfigError('JWT_SECRET is not configured');
+    }
+    return secret;
+}
+
+function accessTokenTtl() {
+    return process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL;
+}
+
+function refreshTokenTtlDays() {
+    const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10);
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+}
+
+/**
+ * @param {{ id: number, email: string, role: string }} user
+ * @param {string} sessionId
+ * @returns {{ token: string, expiresIn: number }} expiresIn in seconds
+ */
+function signAccessToken(user, sessionId) {
+    // userId, email and userType are read by the frontend
+    const token = jwt.sign(
+        { userId: user.id, email: user.email, userType: user.role, sid: sessionId, type: 'access' },
+        jwtSecret(),
+        { expiresIn: accessTokenTtl() }
+    );
+    const { iat, exp } = jwt.decode(token);
+    return { token, expiresIn: exp - iat };
+}
+
+/**
+ * Verify an access token; throws the jsonwebtoken errors for invalid or expired tokens.
+ * Tokens issued before sessions existed (no sid) are rejected so those users log in again.
+ */
+function verifyAccessToken(token, { ignoreExpiration = false } = {}) {
+    const decoded = jwt.verify(token, jwtSecret(), { ignoreExpiration });
+    if (decoded.type !== 'access' || !decoded.sid) {
+        throw new jwt.JsonWebTokenError('Token is not a session access token');
+    }
+    return decoded;
+}
+
+/**
+ * @param {{ id: number }} user
+ * @param {'verify'|'enroll'} purpose - enroll when the user's role requires 2FA and they have not set it up
+ * @returns {{ token: string, expiresIn: number }}
+ */
+function signChallengeToken(user, purpose) {
+    const token = jwt.sign(
+        { userId: user.id, purpose, type: 'two_factor_challenge' },
+        jwtSecret(),
+        { expiresIn: CHALLENGE_TOKEN_TTL }
+    );
+    const { iat, exp } = jwt.decode(token);
+    return { token, expiresIn: exp - iat };
+}
+
+/** Verify a challenge token of the given purpose; throws the jsonwebtoken errors */
+function verifyChallengeToken(token, purpose) {
+    const decoded = jwt.verify(token, jwtSecret());
+    if (decoded.type !== 'two_factor_challenge' || decoded.purpose !== purpose) {
+        throw new jwt.JsonWebTokenError('Token is not a two-factor challenge token');
+    }
+    return decoded;
+}
+
+function newSessionId() {
+    return crypto.randomUUID();
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * @param {string} sessionId
+ * @returns {{ token: string, hash: string, expiresAt: Date }}
+ */
+function generateRefreshToken(sessionId) {
+    const token = `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+    return {
+        token,
+        hash: hashToken(token),
+        expiresAt: new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000),
+    };
+}
+
+/**
+ * Single-use token sent by email (password reset, invite, email verification); store only the hash.
+ * @param {number} ttlMs
+ * @returns {{ token: string, hash: string, expiresAt: Date }}
+ */
+function generateOneTimeToken(ttlMs) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token, hash: hashToken(token), expiresAt: new Date(Date.now() + ttlMs) };
+}
+
+/** Session id part of a refresh token, or null when it is malformed */
+function sessionIdFromRefreshToken(token) {
+    const [sessionId, secret] = String(token || '').split('.');
+    return sessionId && secret ? sessionId : null;
+}
+
+module.exports = {
+    AuthConfigError,
+    signAccessToken,
+    verifyAccessToken,
+    signChallengeToken,
+    verifyChallengeToken,
+    newSessionId,
+    hashToken,
+    generateRefreshToken,
+    generateOneTimeToken,
+    sessionIdFromRefreshToken,
+};
@@ -0,0 +1,148 @@
+/**
+ * Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30 second steps) for staff two-factor authentication,
+ * plus recovery codes.
+ *
+ * Secrets are stored encrypted (AES-256-GCM). The key is TWO_FACTOR_ENCRYPTION_KEY, or JWT_SECRET when that is
+ * not set; changing the key makes existing enrollments unreadable, so those users need an admin 2FA reset.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Codes of the previous and next step are accepted too, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/** New random secret, base32 (what authenticator apps expect) */
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function totpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+}
+
+/**
+ * Check a code against the steps around now.
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {{ lastUsedStep?: number|null, now?: number }} [options] - steps up to lastUsedStep are rejected (replay)
+ * @returns {number|null} the matching step, or null
+ */
+function verifyTotp(secret, code, { lastUsedStep = null, now = Date.now() } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const step = currentStep(now);
+    for (let s = step - DRIFT_STEPS; s <= step + DRIFT_STEPS; s++) {
+        if (lastUsedStep !== null && lastUsedStep !== undefined && s <= Number(lastUsedStep)) continue;
+        const expected = totpCode(secret, s);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return s;
+    }
+    return null;
+}
+
+/** otpauth:// URL for the enrollment QR code */
+function otpauthUrl(secret, accountName) {
+    const issuer = process.env.TOTP_ISSUER || 'ATS';
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${CODE_DIGITS}&period=${STEP_SECONDS}`;
+}
+
+function encryptionKey() {
+    const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!source) throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set');
+    return crypto.createHash('sha256').update(source).digest();
+}
+
+/** "iv.tag.ciphertext" (base64url) */
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString('base64url')).join('.');
+}
+
+function decryptSecret(payload) {
+    const [iv, tag, encrypted] = String(payload).split('.').map((p) => Buffer.from(p, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * @returns {{ codes: string[], hashes: string[] }} codes ("xxxxx-xxxxx") are shown to the user once
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const raw = crypto.randomBytes(8).toString('hex').slice(0, 10);
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+module.exports = {
+    generateTotpSecret,
+    currentStep,
+    totpCode,
+    verifyTotp,
+    otpauthUrl,
+    encryptSecret,
+    decryptSecret,
+    hashRecoveryCode,
+    generateRecoveryCodes,
+};
@@ -0,0 +1,137 @@
+/**
+ * Emails with single-use links for staff accounts (password reset, invite, email verification) and for
+ * job seeker portal accounts (password reset).
+ *
+ * Each email uses the email template of its type when one exists (Email Templates, type USER_PASSWORD_RESET,
+ * USER_INVITE, USER_EMAIL_VERIFICATION or JOBSEEKER_PORTAL_PASSWORD_RESET) and a built-in message otherwise.
+ * Template variables:
+ * {{name}}, {{email}}, {{actionUrl}} (rendered as a button in the body), {{expiresAt}} and, for invites, {{invitedBy}}.
+ */
+
+const UserAuthToken = require('../models/userAuthToken');
+const EmailTemplateModel = require('../models/emailTemplateModel');
+const { generateOneTimeToken } = require('./tokenService');
+const { sendMail } = require('./emailService');
+const { renderTemplate, escapeHtml } = require('../utils/templateRenderer');
+
+function envNumber(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+const ACCOUNT_EMAILS = {
+    password_reset: {
+        templateType: 'USER_PASSWORD_RESET',
+        path: '/dashboard/auth/reset-password',
+        ttlMs: () => envNumber('PASSWORD_RESET_TOKEN_TTL_MINUTES', 60) * 60 * 1000,
+        buttonLabel: 'Reset Password',
+        subject: 'Reset your password',
+        intro: 'We received a request to reset the password of your account. Use the link below to choose a new password.',
+        outro: 'If you did not request a password reset, you can ignore this email; your password will not change.',
+    },
+    invite: {
+        templateType: 'USER_INVITE',
+        path: '/dashboard/auth/accept-invite',
+        ttlMs: () => envNumber('INVITE_TOKEN_TTL_DAYS', 7) * 24 * 60 * 60 * 1000,
+        buttonLabel: 'Set Up Your Account',
+        subject: 'You have been invited',
+        intro: 'An account has been created for you. Use the link below to choose your password and sign in.',
+        outro: 'If you were not expecting this invitation, you can ignore this email.',
+    },
+    email_verification: {
+        templateType: 'USER_EMAIL_VERIFICATION',
+        path: '/dashboard/auth/verify-email',
+        ttlMs: () => envNumber('EMAIL_VERIFICATION_TOKEN_TTL_HOURS', 48) * 60 * 60 * 1000,
+        buttonLabel: 'Verify Email Address',
+        subject: 'Verify your email address',
+        intro: 'Please confirm that this is your email address.',
+        outro: 'If you did not ask for this, you can ignore this email.',
+    },
+    // Link and token are handled by controllers/jobseekerPortalAuthController.js
+    portal_password_reset: {
+        templateType: 'JOBSEEKER_PORTAL_PASSWORD_RESET',
+        buttonLabel: 'Reset Password',
+        subject: 'Reset your portal password',
+        intro: 'We received a request to reset your job seeker portal password. Use the link below to choose a new password.',
+        outro: 'If you did not request a password reset, you can ignore this email; your password will not change.',
+    },
+};
+
+/**
+ * Subject and body of an account email.
+ * @param {object} pool
+ * @param {string} purpose - ACCOUNT_EMAILS key
+ * @param {{ name: string, email: string, actionUrl: string, expiresAt: string, invitedBy?: string }} vars
+ * @returns {Promise<{ subject: string, html: string, text: string }>}
+ */
+async function buildAccountEmail(pool, purpose, vars) {
+    const config = ACCOUNT_EMAILS[purpose];
+    const buttonHtml = `<a href="${escapeHtml(vars.actionUrl)}" style="display:inline-block;background-color:#2563eb;color:white;padding:10px 20px;text-decoration:none;border-radius:5px;">${config.buttonLabel}</a>`;
+    const tpl = await new EmailTemplateModel(pool).getTemplateByType(config.templateType);
+
+    if (tpl) {
+        const subject = renderTemplate(tpl.subject, vars);
+        let html = renderTemplate(tpl.body, { ...vars, actionUrl: buttonHtml }, ['actionUrl']);
+        html = html.replace(/\r\n/g, '\n').replace(/\n/g, '<br/>');
+        return { subject, html, text: renderTemplate(tpl.body, vars) };
+    }
+
+    return {
+        subject: config.subject,
+        html: `
+          <div>
+            <p>Hello ${escapeHtml(vars.name)},</p>
+            ${vars.invitedBy ? `<p>${escapeHtml(vars.invitedBy)} invited you to join.</p>` : ''}
+            <p>${config.intro}</p>
+            <p>${buttonHtml}</p>
+            <p>This link can be used once and expires on ${escapeHtml(vars.expiresAt)}.</p>
+            <p>${config.outro}</p>
+          </div>
+        `,
+        text: `Hello ${vars.name},\n\n${config.intro}\n\n${vars.actionUrl}\n\nThis link can be used once and expires on ${vars.expiresAt}.\n\n${config.outro}`,
+    };
+}
+
+/**
+ * Create a single-use token for the user and email them the link. Earlier links of the same purpose stop working.
+ * @param {object} pool
+ * @param {{ id: number, email: string, name?: string }} user
+ * @param {'password_reset'|'invite'|'email_verification'} purpose
+ * @param {{ requestedIp?: string, createdBy?: { id: number, name?: string, email?: string } }} [options]
+ * @returns {Promise<{ expiresAt: Date }>}
+ */
+async function sendUserTokenEmail(pool, user, purpose, { requestedIp = null, createdBy = null } = {}) {
+    const config = ACCOUNT_EMAILS[purpose];
+    if (!config || !UserAuthToken.TOKEN_PURPOSES.includes(purpose)) {
+        throw new Error(`Unknown account email: ${purpose}`);
+    }
+
+    const { token, hash, expiresAt } = generateOneTimeToken(config.ttlMs());
+    await new UserAuthToken(pool).create({
+        userId: user.id,
+        purpose,
+        tokenHash: hash,
+        expiresAt,
+        requestedIp,
+        createdBy: createdBy ? createdBy.id : null,
+    });
+
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const vars = {
+        name: user.name || user.email,
+        email: user.email,
+        actionUrl: `${baseUrl}${config.path}?token=${encodeURIComponent(token)}`,
+        expiresAt: expiresAt.toLocaleString(),
+        invitedBy: createdBy ? createdBy.name || createdBy.email : '',
+    };
+    const { subject, html, text } = await buildAccountEmail(pool, purpose, vars);
+    await sendMail({ to: user.email, subject, html, text });
+
+    return { expiresAt };
+}
+
+module.exports = {
+    ACCOUNT_EMAILS,
+    buildAccountEmail,
+    sendUserTokenEmail,
+};
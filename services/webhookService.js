@@ -0,0 +1,420 @@
+/**
+ * Outbound webhooks for CRM record events.
+ *
+ * Models and approval flows call emitWebhookEvent() (or the emitRecord* helpers) after their transaction
+ * commits. That stores one pending delivery per active subscription listening to the event
+ * (models/webhookDelivery.js) and tries to send them right away; failed sends are retried with backoff by
+ * the webhook-deliveries cron until MAX_ATTEMPTS is reached.
+ *
+ * Each delivery is a JSON POST:
+ *   { id: <event id>, event: "job.created", created_at, data: <record>, changes?: { field: { from, to } } }
+ * signed with the subscription secret:
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * Receivers should recompute the HMAC, compare in constant time and reject stale timestamps. The event id
+ * stays the same across retries and replays, so receivers can de-duplicate on it.
+ *
+ * Endpoints must be public: URLs naming loopback, link-local or private addresses are rejected, and every send
+ * checks the addresses the connection itself resolves, so a webhook cannot reach the server's own network even
+ * when its host starts resolving elsewhere (DNS rebinding).
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true lifts this for local development.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const WebhookSubscription = require('../models/webhookSubscription');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { sanitizeRecord, diffRecords } = require('../utils/recordDiff');
+
+const WEBHOOK_EVENTS = {
+    'organization.created': 'Organization created',
+    'organization.updated': 'Organization updated',
+    'organization.deleted': 'Organization deleted',
+    'hiring_manager.created': 'Hiring manager created',
+    'hiring_manager.updated': 'Hiring manager updated',
+    'hiring_manager.deleted': 'Hiring manager deleted',
+    'job.created': 'Job created',
+    'job.updated': 'Job updated',
+    'job.status_changed': 'Job status changed',
+    'job.deleted': 'Job deleted',
+    'job_seeker.created': 'Job seeker created',
+    'job_seeker.updated': 'Job seeker updated',
+    'job_seeker.deleted': 'Job seeker deleted',
+    'lead.created': 'Lead created',
+    'lead.updated': 'Lead updated',
+    'lead.deleted': 'Lead deleted',
+    'placement.created': 'Placement created',
+    'placement.updated': 'Placement updated',
+    'placement.approved': 'Placement approved',
+    'placement.deleted': 'Placement deleted',
+    'task.created': 'Task created',
+    'task.updated': 'Task updated',
+    'task.completed': 'Task completed',
+    'task.deleted': 'Task deleted',
+    'application.created': 'Application submitted',
+    'application.stage_changed': 'Application moved to another pipeline stage',
+    'transfer.approved': 'Record transfer approved and executed',
+    'transfer.denied': 'Record transfer denied',
+    'delete_request.approved': 'Delete request approved (record archived)',
+    'delete_request.denied': 'Delete request denied',
+};
+
+// Sent by the "test" endpoint only; not subscribable
+const TEST_EVENT = 'webhook.test';
+
+// Wait before attempt n + 1 after attempt n failed: 1 min, 5 min, 30 min, 2 h, 6 h, 24 h
+const RETRY_DELAYS_SECONDS = [60, 300, 1800, 7200, 21600, 86400];
+const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+const DEFAULT_TIMEOUT_MS = 10000;
+const RESPONSE_BODY_LIMIT = 2000;
+
+/**
+ * Events derived from a change: emitted alongside "<resource>.updated" when the condition holds.
+ * On create, the same conditions are checked against an empty "before".
+ */
+const DERIVED_EVENTS = {
+    job: [{ event: 'job.status_changed', when: (before, after) => before.status !== undefined && before.status !== after.status }],
+    placement: [{ event: 'placement.approved', when: (before, after) => after.status === 'Approved' && before.status !== 'Approved' }],
+    task: [{ event: 'task.completed', when: (before, after) => after.is_completed === true && before.is_completed !== true }],
+};
+
+// Addresses a webhook may not be sent to: unspecified, loopback, private, carrier-grade NAT, link-local (cloud
+// metadata), benchmarking, multicast and reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 rules;
+// IPv4-compatible, NAT64 and 6to4 addresses, which also reach IPv4 hosts, are blocked outright.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function allowPrivateUrls() {
+    return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+}
+
+/** Whether an IP address is loopback, link-local, private or otherwise not a public endpoint */
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/** URL hostname without the brackets of an IPv6 literal */
+function urlHost(url) {
+    return url.hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+function blockedAddressMessage(host, addresses) {
+    if (allowPrivateUrls()) return null;
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    return blocked ? `${host} resolves to ${blocked.address}, which is not a public address` : null;
+}
+
+/**
+ * dns.lookup for webhook connections: fails when the host resolves to a blocked address. Used as the request's
+ * lookup, so the addresses checked are the ones connected to.
+ */
+function publicAddressLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const message = blockedAddressMessage(hostname, addresses);
+        if (message) return callback(new Error(message));
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * POST a body to a webhook endpoint without following redirects.
+ * IP literals are connected to without a lookup, so they are checked here first.
+ * @returns {Promise<{ status: number, body: string }>} body cut to RESPONSE_BODY_LIMIT characters
+ */
+function postToEndpoint(value, { headers, body, signal }) {
+    const url = new URL(value);
+    const host = urlHost(url);
+    const literalError = net.isIP(host) ? blockedAddressMessage(host, [{ address: host }]) : null;
+    if (literalError) return Promise.reject(new Error(literalError));
+
+    return new Promise((resolve, reject) => {
+        const transport = url.protocol === 'https:' ? https : http;
+        const request = transport.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            signal,
+            lookup: publicAddressLookup,
+        }, (response) => {
+            const chunks = [];
+            let length = 0;
+            response.on('data', (chunk) => {
+                if (length < RESPONSE_BODY_LIMIT) {
+                    chunks.push(chunk);
+                    length += chunk.length;
+                }
+            });
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                body: Buffer.concat(chunks).toString('utf8').slice(0, RESPONSE_BODY_LIMIT),
+            }));
+            response.on('error', reject);
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Validate a subscription's event list: known events, "<resource>.*" or "*".
+ * @returns {{ events: string[]|null, error: string|null }}
+ */
+function normalizeEvents(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        return { events: null, error: 'events must be a non-empty array' };
+    }
+    const resources = new Set(Object.keys(WEBHOOK_EVENTS).map((e) => e.split('.')[0]));
+    const events = [...new Set(value.map((e) => String(e).trim()))];
+    for (const event of events) {
+        const isWildcard = event === '*' || (event.endsWith('.*') && resources.has(event.slice(0, -2)));
+        if (!isWildcard && !WEBHOOK_EVENTS[event]) {
+            return { events: null, error: `Unknown event "${event}"` };
+        }
+    }
+    return { events, error: null };
+}
+
+/**
+ * http(s) URL of a public host, or an error message. Hostnames are resolved (and checked) when sending.
+ */
+function validateWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value || '').trim());
+    } catch (e) {
+        return 'url must be a valid URL';
+    }
+    if (!['https:', 'http:'].includes(url.protocol)) return 'url must use http or https';
+    if (url.protocol === 'http:' && process.env.NODE_ENV === 'production') return 'url must use https';
+    const host = urlHost(url).toLowerCase();
+    if (!allowPrivateUrls() && (isBlockedAddress(host) || host === 'localhost' || host.endsWith('.localhost'))) {
+        return 'url must not point to a loopback, link-local or private address';
+    }
+    return null;
+}
+
+/**
+ * Queue an event for every subscription listening to it and start sending.
+ * Never throws: a webhook problem must not fail the change that triggered it.
+ * @param {object} pool
+ * @param {string} event - a WEBHOOK_EVENTS key
+ * @param {Object} data - the record (or flow result) the event is about
+ * @param {{ changes?: Object }} [options]
+ * @returns {Promise<number>} number of deliveries queued
+ */
+async function emitWebhookEvent(pool, event, data, { changes } = {}) {
+    try {
+        if (!WEBHOOK_EVENTS[event]) {
+            console.warn(`Unknown webhook event "${event}" not emitted`);
+            return 0;
+        }
+        const payload = {
+            id: crypto.randomUUID(),
+            event,
+            created_at: new Date().toISOString(),
+            data: sanitizeRecord(data),
+        };
+        if (changes) payload.changes = changes;
+
+        const resource = event.split('.')[0];
+        const ids = await new WebhookDelivery(pool).enqueue({
+            eventId: payload.id,
+            event,
+            payload,
+            patterns: [event, `${resource}.*`, '*'],
+        });
+        if (ids.length > 0) {
+            setImmediate(() => {
+                processDueDeliveries(pool, { ids }).catch((error) =>
+                    console.error(`Error sending ${event} webhooks:`, error.message)
+                );
+            });
+        }
+        return ids.length;
+    } catch (error) {
+        // Webhook tables are created with the webhooks API; until then there is nobody to notify
+        if (error.code !== '42P01') console.error(`Error emitting webhook event ${event}:`, error.message);
+        return 0;
+    }
+}
+
+async function emitDerivedEvents(pool, resource, before, after, changes) {
+    for (const { event, when } of DERIVED_EVENTS[resource] || []) {
+        if (when(before, after)) await emitWebhookEvent(pool, event, after, { changes });
+    }
+}
+
+/** "<resource>.created" plus derived events (e.g. a placement created as Approved) */
+async function emitRecordCreated(pool, resource, record) {
+    if (!record) return;
+    await emitWebhookEvent(pool, `${resource}.created`, record);
+    await emitDerivedEvents(pool, resource, {}, record);
+}
+
+/** "<resource>.updated" with the changed fields, plus derived events; nothing when no field changed */
+async function emitRecordUpdated(pool, resource, before, after) {
+    if (!before || !after) return;
+    const changes = diffRecords(before, after);
+    if (Object.keys(changes).length === 0) return;
+    await emitWebhookEvent(pool, `${resource}.updated`, after, { changes });
+    await emitDerivedEvents(pool, resource, before, after, changes);
+}
+
+async function emitRecordDeleted(pool, resource, record) {
+    if (!record) return;
+    await emitWebhookEvent(pool, `${resource}.deleted`, record);
+}
+
+/**
+ * POST one delivery to its subscription and record the attempt.
+ * @returns {Promise<Object>} the updated delivery row
+ */
+async function sendDelivery(pool, delivery, subscription) {
+    const deliveryModel = new WebhookDelivery(pool);
+
+    if (!subscription || !subscription.is_active) {
+        return deliveryModel.recordAttempt(delivery.id, {
+            success: false,
+            error: subscription ? 'Subscription is disabled' : 'Subscription no longer exists',
+            durationMs: 0,
+        });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const timeoutMs = Number(process.env.WEBHOOK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const started = Date.now();
+
+    let statusCode = null;
+    let responseBody = null;
+    let error = null;
+    try {
+        const response = await postToEndpoint(subscription.url, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'ATS-Webhooks/1.0',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Event-Id': delivery.event_id,
+                'X-Webhook-Delivery': String(delivery.id),
+                'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(subscription.secret, timestamp, body)}`,
+            },
+            body,
+            signal: controller.signal,
+        });
+        statusCode = response.status;
+        responseBody = response.body;
+        if (statusCode < 200 || statusCode >= 300) error = `Endpoint responded ${statusCode}`;
+    } catch (e) {
+        error = e.name === 'AbortError' ? `No response within ${timeoutMs}ms` : e.message;
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const success = error === null;
+    const attemptNumber = delivery.attempt_count + 1;
+    // Test pings report their one result; they are not retried
+    const nextAttemptAt = !success && attemptNumber < MAX_ATTEMPTS && delivery.event !== TEST_EVENT
+        ? new Date(Date.now() + RETRY_DELAYS_SECONDS[attemptNumber - 1] * 1000)
+        : null;
+
+    return deliveryModel.recordAttempt(delivery.id, {
+        success,
+        statusCode,
+        responseBody,
+        error,
+        durationMs: Date.now() - started,
+        nextAttemptAt,
+    });
+}
+
+/**
+ * Send deliveries that are due (or the given ones).
+ * @returns {Promise<{ processed: number, succeeded: number, failed: number, retrying: number }>}
+ */
+async function processDueDeliveries(pool, { ids = null, limit = 50 } = {}) {
+    const deliveries = await new WebhookDelivery(pool).claimDue({ ids, limit });
+    const subscriptionModel = new WebhookSubscription(pool);
+    const subscriptions = new Map();
+    const summary = { processed: 0, succeeded: 0, failed: 0, retrying: 0 };
+
+    for (const delivery of deliveries) {
+        if (!subscriptions.has(delivery.subscription_id)) {
+            subscriptions.set(delivery.subscription_id, await subscriptionModel.getForDelivery(delivery.subscription_id));
+        }
+        const result = await sendDelivery(pool, delivery, subscriptions.get(delivery.subscription_id));
+        summary.processed++;
+        if (result.status === 'succeeded') summary.succeeded++;
+        else if (result.status === 'failed') summary.failed++;
+        else summary.retrying++;
+    }
+    return summary;
+}
+
+/**
+ * Send a delivery's payload again as a new delivery (same event id) and wait for the result.
+ * @returns {Promise<Object|null>} the new delivery, or null when the original does not exist
+ */
+async function replayDelivery(pool, deliveryId, userId) {
+    const deliveryModel = new WebhookDelivery(pool);
+    const replayId = await deliveryModel.createReplay(deliveryId, userId);
+    if (!replayId) return null;
+    await processDueDeliveries(pool, { ids: [replayId] });
+    return deliveryModel.getById(replayId);
+}
+
+/** Send a "webhook.test" ping to one subscription and wait for the result */
+async function sendTestEvent(pool, subscription, userId) {
+    const deliveryModel = new WebhookDelivery(pool);
+    const payload = {
+        id: crypto.randomUUID(),
+        event: TEST_EVENT,
+        created_at: new Date().toISOString(),
+        data: { subscription_id: subscription.id, name: subscription.name, triggered_by: userId },
+    };
+    const deliveryId = await deliveryModel.enqueueFor(subscription.id, { eventId: payload.id, event: TEST_EVENT, payload });
+    await processDueDeliveries(pool, { ids: [deliveryId] });
+    return deliveryModel.getById(deliveryId);
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    TEST_EVENT,
+    RETRY_DELAYS_SECONDS,
+    MAX_ATTEMPTS,
+    generateSecret,
+    signPayload,
+    normalizeEvents,
+    validateWebhookUrl,
+    emitWebhookEvent,
+    emitRecordCreated,
+    emitRecordUpdated,
+    emitRecordDeleted,
+    processDueDeliveries,
+    replayDelivery,
+    sendTestEvent,
+};
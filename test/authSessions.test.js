@@ -0,0 +1,169 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createTestPool, seedAccessFixtures } = require('./helpers/testDb');
+const { verifyToken, checkPermission } = require('../middleware/authMiddleware');
+const createAuthRouter = require('../routes/authRoutes');
+const AuthController = require('../controllers/authController');
+const User = require('../models/user');
+const Role = require('../models/role');
+const UserSession = require('../models/userSession');
+const AuditLog = require('../models/auditLog');
+
+describe('login sessions and refresh tokens', () => {
+    let pool;
+    let server;
+    let baseUrl;
+    let controller;
+    let savedSecret;
+
+    before(async () => {
+        savedSecret = process.env.JWT_SECRET;
+        process.env.JWT_SECRET = 'test-secret';
+        pool = createTestPool();
+        await seedAccessFixtures(pool);
+        // User.findById reads the office name, which the access fixtures leave out
+        await pool.query('ALTER TABLE offices ADD COLUMN building_name VARCHAR(255)');
+        const quiet = console.log;
+        console.log = () => {};
+        await new Role(pool).initTable();
+        await new UserSession(pool).initTable();
+        await new AuditLog(pool).initTable();
+        console.log = quiet;
+
+        controller = new AuthController(pool);
+        const app = express();
+        app.use(express.json());
+        app.use('/api/auth', createAuthRouter(controller, { verifyToken: verifyToken(pool), checkPermission }));
+        await new Promise((resolve) => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+    });
+
+    after(async () => {
+        server.close();
+        await pool.end();
+        if (savedSecret === undefined) delete process.env.JWT_SECRET;
+        else process.env.JWT_SECRET = savedSecret;
+    });
+
+    // Tokens of a new login session of the user
+    async function login(userId) {
+        const user = await new User(pool).findById(userId);
+        return controller.startSession({ headers: { 'user-agent': 'node-test' } }, user);
+    }
+
+    function post(path, body, token) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        return fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: JSON.stringify(body || {}) });
+    }
+
+    const refresh = (refreshToken) => post('/refresh', { refreshToken });
+    const sessionsOf = async (token) => fetch(`${baseUrl}/sessions`, { headers: { Authorization: `Bearer ${token}` } });
+    const sessionRow = async (sessionId) =>
+        (await pool.query('SELECT revoked_at, revoked_reason FROM user_sessions WHERE session_id = $1', [sessionId])).rows[0];
+
+    it('rotates the refresh token and accepts only the new one', async () => {
+        const session = await login(1);
+        const response = await refresh(session.refreshToken);
+        assert.equal(response.status, 200);
+        const rotated = await response.json();
+        assert.equal(rotated.sessionId, session.sessionId);
+        assert.notEqual(rotated.refreshToken, session.refreshToken);
+        assert.equal((await sessionsOf(rotated.token)).status, 200);
+
+        const next = await refresh(rotated.refreshToken);
+        assert.equal(next.status, 200);
+        assert.equal((await sessionRow(session.sessionId)).revoked_at, null);
+    });
+
+    it('revokes the session when a rotated refresh token is replayed', async () => {
+        const session = await login(1);
+        const rotated = await (await refresh(session.refreshToken)).json();
+
+        assert.equal((await refresh(session.refreshToken)).status, 401);
+        assert.equal((await sessionRow(session.sessionId)).revoked_reason, 'refresh_token_reuse');
+        // The copy and the legitimate holder are both logged out
+        assert.equal((await refresh(rotated.refreshToken)).status, 401);
+        assert.equal((await sessionsOf(rotated.token)).status, 401);
+
+        const audit = await pool.query(
+            `SELECT metadata FROM audit_log WHERE action = 'logout' AND metadata->>'session_id' = $1`,
+            [session.sessionId]
+        );
+        assert.equal(audit.rows[0].metadata.reason, 'refresh_token_reuse');
+    });
+
+    it('rejects unknown refresh tokens without touching the session', async () => {
+        const session = await login(1);
+        assert.equal((await refresh(`${session.sessionId}.forged`)).status, 401);
+        assert.equal((await refresh('')).status, 400);
+        assert.equal((await sessionRow(session.sessionId)).revoked_at, null);
+    });
+
+    it('ends the session of the refresh token on logout', async () => {
+        const session = await login(1);
+        const other = await login(1);
+        assert.equal((await post('/logout', { refreshToken: session.refreshToken })).status, 200);
+
+        assert.equal((await sessionRow(session.sessionId)).revoked_reason, 'logout');
+        assert.equal((await refresh(session.refreshToken)).status, 401);
+        assert.equal((await sessionsOf(session.token)).status, 401);
+        assert.equal((await sessionsOf(other.token)).status, 200);
+    });
+
+    it('ends the session of an access token on logout', async () => {
+        const session = await login(1);
+        assert.equal((await post('/logout', {}, session.token)).status, 200);
+        assert.equal((await refresh(session.refreshToken)).status, 401);
+    });
+
+    it('logs out every session of the user, and only theirs, on logout-all', async () => {
+        const first = await login(2);
+        const second = await login(2);
+        const someoneElse = await login(3);
+
+        const response = await post('/logout-all', {}, first.token);
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).revoked, 2);
+
+        for (const session of [first, second]) {
+            assert.equal((await sessionRow(session.sessionId)).revoked_reason, 'logout_all');
+            assert.equal((await refresh(session.refreshToken)).status, 401);
+            assert.equal((await sessionsOf(session.token)).status, 401);
+        }
+        assert.equal((await refresh(someoneElse.refreshToken)).status, 200);
+    });
+
+    it('revokes every session when the password changes', async () => {
+        const first = await login(3);
+        const second = await login(3);
+        await new User(pool).updatePassword(3, 'Correct-Horse-9');
+
+        for (const session of [first, second]) {
+            assert.equal((await sessionRow(session.sessionId)).revoked_reason, 'password_changed');
+            assert.equal((await refresh(session.refreshToken)).status, 401);
+            assert.equal((await sessionsOf(session.token)).status, 401);
+        }
+    });
+
+    it('revokes every session when the user is deactivated', async () => {
+        const session = await login(4);
+        await new User(pool).updateStatus(4, false);
+
+        assert.equal((await sessionRow(session.sessionId)).revoked_reason, 'deactivated');
+        assert.equal((await refresh(session.refreshToken)).status, 401);
+        assert.equal((await sessionsOf(session.token)).status, 401);
+    });
+
+    it('refuses to refresh for a user deactivated without revoking their sessions', async () => {
+        await pool.query('UPDATE users SET status = TRUE WHERE id = 4');
+        const session = await login(4);
+        await pool.query('UPDATE users SET status = FALSE WHERE id = 4');
+
+        assert.equal((await refresh(session.refreshToken)).status, 401);
+        assert.equal((await sessionRow(session.sessionId)).revoked_reason, 'deactivated');
+    });
+});
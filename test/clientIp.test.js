@@ -0,0 +1,34 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { clientIp } = require('../utils/clientIp');
+
+const request = (forwardedFor) => ({ ip: '10.0.0.1', headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {} });
+
+describe('client IP behind a proxy', () => {
+    const saved = { VERCEL: process.env.VERCEL, TRUST_PROXY: process.env.TRUST_PROXY };
+
+    afterEach(() => {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+
+    it('ignores x-forwarded-for unless a proxy is trusted', () => {
+        delete process.env.VERCEL;
+        delete process.env.TRUST_PROXY;
+        assert.equal(clientIp(request('203.0.113.9')), '10.0.0.1');
+    });
+
+    it('takes the address the Vercel proxy saw', () => {
+        process.env.VERCEL = '1';
+        assert.equal(clientIp(request('203.0.113.9')), '203.0.113.9');
+        assert.equal(clientIp(request()), '10.0.0.1');
+    });
+
+    it('takes the entry the trusted proxy appended, not one the client sent', () => {
+        delete process.env.VERCEL;
+        process.env.TRUST_PROXY = 'true';
+        assert.equal(clientIp(request('198.51.100.1, 203.0.113.9')), '203.0.113.9');
+    });
+});
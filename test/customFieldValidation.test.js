@@ -0,0 +1,168 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestPool, seedAccessFixtures } = require('./helpers/testDb');
+const CustomFieldDefinition = require('../models/customFieldDefinition');
+const {
+    validateCustomFields,
+    validationRulesError,
+    MAX_PATTERN_VALUE_LENGTH,
+} = require('../services/customFieldValidationService');
+
+describe('validation rule patterns of a field definition', () => {
+    it('accepts ordinary patterns and no pattern', () => {
+        for (const pattern of ['^[A-Z]{2}\\d{4}$', '^(\\d{3})-(\\d{4})$', '^(a|b)+$', '^(ab){2}$', '[(a+)]+', '\\(a+\\)+']) {
+            assert.equal(validationRulesError({ pattern }), null, pattern);
+        }
+        assert.equal(validationRulesError(null), null);
+        assert.equal(validationRulesError({ minLength: 2 }), null);
+        assert.equal(validationRulesError(JSON.stringify({ pattern: '^\\d+$' })), null);
+    });
+
+    it('refuses repeated groups that repeat inside', () => {
+        for (const pattern of ['(a+)+$', '^(\\w*\\s?)*$', '((ab)*c)+', '(?:x+){2,}', '(a{1,3})+']) {
+            assert.match(validationRulesError({ pattern }), /cannot repeat a group/, pattern);
+        }
+    });
+
+    it('refuses patterns that do not compile', () => {
+        assert.match(validationRulesError({ pattern: '(' }), /not a valid regular expression/);
+        assert.match(validationRulesError({ pattern: 42 }), /must be a string/);
+    });
+});
+
+describe('custom field validation', () => {
+    let pool;
+
+    before(async () => {
+        pool = createTestPool();
+        await seedAccessFixtures(pool);
+        const quiet = console.log;
+        console.log = () => {};
+        await new CustomFieldDefinition(pool).initTable();
+        console.log = quiet;
+        await pool.query(`
+            INSERT INTO custom_field_definitions (entity_type, field_name, field_label, field_type, validation_rules) VALUES
+                ('leads', 'code', 'Code', 'text', '{"pattern": "^[A-Z]+$"}'),
+                ('leads', 'legacy', 'Legacy', 'text', '{"pattern": "^(a+)+$"}')
+        `);
+        // Jobs in general, and contract jobs (job_type "Contract") with definitions of their own
+        await pool.query(`
+            INSERT INTO custom_field_definitions
+                (entity_type, field_name, field_label, field_type, is_required, is_hidden, is_read_only, sort_order,
+                 options, default_value, validation_rules, lookup_type) VALUES
+                ('jobs', 'title', 'Title', 'text', TRUE, FALSE, FALSE, 1, NULL, NULL, '{"minLength": 3, "maxLength": 10}', NULL),
+                ('jobs', 'headcount', 'Headcount', 'number', FALSE, FALSE, FALSE, 2, NULL, NULL, '{"min": 1, "max": 5}', NULL),
+                ('jobs', 'rate', 'Rate', 'currency', FALSE, FALSE, FALSE, 3, NULL, NULL, NULL, NULL),
+                ('jobs', 'reference', 'Reference', 'text', FALSE, FALSE, FALSE, 4, NULL, NULL,
+                    '{"pattern": "^JOB-\\\\d+$", "message": "Reference looks like JOB-123"}', NULL),
+                ('jobs', 'level', 'Level', 'select', FALSE, FALSE, FALSE, 5, '["Junior", "Senior"]', NULL, NULL, NULL),
+                ('jobs', 'skills', 'Skills', 'multiselect', FALSE, FALSE, FALSE, 6,
+                    '[{"label": "Go", "value": "go"}, {"label": "SQL", "value": "sql"}]', NULL, NULL, NULL),
+                ('jobs', 'source', 'Source', 'text', FALSE, FALSE, TRUE, 7, NULL, 'Web', NULL, NULL),
+                ('jobs', 'internal_code', 'Internal code', 'text', TRUE, TRUE, FALSE, 8, NULL, NULL, NULL, NULL),
+                ('jobs', 'recruiter', 'Recruiter', 'lookup', FALSE, FALSE, FALSE, 9, NULL, NULL, NULL, 'user'),
+                ('jobs-contract', 'term', 'Term', 'text', TRUE, FALSE, FALSE, 1, NULL, NULL, NULL, NULL)
+        `);
+    });
+
+    after(async () => {
+        await pool.end();
+    });
+
+    const validate = (customFields, options = {}) => validateCustomFields(pool, {
+        entityType: 'leads',
+        customFields,
+        mode: 'create',
+        ...options,
+    });
+    const codes = (errors) => errors.map((error) => `${error.field}:${error.code}`);
+
+    const validateJob = (customFields, options = {}) => validate(customFields, { entityType: 'jobs', ...options });
+
+    it('requires required fields on create, unless they are hidden', async () => {
+        assert.deepEqual(codes(await validateJob({})), ['Title:required']);
+        assert.deepEqual(codes(await validateJob({ Title: '   ' })), ['Title:required']);
+        assert.deepEqual(codes(await validateJob({ Title: 'Welder' })), []);
+    });
+
+    it('accepts the field name in place of the label', async () => {
+        assert.deepEqual(codes(await validateJob({ title: 'Welder', headcount: 9 })), ['Headcount:rule']);
+    });
+
+    it('checks numbers against min and max', async () => {
+        assert.deepEqual(codes(await validateJob({ Title: 'Welder', Headcount: '0' })), ['Headcount:rule']);
+        assert.deepEqual(codes(await validateJob({ Title: 'Welder', Headcount: 6 })), ['Headcount:rule']);
+        assert.deepEqual(codes(await validateJob({ Title: 'Welder', Headcount: 'two' })), ['Headcount:invalid_type']);
+        assert.deepEqual(codes(await validateJob({ Title: 'Welder', Headcount: '5', Rate: '$1,250.50' })), []);
+        assert.deepEqual(codes(await validateJob({ Title: 'Welder', Rate: 'a lot' })), ['Rate:invalid_type']);
+    });
+
+    it('checks text against minLength and maxLength', async () => {
+        assert.deepEqual(codes(await validateJob({ Title: 'IT' })), ['Title:rule']);
+        assert.deepEqual(codes(await validateJob({ Title: 'Senior welder' })), ['Title:rule']);
+    });
+
+    it('checks text against the pattern, with the rule message', async () => {
+        assert.deepEqual(codes(await validateJob({ Title: 'Welder', Reference: 'JOB-42' })), []);
+        const errors = await validateJob({ Title: 'Welder', Reference: 'job 42' });
+        assert.deepEqual(codes(errors), ['Reference:rule']);
+        assert.equal(errors[0].message, 'Reference looks like JOB-123');
+    });
+
+    it('checks select options case-insensitively, by label or value', async () => {
+        assert.deepEqual(codes(await validateJob({ Title: 'Welder', Level: 'senior', Skills: 'Go, sql' })), []);
+        assert.deepEqual(codes(await validateJob({ Title: 'Welder', Skills: [{ value: 'go' }, 'SQL'] })), []);
+        const errors = await validateJob({ Title: 'Welder', Level: 'Lead', Skills: ['Go', 'Rust'] });
+        assert.deepEqual(codes(errors), ['Level:invalid_option', 'Skills:invalid_option']);
+        assert.match(errors[1].message, /Rust$/);
+    });
+
+    it('checks that looked-up records exist, by id or name', async () => {
+        assert.deepEqual(codes(await validateJob({ Title: 'Welder', Recruiter: '2' })), []);
+        assert.deepEqual(codes(await validateJob({ Title: 'Welder', Recruiter: { id: 1 } })), []);
+        assert.deepEqual(codes(await validateJob({ Title: 'Welder', Recruiter: 'Nobody' })), ['Recruiter:not_found']);
+    });
+
+    it('refuses changes to read-only fields', async () => {
+        assert.deepEqual(codes(await validateJob({ Title: 'Welder', Source: 'Web' })), []);
+        assert.deepEqual(codes(await validateJob({ Title: 'Welder', Source: 'Referral' })), ['Source:read_only']);
+    });
+
+    it('only checks submitted fields on update, against the existing values for read-only ones', async () => {
+        const existingCustomFields = { Title: 'Welder', Source: 'Referral' };
+        const update = (customFields) => validateJob(customFields, { mode: 'update', existingCustomFields });
+        assert.deepEqual(codes(await update({ Headcount: 2 })), []);
+        assert.deepEqual(codes(await update({ Title: '' })), ['Title:required']);
+        assert.deepEqual(codes(await update({ Source: 'Referral' })), []);
+        assert.deepEqual(codes(await update({ Source: 'Web' })), ['Source:read_only']);
+        assert.deepEqual(await validateJob(undefined, { mode: 'update', existingCustomFields }), []);
+    });
+
+    it('uses the definitions of the job type when it has its own', async () => {
+        assert.deepEqual(codes(await validateJob({}, { variant: 'Contract' })), ['Term:required']);
+        assert.deepEqual(codes(await validateJob({ Term: '6 months' }, { variant: 'Contract' })), []);
+        assert.deepEqual(codes(await validateJob({}, { variant: 'Permanent' })), ['Title:required']);
+    });
+
+    it('refuses custom_fields that are not an object', async () => {
+        assert.deepEqual(codes(await validateJob('["Welder"]')), ['custom_fields:invalid_type']);
+        await assert.rejects(validate({}, { entityType: 'widgets' }), /Unknown custom field entity type/);
+    });
+
+    it('does not test values longer than the cap against a pattern', async () => {
+        assert.deepEqual(codes(await validate({ Code: 'A'.repeat(MAX_PATTERN_VALUE_LENGTH) })), []);
+        assert.deepEqual(codes(await validate({ Code: 'A'.repeat(MAX_PATTERN_VALUE_LENGTH + 1) })), ['Code:rule']);
+    });
+
+    it('skips an unsafe pattern saved before patterns were checked', async () => {
+        const logged = console.error;
+        console.error = () => {};
+        try {
+            const started = Date.now();
+            assert.deepEqual(codes(await validate({ Legacy: `${'a'.repeat(40)}!` })), []);
+            assert.ok(Date.now() - started < 1000);
+        } finally {
+            console.error = logged;
+        }
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const {
+    DocumentFillError,
+    parseSignatureValue,
+    findUnreadableSignatures,
+    renderFilledPdf,
+} = require('../services/documentFillService');
+
+// 1x1 transparent PNG
+const PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+    'base64'
+);
+const dataUrl = (bytes) => `data:image/png;base64,${bytes.toString('base64')}`;
+
+// Valid signature and IHDR chunk, junk after it
+const PNG_WITH_JUNK = Buffer.concat([PNG.slice(0, 33), Buffer.from('not really image data')]);
+
+const signatureMapping = { field_name: 'sig', field_label: 'Signature', field_type: 'Signature', x: 10, y: 10, w: 100, h: 30 };
+
+describe('drawn signature images', () => {
+    let template;
+
+    before(async () => {
+        const pdf = await PDFDocument.create();
+        pdf.addPage([612, 792]);
+        template = await pdf.save();
+    });
+
+    it('accepts a PNG data URL', async () => {
+        assert.equal(parseSignatureValue(dataUrl(PNG)).imageType, 'png');
+        assert.deepEqual(await findUnreadableSignatures([signatureMapping], { sig: dataUrl(PNG) }), []);
+        const filled = await renderFilledPdf(template, [signatureMapping], { sig: { type: 'drawn', image: dataUrl(PNG) } });
+        assert.ok(filled.length > 0);
+    });
+
+    it('rejects bytes that only start like a PNG', () => {
+        const truncated = Buffer.concat([PNG.slice(0, 4), Buffer.from('junk')]);
+        assert.equal(parseSignatureValue(dataUrl(truncated)).error, 'must be a PNG or JPEG image');
+    });
+
+    it('reports a PNG that cannot be decoded as a field error', async () => {
+        assert.equal(parseSignatureValue(dataUrl(PNG_WITH_JUNK)).imageType, 'png');
+        assert.deepEqual(await findUnreadableSignatures([signatureMapping], { sig: dataUrl(PNG_WITH_JUNK) }), [{
+            field: 'Signature',
+            fieldName: 'sig',
+            code: 'signature',
+            message: 'Signature is not a readable image',
+        }]);
+    });
+
+    it('fails rendering with a 422 DocumentFillError instead of a RangeError', async () => {
+        await assert.rejects(
+            renderFilledPdf(template, [signatureMapping], { sig: dataUrl(PNG_WITH_JUNK) }),
+            (error) => error instanceof DocumentFillError && error.statusCode === 422
+        );
+    });
+});
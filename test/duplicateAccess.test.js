@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createTestPool, seedAccessFixtures, userWithScope } = require('./helpers/testDb');
+const { checkPermission, checkRecordAccess } = require('../middleware/authMiddleware');
+const createDuplicateRouter = require('../routes/duplicateRoutes');
+const DuplicateController = require('../controllers/duplicateController');
+const { scanDuplicates } = require('../services/duplicateDetectionService');
+
+// Job seekers Ann (user 1) may read per scope; see seedAccessFixtures
+const READABLE = {
+    all: [1, 2, 3, 4, 5, 6],
+    office: [1, 2, 3, 5, 6],
+    team: [1, 2, 5, 6],
+    own: [1, 5, 6],
+    none: [],
+};
+
+describe('duplicate reports honour record-level access', () => {
+    let pool;
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        pool = createTestPool();
+        await seedAccessFixtures(pool);
+        // Every job seeker shares one email, so every pair is a duplicate
+        await pool.query(`UPDATE job_seekers SET email = 'same@example.com'`);
+        // Empty related tables, only the columns the merge preview reads
+        await pool.query(`
+            CREATE TABLE job_seeker_notes (id SERIAL PRIMARY KEY, job_seeker_id INTEGER, text TEXT, created_at TIMESTAMP);
+            CREATE TABLE documents (id SERIAL PRIMARY KEY, entity_type VARCHAR(50), entity_id INTEGER,
+                document_name VARCHAR(255), document_type VARCHAR(100), created_at TIMESTAMP);
+            CREATE TABLE tasks (id SERIAL PRIMARY KEY, job_seeker_id INTEGER, title VARCHAR(255), status VARCHAR(50), due_date DATE);
+            CREATE TABLE tearsheets (id SERIAL PRIMARY KEY, name VARCHAR(255));
+            CREATE TABLE tearsheet_job_seekers (tearsheet_id INTEGER, job_seeker_id INTEGER);
+            CREATE TABLE job_seeker_applications (id SERIAL PRIMARY KEY, job_seeker_id INTEGER, type VARCHAR(50), job_id INTEGER,
+                job_title VARCHAR(255), organization_name VARCHAR(255), status VARCHAR(50), created_at TIMESTAMP);
+            CREATE TABLE jobs (id SERIAL PRIMARY KEY, job_title VARCHAR(255));
+            CREATE TABLE placements (id SERIAL PRIMARY KEY, job_seeker_id INTEGER, job_id INTEGER, status VARCHAR(50), start_date DATE);
+        `);
+
+        const controller = new DuplicateController(pool);
+        await controller.initTables();
+        await controller.candidateModel.replaceScanResults('job_seeker', await scanDuplicates(pool, 'job_seeker'));
+
+        const verifyToken = (req, res, next) => {
+            req.user = JSON.parse(req.headers['x-test-user']);
+            next();
+        };
+        const app = express();
+        app.use(express.json());
+        app.use('/api/duplicates', createDuplicateRouter(controller, {
+            verifyToken,
+            checkPermission,
+            checkRecordAccess: checkRecordAccess(pool),
+        }));
+        await new Promise((resolve) => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/duplicates/job-seekers`;
+    });
+
+    after(async () => {
+        server.close();
+        await pool.end();
+    });
+
+    function request(user, method, path, body) {
+        return fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', 'x-test-user': JSON.stringify(user) },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+    }
+
+    const idsInPairs = (duplicates) =>
+        [...new Set(duplicates.flatMap((d) => [d.record.id, d.duplicate.id]))].sort((a, b) => a - b);
+
+    for (const [scope, readable] of Object.entries(READABLE)) {
+        describe(`scope "${scope}"`, () => {
+            const user = userWithScope(scope);
+            const pairCount = readable.length < 2 ? 0 : (readable.length * (readable.length - 1)) / 2;
+
+            it('reports only pairs of readable records from the last scan', async () => {
+                const body = await (await request(user, 'GET', '?pageSize=200')).json();
+                assert.deepEqual(idsInPairs(body.duplicates), readable.length > 1 ? readable : []);
+                assert.equal(body.pagination.total, pairCount);
+            });
+
+            it('reports only pairs of readable records from a live scan', async () => {
+                const body = await (await request(user, 'GET', '?live=true&pageSize=200')).json();
+                assert.deepEqual(idsInPairs(body.duplicates), readable.length > 1 ? readable : []);
+                assert.equal(body.pagination.total, pairCount);
+            });
+
+            it('checks a payload only against readable records', async () => {
+                const body = await (await request(user, 'POST', '/check', { email: 'same@example.com' })).json();
+                assert.deepEqual(body.duplicates.map((d) => d.id).sort((a, b) => a - b), readable);
+            });
+
+            it('lists duplicates only of readable records', async () => {
+                for (const id of [1, 4]) {
+                    const response = await request(user, 'GET', `/records/${id}`);
+                    if (!readable.includes(id)) {
+                        assert.equal(response.status, 403);
+                        continue;
+                    }
+                    const body = await response.json();
+                    assert.deepEqual(
+                        body.duplicates.map((d) => d.id).sort((a, b) => a - b),
+                        readable.filter((other) => other !== id)
+                    );
+                }
+            });
+
+            it('previews a merge only when both records are readable', async () => {
+                const response = await request(user, 'GET', '/merge-preview?sourceId=1&targetId=4');
+                assert.equal(response.status, readable.includes(1) && readable.includes(4) ? 200 : 403);
+            });
+        });
+    }
+
+    it('needs the entity permission', async () => {
+        const noPermission = userWithScope('all', []);
+        assert.equal((await request(noPermission, 'GET', '')).status, 403);
+        assert.equal((await request(noPermission, 'POST', '/check', { email: 'same@example.com' })).status, 403);
+
+        const viewer = userWithScope('all', ['job_seekers.view']);
+        assert.equal((await request(viewer, 'GET', '')).status, 200);
+        assert.equal((await request(viewer, 'PATCH', '/candidates/1', { status: 'dismissed' })).status, 403);
+    });
+
+    it('offers no merge for lead pairs', async () => {
+        const leadUser = userWithScope('all', ['leads.view', 'leads.edit']);
+        const leads = (method, path, body) => fetch(`${baseUrl.replace(/job-seekers$/, 'leads')}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', 'x-test-user': JSON.stringify(leadUser) },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+        assert.equal((await leads('GET', '/merge-preview?sourceId=1&targetId=2')).status, 400);
+        assert.equal((await leads('PATCH', '/candidates/1', { status: 'merged' })).status, 400);
+    });
+
+    it('resolves a pair only when both records are readable', async () => {
+        const { rows } = await pool.query(
+            `SELECT id FROM duplicate_candidates WHERE record_id = 1 AND duplicate_id = 4`
+        );
+        const candidateId = rows[0].id;
+        const path = `/candidates/${candidateId}`;
+        assert.equal((await request(userWithScope('office'), 'PATCH', path, { status: 'dismissed' })).status, 403);
+        assert.equal((await request(userWithScope('all'), 'PATCH', path, { status: 'dismissed' })).status, 200);
+    });
+});
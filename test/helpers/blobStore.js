@@ -0,0 +1,53 @@
+const http = require('http');
+
+/**
+ * Local stand-in for the Vercel Blob API, which @vercel/blob reaches at VERCEL_BLOB_API_URL: put() stores files in
+ * `files` (pathname -> Buffer), del() removes them, and GET serves them at the url put() returned. Files added to
+ * `files` directly (templates) are served the same way.
+ */
+function startBlobStore() {
+    const store = { files: new Map(), saved: {} };
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, store.url);
+            const body = Buffer.concat(chunks);
+            if (req.method === 'PUT') {
+                const pathname = url.searchParams.get('pathname');
+                store.files.set(pathname, body);
+                const fileUrl = `${store.url}/files/${pathname}`;
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ url: fileUrl, downloadUrl: fileUrl, pathname, contentType: 'application/pdf' }));
+            }
+            if (req.method === 'POST' && url.pathname === '/delete') {
+                for (const fileUrl of JSON.parse(body).urls) store.files.delete(new URL(fileUrl).pathname.replace(/^\/files\//, ''));
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                return res.end('{}');
+            }
+            const file = store.files.get(decodeURIComponent(url.pathname.replace(/^\/files\//, '')));
+            res.writeHead(file ? 200 : 404);
+            return res.end(file);
+        });
+    });
+    store.close = () => {
+        Object.assign(process.env, store.saved);
+        for (const [key, value] of Object.entries(store.saved)) if (value === undefined) delete process.env[key];
+        return new Promise((resolve) => server.close(resolve));
+    };
+    store.urlOf = (pathname) => `${store.url}/files/${pathname}`;
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            store.url = `http://127.0.0.1:${server.address().port}`;
+            store.saved = {
+                VERCEL_BLOB_API_URL: process.env.VERCEL_BLOB_API_URL,
+                BLOB_READ_WRITE_TOKEN: process.env.BLOB_READ_WRITE_TOKEN,
+            };
+            process.env.VERCEL_BLOB_API_URL = store.url;
+            process.env.BLOB_READ_WRITE_TOKEN = 'vercel_blob_rw_teststore_secret';
+            resolve(store);
+        });
+    });
+}
+
+module.exports = { startBlobStore };
@@ -0,0 +1,136 @@
+const { PGlite } = require('@electric-sql/pglite');
+const Team = require('../../models/team');
+const User = require('../../models/user');
+const RecordShare = require('../../models/recordShare');
+
+/**
+ * In-memory Postgres (PGlite) behind the parts of the pg Pool API the models use:
+ * query(text, values), connect() -> client with query/release, end().
+ * Parameterless text may hold several statements, as with pg's simple query protocol.
+ */
+function createTestPool() {
+    const db = new PGlite();
+    const query = async (text, values) => {
+        let result;
+        if (values && values.length > 0) {
+            result = await db.query(text, values);
+        } else {
+            const results = await db.exec(text);
+            result = results[results.length - 1] || { rows: [] };
+        }
+        return { ...result, rowCount: result.affectedRows ?? result.rows.length };
+    };
+    return {
+        query,
+        connect: async () => ({ query, release() {} }),
+        end: () => db.close(),
+    };
+}
+
+// Same columns as models/jobseeker.js; created here because its initTable cannot setval() the record number
+// sequence to 0 on an empty table
+const JOB_SEEKERS_TABLE = `
+    CREATE TABLE IF NOT EXISTS job_seekers (
+        id SERIAL PRIMARY KEY,
+        first_name VARCHAR(255) NOT NULL,
+        last_name VARCHAR(255) NOT NULL,
+        email VARCHAR(255),
+        phone VARCHAR(50),
+        mobile_phone VARCHAR(50),
+        address TEXT,
+        city VARCHAR(100),
+        state VARCHAR(50),
+        zip VARCHAR(20),
+        status VARCHAR(50) DEFAULT 'New lead',
+        current_organization VARCHAR(255),
+        title VARCHAR(255),
+        resume_text TEXT,
+        skills TEXT,
+        desired_salary VARCHAR(50),
+        owner VARCHAR(255),
+        date_added DATE DEFAULT CURRENT_DATE,
+        last_contact_date DATE,
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        custom_fields JSONB,
+        archived_at TIMESTAMP,
+        archive_reason VARCHAR(50),
+        record_number INTEGER
+    )
+`;
+
+/**
+ * Two offices, three teams and four users, plus job seekers owned across them:
+ *   office 1: team 10 (Ann = user 1, Bob = user 2), team 20 (Cat = user 3)
+ *   office 2: team 30 (Dan = user 4)
+ *   job seeker 1 - owner "1" (Ann)          4 - owner "4" (Dan)
+ *              2 - owner "Bob" (by name)     5 - Dan's, shared with Ann (read)
+ *              3 - no owner, created by Cat  6 - Dan's, shared with team 10 (write)
+ */
+async function seedAccessFixtures(pool) {
+    const quiet = console.log;
+    console.log = () => {};
+    try {
+        // Only the columns record access reads; users and teams reference each other, so teams come first
+        await pool.query(`
+            CREATE TABLE offices (id SERIAL PRIMARY KEY, name VARCHAR(255));
+            CREATE TABLE teams (id SERIAL PRIMARY KEY, name VARCHAR(255) NOT NULL, office_id INTEGER REFERENCES offices(id));
+            INSERT INTO offices (id, name) VALUES (1, 'North'), (2, 'South');
+            INSERT INTO teams (id, name, office_id) VALUES (10, 'A', 1), (20, 'B', 1), (30, 'C', 2);
+        `);
+        await new User(pool).initTable();
+        await new Team(pool).initTable();
+        await new RecordShare(pool).initTable();
+        await pool.query(JOB_SEEKERS_TABLE);
+    } finally {
+        console.log = quiet;
+    }
+
+    await pool.query(`
+        INSERT INTO users (id, name, email, password, role, team_id, office_id) VALUES
+            (1, 'Ann', 'ann@example.com', 'x', 'recruiter', 10, 1),
+            (2, 'Bob', 'bob@example.com', 'x', 'recruiter', 10, 1),
+            (3, 'Cat', 'cat@example.com', 'x', 'recruiter', 20, 1),
+            (4, 'Dan', 'dan@example.com', 'x', 'recruiter', 30, 2)
+    `);
+    await pool.query(`
+        INSERT INTO job_seekers (id, first_name, last_name, owner, created_by, record_number) VALUES
+            (1, 'Ada', 'One', '1', 1, 1),
+            (2, 'Ben', 'Two', 'Bob', 4, 2),
+            (3, 'Cy', 'Three', NULL, 3, 3),
+            (4, 'Di', 'Four', '4', 4, 4),
+            (5, 'Ed', 'Five', '4', 4, 5),
+            (6, 'Flo', 'Six', '4', 4, 6)
+    `);
+    // Rows above have explicit ids; later inserts continue after them
+    await pool.query(`
+        SELECT setval('users_id_seq', 4);
+        SELECT setval('job_seekers_id_seq', 6);
+    `);
+    await pool.query(`
+        INSERT INTO record_shares (entity_type, record_id, user_id, team_id, access_level) VALUES
+            ('job_seeker', 5, 1, NULL, 'read'),
+            ('job_seeker', 6, NULL, 10, 'write')
+    `);
+}
+
+/** req.user of Ann (user 1) with the same scope for every action */
+function userWithScope(scope, permissions = ['job_seekers.view', 'job_seekers.edit', 'job_seekers.create', 'job_seekers.delete']) {
+    return {
+        id: 1,
+        email: 'ann@example.com',
+        role: 'recruiter',
+        is_admin: false,
+        team_id: 10,
+        office_id: 1,
+        permissions,
+        record_scopes: { read: scope, update: scope, delete: scope, export: scope },
+    };
+}
+
+module.exports = {
+    createTestPool,
+    seedAccessFixtures,
+    userWithScope,
+};
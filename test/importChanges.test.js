@@ -0,0 +1,163 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { createTestPool, seedAccessFixtures } = require('./helpers/testDb');
+const ImportJob = require('../models/importJob');
+const WebhookSubscription = require('../models/webhookSubscription');
+const WebhookDelivery = require('../models/webhookDelivery');
+const AuditLog = require('../models/auditLog');
+const { verifyAuditChain } = require('../services/auditService');
+const { runImport, rollbackBatch } = require('../services/importService');
+
+function item(rowNumber, fields) {
+    return { rowNumber, customFields: {}, errors: [], warnings: [], duplicate: null, action: 'create', ...fields };
+}
+
+describe('importing job seekers audits and announces the changed records', () => {
+    let pool;
+    let receiver;
+    let importJobModel;
+    let importJob;
+    const received = [];
+    let savedAllowPrivate;
+
+    before(async () => {
+        // The receiver listens on loopback, which webhooks may only reach when allowed
+        savedAllowPrivate = process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+        process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+        pool = createTestPool();
+        await seedAccessFixtures(pool);
+        await pool.query(fs.readFileSync(path.join(__dirname, '../migrations/reusable_record_numbers.sql'), 'utf8'));
+        await pool.query(`SELECT setval('job_seeker_record_number_seq', 6)`);
+        await pool.query(`
+            CREATE TABLE job_seeker_history (
+                id SERIAL PRIMARY KEY, job_seeker_id INTEGER, action VARCHAR(50), details JSONB, performed_by INTEGER,
+                performed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        importJobModel = new ImportJob(pool);
+        await importJobModel.initTable();
+        await new WebhookSubscription(pool).initTable();
+        await new WebhookDelivery(pool).initTable();
+        await new AuditLog(pool).initTable();
+
+        // Webhook receiver; deliveries are sent in the background once queued
+        receiver = http.createServer((req, res) => {
+            let raw = '';
+            req.on('data', (chunk) => { raw += chunk; });
+            req.on('end', () => {
+                received.push(JSON.parse(raw));
+                res.writeHead(204).end();
+            });
+        });
+        await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+        await new WebhookSubscription(pool).create({
+            name: 'Receiver',
+            url: `http://127.0.0.1:${receiver.address().port}/hook`,
+            events: ['job_seeker.*'],
+            secret: 'secret',
+            userId: 1,
+        });
+
+        importJob = await createImportJob();
+    });
+
+    after(async () => {
+        // Let the background sends record their attempts before the database goes away
+        for (let i = 0; i < 100; i++) {
+            const { rows } = await pool.query(`SELECT COUNT(*)::int AS n FROM webhook_deliveries WHERE attempt_count = 0`);
+            if (rows[0].n === 0) break;
+            await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        receiver.close();
+        await pool.end();
+        if (savedAllowPrivate === undefined) delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+        else process.env.WEBHOOK_ALLOW_PRIVATE_URLS = savedAllowPrivate;
+    });
+
+    function createImportJob() {
+        return importJobModel.create({
+            entityType: 'job-seekers', fileName: 'people.csv', fileFormat: 'csv', headers: [], rows: [], createdBy: 1,
+        });
+    }
+
+    // Events queued since the last call
+    let lastDeliveryId = 0;
+    async function queuedEvents() {
+        const { rows } = await pool.query(
+            `SELECT id, event, (payload->'data'->>'id')::int AS record_id FROM webhook_deliveries WHERE id > $1 ORDER BY id`,
+            [lastDeliveryId]
+        );
+        if (rows.length > 0) lastDeliveryId = rows[rows.length - 1].id;
+        return rows.map((row) => `${row.event} ${row.record_id}`);
+    }
+
+    // Audit entries written since the last call
+    let lastAuditId = 0;
+    async function auditEntries() {
+        const { rows } = await pool.query(
+            `SELECT id, action, entity_type, entity_id FROM audit_log WHERE id > $1 ORDER BY id`,
+            [lastAuditId]
+        );
+        if (rows.length > 0) lastAuditId = Number(rows[rows.length - 1].id);
+        return rows.map((row) => `${row.action} ${row.entity_type} ${row.entity_id}`);
+    }
+
+    let batch;
+
+    it('fires created and updated webhooks once the batch commits', async () => {
+        const totals = await runImport(pool, importJobModel, {
+            importJob,
+            items: [
+                item(2, { data: { first_name: 'Gus', last_name: 'Seven', email: 'gus@example.com' } }),
+                item(3, { data: { title: 'Welder' }, action: 'update', duplicate: { id: 1, displayNumber: 'JS-1' } }),
+                item(4, { data: { first_name: 'Skip', last_name: 'Me' }, action: 'skip' }),
+            ],
+            options: { batchSize: 200 },
+            userId: 1,
+        });
+        assert.equal(totals.created, 1);
+        assert.equal(totals.updated, 1);
+        batch = totals.batches[0];
+
+        const created = await pool.query(`SELECT id FROM job_seekers WHERE email = 'gus@example.com'`);
+        assert.deepEqual(await queuedEvents(), [`job_seeker.created ${created.rows[0].id}`, 'job_seeker.updated 1']);
+        assert.deepEqual(await auditEntries(), [`create job_seeker ${created.rows[0].id}`, 'update job_seeker 1']);
+    });
+
+    it('sends the updated webhook with the changed fields', async () => {
+        for (let i = 0; i < 100 && received.length < 2; i++) await new Promise((resolve) => setTimeout(resolve, 20));
+        const updated = received.find((payload) => payload.event === 'job_seeker.updated');
+        assert.equal(updated.data.id, 1);
+        assert.deepEqual(updated.changes.title, { from: null, to: 'Welder' });
+    });
+
+    it('fires deleted and updated webhooks when the batch is rolled back', async () => {
+        // Rows count as changed since the import when updated_at is later than the import record
+        await pool.query(`UPDATE import_records SET created_at = CURRENT_TIMESTAMP + INTERVAL '1 minute'`);
+        const createdId = (await pool.query(`SELECT id FROM job_seekers WHERE email = 'gus@example.com'`)).rows[0].id;
+
+        const result = await rollbackBatch(pool, importJobModel, { importJob, batch, userId: 1 });
+        assert.equal(result.rolledBack, true);
+        assert.equal(result.deleted, 1);
+        assert.equal(result.restored, 1);
+        assert.deepEqual((await queuedEvents()).sort(), ['job_seeker.updated 1', `job_seeker.deleted ${createdId}`].sort());
+        assert.deepEqual((await auditEntries()).sort(), ['update job_seeker 1', `delete job_seeker ${createdId}`].sort());
+        assert.equal((await verifyAuditChain(pool)).valid, true);
+    });
+
+    it('fires nothing for a failed batch', async () => {
+        const totals = await runImport(pool, importJobModel, {
+            importJob: await createImportJob(),
+            items: [item(5, { data: { first_name: 'Bad', last_name: 'Row', no_such_column: 'x' } })],
+            options: { batchSize: 200 },
+            userId: 1,
+        });
+        assert.equal(totals.failed, 1);
+        assert.deepEqual(await queuedEvents(), []);
+        assert.deepEqual(await auditEntries(), []);
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { createTestPool, seedAccessFixtures } = require('./helpers/testDb');
+const ImportJob = require('../models/importJob');
+const ImportController = require('../controllers/importController');
+const createImportRouter = require('../routes/importRoutes');
+const { runImport } = require('../services/importService');
+
+function item(rowNumber, fields) {
+    return { rowNumber, customFields: {}, errors: [], warnings: [], duplicate: null, action: 'create', ...fields };
+}
+
+describe('rolling back an import', () => {
+    let pool;
+    let server;
+    let baseUrl;
+    let importJob;
+    let batch;
+
+    before(async () => {
+        pool = createTestPool();
+        await seedAccessFixtures(pool);
+        await pool.query(fs.readFileSync(path.join(__dirname, '../migrations/reusable_record_numbers.sql'), 'utf8'));
+        await pool.query(`SELECT setval('job_seeker_record_number_seq', 6)`);
+        await pool.query(`
+            CREATE TABLE job_seeker_history (
+                id SERIAL PRIMARY KEY, job_seeker_id INTEGER, action VARCHAR(50), details JSONB, performed_by INTEGER,
+                performed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        const importJobModel = new ImportJob(pool);
+        await importJobModel.initTable();
+
+        // Ann (user 1) imported one new job seeker and updated job seeker 1
+        importJob = await importJobModel.create({
+            entityType: 'job-seekers', fileName: 'people.csv', fileFormat: 'csv', headers: [], rows: [], createdBy: 1,
+        });
+        const totals = await runImport(pool, importJobModel, {
+            importJob,
+            items: [
+                item(2, { data: { first_name: 'Gus', last_name: 'Seven', email: 'gus@example.com' } }),
+                item(3, { data: { title: 'Welder' }, action: 'update', duplicate: { id: 1, displayNumber: 'JS-1' } }),
+            ],
+            options: { batchSize: 200 },
+            userId: 1,
+        });
+        batch = totals.batches[0];
+        // Rows count as changed since the import when updated_at is later than the import record
+        await pool.query(`UPDATE import_records SET created_at = CURRENT_TIMESTAMP + INTERVAL '1 minute'`);
+
+        const verifyToken = (req, res, next) => {
+            req.user = JSON.parse(req.headers['x-test-user']);
+            next();
+        };
+        const app = express();
+        app.use(express.json());
+        app.use('/api/imports', createImportRouter(new ImportController(pool), { verifyToken }));
+        await new Promise((resolve) => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/imports`;
+    });
+
+    after(async () => {
+        server.close();
+        await pool.end();
+    });
+
+    const ann = (permissions) => ({ id: 1, email: 'ann@example.com', role: 'recruiter', is_admin: false, permissions });
+
+    function rollback(user, body = {}, { whole = false } = {}) {
+        const url = whole ? `${baseUrl}/${importJob.id}/rollback` : `${baseUrl}/${importJob.id}/batches/${batch.id}/rollback`;
+        return fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-test-user': JSON.stringify(user) },
+            body: JSON.stringify(body),
+        });
+    }
+
+    const jobSeekerCount = async () => (await pool.query('SELECT COUNT(*)::int AS n FROM job_seekers')).rows[0].n;
+
+    it('needs delete permission for the created records and edit permission for the updated ones', async () => {
+        for (const whole of [false, true]) {
+            const createOnly = await rollback(ann(['job_seekers.create']), {}, { whole });
+            assert.equal(createOnly.status, 403);
+            assert.deepEqual((await createOnly.json()).required, ['job_seekers.delete', 'job_seekers.edit']);
+
+            const withoutEdit = await rollback(ann(['job_seekers.create', 'job_seekers.delete']), {}, { whole });
+            assert.equal(withoutEdit.status, 403);
+            assert.deepEqual((await withoutEdit.json()).required, ['job_seekers.edit']);
+        }
+        assert.equal(await jobSeekerCount(), 7);
+    });
+
+    it('needs imports.manage to force a rollback', async () => {
+        const response = await rollback(ann(['job_seekers.delete', 'job_seekers.edit']), { force: true });
+        assert.equal(response.status, 403);
+        assert.deepEqual((await response.json()).required, ['imports.manage']);
+        assert.equal(await jobSeekerCount(), 7);
+    });
+
+    it('rolls back with delete and edit permission', async () => {
+        const response = await rollback(ann(['job_seekers.delete', 'job_seekers.edit']), {}, { whole: true });
+        assert.equal(response.status, 200);
+        assert.equal(await jobSeekerCount(), 6);
+    });
+});
@@ -0,0 +1,295 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createTestPool } = require('./helpers/testDb');
+const JobPosting = require('../models/jobPosting');
+const { publishJob, repostJob, unpostJob } = require('../services/jobDistributionService');
+const {
+    registerJobBoardAdapter,
+    getJobBoardAdapter,
+    HttpJsonJobBoardAdapter,
+    XmlFeedJobBoardAdapter,
+    EmailJobBoardAdapter,
+} = require('../services/jobBoards');
+
+const job = {
+    id: 42,
+    record_number: 7,
+    job_title: 'Forklift Operator',
+    job_description: 'Operate forklifts.\nDay shift.',
+    organization_name: 'Acme & Co',
+    employment_type: 'Full-Time',
+    custom_fields: { City: 'Austin', State: 'TX', 'Published Job Title': 'Forklift Operator - Days' },
+};
+
+/**
+ * Local job board API: records every request and answers with the next queued response
+ * ({ status, body }, or { hang: true } to never answer), or 201 { id } when none is queued.
+ */
+function startMockBoard() {
+    const board = { requests: [], responses: [] };
+    board.server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            board.requests.push({
+                method: req.method,
+                url: req.url,
+                headers: req.headers,
+                body: raw ? JSON.parse(raw) : null,
+            });
+            const next = board.responses.shift() || { status: 201, body: { id: 'ext-1' } };
+            if (next.hang) return;
+            res.writeHead(next.status, { 'Content-Type': 'application/json' });
+            res.end(typeof next.body === 'string' ? next.body : JSON.stringify(next.body ?? {}));
+        });
+    });
+    return new Promise((resolve) => {
+        board.server.listen(0, '127.0.0.1', () => {
+            board.url = `http://127.0.0.1:${board.server.address().port}`;
+            resolve(board);
+        });
+    });
+}
+
+describe('HttpJsonJobBoardAdapter against a mock board', () => {
+    let board;
+    let adapter;
+
+    before(async () => {
+        board = await startMockBoard();
+        adapter = new HttpJsonJobBoardAdapter({ baseUrl: `${board.url}/`, apiKey: 'secret', timeoutMs: 500 });
+    });
+    after(() => {
+        board.server.closeAllConnections();
+        board.server.close();
+    });
+
+    it('is configured only with a base URL', () => {
+        assert.equal(adapter.isConfigured(), true);
+        assert.equal(new HttpJsonJobBoardAdapter({ baseUrl: '' }).isConfigured(), false);
+    });
+
+    it('publishes the job payload with the bearer token', async () => {
+        board.responses.push({
+            status: 201,
+            body: { id: 981, url: 'https://board.example/jobs/981', expires_at: '2030-01-01T00:00:00Z' },
+        });
+        const result = await adapter.post(job);
+
+        assert.deepEqual(result, {
+            externalId: '981',
+            externalUrl: 'https://board.example/jobs/981',
+            expiresAt: '2030-01-01T00:00:00Z',
+        });
+        const request = board.requests.at(-1);
+        assert.equal(request.method, 'POST');
+        assert.equal(request.url, '/jobs');
+        assert.equal(request.headers.authorization, 'Bearer secret');
+        assert.equal(request.body.title, 'Forklift Operator - Days');
+        assert.equal(request.body.company, 'Acme & Co');
+        assert.equal(request.body.location.city, 'Austin');
+    });
+
+    it('reposts an existing posting with PUT and keeps its id', async () => {
+        board.responses.push({ status: 200, body: { url: 'https://board.example/jobs/981' } });
+        const result = await adapter.repost(job, { external_id: '981' });
+
+        assert.equal(result.externalId, '981');
+        assert.equal(board.requests.at(-1).method, 'PUT');
+        assert.equal(board.requests.at(-1).url, '/jobs/981');
+    });
+
+    it('reposts a posting without an external id as a new post', async () => {
+        board.responses.push({ status: 201, body: { job_id: 'n-2' } });
+        const result = await adapter.repost(job, { external_id: null });
+
+        assert.equal(result.externalId, 'n-2');
+        assert.equal(board.requests.at(-1).method, 'POST');
+    });
+
+    it('unposts with DELETE, and skips postings the board never acknowledged', async () => {
+        board.responses.push({ status: 204, body: '' });
+        await adapter.unpost(job, { external_id: 'a/b' });
+        assert.equal(board.requests.at(-1).method, 'DELETE');
+        assert.equal(board.requests.at(-1).url, '/jobs/a%2Fb');
+
+        const count = board.requests.length;
+        await adapter.unpost(job, { external_id: null });
+        assert.equal(board.requests.length, count);
+    });
+
+    it('reports the board error message on a failed publish', async () => {
+        board.responses.push({ status: 422, body: { message: 'Description is too short' } });
+        await assert.rejects(adapter.post(job), /responded 422: Description is too short/);
+    });
+
+    it('reports non-JSON error bodies as text', async () => {
+        board.responses.push({ status: 502, body: 'Bad Gateway' });
+        await assert.rejects(adapter.repost(job, { external_id: '981' }), /responded 502: Bad Gateway/);
+    });
+
+    it('reports a failed unpost', async () => {
+        board.responses.push({ status: 404, body: { error: 'Unknown job' } });
+        await assert.rejects(adapter.unpost(job, { external_id: '981' }), /responded 404: Unknown job/);
+    });
+
+    it('times out when the board does not answer', async () => {
+        board.responses.push({ hang: true });
+        await assert.rejects(adapter.post(job), /did not respond within 500ms/);
+    });
+});
+
+describe('XmlFeedJobBoardAdapter', () => {
+    const adapter = new XmlFeedJobBoardAdapter({ feedUrl: 'https://ats.example/api/jobs/xml' });
+
+    it('publishes and reposts by listing the job in the feed', async () => {
+        const expected = { externalId: '42', externalUrl: 'https://ats.example/api/jobs/xml', expiresAt: null };
+        assert.equal(adapter.isConfigured(), true);
+        assert.deepEqual(await adapter.post(job), expected);
+        assert.deepEqual(await adapter.repost(job), expected);
+    });
+
+    it('unposts without contacting anything', async () => {
+        assert.equal(await adapter.unpost(job, { external_id: '42' }), undefined);
+    });
+});
+
+describe('EmailJobBoardAdapter with a mock mailer', () => {
+    function createAdapter({ template = null, failWith = null } = {}) {
+        const sent = [];
+        const adapter = new EmailJobBoardAdapter({
+            to: 'jobs@board.example, feed@board.example',
+            emailTemplateModel: { getTemplateByType: async () => template },
+            sendMail: async (message) => {
+                if (failWith) throw failWith;
+                sent.push(message);
+            },
+        });
+        return { adapter, sent };
+    }
+
+    it('is configured only with recipients', () => {
+        assert.equal(createAdapter().adapter.isConfigured(), true);
+        assert.equal(new EmailJobBoardAdapter({ to: '' }).isConfigured(), false);
+    });
+
+    it('publishes with the built-in layout, escaping job values', async () => {
+        const { adapter, sent } = createAdapter();
+        const result = await adapter.post(job);
+
+        assert.equal(sent.length, 1);
+        assert.deepEqual(sent[0].to, ['jobs@board.example', 'feed@board.example']);
+        assert.match(sent[0].subject, /^Job posting: Forklift Operator - Days \(/);
+        assert.match(sent[0].html, /Acme &amp; Co/);
+        assert.match(sent[0].html, /Operate forklifts\.<br>\nDay shift\./);
+        assert.equal(result.externalUrl, null);
+        assert.ok(result.externalId);
+    });
+
+    it('publishes with the JOB_BOARD_POSTING template when one exists', async () => {
+        const { adapter, sent } = createAdapter({
+            template: { subject: 'New job {{jobTitle}}', body: 'At {{company}}\nin {{location}}' },
+        });
+        await adapter.repost(job);
+
+        assert.equal(sent[0].subject, 'New job Forklift Operator - Days');
+        assert.equal(sent[0].html, 'At Acme &amp; Co<br>\nin Austin, TX');
+    });
+
+    it('sends a removal request on unpost', async () => {
+        const { adapter, sent } = createAdapter();
+        await adapter.unpost(job);
+
+        assert.match(sent[0].subject, /^Remove job posting: Forklift Operator - Days/);
+    });
+
+    it('passes mailer failures on', async () => {
+        const { adapter } = createAdapter({ failWith: new Error('Mailbox unavailable') });
+        await assert.rejects(adapter.post(job), /Mailbox unavailable/);
+        await assert.rejects(adapter.unpost(job), /Mailbox unavailable/);
+    });
+});
+
+describe('getJobBoardAdapter', () => {
+    it('returns null for unknown targets, including Object.prototype member names', () => {
+        for (const name of ['linkedin', 'constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+            assert.equal(getJobBoardAdapter(name), null, name);
+        }
+    });
+
+    it('builds the registered adapters', () => {
+        assert.ok(getJobBoardAdapter('job_board') instanceof HttpJsonJobBoardAdapter);
+        assert.ok(getJobBoardAdapter('xml_feed') instanceof XmlFeedJobBoardAdapter);
+        assert.ok(getJobBoardAdapter('email', { pool: null }) instanceof EmailJobBoardAdapter);
+    });
+});
+
+describe('publishJob, repostJob and unpostJob', () => {
+    let pool;
+    const calls = [];
+    let nextId = 0;
+
+    before(async () => {
+        // Records every call; each post is a new listing with a new external id
+        registerJobBoardAdapter('test_board', () => ({
+            name: 'test_board',
+            label: 'Test board',
+            isConfigured: () => true,
+            post: async () => {
+                calls.push('post');
+                nextId += 1;
+                return { externalId: `listing-${nextId}` };
+            },
+            repost: async (_job, posting) => {
+                calls.push('repost');
+                return { externalId: posting.external_id };
+            },
+            unpost: async (_job, posting) => {
+                calls.push(`unpost ${posting.external_id}`);
+            },
+        }));
+
+        pool = createTestPool();
+        // Only the columns distribution reads and writes
+        await pool.query(`
+            CREATE TABLE users (id SERIAL PRIMARY KEY, name VARCHAR(255));
+            CREATE TABLE organizations (id SERIAL PRIMARY KEY, name VARCHAR(255));
+            CREATE TABLE jobs (id SERIAL PRIMARY KEY, job_title VARCHAR(255), organization_id INTEGER, created_by INTEGER,
+                job_board_status VARCHAR(50));
+            INSERT INTO jobs (id, job_title) VALUES (1, 'Forklift Operator');
+        `);
+        await new JobPosting(pool).initTable();
+    });
+
+    after(async () => {
+        await pool.end();
+    });
+
+    it('posts a job once', async () => {
+        const { results, jobBoardStatus } = await publishJob(pool, 1, ['test_board']);
+        assert.equal(results[0].posting.external_id, 'listing-1');
+        assert.equal(jobBoardStatus, 'Posted');
+        assert.deepEqual(calls, ['post']);
+    });
+
+    it('skips publishing to a target the job is already posted to', async () => {
+        const { results } = await publishJob(pool, 1, ['test_board']);
+        assert.equal(results[0].skipped, true);
+        assert.deepEqual(calls, ['post']);
+    });
+
+    it('refreshes a live posting on repost and keeps its listing', async () => {
+        const { results } = await repostJob(pool, 1, ['test_board']);
+        assert.equal(results[0].posting.external_id, 'listing-1');
+        assert.deepEqual(calls, ['post', 'repost']);
+    });
+
+    it('unposts the original listing, then posts a new one on the next publish', async () => {
+        const unposted = await unpostJob(pool, 1);
+        assert.equal(unposted.jobBoardStatus, 'Not Posted');
+        const { results } = await publishJob(pool, 1, ['test_board']);
+        assert.equal(results[0].posting.external_id, 'listing-2');
+        assert.deepEqual(calls, ['post', 'repost', 'unpost listing-1', 'post']);
+    });
+});
@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestPool } = require('./helpers/testDb');
+const JobPosting = require('../models/jobPosting');
+const JobXMLController = require('../controllers/jobsXMLController');
+
+/** Minimal Express response recording status, headers and body */
+function mockResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+        status(code) { this.statusCode = code; return this; },
+        send(body) { this.body = body; return this; },
+        end() { return this; },
+    };
+}
+
+describe('job XML feed conditional requests', () => {
+    let pool;
+    let controller;
+    let cacheSeconds;
+
+    before(async () => {
+        // Rebuild the feed on every request
+        cacheSeconds = process.env.JOB_FEED_CACHE_SECONDS;
+        process.env.JOB_FEED_CACHE_SECONDS = '0';
+
+        pool = createTestPool();
+        // Only the columns the feed query reads
+        await pool.query(`
+            CREATE TABLE offices (id SERIAL PRIMARY KEY, city VARCHAR(100), state VARCHAR(50), zip_code VARCHAR(20),
+                country VARCHAR(100));
+            CREATE TABLE users (id SERIAL PRIMARY KEY, office_id INTEGER);
+            CREATE TABLE organizations (id SERIAL PRIMARY KEY, name VARCHAR(255), website VARCHAR(255));
+            CREATE TABLE jobs (id SERIAL PRIMARY KEY, job_title VARCHAR(255), job_description TEXT,
+                status VARCHAR(50), custom_fields JSONB, organization_id INTEGER, created_by INTEGER,
+                record_number INTEGER, min_salary NUMERIC, max_salary NUMERIC, salary_type VARCHAR(50),
+                archived_at TIMESTAMP, created_at TIMESTAMP DEFAULT '2026-01-01', updated_at TIMESTAMP DEFAULT '2026-01-01');
+            INSERT INTO jobs (id, job_title, status, record_number) VALUES
+                (1, 'Forklift Operator', 'Open', 1),
+                (2, 'Welder', 'Open', 2);
+        `);
+        const quiet = console.log;
+        console.log = () => {};
+        controller = new JobXMLController(pool);
+        await controller.initTables();
+        await new JobPosting(pool).initTable();
+        console.log = quiet;
+    });
+
+    after(async () => {
+        await pool.end();
+        if (cacheSeconds === undefined) delete process.env.JOB_FEED_CACHE_SECONDS;
+        else process.env.JOB_FEED_CACHE_SECONDS = cacheSeconds;
+    });
+
+    async function getFeed(headers = {}) {
+        const res = mockResponse();
+        await controller.getXMLFeed({ params: {}, query: {}, headers }, res);
+        return res;
+    }
+
+    it('answers 304 when the ETag matches', async () => {
+        const first = await getFeed();
+        assert.equal(first.statusCode, 200);
+        const again = await getFeed({ 'if-none-match': first.headers.etag });
+        assert.equal(again.statusCode, 304);
+    });
+
+    it('serves the feed again once a job leaves it, although no remaining job changed', async () => {
+        const before = await getFeed();
+        assert.match(before.body, /Welder/);
+
+        // Archiving leaves updated_at alone, so the remaining jobs' timestamps are unchanged
+        await pool.query(`UPDATE jobs SET archived_at = NOW() WHERE id = 2`);
+        const after = await getFeed({ 'if-modified-since': before.headers['last-modified'] });
+        assert.equal(after.statusCode, 200);
+        assert.doesNotMatch(after.body, /Welder/);
+        assert.notEqual(after.headers.etag, before.headers.etag);
+    });
+});
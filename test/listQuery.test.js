@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestPool } = require('./helpers/testDb');
+const { buildPagination, parseListQuery, runListQuery, ListQueryError } = require('../utils/listQuery');
+
+const CONFIG = {
+    alias: 'i',
+    columns: {
+        id: { expr: 'i.id', type: 'number' },
+        name: { expr: 'i.name', type: 'text' },
+        score: { expr: 'i.score', type: 'number' },
+        created_at: { expr: 'i.created_at', type: 'timestamp' },
+    },
+    searchColumns: ['i.name'],
+    defaultSort: [{ column: 'created_at', direction: 'desc' }],
+};
+
+const SPEC = { select: 'i.id', from: 'items i' };
+
+const encode = (values) => Buffer.from(JSON.stringify(values), 'utf8').toString('base64url');
+
+describe('list pagination block', () => {
+    it('counts pages from the total', () => {
+        const pagination = buildPagination({ total: 51, page: 1, limit: 25, nextCursor: 'next' });
+        assert.equal(pagination.totalPages, 3);
+        assert.equal(pagination.hasMore, true);
+    });
+
+    it('reports no page count when the total was not counted', () => {
+        const pagination = buildPagination({ total: null, page: 1, limit: 25, nextCursor: null });
+        assert.equal(pagination.total, null);
+        assert.equal(pagination.totalPages, null);
+        assert.equal(pagination.hasMore, false);
+    });
+});
+
+describe('list query', () => {
+    let pool;
+
+    before(async () => {
+        pool = createTestPool();
+        // Ties and NULLs on score, and custom field rates that sort differently as text and as numbers
+        await pool.query(`
+            CREATE TABLE items (id SERIAL PRIMARY KEY, name TEXT, score INTEGER, created_at TIMESTAMP, custom_fields JSONB);
+            INSERT INTO items (name, score, created_at, custom_fields) VALUES
+                ('Ada',   5,    '2024-01-01 10:00:00.123456', '{"Rate": "9"}'),
+                ('Bea',   NULL, '2024-01-02 10:00:00',        '{"Rate": "40"}'),
+                ('Cy',    5,    '2024-01-03 10:00:00',        '{"Rate": "100"}'),
+                ('Dee',   2,    '2024-01-01 10:00:00.123456', '{"Rate": "n/a"}'),
+                ('Eve',   NULL, NULL,                         '{}'),
+                ('Finn',  7,    '2024-01-05 10:00:00',        '{"Rate": "40"}'),
+                ('Gus',   5,    '2024-01-06 10:00:00',        NULL)
+        `);
+    });
+
+    after(async () => {
+        await pool.end();
+    });
+
+    const list = (query) => runListQuery(pool, SPEC, parseListQuery(query, CONFIG), CONFIG);
+
+    // Every id in order, read one cursor page at a time
+    async function pageThrough(query, limit) {
+        const ids = [];
+        let cursor;
+        for (let page = 0; page < 20; page++) {
+            const result = await list({ ...query, limit, cursor });
+            ids.push(...result.rows.map((row) => row.id));
+            if (!result.nextCursor) return ids;
+            cursor = result.nextCursor;
+        }
+        throw new Error('cursor paging did not end');
+    }
+
+    it('pages by cursor through mixed sort directions and NULL sort values', async () => {
+        const query = { sort: '-score,name' };
+        const all = (await list({ ...query, limit: 100 })).rows.map((row) => row.id);
+        assert.deepEqual(all, [6, 1, 3, 7, 4, 2, 5]);
+        for (const limit of [1, 2, 3]) {
+            assert.deepEqual(await pageThrough(query, limit), all);
+        }
+    });
+
+    it('pages by cursor on timestamps with ties, keeping their full precision', async () => {
+        const all = (await list({ limit: 100 })).rows.map((row) => row.id);
+        assert.deepEqual(all, [7, 6, 3, 2, 4, 1, 5]);
+        assert.deepEqual(await pageThrough({}, 2), all);
+        assert.deepEqual(await pageThrough({ sort: 'created_at' }, 2), [4, 1, 2, 3, 6, 7, 5]);
+    });
+
+    it('filters typed columns', async () => {
+        const ids = async (filter) => (await list({ filter, sort: 'id' })).rows.map((row) => row.id);
+        assert.deepEqual(await ids({ score: { gte: '5' } }), [1, 3, 6, 7]);
+        assert.deepEqual(await ids({ score: { isnull: '1' } }), [2, 5]);
+        assert.deepEqual(await ids({ name: 'ada' }), [1]);
+        assert.deepEqual(await ids({ created_at: { between: '2024-01-02,2024-01-04' } }), [2, 3]);
+        await assert.rejects(ids({ score: { gt: 'many' } }), ListQueryError);
+    });
+
+    it('filters custom fields as numbers when asked or when every operand is one', async () => {
+        const ids = async (filter) => (await list({ filter, sort: 'id' })).rows.map((row) => row.id);
+        assert.deepEqual(await ids({ 'cf.Rate': { gte: '40' } }), [2, 3, 6]);
+        assert.deepEqual(await ids({ 'cf.Rate': { gte: '40', type: 'number' } }), [2, 3, 6]);
+        assert.deepEqual(await ids({ 'cf.Rate': { gte: '40', type: 'text' } }), [1, 2, 4, 6]);
+        assert.deepEqual(await ids({ 'cf.Rate': { in: '40,9' } }), [1, 2, 6]);
+    });
+
+    it('sorts custom fields as text unless a type is given', async () => {
+        const ids = async (sort) => (await list({ sort, filter: { 'cf.Rate': { notnull: '1' } } })).rows.map((row) => row.id);
+        assert.deepEqual(await ids('cf.Rate,id'), [3, 2, 6, 1, 4]);
+        assert.deepEqual(await ids('cf.Rate:number,id'), [1, 2, 6, 3, 4]);
+        assert.deepEqual(await pageThrough({ sort: '-cf.Rate:number' }, 2), [3, 6, 2, 1, 7, 5, 4]);
+    });
+
+    it('rejects unknown fields and operators and types on columns', () => {
+        const parse = (query) => () => parseListQuery(query, CONFIG);
+        assert.throws(parse({ sort: 'password' }), ListQueryError);
+        assert.throws(parse({ filter: { password: 'x' } }), ListQueryError);
+        assert.throws(parse({ filter: { score: { like: '5' } } }), ListQueryError);
+        assert.throws(parse({ filter: { 'cf.Rate': { gte: '4', type: 'money' } } }), ListQueryError);
+        assert.throws(parse({ filter: { name: { gte: '4', type: 'number' } } }), ListQueryError);
+        assert.throws(parse({ sort: 'name:number' }), ListQueryError);
+    });
+
+    it('rejects cursors that are not a list of sort values', async () => {
+        for (const cursor of ['not base64 json', encode({ id: 1 }), encode([{ id: 1 }, 1]), encode([[1], 1])]) {
+            assert.throws(() => parseListQuery({ cursor }, CONFIG), ListQueryError);
+        }
+        await assert.rejects(list({ cursor: encode(['x']) }), ListQueryError);
+    });
+
+    it('rejects cursor values the sort columns cannot be compared with', async () => {
+        await assert.rejects(list({ cursor: encode(['x', 1]) }), ListQueryError);
+        await assert.rejects(list({ sort: 'score', cursor: encode(['many', 1]) }), ListQueryError);
+        await assert.rejects(list({ sort: 'score', cursor: encode([1, '2024-01-01']) }), ListQueryError);
+    });
+});
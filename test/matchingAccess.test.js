@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestPool, seedAccessFixtures, userWithScope } = require('./helpers/testDb');
+const { matchCandidatesForJob } = require('../services/matchingService');
+
+const job = {
+    id: 1,
+    job_title: 'Forklift Operator',
+    job_description: 'Forklift and warehouse work',
+    required_skills: 'forklift, warehouse',
+    custom_fields: {},
+};
+
+// Top two of the job seekers Ann (user 1) may read; every job seeker scores the same, so ties go by id
+const EXPECTED = {
+    all: [1, 2],
+    office: [1, 2],
+    team: [1, 2],
+    own: [1, 5],
+    none: [],
+};
+
+describe('matching narrows ranked job seekers to the caller\'s access', () => {
+    let pool;
+
+    before(async () => {
+        pool = createTestPool();
+        await seedAccessFixtures(pool);
+        await pool.query(`UPDATE job_seekers SET title = 'Forklift Operator', skills = 'forklift, warehouse'`);
+    });
+
+    after(async () => {
+        await pool.end();
+    });
+
+    for (const [scope, expected] of Object.entries(EXPECTED)) {
+        it(`fills the limit with readable job seekers (scope "${scope}")`, async () => {
+            const matches = await matchCandidatesForJob(pool, job, { limit: 2, user: userWithScope(scope) });
+            assert.deepEqual(matches.map((m) => Number(m.id)), expected);
+        });
+    }
+
+    it('ranks every job seeker without a user', async () => {
+        const matches = await matchCandidatesForJob(pool, job, { limit: 10 });
+        assert.deepEqual(matches.map((m) => Number(m.id)), [1, 2, 3, 4, 5, 6]);
+    });
+});
@@ -0,0 +1,196 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { createTestPool, seedAccessFixtures } = require('./helpers/testDb');
+const { startBlobStore } = require('./helpers/blobStore');
+const Onboarding = require('../models/onboarding');
+const TemplateDocument = require('../models/templateDocument');
+const Document = require('../models/document');
+const DocumentSignature = require('../models/documentSignature');
+const {
+    submitDocument,
+    uploadAdditionalDocument,
+    deleteAdditionalDocument,
+    MAX_UPLOADS_PER_ITEM,
+} = require('../services/onboardingDocumentService');
+const { sha256, verifySignature } = require('../services/signatureService');
+
+describe('submitting an onboarding document in the portal', () => {
+    let pool;
+    let blobs;
+
+    before(async () => {
+        blobs = await startBlobStore();
+        const template = await PDFDocument.create();
+        template.addPage([612, 792]);
+        blobs.files.set('templates/w4.pdf', Buffer.from(await template.save()));
+
+        pool = createTestPool();
+        await seedAccessFixtures(pool);
+        const quiet = console.log;
+        console.log = () => {};
+        await new TemplateDocument(pool).initTable();
+        await new Onboarding(pool).initTables();
+        await new Document(pool).initTable();
+        await new DocumentSignature(pool).initTable();
+        console.log = quiet;
+
+        await pool.query(
+            `INSERT INTO template_documents (id, document_name, category, file_url, mime_type)
+                VALUES (1, 'W-4', 'Tax', $1, 'application/pdf'), (2, 'Offer letter', 'Offer', $1, 'application/pdf')`,
+            [blobs.urlOf('templates/w4.pdf')]
+        );
+        await pool.query(
+            `INSERT INTO template_documents (id, document_name, category, file_url, mime_type, additional_docs_required)
+                VALUES (3, 'ID check', 'Identity', $1, 'application/pdf', TRUE)`,
+            [blobs.urlOf('templates/w4.pdf')]
+        );
+        await pool.query(`
+            INSERT INTO template_document_mappings (template_document_id, field_name, field_label, field_type, who_fills, x, y, w, h)
+                VALUES (1, 'nickname', 'Nickname', 'Text', 'candidate', 10, 10, 100, 20),
+                       (2, 'signature', 'Signature', 'Signature', 'candidate', 10, 40, 200, 30);
+            INSERT INTO onboarding_sends (id, job_seeker_id, recipient_email) VALUES (1, 1, 'ada@example.com');
+            INSERT INTO onboarding_send_items (id, onboarding_send_id, template_document_id) VALUES (1, 1, 1), (2, 1, 2), (3, 1, 3);
+        `);
+    });
+
+    after(async () => {
+        await pool.end();
+        await blobs.close();
+    });
+
+    const documentCount = async () => (await pool.query('SELECT COUNT(*)::int AS n FROM documents')).rows[0].n;
+
+    it('keeps no completed PDF when the submission fails after the upload', async () => {
+        // Fail the item update inside the submit transaction
+        await pool.query(`
+            CREATE FUNCTION reject_item_update() RETURNS trigger AS $$ BEGIN RAISE EXCEPTION 'item update failed'; END $$
+                LANGUAGE plpgsql;
+            CREATE TRIGGER reject_item_update BEFORE UPDATE ON onboarding_send_items
+                FOR EACH ROW EXECUTE FUNCTION reject_item_update();
+        `);
+        await assert.rejects(submitDocument(pool, 1, 1, { nickname: 'Ada' }), /item update failed/);
+        await pool.query('DROP TRIGGER reject_item_update ON onboarding_send_items');
+
+        assert.equal(await documentCount(), 0);
+        assert.deepEqual([...blobs.files.keys()], ['templates/w4.pdf']);
+        const item = (await pool.query('SELECT status FROM onboarding_send_items WHERE id = 1')).rows[0];
+        assert.equal(item.status, Onboarding.ITEM_STATUS.SENT);
+    });
+
+    it('attaches the completed PDF and completes the item', async () => {
+        const { item, document } = await submitDocument(pool, 1, 1, { nickname: 'Ada' });
+        assert.equal(item.status, Onboarding.ITEM_STATUS.COMPLETED);
+        assert.equal(await documentCount(), 1);
+        assert.ok(blobs.files.has(decodeURIComponent(new URL(document.file_path).pathname.replace(/^\/files\//, ''))));
+    });
+
+    it('refuses a second submission and keeps no second PDF', async () => {
+        await assert.rejects(submitDocument(pool, 1, 1, { nickname: 'Ada' }), (error) => error.statusCode === 409);
+        assert.equal(await documentCount(), 1);
+        assert.equal(blobs.files.size, 2);
+    });
+
+    it('keeps the signed document without its certificate so the printed hash can be checked', async () => {
+        const { document, signature } = await submitDocument(pool, 1, 2, { signature: 'Ada Lovelace' }, {
+            consent: true,
+            ip: '203.0.113.7',
+        });
+        const download = async (url) => Buffer.from(await (await fetch(url)).arrayBuffer());
+        const signedPdf = await download(document.file_path);
+        const content = await download(signature.content_file_url);
+
+        assert.equal(sha256(content), signature.content_sha256.trim());
+        assert.equal(sha256(signedPdf), signature.document_sha256.trim());
+        // The certificate is added as a page after the hashed content
+        const pageCount = async (bytes) => (await PDFDocument.load(bytes)).getPageCount();
+        assert.equal(await pageCount(signedPdf), (await pageCount(content)) + 1);
+
+        const result = await verifySignature(pool, { jobSeekerId: 1, signatureId: signature.id });
+        assert.equal(result.valid, true);
+        assert.equal(result.checks.content_hash_matches, true);
+    });
+
+    describe('additional document uploads', () => {
+        const file = { name: 'passport.png', type: 'image/png', data: Buffer.from('not really a png').toString('base64') };
+        const uploadCount = async () => (await pool.query('SELECT COUNT(*)::int AS n FROM onboarding_item_uploads')).rows[0].n;
+
+        it('keeps neither the file nor its document when the upload cannot be recorded', async () => {
+            const documents = await documentCount();
+            const files = blobs.files.size;
+            await pool.query(`
+                CREATE FUNCTION reject_upload() RETURNS trigger AS $$ BEGIN RAISE EXCEPTION 'upload insert failed'; END $$
+                    LANGUAGE plpgsql;
+                CREATE TRIGGER reject_upload BEFORE INSERT ON onboarding_item_uploads
+                    FOR EACH ROW EXECUTE FUNCTION reject_upload();
+            `);
+            await assert.rejects(uploadAdditionalDocument(pool, 1, 3, { file }), /upload insert failed/);
+            await pool.query('DROP TRIGGER reject_upload ON onboarding_item_uploads');
+
+            assert.equal(await documentCount(), documents);
+            assert.equal(blobs.files.size, files);
+            assert.equal(await uploadCount(), 0);
+        });
+
+        it(`takes at most ${MAX_UPLOADS_PER_ITEM} files per item`, async () => {
+            for (let i = 0; i < MAX_UPLOADS_PER_ITEM; i++) {
+                await uploadAdditionalDocument(pool, 1, 3, { file, label: `Page ${i + 1}` });
+            }
+            const files = blobs.files.size;
+            await assert.rejects(uploadAdditionalDocument(pool, 1, 3, { file }), (error) => error.statusCode === 409);
+            assert.equal(await uploadCount(), MAX_UPLOADS_PER_ITEM);
+            assert.equal(blobs.files.size, files);
+        });
+
+        it('removes an upload with its document and stored file', async () => {
+            const upload = (await pool.query('SELECT * FROM onboarding_item_uploads ORDER BY id LIMIT 1')).rows[0];
+            const documents = await documentCount();
+            const files = blobs.files.size;
+            await deleteAdditionalDocument(pool, 1, 3, upload.id);
+            assert.equal(await uploadCount(), MAX_UPLOADS_PER_ITEM - 1);
+            assert.equal(await documentCount(), documents - 1);
+            assert.equal(blobs.files.size, files - 1);
+        });
+
+        it('refuses a submission whose files were deleted after they were checked', async () => {
+            const documents = await documentCount();
+            const files = blobs.files.size;
+            // The files are there for the check made before the PDF is rendered, then removed by a concurrent delete
+            const listUploads = Onboarding.prototype.listUploads;
+            Onboarding.prototype.listUploads = async function (ids, client = null) {
+                const uploads = await listUploads.call(this, ids, client);
+                if (!client) await pool.query('DELETE FROM onboarding_item_uploads');
+                return uploads;
+            };
+            try {
+                await assert.rejects(submitDocument(pool, 1, 3, {}), (error) => error.statusCode === 400
+                    && error.errors.some((e) => e.fieldName === 'additional_documents'));
+            } finally {
+                Onboarding.prototype.listUploads = listUploads;
+            }
+
+            const item = (await pool.query('SELECT status FROM onboarding_send_items WHERE id = 3')).rows[0];
+            assert.equal(item.status, Onboarding.ITEM_STATUS.SENT);
+            assert.equal(await documentCount(), documents);
+            assert.equal(blobs.files.size, files);
+        });
+
+        it('refuses uploads for a submitted item', async () => {
+            await pool.query(`UPDATE onboarding_send_items SET status = $1 WHERE id = 3`, [Onboarding.ITEM_STATUS.COMPLETED]);
+            await pool.query('DELETE FROM onboarding_item_uploads');
+            const files = blobs.files.size;
+            await assert.rejects(uploadAdditionalDocument(pool, 1, 3, { file }), (error) => error.statusCode === 409);
+            assert.equal(await uploadCount(), 0);
+            assert.equal(blobs.files.size, files);
+        });
+
+        it('keeps the files of a submitted item', async () => {
+            const upload = (await pool.query(
+                `INSERT INTO onboarding_item_uploads (onboarding_send_item_id, job_seeker_id, file_name, file_url)
+                    VALUES (3, 1, 'passport.png', 'https://example.com/passport.png') RETURNING id`
+            )).rows[0];
+            await assert.rejects(deleteAdditionalDocument(pool, 1, 3, upload.id), (error) => error.statusCode === 409);
+            assert.equal(await uploadCount(), 1);
+        });
+    });
+});
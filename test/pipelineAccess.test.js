@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createTestPool, seedAccessFixtures, userWithScope } = require('./helpers/testDb');
+const { checkPermission, checkEntityPermission, checkRecordAccess } = require('../middleware/authMiddleware');
+const { createJobRouter } = require('../routes/jobRoutes');
+const JobSeekerApplication = require('../models/jobSeekerApplication');
+const { buildJobPipeline } = require('../services/pipelineService');
+
+const pipeline = {
+    jobType: null,
+    stages: [{ key: 'submitted', name: 'Submitted', position: 1, outcome: 'open', allowed_transitions: [] }],
+};
+
+// Job seekers Ann (user 1) may read per scope; see seedAccessFixtures
+const EXPECTED = {
+    all: [1, 2, 3, 4, 5, 6],
+    office: [1, 2, 3, 5, 6],
+    team: [1, 2, 5, 6],
+    own: [1, 5, 6],
+    none: [],
+};
+
+describe('job pipeline board access', () => {
+    let pool;
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        pool = createTestPool();
+        await seedAccessFixtures(pool);
+        const quiet = console.log;
+        console.log = () => {};
+        await new JobSeekerApplication(pool).initTable();
+        console.log = quiet;
+        // Every job seeker is submitted to job 1
+        await pool.query(`
+            INSERT INTO job_seeker_applications (job_seeker_id, type, job_id)
+                SELECT id, 'submissions', 1 FROM job_seekers
+        `);
+
+        // Real routes and middleware; the handler only reports that it was reached
+        const verifyToken = (req, res, next) => {
+            req.user = JSON.parse(req.headers['x-test-user']);
+            next();
+        };
+        const jobController = new Proxy({}, {
+            get: () => (req, res) => res.json({ success: true }),
+        });
+        const app = express();
+        app.use('/api/jobs', createJobRouter(jobController, {
+            verifyToken,
+            checkPermission,
+            checkEntityPermission,
+            checkRecordAccess: checkRecordAccess(pool),
+        }));
+        await new Promise((resolve) => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/jobs`;
+    });
+
+    after(async () => {
+        server.close();
+        await pool.end();
+    });
+
+    const candidateIds = (board) => board.stages.flatMap((stage) => stage.candidates.map((c) => c.jobSeekerId));
+
+    for (const [scope, expected] of Object.entries(EXPECTED)) {
+        it(`lists only readable job seekers (scope "${scope}")`, async () => {
+            const board = await buildJobPipeline(pool, 1, pipeline, { user: userWithScope(scope) });
+            assert.deepEqual(candidateIds(board).sort((a, b) => a - b), expected);
+            assert.equal(board.total, expected.length);
+        });
+    }
+
+    it('lists every job seeker without a user', async () => {
+        const board = await buildJobPipeline(pool, 1, pipeline);
+        assert.deepEqual(candidateIds(board).sort((a, b) => a - b), EXPECTED.all);
+    });
+
+    it('requires permission to view job seekers', async () => {
+        const request = (permissions) => fetch(`${baseUrl}/1/pipeline`, {
+            headers: { 'x-test-user': JSON.stringify(userWithScope('all', permissions)) },
+        });
+        assert.equal((await request(['jobs.view'])).status, 403);
+        assert.equal((await request(['jobs.view', 'job_seekers.view'])).status, 200);
+    });
+});
@@ -0,0 +1,296 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createTestPool, seedAccessFixtures, userWithScope } = require('./helpers/testDb');
+const { checkPermission, checkEntityPermission, checkRecordAccess } = require('../middleware/authMiddleware');
+const createJobSeekerRouter = require('../routes/jobSeekerRoutes');
+const JobSeekerController = require('../controllers/jobSeekerController');
+const createHiringManagerRouter = require('../routes/hiringManagerRoutes');
+const HiringManagerController = require('../controllers/hiringManagerController');
+const { createPlacementRouter } = require('../routes/placementRoutes');
+const PlacementController = require('../controllers/placementController');
+const { createLeadRouter } = require('../routes/leadRoutes');
+const LeadController = require('../controllers/leadController');
+const { createTaskRouter } = require('../routes/taskRoutes');
+const TaskController = require('../controllers/taskController');
+const ExportRun = require('../models/exportRun');
+const ActivityLog = require('../models/activityLog');
+const { processExportRun } = require('../services/exportService');
+
+const ALL_IDS = [1, 2, 3, 4, 5, 6];
+
+// Job seekers Ann (user 1) may see and change per scope; see seedAccessFixtures.
+// Shares still apply under office/team/own; write shares also allow update and delete.
+const EXPECTED = {
+    all: { read: ALL_IDS, write: ALL_IDS },
+    office: { read: [1, 2, 3, 5, 6], write: [1, 2, 3, 6] },
+    team: { read: [1, 2, 5, 6], write: [1, 2, 6] },
+    own: { read: [1, 5, 6], write: [1, 6] },
+    none: { read: [], write: [] },
+};
+
+describe('record-level access scopes for job seekers', () => {
+    let pool;
+    let server;
+    let baseUrl;
+    const updated = [];
+    const deleted = [];
+
+    before(async () => {
+        pool = createTestPool();
+        await seedAccessFixtures(pool);
+
+        // Real routes, middleware and list/bulk-update handlers; single-record handlers only report what reached them
+        const controller = new JobSeekerController(pool);
+        controller.getById = (req, res) => res.json({ success: true, id: Number(req.params.id) });
+        controller.update = (req, res) => {
+            updated.push(Number(req.params.id));
+            res.json({ success: true });
+        };
+        controller.delete = (req, res) => {
+            deleted.push(Number(req.params.id));
+            res.json({ success: true });
+        };
+        controller.createFromResume = (req, res) => res.status(201).json({ success: true });
+        controller.jobSeekerModel.update = async (id) => ({ id });
+
+        const verifyToken = (req, res, next) => {
+            req.user = JSON.parse(req.headers['x-test-user']);
+            next();
+        };
+        const app = express();
+        app.use(express.json());
+        app.use('/api/job-seekers', createJobSeekerRouter(controller, {
+            verifyToken,
+            checkPermission,
+            checkEntityPermission,
+            checkRecordAccess: checkRecordAccess(pool),
+        }));
+        await new Promise((resolve) => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/job-seekers`;
+
+        const quiet = console.log;
+        console.log = () => {};
+        await new ExportRun(pool).initTable();
+        await new ActivityLog(pool).initTable();
+        console.log = quiet;
+    });
+
+    after(async () => {
+        server.close();
+        await pool.end();
+    });
+
+    function request(user, method, path, body) {
+        return fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', 'x-test-user': JSON.stringify(user) },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+    }
+
+    // Ids for which the request succeeded
+    async function allowedIds(user, method, makeBody) {
+        const allowed = [];
+        for (const id of ALL_IDS) {
+            const response = await request(user, method, `/${id}`, makeBody ? makeBody(id) : undefined);
+            if (response.status === 200) {
+                allowed.push(id);
+            } else {
+                assert.equal(response.status, 403, `${method} /${id}`);
+            }
+        }
+        return allowed;
+    }
+
+    for (const [scope, expected] of Object.entries(EXPECTED)) {
+        describe(`scope "${scope}"`, () => {
+            const user = userWithScope(scope);
+
+            it('lists only readable records (paged list)', async () => {
+                const response = await request(user, 'GET', '/?limit=50&sort=id');
+                const body = await response.json();
+                assert.equal(response.status, 200);
+                assert.deepEqual(body.jobSeekers.map((js) => js.id), expected.read);
+                assert.equal(body.total, expected.read.length);
+            });
+
+            it('lists only readable records (full list)', async () => {
+                const response = await request(user, 'GET', '/');
+                const body = await response.json();
+                assert.deepEqual(body.jobSeekers.map((js) => js.id).sort((a, b) => a - b), expected.read);
+            });
+
+            it('gets only readable records', async () => {
+                assert.deepEqual(await allowedIds(user, 'GET'), expected.read);
+            });
+
+            it('updates only writable records', async () => {
+                updated.length = 0;
+                assert.deepEqual(await allowedIds(user, 'PUT', () => ({ title: 'Driver' })), expected.write);
+                assert.deepEqual(updated, expected.write);
+            });
+
+            it('deletes only writable records', async () => {
+                deleted.length = 0;
+                assert.deepEqual(await allowedIds(user, 'DELETE'), expected.write);
+                assert.deepEqual(deleted, expected.write);
+            });
+
+            it('bulk-updates only writable records and reports the rest as denied', async () => {
+                const response = await request(user, 'POST', '/bulk-update', {
+                    ids: ALL_IDS,
+                    updates: { title: 'Driver' },
+                });
+                const { results } = await response.json();
+                assert.deepEqual(results.successful, expected.write);
+                assert.deepEqual(results.failed, ALL_IDS.filter((id) => !expected.write.includes(id)));
+                assert.ok(results.errors.every((e) => e.error === 'Access denied'));
+            });
+
+            it('exports only exportable records', async () => {
+                const runModel = new ExportRun(pool);
+                const run = await runModel.create({
+                    entityType: 'job-seekers',
+                    format: 'json',
+                    query: { sort: 'id' },
+                    columns: [{ key: 'id', label: 'ID', customKey: null }],
+                    accessContext: user,
+                    createdBy: 1,
+                });
+                const completed = await processExportRun(pool, { ...run, access_context: user });
+                assert.equal(completed.status, 'completed');
+
+                const file = await pool.query('SELECT file_data FROM export_runs WHERE id = $1', [run.id]);
+                const ids = Buffer.from(file.rows[0].file_data).toString('utf8')
+                    .split('\n')
+                    .filter(Boolean)
+                    .map((line) => JSON.parse(line).id);
+                assert.deepEqual(ids, expected.read);
+                assert.equal(completed.row_count, expected.read.length);
+            });
+        });
+    }
+
+    it('needs the entity permission before any scope applies', async () => {
+        const viewer = userWithScope('all', ['job_seekers.view']);
+        assert.equal((await request(viewer, 'GET', '/1')).status, 200);
+        assert.equal((await request(viewer, 'PUT', '/1', { title: 'Driver' })).status, 403);
+        assert.equal((await request(viewer, 'DELETE', '/1')).status, 403);
+        assert.equal((await request(userWithScope('all', []), 'GET', '/?limit=50')).status, 403);
+    });
+
+    it('needs the create permission to create from a resume', async () => {
+        assert.equal((await request(userWithScope('all', ['job_seekers.create']), 'POST', '/from-resume', {})).status, 201);
+        assert.equal((await request(userWithScope('all', ['job_seekers.edit']), 'POST', '/from-resume', {})).status, 403);
+    });
+
+    it('leaves unknown ids to the handler', async () => {
+        assert.equal((await request(userWithScope('none'), 'GET', '/999')).status, 200);
+    });
+});
+
+// Records of two owners: id 1 is Ann's (user 1), id 2 is Dan's (user 4, other office and team)
+const OUTSIDE_ID_EXPECTED = {
+    all: [1, 2],
+    office: [1],
+    team: [1],
+    own: [1],
+    none: [],
+};
+
+describe('record-level access on list, search and stats routes outside /:id', () => {
+    let pool;
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        pool = createTestPool();
+        await seedAccessFixtures(pool);
+        // Only the columns these routes read
+        await pool.query(`
+            CREATE TABLE organizations (id SERIAL PRIMARY KEY, name VARCHAR(255), created_by INTEGER);
+            CREATE TABLE jobs (id SERIAL PRIMARY KEY, job_title VARCHAR(255), status VARCHAR(50), organization_id INTEGER);
+            CREATE TABLE hiring_managers (id SERIAL PRIMARY KEY, first_name VARCHAR(255), last_name VARCHAR(255),
+                organization_id INTEGER, owner VARCHAR(255), created_by INTEGER, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP);
+            CREATE TABLE placements (id SERIAL PRIMARY KEY, job_id INTEGER, job_seeker_id INTEGER, organization_id INTEGER,
+                status VARCHAR(50), start_date DATE, created_by INTEGER, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP);
+            CREATE TABLE leads (id SERIAL PRIMARY KEY, first_name VARCHAR(255), last_name VARCHAR(255), email VARCHAR(255),
+                title VARCHAR(255), organization_name VARCHAR(255), organization_id INTEGER, status VARCHAR(50),
+                last_contact_date DATE, owner VARCHAR(255), created_by INTEGER, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP);
+            CREATE TABLE tasks (id SERIAL PRIMARY KEY, title VARCHAR(255), is_completed BOOLEAN DEFAULT false, due_date DATE,
+                owner VARCHAR(255), created_by INTEGER, assigned_to INTEGER);
+
+            INSERT INTO organizations (id, name, created_by) VALUES (1, 'Acme', 1);
+            INSERT INTO jobs (id, job_title, status, organization_id) VALUES (1, 'Welder', 'Open', 1);
+            INSERT INTO hiring_managers (id, first_name, last_name, organization_id, owner, created_by) VALUES
+                (1, 'Hal', 'Ann', 1, '1', 1), (2, 'Hal', 'Dan', 1, '4', 4);
+            INSERT INTO placements (id, job_id, job_seeker_id, organization_id, status, created_by) VALUES
+                (1, 1, 1, 1, 'Approved', 1), (2, 1, 1, 1, 'Approved', 4);
+            INSERT INTO leads (id, first_name, last_name, organization_id, status, owner, created_by) VALUES
+                (1, 'Lee', 'Ann', 1, 'New Lead', '1', 1), (2, 'Lee', 'Dan', 1, 'New Lead', '4', 4);
+            INSERT INTO tasks (id, title, owner, created_by) VALUES (1, 'Call', '1', 1), (2, 'Call', '4', 4);
+        `);
+
+        const verifyToken = (req, res, next) => {
+            req.user = JSON.parse(req.headers['x-test-user']);
+            next();
+        };
+        const authMiddleware = { verifyToken, checkPermission, checkEntityPermission, checkRecordAccess: checkRecordAccess(pool) };
+        const app = express();
+        app.use('/api/hiring-managers', createHiringManagerRouter(new HiringManagerController(pool), authMiddleware));
+        app.use('/api/placements', createPlacementRouter(new PlacementController(pool), authMiddleware));
+        app.use('/api/leads', createLeadRouter(new LeadController(pool), authMiddleware));
+        app.use('/api/tasks', createTaskRouter(new TaskController(pool), authMiddleware));
+        await new Promise((resolve) => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    after(async () => {
+        server.close();
+        await pool.end();
+    });
+
+    async function get(scope, path) {
+        const user = userWithScope(scope, ['hiring_managers.view', 'placements.view', 'leads.view', 'tasks.view']);
+        const quiet = console.log;
+        console.log = () => {};
+        try {
+            const response = await fetch(`${baseUrl}${path}`, { headers: { 'x-test-user': JSON.stringify(user) } });
+            assert.equal(response.status, 200, path);
+            return response.json();
+        } finally {
+            console.log = quiet;
+        }
+    }
+
+    const ids = (rows) => rows.map((row) => row.id).sort((a, b) => a - b);
+
+    for (const [scope, expected] of Object.entries(OUTSIDE_ID_EXPECTED)) {
+        describe(`scope "${scope}"`, () => {
+            it('lists only readable hiring managers of an organization', async () => {
+                assert.deepEqual(ids((await get(scope, '/hiring-managers/organization/1')).hiringManagers), expected);
+            });
+
+            it('lists only readable placements of a job, job seeker or organization', async () => {
+                for (const path of ['/placements/job/1', '/placements/job-seeker/1', '/placements/organization/1']) {
+                    assert.deepEqual(ids((await get(scope, path)).placements), expected, path);
+                }
+            });
+
+            it('lists and searches only readable leads', async () => {
+                assert.deepEqual(ids((await get(scope, '/leads/organization/1')).leads), expected);
+                assert.deepEqual(ids((await get(scope, '/leads/search/query?query=Lee')).leads), expected);
+            });
+
+            it('counts only readable leads and tasks', async () => {
+                assert.equal(Number((await get(scope, '/leads/stats/overview')).stats.total_leads), expected.length);
+                assert.equal(Number((await get(scope, '/tasks/stats/overview')).stats.total_tasks), expected.length);
+            });
+        });
+    }
+});
@@ -0,0 +1,18 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractText } = require('../services/resumeParserService');
+
+const RTF = '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}\\f0\\fs24 Jane Doe\\par Forklift Operator\\par}';
+
+describe('extractText', () => {
+    for (const [mimeType, fileName] of [['text/rtf', 'resume.rtf'], ['application/rtf', 'resume'], ['', 'resume.rtf']]) {
+        it(`strips RTF control words (${mimeType || 'no type'}, ${fileName})`, async () => {
+            const text = await extractText(Buffer.from(RTF), mimeType, fileName);
+            assert.equal(text, 'Jane Doe\nForklift Operator');
+        });
+    }
+
+    it('reads other text/* types as plain text', async () => {
+        assert.equal(await extractText(Buffer.from('Jane Doe\r\nWelder'), 'text/plain', 'resume.txt'), 'Jane Doe\nWelder');
+    });
+});
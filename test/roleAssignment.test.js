@@ -0,0 +1,159 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createTestPool, seedAccessFixtures } = require('./helpers/testDb');
+const { checkPermission } = require('../middleware/authMiddleware');
+const createRoleRouter = require('../routes/roleRoutes');
+const RoleController = require('../controllers/roleController');
+const createUserRouter = require('../routes/userRoutes');
+const UserController = require('../controllers/userController');
+const createAuthRouter = require('../routes/authRoutes');
+const AuthController = require('../controllers/authController');
+
+const caller = (role) => ({ id: 1, email: 'ann@example.com', role, is_admin: true, permissions: ['roles.manage', 'users.manage'] });
+
+describe('only owners hand out or take away owner and developer access', () => {
+    let pool;
+    let server;
+    let baseUrl;
+    let roles;
+
+    before(async () => {
+        pool = createTestPool();
+        await seedAccessFixtures(pool);
+        const roleController = new RoleController(pool);
+        const quiet = console.log;
+        console.log = () => {};
+        await roleController.roleModel.initTable();
+        console.log = quiet;
+        // Bob owns the account, Cat is a developer
+        await pool.query(`UPDATE users SET role = 'owner' WHERE id = 2; UPDATE users SET role = 'developer' WHERE id = 3`);
+        roles = Object.fromEntries((await pool.query('SELECT id, key FROM roles')).rows.map((row) => [row.key, row.id]));
+
+        const verifyToken = (req, res, next) => {
+            if (!req.headers['x-test-user']) {
+                return res.status(401).json({ success: false });
+            }
+            req.user = JSON.parse(req.headers['x-test-user']);
+            next();
+        };
+        const app = express();
+        app.use(express.json());
+        app.use('/api/roles', createRoleRouter(roleController, { verifyToken, checkPermission }));
+        app.use('/api/users', createUserRouter(new UserController(pool), { verifyToken, checkPermission }));
+        app.use('/api/auth', createAuthRouter(new AuthController(pool), { verifyToken, checkPermission }));
+        await new Promise((resolve) => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    after(async () => {
+        server.close();
+        await pool.end();
+    });
+
+    function send(method, user, path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (user) {
+            headers['x-test-user'] = JSON.stringify(user);
+        }
+        return fetch(`${baseUrl}${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    }
+
+    const post = (user, path, body) => send('POST', user, path, body);
+
+    const countNamed = async (name) => (await pool.query('SELECT COUNT(*)::int AS n FROM users WHERE name = $1', [name])).rows[0].n;
+
+    const roleOf = async (id) => (await pool.query('SELECT role FROM users WHERE id = $1', [id])).rows[0].role;
+
+    it('keeps admins from assigning the owner or developer role', async () => {
+        assert.equal((await post(caller('admin'), `/roles/${roles.owner}/users`, { userIds: [4] })).status, 403);
+        assert.equal((await post(caller('admin'), `/roles/${roles.developer}/users`, { userIds: [4] })).status, 403);
+        assert.equal(await roleOf(4), 'recruiter');
+    });
+
+    it('keeps admins from moving owners and developers to another role', async () => {
+        for (const id of [2, 3]) {
+            const response = await post(caller('admin'), `/roles/${roles.candidate}/users`, { userIds: [4, id] });
+            assert.equal(response.status, 403);
+            assert.deepEqual((await response.json()).userIds, [id]);
+        }
+        assert.equal(await roleOf(2), 'owner');
+        assert.equal(await roleOf(3), 'developer');
+        assert.equal(await roleOf(4), 'recruiter');
+    });
+
+    it('lets admins assign other roles to other users', async () => {
+        assert.equal((await post(caller('admin'), `/roles/${roles.candidate}/users`, { userIds: [4] })).status, 200);
+        assert.equal(await roleOf(4), 'candidate');
+    });
+
+    it('lets owners change any role', async () => {
+        assert.equal((await post(caller('owner'), `/roles/${roles.recruiter}/users`, { userIds: [3] })).status, 200);
+        assert.equal(await roleOf(3), 'recruiter');
+    });
+
+    it('keeps admins from editing or deleting the owner and developer roles', async () => {
+        const before = (await pool.query('SELECT * FROM roles WHERE key = $1', ['developer'])).rows[0];
+        const edit = { name: 'Everything', permissions: ['users.manage', 'roles.manage'], require_two_factor: false };
+        for (const key of ['owner', 'developer']) {
+            assert.equal((await send('PUT', caller('admin'), `/roles/${roles[key]}`, edit)).status, 403);
+            assert.equal((await send('DELETE', caller('admin'), `/roles/${roles[key]}`)).status, 403);
+        }
+        assert.deepEqual((await pool.query('SELECT * FROM roles WHERE key = $1', ['developer'])).rows[0], before);
+        assert.equal((await pool.query(`SELECT COUNT(*)::int AS n FROM roles WHERE key IN ('owner', 'developer')`)).rows[0].n, 2);
+    });
+
+    it('lets owners edit the developer role', async () => {
+        const response = await send('PUT', caller('owner'), `/roles/${roles.developer}`, { name: 'Engineering' });
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).role.name, 'Engineering');
+    });
+
+    it('keeps admins from creating owner or developer users', async () => {
+        for (const userType of ['owner', 'developer']) {
+            const response = await post(caller('admin'), '/users', {
+                userType,
+                name: 'Eve',
+                email: `eve-${userType}@example.com`,
+                password: 'Correct-Horse-9',
+            });
+            assert.equal(response.status, 403);
+        }
+        assert.equal((await pool.query(`SELECT COUNT(*)::int AS n FROM users WHERE name = 'Eve'`)).rows[0].n, 0);
+    });
+
+    it('keeps users without users.manage from creating users', async () => {
+        const recruiter = { id: 4, email: 'dan@example.com', role: 'recruiter', is_admin: false, permissions: ['jobs.*'] };
+        const response = await post(recruiter, '/users', {
+            userType: 'admin',
+            name: 'Mallory',
+            email: 'mallory@example.com',
+            password: 'Correct-Horse-9',
+        });
+        assert.equal(response.status, 403);
+        assert.equal(await countNamed('Mallory'), 0);
+    });
+
+    it('requires authentication and users.manage to sign up users', async () => {
+        const body = { userType: 'owner', name: 'Trent', email: 'trent@example.com', password: 'Correct-Horse-9' };
+        assert.equal((await post(null, '/auth/signup', body)).status, 401);
+        const recruiter = { id: 4, email: 'dan@example.com', role: 'recruiter', is_admin: false, permissions: ['jobs.*'] };
+        assert.equal((await post(recruiter, '/auth/signup', body)).status, 403);
+        assert.equal(await countNamed('Trent'), 0);
+    });
+
+    it('keeps admins from signing up owner or developer users', async () => {
+        for (const userType of ['owner', 'developer']) {
+            const response = await post(caller('admin'), '/auth/signup', {
+                userType,
+                name: 'Trent',
+                email: `trent-${userType}@example.com`,
+                password: 'Correct-Horse-9',
+            });
+            assert.equal(response.status, 403);
+        }
+        assert.equal(await countNamed('Trent'), 0);
+    });
+});
@@ -0,0 +1,194 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createTestPool, seedAccessFixtures } = require('./helpers/testDb');
+const { verifyToken, checkPermission } = require('../middleware/authMiddleware');
+const createAuthRouter = require('../routes/authRoutes');
+const AuthController = require('../controllers/authController');
+const Role = require('../models/role');
+const UserSession = require('../models/userSession');
+const UserTwoFactor = require('../models/userTwoFactor');
+const {
+    currentStep,
+    totpCode,
+    verifyTotp,
+    encryptSecret,
+    decryptSecret,
+    hashRecoveryCode,
+    generateRecoveryCodes,
+} = require('../services/totpService');
+const { signChallengeToken } = require('../services/tokenService');
+
+// RFC 6238 appendix B: the SHA-1 secret "12345678901234567890" in base32, and the last six digits of its codes
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130'],
+];
+
+describe('TOTP codes', () => {
+    it('matches the RFC 6238 test vectors', () => {
+        for (const [seconds, code] of RFC_VECTORS) {
+            assert.equal(totpCode(RFC_SECRET, currentStep(seconds * 1000)), code);
+            assert.equal(verifyTotp(RFC_SECRET, code, { now: seconds * 1000 }), currentStep(seconds * 1000));
+        }
+    });
+
+    it('accepts the neighbouring steps for clock drift and nothing further', () => {
+        const now = 1111111111 * 1000;
+        const step = currentStep(now);
+        assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 1), { now }), step - 1);
+        assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step + 1), { now }), step + 1);
+        assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 2), { now }), null);
+        assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step + 2), { now }), null);
+    });
+
+    it('rejects codes of steps up to the last one used', () => {
+        const now = 1111111111 * 1000;
+        const step = currentStep(now);
+        const code = totpCode(RFC_SECRET, step);
+        assert.equal(verifyTotp(RFC_SECRET, code, { now, lastUsedStep: step }), null);
+        assert.equal(verifyTotp(RFC_SECRET, code, { now, lastUsedStep: step - 1 }), step);
+    });
+
+    it('rejects malformed codes', () => {
+        for (const code of ['', '12345', '1234567', 'abcdef', null]) {
+            assert.equal(verifyTotp(RFC_SECRET, code), null);
+        }
+    });
+
+    it('stores secrets encrypted', () => {
+        const saved = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+        process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-key';
+        try {
+            const encrypted = encryptSecret(RFC_SECRET);
+            assert.ok(!encrypted.includes(RFC_SECRET));
+            assert.equal(decryptSecret(encrypted), RFC_SECRET);
+        } finally {
+            if (saved === undefined) delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+            else process.env.TWO_FACTOR_ENCRYPTION_KEY = saved;
+        }
+    });
+
+    it('hashes recovery codes however they are typed', () => {
+        const { codes, hashes } = generateRecoveryCodes(3);
+        assert.equal(codes.length, 3);
+        assert.equal(hashRecoveryCode(` ${codes[0].toUpperCase().replace('-', ' ')} `), hashes[0]);
+    });
+});
+
+describe('two-factor enrollment', () => {
+    let pool;
+    let server;
+    let baseUrl;
+    let twoFactor;
+    let savedSecret;
+    let recoveryCodes;
+
+    before(async () => {
+        savedSecret = process.env.JWT_SECRET;
+        process.env.JWT_SECRET = 'test-secret';
+        pool = createTestPool();
+        await seedAccessFixtures(pool);
+        // User.findById reads the office name, which the access fixtures leave out
+        await pool.query('ALTER TABLE offices ADD COLUMN building_name VARCHAR(255)');
+        const quiet = console.log;
+        console.log = () => {};
+        await new Role(pool).initTable();
+        await new UserSession(pool).initTable();
+        twoFactor = new UserTwoFactor(pool);
+        await twoFactor.initTable();
+        console.log = quiet;
+
+        // Ann (user 1) has 2FA with the RFC secret, confirmed one step before now
+        const { codes, hashes } = generateRecoveryCodes();
+        recoveryCodes = codes;
+        await twoFactor.setPendingSecret(1, encryptSecret(RFC_SECRET));
+        await twoFactor.enable(1, currentStep() - 1, hashes);
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/auth', createAuthRouter(new AuthController(pool), { verifyToken: verifyToken(pool), checkPermission }));
+        await new Promise((resolve) => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+    });
+
+    after(async () => {
+        server.close();
+        await pool.end();
+        if (savedSecret === undefined) delete process.env.JWT_SECRET;
+        else process.env.JWT_SECRET = savedSecret;
+    });
+
+    const verify = (body) => fetch(`${baseUrl}/2fa/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challengeToken: signChallengeToken({ id: 1 }, 'verify').token, ...body }),
+    });
+    const clearLock = () => pool.query('UPDATE user_two_factor SET failed_attempts = 0, locked_until = NULL');
+
+    it('uses each step once', async () => {
+        const step = currentStep();
+        assert.equal(await twoFactor.markStepUsed(1, step), true);
+        assert.equal(await twoFactor.markStepUsed(1, step), false);
+        assert.equal(await twoFactor.markStepUsed(1, step - 1), false);
+        assert.equal(Number((await twoFactor.get(1)).last_used_step), step);
+    });
+
+    it('refuses to log in twice with the same code', async () => {
+        await pool.query('UPDATE user_two_factor SET last_used_step = $1', [currentStep() - 2]);
+        const code = totpCode(RFC_SECRET, currentStep());
+        const first = await verify({ code });
+        assert.equal(first.status, 200);
+        assert.ok((await first.json()).refreshToken);
+        assert.equal((await verify({ code })).status, 401);
+        await clearLock();
+    });
+
+    it('uses each recovery code once', async () => {
+        assert.equal(await twoFactor.useRecoveryCode(1, hashRecoveryCode(recoveryCodes[0])), true);
+        assert.equal(await twoFactor.useRecoveryCode(1, hashRecoveryCode(recoveryCodes[0])), false);
+        assert.equal(await twoFactor.useRecoveryCode(1, hashRecoveryCode('00000-00000')), false);
+
+        const login = await verify({ recoveryCode: recoveryCodes[1] });
+        assert.equal(login.status, 200);
+        assert.equal((await login.json()).recoveryCodesRemaining, recoveryCodes.length - 2);
+        assert.equal((await verify({ recoveryCode: recoveryCodes[1] })).status, 401);
+        assert.equal((await twoFactor.get(1)).recovery_codes_remaining, recoveryCodes.length - 2);
+        await clearLock();
+    });
+
+    it(`locks verification after ${UserTwoFactor.MAX_FAILED_ATTEMPTS} wrong codes in a row`, async () => {
+        for (let i = 1; i < UserTwoFactor.MAX_FAILED_ATTEMPTS; i++) {
+            const failure = await twoFactor.recordFailure(1);
+            assert.deepEqual(failure, { failed_attempts: i, locked: false });
+        }
+        assert.equal((await twoFactor.recordFailure(1)).locked, true);
+        assert.equal((await twoFactor.get(1)).is_locked, true);
+
+        // Even the right code is refused while locked
+        await pool.query('UPDATE user_two_factor SET last_used_step = $1', [currentStep() - 2]);
+        assert.equal((await verify({ code: totpCode(RFC_SECRET, currentStep()) })).status, 429);
+        await clearLock();
+    });
+
+    it('locks through the verify endpoint and forgets failures after a good code', async () => {
+        await twoFactor.recordFailure(1);
+        await pool.query('UPDATE user_two_factor SET last_used_step = $1', [currentStep() - 2]);
+        assert.equal((await verify({ code: totpCode(RFC_SECRET, currentStep()) })).status, 200);
+        assert.equal((await twoFactor.get(1)).failed_attempts, 0);
+
+        const statuses = [];
+        for (let i = 0; i < UserTwoFactor.MAX_FAILED_ATTEMPTS; i++) {
+            statuses.push((await verify({ code: '000000' })).status);
+        }
+        assert.deepEqual(statuses, [...Array(UserTwoFactor.MAX_FAILED_ATTEMPTS - 1).fill(401), 429]);
+        assert.equal((await twoFactor.get(1)).is_locked, true);
+    });
+});
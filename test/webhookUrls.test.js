@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const dns = require('dns');
+const { createTestPool, seedAccessFixtures } = require('./helpers/testDb');
+const WebhookSubscription = require('../models/webhookSubscription');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { validateWebhookUrl, sendTestEvent } = require('../services/webhookService');
+
+function withAllowPrivate(value, fn) {
+    const saved = process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    if (value === undefined) delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    else process.env.WEBHOOK_ALLOW_PRIVATE_URLS = value;
+    const restore = () => {
+        if (saved === undefined) delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+        else process.env.WEBHOOK_ALLOW_PRIVATE_URLS = saved;
+    };
+    return Promise.resolve().then(fn).finally(restore);
+}
+
+describe('webhook endpoint addresses', () => {
+    it('rejects loopback, link-local and private addresses', () => withAllowPrivate(undefined, () => {
+        for (const url of [
+            'http://127.0.0.1/hook',
+            'http://127.1.2.3:8080/hook',
+            'http://2130706433/hook',
+            'http://localhost:3000/hook',
+            'http://api.localhost/hook',
+            'http://169.254.169.254/latest/meta-data/',
+            'http://10.0.0.5/hook',
+            'http://172.16.4.2/hook',
+            'http://192.168.1.10/hook',
+            'http://100.64.0.1/hook',
+            'http://0.0.0.0/hook',
+            'http://[::1]/hook',
+            'http://[::ffff:127.0.0.1]/hook',
+            'http://[fe80::1]/hook',
+            'http://[fd00::1]/hook',
+            'http://[::127.0.0.1]/hook',
+            'http://[64:ff9b::a9fe:a9fe]/hook',
+            'http://[64:ff9b:1::a00:1]/hook',
+            'http://[2002:7f00:1::]/hook',
+        ]) {
+            assert.match(validateWebhookUrl(url) || '', /private address/, url);
+        }
+    }));
+
+    it('accepts public hosts and addresses', () => withAllowPrivate(undefined, () => {
+        for (const url of ['https://hooks.example.com/crm', 'http://93.184.216.34/hook', 'http://172.32.0.1/hook', 'http://[2001:db8::1]/hook']) {
+            assert.equal(validateWebhookUrl(url), null, url);
+        }
+        assert.match(validateWebhookUrl('ftp://example.com/hook'), /http or https/);
+    }));
+
+    it('accepts private addresses when they are allowed', () => withAllowPrivate('true', () => {
+        assert.equal(validateWebhookUrl('http://127.0.0.1:3000/hook'), null);
+    }));
+
+    describe('sending', () => {
+        let pool;
+        let receiver;
+        let subscription;
+        let hits = 0;
+
+        before(async () => {
+            pool = createTestPool();
+            await seedAccessFixtures(pool);
+            await new WebhookSubscription(pool).initTable();
+            await new WebhookDelivery(pool).initTable();
+            receiver = http.createServer((req, res) => {
+                hits++;
+                res.writeHead(204).end();
+            });
+            await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+            // Saved before the address rules existed (or resolved publicly then), so it skipped validation
+            subscription = await new WebhookSubscription(pool).create({
+                name: 'Internal',
+                url: `http://127.0.0.1:${receiver.address().port}/hook`,
+                events: ['*'],
+                secret: 'secret',
+                userId: 1,
+            });
+        });
+
+        after(async () => {
+            receiver.close();
+            await pool.end();
+        });
+
+        it('checks the address the connection resolves, so a host cannot rebind to a private one', () => withAllowPrivate(undefined, async () => {
+            // Public (documentation range) on the first lookup, loopback on every later one
+            const answers = ['192.0.2.1'];
+            const lookups = [];
+            const realLookup = dns.lookup;
+            dns.lookup = (hostname, options, callback) => {
+                const address = answers[lookups.length] || '127.0.0.1';
+                lookups.push(address);
+                process.nextTick(() => (options.all ? callback(null, [{ address, family: 4 }]) : callback(null, address, 4)));
+            };
+            const savedTimeout = process.env.WEBHOOK_TIMEOUT_MS;
+            process.env.WEBHOOK_TIMEOUT_MS = '300';
+            try {
+                const rebinding = await new WebhookSubscription(pool).create({
+                    name: 'Rebinding',
+                    url: `http://rebind.example.com:${receiver.address().port}/hook`,
+                    events: ['*'],
+                    secret: 'secret',
+                    userId: 1,
+                });
+                // One lookup per send, and it is the one connected to
+                const first = await sendTestEvent(pool, rebinding, 1);
+                assert.equal(first.status, 'failed');
+                assert.deepEqual(lookups, ['192.0.2.1']);
+
+                const second = await sendTestEvent(pool, rebinding, 1);
+                assert.equal(second.status, 'failed');
+                assert.match(second.error, /resolves to 127\.0\.0\.1, which is not a public address/);
+                assert.deepEqual(lookups, ['192.0.2.1', '127.0.0.1']);
+                assert.equal(hits, 0);
+            } finally {
+                dns.lookup = realLookup;
+                if (savedTimeout === undefined) delete process.env.WEBHOOK_TIMEOUT_MS;
+                else process.env.WEBHOOK_TIMEOUT_MS = savedTimeout;
+            }
+        }));
+
+        it('re-checks the address when sending and refuses private ones', () => withAllowPrivate(undefined, async () => {
+            const delivery = await sendTestEvent(pool, subscription, 1);
+            assert.equal(delivery.status, 'failed');
+            assert.match(delivery.error, /not a public address/);
+            assert.equal(hits, 0);
+        }));
+
+        it('sends to private addresses when they are allowed', () => withAllowPrivate('true', async () => {
+            const delivery = await sendTestEvent(pool, subscription, 1);
+            assert.equal(delivery.status, 'succeeded');
+            assert.equal(hits, 1);
+        }));
+    });
+});
@@ -0,0 +1,27 @@
+/**
+ * The caller's IP address, for login throttling, reset-request limits, sessions, the audit log and signing
+ * records.
+ *
+ * On Vercel every request reaches the app through Vercel's proxy, so req.ip is the proxy's address and all
+ * clients would share it. Vercel sets x-forwarded-for itself, overwriting anything the client sent, so its last
+ * entry is the client. Elsewhere the header is client-controlled and only read when TRUST_PROXY=true, for
+ * deployments behind a single reverse proxy that appends the address it saw.
+ */
+
+function trustsForwardedFor() {
+    return Boolean(process.env.VERCEL) || process.env.TRUST_PROXY === 'true';
+}
+
+/** Client IP of an Express request, or null when unknown */
+function clientIp(req) {
+    if (trustsForwardedFor()) {
+        const forwarded = String(req.headers['x-forwarded-for'] || '')
+            .split(',')
+            .map((entry) => entry.trim())
+            .filter(Boolean);
+        if (forwarded.length > 0) return forwarded[forwarded.length - 1];
+    }
+    return req.ip || req.socket?.remoteAddress || null;
+}
+
+module.exports = { clientIp };
@@ -0,0 +1,483 @@
+/**
+ * Shared server-side pagination, sorting and filtering for entity list endpoints.
+ *
+ * Query string format (Express "extended" parser):
+ *   ?page=2&limit=50                      offset pagination (page is 1-based)
+ *   ?cursor=<opaque>&limit=50             keyset pagination (cursor comes from the previous page)
+ *   ?sort=-created_at,job_title           multi-column sort, "-" prefix = descending
+ *   ?sort=cf.Rate                         sort on a custom_fields key (as text)
+ *   ?sort=-cf.Rate:number                 sort on a custom_fields key as a number (see TYPES)
+ *   ?filter[status]=Open                  equality
+ *   ?filter[min_salary][gte]=50000        typed operators (see OPERATORS)
+ *   ?filter[status][in]=Open,On Hold      list operators accept comma-separated values or arrays
+ *   ?filter[cf.Skills][contains]=java     filter on a custom_fields key ("custom_fields.Skills" also works)
+ *   ?filter[cf.Rate][gte]=40&filter[cf.Rate][type]=number   force a type for custom field comparisons (cf.* keys only)
+ *   ?q=smith                              free-text search across the entity's searchable columns
+ *
+ * Each model describes its list in a config:
+ *   {
+ *     alias: 'j',                                   // table alias used in the model's SELECT
+ *     columns: { status: { expr: 'j.status', type: 'text' }, ... },
+ *     searchColumns: ['j.job_title', ...],
+ *     defaultSort: [{ column: 'created_at', direction: 'desc' }],
+ *   }
+ * Only columns listed in the config can be sorted or filtered, so column names never reach SQL unchecked.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'contains', 'starts', 'ends', 'between', 'isnull', 'notnull'];
+const TYPES = ['text', 'number', 'date', 'timestamp', 'boolean'];
+const LIST_PARAMS = ['page', 'limit', 'cursor', 'sort', 'filter', 'q'];
+
+const CUSTOM_FIELD_PREFIXES = ['cf.', 'custom_fields.', 'custom.'];
+
+// Postgres errors for a value that cannot be read as the column type (invalid text, datetime, out of range)
+const CAST_ERROR_CODES = ['22P02', '22007', '22008', '22003'];
+
+/** Error raised for malformed list parameters; controllers answer with 400. */
+class ListQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ListQueryError';
+        this.statusCode = 400;
+    }
+}
+
+/**
+ * True when the request asks for a paged/sorted/filtered list.
+ * Requests without any list params keep the legacy "return everything" behaviour (Admin Data Downloader).
+ */
+function isListQueryRequested(query) {
+    if (!query || typeof query !== 'object') return false;
+    return LIST_PARAMS.some((p) => query[p] !== undefined && query[p] !== '');
+}
+
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter((v) => v !== '');
+    return String(value).split(',').map((v) => v.trim()).filter((v) => v !== '');
+}
+
+function parseCustomFieldKey(name) {
+    const prefix = CUSTOM_FIELD_PREFIXES.find((p) => name.startsWith(p));
+    if (!prefix) return null;
+    const key = name.slice(prefix.length).trim();
+    return key || null;
+}
+
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values), 'utf8').toString('base64url');
+}
+
+/** Cursors hold the sort values of the last row read as text, so only strings, numbers and NULLs are valid. */
+function decodeCursor(cursor) {
+    let parsed;
+    try {
+        parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (e) {
+        throw new ListQueryError('Invalid cursor');
+    }
+    const isCursorValue = (v) => v === null || typeof v === 'string' || (typeof v === 'number' && Number.isFinite(v));
+    if (!Array.isArray(parsed) || !parsed.every(isCursorValue)) {
+        throw new ListQueryError('Invalid cursor');
+    }
+    return parsed;
+}
+
+/**
+ * Resolve a sortable/filterable field name against the config.
+ * Returns { name, expr, type, customKey } or throws ListQueryError.
+ */
+function resolveField(name, config) {
+    const customKey = parseCustomFieldKey(name);
+    if (customKey) {
+        return { name, expr: null, type: 'text', customKey };
+    }
+    const column = config.columns[name];
+    if (!column) {
+        throw new ListQueryError(`Unknown field "${name}". Allowed: ${Object.keys(config.columns).join(', ')}`);
+    }
+    return { name, expr: column.expr, type: column.type || 'text', customKey: null };
+}
+
+function parseSort(sortParam, config) {
+    const parts = toList(sortParam);
+    const sort = parts.map((part) => {
+        const desc = part.startsWith('-');
+        const spec = desc || part.startsWith('+') ? part.slice(1) : part;
+        // Custom fields are stored as text; "cf.Rate:number" sorts them as another type
+        const suffix = spec.slice(spec.lastIndexOf(':') + 1);
+        const type = spec.includes(':') && TYPES.includes(suffix) ? suffix : null;
+        const name = type ? spec.slice(0, -(type.length + 1)) : spec;
+        const field = resolveField(name, config);
+        if (!type) {
+            return { ...field, direction: desc ? 'desc' : 'asc' };
+        }
+        if (!field.customKey) {
+            throw new ListQueryError(`A sort type is only allowed on custom fields, not on ${name}`);
+        }
+        return { ...field, type, direction: desc ? 'desc' : 'asc' };
+    });
+    if (sort.length > 0) return sort;
+    return (config.defaultSort || [{ column: 'id', direction: 'desc' }]).map((s) => ({
+        ...resolveField(s.column, config),
+        direction: s.direction === 'asc' ? 'asc' : 'desc',
+    }));
+}
+
+/**
+ * custom_fields values are stored as JSON strings; range operators compare numerically or by date
+ * when every operand looks like one, otherwise as text.
+ */
+function inferCustomFieldType(ops) {
+    const rangeValues = ['gt', 'gte', 'lt', 'lte', 'between']
+        .filter((op) => ops[op] !== undefined)
+        .flatMap((op) => toList(ops[op]));
+    if (rangeValues.length === 0) return 'text';
+    if (rangeValues.every((v) => v !== '' && Number.isFinite(Number(v)))) return 'number';
+    if (rangeValues.every((v) => /^\d{4}-\d{2}-\d{2}/.test(v))) return 'date';
+    return 'text';
+}
+
+function parseFilters(filterParam, config) {
+    if (filterParam === undefined || filterParam === null || filterParam === '') return [];
+    if (typeof filterParam !== 'object' || Array.isArray(filterParam)) {
+        throw new ListQueryError('filter must be an object, e.g. filter[status]=Open');
+    }
+
+    const filters = [];
+    for (const [name, spec] of Object.entries(filterParam)) {
+        const field = resolveField(name, config);
+        const ops = spec !== null && typeof spec === 'object' && !Array.isArray(spec)
+            ? { ...spec }
+            : { eq: spec };
+
+        let type = field.type;
+        if (ops.type !== undefined) {
+            // Columns have a fixed type; forcing another one would only make Postgres fail the cast
+            if (!field.customKey) {
+                throw new ListQueryError(`A filter type is only allowed on custom fields, not on ${name}`);
+            }
+            if (!TYPES.includes(ops.type)) {
+                throw new ListQueryError(`Invalid type "${ops.type}" for ${name}. Allowed: ${TYPES.join(', ')}`);
+            }
+            type = ops.type;
+            delete ops.type;
+        } else if (field.customKey) {
+            type = inferCustomFieldType(ops);
+        }
+
+        for (const [op, value] of Object.entries(ops)) {
+            if (!OPERATORS.includes(op)) {
+                throw new ListQueryError(`Invalid operator "${op}" for ${name}. Allowed: ${OPERATORS.join(', ')}`);
+            }
+            filters.push({ field: { ...field, type }, op, value });
+        }
+    }
+    return filters;
+}
+
+/**
+ * Parse list params from req.query into a normalized options object for Model.list().
+ * @param {object} query - req.query
+ * @param {object} config - the model's list config
+ */
+function parseListQuery(query = {}, config) {
+    const limitRaw = parseInt(query.limit, 10);
+    const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, MAX_LIMIT) : DEFAULT_LIMIT;
+    const pageRaw = parseInt(query.page, 10);
+    const page = Number.isFinite(pageRaw) && pageRaw > 0 ? pageRaw : 1;
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+    const q = typeof query.q === 'string' ? query.q.trim() : '';
+
+    return {
+        limit,
+        page,
+        offset: cursor ? 0 : (page - 1) * limit,
+        cursor,
+        sort: parseSort(query.sort, config),
+        filters: parseFilters(query.filter, config),
+        q,
+    };
+}
+
+/** SQL expression for a field, with the custom_fields key bound as a parameter. */
+function fieldExpr(field, config, params) {
+    if (!field.customKey) return field.expr;
+    params.push(field.customKey);
+    return `(${config.alias}.custom_fields->>$${params.length})`;
+}
+
+/** SQL expression a field sorts by: custom fields sorted as another type are cast like filters. */
+function sortExpr(field, config, params) {
+    return typedExpr(fieldExpr(field, config, params), field.type, !!field.customKey);
+}
+
+/** Cast an expression (and its bound value) to the filter type. Custom fields are cast defensively. */
+function typedExpr(expr, type, isCustom) {
+    if (!isCustom) return expr;
+    switch (type) {
+        case 'number':
+            return `(CASE WHEN ${expr} ~ '^\\s*-?[0-9]+(\\.[0-9]+)?\\s*$' THEN (${expr})::numeric END)`;
+        case 'date':
+            return `(CASE WHEN ${expr} ~ '^\\d{4}-\\d{2}-\\d{2}' THEN substring(${expr} from 1 for 10)::date END)`;
+        case 'timestamp':
+            return `(CASE WHEN ${expr} ~ '^\\d{4}-\\d{2}-\\d{2}' THEN (${expr})::timestamp END)`;
+        case 'boolean':
+            return `(LOWER(${expr}) IN ('true', 'yes', '1'))`;
+        default:
+            return expr;
+    }
+}
+
+function castValue(value, type, name) {
+    const str = value === null || value === undefined ? '' : String(value).trim();
+    switch (type) {
+        case 'number': {
+            const n = Number(str);
+            if (str === '' || !Number.isFinite(n)) throw new ListQueryError(`Filter on ${name} expects a number`);
+            return n;
+        }
+        case 'date':
+        case 'timestamp':
+            if (Number.isNaN(Date.parse(str))) throw new ListQueryError(`Filter on ${name} expects a date`);
+            return str;
+        case 'boolean':
+            if (['true', '1', 'yes'].includes(str.toLowerCase())) return true;
+            if (['false', '0', 'no'].includes(str.toLowerCase())) return false;
+            throw new ListQueryError(`Filter on ${name} expects true or false`);
+        default:
+            return str;
+    }
+}
+
+function sqlType(type) {
+    return { number: 'numeric', date: 'date', timestamp: 'timestamp', boolean: 'boolean' }[type] || 'text';
+}
+
+function escapeLike(str) {
+    return String(str).replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+function buildFilterCondition(filter, config, params) {
+    const { field, op, value } = filter;
+    const isCustom = !!field.customKey;
+    const raw = fieldExpr(field, config, params);
+    const expr = typedExpr(raw, field.type, isCustom);
+    const cast = sqlType(field.type);
+    const bind = (v) => {
+        params.push(v);
+        return `$${params.length}::${cast}`;
+    };
+
+    switch (op) {
+        case 'isnull':
+            return isCustom ? `(${raw} IS NULL OR ${raw} = '')` : `${expr} IS NULL`;
+        case 'notnull':
+            return isCustom ? `(${raw} IS NOT NULL AND ${raw} <> '')` : `${expr} IS NOT NULL`;
+        case 'contains':
+        case 'starts':
+        case 'ends': {
+            const s = escapeLike(castValue(value, 'text', field.name));
+            const pattern = op === 'contains' ? `%${s}%` : op === 'starts' ? `${s}%` : `%${s}`;
+            params.push(pattern);
+            return `${raw}::text ILIKE $${params.length}`;
+        }
+        case 'in':
+        case 'nin': {
+            const list = toList(value).map((v) => castValue(v, field.type, field.name));
+            if (list.length === 0) return op === 'in' ? 'FALSE' : 'TRUE';
+            params.push(list);
+            const cond = `${expr} = ANY($${params.length}::${cast}[])`;
+            return op === 'in' ? cond : `(${expr} IS NULL OR NOT (${cond}))`;
+        }
+        case 'between': {
+            const [from, to] = toList(value);
+            if (from === undefined || to === undefined) {
+                throw new ListQueryError(`between on ${field.name} expects two comma-separated values`);
+            }
+            return `${expr} BETWEEN ${bind(castValue(from, field.type, field.name))} AND ${bind(castValue(to, field.type, field.name))}`;
+        }
+        case 'ne':
+            return `(${expr} IS NULL OR ${expr} <> ${bind(castValue(value, field.type, field.name))})`;
+        case 'eq':
+            if (field.type === 'text') {
+                params.push(castValue(value, 'text', field.name));
+                return `LOWER(${expr}::text) = LOWER($${params.length})`;
+            }
+            return `${expr} = ${bind(castValue(value, field.type, field.name))}`;
+        default: {
+            const sqlOp = { gt: '>', gte: '>=', lt: '<', lte: '<=' }[op];
+            return `${expr} ${sqlOp} ${bind(castValue(value, field.type, field.name))}`;
+        }
+    }
+}
+
+/**
+ * Keyset condition for "rows after the cursor" with mixed sort directions.
+ * NULLs always sort last (see ORDER BY below), so a NULL cursor value only ties with other NULLs.
+ */
+function buildCursorCondition(sortExprs, cursor, params) {
+    if (cursor.length !== sortExprs.length) {
+        throw new ListQueryError('Cursor does not match the requested sort');
+    }
+    const branches = [];
+    for (let i = 0; i < sortExprs.length; i++) {
+        // Nothing sorts after NULL within a column (NULLS LAST), so that branch can never match
+        if (cursor[i] === null) continue;
+        const parts = [];
+        for (let j = 0; j < i; j++) {
+            if (cursor[j] === null) {
+                parts.push(`${sortExprs[j].expr} IS NULL`);
+            } else {
+                params.push(cursor[j]);
+                parts.push(`${sortExprs[j].expr} = $${params.length}`);
+            }
+        }
+        const { expr, direction } = sortExprs[i];
+        params.push(cursor[i]);
+        const cmp = direction === 'desc' ? '<' : '>';
+        parts.push(`(${expr} ${cmp} $${params.length} OR ${expr} IS NULL)`);
+        branches.push(`(${parts.join(' AND ')})`);
+    }
+    return branches.length ? `(${branches.join(' OR ')})` : 'FALSE';
+}
+
+/**
+ * Run a paged list query.
+ *
+ * @param {object} client - pg client
+ * @param {object} spec
+ * @param {string} spec.select - SELECT list (without the SELECT keyword)
+ * @param {string} spec.from - FROM clause incl. joins (without the FROM keyword)
+ * @param {string[]} [spec.conditions] - extra WHERE fragments using $1..$n from spec.values
+ * @param {Array} [spec.values] - values for spec.conditions
+ * @param {object} options - result of parseListQuery()
+ * @param {Function} [options.accessScope] - (alias, params) => WHERE fragment or null; record-level access (services/recordAccessService.js)
+ * @param {boolean} [options.includeTotal] - false skips the COUNT query (total is null); used when paging through a whole list
+ * @param {object} config - the model's list config
+ * @returns {Promise<{ rows: object[], total: number|null, page: number, limit: number, nextCursor: string|null }>}
+ */
+async function runListQuery(client, spec, options, config) {
+    const params = [...(spec.values || [])];
+    const conditions = [...(spec.conditions || [])];
+
+    if (typeof options.accessScope === 'function') {
+        const accessCondition = options.accessScope(config.alias, params);
+        if (accessCondition) conditions.push(accessCondition);
+    }
+
+    for (const filter of options.filters || []) {
+        conditions.push(buildFilterCondition(filter, config, params));
+    }
+
+    if (options.q && Array.isArray(config.searchColumns) && config.searchColumns.length > 0) {
+        params.push(`%${escapeLike(options.q)}%`);
+        const p = `$${params.length}`;
+        conditions.push(`(${config.searchColumns.map((c) => `${c}::text ILIKE ${p}`).join(' OR ')})`);
+    }
+
+    // Count uses only the filters, not the cursor
+    const whereForCount = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const countParams = [...params];
+
+    // Always add the primary key as the final tiebreaker so pages and cursors are stable
+    const sort = [...options.sort];
+    if (!sort.some((s) => !s.customKey && s.expr === `${config.alias}.id`)) {
+        sort.push({ name: 'id', expr: `${config.alias}.id`, type: 'number', customKey: null, direction: 'desc' });
+    }
+    const sortExprs = sort.map((s) => ({ ...s, expr: sortExpr(s, config, params) }));
+
+    if (options.cursor) {
+        conditions.push(buildCursorCondition(sortExprs, options.cursor, params));
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const orderBy = sortExprs
+        .map((s) => `${s.expr} ${s.direction === 'desc' ? 'DESC' : 'ASC'} NULLS LAST`)
+        .join(', ');
+    // Sort keys are read back as text so the cursor keeps full precision (e.g. timestamp microseconds)
+    const sortSelect = sortExprs.map((s, i) => `(${s.expr})::text AS __sort_${i}`).join(', ');
+
+    params.push(options.limit + 1);
+    const limitParam = `$${params.length}`;
+    params.push(options.offset || 0);
+    const offsetParam = `$${params.length}`;
+
+    const dataQuery = `
+        SELECT ${spec.select}, ${sortSelect}
+        FROM ${spec.from}
+        ${where}
+        ORDER BY ${orderBy}
+        LIMIT ${limitParam} OFFSET ${offsetParam}
+    `;
+    const countQuery = `SELECT COUNT(*)::int AS total FROM ${spec.from} ${whereForCount}`;
+
+    let dataResult;
+    try {
+        dataResult = await client.query(dataQuery, params);
+    } catch (error) {
+        // An edited cursor can hold values its sort columns cannot be compared with
+        if (options.cursor && CAST_ERROR_CODES.includes(error.code)) {
+            throw new ListQueryError('Invalid cursor');
+        }
+        throw error;
+    }
+    const countResult = options.includeTotal === false ? null : await client.query(countQuery, countParams);
+
+    const hasMore = dataResult.rows.length > options.limit;
+    const pageRows = hasMore ? dataResult.rows.slice(0, options.limit) : dataResult.rows;
+
+    let nextCursor = null;
+    if (hasMore && pageRows.length > 0) {
+        const last = pageRows[pageRows.length - 1];
+        nextCursor = encodeCursor(sortExprs.map((_, i) => last[`__sort_${i}`] ?? null));
+    }
+
+    const rows = pageRows.map((row) => {
+        const clean = { ...row };
+        sortExprs.forEach((_, i) => delete clean[`__sort_${i}`]);
+        return clean;
+    });
+
+    return {
+        rows,
+        total: countResult ? countResult.rows[0]?.total ?? 0 : null,
+        page: options.cursor ? null : options.page,
+        limit: options.limit,
+        nextCursor,
+    };
+}
+
+/**
+ * Build the pagination block returned alongside list rows.
+ * total and totalPages are null when the list was run without a count.
+ */
+function buildPagination(result) {
+    let totalPages = null;
+    if (result.total !== null) {
+        totalPages = result.limit > 0 ? Math.ceil(result.total / result.limit) : 0;
+    }
+    return {
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        totalPages,
+        hasMore: !!result.nextCursor,
+        nextCursor: result.nextCursor,
+    };
+}
+
+module.exports = {
+    ListQueryError,
+    isListQueryRequested,
+    parseListQuery,
+    runListQuery,
+    decodeCursor,
+    buildPagination,
+    OPERATORS,
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+};
@@ -0,0 +1,45 @@
+/**
+ * Password strength rules for staff users (signup, admin password change, reset and invite acceptance).
+ */
+
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignores everything after 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+
+const RULES = [
+    { test: (p) => /[a-z]/.test(p), message: 'Password must contain at least one lowercase letter' },
+    { test: (p) => /[A-Z]/.test(p), message: 'Password must contain at least one uppercase letter' },
+    { test: (p) => /[0-9]/.test(p), message: 'Password must contain at least one number' },
+    { test: (p) => /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(p), message: 'Password must contain at least one special character' },
+];
+
+/**
+ * @param {string} password
+ * @param {{ email?: string, name?: string }} [user] - the password may not contain the email name or the user's name
+ * @returns {{ isValid: boolean, message: string }}
+ */
+function validatePassword(password, { email = null, name = null } = {}) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return { isValid: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` };
+    }
+    if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+        return { isValid: false, message: `Password must be at most ${MAX_PASSWORD_BYTES} characters long` };
+    }
+
+    const failed = RULES.find((rule) => !rule.test(password));
+    if (failed) {
+        return { isValid: false, message: failed.message };
+    }
+
+    const lower = password.toLowerCase();
+    const personal = [email ? String(email).split('@')[0] : null, ...String(name || '').split(/\s+/)]
+        .map((part) => (part || '').toLowerCase())
+        .filter((part) => part.length >= 3);
+    if (personal.some((part) => lower.includes(part))) {
+        return { isValid: false, message: 'Password must not contain your name or email address' };
+    }
+
+    return { isValid: true, message: 'Password is valid' };
+}
+
+module.exports = { MIN_PASSWORD_LENGTH, validatePassword };
@@ -0,0 +1,40 @@
+/**
+ * Field-level diffs between two versions of a record, shared by webhooks and the audit log.
+ * Password hashes, tokens and secrets are never included.
+ */
+
+const SENSITIVE_FIELD = /password|token|secret/i;
+
+/** Copy of a record without sensitive fields */
+function sanitizeRecord(record) {
+    if (!record || typeof record !== 'object') return record ?? null;
+    const clean = {};
+    for (const [key, value] of Object.entries(record)) {
+        if (!SENSITIVE_FIELD.test(key)) clean[key] = value;
+    }
+    return clean;
+}
+
+function comparable(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return value ?? null;
+}
+
+/** Changed fields between two versions of a record (updated_at ignored): { field: { from, to } } */
+function diffRecords(before, after) {
+    const changes = {};
+    for (const key of Object.keys(after || {})) {
+        if (key === 'updated_at' || SENSITIVE_FIELD.test(key) || !Object.prototype.hasOwnProperty.call(before || {}, key)) continue;
+        if (comparable(before[key]) !== comparable(after[key])) {
+            changes[key] = { from: before[key] ?? null, to: after[key] ?? null };
+        }
+    }
+    return changes;
+}
+
+module.exports = {
+    SENSITIVE_FIELD,
+    sanitizeRecord,
+    diffRecords,
+};
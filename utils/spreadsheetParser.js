@@ -0,0 +1,218 @@
+/**
+ * Read CSV and XLSX uploads into a header row plus numbered data rows (cell values as strings).
+ * XLSX files are zip archives of XML parts; the first worksheet (or a named one) is read.
+ */
+
+const JSZip = require('jszip');
+const cheerio = require('cheerio');
+
+class SpreadsheetParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SpreadsheetParseError';
+        this.statusCode = 422;
+    }
+}
+
+const XLSX_MIME_TYPES = [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+const CSV_MIME_TYPES = ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'];
+
+/** 'csv' | 'xlsx' | null, from the file name first and the mime type second */
+function detectFormat(originalName, mimeType) {
+    const name = String(originalName || '').toLowerCase();
+    if (name.endsWith('.xlsx')) return 'xlsx';
+    if (name.endsWith('.csv') || name.endsWith('.txt')) return 'csv';
+    if (XLSX_MIME_TYPES.includes(mimeType)) return 'xlsx';
+    if (CSV_MIME_TYPES.includes(mimeType)) return 'csv';
+    return null;
+}
+
+/**
+ * RFC 4180 CSV: quoted fields may contain delimiters, quotes ("") and line breaks.
+ * The delimiter is sniffed from the first line (comma, semicolon or tab).
+ */
+function parseCsv(text) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const firstLine = source.slice(0, source.search(/\r?\n|$/));
+    const delimiter = [',', ';', '\t']
+        .map((d) => ({ d, count: firstLine.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (inQuotes) {
+            if (ch === '"') {
+                if (source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (inQuotes) {
+        throw new SpreadsheetParseError('CSV has an unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/** "AB12" -> 27 (zero-based column index) */
+function columnIndex(cellRef) {
+    const letters = String(cellRef || '').replace(/[^A-Z]/gi, '').toUpperCase();
+    let index = 0;
+    for (const letter of letters) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+async function readZipXml(zip, path) {
+    const file = zip.file(path);
+    if (!file) return null;
+    return cheerio.load(await file.async('string'), { xmlMode: true });
+}
+
+/** Text of a shared string / inline string item (rich text runs are concatenated) */
+function stringItemText($, el) {
+    const runs = $(el).find('t');
+    return runs.length > 0 ? runs.map((i, t) => $(t).text()).get().join('') : $(el).text();
+}
+
+async function parseXlsx(buffer, sheetName = null) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+        throw new SpreadsheetParseError('File is not a valid XLSX workbook');
+    }
+
+    const workbook = await readZipXml(zip, 'xl/workbook.xml');
+    const rels = await readZipXml(zip, 'xl/_rels/workbook.xml.rels');
+    if (!workbook || !rels) {
+        throw new SpreadsheetParseError('File is not a valid XLSX workbook');
+    }
+
+    const sheets = workbook('sheet').map((i, el) => ({
+        name: workbook(el).attr('name'),
+        relId: workbook(el).attr('r:id'),
+    })).get();
+    const sheet = sheetName ? sheets.find((s) => s.name === sheetName) : sheets[0];
+    if (!sheet) {
+        throw new SpreadsheetParseError(sheetName ? `Worksheet "${sheetName}" not found` : 'Workbook has no worksheets');
+    }
+    const target = rels(`Relationship[Id="${sheet.relId}"]`).attr('Target') || '';
+    const sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+
+    const shared = await readZipXml(zip, 'xl/sharedStrings.xml');
+    const sharedStrings = shared ? shared('si').map((i, el) => stringItemText(shared, el)).get() : [];
+
+    const $ = await readZipXml(zip, sheetPath);
+    if (!$) {
+        throw new SpreadsheetParseError(`Worksheet "${sheet.name}" could not be read`);
+    }
+
+    const rows = [];
+    $('sheetData > row').each((rowIndex, rowEl) => {
+        const rowNumber = parseInt($(rowEl).attr('r'), 10) || rows.length + 1;
+        const values = [];
+        $(rowEl).children('c').each((cellIndex, cellEl) => {
+            const cell = $(cellEl);
+            const ref = cell.attr('r');
+            const index = ref ? columnIndex(ref) : values.length;
+            const type = cell.attr('t');
+            let value;
+            if (type === 's') {
+                value = sharedStrings[parseInt(cell.children('v').text(), 10)] ?? '';
+            } else if (type === 'inlineStr') {
+                value = stringItemText($, cell.children('is'));
+            } else if (type === 'b') {
+                value = cell.children('v').text() === '1' ? 'TRUE' : 'FALSE';
+            } else {
+                // n (numbers, including date serials), str (formula results), e (errors)
+                value = cell.children('v').text();
+            }
+            values[index] = value;
+        });
+        // Empty rows in between keep their position so row numbers match the sheet
+        while (rows.length < rowNumber - 1) rows.push([]);
+        rows.push(Array.from(values, (v) => (v === undefined ? '' : v)));
+    });
+    return rows;
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {{ originalName?: string, mimeType?: string, sheetName?: string }} [options]
+ * @returns {Promise<{ format: string, headers: string[], rows: Array<{ rowNumber: number, values: string[] }> }>}
+ *   rows exclude the header and blank rows; rowNumber is the 1-based row in the file
+ */
+async function parseSpreadsheet(buffer, options = {}) {
+    const format = detectFormat(options.originalName, options.mimeType);
+    if (!format) {
+        throw new SpreadsheetParseError('Unsupported file type. Upload a CSV or XLSX file');
+    }
+
+    const raw = format === 'xlsx'
+        ? await parseXlsx(buffer, options.sheetName || null)
+        : parseCsv(buffer.toString('utf8'));
+
+    const isBlank = (row) => row.every((value) => String(value ?? '').trim() === '');
+    const headerIndex = raw.findIndex((row) => !isBlank(row));
+    if (headerIndex === -1) {
+        throw new SpreadsheetParseError('File is empty');
+    }
+
+    // Headers key the column mapping, so blank and repeated headers get unique names
+    const seen = new Map();
+    const headers = raw[headerIndex].map((header, i) => {
+        const base = String(header ?? '').trim() || `Column ${i + 1}`;
+        const count = (seen.get(base.toLowerCase()) || 0) + 1;
+        seen.set(base.toLowerCase(), count);
+        return count > 1 ? `${base} (${count})` : base;
+    });
+    const rows = [];
+    raw.forEach((row, index) => {
+        if (index <= headerIndex || isBlank(row)) return;
+        rows.push({
+            rowNumber: index + 1,
+            values: headers.map((h, i) => String(row[i] ?? '').trim()),
+        });
+    });
+
+    return { format, headers, rows };
+}
+
+module.exports = {
+    SpreadsheetParseError,
+    detectFormat,
+    parseCsv,
+    parseXlsx,
+    parseSpreadsheet,
+};
@@ -0,0 +1,216 @@
+/**
+ * Write exported rows as CSV, XLSX or NDJSON to a writable stream (an HTTP response or a buffer collector).
+ * CSV and NDJSON are written row by row; XLSX is a zip archive, so the sheet is built up and zipped at the end.
+ */
+
+const { Writable } = require('stream');
+const JSZip = require('jszip');
+
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    json: { extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' },
+};
+
+const FORMAT_ALIASES = { ndjson: 'json', jsonl: 'json', excel: 'xlsx' };
+
+/** 'csv' | 'xlsx' | 'json' | null */
+function resolveExportFormat(value) {
+    const v = String(value || 'csv').trim().toLowerCase();
+    if (EXPORT_FORMATS[v]) return v;
+    return FORMAT_ALIASES[v] || null;
+}
+
+/** Cell text for CSV/XLSX: dates as ISO strings, arrays joined, objects as JSON */
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value.toISOString();
+    if (Array.isArray(value)) return value.map(cellText).filter((v) => v !== '').join('; ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Spreadsheet apps run text starting with = + - @ as a formula; prefix it with a quote so exported
+ * record data cannot execute. Plain negative numbers are left alone.
+ */
+function neutralizeFormula(text) {
+    if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) return `'${text}`;
+    return text;
+}
+
+function csvField(value) {
+    const text = neutralizeFormula(cellText(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function xmlEscape(text) {
+    return String(text)
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/** 0 -> A, 25 -> Z, 26 -> AA */
+function columnLetter(index) {
+    let n = index + 1;
+    let letters = '';
+    while (n > 0) {
+        const rem = (n - 1) % 26;
+        letters = String.fromCharCode(65 + rem) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+function xlsxRow(values, rowNumber) {
+    const cells = values.map((value, i) => {
+        const ref = `${columnLetter(i)}${rowNumber}`;
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${ref}"><v>${value}</v></c>`;
+        }
+        if (typeof value === 'boolean') {
+            return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+        }
+        const text = cellText(value);
+        if (text === '') return '';
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(text)}</t></is></c>`;
+    });
+    return `<row r="${rowNumber}">${cells.join('')}</row>`;
+}
+
+async function buildXlsx(sheetRows, sheetName) {
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>');
+    zip.file('_rels/.rels',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>');
+    zip.file('xl/workbook.xml',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>');
+    zip.file('xl/_rels/workbook.xml.rels',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>');
+    zip.file('xl/worksheets/sheet1.xml',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+        + sheetRows.join('')
+        + '</sheetData></worksheet>');
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/** Write a chunk, waiting for 'drain' when the stream is backed up */
+function writeChunk(output, chunk) {
+    if (output.write(chunk)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            output.off('error', onError);
+            output.off('close', onDrain);
+            resolve();
+        };
+        const onError = (error) => {
+            output.off('drain', onDrain);
+            output.off('close', onDrain);
+            reject(error);
+        };
+        output.once('drain', onDrain);
+        output.once('close', onDrain);
+        output.once('error', onError);
+    });
+}
+
+/**
+ * @param {'csv'|'xlsx'|'json'} format
+ * @param {Array<{ key: string, label: string }>} columns - labels are the CSV/XLSX header row, keys the NDJSON property names
+ * @param {import('stream').Writable} output - not ended by the writer
+ * @param {{ sheetName?: string }} [options]
+ * @returns {{ writeRow(values: Array): Promise<void>, finish(): Promise<void> }}
+ */
+function createExportWriter(format, columns, output, { sheetName = 'Export' } = {}) {
+    if (format === 'csv') {
+        // BOM so Excel opens UTF-8 CSV files with the right encoding
+        let started = false;
+        const start = () => {
+            started = true;
+            return writeChunk(output, `\uFEFF${columns.map((c) => csvField(c.label)).join(',')}\r\n`);
+        };
+        return {
+            async writeRow(values) {
+                if (!started) await start();
+                await writeChunk(output, `${values.map(csvField).join(',')}\r\n`);
+            },
+            async finish() {
+                if (!started) await start();
+            },
+        };
+    }
+
+    if (format === 'json') {
+        return {
+            async writeRow(values) {
+                const record = {};
+                columns.forEach((c, i) => {
+                    const value = values[i];
+                    record[c.key] = value === undefined ? null : value;
+                });
+                await writeChunk(output, `${JSON.stringify(record)}\n`);
+            },
+            async finish() {},
+        };
+    }
+
+    if (format === 'xlsx') {
+        const sheetRows = [xlsxRow(columns.map((c) => c.label), 1)];
+        return {
+            async writeRow(values) {
+                sheetRows.push(xlsxRow(values, sheetRows.length + 1));
+            },
+            async finish() {
+                // Excel sheet names: max 31 characters, no []:*?/\
+                const name = String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Export';
+                await writeChunk(output, await buildXlsx(sheetRows, name));
+            },
+        };
+    }
+
+    throw new Error(`Unsupported export format: ${format}`);
+}
+
+/** Writable that keeps everything written to it; used for background exports stored in the database */
+function createBufferCollector() {
+    const chunks = [];
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+            callback();
+        },
+    });
+    stream.toBuffer = () => Buffer.concat(chunks);
+    return stream;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    resolveExportFormat,
+    cellText,
+    createExportWriter,
+    createBufferCollector,
+};